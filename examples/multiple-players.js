@@ -3,6 +3,8 @@ const { MinecraftAI } = require('../src/MinecraftAI');
 const { SharedEnvironment } = require('../src/SharedEnvironment');
 const { PathfindingCache } = require('../src/PathfindingCache');
 const { OpenAIRequestQueue } = require('../src/OpenAIRequestQueue');
+const { SessionRecorder } = require('../src/SessionRecorder');
+const { OpenAIClientFactory } = require('../src/utils/OpenAIClientFactory');
 require('dotenv').config();
 
 // プレイヤー管理クラス
@@ -23,7 +25,7 @@ class MultiplePlayersManager {
         hitRadius: 4
       })
       : null;
-    this.openAIRequestQueue = process.env.OPENAI_API_KEY
+    this.openAIRequestQueue = OpenAIClientFactory.isConfigured()
       ? new OpenAIRequestQueue({
         maxConcurrentRequests: 2, // 多ボット環境では制限
         requestsPerMinute: 30 // 控えめなレート設定
@@ -120,10 +122,16 @@ class MultiplePlayersManager {
 
       const ai = new MinecraftAI(bot, coordinator, this.sharedEnvironment, this.pathfindingCache);
 
+      // デバッグ用セッション記録（SESSION_RECORDING=true で有効）
+      const recorder = process.env.SESSION_RECORDING === 'true'
+        ? new SessionRecorder(bot, { ai })
+        : null;
+
       // プレイヤー情報を保存
       this.players.set(playerIndex, {
         bot,
         ai,
+        recorder,
         config,
         connected: false,
         reconnectAttempts: 0
@@ -154,6 +162,9 @@ class MultiplePlayersManager {
       console.log(`[プレイヤー${playerIndex}] ワールドにスポーンしました`);
       ai.onSpawn();
       await ai.initialize(); // initializeを非同期で実行
+      if (playerInfo.recorder) {
+        playerInfo.recorder.start();
+      }
     });
 
     bot.on('chat', async (username, message) => {
@@ -276,6 +287,10 @@ class MultiplePlayersManager {
       if (playerInfo.bot) {
         console.log(`プレイヤー${index}を停止中...`);
 
+        if (playerInfo.recorder) {
+          playerInfo.recorder.stop('manager_shutdown');
+        }
+
         if (playerInfo.ai) {
           playerInfo.ai.shutdown('manager_shutdown');
         }
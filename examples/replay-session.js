@@ -0,0 +1,54 @@
+const { SessionReplayer } = require('../src/SessionReplayer');
+
+// 使い方: node examples/replay-session.js <セッションログ.jsonl> [--all]
+// 既定では AI がタスクを選んだ時点 (task_start) ごとに、その時の観測状態を表示する
+function formatInventory(inventory) {
+  const entries = inventory instanceof Map ? Array.from(inventory.values()) : Object.values(inventory || {});
+  if (entries.length === 0) return '(なし)';
+  return entries.map(item => `${item.name}x${item.count}`).join(', ');
+}
+
+function printFrame(frame) {
+  const { event, observation, state } = frame;
+  const seconds = (frame.t / 1000).toFixed(1).padStart(7);
+  const position = observation.position
+    ? `(${observation.position.x}, ${observation.position.y}, ${observation.position.z})`
+    : '(不明)';
+
+  if (event.type === 'task_start') {
+    console.log(`[${seconds}s] タスク開始: ${event.task.type} ${JSON.stringify(event.task.params || {})}`);
+    console.log(`           位置=${position} 体力=${observation.health} 空腹度=${observation.food}` +
+      ` 時間帯=${observation.timeOfDay}`);
+    console.log(`           インベントリ: ${formatInventory(state.inventory)}`);
+    console.log(`           危険=${observation.dangers.length}件 資源=${observation.opportunities.length}件`);
+  } else if (event.type === 'task_end') {
+    const result = event.result || {};
+    const outcome = result.success ? '成功' : `失敗 (${result.reason || result.error || '不明'})`;
+    console.log(`[${seconds}s] タスク終了: ${event.task ? event.task.type : '?'} ${outcome}`);
+  } else {
+    console.log(`[${seconds}s] ${event.type} 位置=${position}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node examples/replay-session.js <session.jsonl> [--all]');
+    process.exit(1);
+  }
+
+  const showAll = args.includes('--all');
+  const replayer = SessionReplayer.load(file);
+  const { username, version, startedAt } = replayer.header;
+  console.log(`${username} (${version}) ${startedAt} - ${replayer.events.length} events`);
+
+  while (!replayer.done) {
+    const frame = replayer.step();
+    if (showAll || frame.event.type === 'task_start' || frame.event.type === 'task_end') {
+      printFrame(frame);
+    }
+  }
+}
+
+main();
@@ -0,0 +1,21 @@
+const path = require('path');
+const { ScenarioRunner } = require('../src/testing/ScenarioRunner');
+
+// 使い方: node examples/run-scenarios.js [シナリオファイル or ディレクトリ] [--verbose]
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const target = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'scenarios');
+
+  const runner = new ScenarioRunner({ verbose });
+  const reports = await runner.runFiles(target);
+
+  const failed = reports.filter(report => !report.passed);
+  console.log(`\n${reports.length - failed.length}/${reports.length} scenarios passed`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Scenario run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,238 @@
+/**
+ * BlockStates - ブロックの状態 (向き・上下・軸) と設置操作の対応
+ * バニラの設置規則では、状態は「プレイヤーの向き」「クリックした面」「クリック位置の高さ」で決まる。
+ * 設計図のブロック状態を再現するために、状態から逆に設置方法（向く方角・参照ブロックの面・half）を求める。
+ *
+ *   階段・扉・フェンスゲート・ベッド  facing = プレイヤーの向き
+ *   かまど・チェストなど              facing = プレイヤーの向きの逆（正面がプレイヤーを向く）
+ *   壁付きの松明・はしご・看板        facing = クリックした面の向き（壁から離れる方向）
+ *   階段・トラップドアの half / ハーフブロックの type  上の面をクリック → bottom、下の面 → top
+ *   原木などの axis                  クリックした面の軸
+ */
+
+const { Vec3 } = require('vec3');
+
+const HORIZONTAL = ['north', 'south', 'west', 'east'];
+
+const FACING_VECTORS = {
+  north: { x: 0, y: 0, z: -1 },
+  south: { x: 0, y: 0, z: 1 },
+  west: { x: -1, y: 0, z: 0 },
+  east: { x: 1, y: 0, z: 0 },
+  up: { x: 0, y: 1, z: 0 },
+  down: { x: 0, y: -1, z: 0 }
+};
+
+const OPPOSITE = { north: 'south', south: 'north', west: 'east', east: 'west', up: 'down', down: 'up' };
+
+// mineflayer の yaw: 0 が北 (-z)、反時計回りに増える
+const FACING_YAW = { north: 0, west: Math.PI / 2, south: Math.PI, east: -Math.PI / 2 };
+
+// 時計回りの回転順
+const CLOCKWISE = ['north', 'east', 'south', 'west'];
+
+const PLAYER_FACING_BLOCK = /(_stairs|_door|_fence_gate|_bed)$/;
+const WALL_ATTACHED_BLOCK = /(wall_torch|_wall_sign|_wall_hanging_sign|_wall_banner|_wall_head|_wall_skull|^ladder)$/;
+
+// 設置後に別のブロック（もう半分）が自動で生まれるもの
+const SECONDARY_PART = {
+  half: 'upper', // 扉の上半分
+  part: 'head' // ベッドの頭側
+};
+
+// ブロック名と設置に使うアイテム名が異なるもの
+const BLOCK_TO_ITEM = {
+  wall_torch: 'torch',
+  soul_wall_torch: 'soul_torch',
+  redstone_wall_torch: 'redstone_torch',
+  redstone_wire: 'redstone',
+  tripwire: 'string',
+  wheat: 'wheat_seeds',
+  carrots: 'carrot',
+  potatoes: 'potato',
+  beetroots: 'beetroot_seeds',
+  cocoa: 'cocoa_beans',
+  sweet_berry_bush: 'sweet_berries',
+  bamboo_sapling: 'bamboo',
+  water: 'water_bucket',
+  lava: 'lava_bucket',
+  powder_snow: 'powder_snow_bucket'
+};
+
+// 横の面に置くと壁付きになるアイテム
+const WALL_VARIANTS = {
+  torch: 'wall_torch',
+  soul_torch: 'soul_wall_torch',
+  redstone_torch: 'redstone_wall_torch'
+};
+
+// 設計図との一致判定に使うプロパティ（shape や waterlogged・open などは周囲や操作で変わるため見ない）
+const SIGNIFICANT_PROPERTIES = ['facing', 'half', 'type', 'axis', 'part'];
+
+const EMPTY_BLOCKS = new Set(['air', 'cave_air', 'void_air', 'structure_void']);
+
+class BlockStates {
+  static FACING_VECTORS = FACING_VECTORS;
+  static SIGNIFICANT_PROPERTIES = SIGNIFICANT_PROPERTIES;
+
+  static isEmpty(name) {
+    return !name || EMPTY_BLOCKS.has(name);
+  }
+
+  static opposite(facing) {
+    return OPPOSITE[facing] || facing;
+  }
+
+  static facingVector(facing) {
+    const vector = FACING_VECTORS[facing];
+    return vector ? new Vec3(vector.x, vector.y, vector.z) : null;
+  }
+
+  /**
+   * 単位ベクトルの方角名（斜めや零ベクトルは null）
+   */
+  static facingOf(vector) {
+    return Object.keys(FACING_VECTORS).find(name => {
+      const v = FACING_VECTORS[name];
+      return v.x === vector.x && v.y === vector.y && v.z === vector.z;
+    }) || null;
+  }
+
+  static yawFor(facing) {
+    return FACING_YAW[facing];
+  }
+
+  /**
+   * yaw に最も近い水平の方角（yawFor の逆）
+   */
+  static facingForYaw(yaw) {
+    const quarter = Math.round(yaw / (Math.PI / 2));
+    return ['north', 'west', 'south', 'east'][((quarter % 4) + 4) % 4];
+  }
+
+  /**
+   * facing を時計回りに quarterTurns 回 (90 度単位) 回す
+   */
+  static rotateFacing(facing, quarterTurns) {
+    const index = CLOCKWISE.indexOf(facing);
+    if (index === -1) return facing;
+    return CLOCKWISE[(((index + quarterTurns) % 4) + 4) % 4];
+  }
+
+  /**
+   * facing プロパティの決まり方: 'player' | 'opposite' | 'face' | null
+   */
+  static facingRule(blockName, def = null) {
+    if (def && !(def.states || []).some(state => state.name === 'facing')) return null;
+    if (WALL_ATTACHED_BLOCK.test(blockName)) return 'face';
+    if (PLAYER_FACING_BLOCK.test(blockName)) return 'player';
+    return 'opposite';
+  }
+
+  static isWallAttached(blockName) {
+    return WALL_ATTACHED_BLOCK.test(blockName);
+  }
+
+  /**
+   * 扉の上半分・ベッドの頭側など、もう片方を置くと自動で生まれる部分か
+   */
+  static isSecondaryPart(properties = {}) {
+    return Object.entries(SECONDARY_PART).some(([key, value]) => properties[key] === value);
+  }
+
+  /**
+   * ブロックを置くのに使うアイテム名。対応するアイテムがなければ null
+   * @param {string} blockName
+   * @param {Object} mcData - minecraft-data
+   */
+  static itemForBlock(blockName, mcData) {
+    let name = BLOCK_TO_ITEM[blockName] || blockName;
+    if (!BLOCK_TO_ITEM[blockName]) {
+      // oak_wall_sign → oak_sign, player_wall_head → player_head
+      name = blockName.replace(/_wall_(sign|hanging_sign|banner|head|skull)$/, '_$1');
+    }
+    return mcData.itemsByName[name] ? name : null;
+  }
+
+  /**
+   * アイテムを face の面に置いたときにできるブロック名
+   */
+  static blockForItem(itemName, faceVector, mcData) {
+    const itemToBlock = Object.fromEntries(
+      Object.entries(BLOCK_TO_ITEM).filter(([block]) => !WALL_VARIANTS[BLOCK_TO_ITEM[block]])
+        .map(([block, item]) => [item, block])
+    );
+    if (faceVector && faceVector.y === 0 && WALL_VARIANTS[itemName]) return WALL_VARIANTS[itemName];
+    if (faceVector && faceVector.y === 0 && /_(sign|banner)$/.test(itemName) && !/hanging/.test(itemName)) {
+      const wall = itemName.replace(/_(sign|banner)$/, '_wall_$1');
+      if (mcData.blocksByName[wall]) return wall;
+    }
+    return itemToBlock[itemName] || itemName;
+  }
+
+  /**
+   * 設計図のブロックを再現する設置方法
+   * @returns {{facing: string|null, face: Vec3, half: string|null}}
+   *          facing: 設置前にプレイヤーが向く方角、face: 参照ブロックから設置先への向き (placeBlock の faceVector)
+   */
+  static placementFor(blockName, properties = {}, def = null) {
+    const placement = { facing: null, face: new Vec3(0, 1, 0), half: null };
+    const rule = BlockStates.facingRule(blockName, def);
+    const facing = properties.facing;
+
+    if (facing && HORIZONTAL.includes(facing)) {
+      if (rule === 'face') {
+        placement.face = BlockStates.facingVector(facing);
+      } else if (rule === 'player') {
+        placement.facing = facing;
+      } else if (rule === 'opposite') {
+        placement.facing = OPPOSITE[facing];
+      }
+    }
+
+    const half = properties.half === 'top' || properties.type === 'top' ? 'top' : null;
+    if (half) {
+      placement.half = half;
+      placement.face = new Vec3(0, -1, 0);
+    }
+
+    if (properties.axis === 'x' || properties.axis === 'z') {
+      placement.face = properties.axis === 'x' ? new Vec3(1, 0, 0) : new Vec3(0, 0, 1);
+    }
+    return placement;
+  }
+
+  /**
+   * ワールドのブロックが設計図の指定と一致するか（名前と主要なプロパティのみ比較）
+   */
+  static matches(block, spec) {
+    if (!block || block.name !== spec.name) return false;
+    const actual = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    const expected = spec.properties || {};
+    return SIGNIFICANT_PROPERTIES.every(key =>
+      expected[key] === undefined || actual[key] === undefined || String(actual[key]) === String(expected[key])
+    );
+  }
+
+  /**
+   * "minecraft:oak_stairs[facing=north,half=bottom]" → { name, properties }
+   */
+  static parseState(state) {
+    const match = /^(?:[a-z0-9_.-]+:)?([a-z0-9_/.-]+)(?:\[(.*)\])?$/.exec(String(state).trim());
+    if (!match) return null;
+    const properties = {};
+    for (const pair of (match[2] || '').split(',')) {
+      const [key, value] = pair.split('=').map(part => part && part.trim());
+      if (key && value !== undefined) properties[key] = BlockStates.parseValue(value);
+    }
+    return { name: match[1], properties };
+  }
+
+  static parseValue(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+$/.test(value)) return Number(value);
+    return value;
+  }
+}
+
+module.exports = { BlockStates };
@@ -0,0 +1,335 @@
+/**
+ * Blueprint - 建築物の設計図
+ * 簡易 JSON 形式・Sponge schematic (.schem, v1〜v3)・バニラのストラクチャーファイル (.nbt) を読み込み、
+ * 相対座標のブロック一覧として保持する。必要素材の集計 (billOfMaterials) と、下の段から順に
+ * 支えのあるブロックを先に置く設置順 (placementOrder) を提供する。空気ブロックは「何もしない」として扱う。
+ *
+ * 簡易 JSON 形式（blocks と layers はどちらか一方、または併用できる）:
+ * {
+ *   "name": "small_hut",
+ *   "palette": { "C": "cobblestone", "S": "oak_stairs[facing=north]", "D": "oak_door[facing=south,half=lower]" },
+ *   "layers": [["CCC", "CCC", "CCC"], ["C.C", "...", "CDC"]],     下の段から。行が z、文字が x。'.' と ' ' は空き
+ *   "blocks": [{ "x": 1, "y": 2, "z": 1, "block": "torch" }]      block の代わりに name と properties も可
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { BlockStates } = require('./BlockStates');
+
+const PLAIN_JSON_EXTENSIONS = ['.json'];
+const NBT_EXTENSIONS = ['.schem', '.nbt'];
+const EMPTY_CELLS = ['.', ' '];
+
+class Blueprint {
+  static EXTENSIONS = [...PLAIN_JSON_EXTENSIONS, ...NBT_EXTENSIONS];
+
+  /**
+   * @param {Object} options
+   *        ├─ name    設計図の名前
+   *        └─ blocks  { x, y, z, name, properties } の配列（0 以上の相対座標）
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'blueprint';
+    this.blocks = [];
+    for (const block of options.blocks || []) {
+      if (BlockStates.isEmpty(block.name)) continue;
+      this.blocks.push({
+        position: new Vec3(block.x, block.y, block.z),
+        name: block.name,
+        properties: { ...(block.properties || {}) }
+      });
+    }
+    this.size = this.computeSize();
+  }
+
+  computeSize() {
+    if (this.blocks.length === 0) return new Vec3(0, 0, 0);
+    const max = axis => Math.max(...this.blocks.map(block => block.position[axis])) + 1;
+    return new Vec3(max('x'), max('y'), max('z'));
+  }
+
+  /**
+   * ファイルから読み込む（拡張子で形式を判定）
+   * @param {string} filePath
+   * @returns {Promise<Blueprint>}
+   */
+  static async load(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const name = path.basename(filePath, extension);
+    const buffer = await fs.promises.readFile(filePath);
+
+    if (PLAIN_JSON_EXTENSIONS.includes(extension)) {
+      return Blueprint.fromJSON(JSON.parse(buffer.toString('utf8')), name);
+    }
+    if (NBT_EXTENSIONS.includes(extension)) {
+      return Blueprint.fromNbt(buffer, name);
+    }
+    throw new Error(`未対応の設計図形式です: ${extension || filePath}`);
+  }
+
+  /**
+   * 名前またはパスから設計図ファイルを探す。名前だけなら dir 内の <name>.json / .schem / .nbt を順に試す
+   * @param {string} nameOrPath
+   * @param {string} dir - 設計図ディレクトリ
+   * @returns {string|null}
+   */
+  static resolvePath(nameOrPath, dir) {
+    const candidates = [];
+    if (path.extname(nameOrPath)) {
+      candidates.push(path.resolve(nameOrPath), path.join(dir, nameOrPath));
+    } else {
+      for (const extension of Blueprint.EXTENSIONS) {
+        candidates.push(path.join(dir, `${nameOrPath}${extension}`), path.resolve(`${nameOrPath}${extension}`));
+      }
+    }
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  /**
+   * 簡易 JSON 形式から作る
+   */
+  static fromJSON(data, fallbackName = 'blueprint') {
+    if (!data || typeof data !== 'object') {
+      throw new Error('設計図の JSON がオブジェクトではありません');
+    }
+    const palette = {};
+    for (const [key, state] of Object.entries(data.palette || {})) {
+      palette[key] = Blueprint.parseBlock(state);
+    }
+
+    const blocks = [];
+    (data.layers || []).forEach((layer, y) => {
+      (layer || []).forEach((row, z) => {
+        [...String(row)].forEach((symbol, x) => {
+          if (EMPTY_CELLS.includes(symbol)) return;
+          const entry = palette[symbol];
+          if (!entry) throw new Error(`パレットにない記号です: '${symbol}' (${x}, ${y}, ${z})`);
+          blocks.push({ x, y, z, ...entry });
+        });
+      });
+    });
+
+    for (const block of data.blocks || []) {
+      const position = Array.isArray(block.pos) ? { x: block.pos[0], y: block.pos[1], z: block.pos[2] } : block;
+      const entry = block.block !== undefined
+        ? (palette[block.block] || Blueprint.parseBlock(block.block))
+        : Blueprint.parseBlock({ name: block.name, properties: block.properties });
+      blocks.push({ x: Number(position.x), y: Number(position.y), z: Number(position.z), ...entry });
+    }
+
+    return new Blueprint({ name: data.name || fallbackName, blocks });
+  }
+
+  /**
+   * "oak_stairs[facing=north]" または { name, properties } を { name, properties } にする
+   */
+  static parseBlock(state) {
+    if (state && typeof state === 'object') {
+      const parsed = BlockStates.parseState(state.name || state.Name);
+      if (!parsed) throw new Error(`ブロック名を解釈できません: ${JSON.stringify(state)}`);
+      const properties = { ...parsed.properties };
+      for (const [key, value] of Object.entries(state.properties || state.Properties || {})) {
+        properties[key] = typeof value === 'string' ? BlockStates.parseValue(value) : value;
+      }
+      return { name: parsed.name, properties };
+    }
+    const parsed = BlockStates.parseState(state);
+    if (!parsed) throw new Error(`ブロック状態を解釈できません: ${state}`);
+    return parsed;
+  }
+
+  /**
+   * Sponge schematic (.schem) またはストラクチャーファイル (.nbt) から作る。gzip 圧縮はそのまま渡してよい
+   * @param {Buffer} buffer
+   * @returns {Promise<Blueprint>}
+   */
+  static async fromNbt(buffer, fallbackName = 'blueprint') {
+    const nbt = require('prismarine-nbt');
+    const { parsed } = await nbt.parse(buffer);
+    const data = nbt.simplify(parsed);
+
+    // v3 はルート直下の Schematic コンパウンドに入っている
+    const schematic = data.Schematic && typeof data.Schematic === 'object' ? data.Schematic : data;
+    if (schematic.Width !== undefined && schematic.Length !== undefined) {
+      return Blueprint.fromSponge(schematic, fallbackName);
+    }
+    if (Array.isArray(data.size) && Array.isArray(data.blocks)) {
+      return Blueprint.fromStructure(data, fallbackName);
+    }
+    throw new Error('Sponge schematic でもストラクチャーファイルでもありません');
+  }
+
+  static fromSponge(schematic, fallbackName) {
+    const width = schematic.Width;
+    const length = schematic.Length;
+    const container = schematic.Blocks || schematic; // v3: Blocks { Palette, Data }, v1/v2: Palette, BlockData
+    const palette = container.Palette || {};
+    const data = container.Data || container.BlockData || [];
+
+    const states = [];
+    for (const [state, id] of Object.entries(palette)) {
+      states[id] = Blueprint.parseBlock(state);
+    }
+
+    const blocks = [];
+    const ids = Blueprint.readVarInts(data);
+    ids.forEach((id, index) => {
+      const entry = states[id];
+      if (!entry) return;
+      const y = Math.floor(index / (width * length));
+      const z = Math.floor((index % (width * length)) / width);
+      const x = index % width;
+      blocks.push({ x, y, z, ...entry });
+    });
+
+    const name = schematic.Metadata && schematic.Metadata.Name;
+    return new Blueprint({ name: name || fallbackName, blocks });
+  }
+
+  static fromStructure(data, fallbackName) {
+    const palette = (data.palette || (data.palettes && data.palettes[0]) || [])
+      .map(entry => Blueprint.parseBlock({ name: entry.Name, properties: entry.Properties }));
+    const blocks = [];
+    for (const block of data.blocks) {
+      const entry = palette[block.state];
+      if (!entry) continue;
+      blocks.push({ x: block.pos[0], y: block.pos[1], z: block.pos[2], ...entry });
+    }
+    return new Blueprint({ name: fallbackName, blocks });
+  }
+
+  /**
+   * Sponge の BlockData（符号付きバイト列の varint）をパレット ID の配列にする
+   */
+  static readVarInts(bytes) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const raw of bytes) {
+      const byte = raw & 0xff;
+      value |= (byte & 0x7f) << shift;
+      if (byte & 0x80) {
+        shift += 7;
+        continue;
+      }
+      values.push(value);
+      value = 0;
+      shift = 0;
+    }
+    return values;
+  }
+
+  /**
+   * Y 軸まわりに時計回り（上から見て）に 90 度 × quarterTurns 回した設計図
+   */
+  rotate(quarterTurns) {
+    const turns = ((Math.round(quarterTurns) % 4) + 4) % 4;
+    if (turns === 0) return this;
+
+    const blocks = this.blocks.map(block => {
+      let { x, z } = block.position;
+      let depth = this.size.z;
+      let width = this.size.x;
+      for (let i = 0; i < turns; i++) {
+        // 北 (-z) → 東 (+x): (x, z) → (depth - 1 - z, x)
+        [x, z] = [depth - 1 - z, x];
+        [width, depth] = [depth, width];
+      }
+      const properties = { ...block.properties };
+      if (properties.facing) properties.facing = BlockStates.rotateFacing(properties.facing, turns);
+      if (turns % 2 === 1 && (properties.axis === 'x' || properties.axis === 'z')) {
+        properties.axis = properties.axis === 'x' ? 'z' : 'x';
+      }
+      return { x, y: block.position.y, z, name: block.name, properties };
+    });
+    return new Blueprint({ name: this.name, blocks });
+  }
+
+  /**
+   * 必要な素材（アイテム名 → 個数）。扉の上半分・ベッドの頭側は数えず、二重のハーフブロックは 2 個と数える
+   * @param {Object} mcData - minecraft-data
+   * @returns {{materials: Object<string, number>, unobtainable: Object<string, number>}}
+   *          unobtainable はアイテムとして入手できないブロック（火・ポータルなど）
+   */
+  billOfMaterials(mcData) {
+    const materials = {};
+    const unobtainable = {};
+    for (const block of this.blocks) {
+      if (BlockStates.isSecondaryPart(block.properties)) continue;
+      const item = BlockStates.itemForBlock(block.name, mcData);
+      const count = block.properties.type === 'double' ? 2 : 1;
+      if (item) {
+        materials[item] = (materials[item] || 0) + count;
+      } else {
+        unobtainable[block.name] = (unobtainable[block.name] || 0) + count;
+      }
+    }
+    return { materials, unobtainable };
+  }
+
+  /**
+   * 設置順。まず構造ブロックを下の段から、同じ段では既に置いたブロックに接するものから並べ、
+   * 最後に壁や床に取り付けるブロック（松明・扉・はしごなど）を下から並べる。
+   * 扉の上半分・ベッドの頭側は下半分の設置で自動的にできるため含めない。
+   * @param {Object} mcData - minecraft-data
+   */
+  placementOrder(mcData) {
+    const placeable = this.blocks.filter(block => !BlockStates.isSecondaryPart(block.properties));
+    const structural = placeable.filter(block => !Blueprint.isAttachment(block, mcData));
+    const attachments = placeable.filter(block => Blueprint.isAttachment(block, mcData));
+
+    const byLayer = (a, b) => a.position.y - b.position.y || a.position.x - b.position.x || a.position.z - b.position.z;
+    return [...Blueprint.orderBySupport(structural.sort(byLayer)), ...attachments.sort(byLayer)];
+  }
+
+  /**
+   * 壁や床に取り付けるブロック（当たり判定のないもの・扉・ベッド・トラップドア・壁付きのもの）か
+   */
+  static isAttachment(block, mcData) {
+    const def = mcData.blocksByName[block.name];
+    return !def || def.boundingBox !== 'block' || BlockStates.isWallAttached(block.name) ||
+      /(_door|_bed|_trapdoor)$/.test(block.name);
+  }
+
+  /**
+   * 段ごとに、支えになるブロック（地面・既に並べたブロック）に接するものから順に並べる。
+   * 上付きの階段・ハーフブロックは下のブロックを支えにできないので横か上に接するものを待つ。
+   * どこにも接しない浮いたブロックは段の最後に回す（設置時に足場を組む）
+   */
+  static orderBySupport(blocks) {
+    const ordered = [];
+    const placed = new Set();
+    const key = position => `${position.x},${position.y},${position.z}`;
+    const below = [0, -1, 0];
+    const others = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1], [0, 1, 0]];
+    const isSupported = block => {
+      const upper = block.properties.half === 'top' || block.properties.type === 'top';
+      if (!upper && block.position.y === 0) return true;
+      const neighbors = upper ? others : [below, ...others];
+      return neighbors.some(([dx, dy, dz]) => placed.has(key(block.position.offset(dx, dy, dz))));
+    };
+    const layers = new Map();
+    for (const block of blocks) {
+      if (!layers.has(block.position.y)) layers.set(block.position.y, []);
+      layers.get(block.position.y).push(block);
+    }
+
+    for (const y of [...layers.keys()].sort((a, b) => a - b)) {
+      let pending = layers.get(y);
+      while (pending.length > 0) {
+        const supported = pending.filter(isSupported);
+        const next = supported.length > 0 ? supported : pending.slice(0, 1);
+        for (const block of next) {
+          ordered.push(block);
+          placed.add(key(block.position));
+        }
+        pending = pending.filter(block => !next.includes(block));
+      }
+    }
+    return ordered;
+  }
+}
+
+module.exports = { Blueprint };
@@ -0,0 +1,351 @@
+/**
+ * BucketUtils - バケツで水・溶岩・ミルクを扱う
+ * 空のバケツは視線の先の水源・溶岩源を汲み（流れている水は汲めない）、水入りバケツは視線の先のブロックの面に水を置く。
+ * 届くのは目から 5 ブロックまで。汲む・置く前に、手が届いて視線が通る立ち位置へ移動する。
+ *
+ * 溶岩は燃料として汲む（1 バケツで 100 個焼ける）。溶岩に接するマスや溶岩の真上には立たず、固い足場から汲む。
+ * 溶岩入りバケツも水と同じように置ける（黒曜石の鋳造用）。ネザーでは水を置くと蒸発するので置かない。
+ * ミルクはすべての効果を消すので、毒・衰弱のような悪い効果がかかっているときだけ飲む。
+ */
+
+const { Vec3 } = require('vec3');
+const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+const { moveToPosition, moveToEntity } = require('./utils/MovementUtils');
+const { Husbandry } = require('./Husbandry');
+const { Dimension } = require('./Dimension');
+
+const BUCKETS = { water: 'water_bucket', lava: 'lava_bucket' };
+const EYE_HEIGHT = 1.62;
+const REACH = 4.5; // サーバーは 5 まで届くが、視線のずれに備えて余裕を持つ
+const STAND_RADIUS = 4;
+const SEARCH_RADIUS = 32;
+const HARMFUL_EFFECTS = ['Poison', 'Wither'];
+const MILKABLE = ['cow', 'mooshroom', 'goat'];
+const FIRES = ['fire', 'soul_fire'];
+
+// mineflayer の face 番号 (0:-y 1:+y 2:-z 3:+z 4:-x 5:+x) の順
+const FACE_OFFSETS = [
+  new Vec3(0, -1, 0), new Vec3(0, 1, 0),
+  new Vec3(0, 0, -1), new Vec3(0, 0, 1),
+  new Vec3(-1, 0, 0), new Vec3(1, 0, 0)
+];
+const HORIZONTAL = FACE_OFFSETS.slice(2);
+
+class BucketUtils {
+  static BUCKETS = BUCKETS;
+  static REACH = REACH;
+  static HARMFUL_EFFECTS = HARMFUL_EFFECTS;
+  static MILKABLE = MILKABLE;
+
+  static logger = Logger.createLogger('BucketUtils');
+
+  static count(bot, name) {
+    return bot.inventory.items()
+      .filter(item => item && item.name === name)
+      .reduce((sum, item) => sum + item.count, 0);
+  }
+
+  static findItem(bot, name) {
+    return bot.inventory.items().find(item => item && item.name === name) || null;
+  }
+
+  /**
+   * 汲める源か（level 0 の水・溶岩）
+   */
+  static isSource(block, fluid) {
+    if (!block || block.name !== fluid) return false;
+    const properties = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    return Number(properties.level ?? block.metadata) === 0;
+  }
+
+  static isSolid(block) {
+    return !!block && block.boundingBox === 'block';
+  }
+
+  static isOpen(block) {
+    return !!block && block.boundingBox === 'empty' && !['water', 'lava'].includes(block.name);
+  }
+
+  /**
+   * 近い順の源の座標
+   */
+  static findSources(bot, fluid, radius = SEARCH_RADIUS, count = 16) {
+    return bot.findBlocks({
+      matching: block => BucketUtils.isSource(block, fluid),
+      maxDistance: radius,
+      count
+    });
+  }
+
+  /**
+   * eye から aim を見たとき、最初に当たるブロックの { position, face }
+   * matcher を満たすブロック（既定は固いブロック）で止まる
+   */
+  static sight(bot, eye, aim, matcher = null) {
+    const direction = aim.minus(eye);
+    const distance = direction.norm();
+    if (distance === 0 || distance > REACH) return null;
+    const hit = bot.world.raycast(eye, direction.scaled(1 / distance), REACH,
+      matcher || (block => BucketUtils.isSolid(block)));
+    return hit ? { position: hit.position, face: hit.face } : null;
+  }
+
+  /**
+   * 立ち位置の候補（今いるマスを先頭に、近い順）
+   * 足元が固く、体の 2 マスが空いていて、溶岩に接していないマス
+   */
+  static standSpots(bot, around, exclude = []) {
+    const feet = bot.entity.position.floored();
+    const safe = position => {
+      if (!BucketUtils.isSolid(bot.blockAt(position.offset(0, -1, 0)))) return false;
+      if (!BucketUtils.isOpen(bot.blockAt(position)) || !BucketUtils.isOpen(bot.blockAt(position.offset(0, 1, 0)))) {
+        return false;
+      }
+      return HORIZONTAL.every(offset => {
+        const side = bot.blockAt(position.plus(offset));
+        return !side || side.name !== 'lava';
+      });
+    };
+
+    const spots = [];
+    for (let dy = -STAND_RADIUS; dy <= STAND_RADIUS; dy++) {
+      for (let dx = -STAND_RADIUS; dx <= STAND_RADIUS; dx++) {
+        for (let dz = -STAND_RADIUS; dz <= STAND_RADIUS; dz++) {
+          const spot = around.offset(dx, dy, dz);
+          if (exclude.some(cell => cell.equals(spot) || cell.equals(spot.offset(0, 1, 0)))) continue;
+          if (safe(spot)) spots.push(spot);
+        }
+      }
+    }
+    spots.sort((a, b) => a.distanceTo(feet) - b.distanceTo(feet));
+    if (!exclude.some(cell => cell.equals(feet) || cell.equals(feet.offset(0, 1, 0)))) {
+      return [feet, ...spots.filter(spot => !spot.equals(feet))];
+    }
+    return spots;
+  }
+
+  static eyeAt(bot, spot) {
+    const feet = bot.entity.position.floored();
+    if (spot.equals(feet)) return bot.entity.position.offset(0, EYE_HEIGHT, 0);
+    return spot.offset(0.5, EYE_HEIGHT, 0.5);
+  }
+
+  /**
+   * spot へ移動する（今いるマスならそのまま）
+   */
+  static async stepTo(bot, spot, signal) {
+    if (bot.entity.position.floored().equals(spot)) return true;
+    const result = await moveToPosition(bot, spot.offset(0.5, 0, 0.5), 0, { signal, retries: 1 });
+    if (result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    return bot.entity.position.floored().equals(spot);
+  }
+
+  /**
+   * 空のバケツで水・溶岩を汲む
+   * @param {string} fluid  'water' | 'lava'
+   * @param {Object} options
+   *        ├─ position  汲む源の座標（省略時は近くの源を探す）
+   *        ├─ radius    源を探す範囲（既定 32）
+   *        ├─ exclude   汲まない源の座標（作っている水源など）
+   *        └─ signal    中断用の cancelToken
+   * @returns {Promise<{success: boolean, item?: string, position?: Vec3, error?: string, reason?: string}>}
+   */
+  static async scoop(bot, fluid, options = {}) {
+    const filled = BUCKETS[fluid];
+    if (!BucketUtils.findItem(bot, 'bucket')) {
+      return { success: false, error: '空のバケツがありません', reason: 'NO_TOOL', details: { required: 'bucket' } };
+    }
+
+    const sources = options.position
+      ? [options.position.floored()]
+      : BucketUtils.findSources(bot, fluid, options.radius ?? SEARCH_RADIUS)
+        .filter(position => !(options.exclude || []).some(cell => cell.equals(position)));
+    if (sources.length === 0) {
+      return { success: false, error: `近くに${fluid === 'lava' ? '溶岩' : '水'}源がありません`, reason: 'TARGET_NOT_FOUND' };
+    }
+
+    for (const source of sources) {
+      if (!BucketUtils.isSource(bot.blockAt(source), fluid)) continue;
+      const aim = source.offset(0.5, 0.5, 0.5);
+      const sees = block => block.position.equals(source) || BucketUtils.isSolid(block) ||
+        (block.name === fluid && BucketUtils.isSource(block, fluid));
+      const visible = spot => {
+        const hit = BucketUtils.sight(bot, BucketUtils.eyeAt(bot, spot), aim, sees);
+        return hit && hit.position.equals(source);
+      };
+
+      for (const spot of BucketUtils.standSpots(bot, source, [source]).filter(visible).slice(0, 3)) {
+        if (!await BucketUtils.stepTo(bot, spot, options.signal)) continue;
+        if (!visible(bot.entity.position.floored())) continue;
+
+        const before = BucketUtils.count(bot, filled);
+        await Cancellation.race(bot.equip(BucketUtils.findItem(bot, 'bucket'), 'hand'), options.signal);
+        await bot.lookAt(aim, true);
+        bot.activateItem();
+        await bot.waitForTicks(2);
+        if (BucketUtils.count(bot, filled) > before) {
+          BucketUtils.logger.log(`[バケツ] ${source} の${fluid === 'lava' ? '溶岩' : '水'}を汲みました`);
+          return { success: true, item: filled, position: source };
+        }
+        break;
+      }
+    }
+    return { success: false, error: `汲める${fluid === 'lava' ? '溶岩' : '水'}源に届きません`, reason: 'UNREACHABLE' };
+  }
+
+  /**
+   * 水入りバケツを用意する（持っていなければ空のバケツで近くの水を汲む）
+   */
+  static async fillWater(bot, options = {}) {
+    if (BucketUtils.findItem(bot, BUCKETS.water)) return { success: true, item: BUCKETS.water };
+    return BucketUtils.scoop(bot, 'water', options);
+  }
+
+  /**
+   * 水入り（溶岩入り）バケツで target のマスに水（溶岩）を置く
+   * target に接する固いブロックの面を狙う（下の面を優先）
+   * @param {Vec3} target  水を置くマス
+   * @param {Object} options
+   *        ├─ fluid   'water'（既定）| 'lava'
+   *        └─ signal  中断用の cancelToken
+   * @returns {Promise<{success: boolean, position?: Vec3, error?: string, reason?: string}>}
+   */
+  static async pour(bot, target, options = {}) {
+    target = target.floored();
+    const fluid = options.fluid || 'water';
+    const label = fluid === 'lava' ? '溶岩' : '水';
+    if (fluid === 'water' && !Dimension.canPlaceWater(bot)) {
+      return {
+        success: false,
+        error: 'ネザーでは水が蒸発します',
+        reason: 'WRONG_DIMENSION',
+        details: { dimension: Dimension.current(bot) }
+      };
+    }
+    if (!BucketUtils.findItem(bot, BUCKETS[fluid])) {
+      return { success: false, error: `${label}入りバケツがありません`, reason: 'NO_TOOL', details: { required: BUCKETS[fluid] } };
+    }
+    const current = bot.blockAt(target);
+    if (!current || !(BucketUtils.isOpen(current) || current.name === fluid)) {
+      return { success: false, error: `${target} には${label}を置けません`, reason: 'INVALID_PARAMS' };
+    }
+
+    // 隣の固いブロックの、target に向いた面の中心を狙う
+    const aims = FACE_OFFSETS
+      .map((offset, face) => ({ support: target.plus(offset), face: face ^ 1, offset }))
+      .filter(({ support }) => BucketUtils.isSolid(bot.blockAt(support)))
+      .map(aim => ({ ...aim, point: target.offset(0.5, 0.5, 0.5).plus(aim.offset.scaled(0.49)) }));
+    if (aims.length === 0) {
+      return { success: false, error: `${target} の周りに${label}を置く足場がありません`, reason: 'UNREACHABLE' };
+    }
+
+    const landing = spot => aims.find(aim => {
+      const hit = BucketUtils.sight(bot, BucketUtils.eyeAt(bot, spot), aim.point);
+      return hit && hit.position.equals(aim.support) && hit.face === aim.face;
+    });
+
+    // 自分の足元に置くとき（燃えているとき）だけ target の中に立つ
+    const feet = bot.entity.position.floored();
+    const exclude = feet.equals(target) ? [] : [target];
+    for (const spot of BucketUtils.standSpots(bot, target, exclude).filter(landing).slice(0, 3)) {
+      if (!await BucketUtils.stepTo(bot, spot, options.signal)) continue;
+      const aim = landing(bot.entity.position.floored());
+      if (!aim) continue;
+
+      await Cancellation.race(bot.equip(BucketUtils.findItem(bot, BUCKETS[fluid]), 'hand'), options.signal);
+      await bot.lookAt(aim.point, true);
+      bot.activateItem();
+      await bot.waitForTicks(2);
+      const placed = bot.blockAt(target);
+      if (placed && placed.name === fluid) {
+        BucketUtils.logger.log(`[バケツ] ${target} に${label}を置きました`);
+        return { success: true, position: target };
+      }
+      break;
+    }
+    return { success: false, error: `${target} に${label}を置ける位置に立てません`, reason: 'UNREACHABLE' };
+  }
+
+  /**
+   * かかっている悪い効果の名前（毒・衰弱）
+   */
+  static harmfulEffects(bot) {
+    const registry = bot.registry || require('minecraft-data')(bot.version);
+    return Object.values(bot.entity.effects || {})
+      .map(effect => registry.effects[effect.id] && registry.effects[effect.id].name)
+      .filter(name => HARMFUL_EFFECTS.includes(name));
+  }
+
+  /**
+   * ミルクを飲んで悪い効果を消す
+   * @returns {Promise<{success: boolean, cured?: string[], error?: string, reason?: string}>}
+   */
+  static async drinkMilk(bot, options = {}) {
+    const milk = BucketUtils.findItem(bot, 'milk_bucket');
+    if (!milk) {
+      return {
+        success: false,
+        error: 'ミルクがありません',
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: 'milk_bucket', needed: 1 }] }
+      };
+    }
+    const cured = BucketUtils.harmfulEffects(bot);
+    await Cancellation.race(bot.equip(milk, 'hand'), options.signal);
+    await Cancellation.race(bot.consume(), options.signal);
+    BucketUtils.logger.log(`[バケツ] ミルクを飲みました${cured.length > 0 ? `（${cured.join('・')} を解除）` : ''}`);
+    return { success: true, cured };
+  }
+
+  /**
+   * 近くの牛（ムーシュルーム・ヤギ）から空のバケツでミルクを搾る
+   * @param {Object} options
+   *        ├─ radius  牛を探す範囲（既定 32）
+   *        └─ signal  中断用の cancelToken
+   */
+  static async milk(bot, options = {}) {
+    if (!BucketUtils.findItem(bot, 'bucket')) {
+      return { success: false, error: '空のバケツがありません', reason: 'NO_TOOL', details: { required: 'bucket' } };
+    }
+    const animal = BucketUtils.findMilkable(bot, options.radius ?? SEARCH_RADIUS);
+    if (!animal) return { success: false, error: '近くに牛がいません', reason: 'TARGET_NOT_FOUND' };
+
+    const moved = await moveToEntity(bot, animal, 2, { signal: options.signal });
+    if (moved.reason === Cancellation.CANCELLED) return moved;
+    if (!moved.success) return { success: false, error: `${animal.name} に近づけません`, reason: 'UNREACHABLE' };
+
+    const before = BucketUtils.count(bot, 'milk_bucket');
+    await Cancellation.race(bot.equip(BucketUtils.findItem(bot, 'bucket'), 'hand'), options.signal);
+    await bot.activateEntity(animal);
+    await bot.waitForTicks(2);
+    if (BucketUtils.count(bot, 'milk_bucket') <= before) {
+      return { success: false, error: `${animal.name} から搾れませんでした`, reason: 'ACTION_FAILED' };
+    }
+    BucketUtils.logger.log(`[バケツ] ${animal.name} からミルクを搾りました`);
+    return { success: true, item: 'milk_bucket' };
+  }
+
+  static findMilkable(bot, radius = SEARCH_RADIUS) {
+    return bot.nearestEntity(entity => MILKABLE.includes(entity.name) && !Husbandry.isBaby(entity) &&
+      entity.position.distanceTo(bot.entity.position) <= radius) || null;
+  }
+
+  /**
+   * 燃えているか（エンティティフラグ 0x01）
+   */
+  static isBurning(bot) {
+    const flags = bot.entity.metadata && bot.entity.metadata[0];
+    return typeof flags === 'number' && (flags & 0x01) !== 0;
+  }
+
+  static findFires(bot, radius = 8, count = 16) {
+    return bot.findBlocks({
+      matching: block => FIRES.includes(block.name),
+      maxDistance: radius,
+      count
+    });
+  }
+}
+
+module.exports = { BucketUtils };
@@ -0,0 +1,367 @@
+/**
+ * CombatSystem - 戦闘（武器と盾の準備、攻撃のクールダウン、標的の選択、戦うか逃げるかの判断）
+ * 攻撃は武器の攻撃速度から決まるクールダウンが溜まってから振る（溜まる前に振ると威力が大きく落ちる）。
+ * 待っている間は盾を構えて左右に動き、攻撃する瞬間だけ盾を下ろす。
+ * 弓かクロスボウと矢があれば、射手・クリーパー・たどり着けない敵は近づかずに撃つ (RangedCombat)。飛んでくる矢は戦いの途中でも防ぐ。
+ *
+ * 標的の優先度: 近くのクリーパー（爆発される前に倒すか離れる）> 射線の通ったスケルトンなど > 近接の敵。
+ * 壁の向こうにいる遠距離の敵は撃ってこないので後回しにする（追いかけると開けた場所へ誘い出される）。
+ * 逃げる条件: 体力が少ない / 近くの敵が多すぎる / 素手でクリーパーに近づかれた
+ */
+
+const { Vec3 } = require('vec3');
+const InventoryUtils = require('./InventoryUtils');
+const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+const { RangedCombat } = require('./RangedCombat');
+const { moveToEntity, moveToPosition } = require('./utils/MovementUtils');
+const { Dimension } = require('./Dimension');
+
+// kind: melee（近づいて殴る）/ ranged（離れて撃つ）/ explosive（近づいて爆発する）、danger: 危険度
+// goldTruce: 金の防具を 1 つでも着けていれば襲ってこない
+const HOSTILE_MOBS = {
+  zombie: { kind: 'melee', danger: 2 },
+  husk: { kind: 'melee', danger: 2 },
+  drowned: { kind: 'melee', danger: 2 },
+  zombie_villager: { kind: 'melee', danger: 2 },
+  spider: { kind: 'melee', danger: 2 },
+  cave_spider: { kind: 'melee', danger: 3 },
+  silverfish: { kind: 'melee', danger: 1 },
+  slime: { kind: 'melee', danger: 1 },
+  magma_cube: { kind: 'melee', danger: 2 },
+  phantom: { kind: 'melee', danger: 3 },
+  vindicator: { kind: 'melee', danger: 4 },
+  wither_skeleton: { kind: 'melee', danger: 4 },
+  piglin: { kind: 'melee', danger: 3, goldTruce: true },
+  piglin_brute: { kind: 'melee', danger: 5 },
+  hoglin: { kind: 'melee', danger: 4 },
+  zoglin: { kind: 'melee', danger: 4 },
+  skeleton: { kind: 'ranged', danger: 3 },
+  stray: { kind: 'ranged', danger: 3 },
+  pillager: { kind: 'ranged', danger: 3 },
+  witch: { kind: 'ranged', danger: 3 },
+  blaze: { kind: 'ranged', danger: 4 },
+  ghast: { kind: 'ranged', danger: 4 },
+  creeper: { kind: 'explosive', danger: 5 }
+};
+
+const FIGHT_RADIUS = 16;
+const ENGAGE_RADIUS = 8; // この距離の敵の数で囲まれているかを判断する
+const MELEE_REACH = 3;
+const RETREAT_HEALTH = 8;
+const MAX_ENGAGED = 3;
+const CREEPER_FUSE_RANGE = 3; // クリーパーが導火線に火を付ける距離
+const CREEPER_ALERT_RANGE = 6;
+const CREEPER_BACKOFF_TICKS = 10;
+const RETREAT_DISTANCE = 12;
+const FIGHT_TICKS = 600;
+const APPROACH_TIMEOUT_MS = 8000;
+const OFF_HAND_SLOT = 45;
+const EYE_HEIGHT = 1.62;
+
+class CombatSystem {
+  static HOSTILE_MOBS = HOSTILE_MOBS;
+  static FIGHT_RADIUS = FIGHT_RADIUS;
+  static ENGAGE_RADIUS = ENGAGE_RADIUS;
+  static MELEE_REACH = MELEE_REACH;
+  static RETREAT_HEALTH = RETREAT_HEALTH;
+  static MAX_ENGAGED = MAX_ENGAGED;
+
+  static logger = Logger.createLogger('CombatSystem');
+
+  /**
+   * 敵対 mob か。bot を渡すと、金の防具を着けているときのピグリンは敵に数えない
+   */
+  static isHostile(entity, bot = null) {
+    const info = entity && HOSTILE_MOBS[entity.name];
+    if (!info) return false;
+    return !(info.goldTruce && bot && Dimension.wearsGold(bot));
+  }
+
+  /**
+   * center から radius 以内の敵対 mob（ボットに近い順）
+   */
+  static nearbyHostiles(bot, radius = FIGHT_RADIUS, center = null) {
+    const origin = center || bot.entity.position;
+    return Object.values(bot.entities)
+      .filter(entity => entity !== bot.entity && entity.isValid !== false && entity.position &&
+        CombatSystem.isHostile(entity, bot) && entity.position.distanceTo(origin) <= radius)
+      .sort((a, b) => a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position));
+  }
+
+  /**
+   * ボットの目から敵の頭までの間にブロックが無いか
+   */
+  static hasLineOfSight(bot, entity) {
+    if (!bot.world || typeof bot.world.raycast !== 'function') return true;
+    const eye = bot.entity.position.offset(0, EYE_HEIGHT, 0);
+    const head = entity.position.offset(0, (entity.height || 1.8) * 0.85, 0);
+    const distance = eye.distanceTo(head);
+    if (distance === 0) return true;
+    return !bot.world.raycast(eye, head.minus(eye).scaled(1 / distance), distance);
+  }
+
+  /**
+   * 標的としての優先度（大きいほど先に倒す）
+   */
+  static threatScore(bot, entity) {
+    const info = HOSTILE_MOBS[entity.name];
+    if (!info) return 0;
+    const distance = Math.max(1, entity.position.distanceTo(bot.entity.position));
+    let score = info.danger * 10 / distance;
+    if (info.kind === 'explosive' && distance <= CREEPER_ALERT_RANGE) score *= 3;
+    if (info.kind === 'ranged') score *= CombatSystem.hasLineOfSight(bot, entity) ? 1.5 : 0.2;
+    return score;
+  }
+
+  static chooseTarget(bot, hostiles) {
+    let best = null;
+    let bestScore = 0;
+    for (const entity of hostiles) {
+      const score = CombatSystem.threatScore(bot, entity);
+      if (score > bestScore) {
+        best = entity;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 戦うか逃げるかの判断
+   * @param {Object} options
+   *        ├─ radius         敵を探す範囲 (default 16)
+   *        ├─ center         探す範囲の中心（守る相手の位置など。default ボットの位置）
+   *        ├─ retreatHealth  これ以下の体力なら逃げる (default 8)
+   *        ├─ maxEngaged     近くにこれより多く敵がいたら逃げる (default 3)
+   *        └─ exclude        標的にしないエンティティ id の Set（たどり着けなかった敵など）
+   * @returns {{action: 'fight'|'flee'|'none', target, hostiles, reason}}
+   */
+  static assess(bot, options = {}) {
+    const retreatHealth = options.retreatHealth ?? RETREAT_HEALTH;
+    const maxEngaged = options.maxEngaged ?? MAX_ENGAGED;
+    const hostiles = CombatSystem.nearbyHostiles(bot, options.radius ?? FIGHT_RADIUS, options.center);
+    const candidates = options.exclude ? hostiles.filter(entity => !options.exclude.has(entity.id)) : hostiles;
+    if (candidates.length === 0) return { action: 'none', target: null, hostiles, reason: null };
+
+    const target = CombatSystem.chooseTarget(bot, candidates);
+    const engaged = hostiles.filter(entity => entity.position.distanceTo(bot.entity.position) <= ENGAGE_RADIUS);
+    const flee = reason => ({ action: 'flee', target, hostiles, reason });
+
+    if (typeof bot.health === 'number' && bot.health <= retreatHealth) return flee('LOW_HEALTH');
+    if (engaged.length > maxEngaged) return flee('OUTNUMBERED');
+    if (target.name === 'creeper' && !InventoryUtils.getBestWeapon(bot).weapon &&
+        target.position.distanceTo(bot.entity.position) <= CREEPER_ALERT_RANGE) {
+      return flee('CREEPER_UNARMED');
+    }
+    return { action: 'fight', target, hostiles, reason: null };
+  }
+
+  // --- 装備 ---------------------------------------------------------------
+
+  /**
+   * 一番強い武器を持つ。武器が無ければ今の持ち物のまま（素手と同じ攻撃になる）
+   * @returns {{damage, attackSpeed, dps}} 手に持っている物の攻撃性能
+   */
+  static async equipWeapon(bot) {
+    const best = InventoryUtils.getBestWeapon(bot);
+    const held = bot.heldItem;
+    if (best.weapon && (!held || held.name !== best.weapon.name)) {
+      try {
+        await bot.equip(best.weapon, 'hand');
+      } catch (error) {
+        CombatSystem.logger.warn(`[戦闘] ${best.weapon.name} を持てません: ${error.message}`);
+      }
+    }
+    const current = bot.heldItem;
+    return InventoryUtils.getWeaponStats(current ? current.name : null) || InventoryUtils.getWeaponStats(null);
+  }
+
+  /**
+   * 盾を左手に持つ。盾が無ければ false
+   */
+  static async equipShield(bot) {
+    const offHand = bot.inventory.slots[OFF_HAND_SLOT];
+    if (offHand && offHand.name === 'shield') return true;
+    const shield = bot.inventory.items().find(item => item && item.name === 'shield');
+    if (!shield) return false;
+    try {
+      await bot.equip(shield, 'off-hand');
+      return true;
+    } catch (error) {
+      CombatSystem.logger.warn(`[戦闘] 盾を持てません: ${error.message}`);
+      return false;
+    }
+  }
+
+  static raiseShield(bot, hasShield) {
+    if (hasShield && !bot.usingHeldItem) bot.activateItem(true);
+  }
+
+  static lowerShield(bot) {
+    if (bot.usingHeldItem) bot.deactivateItem();
+  }
+
+  /**
+   * クールダウンが溜まるまでの tick 数（20 tick = 1 秒）
+   */
+  static cooldownTicks(stats) {
+    return Math.ceil(20 / stats.attackSpeed);
+  }
+
+  // --- 戦闘 ---------------------------------------------------------------
+
+  /**
+   * 1 体の敵と戦う。倒すか、見失うか、体力が減るか、時間切れになるまで続ける
+   * @param {Object} options
+   *        ├─ signal         中断用の AbortSignal
+   *        ├─ maxTicks       戦う時間の上限 (default 600 = 30 秒)
+   *        └─ retreatHealth  これ以下の体力になったら戦いをやめる (default 8)
+   * @returns {{killed: boolean, outcome: 'killed'|'gone'|'low_health'|'unreachable'|'timeout', hits, shots}}
+   */
+  static async fight(bot, target, options = {}) {
+    const { signal } = options;
+    const maxTicks = options.maxTicks ?? FIGHT_TICKS;
+    const retreatHealth = options.retreatHealth ?? RETREAT_HEALTH;
+    const info = HOSTILE_MOBS[target.name] || { kind: 'melee', danger: 1 };
+    const alive = () => bot.entities[target.id] === target && target.isValid !== false;
+
+    let stats = await CombatSystem.equipWeapon(bot);
+    const hasShield = await CombatSystem.equipShield(bot);
+    let cooldown = CombatSystem.cooldownTicks(stats);
+    let armed = true; // 弓やブロックに持ち替えたら false
+    let elapsed = 0;
+    let charged = cooldown; // 戦いの前は振っていないので溜まっている
+    let hits = 0;
+    let shots = 0;
+    let strafe = 'left';
+    // 射手とクリーパーは弓があれば近づかずに撃つ。たどり着けない敵も撃てるなら撃つ
+    let preferRanged = info.kind !== 'melee';
+    const evaded = new Set();
+    const finish = outcome => ({ killed: outcome === 'killed', outcome, hits, shots });
+
+    CombatSystem.logger.log(`[戦闘] ${target.name} と戦います（攻撃力 ${stats.damage}、${cooldown} tick ごと）`);
+    try {
+      while (true) {
+        Cancellation.throwIfCancelled(signal);
+        if (!alive()) return finish(hits + shots > 0 ? 'killed' : 'gone');
+        if (typeof bot.health === 'number' && bot.health <= retreatHealth) return finish('low_health');
+        if (elapsed >= maxTicks) return finish('timeout');
+
+        const incoming = RangedCombat.incomingProjectiles(bot).filter(threat => !evaded.has(threat.entity.id));
+        if (incoming.length > 0) {
+          CombatSystem.stopMoving(bot);
+          incoming.forEach(threat => evaded.add(threat.entity.id));
+          const evasion = await RangedCombat.evade(bot, incoming, { signal });
+          if (evasion.action === 'cover') armed = false;
+          elapsed += incoming[0].ticks;
+          continue;
+        }
+
+        const distance = target.position.distanceTo(bot.entity.position);
+        if (distance > MELEE_REACH) {
+          CombatSystem.stopMoving(bot);
+          if (preferRanged && RangedCombat.canShoot(bot) && CombatSystem.hasLineOfSight(bot, target)) {
+            CombatSystem.lowerShield(bot);
+            const shot = await RangedCombat.shoot(bot, target, { signal });
+            elapsed += shot.ticks;
+            if (shot.success) {
+              shots++;
+              armed = false;
+              continue;
+            }
+          }
+          // 撃たれながら近づくときは盾を構える
+          if (info.kind === 'ranged') CombatSystem.raiseShield(bot, hasShield);
+          const moved = await moveToEntity(bot, target, MELEE_REACH - 1, { signal, timeoutMs: APPROACH_TIMEOUT_MS });
+          if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+          if (!moved.success) {
+            if (preferRanged || !RangedCombat.canShoot(bot)) return finish('unreachable');
+            preferRanged = true;
+          }
+          continue;
+        }
+
+        if (!armed) {
+          stats = await CombatSystem.equipWeapon(bot);
+          cooldown = CombatSystem.cooldownTicks(stats);
+          armed = true;
+        }
+
+        await bot.lookAt(target.position.offset(0, (target.height || 1.8) * 0.85, 0), true);
+        if (charged < cooldown) {
+          CombatSystem.raiseShield(bot, hasShield);
+          if (info.kind === 'explosive' && distance <= CREEPER_FUSE_RANGE) {
+            // 溜まる前にクリーパーが膨らみ始めたら下がって導火線を止める
+            bot.setControlState('back', true);
+          } else {
+            bot.setControlState(strafe, true);
+          }
+          const wait = Math.min(cooldown - charged, 5);
+          await Cancellation.race(bot.waitForTicks(wait), signal);
+          charged += wait;
+          elapsed += wait;
+          CombatSystem.stopMoving(bot);
+          continue;
+        }
+
+        CombatSystem.lowerShield(bot);
+        bot.attack(target);
+        hits++;
+        charged = 0;
+        strafe = strafe === 'left' ? 'right' : 'left';
+        if (info.kind === 'explosive' && alive()) {
+          bot.setControlState('back', true);
+          await Cancellation.race(bot.waitForTicks(CREEPER_BACKOFF_TICKS), signal);
+          charged += CREEPER_BACKOFF_TICKS;
+          elapsed += CREEPER_BACKOFF_TICKS;
+          CombatSystem.stopMoving(bot);
+        } else {
+          await Cancellation.race(bot.waitForTicks(1), signal);
+          charged++;
+          elapsed++;
+        }
+      }
+    } finally {
+      CombatSystem.stopMoving(bot);
+      CombatSystem.lowerShield(bot);
+    }
+  }
+
+  static stopMoving(bot) {
+    for (const control of ['left', 'right', 'back']) bot.setControlState(control, false);
+  }
+
+  /**
+   * 敵のいる方向の反対へ離れる
+   * @param {Array} hostiles - 離れたい敵
+   * @param {Object} options
+   *        ├─ signal    中断用の AbortSignal
+   *        └─ distance  離れる距離 (default 12)
+   * @returns {Promise<{success:boolean, error?:string}>}
+   */
+  static async retreat(bot, hostiles, options = {}) {
+    const position = bot.entity.position;
+    const away = new Vec3(0, 0, 0);
+    for (const entity of hostiles) {
+      const offset = position.minus(entity.position);
+      offset.y = 0;
+      const length = offset.norm();
+      // 近い敵ほど強く避ける
+      if (length > 0) away.add(offset.scaled(1 / (length * length)));
+    }
+    if (away.norm() === 0) away.x = 1;
+    const distance = options.distance ?? RETREAT_DISTANCE;
+    const destination = position.plus(away.scaled(distance / away.norm())).floored().offset(0.5, 0, 0.5);
+
+    CombatSystem.lowerShield(bot);
+    CombatSystem.logger.log(`[戦闘] ${hostiles.length} 体の敵から ${destination} へ離れます`);
+    const moved = await moveToPosition(bot, destination, 3, {
+      signal: options.signal, timeoutMs: APPROACH_TIMEOUT_MS, retries: 1
+    });
+    if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(options.signal);
+    return moved;
+  }
+}
+
+module.exports = { CombatSystem };
@@ -3,10 +3,36 @@ const { GoalBlock, GoalLookAtBlock } = goals;
 const { Vec3 } = require('vec3');
 const InventoryUtils = require('./InventoryUtils');
 const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+const { MiningSafety } = require('./MiningSafety');
+
+// 橋・足場・トンネルの床に使い捨てるブロック（先頭ほど安いので先に使う）
+const THROWAWAY_BLOCKS = [
+  'dirt', 'cobblestone', 'netherrack', 'cobbled_deepslate', 'andesite', 'diorite', 'granite', 'stone'
+];
+const THROWAWAY_RESERVE = 4; // 穴を塞ぐ・溶岩をせき止める分として、使い捨てブロックはこの数だけ残す
+const MAX_BRIDGE = 64;
+const MAX_PILLAR = 32;
+const MAX_TUNNEL = 64;
+const JUMP_TICKS = 10; // 跳んでから足元が 1 ブロック上がるまで待つ上限
+const LAND_TICKS = 20;
+const CLEAR_ATTEMPTS = 8; // 砂利・砂が落ちてくる間は掘り直す
+const UP = new Vec3(0, 1, 0);
 
 class ControlPrimitives {
-  constructor(bot) {
+  static THROWAWAY_BLOCKS = THROWAWAY_BLOCKS;
+  static THROWAWAY_RESERVE = THROWAWAY_RESERVE;
+
+  /**
+   * @param {Object} bot - mineflayer bot
+   * @param {Object} options
+   *        ├─ cancelToken        AbortSignal。中断されると移動・採掘・クラフトを止めて CancelledError を投げる
+   *        └─ throwawayReserve   橋・足場・トンネルで使わずに残す使い捨てブロックの数（既定 4）
+   */
+  constructor(bot, options = {}) {
     this.bot = bot;
+    this.cancelToken = options.cancelToken || null;
+    this.throwawayReserve = options.throwawayReserve ?? THROWAWAY_RESERVE;
     this.mcData = require('minecraft-data')(bot.version);
     this.mineBlockFailCount = 0;
     this.craftItemFailCount = 0;
@@ -17,6 +43,15 @@ class ControlPrimitives {
     this.initializePathfinder();
   }
 
+  setCancelToken(signal) {
+    this.cancelToken = signal || null;
+  }
+
+  // 長い待ちを cancelToken と競合させ、中断時はボットの動作を止める
+  withCancel(promise) {
+    return Cancellation.race(promise, this.cancelToken, () => Cancellation.stopBot(this.bot));
+  }
+
   initializePathfinder() {
     try {
       if (this.bot.loadPlugin && !this.bot.pathfinder) {
@@ -106,9 +141,10 @@ class ControlPrimitives {
     }
 
     // Check if we have the right tool
+    Cancellation.throwIfCancelled(this.cancelToken);
     const tool = this.getOptimalTool(blockByName);
     if (tool) {
-      await this.bot.equip(tool, 'hand');
+      await this.withCancel(this.bot.equip(tool, 'hand'));
       this.logger.log(`Equipped ${tool.name} for mining ${name}`);
     } else {
       this.logger.warn(`Mining ${name} without proper tool`);
@@ -116,23 +152,26 @@ class ControlPrimitives {
 
     let mined = 0;
     for (let i = 0; i < blocks.length && mined < count; i++) {
+      Cancellation.throwIfCancelled(this.cancelToken);
       try {
         const block = this.bot.blockAt(blocks[i]);
         if (block && block.name === name) {
           // Move closer to block if needed
           const distance = this.bot.entity.position.distanceTo(block.position);
           if (distance > 4.5) {
-            await this.bot.pathfinder.goto(new GoalBlock(block.position.x, block.position.y, block.position.z));
+            const goal = new GoalBlock(block.position.x, block.position.y, block.position.z);
+            await this.withCancel(this.bot.pathfinder.goto(goal));
           }
 
           this.logger.log(`Mining ${name} ${mined + 1}/${count} at ${block.position}`);
-          await this.bot.dig(block);
+          await this.withCancel(this.bot.dig(block));
           mined++;
 
           // Small delay to prevent spam
           await this.sleep(100);
         }
       } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
         this.logger.error(`Failed to mine block: ${error.message}`);
         continue;
       }
@@ -199,9 +238,9 @@ class ControlPrimitives {
     if (!craftingTable) {
       this.logger.log('No crafting table found, crafting in inventory');
     } else {
-      await this.bot.pathfinder.goto(
+      await this.withCancel(this.bot.pathfinder.goto(
         new GoalLookAtBlock(craftingTable.position, this.bot.world)
-      );
+      ));
       this.logger.log(`Moved to crafting table at ${craftingTable.position}`);
     }
 
@@ -223,15 +262,16 @@ class ControlPrimitives {
       this.logger.log(`Crafting ${name} x${count}`);
 
       if (craftingTable && !this.bot.currentWindow) {
-        await this.bot.activateBlock(craftingTable);
+        await this.withCancel(this.bot.activateBlock(craftingTable));
         this.logger.log('Opened crafting table');
       }
 
-      await this.bot.craft(recipe, count, craftingTable);
+      await this.withCancel(this.bot.craft(recipe, count, craftingTable));
       this.bot.chat(`Successfully crafted ${name} x${count}`);
       this.craftItemFailCount = 0; // Reset fail count on success
       return true;
     } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
       this.bot.chat(`Failed to craft ${name}: ${error.message}`);
       this.logger.error(`Craft error: ${error.message}`);
       return false;
@@ -282,7 +322,7 @@ class ControlPrimitives {
     this.logger.log(`Placing ${name} at ${position}`);
 
     try {
-      await this.bot.equip(item, 'hand');
+      await this.withCancel(this.bot.equip(item, 'hand'));
 
       // Find reference block (ground)
       const referenceBlock = this.bot.blockAt(position.offset(0, -1, 0));
@@ -290,10 +330,11 @@ class ControlPrimitives {
         throw new Error(`No reference block found at ${position.offset(0, -1, 0)}`);
       }
 
-      await this.bot.placeBlock(referenceBlock, new Vec3(0, 1, 0));
+      await this.withCancel(this.bot.placeBlock(referenceBlock, new Vec3(0, 1, 0)));
       this.logger.log(`Successfully placed ${name}`);
       return true;
     } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
       this.logger.error(`Failed to place ${name}: ${error.message}`);
       return false;
     }
@@ -306,6 +347,8 @@ class ControlPrimitives {
     const maxTimeMs = maxTime * 1000;
 
     while (Date.now() - startTime < maxTimeMs) {
+      Cancellation.throwIfCancelled(this.cancelToken);
+
       // Check condition
       const result = condition();
       if (result) {
@@ -322,9 +365,10 @@ class ControlPrimitives {
       );
 
       try {
-        await this.bot.pathfinder.goto(new GoalBlock(targetPos.x, targetPos.y, targetPos.z));
+        await this.withCancel(this.bot.pathfinder.goto(new GoalBlock(targetPos.x, targetPos.y, targetPos.z)));
         await this.sleep(500); // Optimized wait - reduced from 1000ms to 500ms for faster exploration
       } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
         // If can't reach target, try random direction
         const angle = Math.random() * Math.PI * 2;
         const randomTarget = pos.offset(
@@ -334,8 +378,10 @@ class ControlPrimitives {
         );
 
         try {
-          await this.bot.pathfinder.goto(new GoalBlock(randomTarget.x, randomTarget.y, randomTarget.z));
+          const randomGoal = new GoalBlock(randomTarget.x, randomTarget.y, randomTarget.z);
+          await this.withCancel(this.bot.pathfinder.goto(randomGoal));
         } catch (e) {
+          if (Cancellation.isCancellationError(e)) throw e;
           this.logger.warn('Movement failed, continuing exploration...');
         }
       }
@@ -349,17 +395,319 @@ class ControlPrimitives {
     console.log(`[ControlPrimitives] Moving to position (${x}, ${y}, ${z})`);
 
     try {
-      await this.bot.pathfinder.goto(new GoalBlock(x, y, z));
+      await this.withCancel(this.bot.pathfinder.goto(new GoalBlock(x, y, z)));
       console.log('[ControlPrimitives] Successfully reached target position');
       return true;
     } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
       console.log(`[ControlPrimitives] Failed to reach position: ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * 谷・川・崖の切れ目に、足元の高さのまま使い捨てブロックで橋を架けて渡る。
+   * target へ x か z の差が大きい方の軸で一歩ずつ進み、床のないマスにはスニークして今の床の側面へブロックを置いてから乗る。
+   * 切れ目を渡りきるか、target の真横（同じ x・z）に着くか、体の通るマスが塞がっていたら止まる
+   * @param {Vec3} target - 目的地
+   * @returns {Promise<{success: boolean, placed: number, position: Vec3, error?: string, reason?: string,
+   *   details?: Object}>}
+   */
+  async bridgeTo(target) {
+    const shortage = this.throwawayShortage(this.measureGap(target));
+    if (shortage) return { ...shortage, placed: 0, position: this.feet() };
+
+    let placed = 0;
+    for (let steps = 0; steps < MAX_BRIDGE; steps++) {
+      Cancellation.throwIfCancelled(this.cancelToken);
+      const feet = this.feet();
+      const direction = ControlPrimitives.stepToward(feet, target);
+      if (!direction) break;
+
+      const next = feet.plus(direction);
+      if (!this.isOpen(next) || !this.isOpen(next.plus(UP))) {
+        if (placed > 0) break;
+        return this.failure('BLOCKED', `Bridge blocked at ${next}`, { placed });
+      }
+
+      const floor = next.offset(0, -1, 0);
+      if (!this.isSolid(floor)) {
+        this.bot.setControlState('sneak', true);
+        let failed;
+        try {
+          failed = await this.placeThrowaway(floor);
+        } finally {
+          this.bot.setControlState('sneak', false);
+        }
+        if (failed) return { ...failed, placed };
+        placed++;
+      } else if (placed > 0) {
+        break; // 向こう岸に着いた
+      }
+
+      if (!await this.stepTo(next)) return this.failure('STUCK', `Could not step onto ${next}`, { placed });
+    }
+
+    this.logger.log(`Bridged with ${placed} blocks, now at ${this.feet()}`);
+    return { success: true, placed, position: this.feet() };
+  }
+
+  /**
+   * その場で跳び、足元へ使い捨てブロックを積んで height ブロック上がる（1 回の跳躍で 1 段）
+   * 頭上が塞がっていれば掘ってから跳ぶ。溶岩・水に触れるマスは掘らずに止まる
+   * @param {number} height - 上がる高さ（最大 32）
+   * @returns {Promise<{success: boolean, placed: number, position: Vec3, error?: string, reason?: string,
+   *   details?: Object}>}
+   */
+  async pillarUp(height) {
+    if (typeof height !== 'number' || height < 1) {
+      throw new Error('height for pillarUp must be a positive number');
+    }
+    const count = Math.min(Math.floor(height), MAX_PILLAR);
+    const shortage = this.throwawayShortage(count);
+    if (shortage) return { ...shortage, placed: 0, position: this.feet() };
+
+    let placed = 0;
+    while (placed < count) {
+      Cancellation.throwIfCancelled(this.cancelToken);
+      const feet = this.feet();
+      const blocked = await this.clearCell(feet.offset(0, 2, 0));
+      if (blocked) return { ...blocked, placed };
+
+      const item = this.chooseThrowawayBlock();
+      if (!item) return { ...this.throwawayShortage(count - placed), placed, position: feet };
+      await this.withCancel(this.bot.equip(item, 'hand'));
+      await this.withCancel(this.bot.look(this.bot.entity.yaw, -Math.PI / 2, true));
+
+      this.bot.setControlState('jump', true);
+      try {
+        if (!await this.waitUntil(() => this.bot.entity.position.y >= feet.y + 1, JUMP_TICKS)) {
+          return this.failure('STUCK', `Could not jump at ${feet}`, { placed });
+        }
+        await this.withCancel(this.bot.placeBlock(this.bot.blockAt(feet.offset(0, -1, 0)), UP));
+      } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
+        return this.failure('ACTION_FAILED', `Failed to place ${item.name} at ${feet}: ${error.message}`, { placed });
+      } finally {
+        this.bot.setControlState('jump', false);
+      }
+
+      await this.waitUntil(() => this.bot.entity.onGround, LAND_TICKS);
+      if (this.feet().y !== feet.y + 1) {
+        return this.failure('STUCK', `Did not land on the pillar at ${feet}`, { placed });
+      }
+      placed++;
+    }
+
+    this.logger.log(`Pillared up ${placed} blocks, now at ${this.feet()}`);
+    return { success: true, placed, position: this.feet() };
+  }
+
+  /**
+   * target まで高さ 2 のトンネルを掘って進む。x か z の差が大きい方へ一歩ずつ、高さが違えば一段ずつ上り下りする
+   * 溶岩・水に触れるマスは掘らずに止まり（reason 'HAZARD'）、床が抜けていれば使い捨てブロックで埋める。
+   * target の真上か真下（同じ x・z）に着いたら止まる
+   * @param {Vec3} target - 目的地
+   * @returns {Promise<{success: boolean, dug: number, placed: number, position: Vec3, error?: string,
+   *   reason?: string, details?: Object}>}
+   */
+  async tunnelTo(target) {
+    const goal = target.floored();
+    let dug = 0;
+    let placed = 0;
+    for (let steps = 0; steps < MAX_TUNNEL; steps++) {
+      Cancellation.throwIfCancelled(this.cancelToken);
+      const feet = this.feet();
+      const direction = ControlPrimitives.stepToward(feet, goal);
+      if (!direction) break;
+
+      const rise = Math.sign(goal.y - feet.y);
+      const next = feet.plus(direction).offset(0, rise, 0);
+      // 体の通る 2 マス。上りは今の頭上、下りは次のマスの頭上の 1 つ上も空ける
+      const cells = [next, next.plus(UP)];
+      if (rise > 0) cells.push(feet.offset(0, 2, 0));
+      if (rise < 0) cells.push(next.offset(0, 2, 0));
+      for (const cell of cells) {
+        if (this.isOpen(cell)) continue;
+        const blocked = await this.clearCell(cell);
+        if (blocked) return { ...blocked, dug, placed };
+        dug++;
+      }
+
+      const floor = next.offset(0, -1, 0);
+      if (!this.isSolid(floor)) {
+        const failed = await this.placeThrowaway(floor);
+        if (failed) return { ...failed, dug, placed };
+        placed++;
+      }
+
+      if (!await this.stepTo(next)) return this.failure('STUCK', `Could not step into ${next}`, { dug, placed });
+    }
+
+    const position = this.feet();
+    if (ControlPrimitives.stepToward(position, goal)) {
+      const left = position.distanceTo(goal).toFixed(0);
+      return this.failure('STUCK', `Tunnel stopped ${left} blocks short of ${goal}`, { dug, placed });
+    }
+    this.logger.log(`Tunnelled ${dug} blocks, now at ${position}`);
+    return { success: true, dug, placed, position };
+  }
+
+  // from から target へ向かう水平の一歩（x と z の差が大きい方の軸）。真上・真下なら null
+  static stepToward(from, target) {
+    const dx = Math.floor(target.x) - Math.floor(from.x);
+    const dz = Math.floor(target.z) - Math.floor(from.z);
+    if (dx === 0 && dz === 0) return null;
+    return Math.abs(dx) >= Math.abs(dz) ? new Vec3(Math.sign(dx), 0, 0) : new Vec3(0, 0, Math.sign(dz));
+  }
+
+  // bridgeTo が置くブロックの数（target へ向かって最初にある切れ目の幅）
+  measureGap(target) {
+    let cell = this.feet();
+    let gap = 0;
+    for (let steps = 0; steps < MAX_BRIDGE; steps++) {
+      const direction = ControlPrimitives.stepToward(cell, target);
+      if (!direction) break;
+      cell = cell.plus(direction);
+      if (!this.isSolid(cell.offset(0, -1, 0))) {
+        gap++;
+      } else if (gap > 0) {
+        break;
+      }
+    }
+    return gap;
+  }
+
+  // 使い捨てブロックの手持ちの合計
+  throwawayCount() {
+    return this.bot.inventory.items()
+      .filter(item => item && THROWAWAY_BLOCKS.includes(item.name))
+      .reduce((total, item) => total + item.count, 0);
+  }
+
+  // 次に置く使い捨てブロック（一番安いもの）。置くと残しておく数を割るなら null
+  chooseThrowawayBlock() {
+    if (this.throwawayCount() <= this.throwawayReserve) return null;
+    const items = this.bot.inventory.items();
+    for (const name of THROWAWAY_BLOCKS) {
+      const item = items.find(item => item && item.name === name);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  // needed 個置くと残しておく数を割るときの失敗結果（足りていれば null）
+  throwawayShortage(needed) {
+    const missing = needed + this.throwawayReserve - this.throwawayCount();
+    if (needed <= 0 || missing <= 0) return null;
+    return {
+      success: false,
+      error: `Need ${missing} more throwaway blocks (keeping ${this.throwawayReserve} in reserve)`,
+      reason: 'INSUFFICIENT_MATERIALS',
+      // 石を掘れば丸石が手に入るので、足りない分は丸石で求める
+      details: { missing: [{ item: 'cobblestone', needed: missing }] }
+    };
+  }
+
+  // cell に使い捨てブロックを置く。隣の固いブロック（下を優先）の面に当てる。失敗したら失敗結果を返す
+  async placeThrowaway(cell) {
+    const item = this.chooseThrowawayBlock();
+    if (!item) return { ...this.throwawayShortage(1), position: this.feet() };
+
+    const offsets = [new Vec3(0, -1, 0), ...MiningSafety.FACES.filter(face => face.y === 0), UP];
+    const offset = offsets.find(offset => this.isSolid(cell.plus(offset)));
+    if (!offset) return this.failure('ACTION_FAILED', `Nothing to place ${item.name} against at ${cell}`);
+
+    try {
+      await this.withCancel(this.bot.equip(item, 'hand'));
+      await this.withCancel(this.bot.placeBlock(this.bot.blockAt(cell.plus(offset)), offset.scaled(-1)));
+      return null;
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      return this.failure('ACTION_FAILED', `Failed to place ${item.name} at ${cell}: ${error.message}`);
+    }
+  }
+
+  // cell を掘って空ける。溶岩・水に触れるマスは掘らない。空けられなければ失敗結果を返す
+  async clearCell(cell) {
+    for (let attempt = 0; attempt < CLEAR_ATTEMPTS; attempt++) {
+      if (this.isOpen(cell)) return null;
+      const block = this.bot.blockAt(cell);
+      if (!block || block.diggable === false) {
+        return this.failure('BLOCKED', `Cannot dig ${block ? block.name : 'unloaded block'} at ${cell}`);
+      }
+
+      const check = MiningSafety.checkDig(this.bot, cell);
+      if (!check.safe) {
+        return this.failure('HAZARD', `Digging ${cell} would open into ${check.hazards[0].type}`, {
+          details: { position: cell, hazards: check.hazards }
+        });
+      }
+
+      try {
+        await this.equipToolFor(block);
+        await this.withCancel(this.bot.dig(block));
+      } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
+        return this.failure('ACTION_FAILED', `Failed to dig ${block.name} at ${cell}: ${error.message}`);
+      }
+    }
+    return this.isOpen(cell) ? null : this.failure('BLOCKED', `${cell} keeps filling up`);
+  }
+
+  // ブロックの材質 (mineable/pickaxe など) に合う一番良い道具を持つ。なければ素手のまま
+  async equipToolFor(block) {
+    const def = this.mcData.blocksByName[block.name];
+    const toolType = def && def.material ? def.material.split('/')[1] : null;
+    if (!toolType) return;
+    const tools = this.bot.inventory.items().filter(item => item && item.name.endsWith(`_${toolType}`));
+    if (tools.length === 0) return;
+    const multiplier = item => InventoryUtils.getToolMaterialMultiplier(item.name);
+    tools.sort((a, b) => multiplier(b) - multiplier(a));
+    await this.withCancel(this.bot.equip(tools[0], 'hand'));
+  }
+
+  // 隣のマスへ一歩進む。足元がそのマスになれば true
+  async stepTo(cell) {
+    try {
+      await this.withCancel(this.bot.pathfinder.goto(new GoalBlock(cell.x, cell.y, cell.z)));
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`Could not step to ${cell}: ${error.message}`);
+    }
+    return this.feet().equals(cell);
+  }
+
+  // condition が満たされるまで最大 ticks tick 待つ
+  async waitUntil(condition, ticks) {
+    for (let tick = 0; tick < ticks && !condition(); tick++) {
+      await this.withCancel(this.bot.waitForTicks(1));
+    }
+    return condition();
+  }
+
+  feet() {
+    return this.bot.entity.position.floored();
+  }
+
+  isSolid(position) {
+    const block = this.bot.blockAt(position);
+    return !!block && block.boundingBox === 'block';
+  }
+
+  // 体が通れるマス（空気や草など。水・溶岩は含めない）
+  isOpen(position) {
+    const block = this.bot.blockAt(position);
+    return !!block && block.boundingBox === 'empty' && !MiningSafety.isLiquid(block);
+  }
+
+  failure(reason, error, extra = {}) {
+    this.logger.warn(error);
+    return { success: false, error, reason, position: this.feet(), ...extra };
+  }
+
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return Cancellation.sleep(ms, this.cancelToken);
   }
 
   // Utility method to check inventory (delegated to InventoryUtils)
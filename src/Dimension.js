@@ -0,0 +1,104 @@
+/**
+ * Dimension - いまいるディメンションと、オーバーワールド・ネザー間の座標変換
+ * mineflayer の bot.game.dimension は版によって 'minecraft:the_nether' のように名前空間が付くので、付けずに扱う。
+ * ネザーの 1 ブロックはオーバーワールドの 8 ブロック（x と z だけ。y はそのまま）。
+ *
+ * ネザーの危険: 溶岩の海（水は置いた瞬間に蒸発するので、落ちたら助からない）、ガスト、
+ * 金の防具を 1 つも着けていないときのピグリン。
+ */
+
+const { Vec3 } = require('vec3');
+
+const OVERWORLD = 'overworld';
+const NETHER = 'the_nether';
+const END = 'the_end';
+const SCALE = 8;
+const ARMOR_SLOTS = [5, 6, 7, 8];
+const LAVA_SEA_BLOCKS = 12; // 周りの溶岩がこれ以上あれば溶岩の海とみなす
+
+class Dimension {
+  static OVERWORLD = OVERWORLD;
+  static NETHER = NETHER;
+  static END = END;
+  static SCALE = SCALE;
+  static LAVA_SEA_BLOCKS = LAVA_SEA_BLOCKS;
+
+  /**
+   * 名前空間を外したディメンション名（'overworld' / 'the_nether' / 'the_end'）
+   */
+  static normalize(name) {
+    return String(name || OVERWORLD).replace(/^minecraft:/, '');
+  }
+
+  static current(bot) {
+    return Dimension.normalize(bot && bot.game && bot.game.dimension);
+  }
+
+  static isNether(bot) {
+    return Dimension.current(bot) === NETHER;
+  }
+
+  /**
+   * 水を置ける（ネザーでは蒸発する）
+   */
+  static canPlaceWater(bot) {
+    return !Dimension.isNether(bot);
+  }
+
+  /**
+   * オーバーワールドの座標 → ネザーの座標（ブロック座標）
+   */
+  static toNether(position) {
+    return new Vec3(Math.floor(position.x / SCALE), Math.floor(position.y), Math.floor(position.z / SCALE));
+  }
+
+  /**
+   * ネザーの座標 → オーバーワールドの座標（ブロック座標）
+   */
+  static toOverworld(position) {
+    return new Vec3(Math.floor(position.x) * SCALE, Math.floor(position.y), Math.floor(position.z) * SCALE);
+  }
+
+  /**
+   * from のディメンションの座標を to のディメンションの座標にする。エンドとの間は変換できないので null
+   */
+  static convert(position, from, to) {
+    const source = Dimension.normalize(from);
+    const destination = Dimension.normalize(to);
+    if (source === destination) return new Vec3(position.x, position.y, position.z).floored();
+    if (source === OVERWORLD && destination === NETHER) return Dimension.toNether(position);
+    if (source === NETHER && destination === OVERWORLD) return Dimension.toOverworld(position);
+    return null;
+  }
+
+  /**
+   * 金の防具を 1 つでも着けている（ピグリンが襲ってこない）
+   */
+  static wearsGold(bot) {
+    const slots = (bot && bot.inventory && bot.inventory.slots) || [];
+    return ARMOR_SLOTS.some(index => slots[index] && /^golden_/.test(slots[index].name));
+  }
+
+  /**
+   * 足元から radius 以内の溶岩（足の高さ以下）。findBlocks の結果なので近い順
+   * @returns {{count: number, nearest: Vec3|null, distance: number|null, sea: boolean}}
+   */
+  static lavaAround(bot, radius = 6) {
+    const lava = bot.registry && bot.registry.blocksByName.lava;
+    if (!lava || !bot.entity || typeof bot.findBlocks !== 'function') {
+      return { count: 0, nearest: null, distance: null, sea: false };
+    }
+    const feet = bot.entity.position.floored();
+    const positions = bot.findBlocks({ matching: lava.id, maxDistance: radius, count: LAVA_SEA_BLOCKS * 4 })
+      .filter(position => position.y <= feet.y);
+    const nearest = positions[0] || null;
+    return {
+      count: positions.length,
+      nearest,
+      distance: nearest ? nearest.offset(0.5, 0.5, 0.5).distanceTo(bot.entity.position) : null,
+      sea: positions.length >= LAVA_SEA_BLOCKS
+    };
+  }
+}
+
+module.exports = { Dimension };
@@ -1,6 +1,17 @@
 const { Logger } = require('./utils/Logger');
+const { CombatSystem } = require('./CombatSystem');
+const { RangedCombat } = require('./RangedCombat');
+const { Dimension } = require('./Dimension');
 
 class EnvironmentObserver {
+  // ベッドで寝られる時刻 (晴れのとき。雷雨の間は昼でも寝られる) と、家に帰り始める夕方の時刻
+  static SLEEP_START_TICK = 12542;
+  static SLEEP_END_TICK = 23459;
+  static DUSK_TICK = 11500;
+  // 溶岩を探す範囲と、isDangerous が危ないとみなす溶岩までの距離
+  static LAVA_SCAN_RADIUS = 6;
+  static LAVA_DANGER_DISTANCE = 2.5;
+
   constructor(bot, sharedEnvironment = null) {
     this.bot = bot;
     this.sharedEnvironment = sharedEnvironment;
@@ -98,6 +109,7 @@ class EnvironmentObserver {
             distance: Math.round(distance * 100) / 100,
             health: entity.health ?? 0,
             isHostile: this.isHostileEntity(entity.name),
+            combatKind: this.combatKindOf(entity.name),
             isPlayer: entity.type === 'player'
           });
         }
@@ -304,6 +316,26 @@ class EnvironmentObserver {
     return 'evening';
   }
 
+  /**
+   * 今ベッドで寝られるか（mineflayer の bot.sleep と同じ判定）
+   */
+  static canSleep(bot) {
+    if (!bot.time) return false;
+    const thunderstorm = bot.isRaining && bot.thunderState > 0;
+    const time = bot.time.timeOfDay;
+    return thunderstorm || (time >= EnvironmentObserver.SLEEP_START_TICK && time < EnvironmentObserver.SLEEP_END_TICK);
+  }
+
+  /**
+   * 家に帰って寝る準備を始める時間か（夕方から夜明けまで）
+   */
+  static isBedtime(bot) {
+    if (!bot.time) return false;
+    const time = bot.time.timeOfDay;
+    return EnvironmentObserver.canSleep(bot) ||
+      (time >= EnvironmentObserver.DUSK_TICK && time < EnvironmentObserver.SLEEP_END_TICK);
+  }
+
   getWeather() {
     if (this.bot.isRaining) return 'rain';
     if (this.bot.thunderState > 0) return 'thunder';
@@ -314,10 +346,20 @@ class EnvironmentObserver {
     const hostileEntities = [
       'zombie', 'skeleton', 'spider', 'creeper', 'enderman',
       'witch', 'slime', 'phantom', 'drowned', 'husk',
-      'stray', 'wither_skeleton', 'blaze', 'ghast'
+      'stray', 'wither_skeleton', 'blaze', 'ghast', 'magma_cube',
+      'hoglin', 'zoglin', 'piglin_brute'
     ];
 
-    return hostileEntities.includes(entityName);
+    // ピグリンは金の防具を着けているかで変わるので CombatSystem に任せる
+    return hostileEntities.includes(entityName) || CombatSystem.isHostile({ name: entityName }, this.bot);
+  }
+
+  /**
+   * 敵の戦い方: melee（近接）/ ranged（遠距離）/ explosive（自爆）。敵でなければ null
+   */
+  combatKindOf(entityName) {
+    const info = CombatSystem.HOSTILE_MOBS[entityName];
+    return info ? info.kind : null;
   }
 
   canHarvestBlock(blockName) {
@@ -410,6 +452,12 @@ class EnvironmentObserver {
       }
     }
 
+    // 足元のすぐ近くに溶岩がある（ネザーの溶岩の海の縁など）
+    const lava = this.getLavaHazard();
+    if (lava && lava.distance <= EnvironmentObserver.LAVA_DANGER_DISTANCE) {
+      return true;
+    }
+
     // Check health and food levels
     if (this.health < 6 || this.food < 6) {
       return true;
@@ -431,12 +479,38 @@ class EnvironmentObserver {
         dangers.push({
           type: 'hostile_entity',
           entityType: entity.type,
+          combatKind: entity.combatKind,
           distance: entity.distance,
           position: entity.position
         });
       }
     }
 
+    // 体に当たる軌道で飛んでくる矢・火の玉
+    if (this.bot?.entity?.position && this.bot.entities) {
+      for (const threat of RangedCombat.incomingProjectiles(this.bot)) {
+        dangers.push({
+          type: 'incoming_projectile',
+          entityType: threat.entity.name,
+          ticks: threat.ticks,
+          distance: threat.distance,
+          position: threat.entity.position
+        });
+      }
+    }
+
+    // 足の高さ以下の溶岩。sea は溶岩の海（ネザーでは水で逃げられない）
+    const lava = this.getLavaHazard();
+    if (lava) {
+      dangers.push({
+        type: 'lava',
+        sea: lava.sea,
+        dimension: Dimension.current(this.bot),
+        distance: lava.distance,
+        position: lava.nearest
+      });
+    }
+
     if (this.health < 10) {
       dangers.push({
         type: 'low_health',
@@ -454,6 +528,19 @@ class EnvironmentObserver {
     return dangers;
   }
 
+  /**
+   * 近くの溶岩（Dimension.lavaAround）。無ければ null
+   */
+  getLavaHazard() {
+    if (!this.bot?.entity?.position) return null;
+    try {
+      const lava = Dimension.lavaAround(this.bot, EnvironmentObserver.LAVA_SCAN_RADIUS);
+      return lava.nearest ? lava : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   getResourceOpportunities() {
     const opportunities = [];
 
@@ -551,7 +638,10 @@ class EnvironmentObserver {
         canEscape,
         escapeDirections,
         waterDepth: this.calculateWaterDepth(pos),
-        nearShore: this.isNearShore(pos)
+        nearShore: this.isNearShore(pos),
+        // ネザーでは水が蒸発するので、水バケツで火を消したり落下を防いだりできない
+        dimension: Dimension.current(this.bot),
+        canPlaceWater: Dimension.canPlaceWater(this.bot)
       };
     } catch (error) {
       console.log(`[EnvironmentObserver] Water status error: ${error.message}`);
@@ -0,0 +1,274 @@
+/**
+ * EquipmentManager - 防具と盾の管理（作成・装備・壊れかけの交換）
+ * 防具スロットは頭 (5)・胴 (6)・脚 (7)・足 (8)、盾はオフハンド (45)。
+ * 防具の良さは防具ポイント + 防具強度 / 2 で比べる（ダイヤ・ネザライトは強度で同じポイントの鉄より上になる）。
+ *
+ * 作れるのは革・鉄・ダイヤの防具（ヘルメット 5・チェストプレート 8・レギンス 7・ブーツ 4 個の素材）と盾（板材 6 + 鉄 1）。
+ * 素材は 1 個あたりの防具ポイントが大きいチェストプレートから割り当てる。
+ * 残り耐久が 10 以下の防具は、予備があれば付け替え、なければ作り直しの対象にする（壊れるまでは着けておく）。
+ * ネザーではピグリンに襲われないよう、金の防具を 1 つは着ける（防具ポイントの下がり方が一番小さいスロットで）。
+ */
+
+const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+const { Dimension } = require('./Dimension');
+
+const ARMOR_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8 };
+const OFF_HAND_SLOT = 45;
+const PIECES = { head: 'helmet', torso: 'chestplate', legs: 'leggings', feet: 'boots' };
+const SLOT_OF_PIECE = Object.fromEntries(Object.entries(PIECES).map(([slot, piece]) => [piece, slot]));
+
+// points: 頭・胴・脚・足の防具ポイント、ingredient: 作業台で作るときの素材（作れないものは null）
+const MATERIALS = {
+  leather: { points: { head: 1, torso: 3, legs: 2, feet: 1 }, toughness: 0, ingredient: 'leather' },
+  golden: { points: { head: 2, torso: 5, legs: 3, feet: 1 }, toughness: 0, ingredient: null },
+  chainmail: { points: { head: 2, torso: 5, legs: 4, feet: 1 }, toughness: 0, ingredient: null },
+  turtle: { points: { head: 2 }, toughness: 0, ingredient: null },
+  iron: { points: { head: 2, torso: 6, legs: 5, feet: 2 }, toughness: 0, ingredient: 'iron_ingot' },
+  diamond: { points: { head: 3, torso: 8, legs: 6, feet: 3 }, toughness: 2, ingredient: 'diamond' },
+  netherite: { points: { head: 3, torso: 8, legs: 6, feet: 3 }, toughness: 3, ingredient: null }
+};
+
+const COST = { head: 5, torso: 8, legs: 7, feet: 4 };
+const CRAFT_ORDER = ['torso', 'legs', 'head', 'feet']; // 素材 1 個あたりの防具ポイントが大きい順
+const CRAFTABLE = ['diamond', 'iron', 'leather']; // 良い素材から
+const SHIELD_PLANKS = 6;
+const SWAP_REMAINING = 10; // 残り耐久がこれ以下なら壊れかけとみなす
+
+class EquipmentManager {
+  static ARMOR_SLOTS = ARMOR_SLOTS;
+  static MATERIALS = MATERIALS;
+  static COST = COST;
+  static SWAP_REMAINING = SWAP_REMAINING;
+
+  static logger = Logger.createLogger('EquipmentManager');
+
+  /**
+   * 防具のアイテム名 → { material, slot }。防具でなければ null
+   */
+  static parseArmor(name) {
+    const match = /^(\w+?)_(helmet|chestplate|leggings|boots)$/.exec(name || '');
+    if (!match || !MATERIALS[match[1]]) return null;
+    const slot = SLOT_OF_PIECE[match[2]];
+    if (MATERIALS[match[1]].points[slot] === undefined) return null;
+    return { material: match[1], slot };
+  }
+
+  static isArmor(name) {
+    return !!EquipmentManager.parseArmor(name);
+  }
+
+  static armorName(material, slot) {
+    return `${material}_${PIECES[slot]}`;
+  }
+
+  static valueOf(material, slot) {
+    const stats = MATERIALS[material];
+    return stats.points[slot] + stats.toughness / 2;
+  }
+
+  static armorValue(name) {
+    const armor = EquipmentManager.parseArmor(name);
+    return armor ? EquipmentManager.valueOf(armor.material, armor.slot) : 0;
+  }
+
+  /**
+   * 耐久度。mineflayer の Item は durabilityUsed を持つが、古い版に備えて NBT の Damage も見る
+   * @returns {{used: number, max: number, remaining: number}}
+   */
+  static durability(item) {
+    const max = item.maxDurability || 0;
+    const damage = item.nbt && item.nbt.value && item.nbt.value.Damage;
+    const used = item.durabilityUsed ?? (damage ? damage.value : 0);
+    return { used, max, remaining: max - used };
+  }
+
+  static isWornOut(item) {
+    const { max, remaining } = EquipmentManager.durability(item);
+    return max > 0 && remaining <= SWAP_REMAINING;
+  }
+
+  /**
+   * 着けている防具 { head, torso, legs, feet }（空きは null）
+   */
+  static equipped(bot) {
+    return Object.fromEntries(Object.entries(ARMOR_SLOTS).map(([slot, index]) => [slot, bot.inventory.slots[index]]));
+  }
+
+  /**
+   * 着けている防具の防具ポイントの合計
+   */
+  static armorPoints(bot) {
+    return Object.values(EquipmentManager.equipped(bot))
+      .filter(Boolean)
+      .reduce((sum, item) => {
+        const armor = EquipmentManager.parseArmor(item.name);
+        return sum + (armor ? MATERIALS[armor.material].points[armor.slot] : 0);
+      }, 0);
+  }
+
+  /**
+   * slot に着けるのに一番良い防具（インベントリ内、壊れかけを除く）
+   */
+  static bestSpare(bot, slot) {
+    let best = null;
+    for (const item of bot.inventory.items()) {
+      const armor = item && EquipmentManager.parseArmor(item.name);
+      if (!armor || armor.slot !== slot || EquipmentManager.isWornOut(item)) continue;
+      if (!best || EquipmentManager.armorValue(item.name) > EquipmentManager.armorValue(best.name)) best = item;
+    }
+    return best;
+  }
+
+  /**
+   * 金の防具を 1 つ着ける変更を changes に加える。着け替えた後の防具ポイントが一番下がらないスロットを選び、
+   * そのスロットに予定していた変更は取り消す
+   */
+  static addGoldenWard(bot, changes) {
+    if (changes.some(change => /^golden_/.test(change.item.name))) return;
+    let best = null;
+    for (const item of bot.inventory.items()) {
+      const armor = item && EquipmentManager.parseArmor(item.name);
+      if (!armor || armor.material !== 'golden' || EquipmentManager.isWornOut(item)) continue;
+      const planned = changes.find(change => change.destination === armor.slot) || null;
+      const instead = planned ? planned.item : bot.inventory.slots[ARMOR_SLOTS[armor.slot]];
+      const loss = (instead ? EquipmentManager.armorValue(instead.name) : 0) - EquipmentManager.armorValue(item.name);
+      if (!best || loss < best.loss) best = { item, slot: armor.slot, planned, loss };
+    }
+    if (!best) return;
+    if (best.planned) changes.splice(changes.indexOf(best.planned), 1);
+    const current = bot.inventory.slots[ARMOR_SLOTS[best.slot]];
+    changes.push({ destination: best.slot, item: best.item, replacing: current ? current.name : null });
+  }
+
+  static spareShield(bot) {
+    const shields = bot.inventory.items().filter(item => item && item.name === 'shield');
+    return shields.find(item => !EquipmentManager.isWornOut(item)) || null;
+  }
+
+  /**
+   * 付け替えたほうがよい装備 [{ destination, item, replacing }]
+   * 空きスロット、より良い予備があるスロット、壊れかけで予備があるスロットが対象。ネザーでは金の防具も
+   */
+  static pendingChanges(bot) {
+    const changes = [];
+    const worn = EquipmentManager.equipped(bot);
+    const nether = Dimension.isNether(bot);
+    for (const slot of Object.keys(ARMOR_SLOTS)) {
+      const spare = EquipmentManager.bestSpare(bot, slot);
+      if (!spare) continue;
+      const current = worn[slot];
+      // ネザーで着けている金の防具は、より良い予備があっても外さない
+      if (nether && current && /^golden_/.test(current.name) && !EquipmentManager.isWornOut(current)) continue;
+      if (!current || EquipmentManager.isWornOut(current) ||
+          EquipmentManager.armorValue(spare.name) > EquipmentManager.armorValue(current.name)) {
+        changes.push({ destination: slot, item: spare, replacing: current ? current.name : null });
+      }
+    }
+    if (nether && !Dimension.wearsGold(bot)) EquipmentManager.addGoldenWard(bot, changes);
+
+    const offHand = bot.inventory.slots[OFF_HAND_SLOT];
+    const shield = EquipmentManager.spareShield(bot);
+    if (shield && (!offHand || offHand.name !== 'shield' || EquipmentManager.isWornOut(offHand))) {
+      changes.push({ destination: 'off-hand', item: shield, replacing: offHand ? offHand.name : null });
+    }
+    return changes;
+  }
+
+  /**
+   * 一番良い防具一式と盾を身に着ける
+   * @param {Object} options
+   *        └─ signal  中断用の cancelToken
+   * @returns {Promise<{success: boolean, equipped: string[], armor: number}>}
+   */
+  static async equipBest(bot, options = {}) {
+    const equipped = [];
+    for (const change of EquipmentManager.pendingChanges(bot)) {
+      Cancellation.throwIfCancelled(options.signal);
+      try {
+        await Cancellation.race(bot.equip(change.item, change.destination), options.signal);
+        equipped.push(change.item.name);
+        const replaced = change.replacing ? ` (${change.replacing} と交換)` : '';
+        EquipmentManager.logger.log(`[装備] ${change.item.name} を着けました${replaced}`);
+      } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
+        EquipmentManager.logger.warn(`[装備] ${change.item.name} を着けられません: ${error.message}`);
+      }
+    }
+    return { success: true, equipped, armor: EquipmentManager.armorPoints(bot) };
+  }
+
+  /**
+   * 手持ちの素材で作ると今より良くなる防具と盾（作る順）
+   * 各スロットで、持っている中で一番良いもの（壊れかけは数えない）を上回る一番良い素材を選ぶ
+   * @returns {string[]} アイテム名
+   */
+  static craftPlan(bot) {
+    const counts = EquipmentManager.counts(bot);
+    const budget = { ...counts };
+    const plan = [];
+    for (const slot of CRAFT_ORDER) {
+      const owned = EquipmentManager.ownedValue(bot, slot);
+      for (const material of CRAFTABLE) {
+        if (EquipmentManager.valueOf(material, slot) <= owned) break;
+        const ingredient = MATERIALS[material].ingredient;
+        if ((budget[ingredient] || 0) < COST[slot]) continue;
+        budget[ingredient] -= COST[slot];
+        plan.push(EquipmentManager.armorName(material, slot));
+        break;
+      }
+    }
+    if (EquipmentManager.needsShield(bot) && (budget.iron_ingot || 0) >= 1 && counts.planks >= SHIELD_PLANKS) {
+      plan.push('shield');
+    }
+    return plan;
+  }
+
+  /**
+   * 防具を一段良くするのに足りない素材。鉄に届いていないスロットがあれば鉄、次にダイヤ
+   * @returns {{material: string, item: string, needed: number}|null}
+   */
+  static upgradeNeeds(bot) {
+    const counts = EquipmentManager.counts(bot);
+    for (const material of ['iron', 'diamond']) {
+      const slots = CRAFT_ORDER.filter(slot =>
+        EquipmentManager.ownedValue(bot, slot) < EquipmentManager.valueOf(material, slot));
+      if (slots.length === 0) continue;
+      const ingredient = MATERIALS[material].ingredient;
+      // 一番安いスロット 1 つ分が揃うまでを当面の目標にする
+      const cheapest = Math.min(...slots.map(slot => COST[slot]));
+      const needed = cheapest - (counts[ingredient] || 0);
+      if (needed > 0) return { material, item: ingredient, needed };
+      return null;
+    }
+    return null;
+  }
+
+  static needsShield(bot) {
+    const offHand = bot.inventory.slots[OFF_HAND_SLOT];
+    return !(offHand && offHand.name === 'shield' && !EquipmentManager.isWornOut(offHand)) &&
+      !EquipmentManager.spareShield(bot);
+  }
+
+  /**
+   * slot で持っている一番良い防具の値（着けているもの・予備の両方、壊れかけは 0）
+   */
+  static ownedValue(bot, slot) {
+    const current = bot.inventory.slots[ARMOR_SLOTS[slot]];
+    const spare = EquipmentManager.bestSpare(bot, slot);
+    const worn = current && !EquipmentManager.isWornOut(current) ? EquipmentManager.armorValue(current.name) : 0;
+    return Math.max(worn, spare ? EquipmentManager.armorValue(spare.name) : 0);
+  }
+
+  static counts(bot) {
+    const counts = { planks: 0 };
+    for (const item of bot.inventory.items()) {
+      if (!item) continue;
+      counts[item.name] = (counts[item.name] || 0) + item.count;
+      if (/_planks$/.test(item.name)) counts.planks += item.count;
+    }
+    return counts;
+  }
+}
+
+module.exports = { EquipmentManager };
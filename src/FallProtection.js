@@ -0,0 +1,134 @@
+/**
+ * FallProtection - 高い所から落ちるとき、着地点に水を置いて落下ダメージを消す
+ * 落下中に毎 tick 真下の着地点を調べ、落下距離が 3 ブロックを超えそうなら、ホットバーの水入りバケツを持って真下を向く。
+ * 着地点の上面が手の届く高さ（足から 3.3 ブロック）に来たら水を置き、着地したら同じ水を汲み直してバケツを回収する。
+ *
+ * 移動スキル・経路探索・ノックバックのどれで落ちても働くように、physicsTick で見張る。
+ * インベントリからホットバーへの持ち替えは落下中に間に合わないので、水入りバケツがホットバーにないときは何もしない。
+ * 着地点が水・溶岩なら何もしない。ネザーでは置いた水が蒸発するので何もしない。
+ */
+
+const { Logger } = require('./utils/Logger');
+const { Dimension } = require('./Dimension');
+
+const HOTBAR_START = 36;
+const SAFE_FALL = 3; // 落下ダメージは ceil(落下距離 - 3)
+const PLACE_HEIGHT = 3.3; // 目の高さ 1.62 + これ がバケツの届く 5 ブロックに収まる
+const SCAN_DEPTH = 64;
+const RECOVER_TICKS = 2; // 着地してから汲み直すまで（水が置かれたのをサーバーから受け取る分）
+
+const instances = new WeakMap();
+
+class FallProtection {
+  static SAFE_FALL = SAFE_FALL;
+  static PLACE_HEIGHT = PLACE_HEIGHT;
+
+  /**
+   * bot に落下対策を付ける（同じ bot に何度呼んでも 1 つだけ）
+   */
+  static attach(bot) {
+    if (!instances.has(bot)) instances.set(bot, new FallProtection(bot));
+    return instances.get(bot);
+  }
+
+  static detach(bot) {
+    const protection = instances.get(bot);
+    if (!protection) return;
+    bot.removeListener('physicsTick', protection.onTick);
+    instances.delete(bot);
+  }
+
+  constructor(bot) {
+    this.bot = bot;
+    this.logger = Logger.createLogger('FallProtection');
+    this.fallStart = null; // 落ち始めた高さ
+    this.armed = false; // バケツを持って真下を向いた
+    this.placed = null; // 置いた水のマス
+    this.recoverIn = 0;
+    this.onTick = () => this.tick();
+    bot.on('physicsTick', this.onTick);
+  }
+
+  tick() {
+    const entity = this.bot.entity;
+    if (!entity || !entity.position) return;
+
+    if (entity.onGround || this.inWater()) {
+      if (this.placed && this.recoverIn === 0) this.recoverIn = RECOVER_TICKS;
+      this.fallStart = null;
+      this.armed = false;
+      if (this.recoverIn > 0 && --this.recoverIn === 0) this.recover();
+      return;
+    }
+
+    const y = entity.position.y;
+    this.fallStart = this.fallStart === null ? y : Math.max(this.fallStart, y);
+    if (entity.velocity.y >= 0 || this.placed) return;
+
+    const ground = this.groundBelow();
+    if (!ground || ground.boundingBox !== 'block') return;
+    const top = ground.position.y + 1;
+    if (this.fallStart - top <= SAFE_FALL) return;
+
+    const slot = this.hotbarSlotOf('water_bucket');
+    if (slot === null || !Dimension.canPlaceWater(this.bot)) return;
+
+    if (!this.armed) {
+      this.armed = true;
+      this.bot.setQuickBarSlot(slot);
+      this.bot.look(entity.yaw, -Math.PI / 2, true);
+      this.logger.log(`[落下] ${(this.fallStart - top).toFixed(1)} ブロック落ちます。水バケツを構えます`);
+    }
+
+    if (y - top <= PLACE_HEIGHT) {
+      this.bot.activateItem();
+      this.placed = ground.position.offset(0, 1, 0);
+      this.logger.log(`[落下] ${this.placed} に水を置きました`);
+    }
+  }
+
+  /**
+   * 着地後、置いた水を空のバケツで汲み直す
+   */
+  recover() {
+    const position = this.placed;
+    this.placed = null;
+    const block = this.bot.blockAt(position);
+    if (!block || block.name !== 'water') return;
+    const slot = this.hotbarSlotOf('bucket');
+    if (slot === null) return;
+
+    this.bot.setQuickBarSlot(slot);
+    this.bot.look(this.bot.entity.yaw, -Math.PI / 2, true);
+    this.bot.activateItem();
+    this.logger.log(`[落下] ${position} の水を汲み直しました`);
+  }
+
+  /**
+   * 真下で最初にぶつかるブロック（固いブロックか液体）
+   */
+  groundBelow() {
+    const feet = this.bot.entity.position.floored();
+    for (let dy = 0; dy <= SCAN_DEPTH; dy++) {
+      const block = this.bot.blockAt(feet.offset(0, -dy, 0));
+      if (!block) return null;
+      if (block.boundingBox === 'block' || block.name === 'water' || block.name === 'lava') return block;
+    }
+    return null;
+  }
+
+  inWater() {
+    const block = this.bot.blockAt(this.bot.entity.position.floored());
+    return !!block && block.name === 'water';
+  }
+
+  hotbarSlotOf(name) {
+    for (let index = 0; index < 9; index++) {
+      const item = this.bot.inventory.slots[HOTBAR_START + index];
+      if (item && item.name === name) return index;
+    }
+    return null;
+  }
+}
+
+module.exports = { FallProtection };
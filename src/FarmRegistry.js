@@ -0,0 +1,186 @@
+/**
+ * FarmRegistry - ボットが所有する畑（区画）と家畜の囲い（柵）の台帳
+ * 区画ごとに所有者・水源・耕地の座標・作物・収穫記録を、囲いごとに所有者・範囲・門の座標を
+ * 1 つの JSON ファイル (data/farms.json) に保存する。複数のボットが同じファイルを共有し、他のボットの区画の耕地は使わない。
+ *
+ * ファイル形式:
+ * {
+ *   "plots": [{
+ *     "id": "FarmerAI-1720000000000", "owner": "FarmerAI", "crop": "wheat",
+ *     "water": { "x": 10, "y": 63, "z": -4 }, "cells": [{ "x": 11, "y": 63, "z": -4 }, ...],
+ *     "createdAt": 1720000000000, "updatedAt": 1720000000000,
+ *     "stats": { "harvests": 3, "harvested": { "wheat": 12, "wheat_seeds": 20 }, "lastHarvest": 1720000000000 }
+ *   }],
+ *   "pens": [{
+ *     "id": "FarmerAI-pen-1720000000000", "owner": "FarmerAI", "species": "sheep",
+ *     "min": { "x": 0, "y": 64, "z": 0 }, "max": { "x": 4, "y": 64, "z": 4 }, "gate": { "x": 2, "y": 64, "z": 0 },
+ *     "createdAt": 1720000000000, "updatedAt": 1720000000000
+ *   }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/Logger');
+
+class FarmRegistry {
+  /**
+   * @param {Object} options
+   *        └─ filePath  保存先 (default FARM_REGISTRY_PATH または data/farms.json)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.FARM_REGISTRY_PATH ||
+      path.join(process.cwd(), 'data', 'farms.json');
+    this.plots = new Map();
+    this.pens = new Map();
+    this.logger = Logger.createLogger('FarmRegistry');
+  }
+
+  /**
+   * ファイルから読み直す（他のボットの更新を取り込むため、使う前に毎回呼ぶ）
+   */
+  load() {
+    this.plots.clear();
+    this.pens.clear();
+    try {
+      if (!fs.existsSync(this.filePath)) return this.plots;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const plot of data.plots || []) {
+        if (!plot.id || !plot.owner || !Array.isArray(plot.cells)) continue;
+        plot.stats = { harvests: 0, harvested: {}, lastHarvest: null, ...plot.stats };
+        this.plots.set(plot.id, plot);
+      }
+      for (const pen of data.pens || []) {
+        if (!pen.id || !pen.owner || !pen.min || !pen.max) continue;
+        this.pens.set(pen.id, pen);
+      }
+    } catch (error) {
+      this.logger.warn(`[畑台帳] ${this.filePath} の読み込みに失敗: ${error.message}`);
+    }
+    return this.plots;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // 書き込み途中のファイルを読まないよう、一時ファイル経由で置き換える
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      const data = { plots: Array.from(this.plots.values()), pens: Array.from(this.pens.values()) };
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      this.logger.error(`[畑台帳] 保存に失敗: ${error.message}`);
+    }
+  }
+
+  plotsOf(owner) {
+    return Array.from(this.plots.values()).filter(plot => plot.owner === owner);
+  }
+
+  /**
+   * 他の所有者の区画に含まれる座標か
+   */
+  isClaimed(position, owner = null) {
+    const key = FarmRegistry.key(position);
+    return Array.from(this.plots.values()).some(plot =>
+      plot.owner !== owner && plot.cells.some(cell => FarmRegistry.key(cell) === key));
+  }
+
+  /**
+   * @param {Object} plot - { owner, crop, water, cells }
+   * @returns {Object} 登録した区画
+   */
+  register(plot) {
+    const now = Date.now();
+    const entry = {
+      id: `${plot.owner}-${now}`,
+      owner: plot.owner,
+      crop: plot.crop,
+      water: FarmRegistry.toPlain(plot.water),
+      cells: plot.cells.map(FarmRegistry.toPlain),
+      createdAt: now,
+      updatedAt: now,
+      stats: { harvests: 0, harvested: {}, lastHarvest: null }
+    };
+    this.plots.set(entry.id, entry);
+    this.save();
+    this.logger.log(`[畑台帳] ${entry.owner} の区画 ${entry.id} を登録しました (${entry.cells.length} マス)`);
+    return entry;
+  }
+
+  /**
+   * 収穫量・作物の変更などを記録する
+   * @param {string} id
+   * @param {Object} update
+   *        ├─ crop       植えた作物
+   *        └─ harvested  { アイテム名: 個数 }
+   */
+  record(id, update = {}) {
+    const plot = this.plots.get(id);
+    if (!plot) return null;
+    const now = Date.now();
+    if (update.crop) plot.crop = update.crop;
+    const harvested = Object.entries(update.harvested || {}).filter(([, count]) => count > 0);
+    if (harvested.length > 0) {
+      plot.stats.harvests++;
+      plot.stats.lastHarvest = now;
+      for (const [item, count] of harvested) {
+        plot.stats.harvested[item] = (plot.stats.harvested[item] || 0) + count;
+      }
+    }
+    plot.updatedAt = now;
+    this.save();
+    return plot;
+  }
+
+  remove(id) {
+    const removed = this.plots.delete(id) || this.pens.delete(id);
+    if (removed) this.save();
+    return removed;
+  }
+
+  pensOf(owner) {
+    return Array.from(this.pens.values()).filter(pen => pen.owner === owner);
+  }
+
+  /**
+   * @param {Object} pen - { owner, species, min, max, gate }（min/max は柵の外周の角）
+   * @returns {Object} 登録した囲い
+   */
+  registerPen(pen) {
+    const now = Date.now();
+    const entry = {
+      id: `${pen.owner}-pen-${now}`,
+      owner: pen.owner,
+      species: pen.species || null,
+      min: FarmRegistry.toPlain(pen.min),
+      max: FarmRegistry.toPlain(pen.max),
+      gate: FarmRegistry.toPlain(pen.gate),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.pens.set(entry.id, entry);
+    this.save();
+    this.logger.log(`[畑台帳] ${entry.owner} の囲い ${entry.id} を登録しました`);
+    return entry;
+  }
+
+  /**
+   * 囲いの柵の内側（柵の上は含まない）にある座標か
+   */
+  static insidePen(pen, position) {
+    return position.x >= pen.min.x + 1 && position.x < pen.max.x &&
+      position.z >= pen.min.z + 1 && position.z < pen.max.z &&
+      Math.abs(position.y - pen.min.y) <= 2;
+  }
+
+  static key(position) {
+    return `${position.x},${position.y},${position.z}`;
+  }
+
+  static toPlain(position) {
+    return { x: position.x, y: position.y, z: position.z };
+  }
+}
+
+module.exports = { FarmRegistry };
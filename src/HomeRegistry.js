@@ -0,0 +1,118 @@
+/**
+ * HomeRegistry - ボットごとの「家」（寝るベッドの位置）の台帳
+ * ベッドで寝るとリスポーン地点になるため、ボットは毎晩同じベッドに戻る。
+ * 1 つの JSON ファイル (data/homes.json) を複数のボットで共有し、他のボットのベッドには寝ない。
+ *
+ * ファイル形式:
+ * {
+ *   "homes": [{
+ *     "owner": "FarmerAI", "bed": { "x": 10, "y": 64, "z": -4 }, "dimension": "overworld",
+ *     "createdAt": 1720000000000, "updatedAt": 1720000000000, "lastSlept": 1720000000000
+ *   }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/Logger');
+
+class HomeRegistry {
+  /**
+   * @param {Object} options
+   *        └─ filePath  保存先 (default HOME_REGISTRY_PATH または data/homes.json)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.HOME_REGISTRY_PATH ||
+      path.join(process.cwd(), 'data', 'homes.json');
+    this.homes = new Map();
+    this.logger = Logger.createLogger('HomeRegistry');
+  }
+
+  /**
+   * ファイルから読み直す（他のボットの更新を取り込むため、使う前に毎回呼ぶ）
+   */
+  load() {
+    this.homes.clear();
+    try {
+      if (!fs.existsSync(this.filePath)) return this.homes;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const home of data.homes || []) {
+        if (!home.owner || !home.bed) continue;
+        this.homes.set(home.owner, home);
+      }
+    } catch (error) {
+      this.logger.warn(`[家台帳] ${this.filePath} の読み込みに失敗: ${error.message}`);
+    }
+    return this.homes;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // 書き込み途中のファイルを読まないよう、一時ファイル経由で置き換える
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ homes: Array.from(this.homes.values()) }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      this.logger.error(`[家台帳] 保存に失敗: ${error.message}`);
+    }
+  }
+
+  homeOf(owner) {
+    return this.homes.get(owner) || null;
+  }
+
+  /**
+   * 他のボットの家のベッドか（ベッドの頭側・足側のどちらの座標でもよい）
+   */
+  isClaimed(position, owner = null) {
+    return Array.from(this.homes.values()).some(home => home.owner !== owner &&
+      Math.abs(home.bed.x - position.x) + Math.abs(home.bed.y - position.y) + Math.abs(home.bed.z - position.z) <= 1);
+  }
+
+  /**
+   * 家のベッドを登録・変更する
+   * @param {string} owner
+   * @param {Object} bed - ベッドの座標
+   * @param {string} dimension
+   */
+  setBed(owner, bed, dimension = 'overworld') {
+    const now = Date.now();
+    const previous = this.homes.get(owner);
+    const home = {
+      owner,
+      bed: { x: bed.x, y: bed.y, z: bed.z },
+      dimension,
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now,
+      lastSlept: previous ? previous.lastSlept : null
+    };
+    this.homes.set(owner, home);
+    this.save();
+    if (!previous || HomeRegistry.key(previous.bed) !== HomeRegistry.key(home.bed)) {
+      this.logger.log(`[家台帳] ${owner} の家のベッドを ${HomeRegistry.key(home.bed)} に登録しました`);
+    }
+    return home;
+  }
+
+  recordSleep(owner) {
+    const home = this.homes.get(owner);
+    if (!home) return null;
+    home.lastSlept = Date.now();
+    home.updatedAt = home.lastSlept;
+    this.save();
+    return home;
+  }
+
+  remove(owner) {
+    const removed = this.homes.delete(owner);
+    if (removed) this.save();
+    return removed;
+  }
+
+  static key(position) {
+    return `${position.x},${position.y},${position.z}`;
+  }
+}
+
+module.exports = { HomeRegistry };
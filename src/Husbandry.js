@@ -0,0 +1,113 @@
+/**
+ * Husbandry - 家畜（牛・羊・豚・鶏）の繁殖・誘導・毛刈りの規則と、屠殺してよいかの方針
+ * 繁殖: 成体 2 頭に好物を与えると子供が生まれ、親は 5 分 (6000 tick) 繁殖できない。子供は 20 分で成体になる。
+ * 誘導: 好物を手に持つと、10 ブロック以内の同種の家畜がついてくる。
+ *
+ * 屠殺の方針: 子供は殺さない。近くの同種の成体がつがい 1 組 (2 頭) 以下なら殺さない。
+ * 繁殖できる成体を残しておけば、農家のボットはチームに食料を供給し続けられる。
+ */
+
+// 繁殖と誘導に使う好物
+const ANIMALS = {
+  cow: { food: ['wheat'] },
+  sheep: { food: ['wheat'] },
+  pig: { food: ['carrot', 'potato', 'beetroot'] },
+  chicken: { food: ['wheat_seeds', 'beetroot_seeds', 'melon_seeds', 'pumpkin_seeds', 'torchflower_seeds'] }
+};
+
+const BREED_COOLDOWN_TICKS = 6000;
+const TEMPT_RANGE = 10;
+const HERD_RADIUS = 32;
+const MIN_BREEDING_ADULTS = 2;
+
+// エンティティメタデータの添字 (1.20): AgeableMob の baby、Sheep の wool (下位 4 bit が色、0x10 が毛刈り済み)
+const BABY_METADATA = 16;
+const WOOL_METADATA = 17;
+const SHEARED_FLAG = 0x10;
+
+class Husbandry {
+  static ANIMALS = ANIMALS;
+  static BREED_COOLDOWN_TICKS = BREED_COOLDOWN_TICKS;
+  static TEMPT_RANGE = TEMPT_RANGE;
+  static HERD_RADIUS = HERD_RADIUS;
+  static MIN_BREEDING_ADULTS = MIN_BREEDING_ADULTS;
+  static BABY_METADATA = BABY_METADATA;
+  static WOOL_METADATA = WOOL_METADATA;
+  static SHEARED_FLAG = SHEARED_FLAG;
+
+  // bot → Map<entityId, 繁殖させた tick>。エンティティ ID はサーバーに接続している間だけ有効
+  static breedings = new WeakMap();
+
+  static isLivestock(entity) {
+    return !!entity && !!ANIMALS[entity.name];
+  }
+
+  static isBaby(entity) {
+    const baby = entity && entity.metadata ? entity.metadata[BABY_METADATA] : false;
+    return baby === true || baby === 1;
+  }
+
+  static isSheared(entity) {
+    const wool = entity && entity.metadata ? entity.metadata[WOOL_METADATA] : 0;
+    return typeof wool === 'number' && (wool & SHEARED_FLAG) !== 0;
+  }
+
+  static foodFor(species) {
+    return ANIMALS[species] ? ANIMALS[species].food : [];
+  }
+
+  /**
+   * インベントリにある、その動物の好物（最も数の多いもの）
+   */
+  static findFood(bot, species) {
+    const food = Husbandry.foodFor(species);
+    return bot.inventory.items()
+      .filter(item => item && food.includes(item.name))
+      .sort((a, b) => b.count - a.count)[0] || null;
+  }
+
+  /**
+   * 近くの同種の家畜（近い順）
+   * @param {Object} options
+   *        ├─ radius  探す範囲 (default 32)
+   *        ├─ center  範囲の中心 (default ボットの位置)
+   *        └─ adults  true なら成体だけ
+   */
+  static herd(bot, species, options = {}) {
+    const center = options.center || bot.entity.position;
+    const radius = options.radius ?? HERD_RADIUS;
+    return Object.values(bot.entities || {})
+      .filter(entity => entity && entity !== bot.entity && entity.name === species && entity.position &&
+        entity.position.distanceTo(center) <= radius && (!options.adults || !Husbandry.isBaby(entity)))
+      .sort((a, b) => a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position));
+  }
+
+  static markBred(bot, entity) {
+    if (!Husbandry.breedings.has(bot)) Husbandry.breedings.set(bot, new Map());
+    Husbandry.breedings.get(bot).set(entity.id, Husbandry.now(bot));
+  }
+
+  static isOnCooldown(bot, entity) {
+    const bred = Husbandry.breedings.has(bot) ? Husbandry.breedings.get(bot).get(entity.id) : undefined;
+    return bred !== undefined && Husbandry.now(bot) - bred < BREED_COOLDOWN_TICKS;
+  }
+
+  static canBreed(bot, entity) {
+    return Husbandry.isLivestock(entity) && !Husbandry.isBaby(entity) && !Husbandry.isOnCooldown(bot, entity);
+  }
+
+  /**
+   * 殺してよい家畜か。子供と、残りがつがい 1 組以下になる種の成体は殺さない
+   */
+  static canSlaughter(bot, entity) {
+    if (!Husbandry.isLivestock(entity)) return true;
+    if (Husbandry.isBaby(entity)) return false;
+    return Husbandry.herd(bot, entity.name, { center: entity.position, adults: true }).length > MIN_BREEDING_ADULTS;
+  }
+
+  static now(bot) {
+    return bot.time && typeof bot.time.age === 'number' ? bot.time.age : Math.floor(Date.now() / 50);
+  }
+}
+
+module.exports = { Husbandry };
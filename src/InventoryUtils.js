@@ -22,9 +22,12 @@ class InventoryUtils {
     dark_oak_planks: ['dark_oak_log'],
     mangrove_planks: ['mangrove_log'],
     bamboo_planks: ['bamboo_block'],
+    crimson_planks: ['crimson_stem'],
+    warped_planks: ['warped_stem'],
     planks: [
       'oak_log', 'birch_log', 'cherry_log', 'spruce_log',
-      'jungle_log', 'acacia_log', 'dark_oak_log', 'mangrove_log'
+      'jungle_log', 'acacia_log', 'dark_oak_log', 'mangrove_log',
+      'crimson_stem', 'warped_stem'
     ]
   };
 
@@ -57,7 +60,7 @@ class InventoryUtils {
   static findBestLogForPlank(bot, plankType) {
     const compatibleLogs = this.getCompatibleLogs(plankType);
     const availableLogs = this.getAllItems(bot).filter(item =>
-      item.name && item.name.includes('_log') && compatibleLogs.includes(item.name)
+      item.name && this.isLog(item.name) && compatibleLogs.includes(item.name)
     );
 
     if (availableLogs.length === 0) {
@@ -115,10 +118,10 @@ class InventoryUtils {
   static getWoodCount(bot) {
     if (!bot || !bot.inventory) return 0;
 
-    // Enhanced log detection for all log types
+    // Enhanced log detection for all log types (including nether stems)
     const logPattern = item => {
       if (!item || !item.name) return false;
-      return item.name.includes('_log') || item.name === 'log';
+      return this.isLog(item.name);
     };
 
     const count = this._safeCount(bot, logPattern);
@@ -156,7 +159,8 @@ class InventoryUtils {
       item.name === 'birch_planks' || item.name === 'cherry_planks' ||
       item.name === 'spruce_planks' || item.name === 'jungle_planks' ||
       item.name === 'acacia_planks' || item.name === 'dark_oak_planks' ||
-      item.name === 'mangrove_planks' || item.name === 'bamboo_planks'
+      item.name === 'mangrove_planks' || item.name === 'bamboo_planks' ||
+      item.name === 'crimson_planks' || item.name === 'warped_planks'
     );
   }
 
@@ -488,6 +492,68 @@ class InventoryUtils {
     return 1;
   }
 
+  /**
+   * Melee damage and attack speed (attacks per second) by weapon type and material
+   * Values follow Java Edition 1.20; a fully charged hit deals the listed damage
+   */
+  static WEAPON_STATS = {
+    sword: {
+      attackSpeed: 1.6,
+      damage: { wooden: 4, golden: 4, stone: 5, iron: 6, diamond: 7, netherite: 8 }
+    },
+    axe: {
+      attackSpeed: { wooden: 0.8, golden: 1.0, stone: 0.8, iron: 0.9, diamond: 1.0, netherite: 1.0 },
+      damage: { wooden: 7, golden: 7, stone: 9, iron: 9, diamond: 9, netherite: 10 }
+    },
+    pickaxe: {
+      attackSpeed: 1.2,
+      damage: { wooden: 2, golden: 2, stone: 3, iron: 4, diamond: 5, netherite: 6 }
+    },
+    shovel: {
+      attackSpeed: 1.0,
+      damage: { wooden: 2.5, golden: 2.5, stone: 3.5, iron: 4.5, diamond: 5.5, netherite: 6.5 }
+    },
+    trident: { attackSpeed: 1.1, damage: 9 },
+    hand: { attackSpeed: 4, damage: 1 }
+  };
+
+  /**
+   * Get melee stats for an item
+   * @param {string|null} itemName - Item name (null for an empty hand)
+   * @returns {Object|null} { damage, attackSpeed, dps } or null if the item is not a weapon
+   */
+  static getWeaponStats(itemName) {
+    const match = itemName ? /^(?:(\w+?)_)?(sword|axe|pickaxe|shovel|trident)$/.exec(itemName) : ['', null, 'hand'];
+    if (!match) return null;
+    const [, material, type] = match;
+    const stats = this.WEAPON_STATS[type];
+    const pick = value => (typeof value === 'object' ? value[material] : value);
+    const damage = pick(stats.damage);
+    const attackSpeed = pick(stats.attackSpeed);
+    if (damage === undefined || attackSpeed === undefined) return null;
+    return { damage, attackSpeed, dps: damage * attackSpeed };
+  }
+
+  /**
+   * Find the melee weapon with the highest damage per second
+   * Falls back to the bare hand when nothing in the inventory beats it
+   * @param {Bot} bot - Mineflayer bot instance
+   * @returns {Object} { weapon, damage, attackSpeed, dps } (weapon is null for the bare hand)
+   */
+  static getBestWeapon(bot) {
+    let best = { weapon: null, ...this.getWeaponStats(null) };
+    if (!bot || !bot.inventory) return best;
+    try {
+      for (const item of bot.inventory.items()) {
+        const stats = item && item.name ? this.getWeaponStats(item.name) : null;
+        if (stats && stats.dps > best.dps) best = { weapon: item, ...stats };
+      }
+    } catch (error) {
+      console.error('[InventoryUtils] getBestWeapon error:', error.message);
+    }
+    return best;
+  }
+
   /**
    * Organize inventory by priority and type
    * @param {Bot} bot - Mineflayer bot instance
@@ -570,6 +636,26 @@ class InventoryUtils {
     }
   }
 
+  /**
+   * Check if an item is a log, including the nether's crimson and warped stems
+   * (mushroom_stem is not wood)
+   * @param {string} itemName - Item name to check
+   * @returns {boolean} True if item is a log or stem
+   */
+  static isLog(itemName) {
+    if (!itemName || typeof itemName !== 'string') return false;
+    return itemName.includes('_log') || itemName === 'log' || /^(stripped_)?(crimson|warped)_stem$/.test(itemName);
+  }
+
+  /**
+   * Plank item crafted from a log or stem (stripped variants give the same planks)
+   * @param {string} logName - Log or stem item name
+   * @returns {string} Plank item name
+   */
+  static plankNameFor(logName) {
+    return logName.replace(/^stripped_/, '').replace(/_(log|stem)$/, '_planks');
+  }
+
   /**
    * Check if an item is a wood plank type
    * @param {string} itemName - Item name to check
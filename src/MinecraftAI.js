@@ -3,23 +3,47 @@ const { TaskPlanner } = require('./TaskPlanner');
 const { EnvironmentObserver } = require('./EnvironmentObserver');
 const { VoyagerAI } = require('./VoyagerAI');
 const { StateManager } = require('./StateManager');
+const { SkillStore } = require('./SkillStore');
+const { SkillRetriever } = require('./SkillRetriever');
 const InventoryUtils = require('./InventoryUtils');
+const { SmeltingUtils } = require('./SmeltingUtils');
+const { NutritionManager } = require('./NutritionManager');
+const { StorageManager } = require('./StorageManager');
+const { StorageRegistry } = require('./StorageRegistry');
+const { CombatSystem } = require('./CombatSystem');
+const { RangedCombat } = require('./RangedCombat');
+const { EquipmentManager } = require('./EquipmentManager');
+const { BucketUtils } = require('./BucketUtils');
+const { FallProtection } = require('./FallProtection');
+const { Dimension } = require('./Dimension');
 const { NLUProcessor } = require('./NLUProcessor');
 const PerformanceMonitor = require('./PerformanceMonitor');
 const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
 
 class MinecraftAI {
+  static NIGHT_ROUTINE_ATTEMPTS = 2;
+  static THREAT_FIGHT_TICKS = 200; // タスクの合間に迎え撃つ時間の上限（10 秒）
+
   constructor(bot, coordinator = null, sharedEnvironment = null, pathfindingCache = null) {
     this.bot = bot;
     this.stateManager = new StateManager(bot);
     this.pathfindingCache = pathfindingCache;
     this.skillLibrary = new SkillLibrary(pathfindingCache);
-    this.taskPlanner = new TaskPlanner(bot, pathfindingCache);
+    this.skillRetriever = new SkillRetriever(this.skillLibrary);
+    this.taskPlanner = new TaskPlanner(bot, pathfindingCache, this.skillLibrary);
     this.observer = new EnvironmentObserver(bot, sharedEnvironment);
     this.voyagerAI = new VoyagerAI(bot);
+    // 生成スキルの永続化 (SKILL_STORE=false で無効)
+    this.skillStore = process.env.SKILL_STORE === 'false' ? null : new SkillStore();
     this.coordinator = coordinator; // Multi-player coordinator (optional)
+    // 拠点のチェストの索引。coordinator があれば他のボットと同じ備蓄を使う
+    this.stockpile = coordinator ? coordinator.stockpile : new StorageRegistry();
+    this.skillLibrary.useStockpile(this.stockpile, coordinator);
+    StorageManager.watch(bot, this.stockpile);
     this.sharedEnvironment = sharedEnvironment; // Shared environment for performance optimization
-    this.nluProcessor = new NLUProcessor(); // Natural Language Understanding processor
+    // Natural Language Understanding processor (tool definitions come from the skill library)
+    this.nluProcessor = new NLUProcessor({ skillLibrary: this.skillLibrary });
     this.performanceMonitor = new PerformanceMonitor({
       enabled: process.env.PERFORMANCE_MONITORING !== 'false',
       logInterval: parseInt(process.env.PERF_LOG_INTERVAL) || 10000, // 10秒間隔
@@ -28,6 +52,7 @@ class MinecraftAI {
 
     // Legacy properties for backward compatibility
     this.currentTask = null;
+    this.taskAbortController = null; // 実行中スキルの中断用
     this.goals = [];
     this.inventory = new Map();
     this.exploredAreas = new Set();
@@ -37,6 +62,8 @@ class MinecraftAI {
     this.logger = Logger.createLogger(`MinecraftAI-${this.playerId}`);
     this.failedTargets = new Map(); // To track recently failed targets
     this.taskFailureCounts = new Map(); // To track generic task failures
+    // 未知のタスクに既存スキルを流用する類似度の下限 (0-1)
+    this.skillReuseThreshold = parseFloat(process.env.SKILL_REUSE_THRESHOLD) || 0.6;
 
     // Enhanced socket safety to prevent EPIPE errors - comprehensive protection
     this.setupComprehensiveEPIPEProtection();
@@ -64,10 +91,20 @@ class MinecraftAI {
       this.handleDeath();
     });
 
+    // mineflayer はポータルでディメンションを移ったときにも respawn を出すので、死んだ後だけ目標を作り直す
     this.bot.on('respawn', () => {
-      this.handleRespawn();
+      if (this.isRespawning) this.handleRespawn();
+      else this.handleDimensionChange();
     });
 
+    // 夜の日課: 夕方になったら作業を中断してベッドで寝て、起きたら中断した作業に戻る (NIGHT_ROUTINE=false で無効)
+    this.nightRoutineEnabled = process.env.NIGHT_ROUTINE !== 'false';
+    this.nightRoutine = { day: null, attempts: 0 };
+    this.bot.on('time', () => this.checkNightRoutine());
+
+    // 高い所から落ちるとき、ホットバーの水入りバケツで着地点に水を置く (FALL_PROTECTION=false で無効)
+    if (process.env.FALL_PROTECTION !== 'false') FallProtection.attach(this.bot);
+
     // Additional socket-level error handling for EPIPE prevention
     if (this.bot._client && this.bot._client.socket) {
       this.bot._client.socket.on('error', (err) => {
@@ -98,7 +135,11 @@ class MinecraftAI {
     this.setupStateSync();
   }
 
-  async initialize() {
+  /**
+   * @param {Object} options
+   *        └─ startLoop  false の場合はメインループを開始しない (シナリオ実行など外部からループを駆動する場合)
+   */
+  async initialize(options = {}) {
     if (this.isInitialized) return;
 
     this.logger.log('AIシステムを初期化中...');
@@ -120,6 +161,19 @@ class MinecraftAI {
     // Load basic skills
     this.skillLibrary.loadBasicSkills();
 
+    // 前回までに生成したスキルを復元する
+    if (this.skillStore) {
+      try {
+        const restored = this.skillStore.loadInto(this.skillLibrary, code => this.voyagerAI.createSandboxedSkill(code));
+        this.skillStore.attach(this.stateManager);
+        if (restored > 0) {
+          this.logger.log(`保存済みの生成スキルを${restored}個復元しました`);
+        }
+      } catch (error) {
+        this.logger.warn(`スキルストアの読み込みに失敗: ${error.message}`);
+      }
+    }
+
     // Set resource-focused goals prioritizing growth and crafting over exploration
     // リソース採取とクラフトを重視し、探索の比重を下げる
     this.goals = [
@@ -134,7 +188,9 @@ class MinecraftAI {
     this.logger.log('AIシステムの初期化が完了しました');
 
     // Start the main AI loop
-    this.startMainLoop();
+    if (options.startLoop !== false) {
+      this.startMainLoop();
+    }
   }
 
   onSpawn() {
@@ -153,7 +209,7 @@ class MinecraftAI {
 
   onDeath() {
     this.logger.log('ボットが死亡しました。状態をリセットします...');
-    this.currentTask = null;
+    this.cancelCurrentTask('death');
     this.inventory.clear();
   }
 
@@ -205,7 +261,7 @@ class MinecraftAI {
       this.setGoal({ type: 'follow', target: username, priority: 0 });
       break;
     case 'stop':
-      this.currentTask = null;
+      this.cancelCurrentTask('stop');
       this.bot.chat('現在のタスクを停止します');
       break;
     case 'learn':
@@ -275,21 +331,6 @@ class MinecraftAI {
     const { intent, entities } = nluResult;
 
     switch (intent) {
-    case 'goto':
-      if (entities.x !== undefined && entities.y !== undefined && entities.z !== undefined) {
-        return { type: 'move_to', params: { x: entities.x, y: entities.y, z: entities.z } };
-      }
-      break;
-    case 'explore':
-      return { type: 'explore', params: { target: entities.target, radius: entities.radius || 50 } };
-    case 'mine_block':
-      return { type: 'mine', params: { name: entities.name, count: entities.count || 1 } };
-    case 'gather_wood':
-      return { type: 'gather_wood', params: { wood_type: entities.wood_type || 'oak', count: entities.count || 10 } };
-    case 'craft_item':
-      return { type: 'craft', params: { item: entities.item, count: entities.count || 1 } };
-    case 'follow':
-      return { type: 'follow', params: { target: entities.player } };
     case 'check_inventory':
       return { type: 'check_inventory', params: {} };
     case 'get_status':
@@ -297,37 +338,33 @@ class MinecraftAI {
     case 'stop_task':
       return { type: 'stop', params: {} };
     default:
+      break;
+    }
+
+    // それ以外のツールはスキル名そのもの。引数はスキルの paramSchema で検証する
+    const skill = this.skillLibrary.getSkill(intent);
+    if (!skill) {
       return null;
     }
+
+    const validation = typeof skill.validateParams === 'function'
+      ? skill.validateParams(entities || {})
+      : { success: true, params: entities || {} };
+    if (!validation.success) {
+      this.logger.warn(`NLUの引数がスキル定義と一致しません: ${validation.error}`);
+      return null;
+    }
+
+    return { type: 'skill', skill: intent, params: validation.params };
   }
 
   // NLUタスクの実行
   async executeNluTask(task) {
     try {
       switch (task.type) {
-      case 'move_to':
-        this.setGoal({ type: 'move_to', target: task.params, priority: 0 });
-        this.bot.chat(`座標(${task.params.x}, ${task.params.y}, ${task.params.z})に移動します`);
-        break;
-      case 'explore':
-        this.setGoal({ type: 'explore', target: task.params.target, priority: 0 });
-        this.bot.chat(`${task.params.target}の探索を開始します`);
-        break;
-      case 'mine':
-        this.setGoal({ type: 'mine', target: task.params.name, count: task.params.count, priority: 0 });
-        this.bot.chat(`${task.params.name}を${task.params.count}個採掘します`);
-        break;
-      case 'gather_wood':
-        this.setGoal({ type: 'gather_wood', wood_type: task.params.wood_type, count: task.params.count, priority: 0 });
-        this.bot.chat(`${task.params.wood_type}の木材を${task.params.count}個収集します`);
-        break;
-      case 'craft':
-        this.setGoal({ type: 'craft', item: task.params.item, count: task.params.count, priority: 0 });
-        this.bot.chat(`${task.params.item}を${task.params.count}個クラフトします`);
-        break;
-      case 'follow':
-        this.setGoal({ type: 'follow', target: task.params.target, priority: 0 });
-        this.bot.chat(`${task.params.target}を追跡します`);
+      case 'skill':
+        this.setGoal({ type: task.skill, skill: task.skill, params: task.params, priority: 0 });
+        this.bot.chat(`${task.skill}を実行します ${this.formatParamsForChat(task.params)}`.trim());
         break;
       case 'check_inventory':
         this.reportInventory();
@@ -336,7 +373,7 @@ class MinecraftAI {
         this.reportStatus();
         break;
       case 'stop':
-        this.currentTask = null;
+        this.cancelCurrentTask('stop');
         this.bot.chat('現在のタスクを停止します');
         break;
       default:
@@ -348,6 +385,13 @@ class MinecraftAI {
     }
   }
 
+  formatParamsForChat(params = {}) {
+    const parts = Object.entries(params)
+      .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value) || Array.isArray(value))
+      .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('/') : value}`);
+    return parts.length > 0 ? `(${parts.join(', ')})` : '';
+  }
+
   // インベントリ状態を報告
   reportInventory() {
     try {
@@ -808,6 +852,19 @@ class MinecraftAI {
 
   async handleImmediateThreats() {
     try {
+      // 飛んでくる矢は数 tick で当たるので、食事や装備の入れ替えよりも先に防ぐ
+      const incoming = RangedCombat.incomingProjectiles(this.bot);
+      if (incoming.length > 0) {
+        const evasion = await RangedCombat.evade(this.bot, incoming);
+        if (evasion.action) this.logger.log(`飛び道具を回避 (${evasion.action})`);
+        return { shouldContinue: false };
+      }
+
+      await this.manageNutrition();
+      await this.manageEquipment();
+      await this.manageEffects();
+      this.manageStorage();
+      this.manageAmmunition();
       const dangers = this.observer.getNearbyDangers();
 
       if (dangers.length === 0) {
@@ -834,10 +891,32 @@ class MinecraftAI {
           current.distance < closest.distance ? current : closest
         );
 
-        if (nearest.distance < 8) {
-          this.logger.log(`敵対MOB ${nearest.entityType} が接近中、回避行動`);
-          await this.performEvasiveAction(nearest);
-          return { shouldContinue: false }; // Skip normal processing
+        // 見張り役は範囲内の敵を自分から倒しに行く（防衛はタスクとして実行し、中断・タイムアウトの対象にする）
+        if (this.personality() === 'guard') {
+          const queued = [this.currentTask, ...this.goals].some(goal => goal && goal.type === 'defend');
+          if (nearest.distance <= CombatSystem.FIGHT_RADIUS && !queued) {
+            this.logger.log(`敵対MOB ${nearest.entityType} を発見、防衛に向かいます`);
+            this.goals.unshift({ type: 'defend', priority: 0, urgent: true, description: '緊急：周囲の敵対MOBを倒す' });
+          }
+          return { shouldContinue: true };
+        }
+
+        // 射手は離れていても撃ってくるので、弓があれば撃ち返す
+        const shootBack = RangedCombat.canShoot(this.bot) &&
+          hostileEntities.some(d => d.combatKind === 'ranged' && d.distance <= CombatSystem.FIGHT_RADIUS);
+        if (nearest.distance < 8 || shootBack) {
+          const radius = shootBack ? CombatSystem.FIGHT_RADIUS : CombatSystem.ENGAGE_RADIUS;
+          const assessment = CombatSystem.assess(this.bot, { radius });
+          if (assessment.action === 'fight') {
+            this.logger.log(`敵対MOB ${assessment.target.name} が接近中、迎え撃ちます`);
+            await CombatSystem.fight(this.bot, assessment.target, { maxTicks: MinecraftAI.THREAT_FIGHT_TICKS });
+            return { shouldContinue: false };
+          }
+          if (assessment.action === 'flee') {
+            this.logger.log(`敵対MOB ${nearest.entityType} が接近中、回避行動 (${assessment.reason})`);
+            await this.performEvasiveAction(assessment.hostiles);
+            return { shouldContinue: false }; // Skip normal processing
+          }
         }
       }
 
@@ -848,40 +927,165 @@ class MinecraftAI {
     }
   }
 
-  async performEvasiveAction(threat) {
-    try {
-      if (!this.bot?.entity?.position) {
-        this.logger.log('回避行動エラー: プレイヤー位置が取得できません');
+  /**
+   * 夕方になったら寝る目標を先頭に積む。実行中のタスクは中断し、起きた後に同じ引数で再開する。
+   * 失敗しても（モンスターがいて寝られないなど）一晩に 2 回までしか試さない
+   */
+  checkNightRoutine() {
+    if (!this.nightRoutineEnabled || this.isRespawning || !this.bot.time || this.bot.isSleeping) return;
+    if (!EnvironmentObserver.isBedtime(this.bot)) return;
+    if (Dimension.current(this.bot) !== Dimension.OVERWORLD) return;
+
+    if (this.nightRoutine.day !== this.bot.time.day) this.nightRoutine = { day: this.bot.time.day, attempts: 0 };
+    if (this.nightRoutine.attempts >= MinecraftAI.NIGHT_ROUTINE_ATTEMPTS) return;
+
+    const task = this.currentTask;
+    const pending = [task, ...this.goals].filter(Boolean);
+    // 寝る目標がすでにあるか、緊急の目標を片付けている間は割り込まない
+    if (pending.some(goal => goal.type === 'sleep_in_bed' || goal.priority === 0)) return;
+
+    this.nightRoutine.attempts++;
+    this.logger.log('夕方になったので、家のベッドで寝ます');
+    if (task) {
+      this.goals.unshift({
+        type: task.type,
+        skill: task.type,
+        params: { ...(task.params || {}) },
+        priority: task.priority ?? 1,
+        description: `起きたら ${task.type} を再開`
+      });
+      this.cancelCurrentTask('night');
+    }
+    this.goals.unshift({ type: 'sleep_in_bed', priority: 0, description: '夜なので家のベッドで寝る' });
+  }
+
+  /**
+   * 空腹なら手持ちの食べ物を食べる。食べられる物が無ければ、焼くか食料を探す目標を先頭に積む。
+   * 生の食材を持っていて焼ける場所があれば、後で焼く目標を積んでおく
+   */
+  async manageNutrition() {
+    const queued = type => [this.currentTask, ...this.goals].some(goal => goal && goal.type === type);
+
+    if (NutritionManager.needsFood(this.bot)) {
+      const result = await NutritionManager.eat(this.bot);
+      if (!result.success && result.reason === 'NO_FOOD' && this.bot.food < 10) {
+        const recovery = this.generateRecoveryTask('NO_FOOD', result.details);
+        if (!queued(recovery.type)) {
+          this.logger.log(`空腹 (${this.bot.food}/20) で食べられる物が無いため ${recovery.type} を優先`);
+          this.goals.unshift(recovery);
+        }
         return;
       }
+    }
 
-      if (!threat?.position) {
-        this.logger.log('回避行動エラー: 脅威の位置が不明です');
-        return;
+    if (!queued('cook_food') && NutritionManager.cookableItems(this.bot).length > 0 &&
+        NutritionManager.canCook(this.bot)) {
+      this.goals.push({ type: 'cook_food', priority: 5, description: '生の食材を焼いておく' });
+    }
+  }
+
+  /**
+   * インベントリがほぼ満杯なら、拠点のチェストへ預ける目標を積む（預け先もチェストの材料も無ければ積まない）
+   */
+  manageStorage() {
+    const queued = [this.currentTask, ...this.goals].some(goal => goal && goal.type === 'deposit_items');
+    if (queued || !StorageManager.needsDeposit(this.bot)) return;
+    this.stockpile.load();
+    if (!StorageManager.canStore(this.bot, this.stockpile)) return;
+    this.logger.log(`インベントリの空きが ${this.bot.inventory.emptySlotCount()} スロットなので拠点のチェストへ預けます`);
+    this.goals.push({ type: 'deposit_items', priority: 1, description: 'インベントリが満杯なので拠点のチェストへ預ける' });
+  }
+
+  /**
+   * 空いた防具スロット・より良い予備・壊れかけの防具と盾をその場で付け替える（作るのは regenerateDefaultGoals）
+   */
+  async manageEquipment() {
+    if (EquipmentManager.pendingChanges(this.bot).length === 0) return;
+    const result = await EquipmentManager.equipBest(this.bot);
+    if (result.equipped.length > 0) {
+      this.logger.log(`装備を更新: ${result.equipped.join(', ')} (防具ポイント ${result.armor})`);
+    }
+  }
+
+  /**
+   * 燃えていれば足元に水を置いて消す（置いた水は汲み直す）。毒・衰弱にかかっていればミルクを飲み、
+   * ミルクが無ければ空のバケツで近くの牛から搾る目標を積む
+   */
+  async manageEffects() {
+    const feet = this.bot.blockAt(this.bot.entity.position.floored());
+    if (BucketUtils.isBurning(this.bot) && BucketUtils.findItem(this.bot, 'water_bucket') &&
+        Dimension.canPlaceWater(this.bot) && !(feet && feet.name === 'lava')) {
+      const poured = await BucketUtils.pour(this.bot, this.bot.entity.position);
+      if (poured.success) {
+        this.logger.log('燃えているので足元に水を置きました');
+        await BucketUtils.scoop(this.bot, 'water', { position: poured.position });
       }
+    }
 
-      const currentPos = this.bot.entity.position;
-      const threatPos = threat.position;
+    const harmful = BucketUtils.harmfulEffects(this.bot);
+    if (harmful.length === 0) return;
+    if (BucketUtils.findItem(this.bot, 'milk_bucket')) {
+      const result = await BucketUtils.drinkMilk(this.bot);
+      if (result.success) this.logger.log(`${harmful.join('・')} を消すためにミルクを飲みました`);
+      return;
+    }
+    const queued = [this.currentTask, ...this.goals].some(goal => goal && goal.type === 'milk_cow');
+    if (queued || !BucketUtils.findItem(this.bot, 'bucket') || !BucketUtils.findMilkable(this.bot, 16)) return;
+    this.goals.unshift({
+      type: 'milk_cow',
+      skill: 'milk_cow',
+      priority: 0,
+      urgent: true,
+      params: { radius: 16 },
+      description: `緊急: ${harmful.join('・')} を消すミルクを搾る`
+    });
+  }
 
-      // Calculate escape direction (opposite from threat)
-      const escapeX = currentPos.x + (currentPos.x - threatPos.x) * 2;
-      const escapeZ = currentPos.z + (currentPos.z - threatPos.z) * 2;
+  /**
+   * 弓かクロスボウの矢が少なくなったら、材料があるうちに矢を作る目標を積む
+   */
+  manageAmmunition() {
+    const queued = [this.currentTask, ...this.goals].some(goal => goal && goal.type === 'craft_arrows');
+    if (queued || !RangedCombat.needsArrows(this.bot) || RangedCombat.arrowBatches(this.bot) === 0) return;
+    const count = Math.min(16, RangedCombat.arrowBatches(this.bot) * RangedCombat.ARROWS_PER_CRAFT);
+    this.logger.log(`矢が残り ${RangedCombat.arrowCount(this.bot)} 本なので ${count} 本作ります`);
+    this.goals.push({
+      type: 'craft_arrows',
+      skill: 'craft_arrows',
+      priority: 2,
+      params: { count },
+      description: '矢が少ないので材料から作っておく'
+    });
+  }
 
-      this.logger.log(`回避行動: (${Math.round(escapeX)}, ${Math.round(escapeZ)})方向に移動`);
+  /**
+   * 敵のいる方向の反対へ離れる
+   * @param {Array} hostiles - 離れたい敵のエンティティ
+   */
+  async performEvasiveAction(hostiles) {
+    try {
+      if (!this.bot?.entity?.position) {
+        this.logger.log('回避行動エラー: プレイヤー位置が取得できません');
+        return;
+      }
 
-      // Use move skill for evasion
-      const moveSkill = this.skillLibrary.getSkill('move_to');
-      if (moveSkill) {
-        await Promise.race([
-          moveSkill.execute(this.bot, { x: escapeX, y: currentPos.y, z: escapeZ }),
-          this.sleep(5000) // Max 5 seconds for evasion
-        ]);
+      const result = await CombatSystem.retreat(this.bot, hostiles);
+      if (!result.success) {
+        this.logger.log(`回避行動: 離れられませんでした (${result.error})`);
       }
     } catch (error) {
       this.logger.log(`回避行動エラー: ${error.message}`);
     }
   }
 
+  /**
+   * 名前から決まる性格 (MultiPlayerCoordinator.detectPersonality)。coordinator が無ければ generalist
+   */
+  personality() {
+    const player = this.coordinator && this.coordinator.players.get(this.playerId);
+    return (player && player.personality) || 'generalist';
+  }
+
   // Enhanced movement with terrain-aware navigation
   async smartNavigateTo(x, y, z) {
     try {
@@ -979,6 +1183,9 @@ class MinecraftAI {
         return;
       }
 
+      // 長いタスクの途中で空腹にならないよう、出発前に食べておく
+      await NutritionManager.prepareForTask(this.bot, this.currentTask);
+
       const result = await this.executeSkillSafely(skill, taskName);
       await this.processTaskResult(result, taskName);
     } catch (error) {
@@ -996,12 +1203,33 @@ class MinecraftAI {
   async getOrGenerateSkill(taskName) {
     let skill = this.skillLibrary.getSkill(taskName);
 
-    // If no predefined skill exists, try to generate one with Voyager AI
+    // If no predefined skill exists, look for a similar one before generating with Voyager AI
     if (!skill) {
+      const candidates = this.skillRetriever.retrieve(this.currentTask, { k: 3 });
+      const best = candidates[0];
+      if (best && best.score >= this.skillReuseThreshold) {
+        this.logger.log(`${taskName}に類似したスキル ${best.name} を再利用します (類似度: ${best.score.toFixed(2)})`);
+        return best.skill;
+      }
+
       this.logger.log(`${taskName}の事前定義スキルがありません。AIで生成中...`);
       try {
         const context = this.observer.getObservationSummary();
-        skill = await this.voyagerAI.generateSkill(this.currentTask, context);
+        // 類似スキルはプロンプトの参考例として渡す
+        skill = await this.voyagerAI.generateSkill(this.currentTask, context, candidates);
+        if (skill && skill.rejected) {
+          this.logger.log(`${taskName}の生成スキルはサンドボックスの検査を通らなかったため保存しません`);
+        } else if (skill && skill.generated && this.skillStore) {
+          // 次回以降は再生成せずに保存済みのスキルを使う
+          this.skillStore.saveGenerated(this.currentTask, context, skill);
+          this.skillLibrary.registerSkill(taskName, {
+            ...skill,
+            name: taskName,
+            description: this.currentTask.description || `Generated skill for ${taskName}`,
+            taskDescription: SkillRetriever.describeTask(this.currentTask),
+            stored: true
+          });
+        }
       } catch (aiError) {
         this.logger.log(`AIスキル生成に失敗: ${aiError.message}`);
         this.currentTask = null;
@@ -1021,7 +1249,12 @@ class MinecraftAI {
       return await this.executeSkillWithTimeout(skill, this.currentTask.params, dynamicTimeout);
     } catch (error) {
       // Convert exceptions back to result objects for consistent error handling
-      return { success: false, error: error.message };
+      // スキルが返した失敗結果は reason / details を保ったまま返す
+      if (error.result) return error.result;
+      // タイムアウト以外はスキルの中で投げられた例外なので、ただの失敗と区別できるよう exception を付ける
+      return error.timedOut
+        ? { success: false, error: error.message }
+        : { success: false, error: error.message, exception: true };
     }
   }
 
@@ -1032,6 +1265,15 @@ class MinecraftAI {
       return;
     }
 
+    // 中断はスキルの失敗ではないため、学習・失敗回数・スキル成績には反映しない
+    if (result && result.reason === Cancellation.CANCELLED) {
+      this.logger.log(`タスクがキャンセルされました: ${taskName}`);
+      if (this.stateManager) {
+        this.stateManager.completeCurrentTask(result);
+      }
+      return;
+    }
+
     // Learn from the experience if Voyager AI is available with comprehensive null protection
     try {
       if (this.currentTask && this.currentTask.type) {
@@ -1138,29 +1380,77 @@ class MinecraftAI {
   }
 
   async executeSkillWithTimeout(skill, params, timeoutMs) {
+    // スキルには params.cancelToken として AbortSignal を渡し、!stop やタイムアウトで協調的に止める
+    const controller = new AbortController();
+    this.taskAbortController = controller;
+
+    const rejectWithResult = (reject, result) => {
+      const error = new Error(result.error || 'Skill execution failed');
+      error.result = result;
+      reject(error);
+    };
+
     return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = () => {
+        settled = true;
+        clearTimeout(timeoutId);
+        controller.signal.removeEventListener('abort', onAbort);
+        if (this.taskAbortController === controller) {
+          this.taskAbortController = null;
+        }
+      };
+
       const timeoutId = setTimeout(() => {
-        reject(new Error(`Skill execution timed out after ${timeoutMs}ms`));
+        settle();
+        controller.abort('timeout');
+        const error = new Error(`Skill execution timed out after ${timeoutMs}ms`);
+        error.timedOut = true;
+        reject(error);
       }, timeoutMs);
 
+      // 中断に対応していないスキルでも、停止要求の時点でタスクは終わらせる
+      const onAbort = () => {
+        if (settled) return;
+        settle();
+        rejectWithResult(reject, Cancellation.cancelledResult(controller.signal));
+      };
+      controller.signal.addEventListener('abort', onAbort);
+
       // Execute skill asynchronously
-      skill.execute(this.bot, params)
+      skill.execute(this.bot, { ...params, cancelToken: controller.signal })
         .then(result => {
-          clearTimeout(timeoutId);
+          if (settled) return;
+          settle();
           // Check if result indicates failure and reject accordingly
           if (result && typeof result === 'object' && result.success === false) {
-            reject(new Error(result.error || 'Skill execution failed'));
+            rejectWithResult(reject, result);
           } else {
             resolve(result);
           }
         })
         .catch(error => {
-          clearTimeout(timeoutId);
+          if (settled) return;
+          settle();
           reject(error);
         });
     });
   }
 
+  /**
+   * 実行中のスキルに中断を通知する。スキル実行中でなければ現在のタスクをそのまま破棄する
+   * @param {string} reason - 'stop' | 'death' | 'shutdown' など
+   */
+  cancelCurrentTask(reason = 'stop') {
+    if (this.taskAbortController) {
+      this.logger.log(`実行中のタスクを中断します (${reason})`);
+      // currentTask は executeCurrentTask が CANCELLED の結果を記録した後に片付ける
+      this.taskAbortController.abort(reason);
+      return;
+    }
+    this.currentTask = null;
+  }
+
   announceTaskCompletion(taskName, result) {
     const messages = {
       gather_wood: `${result.gathered || 'いくつかの'}木材を収集しました！ 🌳`,
@@ -1169,7 +1459,14 @@ class MinecraftAI {
       craft_stone_tools: `${result.crafted || 'いくつかの'}石製ツールにアップグレードしました！ ⚒️`,
       find_food: '食料を確保しました！ 🍖',
       build_shelter: '避難所を建設しました！ 🏠',
-      mine_safely: '安全な採掘作業を完了しました！ 💎'
+      mine_safely: '安全な採掘作業を完了しました！ 💎',
+      branch_mine: `ブランチマイニングを終えました（鉱脈 ${result.veins || 0} 個） ⛏️`,
+      defend: `周囲の敵を ${result.killed || 0} 体倒しました ⚔️`,
+      craft_armor: `防具を作りました（防具ポイント ${result.armor ?? 0}） 🛡️`,
+      make_water_source: '無限水源を作りました 💧',
+      extinguish_fire: `火を ${result.extinguished || 0} か所消しました 🧯`,
+      build_nether_portal: 'ネザーポータルを作りました 🟪',
+      use_nether_portal: `${result.to === 'the_nether' ? 'ネザー' : 'オーバーワールド'}に着きました 🌀`
     };
 
     const message = messages[taskName] || `タスク完了: ${taskName}`;
@@ -1217,6 +1514,12 @@ class MinecraftAI {
   generateRecoveryTask(reason, details) {
     switch (reason) {
     case 'NO_TOOL': {
+      if (details.required === 'bucket') {
+        return { type: 'craft_bucket', priority: 0, description: '緊急: バケツを作成', params: { count: 1 } };
+      }
+      if (details.required === 'water_bucket') {
+        return { type: 'collect_water', skill: 'collect_water', priority: 0, description: '緊急: バケツに水を汲む' };
+      }
       return {
         type: 'craft_tools',
         priority: 0,
@@ -1226,17 +1529,111 @@ class MinecraftAI {
     }
     case 'INSUFFICIENT_MATERIALS': {
       const material = details.missing[0];
+      // 拠点のチェストにあれば、集めに行く前に取り出す（取り出しに失敗すると索引が直り、次は集めに行く）
+      const stored = this.stockpileAvailable(material.item);
+      if (stored > 0 && !details.withdrawn) {
+        return {
+          type: 'withdraw_items',
+          skill: 'withdraw_items',
+          priority: 0,
+          description: `緊急: 拠点のチェストから${material.item}を取り出す`,
+          params: { items: [{ name: material.item, count: Math.min(material.needed, stored) }] }
+        };
+      }
+      if (NutritionManager.isFood(this.bot, material.item)) {
+        return this.generateRecoveryTask('NO_FOOD', { cookable: [] });
+      }
+      if (material.item === 'feather') {
+        return {
+          type: 'attack_entity',
+          skill: 'attack_entity',
+          priority: 0,
+          description: `緊急: ニワトリを倒して羽根を${material.needed}個集める`,
+          params: { target: 'chicken' }
+        };
+      }
+      if (material.item === 'leather') {
+        return {
+          type: 'attack_entity',
+          skill: 'attack_entity',
+          priority: 0,
+          description: `緊急: 牛を倒して革を${material.needed}個集める`,
+          params: { target: 'cow' }
+        };
+      }
+      if (material.item === 'iron_ingot') {
+        return {
+          type: 'smelt_item',
+          priority: 0,
+          description: `緊急: 鉄インゴットを${material.needed}個精錬する`,
+          itemName: 'iron_ingot',
+          count: material.needed
+        };
+      }
+      if (material.item === 'milk_bucket') {
+        return {
+          type: 'milk_cow',
+          skill: 'milk_cow',
+          priority: 0,
+          description: '緊急: 牛からミルクを搾る'
+        };
+      }
+      if (material.item === 'diamond') {
+        return {
+          type: 'branch_mine',
+          priority: 0,
+          description: `緊急: ダイヤモンドを${material.needed}個探して掘る`,
+          params: { targetY: -58 }
+        };
+      }
+      if (material.item === 'flint') {
+        // 砂利を掘ると 1 割の確率で火打石が出る
+        return {
+          type: 'mine_block',
+          skill: 'mine_block',
+          priority: 0,
+          description: `緊急: 砂利を掘って火打石を${material.needed}個集める`,
+          params: { blockType: 'gravel', amount: Math.min(64, material.needed * 10) }
+        };
+      }
+      if (material.item === 'obsidian') {
+        // 黒曜石はダイヤのツルハシでしか掘れない（無ければ mine_block が NO_TOOL を返す）
+        return {
+          type: 'mine_block',
+          skill: 'mine_block',
+          priority: 0,
+          description: `緊急: 黒曜石を${material.needed}個掘る`,
+          params: { blockType: 'obsidian', amount: material.needed }
+        };
+      }
+      if (material.item.endsWith('_wool')) {
+        return {
+          type: 'shear_sheep',
+          skill: 'shear_sheep',
+          priority: 0,
+          description: `緊急: ${material.item}を${material.needed}個集める`
+        };
+      }
       return {
-        type: material.item.includes('log') || material.item.includes('planks') ? 'gather_wood' : 'mine_block',
+        type: InventoryUtils.isLog(material.item) || material.item.includes('planks') ? 'gather_wood' : 'mine_block',
         priority: 0,
         description: `緊急: ${material.item}を${material.needed}個集める`,
         params: {
           amount: material.needed,
-          blockType: material.item.includes('log') ? 'oak_log' : 'stone' // Simple mapping
+          blockType: InventoryUtils.isLog(material.item) ? 'oak_log' : 'stone' // Simple mapping
         }
       };
     }
     case 'TARGET_NOT_FOUND':
+      if (details.spared) {
+        // 子供か最後のつがいしかいなかった。遠くを探すより、手元の群れを増やす
+        return {
+          type: 'breed_animals',
+          priority: 0,
+          description: `緊急: ${details.type}を繁殖させて増やす`,
+          animal: details.type === 'livestock' ? 'auto' : details.type
+        };
+      }
       return {
         type: 'explore',
         priority: 1,
@@ -1249,12 +1646,69 @@ class MinecraftAI {
         priority: 0,
         description: '緊急: 作業台を作成'
       };
+    case 'FURNACE_MISSING':
+      return {
+        type: 'craft_furnace',
+        priority: 0,
+        description: '緊急: かまどを作成'
+      };
+    case 'NO_FUEL': {
+      const shortageTicks = (details.requiredTicks || 0) - (details.availableTicks || 0);
+      // 空のバケツがあって近くに溶岩があれば、1 バケツで原木 67 本分の燃料になる
+      if (BucketUtils.findItem(this.bot, 'bucket') && BucketUtils.findSources(this.bot, 'lava', 32, 1).length > 0) {
+        return {
+          type: 'collect_lava',
+          skill: 'collect_lava',
+          priority: 0,
+          description: '緊急: 燃料用に溶岩を汲む',
+          params: { count: 1 }
+        };
+      }
+      return {
+        type: 'gather_wood',
+        priority: 0,
+        description: '緊急: 燃料用の原木を集める',
+        params: { amount: Math.max(1, Math.ceil(shortageTicks / SmeltingUtils.getBurnTicks('oak_log'))) }
+      };
+    }
+    case 'NO_FOOD':
+      if ((details.cookable || []).length > 0) {
+        return { type: 'cook_food', priority: 0, description: `緊急: ${details.cookable[0]}を焼く` };
+      }
+      return { type: 'find_food', priority: 0, description: '緊急: 食べる物を確保' };
+    case 'MONSTERS_NEARBY':
+      return { type: 'build_shelter', priority: 0, description: '緊急: モンスターがいて寝られないので避難所を作る' };
+    case 'OUTMATCHED':
+      return { type: 'build_shelter', priority: 0, description: '緊急: 敵に敵わないので避難所に籠る' };
+    case 'NOT_NIGHT':
+    case 'BED_OCCUPIED':
+      // 時刻や他のプレイヤー次第なので、次の夜の日課まで待つ
+      return null;
+    case 'PRECONDITION_FAILED':
+      return this.generatePreconditionRecoveryTask(details);
     default:
       this.logger.log(`不明な失敗理由(${reason})のため、回復タスクを生成できません`);
       return null;
     }
   }
 
+  // スキル契約の事前条件のうち最初に満たせなかったものを補うタスク
+  generatePreconditionRecoveryTask(details) {
+    const unmet = details.unmet && details.unmet[0];
+    const condition = unmet && unmet.condition;
+    if (!condition) return null;
+
+    if (condition.type === 'block_nearby' && (condition.blocks || [condition.block]).includes('crafting_table')) {
+      return this.generateRecoveryTask('CRAFTING_TABLE_MISSING', {});
+    }
+    if (condition.type === 'has_item' && condition.item) {
+      const needed = Math.max(1, (condition.count ?? 1) - (unmet.actual || 0));
+      return this.generateRecoveryTask('INSUFFICIENT_MATERIALS', { missing: [{ item: condition.item, needed }] });
+    }
+    this.logger.log(`事前条件 (${condition.type}) を補う回復タスクはありません`);
+    return null;
+  }
+
   hasPickaxe() {
     return InventoryUtils.hasTool(this.bot, 'pickaxe');
   }
@@ -1351,7 +1805,12 @@ class MinecraftAI {
       build_shelter: 1.2, // Reduced but adequate for building
       move_to: 0.4, // Reduced for faster movement
       follow: 0.8, // Reduced for more responsive following
-      find_food: 0.8 // Reduced for faster food gathering
+      find_food: 0.8, // Reduced for faster food gathering
+      cook_food: 2.5, // A campfire batch alone takes 30 seconds
+      sleep_in_bed: 3, // Walking home, waiting for dusk and the night itself
+      deposit_items: 2, // Walking back to the base and possibly crafting chests
+      branch_mine: 3, // Digging the staircase down before the tunnel even starts
+      defend: 1.5 // Several fights, each waiting out attack cooldowns
     };
 
     let multiplier = timeoutMultipliers[taskType] || 1.0; // Further reduced default for better performance
@@ -1382,6 +1841,15 @@ class MinecraftAI {
     return Math.max(minTimeout, Math.min(maxTimeout, calculatedTimeout));
   }
 
+  /**
+   * 拠点のチェストから取り出せる数（coordinator があれば他のボットが取り置いた分を除く）
+   */
+  stockpileAvailable(itemName) {
+    if (this.coordinator) return this.coordinator.stockpileAvailable(itemName, this.playerId);
+    this.stockpile.load();
+    return this.stockpile.count(itemName);
+  }
+
   // Multi-player coordination methods
   async requestResourceAccess(location, resourceType, estimatedTime = 300000) {
     if (!this.coordinator) {
@@ -1599,6 +2067,7 @@ class MinecraftAI {
     if (!this.isInitialized) return;
     this.logger.warn(`Shutting down AI loop (${reason})`);
     this.isInitialized = false;
+    this.cancelCurrentTask('shutdown');
 
     // パフォーマンス監視停止
     if (this.performanceMonitor) {
@@ -1656,6 +2125,9 @@ class MinecraftAI {
       goals.push({ type: 'craft_basic_tools', priority: 3, description: '基本道具を作成する' });
     }
 
+    const armorGoal = this.armorProgressionGoal();
+    if (armorGoal) goals.push(armorGoal);
+
     // Food only when actually needed
     if (this.bot.food < 15) {
       goals.push({ type: 'find_food', priority: 4, description: '食料源を探す' });
@@ -1683,6 +2155,40 @@ class MinecraftAI {
     this.logger.log(`新しいゴールを生成: ${goals.map(g => g.type).join(', ')}`);
   }
 
+  /**
+   * 防具の次の一歩: 素材があれば作り、鉄が足りなければ手持ちの鉄鉱石を精錬するか掘りに行く
+   * （鉄を掘れる石のツルハシを持つまでは防具より道具を優先する）
+   */
+  armorProgressionGoal() {
+    const plan = EquipmentManager.craftPlan(this.bot);
+    if (plan.length > 0) {
+      return { type: 'craft_armor', priority: 3, description: `防具を作る (${plan.join(', ')})` };
+    }
+
+    const needs = EquipmentManager.upgradeNeeds(this.bot);
+    if (!needs || needs.item !== 'iron_ingot') return null;
+    const canMineIron = ['stone_pickaxe', 'iron_pickaxe', 'diamond_pickaxe', 'netherite_pickaxe']
+      .some(pickaxe => InventoryUtils.hasTool(this.bot, pickaxe));
+    if (!canMineIron) return null;
+    const raw = InventoryUtils._safeCount(this.bot, item => item.name === 'raw_iron');
+    if (raw > 0) {
+      return {
+        type: 'smelt_item',
+        priority: 4,
+        description: '防具用の鉄インゴットを精錬する',
+        itemName: 'iron_ingot',
+        count: Math.min(raw, needs.needed)
+      };
+    }
+    return {
+      type: 'mine_block',
+      skill: 'mine_block',
+      priority: 4,
+      description: `防具用の鉄鉱石を${needs.needed}個掘る`,
+      params: { blockType: 'iron_ore', amount: needs.needed }
+    };
+  }
+
   async checkCraftingOpportunities() {
     try {
       // Check if we have enough wood for tools but no tools yet
@@ -2025,6 +2531,17 @@ class MinecraftAI {
     }
   }
 
+  /**
+   * ポータルで別のディメンションに着いた。目標はそのまま続ける（座標は StateManager が換算できる）
+   */
+  handleDimensionChange() {
+    const dimension = Dimension.current(this.bot);
+    this.logger.log(`ディメンションを移動しました: ${dimension}`);
+    if (dimension === Dimension.NETHER && !Dimension.wearsGold(this.bot)) {
+      this.logger.warn('金の防具を着けていないので、ピグリンに襲われます');
+    }
+  }
+
   enterSafeMode() {
     try {
       this.logger.warn('🛡️ 安全モードに移行');
@@ -2033,9 +2550,11 @@ class MinecraftAI {
       this.goals = [];
 
       // Add only very safe goals
+      // 低体力・夜間なら build_shelter は素材集めをせず地下壕に潜る
       this.goals.push({
         type: 'build_shelter',
         priority: 1,
+        mode: 'auto',
         description: '安全モード: 避難所建設'
       });
 
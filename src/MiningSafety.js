@@ -0,0 +1,76 @@
+/**
+ * MiningSafety - 地下でブロックを掘る前の安全確認
+ * 掘ったブロックの上・横・下に溶岩や水があると、掘った穴に流れ込んでくる。読み込まれていない隣接ブロックも危険とみなす。
+ * 上にある砂利・砂は掘ると落ちてくるだけなので掘ってよい（falling で知らせ、掘る側が落ちてきた分を掘り直す）。
+ *
+ * 危険の種類: lava / water / unloaded（隣のチャンクが未読み込み）/ undiggable（岩盤など）
+ */
+
+const { Vec3 } = require('vec3');
+
+const LIQUIDS = new Set(['water', 'flowing_water', 'lava', 'flowing_lava', 'bubble_column']);
+const FALLING_PATTERN = /^(sand|red_sand|gravel|suspicious_sand|suspicious_gravel|.*_concrete_powder)$/;
+const ORE_PATTERN = /_ore$|^ancient_debris$/;
+
+const FACES = [
+  new Vec3(0, 1, 0), new Vec3(0, -1, 0),
+  new Vec3(1, 0, 0), new Vec3(-1, 0, 0),
+  new Vec3(0, 0, 1), new Vec3(0, 0, -1)
+];
+
+class MiningSafety {
+  static FACES = FACES;
+
+  static isLiquid(block) {
+    return !!block && (LIQUIDS.has(block.name) || MiningSafety.isWaterlogged(block));
+  }
+
+  static isLava(block) {
+    return !!block && /lava$/.test(block.name);
+  }
+
+  static isWaterlogged(block) {
+    const properties = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    return properties.waterlogged === true || properties.waterlogged === 'true';
+  }
+
+  static isFalling(block) {
+    return !!block && FALLING_PATTERN.test(block.name);
+  }
+
+  static isOre(block) {
+    return !!block && ORE_PATTERN.test(block.name);
+  }
+
+  /**
+   * その座標のブロックを掘ってよいか
+   * @returns {{safe: boolean, hazards: Array<{type, position, block}>, falling: boolean}}
+   */
+  static checkDig(bot, position) {
+    const hazards = [];
+    const target = bot.blockAt(position);
+    if (!target) {
+      return { safe: false, hazards: [{ type: 'unloaded', position, block: null }], falling: false };
+    }
+    if (MiningSafety.isLiquid(target)) hazards.push(MiningSafety.hazard(target));
+    if (!target.diggable) hazards.push({ type: 'undiggable', position, block: target.name });
+
+    for (const face of FACES) {
+      const neighbour = bot.blockAt(position.plus(face));
+      if (!neighbour) {
+        hazards.push({ type: 'unloaded', position: position.plus(face), block: null });
+      } else if (MiningSafety.isLiquid(neighbour)) {
+        hazards.push(MiningSafety.hazard(neighbour));
+      }
+    }
+
+    const above = bot.blockAt(position.offset(0, 1, 0));
+    return { safe: hazards.length === 0, hazards, falling: MiningSafety.isFalling(above) };
+  }
+
+  static hazard(block) {
+    return { type: MiningSafety.isLava(block) ? 'lava' : 'water', position: block.position, block: block.name };
+  }
+}
+
+module.exports = { MiningSafety };
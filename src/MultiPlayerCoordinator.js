@@ -1,4 +1,5 @@
 const { Logger } = require('./utils/Logger');
+const { StorageRegistry } = require('./StorageRegistry');
 
 class MultiPlayerCoordinator {
   constructor() {
@@ -12,6 +13,10 @@ class MultiPlayerCoordinator {
     this.maxResourceDistance = 32; // Distance for resource conflict detection
     this.claimTimeout = 300000; // 5 minutes claim timeout
 
+    // 共有の備蓄（拠点のチェストの索引）と、取り出す前の取り置き
+    this.stockpile = new StorageRegistry();
+    this.stockpileReservations = new Map(); // `${playerId}:${itemName}` -> { playerId, itemName, count, timestamp }
+
     // 同期開始機能
     this.expectedPlayersCount = 0; // 期待するプレイヤー数
     this.readyPlayers = new Set(); // 準備完了プレイヤー
@@ -51,6 +56,7 @@ class MultiPlayerCoordinator {
       for (const resource of player.resourceClaims) {
         this.releaseResourceClaim(resource, playerId);
       }
+      this.releaseStockpileReservation(playerId);
       this.players.delete(playerId);
       this.logger.log(`Player ${playerId} unregistered`);
     }
@@ -185,6 +191,53 @@ class MultiPlayerCoordinator {
     }
   }
 
+  // Shared stockpile: summary of the base chests and what they hold
+  getStockpile() {
+    this.stockpile.load();
+    return {
+      base: this.stockpile.base,
+      chests: Array.from(this.stockpile.chests.values()).map(chest => ({
+        position: chest.position,
+        category: chest.category,
+        freeSlots: chest.freeSlots,
+        contents: { ...chest.contents }
+      })),
+      totals: this.stockpile.totals(),
+      reservations: Array.from(this.stockpileReservations.values())
+    };
+  }
+
+  // 他のプレイヤーが取り置いた分を除いて、備蓄から取り出せる数
+  stockpileAvailable(itemName, playerId = null) {
+    this.stockpile.load();
+    const reserved = Array.from(this.stockpileReservations.values())
+      .filter(reservation => reservation.itemName === itemName && reservation.playerId !== playerId)
+      .reduce((sum, reservation) => sum + reservation.count, 0);
+    return Math.max(0, this.stockpile.count(itemName) - reserved);
+  }
+
+  // 取り出す前に取り置き、取り置けた数を返す（同じアイテムを複数のボットが取りに行かないようにする）
+  reserveStockpile(playerId, itemName, count) {
+    const granted = Math.min(count, this.stockpileAvailable(itemName, playerId));
+    if (granted <= 0) return 0;
+    this.stockpileReservations.set(`${playerId}:${itemName}`, {
+      playerId,
+      itemName,
+      count: granted,
+      timestamp: Date.now()
+    });
+    this.logger.log(`[Coordinator] ${playerId} reserved ${itemName} x${granted} from the stockpile`);
+    return granted;
+  }
+
+  releaseStockpileReservation(playerId, itemName = null) {
+    for (const [key, reservation] of this.stockpileReservations.entries()) {
+      if (reservation.playerId === playerId && (!itemName || reservation.itemName === itemName)) {
+        this.stockpileReservations.delete(key);
+      }
+    }
+  }
+
   // Calculate resource priority based on player personality and current needs
   calculateResourcePriority(player, resourceType) {
     let basePriority = 5; // Default priority
@@ -365,6 +418,11 @@ class MultiPlayerCoordinator {
       }
     }
 
+    // 取り出しが終わらないまま残った取り置きを解除
+    for (const [key, reservation] of this.stockpileReservations.entries()) {
+      if (now - reservation.timestamp > this.claimTimeout) this.stockpileReservations.delete(key);
+    }
+
     // Clean up old messages
     for (const [channelKey, messages] of this.coordinationChannel.entries()) {
       const recentMessages = messages.filter(msg => now - msg.timestamp < 3600000); // Keep 1 hour
@@ -459,6 +517,8 @@ class MultiPlayerCoordinator {
     return {
       playersCount: this.players.size,
       activeResourceClaims: this.resourceClaims.size,
+      stockpileChests: this.stockpile.chests.size,
+      stockpileReservations: this.stockpileReservations.size,
       sharedGoalsCount: this.sharedGoals.length,
       conflictsInQueue: this.conflictResolutionQueue.length,
       averageCooperationScore: this.calculateAverageCooperationScore(),
@@ -1,24 +1,24 @@
-const OpenAI = require('openai');
 const { Logger } = require('./utils/Logger');
+const { OpenAIClientFactory } = require('./utils/OpenAIClientFactory');
 
 /**
  * 自然言語理解(NLU)プロセッサ
  * OpenAI Function Callingを使用してMinecraftボットコマンドの自然言語解析を行う
  */
 class NLUProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - { skillLibrary: ツール定義の生成元となる SkillLibrary }
+   */
+  constructor(options = {}) {
     this.logger = Logger.createLogger('NLUProcessor');
-    // OpenAI APIキーの設定確認
-    if (!process.env.OPENAI_API_KEY) {
+    this.skillLibrary = options.skillLibrary || null;
+    // OpenAI APIキーの設定確認（MOCK_OPENAI=true の場合はスタブを使用）
+    this.client = OpenAIClientFactory.create();
+    if (!this.client) {
       this.logger.warn('OpenAI API key not found. NLU features will be disabled.');
-      this.client = null;
       return;
     }
 
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-
     // デバッグモード設定
     this.debugMode = process.env.DEBUG_MODE === 'true';
   }
@@ -103,120 +103,27 @@ ${contextInfo}
 
   /**
    * SkillLibraryに対応するOpenAI Function Callingのツール定義
+   * スキルのツールは各スキルの paramSchema から生成するため、モデルとスキルの引数は常に一致する
    * @returns {Array}
    */
   _getSkillDefinitions() {
+    const skillTools = this.skillLibrary ? this.skillLibrary.getToolDefinitions() : [];
+    return [...skillTools, ...this._getControlDefinitions()];
+  }
+
+  /**
+   * スキルではないボット制御用のツール定義
+   * @returns {Array}
+   */
+  _getControlDefinitions() {
+    const noParams = { type: 'object', properties: {}, required: [] };
     return [
-      {
-        type: 'function',
-        function: {
-          name: 'goto',
-          description: '指定された座標に移動する',
-          parameters: {
-            type: 'object',
-            properties: {
-              x: { type: 'number', description: 'X座標' },
-              y: { type: 'number', description: 'Y座標' },
-              z: { type: 'number', description: 'Z座標' }
-            },
-            required: ['x', 'y', 'z']
-          }
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'explore',
-          description: '探索を行う（洞窟、地下、特定の場所など）',
-          parameters: {
-            type: 'object',
-            properties: {
-              target: {
-                type: 'string',
-                description: '探索対象（cave, underground, surface, nearby）',
-                enum: ['cave', 'underground', 'surface', 'nearby']
-              },
-              radius: { type: 'number', description: '探索範囲（ブロック数）', default: 50 }
-            },
-            required: ['target']
-          }
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'mine_block',
-          description: 'ブロックを採掘する',
-          parameters: {
-            type: 'object',
-            properties: {
-              name: {
-                type: 'string',
-                description: '採掘するブロック名（例: stone, coal_ore, iron_ore, diamond_ore）'
-              },
-              count: { type: 'number', description: '採掘する数量', default: 1 }
-            },
-            required: ['name']
-          }
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'gather_wood',
-          description: '木材を収集する',
-          parameters: {
-            type: 'object',
-            properties: {
-              wood_type: {
-                type: 'string',
-                description: '木材の種類（oak, birch, spruce, jungle）',
-                default: 'oak'
-              },
-              count: { type: 'number', description: '収集する数量', default: 10 }
-            }
-          }
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'craft_item',
-          description: 'アイテムをクラフトする',
-          parameters: {
-            type: 'object',
-            properties: {
-              item: { type: 'string', description: 'クラフトするアイテム名' },
-              count: { type: 'number', description: 'クラフトする数量', default: 1 }
-            },
-            required: ['item']
-          }
-        }
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'follow',
-          description: 'プレイヤーを追跡する',
-          parameters: {
-            type: 'object',
-            properties: {
-              player: { type: 'string', description: '追跡するプレイヤー名' }
-            },
-            required: ['player']
-          }
-        }
-      },
       {
         type: 'function',
         function: {
           name: 'check_inventory',
           description: 'インベントリの状態を確認する',
-          parameters: {
-            type: 'object',
-            properties: {},
-            required: []
-          }
+          parameters: noParams
         }
       },
       {
@@ -224,11 +131,7 @@ ${contextInfo}
         function: {
           name: 'get_status',
           description: 'ボットの現在状態（体力、食料、位置）を確認する',
-          parameters: {
-            type: 'object',
-            properties: {},
-            required: []
-          }
+          parameters: noParams
         }
       },
       {
@@ -236,11 +139,7 @@ ${contextInfo}
         function: {
           name: 'stop_task',
           description: '現在実行中のタスクを停止する',
-          parameters: {
-            type: 'object',
-            properties: {},
-            required: []
-          }
+          parameters: noParams
         }
       }
     ];
@@ -290,14 +189,14 @@ module.exports = { NLUProcessor };
 
 // 使用例（コメント）:
 // const { NLUProcessor } = require('./NLUProcessor');
-// const nluProcessor = new NLUProcessor();
+// const nluProcessor = new NLUProcessor({ skillLibrary });
 //
 // // 基本的な使用
 // const result = await nluProcessor.parse('近くの洞窟を探検して');
-// // 結果: { intent: 'explore', entities: { target: 'cave', radius: 50 } }
+// // 結果: { intent: 'explore', entities: { objective: 'cave' } }
 //
 // const result2 = await nluProcessor.parse('10個の石を掘って');
-// // 結果: { intent: 'mine_block', entities: { name: 'stone', count: 10 } }
+// // 結果: { intent: 'mine_block', entities: { blockType: 'stone', amount: 10 } }
 //
 // // コンテキスト付きの使用
 // const context = {
@@ -0,0 +1,232 @@
+/**
+ * NutritionManager - 満腹度と隠し満腹度 (saturation) に基づく食事の判断
+ * 食べ物の回復量は minecraft-data の foods (foodPoints / saturation) を使う。
+ * 満腹度 18 以上で体力が自然回復し、6 以下では走れなくなる。0 になると体力が減り続ける。
+ *
+ * 選び方: 満腹度の不足分を超えない範囲で回復量 + saturation が大きいものを選ぶ（焼いた肉が生肉より優先される）。
+ * 腐った肉・クモの目などの害のある食べ物と、金のリンゴなどの貴重な食べ物は、飢えているときしか食べない。
+ */
+
+const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+const { SmeltingUtils } = require('./SmeltingUtils');
+
+const MAX_FOOD = 20;
+const REGEN_FOOD = 18;
+const HUNGRY_FOOD = 14;
+const STARVING_FOOD = 6;
+
+// 食べると状態異常になる食べ物（生の鶏肉は 30% で空腹、コーラスフルーツはランダムにテレポート）
+const HARMFUL_FOODS = {
+  rotten_flesh: 'hunger',
+  spider_eye: 'poison',
+  poisonous_potato: 'poison',
+  pufferfish: 'poison',
+  chicken: 'hunger',
+  suspicious_stew: 'unknown',
+  chorus_fruit: 'teleport'
+};
+
+// 治療用に取っておく食べ物
+const RESERVED_FOODS = new Set(['golden_apple', 'enchanted_golden_apple']);
+
+const HARMFUL_PENALTY = 10;
+const COOKER_RADIUS = 32;
+const MAX_BITES = 8;
+
+// 長時間かかるため、出発前に満腹にしておくタスク
+const LONG_TASKS = new Set([
+  'explore', 'mine_block', 'mine_safely', 'branch_mine', 'find_stone', 'gather_wood', 'build_shelter',
+  'build_blueprint', 'build_pen', 'farm_crops', 'breed_animals', 'smelt_item', 'craft_tools'
+]);
+
+class NutritionManager {
+  static MAX_FOOD = MAX_FOOD;
+  static REGEN_FOOD = REGEN_FOOD;
+  static HUNGRY_FOOD = HUNGRY_FOOD;
+  static STARVING_FOOD = STARVING_FOOD;
+  static HARMFUL_FOODS = HARMFUL_FOODS;
+  static LONG_TASKS = LONG_TASKS;
+
+  static logger = Logger.createLogger('NutritionManager');
+
+  // 食事中の bot。メインループとスキルが同時に食べ始めないようにする
+  static eating = new WeakSet();
+
+  static foods(bot) {
+    const registry = bot.registry || require('minecraft-data')(bot.version);
+    return registry.foodsByName || {};
+  }
+
+  static foodValue(bot, name) {
+    return NutritionManager.foods(bot)[name] || null;
+  }
+
+  static isFood(bot, name) {
+    return !!NutritionManager.foodValue(bot, name);
+  }
+
+  static isHarmful(name) {
+    return Object.prototype.hasOwnProperty.call(HARMFUL_FOODS, name);
+  }
+
+  static isStarving(bot) {
+    return (bot.food ?? MAX_FOOD) <= STARVING_FOOD;
+  }
+
+  /**
+   * 食べるべきか。threshold 以下の満腹度なら食べる (default 14)
+   */
+  static needsFood(bot, threshold = HUNGRY_FOOD) {
+    return (bot.food ?? MAX_FOOD) <= threshold;
+  }
+
+  /**
+   * 焼くと回復量が増える食材なら焼いた後のアイテム名、そうでなければ null
+   */
+  static cookedFormOf(bot, name) {
+    const output = SmeltingUtils.getOutput(name);
+    const raw = NutritionManager.foodValue(bot, name);
+    const cooked = output && NutritionManager.foodValue(bot, output);
+    if (!raw || !cooked) return null;
+    return cooked.foodPoints + cooked.saturation > raw.foodPoints + raw.saturation ? output : null;
+  }
+
+  /**
+   * インベントリにある焼くべき食材 [{name, count, cooked}]（数の多い順）
+   */
+  static cookableItems(bot) {
+    const counts = new Map();
+    for (const item of bot.inventory.items()) {
+      if (item && NutritionManager.cookedFormOf(bot, item.name)) {
+        counts.set(item.name, (counts.get(item.name) || 0) + item.count);
+      }
+    }
+    return Array.from(counts, ([name, count]) => ({ name, count, cooked: NutritionManager.cookedFormOf(bot, name) }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * 近くの火の付いた焚き火（燃料なしで食材を焼ける）
+   */
+  static findCampfire(bot, radius = COOKER_RADIUS) {
+    return bot.findBlock({
+      matching: block => block && /campfire$/.test(block.name) && NutritionManager.isLit(block),
+      maxDistance: radius
+    });
+  }
+
+  static isLit(block) {
+    const properties = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    return properties.lit !== false && properties.lit !== 'false';
+  }
+
+  /**
+   * 焚き火・かまどが近くにあるか、かまどを持っていて焼ける状態か
+   */
+  static canCook(bot, radius = COOKER_RADIUS) {
+    if (NutritionManager.findCampfire(bot, radius)) return true;
+    if (bot.inventory.items().some(item => item && item.name === 'furnace')) return true;
+    return !!bot.findBlock({ matching: block => block && block.name === 'furnace', maxDistance: radius });
+  }
+
+  /**
+   * 食べ物の評価値。満腹度の不足分を超える回復は無駄になるので数えない
+   */
+  static score(bot, name) {
+    const food = NutritionManager.foodValue(bot, name);
+    if (!food) return -Infinity;
+    const missing = MAX_FOOD - (bot.food ?? MAX_FOOD);
+    const gained = Math.min(food.foodPoints, missing);
+    return gained + food.saturation - (NutritionManager.isHarmful(name) ? HARMFUL_PENALTY : 0);
+  }
+
+  /**
+   * 今食べるべきアイテム。害のある食べ物・貴重な食べ物は飢えているとき (または allowHarmful) だけ候補にする
+   * @param {Object} options
+   *        └─ allowHarmful  true なら満腹度に関係なく害のある食べ物も候補にする
+   */
+  static chooseFood(bot, options = {}) {
+    const desperate = options.allowHarmful || NutritionManager.isStarving(bot);
+    const candidates = bot.inventory.items().filter(item => item && NutritionManager.isFood(bot, item.name) &&
+      (desperate || (!NutritionManager.isHarmful(item.name) && !RESERVED_FOODS.has(item.name))));
+    if (candidates.length === 0) return null;
+
+    return candidates.sort((a, b) =>
+      NutritionManager.score(bot, b.name) - NutritionManager.score(bot, a.name) ||
+      (RESERVED_FOODS.has(a.name) ? 1 : 0) - (RESERVED_FOODS.has(b.name) ? 1 : 0) ||
+      b.count - a.count
+    )[0];
+  }
+
+  /**
+   * 満腹度が threshold 以下なら食べる。1 口目の後は、回復量が無駄にならない間だけ食べ続ける
+   * @param {Object} options
+   *        ├─ threshold     食べ始める満腹度 (default 14)
+   *        ├─ allowHarmful  害のある食べ物も食べる
+   *        └─ signal        中断用の cancelToken
+   * @returns {Promise<Object>} { success, eaten: [アイテム名], food } または失敗理由
+   */
+  static async eat(bot, options = {}) {
+    const threshold = options.threshold ?? HUNGRY_FOOD;
+    if (!NutritionManager.needsFood(bot, threshold)) {
+      return { success: true, eaten: [], food: bot.food, message: '空腹ではありません' };
+    }
+    if (NutritionManager.eating.has(bot)) {
+      return { success: false, error: '別の食事の途中です', reason: 'BUSY', details: { food: bot.food } };
+    }
+
+    const previous = bot.heldItem;
+    const eaten = [];
+    NutritionManager.eating.add(bot);
+    try {
+      while (eaten.length < MAX_BITES && bot.food < MAX_FOOD) {
+        Cancellation.throwIfCancelled(options.signal);
+        const item = NutritionManager.chooseFood(bot, options);
+        if (!item) break;
+        const food = NutritionManager.foodValue(bot, item.name);
+        if (eaten.length > 0 && food.foodPoints > MAX_FOOD - bot.food) break;
+
+        await Cancellation.race(bot.equip(item, 'hand'), options.signal);
+        await Cancellation.race(bot.consume(), options.signal);
+        eaten.push(item.name);
+        NutritionManager.logger.log(`[食事] ${item.name} を食べました (満腹度 ${bot.food}/20)`);
+      }
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) return Cancellation.cancelledResult(options.signal, { eaten });
+      NutritionManager.logger.warn(`[食事] 食べられませんでした: ${error.message}`);
+      if (eaten.length === 0) return { success: false, error: `食事に失敗: ${error.message}` };
+    } finally {
+      NutritionManager.eating.delete(bot);
+      await NutritionManager.restoreHeldItem(bot, previous);
+    }
+
+    if (eaten.length === 0) {
+      const cookable = NutritionManager.cookableItems(bot);
+      return {
+        success: false,
+        error: cookable.length > 0 ? '焼かないと害のある食材しかありません' : '食べられる物を持っていません',
+        reason: 'NO_FOOD',
+        details: { food: bot.food, cookable: cookable.map(entry => entry.name) }
+      };
+    }
+    return { success: true, eaten, food: bot.food };
+  }
+
+  /**
+   * 長時間のタスクの前に、自然回復できる満腹度 (18) まで食べておく
+   */
+  static async prepareForTask(bot, task, options = {}) {
+    if (!task || !LONG_TASKS.has(task.type) || !NutritionManager.needsFood(bot, REGEN_FOOD - 1)) return null;
+    NutritionManager.logger.log(`[食事] ${task.type} の前に食事をとります (満腹度 ${bot.food}/20)`);
+    return NutritionManager.eat(bot, { ...options, threshold: REGEN_FOOD - 1 });
+  }
+
+  static async restoreHeldItem(bot, previous) {
+    if (!previous || (bot.heldItem && bot.heldItem.name === previous.name)) return;
+    const item = bot.inventory.items().find(entry => entry && entry.name === previous.name);
+    if (item) await bot.equip(item, 'hand').catch(() => {});
+  }
+}
+
+module.exports = { NutritionManager };
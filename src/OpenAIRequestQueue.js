@@ -4,6 +4,7 @@
  */
 
 const { Logger } = require('./utils/Logger');
+const { OpenAIClientFactory } = require('./utils/OpenAIClientFactory');
 
 class OpenAIRequestQueue {
   constructor(options = {}) {
@@ -179,6 +180,21 @@ class OpenAIRequestQueue {
     }
   }
 
+  /**
+   * OpenAIクライアントを取得（MOCK_OPENAI=true の場合はスタブ）
+   * キューは長生きするので、後から setOverride() で差し替えられたらクライアントを取り直す
+   */
+  getClient() {
+    if (!this.client || this.clientOverride !== OpenAIClientFactory.override) {
+      this.client = OpenAIClientFactory.create();
+      this.clientOverride = OpenAIClientFactory.override;
+    }
+    if (!this.client) {
+      throw new Error('OpenAI API key not configured');
+    }
+    return this.client;
+  }
+
   /**
    * 実際のOpenAI API呼び出し
    */
@@ -210,12 +226,7 @@ class OpenAIRequestQueue {
   }
 
   async generateSkill(data) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const openai = this.getClient();
 
     const response = await openai.chat.completions.create({
       model: process.env.OPENAI_SKILL_MODEL || 'gpt-4o',
@@ -241,12 +252,7 @@ class OpenAIRequestQueue {
   }
 
   async generateCurriculum(data) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const openai = this.getClient();
 
     const response = await openai.chat.completions.create({
       model: process.env.OPENAI_CURRICULUM_MODEL || 'gpt-4o-mini',
@@ -272,12 +278,7 @@ class OpenAIRequestQueue {
   }
 
   async performAnalysis(data) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const openai = this.getClient();
 
     const response = await openai.chat.completions.create({
       model: process.env.OPENAI_ANALYSIS_MODEL || 'gpt-4o-mini',
@@ -303,12 +304,7 @@ class OpenAIRequestQueue {
   }
 
   async chatCompletion(data) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const openai = this.getClient();
 
     const response = await openai.chat.completions.create({
       model: data.model || 'gpt-4o-mini',
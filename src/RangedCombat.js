@@ -0,0 +1,398 @@
+/**
+ * RangedCombat - 弓・クロスボウでの射撃と、飛んでくる矢への対処
+ * 矢は 1 tick ごとに 位置 += 速度、速度 *= 0.99、速度.y -= 0.05 で進む（バニラの物理）。
+ * この軌道を数値的にたどって仰角を求め、動いている標的には矢が届くまでの tick 数だけ先を狙う。
+ *
+ * 弓は 20 tick 引き絞ると最大の速さ (3 ブロック/tick) になり、離した瞬間に放つ。
+ * クロスボウは 25 tick（高速装填 1 段階ごとに 5 tick 短い）引いて装填し、もう一度使うと撃つ。装填したまま持ち歩ける。
+ *
+ * 飛んでくる矢・火の玉は速度から軌道を先読みし、体に当たるものだけを脅威とみなす。
+ * 盾があれば構えて受ける。時間があれば射手との間にブロックを置き、間に合わなければ横へ避ける。
+ */
+
+const { Vec3 } = require('vec3');
+const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+
+const ARROW_GRAVITY = 0.05;
+const ARROW_DRAG = 0.99;
+const LAUNCH_HEIGHT = 1.52; // 目の高さ (1.62) - 0.1
+const MAX_FLIGHT_TICKS = 100;
+
+// speed: 最大まで引いたときの矢の速さ（ブロック/tick）
+const WEAPONS = {
+  crossbow: { speed: 3.15, chargeTicks: 25 },
+  bow: { speed: 3, chargeTicks: 20 }
+};
+const ARROWS = ['arrow', 'spectral_arrow', 'tipped_arrow'];
+
+// 先読みする飛び道具と、その重力・空気抵抗
+const PROJECTILES = {
+  arrow: { gravity: ARROW_GRAVITY, drag: ARROW_DRAG },
+  spectral_arrow: { gravity: ARROW_GRAVITY, drag: ARROW_DRAG },
+  trident: { gravity: ARROW_GRAVITY, drag: ARROW_DRAG },
+  small_fireball: { gravity: 0, drag: 1 },
+  fireball: { gravity: 0, drag: 1 }
+};
+
+const MAX_RANGE = 40;
+const LOW_ARROWS = 8; // これより少なければ材料があるうちに作っておく
+const ARROWS_PER_CRAFT = 4;
+const AIM_INTERVAL_TICKS = 5; // 引き絞っている間に狙い直す間隔
+const LOOKAHEAD_TICKS = 30;
+const HIT_RADIUS = 1.2; // 体の中心からこの距離を通る飛び道具は当たるとみなす
+const MIN_PROJECTILE_SPEED = 0.2; // これより遅いものは刺さって止まった矢
+const COVER_TICKS = 4; // 当たるまでこれだけあればブロックを置いて防ぐ
+const DODGE_TICKS = 6;
+const OFF_HAND_SLOT = 45;
+const COVER_BLOCKS = /^(dirt|cobblestone|cobbled_deepslate|netherrack|stone|andesite|diorite|granite|tuff)$/;
+
+class RangedCombat {
+  static WEAPONS = WEAPONS;
+  static PROJECTILES = PROJECTILES;
+  static MAX_RANGE = MAX_RANGE;
+  static LOW_ARROWS = LOW_ARROWS;
+  static ARROWS_PER_CRAFT = ARROWS_PER_CRAFT;
+
+  static logger = Logger.createLogger('RangedCombat');
+
+  // --- 弾道 ---------------------------------------------------------------
+
+  /**
+   * 仰角 pitch・初速 speed で放った矢が、水平距離 distance の地点を通る高さ（発射点からの差）と tick 数
+   * 届かなければ null
+   */
+  static heightAt(pitch, speed, distance) {
+    let x = 0;
+    let y = 0;
+    let vx = speed * Math.cos(pitch);
+    let vy = speed * Math.sin(pitch);
+    for (let tick = 0; tick < MAX_FLIGHT_TICKS; tick++) {
+      if (x + vx >= distance) {
+        const fraction = (distance - x) / vx;
+        return { height: y + vy * fraction, ticks: tick + fraction };
+      }
+      x += vx;
+      y += vy;
+      vx *= ARROW_DRAG;
+      vy = vy * ARROW_DRAG - ARROW_GRAVITY;
+    }
+    return null;
+  }
+
+  /**
+   * from から to に当てる低い弾道の仰角（mineflayer の pitch、上が正）と着弾までの tick 数
+   * 最大射程の外なら null
+   */
+  static solveAim(from, to, speed) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const rise = to.y - from.y;
+    const yaw = Math.atan2(-dx, -dz);
+    if (distance < 0.5) return { yaw, pitch: Math.atan2(rise, Math.max(distance, 0.01)), ticks: 0 };
+
+    // 仰角を上げるほど高く当たる（最大射程の角度まで）ので、下から順に目標の高さを超える角度を探して二分法で詰める
+    const step = Math.PI / 180;
+    let low = -Math.PI / 3;
+    let high = null;
+    for (let pitch = low; pitch <= Math.PI / 4; pitch += step) {
+      const result = RangedCombat.heightAt(pitch, speed, distance);
+      if (result && result.height >= rise) {
+        high = pitch;
+        break;
+      }
+      low = pitch;
+    }
+    if (high === null) return null;
+    for (let i = 0; i < 16; i++) {
+      const middle = (low + high) / 2;
+      const result = RangedCombat.heightAt(middle, speed, distance);
+      if (result && result.height >= rise) high = middle;
+      else low = middle;
+    }
+    const result = RangedCombat.heightAt(high, speed, distance);
+    return result ? { yaw, pitch: high, ticks: result.ticks } : null;
+  }
+
+  /**
+   * 標的の体の中心を狙う向き。動いている標的には矢が届くまでに進む分だけ先を狙う
+   * @returns {{yaw, pitch, ticks}|null}
+   */
+  static aimAt(bot, target, speed) {
+    const from = bot.entity.position.offset(0, LAUNCH_HEIGHT, 0);
+    const center = target.position.offset(0, (target.height || 1.8) / 2, 0);
+    const velocity = target.velocity || new Vec3(0, 0, 0);
+    let solution = RangedCombat.solveAim(from, center, speed);
+    for (let i = 0; i < 3 && solution; i++) {
+      // 地上の mob の上下の速度は跳ねているだけなので、水平の動きだけ先読みする
+      const lead = new Vec3(velocity.x * solution.ticks, 0, velocity.z * solution.ticks);
+      solution = RangedCombat.solveAim(from, center.plus(lead), speed);
+    }
+    return solution;
+  }
+
+  // --- 武器 ---------------------------------------------------------------
+
+  static arrowCount(bot) {
+    return bot.inventory.items()
+      .filter(item => item && ARROWS.includes(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+  }
+
+  static isCrossbowLoaded(item) {
+    const value = item && item.nbt && item.nbt.value;
+    return !!value && !!value.Charged && value.Charged.value === 1;
+  }
+
+  /**
+   * 使う飛び道具（装填済みのクロスボウ > クロスボウ > 弓）。矢が無く装填もされていなければ null
+   */
+  static rangedWeapon(bot) {
+    const items = bot.inventory.items().filter(item => item && WEAPONS[item.name]);
+    const loaded = items.find(item => item.name === 'crossbow' && RangedCombat.isCrossbowLoaded(item));
+    if (loaded) return loaded;
+    if (RangedCombat.arrowCount(bot) === 0) return null;
+    return items.find(item => item.name === 'crossbow') || items.find(item => item.name === 'bow') || null;
+  }
+
+  static canShoot(bot) {
+    return !!RangedCombat.rangedWeapon(bot);
+  }
+
+  /**
+   * 弓かクロスボウを持っていて、矢が残り少ないか
+   */
+  static needsArrows(bot) {
+    const hasWeapon = bot.inventory.items().some(item => item && WEAPONS[item.name]);
+    return hasWeapon && RangedCombat.arrowCount(bot) < LOW_ARROWS;
+  }
+
+  /**
+   * 手持ちの材料で矢を何回作れるか（1 回で 4 本。棒は板材 2 枚から 4 本作れる）
+   */
+  static arrowBatches(bot) {
+    const count = pattern => bot.inventory.items()
+      .filter(item => item && pattern.test(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+    const sticks = count(/^stick$/) + Math.floor(count(/_planks$/) / 2) * 4;
+    return Math.min(count(/^flint$/), count(/^feather$/), sticks);
+  }
+
+  /**
+   * 引き絞る・装填に必要な tick 数
+   */
+  static chargeTicks(item) {
+    const base = WEAPONS[item.name].chargeTicks;
+    if (item.name !== 'crossbow') return base;
+    const quickCharge = (item.enchants || []).find(enchant => enchant.name === 'quick_charge');
+    return Math.max(0, base - 5 * (quickCharge ? quickCharge.lvl : 0));
+  }
+
+  // --- 射撃 ---------------------------------------------------------------
+
+  /**
+   * 標的を 1 回撃つ。弓は引き絞りながら狙い直し、クロスボウは装填してから狙って撃つ
+   * @param {Object} options
+   *        └─ signal  中断用の AbortSignal
+   * @returns {Promise<{success: boolean, ticks: number, reason?: string}>}
+   */
+  static async shoot(bot, target, options = {}) {
+    const { signal } = options;
+    const weapon = RangedCombat.rangedWeapon(bot);
+    if (!weapon) return { success: false, error: '弓かクロスボウと矢がありません', reason: 'NO_ARROWS', ticks: 0 };
+    const { speed } = WEAPONS[weapon.name];
+    if (!RangedCombat.aimAt(bot, target, speed)) {
+      return { success: false, error: `${target.name} は射程の外です`, reason: 'OUT_OF_RANGE', ticks: 0 };
+    }
+
+    const held = bot.heldItem;
+    if (!held || held.slot !== weapon.slot) await bot.equip(weapon, 'hand');
+    if (bot.usingHeldItem) bot.deactivateItem();
+
+    let ticks = 0;
+    const aim = async () => {
+      const solution = RangedCombat.aimAt(bot, target, speed);
+      if (solution) await bot.look(solution.yaw, solution.pitch, true);
+      return solution;
+    };
+    const charge = async total => {
+      for (let waited = 0; waited < total; waited += AIM_INTERVAL_TICKS) {
+        const wait = Math.min(AIM_INTERVAL_TICKS, total - waited);
+        await Cancellation.race(bot.waitForTicks(wait), signal);
+        ticks += wait;
+        await aim();
+      }
+    };
+
+    try {
+      await aim();
+      if (weapon.name === 'crossbow') {
+        if (!RangedCombat.isCrossbowLoaded(bot.heldItem)) {
+          bot.activateItem();
+          await charge(RangedCombat.chargeTicks(weapon));
+          bot.deactivateItem();
+        }
+        await aim();
+        bot.activateItem();
+        bot.deactivateItem();
+      } else {
+        bot.activateItem();
+        await charge(RangedCombat.chargeTicks(weapon));
+        await aim();
+        bot.deactivateItem();
+      }
+    } finally {
+      // 中断されたら引いている弓を下ろす（矢は放たれる）
+      if (bot.usingHeldItem) bot.deactivateItem();
+    }
+    return { success: true, ticks, weapon: weapon.name };
+  }
+
+  // --- 飛んでくる矢 -------------------------------------------------------
+
+  /**
+   * ボットに当たる軌道で飛んでくる矢・火の玉（当たるまでの早い順）
+   * @returns {Array<{entity, ticks, distance}>}
+   */
+  static incomingProjectiles(bot) {
+    const center = bot.entity.position.offset(0, 0.9, 0);
+    const threats = [];
+    for (const entity of Object.values(bot.entities)) {
+      const physics = entity && PROJECTILES[entity.name];
+      if (!physics || !entity.position || !entity.velocity) continue;
+      if (entity.velocity.norm() < MIN_PROJECTILE_SPEED) continue;
+      if (entity.position.distanceTo(center) > MAX_RANGE + 8) continue;
+
+      let position = entity.position.clone();
+      const velocity = entity.velocity.clone();
+      for (let tick = 1; tick <= LOOKAHEAD_TICKS; tick++) {
+        const next = position.plus(velocity);
+        // 1 tick で体の幅より長く進むので、点ではなく線分で最接近距離を見る
+        const distance = RangedCombat.segmentDistance(position, next, center);
+        position = next;
+        velocity.x *= physics.drag;
+        velocity.y = velocity.y * physics.drag - physics.gravity;
+        velocity.z *= physics.drag;
+        if (distance <= HIT_RADIUS) {
+          threats.push({ entity, ticks: tick, distance: entity.position.distanceTo(center) });
+          break;
+        }
+        // 遠ざかり始めたら当たらない
+        if (velocity.dot(center.minus(position)) < 0) break;
+      }
+    }
+    return threats.sort((a, b) => a.ticks - b.ticks);
+  }
+
+  /**
+   * 線分 from → to と点 point の最短距離
+   */
+  static segmentDistance(from, to, point) {
+    const segment = to.minus(from);
+    const lengthSq = segment.dot(segment);
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, point.minus(from).dot(segment) / lengthSq)) : 0;
+    return from.plus(segment.scaled(t)).distanceTo(point);
+  }
+
+  /**
+   * 飛んでくる飛び道具を防ぐ。盾があれば構え、時間があればブロックで遮り、間に合わなければ横へ避ける
+   * @param {Array} threats - incomingProjectiles の結果
+   * @param {Object} options
+   *        └─ signal  中断用の AbortSignal
+   * @returns {Promise<{success: boolean, action: 'shield'|'cover'|'dodge'|null}>}
+   */
+  static async evade(bot, threats, options = {}) {
+    const { signal } = options;
+    const threat = threats[0];
+    if (!threat) return { success: true, action: null };
+    // 飛んできた方向（射手のいる側）
+    const source = threat.entity.position.minus(threat.entity.velocity.scaled(4));
+
+    const offHand = bot.inventory.slots[OFF_HAND_SLOT];
+    if (offHand && offHand.name === 'shield') {
+      await bot.lookAt(source, true);
+      bot.activateItem(true);
+      try {
+        await Cancellation.race(bot.waitForTicks(threat.ticks + 2), signal);
+      } finally {
+        bot.deactivateItem();
+      }
+      RangedCombat.logger.log(`[射撃] ${threat.entity.name} を盾で防ぎました`);
+      return { success: true, action: 'shield' };
+    }
+
+    if (threat.ticks >= COVER_TICKS && await RangedCombat.placeCover(bot, source, signal)) {
+      RangedCombat.logger.log(`[射撃] ${threat.entity.name} との間にブロックを置きました`);
+      return { success: true, action: 'cover' };
+    }
+    return RangedCombat.dodge(bot, source, threat, signal);
+  }
+
+  /**
+   * source の方角の隣に 2 段のブロックを置いて体を隠す
+   */
+  static async placeCover(bot, source, signal) {
+    const cover = bot.inventory.items().find(item => item && COVER_BLOCKS.test(item.name));
+    if (!cover) return false;
+    const feet = bot.entity.position.floored();
+    const toward = source.minus(bot.entity.position);
+    const step = Math.abs(toward.x) >= Math.abs(toward.z)
+      ? new Vec3(Math.sign(toward.x), 0, 0)
+      : new Vec3(0, 0, Math.sign(toward.z));
+    const base = feet.plus(step);
+    const solid = position => {
+      const block = bot.blockAt(position);
+      return !!block && block.boundingBox === 'block';
+    };
+    if (solid(base.offset(0, 1, 0))) return true;
+
+    const up = new Vec3(0, 1, 0);
+    try {
+      await Cancellation.race(bot.equip(cover, 'hand'), signal);
+      for (const position of [base, base.offset(0, 1, 0)]) {
+        if (solid(position)) continue;
+        const below = bot.blockAt(position.offset(0, -1, 0));
+        if (!below || below.boundingBox !== 'block') return false;
+        if (!bot.heldItem || !COVER_BLOCKS.test(bot.heldItem.name)) return false;
+        await Cancellation.race(bot.placeBlock(below, up), signal);
+      }
+      return true;
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      RangedCombat.logger.warn(`[射撃] ブロックを置けません: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 飛んでくる方向を向いて、左右のうち立てる側へ横歩きする
+   */
+  static async dodge(bot, source, threat, signal) {
+    const position = bot.entity.position;
+    const yaw = Math.atan2(-(source.x - position.x), -(source.z - position.z));
+    await bot.look(yaw, 0, true);
+    const left = new Vec3(-Math.cos(yaw), 0, Math.sin(yaw));
+    const standable = offset => {
+      const cell = position.plus(offset).floored();
+      const feet = bot.blockAt(cell);
+      const head = bot.blockAt(cell.offset(0, 1, 0));
+      const floor = bot.blockAt(cell.offset(0, -1, 0));
+      return !!feet && !!head && !!floor && feet.boundingBox === 'empty' && head.boundingBox === 'empty' &&
+        floor.boundingBox === 'block';
+    };
+    const side = standable(left) ? 'left' : standable(left.scaled(-1)) ? 'right' : null;
+    if (!side) return { success: false, action: null, error: '避ける場所がありません' };
+
+    bot.setControlState(side, true);
+    try {
+      await Cancellation.race(bot.waitForTicks(Math.max(threat.ticks + 2, DODGE_TICKS)), signal);
+    } finally {
+      bot.setControlState(side, false);
+    }
+    RangedCombat.logger.log(`[射撃] ${threat.entity.name} を${side === 'left' ? '左' : '右'}へ避けました`);
+    return { success: true, action: 'dodge', side };
+  }
+}
+
+module.exports = { RangedCombat };
@@ -0,0 +1,300 @@
+/**
+ * SessionRecorder - ボットのセッションをイベントログ (JSON Lines) に記録する
+ * チャット・位置・インベントリ変化・ブロック更新・タスク開始/終了・スキル結果を
+ * タイムスタンプ付きで保存し、SessionReplayer で AI が見ていた状況を再現できるようにする。
+ *
+ * 1行1イベント: { "t": 開始からのms, "type": "...", ...データ }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/Logger');
+
+class SessionRecorder {
+  /**
+   * @param {Object} bot - mineflayer bot
+   * @param {Object} options
+   *        ├─ ai                 MinecraftAI (タスク開始/終了を記録する場合)
+   *        ├─ dir                出力ディレクトリ (default logs/sessions)
+   *        ├─ filePath           出力ファイル (省略時は dir/<username>-<日時>.jsonl)
+   *        ├─ sampleInterval     位置・ステータスのサンプリング間隔ms (default 1000)
+   *        ├─ snapshotRadius     周辺ブロックのスナップショット半径 (default 8)
+   *        └─ blockUpdateRadius  記録するブロック更新の範囲 (default 32)
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.ai = options.ai || null;
+    this.dir = options.dir || process.env.SESSION_RECORDING_DIR || path.join('logs', 'sessions');
+    this.filePath = options.filePath || null;
+    this.sampleInterval = options.sampleInterval || 1000;
+    this.snapshotRadius = options.snapshotRadius || 8;
+    this.blockUpdateRadius = options.blockUpdateRadius || 32;
+    this.logger = Logger.createLogger('SessionRecorder');
+
+    this.stream = null;
+    this.startedAt = null;
+    this.sampleTimer = null;
+    this.listeners = [];
+    this.lastSample = null;
+    this.lastSnapshotCenter = null;
+    this.eventCount = 0;
+  }
+
+  get isRecording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * 記録を開始する。bot.entity が存在する (spawn 後) 状態で呼ぶこと
+   */
+  start() {
+    if (this.isRecording) return this.filePath;
+
+    if (!this.filePath) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      this.filePath = path.join(this.dir, `${this.bot.username || 'bot'}-${stamp}.jsonl`);
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      this.logger.error(`書き込みエラー: ${error.message}`);
+      this.stop();
+    });
+    this.startedAt = Date.now();
+
+    this.write('session_start', {
+      version: this.bot.version,
+      username: this.bot.username,
+      startedAt: new Date(this.startedAt).toISOString()
+    });
+    this.recordSnapshot();
+    this.recordSample(true);
+
+    this.attachBotListeners();
+    this.attachTaskListener();
+    this.sampleTimer = setInterval(() => this.recordSample(), this.sampleInterval);
+
+    this.logger.log(`セッション記録を開始: ${this.filePath}`);
+    return this.filePath;
+  }
+
+  stop(reason = 'stopped') {
+    if (!this.isRecording) return;
+
+    clearInterval(this.sampleTimer);
+    this.sampleTimer = null;
+    for (const [emitter, event, handler] of this.listeners) {
+      emitter.removeListener(event, handler);
+    }
+    this.listeners = [];
+    if (this.ai && this.ai.stateManager) {
+      this.ai.stateManager.unsubscribe('SessionRecorder');
+    }
+
+    this.write('session_end', { reason, events: this.eventCount });
+    this.stream.end();
+    this.stream = null;
+    this.logger.log(`セッション記録を終了 (${reason}): ${this.filePath}`);
+  }
+
+  listen(emitter, event, handler) {
+    const wrapped = (...args) => {
+      try {
+        handler(...args);
+      } catch (error) {
+        this.logger.warn(`${event} の記録に失敗: ${error.message}`);
+      }
+    };
+    emitter.on(event, wrapped);
+    this.listeners.push([emitter, event, wrapped]);
+  }
+
+  attachBotListeners() {
+    const bot = this.bot;
+
+    this.listen(bot, 'chat', (username, message) => {
+      this.write('chat', { username, message });
+    });
+    this.listen(bot, 'health', () => this.recordSample(true));
+    this.listen(bot, 'death', () => this.write('death', { position: this.vec(bot.entity.position) }));
+    this.listen(bot, 'respawn', () => this.write('respawn', {}));
+    this.listen(bot, 'spawn', () => this.recordSnapshot());
+    this.listen(bot, 'end', (reason) => this.stop(reason || 'end'));
+
+    this.listen(bot, 'blockUpdate', (oldBlock, newBlock) => {
+      const block = newBlock || oldBlock;
+      if (!block || !block.position || !bot.entity) return;
+      if (block.position.distanceTo(bot.entity.position) > this.blockUpdateRadius) return;
+      if (oldBlock && newBlock && oldBlock.stateId === newBlock.stateId) return;
+      this.write('block', this.serializeBlock(newBlock, block.position));
+    });
+
+    if (bot.inventory && typeof bot.inventory.on === 'function') {
+      this.listen(bot.inventory, 'updateSlot', (slot, _oldItem, newItem) => {
+        this.write('inventory', { slot, item: this.serializeItem(newItem) });
+      });
+    }
+  }
+
+  // MinecraftAI のタスク開始/終了とスキル結果を StateManager 経由で記録
+  attachTaskListener() {
+    if (!this.ai || !this.ai.stateManager) return;
+
+    this.ai.stateManager.subscribe('SessionRecorder', (updates, changedKeys) => {
+      if (changedKeys.has('completedTasks')) {
+        const completed = updates.completedTasks[updates.completedTasks.length - 1];
+        if (completed) {
+          this.write('task_end', { task: completed.task, result: completed.result });
+        }
+      }
+      if (changedKeys.has('currentTask') && updates.currentTask) {
+        this.write('task_start', { task: updates.currentTask });
+      }
+    }, ['currentTask', 'completedTasks']);
+  }
+
+  /**
+   * 位置・ステータス・周辺エンティティを記録する。変化がなければ書き込まない
+   */
+  recordSample(force = false) {
+    const bot = this.bot;
+    if (!bot.entity || !bot.entity.position) return;
+
+    const sample = {
+      position: this.vec(bot.entity.position, 2),
+      yaw: Math.round((bot.entity.yaw || 0) * 100) / 100,
+      pitch: Math.round((bot.entity.pitch || 0) * 100) / 100,
+      health: bot.health,
+      food: bot.food,
+      foodSaturation: bot.foodSaturation,
+      experience: bot.experience ? bot.experience.level : 0,
+      timeOfDay: bot.time ? bot.time.timeOfDay : null,
+      isRaining: !!bot.isRaining,
+      thunderState: bot.thunderState || 0,
+      dimension: bot.game ? bot.game.dimension : null,
+      entities: this.serializeEntities()
+    };
+
+    const key = JSON.stringify({ ...sample, timeOfDay: null });
+    if (!force && key === this.lastSample) return;
+    this.lastSample = key;
+    this.write('state', sample);
+
+    // 前回のスナップショット範囲から出かけたら周辺ブロックを取り直す
+    const center = bot.entity.position;
+    if (this.lastSnapshotCenter && center.distanceTo(this.lastSnapshotCenter) > this.snapshotRadius / 2) {
+      this.recordSnapshot();
+    }
+  }
+
+  /**
+   * ボット周辺の非空気ブロックとインベントリ全体を記録する
+   */
+  recordSnapshot() {
+    const bot = this.bot;
+    if (!bot.entity || !bot.entity.position || typeof bot.blockAt !== 'function') return;
+
+    const center = bot.entity.position.floored();
+    const r = this.snapshotRadius;
+    const blocks = [];
+
+    for (let x = -r; x <= r; x++) {
+      for (let y = -r; y <= r; y++) {
+        for (let z = -r; z <= r; z++) {
+          const block = bot.blockAt(center.offset(x, y, z));
+          if (!block || block.name === 'air' || block.name === 'cave_air') continue;
+          const properties = this.blockProperties(block);
+          const entry = [block.position.x, block.position.y, block.position.z, block.name];
+          if (properties) entry.push(properties);
+          blocks.push(entry);
+        }
+      }
+    }
+
+    const slots = [];
+    if (bot.inventory && bot.inventory.slots) {
+      bot.inventory.slots.forEach((item, slot) => {
+        if (item) slots.push({ slot, item: this.serializeItem(item) });
+      });
+    }
+
+    this.lastSnapshotCenter = bot.entity.position.clone();
+    this.write('snapshot', {
+      center: this.vec(center),
+      radius: r,
+      blocks,
+      inventory: slots,
+      quickBarSlot: bot.quickBarSlot || 0
+    });
+  }
+
+  serializeEntities() {
+    const bot = this.bot;
+    const entities = [];
+    for (const entity of Object.values(bot.entities || {})) {
+      if (!entity || entity === bot.entity || !entity.position) continue;
+      if (entity.position.distanceTo(bot.entity.position) > 32) continue;
+      entities.push({
+        id: entity.id,
+        name: entity.name,
+        type: entity.type,
+        username: entity.username,
+        position: this.vec(entity.position, 1)
+      });
+    }
+    return entities;
+  }
+
+  serializeBlock(block, position) {
+    if (!block || block.name === 'air') {
+      return { position: this.vec(position), name: 'air' };
+    }
+    const properties = this.blockProperties(block);
+    return { position: this.vec(position), name: block.name, ...(properties ? { properties } : {}) };
+  }
+
+  blockProperties(block) {
+    if (typeof block.getProperties !== 'function') return null;
+    const properties = block.getProperties();
+    return properties && Object.keys(properties).length > 0 ? properties : null;
+  }
+
+  serializeItem(item) {
+    if (!item) return null;
+    return {
+      name: item.name,
+      count: item.count,
+      ...(item.durabilityUsed ? { durabilityUsed: item.durabilityUsed } : {})
+    };
+  }
+
+  vec(v, digits = 0) {
+    const f = Math.pow(10, digits);
+    return [Math.round(v.x * f) / f, Math.round(v.y * f) / f, Math.round(v.z * f) / f];
+  }
+
+  write(type, data) {
+    if (!this.stream) return;
+    const event = { t: Date.now() - this.startedAt, type, ...data };
+    this.stream.write(SessionRecorder.stringify(event) + '\n');
+    this.eventCount++;
+  }
+
+  // タスク結果などに含まれる循環参照・関数・Vec3 を安全に JSON 化する
+  static stringify(value) {
+    const seen = new WeakSet();
+    return JSON.stringify(value, (_key, v) => {
+      if (typeof v === 'function') return undefined;
+      if (typeof v === 'bigint') return v.toString();
+      if (v instanceof Map) return Object.fromEntries(v);
+      if (v instanceof Set) return Array.from(v);
+      if (v && typeof v === 'object') {
+        if (seen.has(v)) return '[Circular]';
+        seen.add(v);
+      }
+      return v;
+    });
+  }
+}
+
+module.exports = { SessionRecorder };
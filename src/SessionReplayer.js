@@ -0,0 +1,229 @@
+/**
+ * SessionReplayer - SessionRecorder のイベントログを再生する
+ * 記録されたイベントを FakeBot に順番に適用し、EnvironmentObserver / StateManager に
+ * 通すことで、AI が各判断の時点で何を見ていたかをステップ実行で確認できる。
+ *
+ * 使い方:
+ *   const replayer = SessionReplayer.load('logs/sessions/AIPlayer1-....jsonl');
+ *   let frame;
+ *   while ((frame = replayer.nextDecision())) {
+ *     console.log(frame.event.task.type, frame.observation.position, frame.state.inventory);
+ *   }
+ */
+
+const fs = require('fs');
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('./testing/FakeBot');
+const { EnvironmentObserver } = require('./EnvironmentObserver');
+const { StateManager } = require('./StateManager');
+const { Logger } = require('./utils/Logger');
+
+class SessionReplayer {
+  constructor(events) {
+    this.events = events;
+    this.header = events.find(e => e.type === 'session_start') || {};
+    this.logger = Logger.createLogger('SessionReplayer');
+    this.reset();
+  }
+
+  static load(filePath) {
+    return new SessionReplayer(SessionReplayer.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  static parse(text) {
+    const events = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // 強制終了時の書きかけ行などは読み飛ばす
+        Logger.createLogger('SessionReplayer').warn(`${index + 1}行目を解析できません: ${error.message}`);
+      }
+    });
+    return events;
+  }
+
+  /**
+   * 再生位置を先頭に戻し、空のワールドからやり直す
+   */
+  reset() {
+    this.bot = new FakeBot({
+      version: this.header.version || '1.20.1',
+      username: this.header.username || 'ReplayBot'
+    });
+    this.observer = new EnvironmentObserver(this.bot);
+    this.stateManager = new StateManager(this.bot);
+    this.index = 0;
+    this.currentEvent = null;
+  }
+
+  get done() {
+    return this.index >= this.events.length;
+  }
+
+  /**
+   * 次のイベントを1つ適用し、その時点のフレームを返す。終端では null
+   */
+  step() {
+    if (this.done) return null;
+
+    const event = this.events[this.index++];
+    this.apply(event);
+    this.currentEvent = event;
+    return this.frame();
+  }
+
+  /**
+   * predicate を満たすイベントまで進める。見つからなければ null
+   */
+  stepUntil(predicate) {
+    while (!this.done) {
+      const frame = this.step();
+      if (predicate(frame.event)) return frame;
+    }
+    return null;
+  }
+
+  // 次のタスク開始 (AI の判断) まで進める
+  nextDecision() {
+    return this.stepUntil(event => event.type === 'task_start');
+  }
+
+  /**
+   * 記録開始から ms ミリ秒の時点まで進める (巻き戻しの場合は先頭から再生し直す)
+   */
+  seek(ms) {
+    if (this.currentEvent && this.currentEvent.t > ms) {
+      this.reset();
+    }
+    let frame = this.currentEvent ? this.frame() : null;
+    while (!this.done && this.events[this.index].t <= ms) {
+      frame = this.step();
+    }
+    return frame;
+  }
+
+  frame() {
+    this.observer.update();
+    this.stateManager.lastSync = 0; // 再生では同期間隔の制限を無視する
+    this.stateManager.syncWithBot();
+
+    return {
+      index: this.index - 1,
+      t: this.currentEvent ? this.currentEvent.t : 0,
+      event: this.currentEvent,
+      observation: this.observer.getObservationSummary(),
+      state: this.stateManager.getState([
+        'position', 'health', 'food', 'inventory', 'timeOfDay', 'weather', 'currentTask', 'completedTasks'
+      ])
+    };
+  }
+
+  apply(event) {
+    const bot = this.bot;
+
+    switch (event.type) {
+    case 'snapshot':
+      for (const [x, y, z, name, properties] of event.blocks) {
+        this.setBlock([x, y, z], name, properties);
+      }
+      for (let slot = 0; slot < bot.inventory.slots.length; slot++) {
+        if (bot.inventory.slots[slot]) bot.inventory.updateSlot(slot, null);
+      }
+      for (const { slot, item } of event.inventory) {
+        bot.inventory.updateSlot(slot, this.createItem(item, slot));
+      }
+      bot.quickBarSlot = event.quickBarSlot || 0;
+      break;
+
+    case 'state':
+      this.applyState(event);
+      break;
+
+    case 'inventory':
+      bot.inventory.updateSlot(event.slot, this.createItem(event.item, event.slot));
+      break;
+
+    case 'block':
+      this.setBlock(event.position, event.name, event.properties);
+      bot.emit('blockUpdate', null, bot.blockAt(new Vec3(...event.position)));
+      break;
+
+    case 'chat':
+      bot.emit('chat', event.username, event.message);
+      break;
+
+    case 'death':
+      bot.health = 0;
+      bot.emit('death');
+      break;
+
+    case 'respawn':
+      bot.emit('respawn');
+      break;
+
+    case 'task_start':
+      this.stateManager.setCurrentTask(event.task);
+      break;
+
+    case 'task_end':
+      this.stateManager.completeCurrentTask(event.result);
+      break;
+
+    default:
+      // session_start / session_end など状態を持たないイベント
+      break;
+    }
+  }
+
+  applyState(event) {
+    const bot = this.bot;
+    bot.entity.position = new Vec3(...event.position);
+    bot.entity.yaw = event.yaw;
+    bot.entity.pitch = event.pitch;
+    bot.health = event.health;
+    bot.food = event.food;
+    bot.foodSaturation = event.foodSaturation;
+    bot.experience = { ...bot.experience, level: event.experience };
+    if (event.timeOfDay !== null && event.timeOfDay !== undefined) {
+      bot.time.timeOfDay = event.timeOfDay;
+    }
+    bot.isRaining = event.isRaining;
+    bot.thunderState = event.thunderState;
+    if (event.dimension) bot.game.dimension = event.dimension;
+
+    // エンティティは記録時点のものに置き換える
+    bot.entities = { [bot.entity.id]: bot.entity };
+    for (const entity of event.entities || []) {
+      bot.entities[entity.id] = {
+        ...entity,
+        position: new Vec3(...entity.position),
+        isValid: true
+      };
+    }
+  }
+
+  setBlock(position, name, properties) {
+    try {
+      this.bot.world.setBlock(position, name, properties || {});
+    } catch (error) {
+      // 記録時と再生時でバージョンが異なり未知のブロックがある場合
+      this.logger.warn(`ブロックを再現できません: ${name} (${error.message})`);
+    }
+  }
+
+  createItem(item, slot) {
+    if (!item) return null;
+    try {
+      const created = this.bot.inventory.createItem(item.name, item.count, slot);
+      created.durabilityUsed = item.durabilityUsed || 0;
+      return created;
+    } catch (error) {
+      this.logger.warn(`アイテムを再現できません: ${item.name} (${error.message})`);
+      return null;
+    }
+  }
+}
+
+module.exports = { SessionReplayer };
@@ -0,0 +1,207 @@
+/**
+ * SkillContract - スキルの事前条件・事後条件
+ * スキルは実行に必要な条件（所持アイテム・近くのブロック）と、成功時に期待する結果
+ * （インベントリの増加・設置されたブロック・到達位置）を宣言する。
+ * Skill.execute の前後でフレームワークが検査し、スキルが success: true を返しても
+ * 事後条件を満たさなければ差分付きの失敗 (reason: 'POSTCONDITION_FAILED') に置き換える。
+ *
+ * 条件の形式:
+ *   { type: 'has_item', item | items | match, count = 1 }       所持数（items は合計、match は名前の部分一致）
+ *   { type: 'inventory_delta', item | items | match, min = 1 }  実行前からの増加数
+ *   { type: 'block_nearby', block | blocks, maxDistance = 8 }   近くにブロックがある
+ *   { type: 'near_position', x, y, z, maxDistance = 3 }         指定座標の近くにいる
+ *   { type: 'any', conditions: [...] }                           いずれかを満たす
+ */
+
+const InventoryUtils = require('./InventoryUtils');
+
+class SkillContract {
+  /**
+   * @param {Object} spec
+   *        ├─ preconditions   条件の配列、または (params, bot) => 条件の配列
+   *        └─ postconditions  同上。関数なら第3引数に実行前の snapshot() を受け取る（照合前の判定では null）
+   */
+  constructor(spec = {}) {
+    this.preconditions = spec.preconditions || [];
+    this.postconditions = spec.postconditions || [];
+  }
+
+  resolve(conditions, params, bot, before = null) {
+    const list = typeof conditions === 'function' ? conditions(params || {}, bot, before) : conditions;
+    return (list || []).filter(Boolean);
+  }
+
+  /**
+   * 実行前の条件を検査する
+   * @returns {{satisfied: boolean, unmet: Array}}
+   */
+  checkPreconditions(bot, params) {
+    const unmet = this.resolve(this.preconditions, params, bot)
+      .map(condition => this.evaluate(condition, bot, null))
+      .filter(evaluation => !evaluation.satisfied);
+    return { satisfied: unmet.length === 0, unmet };
+  }
+
+  /**
+   * 事後条件の比較に使う実行前の状態
+   */
+  snapshot(bot) {
+    return { inventory: SkillContract.inventoryCounts(bot) };
+  }
+
+  /**
+   * 実行後の状態を事後条件と照合する
+   * @param {Object} before - snapshot() の戻り値
+   * @returns {{verified: boolean, unmet: Array, inventoryDiff: Object}}
+   */
+  verify(bot, params, before) {
+    const after = this.snapshot(bot);
+    const unmet = this.resolve(this.postconditions, params, bot, before)
+      .map(condition => this.evaluate(condition, bot, before, after))
+      .filter(evaluation => !evaluation.satisfied);
+
+    return {
+      verified: unmet.length === 0,
+      unmet,
+      inventoryDiff: SkillContract.diffInventory(before ? before.inventory : {}, after.inventory)
+    };
+  }
+
+  /**
+   * 現在の状態だけで事後条件が満たされているか（実行前の状態が必要な条件は未達扱い）
+   */
+  isSatisfied(bot, params) {
+    const conditions = this.resolve(this.postconditions, params, bot);
+    if (conditions.length === 0) return false;
+    return conditions.every(condition => this.evaluate(condition, bot, null).satisfied);
+  }
+
+  /**
+   * @returns {{condition: Object, satisfied: boolean, expected: *, actual: *}}
+   */
+  evaluate(condition, bot, before, after = null) {
+    switch (condition.type) {
+    case 'has_item': {
+      const counts = after ? after.inventory : SkillContract.inventoryCounts(bot);
+      const expected = condition.count ?? 1;
+      const actual = SkillContract.countMatching(counts, condition);
+      return { condition, satisfied: actual >= expected, expected, actual };
+    }
+    case 'inventory_delta': {
+      const expected = condition.min ?? 1;
+      if (!before) {
+        return { condition, satisfied: false, expected, actual: null };
+      }
+      const counts = after ? after.inventory : SkillContract.inventoryCounts(bot);
+      const previous = SkillContract.countMatching(before.inventory, condition);
+      const actual = SkillContract.countMatching(counts, condition) - previous;
+      return { condition, satisfied: actual >= expected, expected, actual };
+    }
+    case 'block_nearby': {
+      const names = condition.blocks || [condition.block];
+      const maxDistance = condition.maxDistance ?? 8;
+      const found = bot.findBlock({
+        matching: block => block && names.includes(block.name),
+        maxDistance
+      });
+      return {
+        condition,
+        satisfied: !!found,
+        expected: `${names.join('|')} (${maxDistance}ブロック以内)`,
+        actual: found ? found.position.toString() : null
+      };
+    }
+    case 'near_position': {
+      const maxDistance = condition.maxDistance ?? 3;
+      const position = bot.entity && bot.entity.position;
+      const distance = position
+        ? Math.sqrt(
+          Math.pow(position.x - condition.x, 2) +
+          Math.pow(position.y - condition.y, 2) +
+          Math.pow(position.z - condition.z, 2)
+        )
+        : Infinity;
+      return {
+        condition,
+        satisfied: distance <= maxDistance,
+        expected: `距離 <= ${maxDistance}`,
+        actual: Number.isFinite(distance) ? Number(distance.toFixed(1)) : null
+      };
+    }
+    case 'any': {
+      const evaluations = (condition.conditions || []).map(child => this.evaluate(child, bot, before, after));
+      return {
+        condition,
+        satisfied: evaluations.some(evaluation => evaluation.satisfied),
+        expected: evaluations.map(evaluation => SkillContract.describe(evaluation.condition)).join(' または '),
+        actual: evaluations.map(evaluation => evaluation.actual)
+      };
+    }
+    default:
+      return { condition, satisfied: false, expected: null, actual: `未知の条件: ${condition.type}` };
+    }
+  }
+
+  static inventoryCounts(bot) {
+    const counts = {};
+    for (const item of InventoryUtils.getAllItems(bot)) {
+      counts[item.name] = (counts[item.name] || 0) + item.count;
+    }
+    return counts;
+  }
+
+  static countMatching(counts, condition) {
+    let total = 0;
+    for (const [name, count] of Object.entries(counts)) {
+      if (SkillContract.matchesItem(name, condition)) total += count;
+    }
+    return total;
+  }
+
+  static matchesItem(name, condition) {
+    if (condition.match) return name.includes(condition.match);
+    if (condition.items) return condition.items.includes(name);
+    return name === condition.item;
+  }
+
+  /**
+   * アイテムごとの増減（変化のあったものだけ）
+   */
+  static diffInventory(before, after) {
+    const diff = {};
+    for (const name of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+      const delta = ((after || {})[name] || 0) - ((before || {})[name] || 0);
+      if (delta !== 0) diff[name] = delta;
+    }
+    return diff;
+  }
+
+  static describe(condition) {
+    const target = condition.match ? `*${condition.match}*` : (condition.items || [condition.item]).join('|');
+    switch (condition.type) {
+    case 'has_item':
+      return `${target} を${condition.count ?? 1}個以上所持`;
+    case 'inventory_delta':
+      return `${target} が${condition.min ?? 1}個以上増加`;
+    case 'block_nearby':
+      return `近くに ${(condition.blocks || [condition.block]).join('|')}`;
+    case 'near_position':
+      return `(${condition.x}, ${condition.y}, ${condition.z}) の近く`;
+    case 'any':
+      return (condition.conditions || []).map(child => SkillContract.describe(child)).join(' または ');
+    default:
+      return condition.type;
+    }
+  }
+
+  /**
+   * 満たされなかった条件をログ・エラーメッセージ用の文字列にする
+   */
+  static formatUnmet(unmet) {
+    return unmet
+      .map(evaluation => `${SkillContract.describe(evaluation.condition)} (実際: ${JSON.stringify(evaluation.actual)})`)
+      .join(', ');
+  }
+}
+
+module.exports = { SkillContract };
@@ -2,11 +2,32 @@ const { pathfinder, Movements, goals } = require('mineflayer-pathfinder');
 const { Vec3 } = require('vec3');
 const InventoryUtils = require('./InventoryUtils');
 const { Logger } = require('./utils/Logger');
+const { ValidationUtils } = require('./utils/ValidationUtils');
+const { Cancellation } = require('./utils/Cancellation');
+const { SkillContract } = require('./SkillContract');
+const { Blueprint } = require('./Blueprint');
+const { BlockStates } = require('./BlockStates');
+const { SmeltingUtils } = require('./SmeltingUtils');
+const { FarmRegistry } = require('./FarmRegistry');
+const { HomeRegistry } = require('./HomeRegistry');
+const { StorageRegistry } = require('./StorageRegistry');
+const { Husbandry } = require('./Husbandry');
+const { NutritionManager } = require('./NutritionManager');
+const { StorageManager } = require('./StorageManager');
+const { MiningSafety } = require('./MiningSafety');
+const { CombatSystem } = require('./CombatSystem');
+const { RangedCombat } = require('./RangedCombat');
+const { EquipmentManager } = require('./EquipmentManager');
+const { BucketUtils } = require('./BucketUtils');
+const { EnvironmentObserver } = require('./EnvironmentObserver');
+const { ControlPrimitives } = require('./ControlPrimitives');
+const { Dimension } = require('./Dimension');
 const { ensureProximity, moveToBlock, moveToPosition, moveToEntity } = require('./utils/MovementUtils');
 
 class SkillLibrary {
   constructor(pathfindingCache = null) {
     this.skills = new Map();
+    this.revision = 0; // スキルの追加・削除ごとに増える（SkillRetriever の再索引判定用）
     this.recipeCache = new Map();
     this.aliasConfig = null;
     this.pathfindingCache = pathfindingCache;
@@ -167,29 +188,25 @@ class SkillLibrary {
               foundRecipe.result = rawRecipe.result;
             }
 
-            // 材料情報を変換
-            if (rawRecipe.ingredients) {
-              // shapeless recipe
-              foundRecipe.delta = rawRecipe.ingredients.map(ingredientId => {
+            // 材料情報を変換（mineflayer と同じく消費する材料は負の数で、同じ材料は合算する）
+            const toDelta = (ingredientIds) => {
+              const counts = new Map();
+              for (const ingredientId of ingredientIds) {
                 const ingredientName = mcData.items[ingredientId]?.name || mcData.blocks[ingredientId]?.name || 'unknown';
                 this.logger.log(`[レシピ検索] 材料変換: ID ${ingredientId} -> ${ingredientName}`);
-                return {
-                  id: ingredientId,
-                  count: 1
-                };
-              });
+                counts.set(ingredientId, (counts.get(ingredientId) || 0) - 1);
+              }
+              return Array.from(counts, ([id, deltaCount]) => ({ id, count: deltaCount }));
+            };
+
+            if (rawRecipe.ingredients) {
+              // shapeless recipe
+              foundRecipe.delta = toDelta(rawRecipe.ingredients);
               this.logger.log(`[レシピ検索] Shapeless recipe found for ${itemName}: ingredients ${rawRecipe.ingredients}`);
             } else if (rawRecipe.inShape) {
               // shaped recipe
               const flatIngredients = rawRecipe.inShape.flat().filter(id => id !== null && id !== undefined);
-              foundRecipe.delta = flatIngredients.map(ingredientId => {
-                const ingredientName = mcData.items[ingredientId]?.name || mcData.blocks[ingredientId]?.name || 'unknown';
-                this.logger.log(`[レシピ検索] 材料変換: ID ${ingredientId} -> ${ingredientName}`);
-                return {
-                  id: ingredientId,
-                  count: 1
-                };
-              });
+              foundRecipe.delta = toDelta(flatIngredients);
               this.logger.log(`[レシピ検索] Shaped recipe found for ${itemName}: shape ${JSON.stringify(rawRecipe.inShape)}`);
             }
 
@@ -559,8 +576,23 @@ class SkillLibrary {
 
     // Interaction skills
     this.registerSkill('mine_block', new MineBlockSkill());
+    this.registerSkill('branch_mine', new BranchMineSkill());
     this.registerSkill('place_block', new PlaceBlockSkill());
     this.registerSkill('attack_entity', new AttackEntitySkill());
+    this.registerSkill('defend', new DefendSkill());
+    this.registerSkill('craft_arrows', new CraftArrowsSkill());
+    this.registerSkill('craft_armor', new CraftArmorSkill());
+    this.registerSkill('equip_armor', new EquipArmorSkill());
+    this.registerSkill('craft_bucket', new CraftBucketSkill());
+    this.registerSkill('collect_water', new CollectFluidSkill('water'));
+    this.registerSkill('collect_lava', new CollectFluidSkill('lava'));
+    this.registerSkill('place_water', new PlaceWaterSkill());
+    this.registerSkill('extinguish_fire', new ExtinguishFireSkill());
+    this.registerSkill('make_water_source', new MakeWaterSourceSkill());
+    this.registerSkill('milk_cow', new MilkCowSkill());
+    this.registerSkill('drink_milk', new DrinkMilkSkill());
+    this.registerSkill('build_nether_portal', new BuildNetherPortalSkill());
+    this.registerSkill('use_nether_portal', new UseNetherPortalSkill());
 
     // Advanced movement skills
     this.registerSkill('smart_jump', new SmartJumpSkill());
@@ -570,6 +602,23 @@ class SkillLibrary {
     // Survival skills
     this.registerSkill('gather_wood', new SimpleGatherWoodSkill());
     this.registerSkill('find_food', new SimpleFindFoodSkill());
+    this.registerSkill('eat_food', new EatFoodSkill());
+    this.registerSkill('cook_food', new CookFoodSkill());
+    this.registerSkill('sleep_in_bed', new SleepInBedSkill());
+
+    // Farming skills
+    this.registerSkill('farm_crops', new FarmCropsSkill());
+
+    // Husbandry skills
+    this.registerSkill('build_pen', new BuildPenSkill());
+    this.registerSkill('breed_animals', new BreedAnimalsSkill());
+    this.registerSkill('shear_sheep', new ShearSheepSkill());
+    this.registerSkill('collect_eggs', new CollectEggsSkill());
+
+    // Storage skills (預け入れと取り出しで同じ索引を使う)
+    const stockpile = new StorageRegistry();
+    this.registerSkill('deposit_items', new DepositItemsSkill(stockpile));
+    this.registerSkill('withdraw_items', new WithdrawItemsSkill(stockpile));
 
     // Crafting skills
     this.registerSkill('craft_tools', new CraftToolsSkill());
@@ -577,15 +626,34 @@ class SkillLibrary {
     this.registerSkill('place_workbench', new PlaceWorkbenchSkill());
     this.registerSkill('craft_with_workbench', new CraftWithWorkbenchSkill());
     this.registerSkill('craft_furnace', new CraftFurnaceSkill());
+    this.registerSkill('smelt_item', new SmeltItemSkill());
 
     // Building skills
     this.registerSkill('place_blocks', new PlaceBlocksSkill());
+    this.registerSkill('build_shelter', new BuildShelterSkill());
+    this.registerSkill('build_blueprint', new BuildBlueprintSkill());
 
     this.logger.log(`${this.skills.size}個のスキルを読み込みました`);
   }
 
   registerSkill(name, skill) {
     this.skills.set(name, skill);
+    this.revision++;
+  }
+
+  unregisterSkill(name) {
+    const removed = this.skills.delete(name);
+    if (removed) this.revision++;
+    return removed;
+  }
+
+  /**
+   * 倉庫スキルに共有の備蓄（台帳と、coordinator があればボット間の取り置き）を使わせる。採掘スキルは台帳の拠点へ戻る
+   */
+  useStockpile(registry, coordinator = null) {
+    for (const skill of this.skills.values()) {
+      if (skill instanceof StorageSkill || skill instanceof BranchMineSkill) skill.useStockpile(registry, coordinator);
+    }
   }
 
   getSkill(name) {
@@ -595,31 +663,241 @@ class SkillLibrary {
   listSkills() {
     return Array.from(this.skills.keys());
   }
+
+  /**
+   * NLU に公開するスキルのツール定義（paramSchema から生成）
+   */
+  getToolDefinitions() {
+    return Array.from(this.skills.values())
+      .filter(skill => typeof skill.toToolDefinition === 'function' && !skill.internal)
+      .map(skill => skill.toToolDefinition());
+  }
 }
 
 // Base skill class
 class Skill {
-  constructor(name, description) {
+  /**
+   * @param {string} name
+   * @param {string} description
+   * @param {Object} paramSchema - パラメータ定義 (ValidationUtils.validateParams の形式)
+   *        { blockType: { type: 'string', required: true, aliases: ['name'], description: '...' }, ... }
+   *        nlu: false のパラメータは NLU のツール定義に含めない
+   * @param {Object} options
+   *        ├─ internal   true で NLU のツールとして公開しない
+   *        └─ contract   事前条件・事後条件 (SkillContract の spec またはインスタンス)
+   */
+  constructor(name, description, paramSchema = {}, options = {}) {
     this.name = name;
     this.description = description;
+    this.paramSchema = paramSchema;
+    this.internal = options.internal === true;
+    this.contract = options.contract
+      ? (options.contract instanceof SkillContract ? options.contract : new SkillContract(options.contract))
+      : null;
+    this.logger = Logger.createLogger(`Skill-${name}`);
+
+    // サブクラスの execute を包み、パラメータ検証と契約の検査を必ず通す
+    const implementation = this.execute;
+    this.execute = (bot, params = {}) => this.runChecked(implementation, bot, params);
+  }
+
+  /**
+   * パラメータ検証 → 事前条件 → 実行 → 事後条件 の順に実行する
+   * params.cancelToken (AbortSignal) で中断された実行は reason: 'CANCELLED' に揃える
+   */
+  async runChecked(implementation, bot, params) {
+    const validation = this.validateParams(params);
+    if (!validation.success) {
+      this.logger.warn(`[パラメータ検証] ${validation.error}`);
+      return validation;
+    }
+
+    const signal = validation.params.cancelToken;
+    if (Cancellation.isCancelled(signal)) {
+      return Cancellation.cancelledResult(signal);
+    }
+
+    let before = null;
+    if (this.contract) {
+      const pre = this.contract.checkPreconditions(bot, validation.params);
+      if (!pre.satisfied) {
+        const unmet = SkillContract.formatUnmet(pre.unmet);
+        this.logger.warn(`[事前条件] ${unmet}`);
+        return {
+          success: false,
+          error: `${this.name}の事前条件を満たしていません: ${unmet}`,
+          reason: 'PRECONDITION_FAILED',
+          details: { unmet: pre.unmet }
+        };
+      }
+      before = this.contract.snapshot(bot);
+    }
+
+    let result;
+    try {
+      result = await implementation.call(this, bot, validation.params);
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) {
+        return Cancellation.cancelledResult(signal);
+      }
+      throw error;
+    }
+
+    if (Cancellation.isCancelled(signal) && (!result || result.success === false)) {
+      return result && result.reason === Cancellation.CANCELLED ? result : Cancellation.cancelledResult(signal);
+    }
+    if (this.contract && result && result.success) {
+      return this.verifyResult(bot, validation.params, before, result);
+    }
+    return result;
+  }
+
+  /**
+   * 成功を報告した結果を事後条件と照合し、満たさなければ差分付きの失敗に置き換える
+   */
+  verifyResult(bot, params, before, result) {
+    const verification = this.contract.verify(bot, params, before);
+    if (verification.verified) {
+      return { ...result, verification: { verified: true, inventoryDiff: verification.inventoryDiff } };
+    }
+
+    const unmet = SkillContract.formatUnmet(verification.unmet);
+    this.logger.warn(`[事後条件] 成功が報告されましたが条件を満たしていません: ${unmet}`);
+    return {
+      success: false,
+      error: `${this.name}は成功を報告しましたが事後条件を満たしていません: ${unmet}`,
+      reason: 'POSTCONDITION_FAILED',
+      details: {
+        unmet: verification.unmet,
+        inventoryDiff: verification.inventoryDiff,
+        reported: result
+      },
+      verification: { verified: false, inventoryDiff: verification.inventoryDiff }
+    };
   }
 
   async execute(_bot, _params = {}) {
     throw new Error('execute method must be implemented');
   }
+
+  validateParams(params = {}) {
+    const { valid, params: normalized, errors } = ValidationUtils.validateParams(this.paramSchema, params);
+    if (!valid) {
+      return {
+        success: false,
+        error: `${this.name}のパラメータが不正です: ${errors.join(', ')}`,
+        reason: 'INVALID_PARAMS',
+        details: { errors }
+      };
+    }
+    return { success: true, params: normalized };
+  }
+
+  /**
+   * paramSchema から OpenAI Function Calling のツール定義を生成する
+   */
+  toToolDefinition() {
+    const properties = {};
+    const required = [];
+
+    for (const [name, spec] of Object.entries(this.paramSchema)) {
+      if (spec.nlu === false) continue;
+      properties[name] = Skill.toJsonSchema(spec);
+      if (spec.required) required.push(name);
+    }
+
+    return {
+      type: 'function',
+      function: {
+        name: this.name,
+        description: this.description,
+        parameters: { type: 'object', properties, required }
+      }
+    };
+  }
+
+  static toJsonSchema(spec) {
+    const schema = { type: spec.type };
+    if (spec.description) schema.description = spec.description;
+    if (spec.enum) schema.enum = spec.enum;
+    if (spec.default !== undefined) schema.default = spec.default;
+    if (spec.minimum !== undefined) schema.minimum = spec.minimum;
+    if (spec.maximum !== undefined) schema.maximum = spec.maximum;
+    if (spec.items) schema.items = Skill.toJsonSchema(spec.items);
+    if (spec.properties) {
+      schema.properties = {};
+      const required = [];
+      for (const [name, child] of Object.entries(spec.properties)) {
+        schema.properties[name] = Skill.toJsonSchema(child);
+        if (child.required) required.push(name);
+      }
+      if (required.length > 0) schema.required = required;
+    }
+    return schema;
+  }
 }
 
 // Movement Skills
 class MoveToSkill extends Skill {
+  static CROSS_ATTEMPTS = 3; // 道なしのとき、足場・橋・トンネルで地形を越えて探し直す回数
+
   constructor(pathfindingCache = null) {
-    super('move_to', 'Move to a specific position');
+    super('move_to', 'Move to a specific position', {
+      x: { type: 'number', required: true, description: 'X座標' },
+      y: { type: 'number', required: true, description: 'Y座標' },
+      z: { type: 'number', required: true, description: 'Z座標' },
+      dimension: {
+        type: 'string',
+        enum: ['overworld', 'the_nether'],
+        description: '座標がどのディメンションのものか（省略時はいまいるディメンション）。違えば 1:8 で換算する'
+      },
+      useCache: { type: 'boolean', default: true, nlu: false }
+    }, {
+      contract: {
+        // 基本移動へのフォールバックは水平3ブロック以内で到着とみなすため、高さの差を見込む
+        postconditions: (params, bot) => {
+          const { x, y, z } = MoveToSkill.localTarget(bot, params) || params;
+          return [{ type: 'near_position', x, y, z, maxDistance: 4 }];
+        }
+      }
+    });
     this.pathfindingCache = pathfindingCache;
   }
 
+  // { target: { x, y, z } } 形式も受け付ける
+  validateParams(params = {}) {
+    const target = params && params.target;
+    const flattened = target && typeof target === 'object'
+      ? { ...params, x: target.x, y: target.y, z: target.z }
+      : params;
+    return super.validateParams(flattened);
+  }
+
+  /**
+   * 目的地をいまいるディメンションの座標にする。dimension が無いか同じならそのまま、換算できなければ null
+   */
+  static localTarget(bot, params) {
+    const { x, y, z } = params.target || params;
+    if (!params.dimension || !bot) return { x, y, z };
+    const converted = Dimension.convert({ x, y, z }, params.dimension, Dimension.current(bot));
+    return converted ? { x: converted.x, y: converted.y, z: converted.z } : null;
+  }
+
   async execute(bot, params) {
     try {
-      const { target } = params;
-      const { x, y, z } = target || params;
+      const local = MoveToSkill.localTarget(bot, params);
+      if (!local) {
+        return {
+          success: false,
+          error: `${params.dimension} の座標は ${Dimension.current(bot)} の座標に換算できません`,
+          reason: 'WRONG_DIMENSION',
+          details: { dimension: Dimension.current(bot) }
+        };
+      }
+      const { x, y, z } = local;
+      if (params.dimension && Dimension.normalize(params.dimension) !== Dimension.current(bot)) {
+        this.logger.log(`[移動スキル] ${params.dimension} の座標を ${Dimension.current(bot)} の (${x}, ${y}, ${z}) に換算しました`);
+      }
 
       // Check if movement is necessary (distance threshold)
       const currentPos = bot.entity.position;
@@ -684,6 +962,11 @@ class MoveToSkill extends Skill {
         }
       }
 
+      // ネザーの液体は溶岩なので、液体に向かってどこまでも飛び降りる設定は外す
+      if (bot.pathfinder.movements && Dimension.isNether(bot)) {
+        bot.pathfinder.movements.infiniteLiquidDropdownDistance = false;
+      }
+
       // Prefer the high-level `goto` helper when available to avoid
       // manual event wiring issues that caused “bot.pathfinder.on is not a function”
       if (typeof bot.pathfinder.goto === 'function') {
@@ -696,7 +979,7 @@ class MoveToSkill extends Skill {
           const waterCheck = await this.checkAndEscapeWater(bot);
           if (waterCheck.inWater && !waterCheck.success) {
             this.logger.log('[移動スキル] 水中でpathfinding困難、基本移動にフォールバック');
-            return await this.executeBasicMovement(bot, x, y, z);
+            return await this.executeBasicMovement(bot, x, y, z, params.cancelToken);
           }
 
           // Use appropriate goal type based on distance and height difference
@@ -707,8 +990,24 @@ class MoveToSkill extends Skill {
           // Use MovementUtils for consistent movement handling
           const targetPos = new Vec3(Math.floor(x), Math.floor(y), Math.floor(z));
           const range = (heightDiff > 2) ? 0 : 1;
-          const moveResult = await moveToPosition(bot, targetPos, range, { timeoutMs: 12000 });
+          // GoalNear は足元のマスどうしで到着を判定するので、実座標の判定もマスの中心どうしで揃える
+          const moveResult = await moveToPosition(bot, targetPos.offset(0.5, 0, 0.5), range, {
+            timeoutMs: 12000,
+            signal: params.cancelToken
+          });
 
+          if (moveResult.reason === Cancellation.CANCELLED) {
+            return moveResult;
+          }
+          if (moveResult.reason === 'NO_PATH') {
+            const crossed = await this.crossTerrain(bot, targetPos, range, params.cancelToken);
+            // 使い捨てブロックが足りないときは、基本移動でうろうろせず集めに行かせる
+            if (crossed.success || crossed.reason === Cancellation.CANCELLED ||
+                crossed.reason === 'INSUFFICIENT_MATERIALS') {
+              return crossed;
+            }
+            throw new Error(`地形を越えられません: ${crossed.error}`);
+          }
           if (!moveResult.success) {
             throw new Error(`MovementUtils移動に失敗: ${moveResult.error}`);
           }
@@ -726,6 +1025,9 @@ class MoveToSkill extends Skill {
           return { success: true, message: '目的地に到着しました' };
         } catch (gotoErr) {
           this.logger.log(`[移動スキル] goto失敗: ${gotoErr.message}`);
+          if (Cancellation.isCancelled(params.cancelToken)) {
+            return Cancellation.cancelledResult(params.cancelToken);
+          }
 
           // Enhanced error handling with specific fallback strategies
           if (gotoErr.message.includes('timeout') ||
@@ -733,19 +1035,19 @@ class MoveToSkill extends Skill {
               gotoErr.message.includes('goal') ||
               gotoErr.message.includes('changed')) {
             this.logger.log('[移動スキル] パスファインディング問題を検出、基本移動にフォールバック');
-            return await this.executeBasicMovement(bot, x, y, z);
+            return await this.executeBasicMovement(bot, x, y, z, params.cancelToken);
           }
 
           // For other errors, try basic movement as well
           this.logger.log('[移動スキル] 未知のエラー、基本移動を試行');
-          return await this.executeBasicMovement(bot, x, y, z);
+          return await this.executeBasicMovement(bot, x, y, z, params.cancelToken);
         }
       }
 
       // Manual pathfinding with enhanced safety checks and error handling
       if (!bot.pathfinder.setGoal || !bot.pathfinder.on) {
         this.logger.log('[移動スキル] Pathfinder APIが利用できません、基本移動を試行');
-        return await this.executeBasicMovement(bot, x, y, z);
+        return await this.executeBasicMovement(bot, x, y, z, params.cancelToken);
       }
 
       // Clear any existing goals and setup new one
@@ -757,7 +1059,7 @@ class MoveToSkill extends Skill {
         bot.pathfinder.setGoal(goal);
       } catch (setupError) {
         this.logger.log(`[移動スキル] 目標設定エラー、基本移動を試行: ${setupError.message}`);
-        return await this.executeBasicMovement(bot, x, y, z);
+        return await this.executeBasicMovement(bot, x, y, z, params.cancelToken);
       }
 
       return new Promise((resolve) => {
@@ -780,6 +1082,15 @@ class MoveToSkill extends Skill {
           }
         };
 
+        const onAbort = () => {
+          if (!resolved) {
+            resolved = true;
+            cleanup();
+            bot.pathfinder.stop();
+            resolve(Cancellation.cancelledResult(params.cancelToken));
+          }
+        };
+
         const onPathUpdate = (r) => {
           if (!resolved && r.status === 'noPath') {
             resolved = true;
@@ -791,6 +1102,9 @@ class MoveToSkill extends Skill {
 
         const cleanup = () => {
           clearTimeout(timeout);
+          if (params.cancelToken) {
+            params.cancelToken.removeEventListener('abort', onAbort);
+          }
           try {
             if (bot.pathfinder && typeof bot.pathfinder.removeListener === 'function') {
               bot.pathfinder.removeListener('goal_reached', onGoalReached);
@@ -805,6 +1119,9 @@ class MoveToSkill extends Skill {
           if (bot.pathfinder && typeof bot.pathfinder.on === 'function' && typeof bot.pathfinder.setGoal === 'function') {
             bot.pathfinder.on('goal_reached', onGoalReached);
             bot.pathfinder.on('path_update', onPathUpdate);
+            if (params.cancelToken) {
+              params.cancelToken.addEventListener('abort', onAbort, { once: true });
+            }
 
             // Actually set the goal to start pathfinding
             this.logger.log(`[移動スキル] パスファインディング目標設定: (${x}, ${y}, ${z})`);
@@ -828,8 +1145,43 @@ class MoveToSkill extends Skill {
     }
   }
 
+  /**
+   * 経路探索が道なしと答えたとき、地形を越えてから探し直す
+   * 目的地が 2 ブロック以上高ければ足場を積み、目的地までの床が途切れていれば（谷・川・崖）橋を架け、
+   * それ以外（壁・山）はトンネルを掘る。使い捨てブロックは ControlPrimitives が選ぶ
+   */
+  async crossTerrain(bot, target, range, signal) {
+    const primitives = new ControlPrimitives(bot, { cancelToken: signal });
+    try {
+      for (let attempt = 1; attempt <= MoveToSkill.CROSS_ATTEMPTS; attempt++) {
+        const feet = bot.entity.position.floored();
+        const rise = target.y - feet.y;
+        let crossed;
+        if (rise >= 2) {
+          this.logger.log(`[移動スキル] 道がないため、足場を ${rise} ブロック積みます`);
+          crossed = await primitives.pillarUp(rise);
+        } else if (primitives.measureGap(target) > 0) {
+          this.logger.log(`[移動スキル] 道がないため、${target} へ橋を架けます`);
+          crossed = await primitives.bridgeTo(target);
+        } else {
+          this.logger.log(`[移動スキル] 道がないため、${target} へトンネルを掘ります`);
+          crossed = await primitives.tunnelTo(target);
+        }
+        if (!crossed.success) return crossed;
+
+        const moved = await moveToPosition(bot, target.offset(0.5, 0, 0.5), range, { timeoutMs: 12000, signal });
+        if (moved.success) return { success: true, message: '地形を越えて目的地に到着しました' };
+        if (moved.reason !== 'NO_PATH') return moved;
+      }
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) return Cancellation.cancelledResult(signal);
+      throw error;
+    }
+    return { success: false, error: '地形を越えても目的地への道が見つかりません', reason: 'NO_PATH' };
+  }
+
   // Enhanced movement with obstacle detection, stuck detection, and water escape
-  async executeBasicMovement(bot, x, y, z) {
+  async executeBasicMovement(bot, x, y, z, signal = null) {
     try {
       this.logger.log(`[移動スキル] 強化基本移動: (${x}, ${y}, ${z})`);
 
@@ -857,6 +1209,10 @@ class MoveToSkill extends Skill {
       let stuckCount = 0;
 
       for (let i = 0; i < maxSteps; i++) {
+        if (Cancellation.isCancelled(signal)) {
+          Cancellation.stopBot(bot);
+          return Cancellation.cancelledResult(signal);
+        }
         const targetX = currentPos.x + stepX * (i + 1);
         const targetZ = currentPos.z + stepZ * (i + 1);
 
@@ -936,82 +1292,6 @@ class MoveToSkill extends Skill {
     }
   }
 
-  // Handle out-of-sight blocks: approach and clear obstacles
-  async handleOutOfSightBlock(bot, targetBlock, _lineOfSightResult) {
-    try {
-      this.logger.log(`[視界外対応] ${targetBlock.name}が視界外です。接近と障害物除去を試みます`);
-
-      // Step 1: Move closer to target (within 2 blocks)
-      const approachResult = await this.approachTarget(bot, targetBlock.position);
-      if (!approachResult.success) {
-        this.logger.log(`[視界外対応] 接近に失敗: ${approachResult.error}`);
-        return { success: false, error: '接近失敗' };
-      }
-
-      // Step 2: Re-check line of sight after approaching
-      const newLineOfSight = this.checkLineOfSight(bot, bot.entity.position, targetBlock.position);
-      if (newLineOfSight.clear) {
-        this.logger.log('[視界外対応] 接近後に視界が確保されました');
-        return { success: true, approach: true };
-      }
-
-      // Step 3: Clear obstacles if still blocked
-      if (newLineOfSight.obstacleBlocks && newLineOfSight.obstacleBlocks.length > 0) {
-        this.logger.log(`[視界外対応] ${newLineOfSight.obstacleBlocks.length}個の障害物を除去します`);
-
-        for (const obstacle of newLineOfSight.obstacleBlocks.slice(0, 3)) { // Limit to 3 blocks
-          const obstacleDistance = bot.entity.position.distanceTo(obstacle.position);
-
-          if (obstacleDistance <= 3.0) {
-            this.logger.log(`[視界外対応] 障害物 ${obstacle.name} を除去中...`);
-
-            try {
-              // Equip appropriate tool for obstacle
-              await this.equipAppropriateToolForBlock(bot, obstacle.name);
-              await bot.dig(obstacle);
-
-              // Wait for obstacle removal
-              await new Promise(resolve => setTimeout(resolve, 500));
-              this.logger.log(`[視界外対応] 障害物 ${obstacle.name} を除去しました`);
-            } catch (digError) {
-              this.logger.log(`[視界外対応] 障害物除去失敗: ${digError.message}`);
-              continue; // Try next obstacle
-            }
-          }
-        }
-
-        // Final check after obstacle removal
-        const finalLineOfSight = this.checkLineOfSight(bot, bot.entity.position, targetBlock.position);
-        if (finalLineOfSight.clear) {
-          this.logger.log('[視界外対応] 障害物除去後に視界が確保されました');
-          return { success: true, obstaclesCleared: true };
-        }
-      }
-
-      return { success: false, error: '視界確保に失敗' };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
-  // Approach target block within 2 blocks
-  async approachTarget(bot, targetPosition) {
-    try {
-      this.logger.log(`[接近] 目標位置 ${targetPosition} に接近中...`);
-
-      // Use MovementUtils for consistent movement handling
-      const moveResult = await moveToPosition(bot, targetPosition, 2.0);
-      if (moveResult.success) {
-        return { success: true };
-      } else {
-        this.logger.log('[接近] 目標位置に到達できませんでした');
-        return { success: false, error: moveResult.error };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
   // Enhanced water detection and escape system
   async checkAndEscapeWater(bot) {
     try {
@@ -1393,7 +1673,10 @@ class MoveToSkill extends Skill {
 
 class FollowSkill extends Skill {
   constructor() {
-    super('follow', 'Follow a player');
+    super('follow', 'Follow a player', {
+      target: { type: 'string', required: true, aliases: ['player', 'username'], description: '追跡するプレイヤー名' },
+      durationMs: { type: 'integer', default: 30000, minimum: 1000, description: '追跡する時間（ミリ秒）' }
+    });
   }
 
   async execute(bot, params) {
@@ -1428,8 +1711,9 @@ class FollowSkill extends Skill {
           params.cancelToken.addEventListener('abort', () => {
             clearTimeout(timeout);
             bot.pathfinder.setGoal(null);
-            resolve({ success: true, message: `${target} の追跡を中断しました` });
-          });
+            this.logger.log(`[追跡] ${target} の追跡を中断しました`);
+            resolve(Cancellation.cancelledResult(params.cancelToken, { target }));
+          }, { once: true });
         }
       });
     } catch (error) {
@@ -1442,11 +1726,42 @@ class FollowSkill extends Skill {
 // Interaction Skills
 class MineBlockSkill extends Skill {
   constructor() {
-    super('mine_block', 'Mine a specific block');
+    super('mine_block', 'Mine a specific block', {
+      blockType: {
+        type: 'string',
+        required: true,
+        aliases: ['name', 'block', 'target'],
+        description: '採掘するブロック名（例: stone, coal_ore, iron_ore, diamond_ore）'
+      },
+      amount: { type: 'integer', default: 1, minimum: 1, maximum: 256, aliases: ['count'], description: '採掘する数量' },
+      position: { type: 'object', nlu: false }
+    }, {
+      contract: {
+        postconditions: ({ blockType }, bot) => [
+          { type: 'inventory_delta', items: MineBlockSkill.dropItemNames(bot, blockType), min: 1 }
+        ]
+      }
+    });
+  }
+
+  // ブロック自身と、採掘したときのドロップ（stone → cobblestone など）のアイテム名
+  static dropItemNames(bot, blockType) {
+    const names = new Set([blockType]);
+    try {
+      const mcData = require('minecraft-data')(bot.version);
+      const block = mcData.blocksByName[blockType];
+      for (const drop of (block && block.drops) || []) {
+        const item = mcData.items[typeof drop === 'object' ? drop.drop : drop];
+        if (item) names.add(item.name);
+      }
+    } catch (error) {
+      // minecraft-data が引けない場合はブロック名だけで判定する
+    }
+    return Array.from(names);
   }
 
   async execute(bot, params) {
-    const { blockType, position, amount = 1 } = params;
+    const { blockType, position, amount = 1, cancelToken } = params;
     this.logger.log(`[マイニング] ${blockType}を${amount}個採取開始`);
 
     let successfulMines = 0;
@@ -1462,6 +1777,12 @@ class MineBlockSkill extends Skill {
     while (successfulMines < targetAmount) {
       let block;
 
+      if (Cancellation.isCancelled(cancelToken)) {
+        this.logger.log(`[マイニング] キャンセルされました (${successfulMines}/${targetAmount}個採取済み)`);
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken, { type: blockType, mined: successfulMines });
+      }
+
       this.logger.log(`[マイニング] 進捗: ${successfulMines}/${targetAmount}個採取済み`);
 
       if (position && successfulMines === 0) {
@@ -1497,10 +1818,12 @@ class MineBlockSkill extends Skill {
         // 視線が遮られている場合、障害物除去を試行
         if (reachabilityCheck.reason.includes('視線が遮られています')) {
           this.logger.log('[マイニング] 視線を遮る障害物の除去を試みます...');
-          const clearResult = await this.handleOutOfSightBlock(bot, block, reachabilityCheck);
+          const clearResult = await this.handleOutOfSightBlock(bot, block, cancelToken);
           if (clearResult.success) {
             this.logger.log('[マイニング] 障害物除去成功、再試行します。');
             continue; // 同じブロックで再試行
+          } else if (clearResult.reason === 'NO_TOOL' || clearResult.reason === Cancellation.CANCELLED) {
+            return clearResult;
           } else {
             this.logger.log('[マイニング] 障害物除去失敗、このブロックは諦めます。');
             if (block && block.position) {
@@ -1511,7 +1834,7 @@ class MineBlockSkill extends Skill {
         }
 
         // Try to move closer to the block
-        const moveResult = await this.moveToMiningPosition(bot, block);
+        const moveResult = await this.moveToMiningPosition(bot, block, cancelToken);
         if (!moveResult.success) {
           this.logger.log(`[マイニング] 移動失敗、次のブロックを探します: ${moveResult.error}`);
           if (block && block.position) {
@@ -1519,7 +1842,7 @@ class MineBlockSkill extends Skill {
           }
           consecutiveFailures++;
           if (consecutiveFailures > 3) {
-            this.bot.chat('同じ場所でスタックしました。探索します。');
+            bot.chat('同じ場所でスタックしました。探索します。');
             return { success: false, reason: 'STUCK' };
           }
           continue; // Try next block instead of failing completely
@@ -1573,7 +1896,7 @@ class MineBlockSkill extends Skill {
         }
 
         // Check if block requires a tool and equip appropriate tool
-        const toolCheck = await this.equipAppropriateToolForBlock(bot, block);
+        const toolCheck = await this.equipAppropriateToolForBlock(bot, block, cancelToken);
         if (!toolCheck.success) {
           this.logger.log(`[マイニング] ツール装備失敗: ${toolCheck.error}`);
           return { success: false, reason: toolCheck.reason || 'NO_TOOL', details: toolCheck.details };
@@ -1599,11 +1922,11 @@ class MineBlockSkill extends Skill {
           }
         }
 
-        await bot.dig(block);
+        await Cancellation.race(bot.dig(block), cancelToken, () => Cancellation.stopBot(bot));
         this.logger.log(`[マイニング] ${block.name}を採掘完了`);
 
         // Wait for items to drop and settle
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await Cancellation.sleep(500, cancelToken);
 
         // Collect dropped items
         const collectionResult = await this.collectDroppedItems(bot, miningPosition);
@@ -1628,8 +1951,9 @@ class MineBlockSkill extends Skill {
         }
 
         // Short wait before next mining attempt
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await Cancellation.sleep(1000, cancelToken);
       } catch (error) {
+        if (Cancellation.isCancellationError(error)) continue; // ループ先頭で中断結果を返す
         this.logger.log(`[マイニング] 採掘に失敗: ${error.message}`);
         if (block && block.position) {
           blacklist.add(block.position.toString()); // 採掘失敗でもブラックリストへ
@@ -1995,7 +2319,7 @@ class MineBlockSkill extends Skill {
   }
 
   // Move bot to optimal mining position
-  async moveToMiningPosition(bot, block) {
+  async moveToMiningPosition(bot, block, signal = null) {
     try {
       const blockPos = block.position;
 
@@ -2005,7 +2329,7 @@ class MineBlockSkill extends Skill {
       this.logger.log(`[マイニング] 採掘可能距離内(2.5ブロック)への移動を実行: ${blockPos}`);
 
       // Use MovementUtils for consistent movement handling
-      const moveResult = await moveToPosition(bot, blockPos, 2.5);
+      const moveResult = await moveToPosition(bot, blockPos, 2.5, { signal });
       if (moveResult.success) {
         return { success: true };
       } else {
@@ -2017,41 +2341,127 @@ class MineBlockSkill extends Skill {
     }
   }
 
-  // Check if inventory has space for new items
-  checkInventorySpace(bot) {
+  // Handle out-of-sight blocks: approach and clear obstacles
+  async handleOutOfSightBlock(bot, targetBlock, signal = null) {
     try {
-      const inventory = bot.inventory;
-      const totalSlots = 36; // Standard inventory size
-      const usedSlots = inventory.items().length;
-      const freeSlots = totalSlots - usedSlots;
+      this.logger.log(`[視界外対応] ${targetBlock.name}が視界外です。接近と障害物除去を試みます`);
 
-      return {
-        hasSpace: freeSlots > 0,
-        freeSlots,
-        usedSlots,
-        totalSlots
-      };
-    } catch (error) {
-      this.logger.log(`[マイニング] インベントリチェックエラー: ${error.message}`);
-      return {
-        hasSpace: true, // Assume space available on error
-        freeSlots: 5,
-        error: error.message
-      };
-    }
-  }
+      // Step 1: Move closer to target (within 2 blocks)
+      const approachResult = await this.approachTarget(bot, targetBlock.position, signal);
+      if (!approachResult.success) {
+        this.logger.log(`[視界外対応] 接近に失敗: ${approachResult.error}`);
+        return { success: false, error: '接近失敗' };
+      }
 
-  // Clean up inventory by dropping less important items
-  async cleanupInventory(bot) {
-    try {
-      this.logger.log('[マイニング] インベントリ整理開始');
+      // Step 2: Re-check line of sight after approaching
+      const newLineOfSight = this.checkLineOfSight(bot, bot.entity.position, targetBlock.position);
+      if (newLineOfSight.clear) {
+        this.logger.log('[視界外対応] 接近後に視界が確保されました');
+        return { success: true, approach: true };
+      }
 
-      const inventory = bot.inventory.items();
-      const lowPriorityItems = ['dirt', 'cobblestone', 'gravel', 'sand'];
-      let itemsDropped = 0;
+      // Step 3: Clear obstacles if still blocked
+      if (newLineOfSight.obstacleBlocks && newLineOfSight.obstacleBlocks.length > 0) {
+        this.logger.log(`[視界外対応] ${newLineOfSight.obstacleBlocks.length}個の障害物を除去します`);
 
-      for (const item of inventory) {
-        if (!item || !item.name) continue;
+        for (const obstacle of newLineOfSight.obstacleBlocks.slice(0, 3)) { // Limit to 3 blocks
+          const obstacleDistance = bot.entity.position.distanceTo(obstacle.position);
+
+          if (obstacleDistance <= 3.0) {
+            this.logger.log(`[視界外対応] 障害物 ${obstacle.name} を除去中...`);
+
+            try {
+              // Equip appropriate tool for obstacle
+              const toolCheck = await this.equipAppropriateToolForBlock(bot, obstacle, signal);
+              if (!toolCheck.success) {
+                return {
+                  success: false,
+                  error: toolCheck.error,
+                  reason: toolCheck.reason || 'NO_TOOL',
+                  details: toolCheck.details
+                };
+              }
+              await Cancellation.race(bot.dig(obstacle), signal, () => Cancellation.stopBot(bot));
+
+              // Wait for obstacle removal
+              await new Promise(resolve => setTimeout(resolve, 500));
+              this.logger.log(`[視界外対応] 障害物 ${obstacle.name} を除去しました`);
+            } catch (digError) {
+              if (Cancellation.isCancellationError(digError)) throw digError;
+              this.logger.log(`[視界外対応] 障害物除去失敗: ${digError.message}`);
+              continue; // Try next obstacle
+            }
+          }
+        }
+
+        // Final check after obstacle removal
+        const finalLineOfSight = this.checkLineOfSight(bot, bot.entity.position, targetBlock.position);
+        if (finalLineOfSight.clear) {
+          this.logger.log('[視界外対応] 障害物除去後に視界が確保されました');
+          return { success: true, obstaclesCleared: true };
+        }
+      }
+
+      return { success: false, error: '視界確保に失敗' };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Approach target block within 2 blocks
+  async approachTarget(bot, targetPosition, signal = null) {
+    try {
+      this.logger.log(`[接近] 目標位置 ${targetPosition} に接近中...`);
+
+      // Use MovementUtils for consistent movement handling
+      const moveResult = await moveToPosition(bot, targetPosition, 2.0, { signal });
+      if (moveResult.success) {
+        return { success: true };
+      } else {
+        this.logger.log('[接近] 目標位置に到達できませんでした');
+        return { success: false, error: moveResult.error };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Check if inventory has space for new items
+  checkInventorySpace(bot) {
+    try {
+      const inventory = bot.inventory;
+      const totalSlots = 36; // Standard inventory size
+      const usedSlots = inventory.items().length;
+      const freeSlots = totalSlots - usedSlots;
+
+      return {
+        hasSpace: freeSlots > 0,
+        freeSlots,
+        usedSlots,
+        totalSlots
+      };
+    } catch (error) {
+      this.logger.log(`[マイニング] インベントリチェックエラー: ${error.message}`);
+      return {
+        hasSpace: true, // Assume space available on error
+        freeSlots: 5,
+        error: error.message
+      };
+    }
+  }
+
+  // Clean up inventory by dropping less important items
+  async cleanupInventory(bot) {
+    try {
+      this.logger.log('[マイニング] インベントリ整理開始');
+
+      const inventory = bot.inventory.items();
+      const lowPriorityItems = ['dirt', 'cobblestone', 'gravel', 'sand'];
+      let itemsDropped = 0;
+
+      for (const item of inventory) {
+        if (!item || !item.name) continue;
 
         // Drop low priority items if we have too many
         if (lowPriorityItems.includes(item.name) && item.count > 16) {
@@ -2231,7 +2641,7 @@ class MineBlockSkill extends Skill {
   }
 
   // Tool management for mining different block types
-  async equipAppropriateToolForBlock(bot, block) {
+  async equipAppropriateToolForBlock(bot, block, signal = null) {
     this.logger.log(`[ツール管理] ${block.name}の採掘に適したツールを装備します`);
     const blockName = block.name;
 
@@ -2326,7 +2736,8 @@ class MineBlockSkill extends Skill {
     this.logger.log(`[ツール管理] ${blockName}の採掘に適したツールがありません。作成を試みます...`);
     bot.chat(`${blockName}を掘るための適切な道具がないので、作ってみます。`);
 
-    const craftResult = await this.craftBestAvailablePickaxe(bot);
+    const craftResult = await this.craftBestAvailablePickaxe(bot, signal);
+    if (craftResult.reason === Cancellation.CANCELLED) return craftResult;
     if (craftResult.success && craftResult.toolName) {
       const newTool = bot.inventory.items().find(item => item.name === craftResult.toolName);
       if (newTool) {
@@ -2347,46 +2758,25 @@ class MineBlockSkill extends Skill {
 
 
   // Craft best available pickaxe (Gemini collaboration)
-  async craftBestAvailablePickaxe(bot) {
+  async craftBestAvailablePickaxe(bot, signal = null) {
     this.logger.log('[ツール作成] 利用可能な最良のピッケルの作成を開始...');
 
-    // Check if we have sticks, if not try to create them
-    const hasSticks = bot.inventory.items().some(item => item.name === 'stick' && item.count >= 2);
-    if (!hasSticks) {
-      this.logger.log('[ツール作成] 棒が不足しているため、作成を試みます');
-      const craftSticksSkill = this.getSkill('craft_tools');
-      if (craftSticksSkill) {
-        const stickResult = await craftSticksSkill.execute(bot, { toolName: 'stick', amount: 4 });
-        if (!stickResult.success) {
-          return { success: false, error: 'ツールの柄となる棒の作成に失敗しました' };
-        }
-      }
-    }
-
+    // craft_tools は足りない板材や棒を原木から作り、手持ちの良い素材があれば材質も上げる
     const bestMaterial = SkillLibrary.findBestAvailableToolMaterial(bot, null, 'pickaxe');
-    if (!bestMaterial) {
-      return { success: false, error: 'ツール作成に必要な素材（鉱石や石、木材）がありません' };
-    }
-
-    const { tool: toolToCraft } = bestMaterial;
-    const craftSkill = this.getSkill('craft_tools');
-    if (!craftSkill) {
-      return { success: false, error: 'CraftToolsSkillが見つかりません' };
-    }
+    const toolToCraft = bestMaterial ? bestMaterial.tool : 'wooden_pickaxe';
 
     this.logger.log(`[ツール作成] ${toolToCraft} の作成を試みます...`);
-    const craftResult = await craftSkill.execute(bot, {
-      toolName: toolToCraft,
-      amount: 1
-    });
+    const craftResult = await new CraftToolsSkill().execute(bot, { tools: [toolToCraft], cancelToken: signal });
+    if (craftResult.reason === Cancellation.CANCELLED) return craftResult;
 
-    if (craftResult.success) {
-      this.logger.log(`[ツール作成] ${toolToCraft} の作成に成功しました`);
-      return { success: true, toolName: toolToCraft };
-    } else {
-      this.logger.error(`[ツール作成] ${toolToCraft} の作成に失敗しました: ${craftResult.error}`);
-      return { success: false, error: `${toolToCraft}の作成に失敗: ${craftResult.error}` };
+    if (craftResult.success && craftResult.crafted && craftResult.crafted.length > 0) {
+      const toolName = craftResult.crafted[0];
+      this.logger.log(`[ツール作成] ${toolName} の作成に成功しました`);
+      return { success: true, toolName };
     }
+    const error = craftResult.error || craftResult.reason;
+    this.logger.error(`[ツール作成] ${toolToCraft} の作成に失敗しました: ${error}`);
+    return { success: false, error: `${toolToCraft}の作成に失敗: ${error}` };
   }
 
   // Legacy tool requirements (for backward compatibility)
@@ -2972,10 +3362,11 @@ class MineBlockSkill extends Skill {
     }
   }
 
-  // Count items in inventory
+  // Count items in inventory（coal_ore なら coal のように、名前の違うドロップも数える）
   countItemsInInventory(bot, itemName) {
+    const drops = MineBlockSkill.dropItemNames(bot, itemName);
     const items = bot.inventory.items().filter(item =>
-      item && item.name && item.name.includes(itemName)
+      item && item.name && (item.name.includes(itemName) || drops.includes(item.name))
     );
     return items.reduce((sum, item) => sum + item.count, 0);
   }
@@ -2983,7 +3374,15 @@ class MineBlockSkill extends Skill {
 
 class PlaceBlockSkill extends Skill {
   constructor() {
-    super('place_block', 'Place a block at a specific position');
+    super('place_block', 'Place a block at a specific position', {
+      blockType: { type: 'string', required: true, aliases: ['name', 'block'] },
+      position: { type: 'object', required: true }
+    }, {
+      internal: true,
+      contract: {
+        preconditions: ({ blockType }) => [{ type: 'has_item', item: blockType }]
+      }
+    });
   }
 
   async execute(bot, params) {
@@ -3005,31 +3404,315 @@ class PlaceBlockSkill extends Skill {
 }
 
 class AttackEntitySkill extends Skill {
+  static SEARCH_RADIUS = 32;
+
   constructor() {
-    super('attack_entity', 'Attack a nearby entity');
+    super('attack_entity', '一番強い武器と盾を持ち、攻撃のクールダウンを待ちながら指定したエンティティを倒します', {
+      target: {
+        type: 'string',
+        required: true,
+        aliases: ['entity', 'mob', 'name'],
+        description: '攻撃するエンティティ名（例: zombie, cow）'
+      }
+    });
   }
 
   async execute(bot, params) {
-    const { target } = params;
-    const entity = Object.values(bot.entities).find(e => e.name === target);
+    const { target, cancelToken } = params;
+    const nearby = Object.values(bot.entities)
+      .filter(e => e !== bot.entity && e.name === target && e.position &&
+        e.position.distanceTo(bot.entity.position) <= AttackEntitySkill.SEARCH_RADIUS)
+      .sort((a, b) => a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position));
+    // 家畜は子供と最後のつがいを残す。どのタスクから来ても同じ方針で狩る
+    const entity = nearby.find(e => Husbandry.canSlaughter(bot, e));
+
+    if (!entity && nearby.length > 0) {
+      this.logger.log(`[攻撃] 近くの${target}は子供か繁殖用のつがいだけなので倒しません`);
+      return {
+        success: false,
+        error: `近くの${target}は繁殖用に残しています。breed_animals で増やしてください`,
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: target, spared: true }
+      };
+    }
 
     if (!entity) {
-      throw new Error(`Entity ${target} not found`);
+      return {
+        success: false,
+        error: `${target} が近くにいません`,
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: target }
+      };
     }
 
-    try {
-      await bot.attack(entity);
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
+    const result = await CombatSystem.fight(bot, entity, { signal: cancelToken });
+    if (result.killed) return { success: true, target, hits: result.hits };
+    if (result.outcome === 'low_health') {
+      await CombatSystem.retreat(bot, [entity], { signal: cancelToken });
+      return {
+        success: false,
+        error: `体力が少ないため ${target} から離れました`,
+        reason: 'OUTMATCHED',
+        details: { target, cause: 'LOW_HEALTH', hits: result.hits }
+      };
+    }
+    if (result.outcome === 'gone' || result.outcome === 'unreachable') {
+      return {
+        success: false,
+        error: `${target} を見失いました`,
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: target, outcome: result.outcome }
+      };
+    }
+    return { success: false, error: `${target} を倒しきれませんでした`, details: { target, ...result } };
+  }
+}
+
+// 周囲（または守る相手の周り）の敵対 mob を危険な順に倒す。guard の性格のボットが敵を見つけたときに使う
+class DefendSkill extends Skill {
+  constructor() {
+    super('defend', '自分か指定したプレイヤーの周りの敵対 mob を、クリーパーや射線の通ったスケルトンから順に倒します。敵が多すぎるか体力が減ったら退きます', {
+      radius: { type: 'integer', default: 16, minimum: 4, maximum: 48, description: '敵を探す範囲' },
+      protect: { type: 'string', aliases: ['player', 'username'], description: '守るプレイヤー名（省略時は自分の周り）' },
+      maxTargets: { type: 'integer', default: 8, minimum: 1, maximum: 32, description: '倒す敵の上限' },
+      retreatHealth: {
+        type: 'integer',
+        default: CombatSystem.RETREAT_HEALTH,
+        minimum: 2,
+        maximum: 19,
+        description: 'この体力以下になったら退く'
+      }
+    });
+  }
+
+  async execute(bot, params) {
+    const { radius, protect, maxTargets, retreatHealth, cancelToken } = params;
+    const killed = [];
+    const skipped = new Set();
+    const guarded = () => (protect && bot.players[protect] ? bot.players[protect].entity : null);
+    const center = () => (guarded() || bot.entity).position;
+    if (protect && !guarded()) this.logger.warn(`[防衛] ${protect} が見えないので自分の周りを守ります`);
+
+    for (let fights = 0; killed.length < maxTargets && fights < maxTargets * 2; fights++) {
+      Cancellation.throwIfCancelled(cancelToken);
+
+      const assessment = CombatSystem.assess(bot, { radius, center: center(), retreatHealth, exclude: skipped });
+      if (assessment.action === 'none') break;
+      if (assessment.action === 'flee') {
+        this.logger.log(`[防衛] 退きます (${assessment.reason}、敵 ${assessment.hostiles.length} 体)`);
+        await CombatSystem.retreat(bot, assessment.hostiles, { signal: cancelToken });
+        return {
+          success: false,
+          error: `敵に敵わないため退きました (${assessment.reason})`,
+          reason: 'OUTMATCHED',
+          details: { cause: assessment.reason, killed, hostiles: assessment.hostiles.map(entity => entity.name) }
+        };
+      }
+
+      const { target } = assessment;
+      const result = await CombatSystem.fight(bot, target, { signal: cancelToken, retreatHealth });
+      if (result.killed) {
+        killed.push(target.name);
+        this.logger.log(`[防衛] ${target.name} を倒しました (${killed.length} 体目)`);
+      } else if (result.outcome === 'unreachable' || result.outcome === 'timeout') {
+        this.logger.warn(`[防衛] ${target.name} を倒せないので後回しにします (${result.outcome})`);
+        skipped.add(target.id);
+      }
+    }
+
+    const remaining = CombatSystem.nearbyHostiles(bot, radius, center()).length;
+    return { success: true, killed: killed.length, targets: killed, remaining };
+  }
+}
+
+// 火打石・棒・羽根から矢を作るスキル（矢のレシピは縦 3 マスなので作業台を使う）
+class CraftArrowsSkill extends Skill {
+  constructor() {
+    super('craft_arrows', '火打石・棒・羽根から矢を作ります（1 回で 4 本）。棒が足りなければ板材から作ります', {
+      count: { type: 'integer', default: 16, minimum: 1, maximum: 64, aliases: ['amount'], description: '作る矢の本数' }
+    });
+  }
+
+  async execute(bot, params) {
+    const { count, cancelToken } = params;
+    const batches = Math.ceil(count / RangedCombat.ARROWS_PER_CRAFT);
+    const counts = SkillContract.inventoryCounts(bot);
+    const before = RangedCombat.arrowCount(bot);
+
+    // 棒が足りない分は板材 2 枚で 4 本作る。作業台を作るなら、その板材 4 枚も要る
+    const planks = InventoryUtils.getAllItems(bot)
+      .filter(item => /_planks$/.test(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+    const stickCrafts = Math.ceil(Math.max(0, batches - (counts.stick || 0)) / 4);
+    const hasTable = counts.crafting_table > 0 ||
+      !!bot.findBlock({ matching: block => block && block.name === 'crafting_table', maxDistance: 8 });
+    const missing = [['flint', batches], ['feather', batches], ['oak_planks', stickCrafts * 2 + (hasTable ? 0 : 4)]]
+      .map(([item, needed]) => ({ item, needed: needed - (item === 'oak_planks' ? planks : counts[item] || 0) }))
+      .filter(material => material.needed > 0);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `矢の材料が足りません (${missing.map(material => `${material.item} x${material.needed}`).join(', ')})`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing }
+      };
+    }
+
+    const workbench = await new CraftToolsSkill().ensureWorkbench(bot);
+    if (!workbench.success) {
+      return { success: false, error: workbench.error, reason: 'CRAFTING_TABLE_MISSING' };
+    }
+    const near = await ensureProximity(bot, workbench.workbench, 3, { signal: cancelToken });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
+
+    const mcData = require('minecraft-data')(bot.version);
+    const steps = [['stick', stickCrafts, null], ['arrow', batches, workbench.workbench]];
+    for (const [name, times, table] of steps) {
+      if (times <= 0) continue;
+      const recipe = bot.recipesFor(mcData.itemsByName[name].id, null, 1, table)[0];
+      if (!recipe) {
+        return { success: false, error: `${name} のレシピが使えません`, reason: 'NO_RECIPE', details: { item: name } };
+      }
+      await Cancellation.race(bot.craft(recipe, times, table), cancelToken);
+    }
+
+    const arrows = RangedCombat.arrowCount(bot);
+    this.logger.log(`[矢] ${arrows - before} 本作りました（手持ち ${arrows} 本）`);
+    return { success: true, crafted: arrows - before, arrows };
+  }
+}
+
+class CraftArmorSkill extends Skill {
+  constructor() {
+    super('craft_armor', '革・鉄・ダイヤの防具と盾を作業台で作って身に着けます。pieces を省くと、手持ちの素材で今より良くなるものを作ります', {
+      pieces: {
+        type: 'array',
+        default: [],
+        aliases: ['items', 'armor'],
+        items: { type: 'string' },
+        description: '作る防具・盾のアイテム名（例: iron_chestplate, shield）'
+      },
+      equip: { type: 'boolean', default: true, description: '作った後に一番良い一式を着けるか' }
+    });
+  }
+
+  async execute(bot, params) {
+    const { equip, cancelToken } = params;
+    const requested = params.pieces || [];
+    const invalid = requested.filter(name => name !== 'shield' && !this.isCraftableArmor(name));
+    if (invalid.length > 0) {
+      return {
+        success: false,
+        error: `作れない防具です: ${invalid.join(', ')}`,
+        reason: 'INVALID_PARAMS',
+        details: { pieces: invalid }
+      };
+    }
+
+    const pieces = requested.length > 0 ? requested : EquipmentManager.craftPlan(bot);
+    if (pieces.length === 0) {
+      const needs = EquipmentManager.upgradeNeeds(bot);
+      if (needs) {
+        return {
+          success: false,
+          error: `${needs.material} の防具を作る素材が足りません (${needs.item} x${needs.needed})`,
+          reason: 'INSUFFICIENT_MATERIALS',
+          details: { missing: [{ item: needs.item, needed: needs.needed }] }
+        };
+      }
+      const equipped = equip ? await EquipmentManager.equipBest(bot, { signal: cancelToken }) : null;
+      return { success: true, crafted: [], equipped: equipped ? equipped.equipped : [], message: '防具は揃っています' };
+    }
+
+    const missing = this.missingMaterials(bot, pieces);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `防具の素材が足りません (${missing.map(material => `${material.item} x${material.needed}`).join(', ')})`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing }
+      };
+    }
+
+    const workbench = await new CraftToolsSkill().ensureWorkbench(bot);
+    if (!workbench.success) {
+      return { success: false, error: workbench.error, reason: 'CRAFTING_TABLE_MISSING' };
+    }
+    const near = await ensureProximity(bot, workbench.workbench, 3, { signal: cancelToken });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
+
+    const mcData = require('minecraft-data')(bot.version);
+    const crafted = [];
+    for (const name of pieces) {
+      const recipe = bot.recipesFor(mcData.itemsByName[name].id, null, 1, workbench.workbench)[0];
+      if (!recipe) {
+        this.logger.warn(`[防具] ${name} のレシピが使えません`);
+        continue;
+      }
+      await Cancellation.race(bot.craft(recipe, 1, workbench.workbench), cancelToken);
+      crafted.push(name);
+      this.logger.log(`[防具] ${name} を作りました`);
+    }
+    if (crafted.length === 0) {
+      return { success: false, error: '防具のレシピが使えません', reason: 'NO_RECIPE', details: { items: pieces } };
     }
+
+    const equipped = equip ? await EquipmentManager.equipBest(bot, { signal: cancelToken }) : null;
+    return {
+      success: true,
+      crafted,
+      equipped: equipped ? equipped.equipped : [],
+      armor: EquipmentManager.armorPoints(bot)
+    };
+  }
+
+  isCraftableArmor(name) {
+    const armor = EquipmentManager.parseArmor(name);
+    return !!armor && !!EquipmentManager.MATERIALS[armor.material].ingredient;
+  }
+
+  // 作業台がなければその板材 4 枚も数える
+  missingMaterials(bot, pieces) {
+    const needed = {};
+    for (const name of pieces) {
+      if (name === 'shield') {
+        needed.iron_ingot = (needed.iron_ingot || 0) + 1;
+        needed.oak_planks = (needed.oak_planks || 0) + 6;
+        continue;
+      }
+      const armor = EquipmentManager.parseArmor(name);
+      const ingredient = EquipmentManager.MATERIALS[armor.material].ingredient;
+      needed[ingredient] = (needed[ingredient] || 0) + EquipmentManager.COST[armor.slot];
+    }
+    const counts = EquipmentManager.counts(bot);
+    const hasTable = counts.crafting_table > 0 ||
+      !!bot.findBlock({ matching: block => block && block.name === 'crafting_table', maxDistance: 8 });
+    if (!hasTable) needed.oak_planks = (needed.oak_planks || 0) + 4;
+
+    return Object.entries(needed)
+      .map(([item, count]) => ({ item, needed: count - (item === 'oak_planks' ? counts.planks : counts[item] || 0) }))
+      .filter(material => material.needed > 0);
+  }
+}
+
+class EquipArmorSkill extends Skill {
+  constructor() {
+    super('equip_armor', '持っている中で一番良い防具一式を着け、盾をオフハンドに持ちます。壊れかけの防具は予備と付け替えます', {});
+  }
+
+  async execute(bot, params) {
+    const result = await EquipmentManager.equipBest(bot, { signal: params.cancelToken });
+    const missing = Object.entries(EquipmentManager.equipped(bot))
+      .filter(([, item]) => !item)
+      .map(([slot]) => slot);
+    return { ...result, missing };
   }
 }
 
 // Advanced Movement Skills
 class SmartJumpSkill extends Skill {
   constructor() {
-    super('smart_jump', 'Jump over obstacles intelligently');
+    super('smart_jump', 'Jump over obstacles intelligently', {}, { internal: true });
   }
 
   async execute(bot, _params) {
@@ -3050,7 +3733,9 @@ class SmartJumpSkill extends Skill {
 
 class EscapeWaterSkill extends Skill {
   constructor() {
-    super('escape_water', 'Escape from water');
+    super('escape_water', 'Escape from water', {
+      emergencyMode: { type: 'boolean', default: false }
+    }, { internal: true });
   }
 
   async execute(bot, _params) {
@@ -3071,7 +3756,18 @@ class EscapeWaterSkill extends Skill {
 
 class NavigateTerrainSkill extends Skill {
   constructor() {
-    super('navigate_terrain', 'Navigate complex terrain');
+    super('navigate_terrain', 'Navigate complex terrain', {
+      destination: {
+        type: 'object',
+        required: true,
+        aliases: ['target'],
+        properties: {
+          x: { type: 'number', required: true },
+          y: { type: 'number', required: true },
+          z: { type: 'number', required: true }
+        }
+      }
+    }, { internal: true });
   }
 
   async execute(bot, params) {
@@ -3093,21 +3789,44 @@ class NavigateTerrainSkill extends Skill {
 // Survival Skills
 class SimpleGatherWoodSkill extends Skill {
   constructor() {
-    super('gather_wood', 'Gather wood from nearby trees');
+    super('gather_wood', 'Gather wood from nearby trees', {
+      amount: { type: 'integer', default: 1, minimum: 1, maximum: 256, aliases: ['count'], description: '収集する原木の数' }
+    }, {
+      contract: {
+        // ネザーでは原木の代わりに真紅・歪んだ幹を集める
+        postconditions: [{
+          type: 'any',
+          conditions: [
+            { type: 'inventory_delta', match: '_log', min: 1 },
+            { type: 'inventory_delta', items: ['crimson_stem', 'warped_stem'], min: 1 }
+          ]
+        }]
+      }
+    });
+  }
+
+  // インベントリにある原木（幹）の数
+  static logCount(bot) {
+    return InventoryUtils.getAllItems(bot)
+      .filter(item => item && InventoryUtils.isLog(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
   }
 
   async execute(bot, params) {
     const { amount = 1 } = params;
-    let collected = 0;
+    // 集めた数はインベントリの増分で数える（他のプレイヤーに先に掘られた原木は手に入らない）
+    const before = SimpleGatherWoodSkill.logCount(bot);
+    const gathered = () => SimpleGatherWoodSkill.logCount(bot) - before;
 
     try {
-      for (let i = 0; i < amount; i++) {
+      for (let attempt = 0; attempt < amount * 2 && gathered() < amount; attempt++) {
         const tree = bot.findBlock({
-          matching: (block) => block && block.name.includes('_log'),
+          matching: (block) => block && InventoryUtils.isLog(block.name),
           maxDistance: 64
         });
 
         if (!tree) {
+          if (gathered() > 0) return { success: true, collected: gathered(), partial: true };
           return { success: false, error: 'No new trees found nearby' };
         }
         if (!bot.pathfinder) {
@@ -3126,18 +3845,47 @@ class SimpleGatherWoodSkill extends Skill {
             }
           }
         } else {
-          const moveResult = await moveToBlock(bot, tree, 1);
+          // 頭上の原木も掘れるよう、隣接ではなく採掘可能距離まで近づく
+          const moveResult = await moveToBlock(bot, tree, 3);
           if (!moveResult.success) {
             this.logger.log(`[木材収集] 木への移動に失敗: ${moveResult.error}`);
+            // 木の上部など届かない原木しか残っていない場合は、集めた分で完了とする
+            if (gathered() > 0) {
+              return { success: true, collected: gathered(), partial: true };
+            }
             return { success: false, error: `木への移動に失敗: ${moveResult.error}` };
           }
         }
-        await bot.dig(tree);
-        collected++;
+
+        // 移動中に原木がなくなっている場合がある。パスファインダーが経路上で掘った分はドロップを拾えば手に入る
+        const current = bot.blockAt(tree.position);
+        if (!current || !InventoryUtils.isLog(current.name)) {
+          this.logger.log('[木材収集] 原木は移動中になくなりました');
+        } else {
+          await bot.dig(current);
+        }
+        await this.collectDrops(bot, tree.position);
       }
-      return { success: true, collected };
+
+      const collected = gathered();
+      if (collected >= amount) return { success: true, collected };
+      if (collected > 0) return { success: true, collected, partial: true };
+      return { success: false, error: '原木を入手できませんでした', collected };
     } catch (error) {
-      return { success: false, error: error.message, collected };
+      return { success: false, error: error.message, collected: gathered() };
+    }
+  }
+
+  /**
+   * 掘った原木の近くに落ちている原木を拾う
+   */
+  async collectDrops(bot, position) {
+    const drops = Object.values(bot.entities || {}).filter(entity => {
+      const item = entity.name === 'item' && typeof entity.getDroppedItem === 'function' && entity.getDroppedItem();
+      return item && InventoryUtils.isLog(item.name) && entity.position.distanceTo(position) <= 6;
+    });
+    for (const drop of drops.slice(0, 8)) {
+      await moveToEntity(bot, drop, 1, { retries: 1 });
     }
   }
 }
@@ -3159,11 +3907,20 @@ class SimpleFindFoodSkill extends Skill {
         return { success: true, message: '食料は十分です' };
       }
 
-      // Find nearby animals
+      // Find nearby animals（子供と最後のつがいは残す）
       const animals = ['cow', 'pig', 'sheep', 'chicken'];
-      const target = bot.nearestEntity(entity =>
-        animals.includes(entity.name) && bot.entity.position.distanceTo(entity.position) < 32
-      );
+      const nearby = entity => animals.includes(entity.name) && bot.entity.position.distanceTo(entity.position) < 32;
+      const target = bot.nearestEntity(entity => nearby(entity) && Husbandry.canSlaughter(bot, entity));
+
+      if (!target && bot.nearestEntity(nearby)) {
+        this.logger.log('[食料確保] 近くの家畜は子供か繁殖用のつがいだけなので狩りません');
+        return {
+          success: false,
+          error: '近くの家畜は繁殖用に残しています。breed_animals で増やしてください',
+          reason: 'TARGET_NOT_FOUND',
+          details: { type: 'livestock', spared: true }
+        };
+      }
 
       if (!target) {
         this.logger.log('[食料確保] 近くに食料源が見つかりません');
@@ -3202,1892 +3959,6041 @@ class SimpleFindFoodSkill extends Skill {
   }
 }
 
-// Crafting Skills
-class CraftToolsSkill extends Skill {
+// 満腹度に応じて手持ちの食べ物を選んで食べるスキル。焚き火かかまどがあれば生の食材は先に焼く
+class EatFoodSkill extends Skill {
   constructor() {
-    super('craft_tools', 'Crafts specified tools.');
+    super('eat_food', '満腹度に合わせて手持ちの食べ物を選んで食べます（焼ける食材は焚き火かかまどで焼いてから）', {
+      threshold: {
+        type: 'integer',
+        default: 19,
+        minimum: 0,
+        maximum: 19,
+        description: 'この満腹度以下なら食べる'
+      },
+      allowHarmful: { type: 'boolean', default: false, description: '腐った肉など害のある食べ物も食べる' }
+    });
   }
 
   async execute(bot, params) {
-    const { tools } = params;
-    const mcData = require('minecraft-data')(bot.version);
-
-    this.logger.log(`[ツールスキル] ${tools.join(', ')}の作成を開始します...`);
-
-    // インベントリの事前チェック
-    const inventoryItems = InventoryUtils.getAllItems(bot);
-    this.logger.log(`[ツールスキル] インベントリアイテム数: ${inventoryItems.length}`);
+    const { threshold, allowHarmful, cancelToken } = params;
+    if (!NutritionManager.needsFood(bot, threshold)) {
+      return { success: true, eaten: [], food: bot.food, message: '空腹ではありません' };
+    }
 
-    if (inventoryItems.length === 0) {
-      this.logger.log('[ツールスキル] インベントリが空です。ツール作成を中止します。');
-      return { success: false, error: 'インベントリが空です。まず基本的な素材を集めてください。' };
+    // 飢えていなければ、焼ける食材は焼いてから食べる（焼けなければ生のまま食べる）
+    if (!NutritionManager.isStarving(bot) && NutritionManager.cookableItems(bot).length > 0 &&
+        NutritionManager.canCook(bot)) {
+      this.logger.log('[食事] 生の食材を焼いてから食べます');
+      const cooked = await new CookFoodSkill().execute(bot, { cancelToken });
+      if (cooked.reason === Cancellation.CANCELLED) return cooked;
+      if (!cooked.success) this.logger.warn(`[食事] 焼けませんでした: ${cooked.error}`);
     }
+    return NutritionManager.eat(bot, { threshold, allowHarmful, signal: cancelToken });
+  }
+}
 
-    // インベントリアイテムの詳細表示
-    const itemCounts = {};
-    inventoryItems.forEach(item => {
-      if (item && item.name) {
-        itemCounts[item.name] = (itemCounts[item.name] || 0) + item.count;
-      }
+// 生肉・じゃがいもなどを焚き火（燃料不要）またはかまどで焼くスキル
+class CookFoodSkill extends Skill {
+  static SEARCH_RADIUS = 32;
+  static CAMPFIRE_SLOTS = 4;
+  static CAMPFIRE_COOK_TICKS = 600;
+  static WAIT_MARGIN_TICKS = 40;
+
+  constructor() {
+    super('cook_food', '生肉などの食材を焚き火かかまどで焼きます', {
+      itemName: {
+        type: 'string',
+        aliases: ['item', 'food', 'name'],
+        description: '焼く食材、または焼いた後のアイテム名（省略時は持っている食材すべて）'
+      },
+      count: { type: 'integer', minimum: 1, maximum: 64, aliases: ['amount'], description: '焼く数量（省略時はすべて）' }
     });
-    this.logger.log('[ツールスキル] インベントリ内容:', JSON.stringify(itemCounts, null, 2));
+  }
 
-    // Ensure we have a crafting table nearby or in inventory
-    const workbenchResult = await this.ensureWorkbench(bot);
+  async execute(bot, params) {
+    const { itemName, count, cancelToken } = params;
+    const queue = NutritionManager.cookableItems(bot)
+      .filter(entry => !itemName || entry.name === itemName || entry.cooked === itemName);
+    if (queue.length === 0) {
+      return {
+        success: false,
+        error: `焼ける食材を持っていません${itemName ? `: ${itemName}` : ''}`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: itemName || 'beef', needed: count || 1 }] }
+      };
+    }
 
-    if (!workbenchResult.success) {
-      this.logger.log(`[ツールスキル] 作業台の確保に失敗: ${workbenchResult.error}`);
+    // 数量の指定があれば、数の多い食材から順に割り当てる
+    let remaining = count || Infinity;
+    for (const entry of queue) {
+      entry.count = Math.min(entry.count, remaining);
+      remaining -= entry.count;
+    }
+    const batch = queue.filter(entry => entry.count > 0);
+    const before = SkillContract.inventoryCounts(bot);
 
-      // Try to gather materials automatically
-      if (workbenchResult.error.includes('材料不足')) {
-        this.logger.log('[ツールスキル] 材料不足のため自動収集を試みます...');
-        // Use a simple wood gathering approach
-        const gatherResult = await this.simpleWoodGathering(bot);
+    const campfire = NutritionManager.findCampfire(bot, CookFoodSkill.SEARCH_RADIUS);
+    const result = campfire
+      ? await this.cookOnCampfire(bot, campfire, batch, cancelToken)
+      : await this.cookInFurnace(bot, batch, cancelToken);
 
-        if (gatherResult.success) {
-          this.logger.log('[ツールスキル] 材料収集成功、作業台確保を再試行...');
-          const retryWorkbenchResult = await this.ensureWorkbench(bot);
-          if (retryWorkbenchResult.success) {
-            this.logger.log('[ツールスキル] 材料収集後の作業台確保成功');
-          } else {
-            return { success: false, error: `材料収集後も作業台確保失敗: ${retryWorkbenchResult.error}` };
+    const gained = SkillContract.diffInventory(before, SkillContract.inventoryCounts(bot));
+    const cooked = Object.fromEntries(batch
+      .map(entry => [entry.cooked, gained[entry.cooked] || 0])
+      .filter(([, amount]) => amount > 0));
+    if (!result.success) return { ...result, details: { ...result.details, cooked } };
+
+    const total = Object.values(cooked).reduce((sum, amount) => sum + amount, 0);
+    this.logger.log(`[調理] ${Object.entries(cooked).map(([name, amount]) => `${name}x${amount}`).join(', ')} を焼きました`);
+    return { success: true, cooked, count: total, method: campfire ? 'campfire' : 'furnace' };
+  }
+
+  /**
+   * かまどは入力スロットに 1 種類しか入らないので、食材ごとに smelt_item に任せる
+   */
+  async cookInFurnace(bot, batch, cancelToken) {
+    const smelter = new SmeltItemSkill();
+    for (const entry of batch) {
+      const result = await smelter.execute(bot, { itemName: entry.name, count: entry.count, cancelToken });
+      if (!result.success) return result;
+    }
+    return { success: true };
+  }
+
+  /**
+   * 焚き火に 4 個ずつ載せ、焼き上がって飛び出した食べ物を拾う
+   */
+  async cookOnCampfire(bot, campfire, batch, cancelToken) {
+    const queue = batch.map(entry => ({ ...entry }));
+    try {
+      while (queue.length > 0) {
+        const approach = await ensureProximity(bot, campfire, 3, { signal: cancelToken });
+        if (!approach.success) return approach;
+
+        let placed = 0;
+        while (placed < CookFoodSkill.CAMPFIRE_SLOTS && queue.length > 0) {
+          const entry = queue[0];
+          const item = bot.inventory.items().find(stack => stack && stack.name === entry.name);
+          if (!item) {
+            queue.shift();
+            continue;
           }
-        } else {
-          return { success: false, error: `材料収集失敗: ${gatherResult.error}` };
+          const held = InventoryUtils.getItemCount(bot, entry.name);
+          await Cancellation.race(bot.equip(item, 'hand'), cancelToken);
+          await Cancellation.race(bot.activateBlock(campfire), cancelToken);
+          if (InventoryUtils.getItemCount(bot, entry.name) >= held) break; // 焚き火が埋まっている
+          placed++;
+          if (--entry.count === 0) queue.shift();
         }
-      } else {
-        return { success: false, reason: 'CRAFTING_TABLE_MISSING', details: { error: workbenchResult.error } };
+        if (placed === 0) {
+          return {
+            success: false,
+            error: '焚き火に食材を載せられませんでした',
+            reason: 'CAMPFIRE_BUSY',
+            details: { position: campfire.position }
+          };
+        }
+
+        this.logger.log(`[調理] ${campfire.position} の焚き火で ${placed} 個焼いています`);
+        await this.waitTicks(bot, CookFoodSkill.CAMPFIRE_COOK_TICKS + CookFoodSkill.WAIT_MARGIN_TICKS, cancelToken);
+        await this.collectCooked(bot, campfire, batch, cancelToken);
       }
+      return { success: true };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken);
+      }
+      this.logger.error(`[調理] エラー: ${error.message}`);
+      return { success: false, error: `調理に失敗: ${error.message}` };
     }
+  }
 
-    const craftingTable = workbenchResult.workbench;
-    // 距離チェック: 作業台に接近
-    const proximityCheck = await ensureProximity(bot, craftingTable, 3);
-    if (!proximityCheck.success) {
-      this.logger.log('[ツールスキル] 作業台まで接近できません');
-      return { success: false, reason: 'UNREACHABLE_WORKBENCH', error: '作業台に接近できません' };
+  /**
+   * 焼けた食べ物は焚き火の上に落ちる。経路探索が焚き火を壊さないよう、拾う間は掘れないブロックにしておく
+   */
+  async collectCooked(bot, campfire, batch, cancelToken) {
+    const cookedNames = batch.map(entry => entry.cooked);
+    const drops = Object.values(bot.entities || {}).filter(entity => {
+      const item = entity.name === 'item' && typeof entity.getDroppedItem === 'function' && entity.getDroppedItem();
+      return item && cookedNames.includes(item.name) && entity.position.distanceTo(campfire.position) <= 4;
+    });
+
+    const movements = bot.pathfinder && bot.pathfinder.movements;
+    const previous = movements ? movements.blocksCantBreak : null;
+    if (movements) {
+      const mcData = require('minecraft-data')(bot.version);
+      const campfires = mcData.blocksArray.filter(block => /campfire$/.test(block.name)).map(block => block.id);
+      movements.blocksCantBreak = new Set([...(previous || []), ...campfires]);
+    }
+    try {
+      for (const drop of drops) {
+        if (!bot.entities[drop.id]) continue;
+        // 焚き火のマスには立てないので、隣のマスから拾う
+        const moved = await moveToEntity(bot, drop, 2, { signal: cancelToken });
+        if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
+      }
+    } finally {
+      if (movements) movements.blocksCantBreak = previous;
     }
+  }
 
-    const craftedTools = [];
-    for (const toolName of tools) {
-      this.logger.log(`[ツールスキル] ${toolName}の作成を試みます`);
+  waitTicks(bot, ticks, cancelToken) {
+    if (typeof bot.waitForTicks === 'function') {
+      return Cancellation.race(bot.waitForTicks(ticks), cancelToken);
+    }
+    return Cancellation.sleep(ticks * 50, cancelToken);
+  }
+}
 
-      // ダイヤモンドツールの除外チェック
-      const excludedMaterials = ['diamond', 'netherite'];
-      if (excludedMaterials.some(excluded => toolName.includes(excluded))) {
-        this.logger.log(`[ツールスキル] ${toolName} は除外対象です (ダイヤモンド/ネザライト)`);
-        bot.chat(`${toolName}は作成対象外です（ダイヤモンド/ネザライト除外）`);
-        continue;
-      }
+// 夜に家のベッドへ帰って寝るスキル。ベッドが無ければ羊毛と板材で作って置き、家として覚えておく
+class SleepInBedSkill extends Skill {
+  static HOME_RADIUS = 128; // これより遠い家のベッドには帰らず、近くのベッドで寝る
+  static POLL_TICKS = 20;
+  static MONSTER_RETRIES = 3;
+  static MONSTER_WAIT_TICKS = 100;
+  static BED_PATTERN = /_bed$/;
+
+  constructor(registry = null) {
+    super('sleep_in_bed', '夜に家のベッドへ帰って寝ます。ベッドが無ければ羊毛と板材で作って置き、家として覚えます', {
+      searchRadius: {
+        type: 'integer',
+        default: 32,
+        minimum: 4,
+        maximum: 64,
+        aliases: ['radius'],
+        description: '家のベッドが無いときに他のベッドを探す範囲'
+      },
+      maxWaitTicks: { type: 'integer', default: 1200, minimum: 0, maximum: 6000, description: '夕方に寝られる時刻まで待つ最大 tick' },
+      maxSleepTicks: { type: 'integer', default: 3000, minimum: 20, maximum: 12000, description: '目が覚めるまで待つ最大 tick' }
+    });
+    this.registry = registry || new HomeRegistry();
+    this.builder = new BuildBlueprintSkill();
+  }
 
-      const toolItem = mcData.itemsByName[toolName];
-      if (!toolItem) {
-        this.logger.log(`[ツールスキル] 不明なツール: ${toolName}`);
-        this.logger.log(`[ツールスキル] 利用可能なツールアイテム: ${Object.keys(mcData.itemsByName).filter(name => name.includes('pickaxe')).join(', ')}`);
-        continue;
-      }
+  static isBed(block) {
+    return !!block && SleepInBedSkill.BED_PATTERN.test(block.name);
+  }
 
-      // Check if tool already exists in inventory
-      if (InventoryUtils.hasItem(bot, toolName)) {
-        this.logger.log(`[ツールスキル] ${toolName}は既にインベントリにあります`);
-        craftedTools.push(toolName);
-        continue;
-      }
+  static dimensionOf(bot) {
+    return Dimension.current(bot);
+  }
 
-      // ツール作成前のインベントリ状態再チェック
-      const currentItems = InventoryUtils.getAllItems(bot);
-      if (currentItems.length === 0) {
-        this.logger.log(`[ツールスキル] ${toolName}作成時にインベントリが空です`);
-        return { success: false, error: `${toolName}作成時にインベントリが空です` };
-      }
+  static notNightResult(bot) {
+    return {
+      success: false,
+      error: '夜か雷雨のときしか寝られません',
+      reason: 'NOT_NIGHT',
+      details: { timeOfDay: bot.time ? bot.time.timeOfDay : null }
+    };
+  }
 
-      // 素材優先度システムを使用して最適化されたレシピを取得
-      let recipe = await SkillLibrary.getOptimizedToolRecipe(bot, toolName, 1, craftingTable);
-      let actualToolName = toolName;
+  async execute(bot, params) {
+    const { searchRadius, maxWaitTicks, maxSleepTicks, cancelToken } = params;
+    if (bot.isSleeping) return { success: true, slept: true, message: 'すでに寝ています' };
 
-      if (recipe) {
-        // 最適化されたレシピから実際のツール名を取得
-        if (recipe.result && recipe.result.id) {
-          const optimizedToolItem = mcData.items[recipe.result.id];
-          if (optimizedToolItem) {
-            actualToolName = optimizedToolItem.name;
-            this.logger.log(`[ツールスキル] 素材優先度システムにより ${toolName} -> ${actualToolName} に最適化`);
-          }
-        } else {
-          this.logger.warn(`[ツールスキル] 最適化レシピの result.id が無効です: ${JSON.stringify(recipe.result)}`);
-        }
-      } else {
-        // フォールバック: 通常のレシピ取得
-        recipe = await SkillLibrary.getRecipeSafe(bot, toolName, 1, craftingTable);
-        if (!recipe) {
-          this.logger.log(`[ツールスキル] ${toolName}のレシピが見つかりません`);
+    const dimension = SleepInBedSkill.dimensionOf(bot);
+    if (dimension !== 'overworld') {
+      return {
+        success: false,
+        error: 'ネザーとエンドではベッドが爆発するので寝られません',
+        reason: 'WRONG_DIMENSION',
+        details: { dimension }
+      };
+    }
+    if (!EnvironmentObserver.isBedtime(bot)) return SleepInBedSkill.notNightResult(bot);
 
-          // Try alternative recipes or wait for materials
-          const alternativeRecipe = await SkillLibrary.getRecipeSafe(bot, toolItem.id, 1, craftingTable);
-          if (!alternativeRecipe) {
-            this.logger.log(`[ツールスキル] ${toolName}の代替レシピも見つかりません`);
-            bot.chat(`${toolName}のレシピが見つかりません`);
-            return {
-              success: false,
-              reason: 'NO_RECIPE',
-              details: { tool: toolName, message: 'レシピが見つかりません' }
-            };
-          } else {
-            this.logger.log(`[ツールスキル] ${toolName}の代替レシピを使用します`);
-            recipe = alternativeRecipe;
-          }
-        }
+    try {
+      this.registry.load();
+      const found = await this.findOrPlaceBed(bot, searchRadius, cancelToken);
+      if (!found.success) return found;
+      const bed = found.bed;
+      this.registry.setBed(bot.username, bed.position, dimension);
 
-        if (toolName.includes('wooden_') && !recipe) {
-          this.logger.log(`[ツールスキル] 木材ツール用の最適化レシピを再取得: ${toolName}`);
-          recipe = await SkillLibrary.getOptimizedWoodenToolRecipe(bot, toolName, 1, craftingTable);
-          if (recipe) {
-            this.logger.log(`[ツールスキル] 木材最適化レシピを取得成功: ${toolName}`);
-          }
-        }
+      const approach = await ensureProximity(bot, bed, 2, { signal: cancelToken });
+      if (!approach.success) return approach;
+
+      // 夕方に帰り着いたら、寝られる時刻になるまでベッドの横で待つ
+      let waited = 0;
+      while (!EnvironmentObserver.canSleep(bot) && waited < maxWaitTicks) {
+        await this.waitTicks(bot, SleepInBedSkill.POLL_TICKS, cancelToken);
+        waited += SleepInBedSkill.POLL_TICKS;
       }
 
-      // Check for sufficient materials using the actual recipe we'll use
-      const missingMaterials = await this.getMissingMaterialsForActualRecipe(bot, recipe);
-      if (missingMaterials && missingMaterials.length > 0) {
-        this.logger.log(`[ツールスキル] ${actualToolName}の材料が不足しています。不足: ${missingMaterials.map(m => `${m.item} (${m.needed}個)`).join(', ')}`);
+      const slept = await this.sleepIn(bot, bed, cancelToken);
+      if (!slept.success) return slept;
+      this.registry.recordSleep(bot.username);
+      this.logger.log(`[睡眠] ${bed.position} のベッドで寝ました`);
 
-        // Try to auto-convert materials if possible
-        let materialConverted = false;
-        for (const missing of missingMaterials) {
-          // Check if this is a planks material and we have logs
-          if (missing.item.includes('_planks') || missing.item.includes('planks')) {
-            this.logger.log(`[ツールスキル] 板材不足検出: ${missing.item} ${missing.needed}個`);
-            const logs = InventoryUtils.getAllItems(bot).filter(item => item.name && item.name.includes('_log'));
-            if (logs.length > 0) {
-              this.logger.log(`[ツールスキル] 木材が利用可能: ${logs.length}種類`);
-              const convertResult = await this.convertLogsToPlanksDynamic(bot, missing.needed);
-              if (convertResult.success) {
-                this.logger.log(`[ツールスキル] 板材変換成功: ${convertResult.converted}個`);
-                materialConverted = true;
-                break;
-              } else {
-                this.logger.log(`[ツールスキル] 板材変換失敗: ${convertResult.error}`);
-              }
-            }
-          } else if (missing.item === 'stick') {
-            // Check if this is a stick material and we have planks
-            this.logger.log(`[ツールスキル] スティック不足検出: ${missing.needed}個`);
+      const awake = await this.waitUntilAwake(bot, maxSleepTicks, cancelToken);
+      return {
+        success: true,
+        slept: true,
+        bed: bed.position,
+        placed: found.placed,
+        morning: awake.morning
+      };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        if (bot.isSleeping) await bot.wake().catch(() => {});
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken);
+      }
+      this.logger.error(`[睡眠] エラー: ${error.message}`);
+      return { success: false, error: `寝られませんでした: ${error.message}` };
+    }
+  }
 
-            // 不足分のスティックを作成
-            const sticksNeeded = missing.needed;
+  /**
+   * 家のベッド → 近くの空いているベッド → 手持ち（または作った）ベッドを置く、の順に探す
+   */
+  async findOrPlaceBed(bot, searchRadius, signal) {
+    const home = this.registry.homeOf(bot.username);
+    if (home && home.dimension === SleepInBedSkill.dimensionOf(bot)) {
+      const position = new Vec3(home.bed.x, home.bed.y, home.bed.z);
+      const block = bot.blockAt(position);
+      if (SleepInBedSkill.isBed(block) && bot.entity.position.distanceTo(position) <= SleepInBedSkill.HOME_RADIUS) {
+        return { success: true, bed: block, placed: false };
+      }
+      if (block) this.logger.log(`[睡眠] 家のベッド ${position} が見つからないので、別のベッドを使います`);
+    }
+
+    const nearby = bot.findBlocks({ matching: SleepInBedSkill.isBed, maxDistance: searchRadius, count: 16 })
+      .map(position => bot.blockAt(position))
+      .find(block => block && !block.getProperties().occupied &&
+        !this.registry.isClaimed(block.position, bot.username));
+    if (nearby) return { success: true, bed: nearby, placed: false };
+
+    const item = await this.ensureBedItem(bot, signal);
+    if (!item.success) return item;
+    return this.placeBed(bot, item.name, signal);
+  }
 
-            this.logger.log(`[ツールスキル] 追加で${sticksNeeded}個のスティックが必要。板材から作成します。`);
-            const stickResult = await this.createStickFromPlanks(bot, sticksNeeded);
-            if (stickResult.success) {
-              this.logger.log(`[ツールスキル] スティック作成成功: ${stickResult.created}個`);
-              materialConverted = true;
-              break;
-            } else {
-              this.logger.log(`[ツールスキル] スティック作成失敗: ${stickResult.error}`);
-            }
-          }
-        }
+  async ensureBedItem(bot, signal) {
+    const owned = InventoryUtils.getAllItems(bot).find(item => SleepInBedSkill.BED_PATTERN.test(item.name));
+    if (owned) return { success: true, name: owned.name };
 
-        if (!materialConverted) {
-          bot.chat(`${toolName}の材料が不足しています`);
+    // ベッドは同じ色の羊毛 3 個と板材 3 枚で作る
+    const wool = InventoryUtils.getAllItems(bot)
+      .filter(item => /_wool$/.test(item.name))
+      .sort((a, b) => b.count - a.count)[0];
+    if (!wool || wool.count < 3) {
+      return {
+        success: false,
+        error: 'ベッドを作る羊毛が足りません（同じ色の羊毛 3 個）',
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: wool ? wool.name : 'white_wool', needed: 3 - (wool ? wool.count : 0) }] }
+      };
+    }
+
+    const countOf = pattern => InventoryUtils.getAllItems(bot)
+      .filter(item => pattern.test(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+    const log = InventoryUtils.getAllItems(bot)
+      .find(item => /_log$/.test(item.name) && !item.name.startsWith('stripped_'));
+    const logName = log ? log.name : 'oak_log';
+    // 原木から作る板材の回数（作業台を作るなら、その板材 4 枚も先に使われる）
+    const logCrafts = extra => Math.ceil(Math.max(0, 3 + extra - countOf(/_planks$/)) / 4);
+    const hasTable = InventoryUtils.getItemCount(bot, 'crafting_table') > 0 ||
+      !!bot.findBlock({ matching: block => block && block.name === 'crafting_table', maxDistance: 8 });
+    const logsShort = logCrafts(hasTable ? 0 : 4) - InventoryUtils.getItemCount(bot, logName);
+    if (logsShort > 0) {
+      return {
+        success: false,
+        error: 'ベッドを作る板材が足りません',
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: logName, needed: logsShort }] }
+      };
+    }
+
+    const workbench = await new CraftToolsSkill().ensureWorkbench(bot);
+    if (!workbench.success) {
+      return { success: false, error: workbench.error, reason: 'CRAFTING_TABLE_MISSING' };
+    }
+    const near = await ensureProximity(bot, workbench.workbench, 3, { signal });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+
+    const mcData = require('minecraft-data')(bot.version);
+    const bedName = wool.name.replace(/_wool$/, '_bed');
+    const steps = [
+      [logName.replace(/_log$/, '_planks'), logCrafts(0), null],
+      [bedName, 1, workbench.workbench]
+    ];
+    for (const [name, times, table] of steps) {
+      if (times <= 0) continue;
+      const item = mcData.itemsByName[name];
+      const recipe = item && bot.recipesFor(item.id, null, 1, table)[0];
+      if (!recipe) {
+        return { success: false, error: `${name} のレシピが使えません`, reason: 'NO_RECIPE', details: { item: name } };
+      }
+      await Cancellation.race(bot.craft(recipe, times, table), signal);
+    }
+    this.logger.log(`[睡眠] ${bedName} を作りました`);
+    return { success: true, name: bedName };
+  }
+
+  /**
+   * 足元から一直線に 2 マス空いている向きにベッドを置く（足側が手前、頭側が奥になる）
+   */
+  async placeBed(bot, bedName, signal) {
+    const feet = bot.entity.position.floored();
+    for (const facing of ['north', 'east', 'south', 'west']) {
+      const step = BlockStates.facingVector(facing);
+      const foot = feet.plus(step);
+      const cells = [foot, foot.plus(step)];
+      const fits = cells.every(cell => this.builder.isOpen(bot.blockAt(cell)) &&
+        this.builder.isOpen(bot.blockAt(cell.offset(0, 1, 0))) &&
+        this.builder.isSolid(bot.blockAt(cell.offset(0, -1, 0))));
+      if (!fits) continue;
+
+      const reference = { block: bot.blockAt(foot.offset(0, -1, 0)), face: new Vec3(0, 1, 0) };
+      await this.builder.placeOriented(bot, reference, bedName, { facing }, signal);
+      const placed = bot.blockAt(foot);
+      if (SleepInBedSkill.isBed(placed)) {
+        this.logger.log(`[睡眠] ${bedName} を ${foot} に置きました`);
+        return { success: true, bed: placed, placed: true };
+      }
+    }
+    return {
+      success: false,
+      error: 'ベッドを置ける場所が見つかりません',
+      reason: 'TARGET_NOT_FOUND',
+      details: { type: 'bed_site' }
+    };
+  }
+
+  /**
+   * bot.sleep の失敗を理由ごとに扱う。近くのモンスターは少し待てば離れることがあるので何度か試す
+   */
+  async sleepIn(bot, bed, signal) {
+    for (let attempt = 1; attempt <= SleepInBedSkill.MONSTER_RETRIES; attempt++) {
+      try {
+        await Cancellation.race(bot.sleep(bed), signal);
+        return { success: true };
+      } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
+        const message = error.message || '';
+        if (/not night/.test(message)) return SleepInBedSkill.notNightResult(bot);
+        if (/occupied/.test(message)) {
           return {
             success: false,
-            reason: 'INSUFFICIENT_MATERIALS',
-            details: { missing: missingMaterials, tool: toolName }
+            error: 'ベッドは他のプレイヤーが使っています',
+            reason: 'BED_OCCUPIED',
+            details: { position: bed.position }
           };
         }
+        if (/too far/.test(message)) {
+          const moved = await moveToPosition(bot, bed.position.offset(0.5, 0, 0.5), 1, { signal });
+          if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+          continue;
+        }
+        if (!/monsters nearby/.test(message)) throw error;
 
-        // Re-check materials after conversion
-        const updatedMissingMaterials = await this.getMissingMaterialsForActualRecipe(bot, recipe);
-        if (updatedMissingMaterials && updatedMissingMaterials.length > 0) {
-          this.logger.log(`[ツールスキル] 材料変換後も不足: ${updatedMissingMaterials.map(m => `${m.item} (${m.needed}個)`).join(', ')}`);
-          bot.chat(`${actualToolName}の材料が不足しています`);
+        if (attempt === SleepInBedSkill.MONSTER_RETRIES) {
+          const monsters = Object.values(bot.entities || {})
+            .filter(entity => entity.kind === 'Hostile mobs' && entity.position.distanceTo(bed.position) <= 12)
+            .map(entity => entity.name);
           return {
             success: false,
-            reason: 'INSUFFICIENT_MATERIALS',
-            details: { missing: updatedMissingMaterials, tool: actualToolName }
+            error: '近くにモンスターがいるので寝られません',
+            reason: 'MONSTERS_NEARBY',
+            details: { position: bed.position, monsters }
           };
-        } else {
-          this.logger.log('[ツールスキル] 材料変換後、材料が十分になりました');
         }
+        this.logger.log(`[睡眠] 近くにモンスターがいるので少し待ちます (${attempt}/${SleepInBedSkill.MONSTER_RETRIES})`);
+        await this.waitTicks(bot, SleepInBedSkill.MONSTER_WAIT_TICKS, signal);
       }
+    }
+    return { success: false, error: 'ベッドに近づけませんでした', details: { position: bed.position } };
+  }
 
-      // Debug: Log recipe state before crafting
-      this.logger.log(`[ツールスキル] ${toolName}クラフト前のレシピ状態:`, {
-        hasRecipe: !!recipe,
-        recipeId: recipe?.id,
-        recipeResult: recipe?.result,
-        recipeDelta: recipe?.delta?.length || 0
-      });
+  /**
+   * 朝になって起こされるまで待つ。他のプレイヤーが起きていて夜が明けないときは、maxTicks で起きる
+   */
+  async waitUntilAwake(bot, maxTicks, signal) {
+    let waited = 0;
+    while (bot.isSleeping && waited < maxTicks) {
+      await this.waitTicks(bot, SleepInBedSkill.POLL_TICKS, signal);
+      waited += SleepInBedSkill.POLL_TICKS;
+    }
+    if (bot.isSleeping) {
+      this.logger.log('[睡眠] 夜が明けないので起きます');
+      await bot.wake().catch(() => {});
+    }
+    return { morning: !EnvironmentObserver.isBedtime(bot) };
+  }
 
-      try {
-        this.logger.log(`[ツールスキル] ${toolName}をクラフト中...`);
+  waitTicks(bot, ticks, cancelToken) {
+    if (typeof bot.waitForTicks === 'function') {
+      return Cancellation.race(bot.waitForTicks(ticks), cancelToken);
+    }
+    return Cancellation.sleep(ticks * 50, cancelToken);
+  }
+}
 
-        if (!recipe) {
-          this.logger.log(`[ツールスキル] ${toolName}のレシピがnullです - クラフトをスキップ`);
-          return { success: false, error: `Recipe is null for ${toolName}` };
-        }
+// 水辺に畑を作り、耕す・植える・実った作物を収穫して植え直す、を 1 回ぶん行うスキル
+// 区画は FarmRegistry に記録し、次回からは同じ区画の手入れをする。作物の成長段階はブロックの age (metadata) で見る
+class FarmCropsSkill extends Skill {
+  static CROPS = {
+    wheat: { block: 'wheat', seed: 'wheat_seeds' },
+    carrot: { block: 'carrots', seed: 'carrot' },
+    potato: { block: 'potatoes', seed: 'potato' },
+    beetroot: { block: 'beetroots', seed: 'beetroot_seeds' }
+  };
+
+  static TILLABLE_BLOCKS = ['dirt', 'grass_block', 'dirt_path'];
+  static SEED_PLANTS = ['grass', 'short_grass', 'tall_grass', 'fern'];
+  static WATER_RANGE = 4; // 耕地が湿る水からの水平距離
+  static PLOT_RADIUS = 64; // これより遠い自分の区画は使わず、近くに新しく作る
+
+  constructor(registry = null) {
+    super('farm_crops', '水辺の畑を鍬で耕して小麦・ニンジン・ジャガイモ・ビートルートを植え、実った作物を収穫して植え直します', {
+      crop: {
+        type: 'string',
+        enum: ['auto', 'wheat', 'carrot', 'potato', 'beetroot'],
+        default: 'auto',
+        aliases: ['seed', 'seeds'],
+        description: 'auto は区画の作物か、手持ちの種の多いものを植える'
+      },
+      plotSize: {
+        type: 'integer',
+        default: 9,
+        minimum: 1,
+        maximum: 36,
+        aliases: ['size'],
+        description: '新しく作る区画の耕地のマス数'
+      },
+      searchRadius: {
+        type: 'integer',
+        default: 24,
+        minimum: 4,
+        maximum: 64,
+        aliases: ['radius'],
+        description: '水源と耕せる土を探す範囲'
+      }
+    });
+    this.registry = registry || new FarmRegistry();
+  }
 
-        if (!recipe.id && !recipe.result) {
-          this.logger.log(`[ツールスキル] ${toolName}のレシピが不正な形式です`);
-          this.logger.log('[ツールスキル] レシピ詳細:', JSON.stringify(recipe, null, 2));
-          return { success: false, error: `Invalid recipe format for ${toolName}` };
-        }
+  async execute(bot, params) {
+    const { plotSize, searchRadius, cancelToken } = params;
+    const mcData = require('minecraft-data')(bot.version);
 
-        // 追加の安全性チェック
-        if (recipe.result && recipe.result.id === undefined) {
-          this.logger.log(`[ツールスキル] ${toolName}のレシピ結果IDが未定義です`);
-          this.logger.log('[ツールスキル] レシピ結果:', JSON.stringify(recipe.result, null, 2));
-          return { success: false, error: `Recipe result ID is undefined for ${toolName}` };
+    try {
+      this.registry.load();
+      let plot = this.findOwnPlot(bot);
+      if (!plot) {
+        const survey = this.surveyPlot(bot, plotSize, searchRadius);
+        if (!survey) {
+          return {
+            success: false,
+            error: '近くに畑を作れる水辺がありません',
+            reason: 'TARGET_NOT_FOUND',
+            details: { target: 'water', searchRadius }
+          };
         }
+        plot = this.registry.register({
+          owner: bot.username,
+          crop: this.chooseCrop(bot, params.crop, null),
+          water: survey.water,
+          cells: survey.cells
+        });
+      }
 
-        // Sanitize inShape so that bot.craft() never receives null cells
-        if (recipe.inShape) {
-          recipe.inShape = this.sanitizeInShape(recipe.inShape);
-          // inShapeの内容を検証
-          let hasInvalidItems = false;
-          for (const row of recipe.inShape) {
-            if (Array.isArray(row)) {
-              for (const item of row) {
-                if (item !== 0 && item !== null && item !== undefined) {
-                  // Handle object types that shouldn't be here
-                  if (typeof item === 'object') {
-                    this.logger.log(`[ツールスキル] 無効なアイテムID (オブジェクト): ${JSON.stringify(item)}`);
-                    hasInvalidItems = true;
-                    continue;
-                  }
-
-                  // Handle string types that shouldn't be here
-                  if (typeof item === 'string') {
-                    this.logger.log(`[ツールスキル] 無効なアイテムID (文字列): ${item}`);
-                    hasInvalidItems = true;
-                    continue;
-                  }
+      const crop = this.chooseCrop(bot, params.crop, plot.crop);
+      const cells = plot.cells.map(cell => new Vec3(cell.x, cell.y, cell.z));
+      const before = SkillContract.inventoryCounts(bot);
 
-                  // Handle number types - check if they exist in mcData
-                  if (typeof item === 'number') {
-                    // -1 is a valid ID in mineflayer representing empty slots
-                    if (item === -1) {
-                      // -1 is valid - represents empty slot in mineflayer
-                      continue;
-                    }
+      // 1. 実った作物を収穫する（耕地は残る）
+      let state = this.inspect(bot, cells, mcData);
+      for (const cell of state.mature) {
+        Cancellation.throwIfCancelled(cancelToken);
+        await this.harvest(bot, cell, cancelToken);
+      }
+      await this.collectDrops(bot, cells, cancelToken);
+      const harvested = SkillContract.diffInventory(before, SkillContract.inventoryCounts(bot));
 
-                    const itemData = mcData.items[item];
-                    if (!itemData) {
-                      this.logger.log(`[ツールスキル] 無効なアイテムID (数値): ${item}`);
-                      hasInvalidItems = true;
-                    }
-                  } else {
-                    this.logger.log(`[ツールスキル] 無効なアイテムID (不明な型): ${typeof item}, 値: ${item}`);
-                    hasInvalidItems = true;
-                  }
-                }
-              }
-            }
-          }
-          if (hasInvalidItems) {
-            this.logger.log('[ツールスキル] inShapeに無効なアイテムIDが含まれています');
-            this.logger.log('[ツールスキル] 現在のinShape:', JSON.stringify(recipe.inShape, null, 2));
-            return { success: false, error: `Invalid item IDs in recipe for ${toolName}` };
-          }
+      // 2. 耕していないマスを鍬で耕す
+      state = this.inspect(bot, cells, mcData);
+      let tilled = 0;
+      let hoe = null;
+      if (state.untilled.length > 0) {
+        hoe = await this.ensureHoe(bot, cancelToken);
+        if (!hoe) {
+          this.logger.warn('[農業] 鍬がないため耕せません');
         }
+      }
+      for (const cell of hoe ? state.untilled : []) {
+        Cancellation.throwIfCancelled(cancelToken);
+        if (await this.till(bot, cell, cancelToken)) tilled++;
+      }
+
+      // 3. 空いた耕地に植える。小麦の種が足りなければ近くの草を刈って集める
+      state = this.inspect(bot, cells, mcData);
+      const seed = FarmCropsSkill.CROPS[crop].seed;
+      if (crop === 'wheat' && InventoryUtils.getItemCount(bot, seed) < state.empty.length) {
+        await this.gatherSeeds(bot, state.empty.length - InventoryUtils.getItemCount(bot, seed), searchRadius,
+          cancelToken);
+      }
+      let planted = 0;
+      for (const cell of state.empty) {
+        Cancellation.throwIfCancelled(cancelToken);
+        if (InventoryUtils.getItemCount(bot, seed) === 0) break;
+        if (await this.plant(bot, cell, seed, cancelToken)) planted++;
+      }
+
+      state = this.inspect(bot, cells, mcData);
+      const produce = Object.fromEntries(Object.entries(harvested).filter(([, count]) => count > 0));
+      this.registry.record(plot.id, { crop, harvested: produce });
+      const summary = {
+        plot: plot.id,
+        crop,
+        harvested: produce,
+        tilled,
+        planted,
+        growing: state.growing.length,
+        mature: state.mature.length,
+        empty: state.empty.length,
+        untilled: state.untilled.length
+      };
+      this.logger.log(`[農業] 区画 ${plot.id}: 収穫 ${JSON.stringify(produce)}, 耕す ${tilled}, 植える ${planted}, ` +
+        `生育中 ${state.growing.length}/${cells.length}`);
 
-        // Fix missing ingredients field by generating from inShape
-        if (!recipe.ingredients && recipe.inShape) {
-          this.logger.log(`[ツールスキル] ${toolName}のingredientsがnullのため、inShapeから生成します`);
-          recipe.ingredients = this.generateIngredientsFromInShape(recipe.inShape);
-          this.logger.log('[ツールスキル] 生成されたingredients:', recipe.ingredients);
-        }
+      if (state.growing.length + state.mature.length > 0 || Object.keys(produce).length > 0) {
+        return { success: true, ...summary };
+      }
+      if (state.untilled.length > 0 && !hoe) {
+        return {
+          success: false,
+          error: '鍬がなく、作れませんでした',
+          reason: 'NO_TOOL',
+          details: { required: 'wooden_hoe', ...summary }
+        };
+      }
+      return {
+        success: false,
+        error: `${seed} がないため植えられません`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: seed, needed: Math.max(1, state.empty.length) }], ...summary }
+      };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken);
+      }
+      this.logger.error(`[農業] 失敗: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
 
-        // Fix delta/inShape ID inconsistency that causes crafting errors
-        if (recipe.delta && recipe.inShape) {
-          // delta/inShape不整合を静かに修正
-          recipe.delta = this.fixDeltaFromInShape(recipe.delta, recipe.inShape);
-        }
+  /**
+   * 自分の区画のうち一番近いもの
+   */
+  findOwnPlot(bot) {
+    const position = bot.entity.position;
+    return this.registry.plotsOf(bot.username)
+      .map(plot => ({ plot, distance: position.distanceTo(new Vec3(plot.water.x, plot.water.y, plot.water.z)) }))
+      .filter(entry => entry.distance <= FarmCropsSkill.PLOT_RADIUS)
+      .sort((a, b) => a.distance - b.distance)
+      .map(entry => entry.plot)[0] || null;
+  }
 
-        // CRITICAL FIX: Ensure recipe.id is set for bot.craft() compatibility
-        if (!recipe.id && recipe.result && recipe.result.id) {
-          recipe.id = recipe.result.id;
-          this.logger.log(`[ツールスキル] recipe.id missing - setting to result.id: ${recipe.id}`);
-        }
+  /**
+   * 水源のまわり（水平 4 マス以内、水面と同じ高さか 1 段下）の耕せる土を区画の候補にする。
+   * 候補が plotSize に届く最寄りの水源を選び、どれも届かなければ候補の最も多い水源を選ぶ
+   */
+  surveyPlot(bot, plotSize, searchRadius) {
+    const waters = bot.findBlocks({
+      matching: block => block && block.name === 'water' && this.isSource(block),
+      maxDistance: searchRadius,
+      count: 32,
+      useExtraInfo: true
+    });
 
-        // Use official bot.recipesFor() for reliable crafting
-        try {
-          const targetItemId = recipe.result.id;
-          const officialRecipes = bot.recipesFor(targetItemId, null, 1, craftingTable);
+    let best = null;
+    for (const water of waters) {
+      const cells = this.plotCandidates(bot, water).slice(0, plotSize);
+      if (!best || cells.length > best.cells.length) best = { water, cells };
+      if (cells.length >= plotSize) break;
+    }
+    return best && best.cells.length > 0 ? best : null;
+  }
 
-          if (officialRecipes.length > 0) {
-            const officialRecipe = officialRecipes[0];
-            this.logger.log(`[ツールスキル] ${actualToolName}のクラフトを実行中...`);
-            await bot.craft(officialRecipe, 1, craftingTable);
-            this.logger.log(`[ツールスキル] ${actualToolName}をクラフトしました！`);
-            bot.chat(`${actualToolName}をクラフトしました！ 🔨`);
-            craftedTools.push(actualToolName);
-            continue;
-          }
-        } catch (officialRecipeError) {
-          this.logger.log(`[ツールスキル] 公式レシピでのクラフトに失敗: ${officialRecipeError.message}`);
-          this.logger.log('[ツールスキル] 手動レシピでクラフトを続行...');
+  plotCandidates(bot, water) {
+    const range = FarmCropsSkill.WATER_RANGE;
+    const candidates = [];
+    for (const dy of [0, -1]) {
+      for (let dx = -range; dx <= range; dx++) {
+        for (let dz = -range; dz <= range; dz++) {
+          const cell = water.offset(dx, dy, dz);
+          const ground = bot.blockAt(cell);
+          const above = bot.blockAt(cell.offset(0, 1, 0));
+          if (!ground || !above) continue;
+          if (!FarmCropsSkill.TILLABLE_BLOCKS.includes(ground.name) && ground.name !== 'farmland') continue;
+          if (above.name !== 'air' && !FarmCropsSkill.SEED_PLANTS.includes(above.name)) continue;
+          if (this.registry.isClaimed(cell, bot.username)) continue;
+          candidates.push(cell);
         }
+      }
+    }
+    return candidates.sort((a, b) => a.distanceTo(water) - b.distanceTo(water));
+  }
 
-        // Fallback to manual recipe crafting
-        this.logger.log(`[ツールスキル] ${toolName}の手動レシピでクラフトを試行中...`);
+  /**
+   * 区画の各マスを 実った作物 / 生育中 / 空いた耕地 / 未耕地 に分ける
+   */
+  inspect(bot, cells, mcData) {
+    const state = { mature: [], growing: [], empty: [], untilled: [] };
+    for (const cell of cells) {
+      const ground = bot.blockAt(cell);
+      const above = bot.blockAt(cell.offset(0, 1, 0));
+      if (!ground || !above) continue;
+      if (this.cropKind(above.name)) {
+        const ripe = this.cropAge(above) >= this.maxAge(above.name, mcData);
+        (ripe ? state.mature : state.growing).push(cell);
+      } else if (ground.name === 'farmland' && above.name === 'air') {
+        state.empty.push(cell);
+      } else if (FarmCropsSkill.TILLABLE_BLOCKS.includes(ground.name) &&
+        (above.name === 'air' || FarmCropsSkill.SEED_PLANTS.includes(above.name))) {
+        state.untilled.push(cell);
+      }
+    }
+    return state;
+  }
 
-        // より安全な bot.craft() 呼び出しを実装
-        try {
-          // 最終的なレシピ安全性チェック
-          if (!recipe || !recipe.result || !recipe.result.id) {
-            throw new Error('Recipe result is invalid');
-          }
+  cropKind(blockName) {
+    return Object.keys(FarmCropsSkill.CROPS).find(kind => FarmCropsSkill.CROPS[kind].block === blockName) || null;
+  }
 
-          if (!mcData || !mcData.items || !mcData.items[recipe.result.id]) {
-            throw new Error('Recipe result item not found in minecraft-data');
-          }
+  // 作物ブロックの metadata は age そのもの（wheat: 0〜7、beetroots: 0〜3）
+  cropAge(block) {
+    const properties = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    return typeof properties.age === 'number' ? properties.age : block.metadata;
+  }
 
-          // 作業台の状態確認
-          if (craftingTable && !bot.blockAt(craftingTable.position)) {
-            throw new Error('Crafting table is no longer available');
-          }
+  maxAge(blockName, mcData) {
+    const def = mcData.blocksByName[blockName];
+    const age = def && (def.states || []).find(state => state.name === 'age');
+    return age ? age.num_values - 1 : 7;
+  }
 
-          // currentWindowがNULLの場合、まず作業台を開いてからwindowOpenイベントを待機
-          if (!bot.currentWindow) {
-            this.logger.log('[ツールスキル] currentWindowがNULL - 作業台を開いてwindowOpenイベントを待機中...');
+  isSource(block) {
+    const properties = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    return (properties.level ?? block.metadata ?? 0) === 0;
+  }
 
-            try {
-              await bot.activateBlock(craftingTable);
-              this.logger.log('[ツールスキル] 作業台を開きました');
-            } catch (activateError) {
-              throw new Error(`作業台の開放に失敗: ${activateError.message}`);
-            }
+  /**
+   * 区画の作物か、手持ちの種の最も多い作物。どれもなければ草から種を集められる小麦
+   */
+  chooseCrop(bot, requested, plotCrop) {
+    if (requested && requested !== 'auto') return requested;
+    const seedCount = kind => InventoryUtils.getItemCount(bot, FarmCropsSkill.CROPS[kind].seed);
+    if (plotCrop && seedCount(plotCrop) > 0) return plotCrop;
+    const kinds = Object.keys(FarmCropsSkill.CROPS).sort((a, b) => seedCount(b) - seedCount(a));
+    return seedCount(kinds[0]) > 0 ? kinds[0] : (plotCrop || 'wheat');
+  }
 
-            await new Promise((resolve, reject) => {
-              const timeout = setTimeout(() => {
-                bot.removeListener('windowOpen', onWindowOpen);
-                reject(new Error('windowOpen event timeout after 10 seconds'));
-              }, 10000);
+  async harvest(bot, cell, signal) {
+    const crop = bot.blockAt(cell.offset(0, 1, 0));
+    if (!await this.approach(bot, crop, signal)) return false;
+    try {
+      await Cancellation.race(bot.dig(crop), signal, () => bot.stopDigging());
+      return true;
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[農業] ${crop.name} の収穫に失敗: ${error.message}`);
+      return false;
+    }
+  }
 
-              const onWindowOpen = (window) => {
-                if (window.type === 'minecraft:crafting' || window.type === 'generic_3x3') {
-                  clearTimeout(timeout);
-                  bot.removeListener('windowOpen', onWindowOpen);
-                  this.logger.log(`[ツールスキル] windowOpen確認: ${window.type}`);
-                  // 少し待ってからresolve to ensure window is fully initialized
-                  setTimeout(resolve, 100);
-                }
-              };
+  /**
+   * 区画の近くに落ちた作物を拾う
+   */
+  async collectDrops(bot, cells, signal) {
+    const near = entity => entity.name === 'item' && cells.some(cell => cell.distanceTo(entity.position) <= 2);
+    const drops = Object.values(bot.entities || {}).filter(near);
+    for (const drop of drops.slice(0, 16)) {
+      Cancellation.throwIfCancelled(signal);
+      const result = await moveToEntity(bot, drop, 1, { signal });
+      if (result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    }
+  }
 
-              bot.on('windowOpen', onWindowOpen);
-            });
-          }
+  async till(bot, cell, signal) {
+    const above = bot.blockAt(cell.offset(0, 1, 0));
+    if (above && FarmCropsSkill.SEED_PLANTS.includes(above.name)) {
+      await this.harvest(bot, cell, signal);
+    }
+    const ground = bot.blockAt(cell);
+    if (!await this.approach(bot, ground, signal)) return false;
+    try {
+      const hoe = this.bestHoe(bot);
+      await Cancellation.race(bot.equip(hoe, 'hand'), signal);
+      await Cancellation.race(bot.activateBlock(ground), signal);
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[農業] ${cell} を耕せません: ${error.message}`);
+    }
+    return bot.blockAt(cell).name === 'farmland';
+  }
 
-          // currentWindowの最終確認と追加待機
-          let windowCheckAttempts = 0;
-          const maxWindowCheckAttempts = 10;
+  async plant(bot, cell, seed, signal) {
+    const farmland = bot.blockAt(cell);
+    const item = bot.inventory.items().find(candidate => candidate && candidate.name === seed);
+    if (!item || !await this.approach(bot, farmland, signal)) return false;
+    try {
+      await Cancellation.race(bot.equip(item, 'hand'), signal);
+      await Cancellation.race(bot.placeBlock(farmland, new Vec3(0, 1, 0)), signal);
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[農業] ${seed} を ${cell} に植えられません: ${error.message}`);
+    }
+    return !!this.cropKind(bot.blockAt(cell.offset(0, 1, 0)).name);
+  }
 
-          while (!bot.currentWindow && windowCheckAttempts < maxWindowCheckAttempts) {
-            this.logger.log(`[ツールスキル] currentWindow待機中... (${windowCheckAttempts + 1}/${maxWindowCheckAttempts})`);
-            await new Promise(resolve => setTimeout(resolve, 200));
-            windowCheckAttempts++;
-          }
+  /**
+   * 近くの草を刈って小麦の種を集める（バニラでは草 8 本に 1 個程度）
+   */
+  async gatherSeeds(bot, needed, searchRadius, signal) {
+    const start = InventoryUtils.getItemCount(bot, 'wheat_seeds');
+    const plants = bot.findBlocks({
+      matching: block => block && FarmCropsSkill.SEED_PLANTS.includes(block.name),
+      maxDistance: searchRadius,
+      count: needed * 8
+    });
+    for (const position of plants) {
+      if (InventoryUtils.getItemCount(bot, 'wheat_seeds') - start >= needed) break;
+      Cancellation.throwIfCancelled(signal);
+      await this.harvest(bot, position.offset(0, -1, 0), signal);
+    }
+    const gathered = InventoryUtils.getItemCount(bot, 'wheat_seeds') - start;
+    if (gathered > 0) this.logger.log(`[農業] 草を刈って小麦の種を ${gathered} 個集めました`);
+  }
 
-          if (!bot.currentWindow) {
-            throw new Error('currentWindow is still null after extended waiting');
-          }
+  bestHoe(bot) {
+    const multiplier = item => InventoryUtils.getToolMaterialMultiplier(item.name);
+    return bot.inventory.items()
+      .filter(item => item && item.name.endsWith('_hoe'))
+      .sort((a, b) => multiplier(b) - multiplier(a))[0] || null;
+  }
 
-          this.logger.log(`[ツールスキル] currentWindow確認: ${bot.currentWindow.type}`);
+  /**
+   * 鍬を持っていなければ craft_tools で作る
+   */
+  async ensureHoe(bot, signal) {
+    const hoe = this.bestHoe(bot);
+    if (hoe) return hoe;
+    this.logger.log('[農業] 鍬がないので作ります');
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_hoe'], cancelToken: signal });
+    if (result && result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    return this.bestHoe(bot);
+  }
 
-          // クラフト直前の最終材料確認
-          const finalMaterialCheck = await this.verifyMaterialsBeforeCraft(bot, recipe);
-          if (!finalMaterialCheck.success) {
-            throw new Error(`Final material check failed: ${finalMaterialCheck.error}`);
-          }
+  async approach(bot, block, signal) {
+    const result = await ensureProximity(bot, block, 4, { signal });
+    if (result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    return result.success;
+  }
+}
 
-          // bot.craft() 呼び出しをPromiseでラップして適切なエラー処理
-          const craftPromise = bot.craft(recipe, 1, craftingTable);
-          const result = await Promise.race([
-            craftPromise,
-            new Promise((_resolve, reject) =>
-              setTimeout(() => reject(new Error('Craft timeout after 15 seconds')), 15000)
-            )
-          ]);
+// 家畜に好物を与えて繁殖させるスキル。自分の囲いがあれば、先に好物を持って歩いて群れを囲いの中へ誘導する
+class BreedAnimalsSkill extends Skill {
+  constructor(registry = null) {
+    super('breed_animals', '好物（牛・羊は小麦、豚はニンジン・ジャガイモ・ビートルート、鶏は種）を与えて家畜を繁殖させます', {
+      animal: {
+        type: 'string',
+        enum: ['auto', 'cow', 'sheep', 'pig', 'chicken'],
+        default: 'auto',
+        aliases: ['species', 'entity'],
+        description: 'auto は好物を持っていて繁殖できる成体の最も多い家畜'
+      },
+      pairs: { type: 'integer', default: 1, minimum: 1, maximum: 8, description: '繁殖させるつがいの数' },
+      lure: { type: 'boolean', default: true, description: '自分の囲いがあれば、繁殖の前に群れを囲いへ誘導する' },
+      searchRadius: { type: 'integer', default: 32, minimum: 8, maximum: 64, aliases: ['radius'] }
+    });
+    this.registry = registry || new FarmRegistry();
+  }
 
-          this.logger.log(`[ツールスキル] ${toolName}のクラフト結果:`, result);
-        } catch (craftError) {
-          this.logger.log(`[ツールスキル] 手動レシピでのクラフトに失敗: ${craftError.message}`);
-          throw craftError;
-        }
-        this.logger.log(`[ツールスキル] ${actualToolName}をクラフトしました！`);
-        bot.chat(`${actualToolName}をクラフトしました！ 🔨`);
-        craftedTools.push(actualToolName);
-      } catch (error) {
-        this.logger.log(`[ツールスキル] ${actualToolName}のクラフトに失敗: ${error.message}`);
-        this.logger.log('[ツールスキル] レシピ詳細:', recipe ? JSON.stringify(recipe, null, 2) : 'null');
-        return { success: false, error: `Failed to craft ${actualToolName}: ${error.message}` };
+  async execute(bot, params) {
+    const { pairs, searchRadius, cancelToken } = params;
+    try {
+      const species = this.chooseSpecies(bot, params.animal, searchRadius);
+      if (!species) {
+        return {
+          success: false,
+          error: '近くに繁殖させられる家畜がいません',
+          reason: 'TARGET_NOT_FOUND',
+          details: { type: 'livestock', searchRadius }
+        };
+      }
+      const adults = () => Husbandry.herd(bot, species, { radius: searchRadius, adults: true });
+      const breeders = () => adults().filter(entity => Husbandry.canBreed(bot, entity));
+      if (breeders().length < 2) {
+        return {
+          success: false,
+          error: `繁殖できる ${species} の成体が 2 頭いません`,
+          reason: 'TARGET_NOT_FOUND',
+          details: { type: species, adults: adults().length }
+        };
+      }
+      if (!Husbandry.findFood(bot, species)) {
+        return {
+          success: false,
+          error: `${species} の好物 (${Husbandry.foodFor(species).join(' / ')}) を持っていません`,
+          reason: 'INSUFFICIENT_MATERIALS',
+          details: { missing: [{ item: Husbandry.foodFor(species)[0], needed: pairs * 2 }], species }
+        };
       }
-    }
 
-    if (craftedTools.length === tools.length) {
-      this.logger.log('[ツールスキル] 全てのツールを正常にクラフトしました。');
-      return { success: true, crafted: craftedTools };
-    } else if (craftedTools.length > 0) {
-      this.logger.log('[ツールスキル] 一部のツールをクラフトしました。');
-      return { success: true, crafted: craftedTools, message: '一部のツールをクラフトしました' };
-    } else {
-      this.logger.log('[ツールスキル] ツールをクラフトできませんでした。');
-      return { success: false, error: 'ツールをクラフトできませんでした' };
+      let lured = 0;
+      this.registry.load();
+      const pen = params.lure ? this.findOwnPen(bot, species) : null;
+      if (pen) {
+        lured = await this.withFencesProtected(bot,
+          () => this.lureIntoPen(bot, pen, species, searchRadius, cancelToken));
+      }
+
+      const babiesBefore = new Set(Husbandry.herd(bot, species, { radius: searchRadius })
+        .filter(entity => Husbandry.isBaby(entity)).map(entity => entity.id));
+      let bred = 0;
+      while (bred < pairs) {
+        Cancellation.throwIfCancelled(cancelToken);
+        const candidates = breeders();
+        if (candidates.length < 2 || !Husbandry.findFood(bot, species)) break;
+        const [first, ...others] = candidates;
+        const partner = others.sort((a, b) =>
+          a.position.distanceTo(first.position) - b.position.distanceTo(first.position))[0];
+        const fed = await this.feed(bot, first, species, cancelToken) &&
+          await this.feed(bot, partner, species, cancelToken);
+        if (!fed) break;
+        bred++;
+      }
+
+      // 子供は両親が近づいてから生まれる
+      if (typeof bot.waitForTicks === 'function') await Cancellation.race(bot.waitForTicks(60), cancelToken);
+      const babies = Husbandry.herd(bot, species, { radius: searchRadius })
+        .filter(entity => Husbandry.isBaby(entity) && !babiesBefore.has(entity.id)).length;
+
+      this.logger.log(`[畜産] ${species}: ${bred} 組を繁殖、子供 ${babies} 頭${pen ? `、囲いへ誘導 ${lured} 頭` : ''}`);
+      if (bred === 0) {
+        return {
+          success: false,
+          error: `${species} に好物を与えられませんでした`,
+          details: { species, lured }
+        };
+      }
+      return { success: true, species, bred, babies, lured, pen: pen ? pen.id : null };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken);
+      }
+      this.logger.error(`[畜産] 繁殖に失敗: ${error.message}`);
+      return { success: false, error: error.message };
     }
   }
 
+  chooseSpecies(bot, requested, searchRadius) {
+    if (requested && requested !== 'auto') return requested;
+    const breedable = species => Husbandry.herd(bot, species, { radius: searchRadius, adults: true })
+      .filter(entity => Husbandry.canBreed(bot, entity)).length;
+    const ranked = Object.keys(Husbandry.ANIMALS)
+      .map(species => ({ species, count: breedable(species), fed: !!Husbandry.findFood(bot, species) }))
+      .filter(entry => entry.count >= 2)
+      .sort((a, b) => (b.fed - a.fed) || (b.count - a.count));
+    return ranked.length > 0 ? ranked[0].species : null;
+  }
+
+  findOwnPen(bot, species) {
+    const position = bot.entity.position;
+    return this.registry.pensOf(bot.username)
+      .filter(pen => !pen.species || pen.species === species)
+      .filter(pen => position.distanceTo(new Vec3(pen.gate.x, pen.gate.y, pen.gate.z)) <= BuildPenSkill.PEN_RADIUS)
+      .sort((a, b) => (b.species === species) - (a.species === species))[0] || null;
+  }
+
+  async feed(bot, entity, species, signal) {
+    const food = Husbandry.findFood(bot, species);
+    if (!food || entity.isValid === false) return false;
+    const moved = await moveToEntity(bot, entity, 3, { signal });
+    if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    if (!moved.success) return false;
+    await Cancellation.race(bot.equip(food, 'hand'), signal);
+    await Cancellation.race(bot.activateEntity(entity), signal);
+    Husbandry.markBred(bot, entity);
+    return true;
+  }
+
   /**
-   * Verify materials are available before crafting
-   * @param {Object} bot - Mineflayer bot instance
-   * @param {Object} recipe - Recipe object to verify
-   * @returns {Object} verification result
+   * 好物を持って群れに近づき、門から囲いの中央まで歩いてついてこさせる。好物をしまってから外に出て門を閉める
    */
-  async verifyMaterialsBeforeCraft(bot, recipe) {
-    const mcData = require('minecraft-data')(bot.version);
+  async lureIntoPen(bot, pen, species, searchRadius, signal) {
+    const inside = () => Husbandry.herd(bot, species, { radius: searchRadius * 2 })
+      .filter(entity => FarmRegistry.insidePen(pen, entity.position)).length;
+    const before = inside();
+    const strays = Husbandry.herd(bot, species, { radius: searchRadius })
+      .filter(entity => !FarmRegistry.insidePen(pen, entity.position));
+    if (strays.length === 0) return 0;
+
+    const move = async (target, range) => {
+      const result = await moveToPosition(bot, target, range, { signal });
+      if (result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+      return result.success;
+    };
+    const gate = new Vec3(pen.gate.x, pen.gate.y, pen.gate.z);
+    const front = gate.plus(BuildPenSkill.gateOutward(pen)).offset(0.5, 0, 0.5);
+    const center = new Vec3((pen.min.x + pen.max.x + 1) / 2, pen.min.y, (pen.min.z + pen.max.z + 1) / 2);
+
+    await Cancellation.race(bot.equip(Husbandry.findFood(bot, species), 'hand'), signal);
+    const herdMoved = await moveToEntity(bot, strays[0], 3, { signal });
+    if (herdMoved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    if (!await move(front, 1)) {
+      this.logger.warn('[畜産] 囲いの門の前まで行けません');
+      return 0;
+    }
+    await this.setGate(bot, gate, true, signal);
+    if (await move(center, 1) && typeof bot.waitForTicks === 'function') {
+      await Cancellation.race(bot.waitForTicks(40), signal);
+    }
+    // 好物を持ったままだと外までついてくる
+    await Cancellation.race(bot.unequip('hand'), signal);
+    await move(front, 1);
+    await this.setGate(bot, gate, false, signal);
+    return Math.max(0, inside() - before);
+  }
 
-    if (!recipe || !recipe.delta) {
-      return { success: false, error: 'Recipe or delta is null' };
+  /**
+   * 柵を壊して近道しないよう、誘導のあいだは柵と門を pathfinder が掘らないブロックにする
+   */
+  async withFencesProtected(bot, action) {
+    const movements = bot.pathfinder && bot.pathfinder.movements;
+    if (!movements) return action();
+    const mcData = require('minecraft-data')(bot.version);
+    const previous = movements.blocksCantBreak;
+    const fences = mcData.blocksArray.filter(block => /_fence(_gate)?$/.test(block.name)).map(block => block.id);
+    movements.blocksCantBreak = new Set([...(previous || []), ...fences]);
+    try {
+      return await action();
+    } finally {
+      movements.blocksCantBreak = previous;
     }
+  }
 
-    // Get current inventory
-    const inventory = bot.inventory.items();
-    const inventoryMap = new Map();
+  async setGate(bot, position, open, signal) {
+    const gate = bot.blockAt(position);
+    if (!gate || !/_fence_gate$/.test(gate.name)) return;
+    if (gate.getProperties().open !== open) await Cancellation.race(bot.activateBlock(gate), signal);
+  }
+}
 
-    for (const item of inventory) {
-      if (item && item.type !== null && item.type !== undefined) {
-        inventoryMap.set(item.type, (inventoryMap.get(item.type) || 0) + item.count);
-      }
-    }
+// 鋏で羊の毛を刈るスキル。羊は殺さないので、毛は数分後にまた生える
+class ShearSheepSkill extends Skill {
+  constructor() {
+    super('shear_sheep', '鋏で近くの羊の毛を刈り、落ちた羊毛を拾います（羊は殺しません）', {
+      maxSheep: { type: 'integer', default: 8, minimum: 1, maximum: 32, aliases: ['count', 'amount'] },
+      searchRadius: { type: 'integer', default: 24, minimum: 4, maximum: 64, aliases: ['radius'] }
+    });
+  }
 
+  async execute(bot, params) {
+    const { maxSheep, searchRadius, cancelToken } = params;
+    try {
+      const shears = await this.ensureShears(bot, cancelToken);
+      if (!shears) {
+        return {
+          success: false,
+          error: '鋏がなく、鉄インゴットも足りません',
+          reason: 'NO_TOOL',
+          details: { required: 'shears' }
+        };
+      }
 
-    // Check each required material
-    const missing = [];
-    for (const ingredient of recipe.delta) {
-      if (ingredient.count < 0) {
-        const needed = Math.abs(ingredient.count);
-        const available = inventoryMap.get(ingredient.id) || 0;
+      const flock = Husbandry.herd(bot, 'sheep', { radius: searchRadius, adults: true })
+        .filter(sheep => !Husbandry.isSheared(sheep));
+      if (flock.length === 0) {
+        return {
+          success: false,
+          error: '毛を刈れる羊が近くにいません',
+          reason: 'TARGET_NOT_FOUND',
+          details: { type: 'sheep', searchRadius }
+        };
+      }
 
-        const itemData = mcData.items[ingredient.id];
-        const itemName = itemData ? itemData.name : `ID:${ingredient.id}`;
+      const before = SkillContract.inventoryCounts(bot);
+      const shorn = [];
+      for (const sheep of flock.slice(0, maxSheep)) {
+        Cancellation.throwIfCancelled(cancelToken);
+        const moved = await moveToEntity(bot, sheep, 3, { signal: cancelToken });
+        if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
+        if (!moved.success) continue;
+        const tool = bot.inventory.items().find(item => item && item.name === 'shears');
+        if (!tool) break;
+        await Cancellation.race(bot.equip(tool, 'hand'), cancelToken);
+        await Cancellation.race(bot.activateEntity(sheep), cancelToken);
+        shorn.push(sheep.position.clone());
+      }
 
+      const wool = Object.values(bot.entities || {}).filter(entity => {
+        const item = entity.name === 'item' && typeof entity.getDroppedItem === 'function' && entity.getDroppedItem();
+        return item && item.name.endsWith('_wool') && shorn.some(position => position.distanceTo(entity.position) <= 4);
+      });
+      for (const drop of wool) {
+        const moved = await moveToEntity(bot, drop, 1, { signal: cancelToken });
+        if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
+      }
+      const gained = SkillContract.diffInventory(before, SkillContract.inventoryCounts(bot));
+      const collected = Object.entries(gained)
+        .filter(([name, count]) => name.endsWith('_wool') && count > 0)
+        .reduce((sum, [, count]) => sum + count, 0);
 
-        if (available < needed) {
-          missing.push({
-            item: itemName,
-            needed,
-            available,
-            shortage: needed - available
-          });
-        }
+      this.logger.log(`[畜産] 羊 ${shorn.length} 頭の毛を刈り、羊毛を ${collected} 個拾いました`);
+      return { success: shorn.length > 0, sheared: shorn.length, wool: collected };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken);
       }
+      this.logger.error(`[畜産] 毛刈りに失敗: ${error.message}`);
+      return { success: false, error: error.message };
     }
+  }
 
-    if (missing.length > 0) {
+  /**
+   * 鋏がなければ鉄インゴット 2 個から作る
+   */
+  async ensureShears(bot, signal) {
+    const find = () => bot.inventory.items().find(item => item && item.name === 'shears') || null;
+    if (find() || InventoryUtils.getItemCount(bot, 'iron_ingot') < 2) return find();
+    this.logger.log('[畜産] 鋏がないので作ります');
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['shears'], cancelToken: signal });
+    if (result && result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    return find();
+  }
+}
+
+// 鶏が産んだ卵（地面に落ちたアイテム）を拾うスキル
+class CollectEggsSkill extends Skill {
+  constructor() {
+    super('collect_eggs', '鶏が産んだ卵を拾い集めます', {
+      searchRadius: { type: 'integer', default: 24, minimum: 4, maximum: 64, aliases: ['radius'] }
+    });
+  }
+
+  async execute(bot, params) {
+    const { searchRadius, cancelToken } = params;
+    const position = bot.entity.position;
+    const eggs = Object.values(bot.entities || {})
+      .filter(entity => {
+        const item = entity.name === 'item' && typeof entity.getDroppedItem === 'function' && entity.getDroppedItem();
+        return item && item.name === 'egg' && entity.position.distanceTo(position) <= searchRadius;
+      })
+      .sort((a, b) => a.position.distanceTo(position) - b.position.distanceTo(position));
+
+    const before = InventoryUtils.getItemCount(bot, 'egg');
+    for (const egg of eggs) {
+      if (Cancellation.isCancelled(cancelToken)) {
+        Cancellation.stopBot(bot);
+        const collected = InventoryUtils.getItemCount(bot, 'egg') - before;
+        return Cancellation.cancelledResult(cancelToken, { collected });
+      }
+      const moved = await moveToEntity(bot, egg, 1, { signal: cancelToken });
+      if (moved.reason === Cancellation.CANCELLED) return moved;
+    }
+    const collected = InventoryUtils.getItemCount(bot, 'egg') - before;
+    this.logger.log(`[畜産] 卵を ${collected} 個拾いました`);
+    return { success: true, collected, message: eggs.length === 0 ? '拾える卵はありません' : undefined };
+  }
+}
+
+// 拠点のチェストを扱うスキルの共通部分。チェストの中身は開くたびに StorageRegistry の索引へ記録される
+// 拠点が無ければ家のベッド（無ければ今いる場所）を拠点にし、分類ごとのチェストを拠点のまわりに置いていく
+class StorageSkill extends Skill {
+  static SITE_RADIUS = 8; // 拠点の中心からチェストを置く範囲
+  static BASE_REACH = 3;
+
+  constructor(name, description, paramSchema, registry = null) {
+    super(name, description, paramSchema);
+    this.registry = registry || new StorageRegistry();
+    this.coordinator = null;
+    this.builder = new BuildBlueprintSkill();
+  }
+
+  /**
+   * 共有の備蓄を使う（MultiPlayerCoordinator の stockpile と取り置きを共有する）
+   */
+  useStockpile(registry, coordinator = null) {
+    this.registry = registry;
+    this.coordinator = coordinator;
+  }
+
+  ensureBase(bot) {
+    const dimension = SleepInBedSkill.dimensionOf(bot);
+    if (!this.registry.base) {
+      const homes = new HomeRegistry();
+      homes.load();
+      const home = homes.homeOf(bot.username);
+      const center = home && home.dimension === dimension ? home.bed : bot.entity.position.floored();
+      this.registry.setBase(center, dimension, bot.username);
+    }
+    if (this.registry.base.dimension !== dimension) {
       return {
         success: false,
-        error: `Missing materials: ${missing.map(m => `${m.item} (need ${m.shortage} more)`).join(', ')}`,
-        missing
+        error: `拠点は ${this.registry.base.dimension} にあります`,
+        reason: 'WRONG_DIMENSION',
+        details: { dimension, base: this.registry.base }
       };
     }
+    return { success: true, base: this.registry.base };
+  }
 
-    return { success: true };
+  /**
+   * 索引にあるチェストのブロック。壊されていれば索引から消す
+   */
+  chestBlock(bot, chest) {
+    const block = bot.blockAt(new Vec3(chest.position.x, chest.position.y, chest.position.z));
+    if (StorageManager.isContainer(block)) return block;
+    if (block) {
+      this.logger.log(`[倉庫] ${StorageRegistry.key(chest.position)} のチェストが無くなっています`);
+      this.registry.remove(chest.position);
+    }
+    return null;
+  }
+
+  async openChest(bot, block, signal) {
+    const near = await ensureProximity(bot, block, 3, { signal });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    if (!near.success) return null;
+    return StorageManager.openChest(bot, block, signal);
   }
 
   /**
-   * Generate ingredients array from inShape for mineflayer compatibility
-   * @param {Array} inShape - 3x3 crafting grid shape
-   * @returns {Array} ingredients array for mineflayer bot.craft()
+   * 分類用のチェストを作って拠点に置き、台帳に登録する
    */
-  generateIngredientsFromInShape(inShape) {
-    if (!inShape || !Array.isArray(inShape)) {
-      return [];
+  async placeChest(bot, category, signal) {
+    const item = await this.ensureChestItem(bot, signal);
+    if (!item.success) return item;
+
+    const site = this.findChestSite(bot);
+    if (!site) {
+      return {
+        success: false,
+        error: '拠点のまわりにチェストを置ける場所がありません',
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: 'chest_site' }
+      };
+    }
+    const ground = bot.blockAt(site.offset(0, -1, 0));
+    const near = await ensureProximity(bot, ground, 3, { signal });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    if (bot.entity.position.floored().equals(site)) {
+      await moveToPosition(bot, site.offset(1.5, 0, 0.5), 1, { signal });
     }
 
-    const ingredients = [];
-    const uniqueItems = new Set();
+    await this.builder.placeOriented(bot, { block: ground, face: new Vec3(0, 1, 0) }, 'chest', {}, signal);
+    const placed = bot.blockAt(site);
+    if (!StorageManager.isContainer(placed)) {
+      return { success: false, error: `チェストを ${site} に置けませんでした`, details: { position: site } };
+    }
+    this.registry.registerChest(site, category);
+    return { success: true, block: placed };
+  }
 
-    // Flatten inShape and collect unique non-null items
-    for (const row of inShape) {
-      if (Array.isArray(row)) {
-        for (const item of row) {
-          if (item !== null && item !== undefined && typeof item === 'number' && item !== 0 && item !== -1) {
-            uniqueItems.add(item);
-          }
-        }
+  /**
+   * 拠点の中心から近い順に、チェストを置ける場所を探す。隣り合うチェストはラージチェストに
+   * つながってしまうので、座標が偶数のマスだけを使って 1 マスずつ間を空ける
+   */
+  findChestSite(bot) {
+    const base = this.registry.base.position;
+    const center = new Vec3(base.x, base.y, base.z);
+    const candidates = [];
+    for (let dx = -StorageSkill.SITE_RADIUS; dx <= StorageSkill.SITE_RADIUS; dx += 2) {
+      for (let dz = -StorageSkill.SITE_RADIUS; dz <= StorageSkill.SITE_RADIUS; dz += 2) {
+        if (dx !== 0 || dz !== 0) candidates.push([dx, dz]);
       }
     }
+    candidates.sort((a, b) => Math.abs(a[0]) + Math.abs(a[1]) - Math.abs(b[0]) - Math.abs(b[1]));
 
-    // Convert to ingredients format expected by mineflayer
-    for (const itemId of uniqueItems) {
-      ingredients.push({
-        id: itemId,
-        count: 1 // mineflayer will calculate actual count from inShape
-      });
+    for (const [dx, dz] of candidates) {
+      for (const dy of [0, 1, -1]) {
+        const cell = center.offset(dx, dy, dz);
+        const fits = this.builder.isOpen(bot.blockAt(cell)) &&
+          this.builder.isOpen(bot.blockAt(cell.offset(0, 1, 0))) &&
+          this.builder.isSolid(bot.blockAt(cell.offset(0, -1, 0))) &&
+          !StorageManager.isContainer(bot.blockAt(cell.offset(0, -1, 0))) &&
+          ![[1, 0], [-1, 0], [0, 1], [0, -1]]
+            .some(([ox, oz]) => StorageManager.isContainer(bot.blockAt(cell.offset(ox, 0, oz))));
+        if (fits) return cell;
+      }
     }
+    return null;
+  }
 
-    return ingredients;
+  async ensureChestItem(bot, signal) {
+    const counts = SkillContract.inventoryCounts(bot);
+    if (counts.chest > 0) return { success: true };
+
+    // チェストは板材 8 枚で作る（作業台を作るなら、その板材 4 枚も先に使われる）
+    const planks = InventoryUtils.getAllItems(bot)
+      .filter(item => /_planks$/.test(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+    const log = InventoryUtils.getAllItems(bot)
+      .find(item => /_log$/.test(item.name) && !item.name.startsWith('stripped_'));
+    const logName = log ? log.name : 'oak_log';
+    const logCrafts = extra => Math.ceil(Math.max(0, StorageManager.CHEST_PLANKS + extra - planks) / 4);
+    const hasTable = counts.crafting_table > 0 ||
+      !!bot.findBlock({ matching: block => block && block.name === 'crafting_table', maxDistance: 8 });
+    const logsShort = logCrafts(hasTable ? 0 : 4) - (counts[logName] || 0);
+    if (logsShort > 0) {
+      return {
+        success: false,
+        error: 'チェストを作る板材が足りません',
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: logName, needed: logsShort }] }
+      };
+    }
+
+    const workbench = await new CraftToolsSkill().ensureWorkbench(bot);
+    if (!workbench.success) {
+      return { success: false, error: workbench.error, reason: 'CRAFTING_TABLE_MISSING' };
+    }
+    const near = await ensureProximity(bot, workbench.workbench, 3, { signal });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+
+    const mcData = require('minecraft-data')(bot.version);
+    const steps = [
+      [logName.replace(/_log$/, '_planks'), logCrafts(0), null],
+      ['chest', 1, workbench.workbench]
+    ];
+    for (const [name, times, table] of steps) {
+      if (times <= 0) continue;
+      const recipe = bot.recipesFor(mcData.itemsByName[name].id, null, 1, table)[0];
+      if (!recipe) {
+        return { success: false, error: `${name} のレシピが使えません`, reason: 'NO_RECIPE', details: { item: name } };
+      }
+      await Cancellation.race(bot.craft(recipe, times, table), signal);
+    }
+    this.logger.log('[倉庫] チェストを作りました');
+    return { success: true };
   }
 
   /**
-   * Fix delta field to match inShape for recipe consistency
-   * @param {Array} delta - Original delta array
-   * @param {Array} inShape - 3x3 crafting grid shape
-   * @returns {Array} corrected delta array
+   * 開いているチェストにあと何個入るか
    */
-  fixDeltaFromInShape(delta, inShape) {
-    if (!delta || !inShape || !Array.isArray(delta) || !Array.isArray(inShape)) {
-      return delta;
-    }
+  static roomFor(window, name, stackSize) {
+    const slots = window.slots.slice(0, window.inventoryStart);
+    if (slots.length === 0) {
+      // スロット配列を持たないウィンドウは containerItems から数える
+      const items = window.containerItems();
+      const partial = items.filter(item => item.name === name).reduce((sum, item) => sum + stackSize - item.count, 0);
+      return (window.inventoryStart - items.length) * stackSize + partial;
+    }
+    return slots.reduce((sum, item) =>
+      sum + (!item ? stackSize : item.name === name ? stackSize - item.count : 0), 0);
+  }
+}
 
-    this.logger.log('[レシピ修正] 元のinShape:', JSON.stringify(inShape));
+// インベントリのアイテムを分類ごとに拠点のチェストへ預けるスキル（道具・防具・松明と少しの食料は持ったまま）
+class DepositItemsSkill extends StorageSkill {
+  constructor(registry = null) {
+    super('deposit_items', 'インベントリのアイテムを分類ごとに拠点のチェストへ預けます。チェストが足りなければ作って置きます', {
+      items: {
+        type: 'array',
+        default: [],
+        aliases: ['itemNames'],
+        items: { type: 'string' },
+        description: '預けるアイテム名（省略時は道具・食料など持ち歩く物以外をすべて預ける）'
+      },
+      categories: {
+        type: 'array',
+        default: [],
+        aliases: ['category'],
+        items: { type: 'string' },
+        description: '預ける分類（ores, wood, stone, farming, food, mob_drops, misc など）'
+      }
+    }, registry);
+  }
 
-    // Count items in inShape
-    const itemCounts = new Map();
-    for (const row of inShape) {
-      if (Array.isArray(row)) {
-        for (const item of row) {
-          // Exclude null, undefined, Air (ID: 0), and empty slots (ID: -1)
-          if (item !== null && item !== undefined && typeof item === 'number' && item !== 0 && item !== -1) {
-            itemCounts.set(item, (itemCounts.get(item) || 0) + 1);
+  async execute(bot, params) {
+    const { items, categories, cancelToken } = params;
+    const plan = StorageManager.depositPlan(bot, { items, categories });
+    if (plan.length === 0) return { success: true, deposited: {}, message: '預けるアイテムはありません' };
+
+    StorageManager.watch(bot, this.registry);
+    const deposited = {};
+    let window = null;
+    try {
+      this.registry.load();
+      const base = this.ensureBase(bot);
+      if (!base.success) return base;
+      const center = base.base.position;
+      const moved = await moveToPosition(bot, new Vec3(center.x + 0.5, center.y, center.z + 0.5),
+        StorageSkill.BASE_REACH, { signal: cancelToken });
+      if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
+
+      const mcData = require('minecraft-data')(bot.version);
+      const categoryNames = Array.from(new Set(plan.map(entry => entry.category)));
+      for (const category of categoryNames) {
+        let pending = plan.filter(entry => entry.category === category);
+        const tried = new Set();
+        while (pending.length > 0) {
+          const chest = await this.chestFor(bot, category, tried, cancelToken);
+          if (!chest.success) {
+            return { ...chest, details: { ...chest.details, deposited } };
+          }
+          tried.add(chest.block.position.toString());
+
+          window = await this.openChest(bot, chest.block, cancelToken);
+          if (!window) continue;
+          for (const entry of pending) {
+            // チェストを作るのに使った原木・板材は預けられない
+            entry.count = Math.min(entry.count, SkillContract.inventoryCounts(bot)[entry.name] || 0);
+            const room = StorageSkill.roomFor(window, entry.name, mcData.itemsByName[entry.name].stackSize);
+            const amount = Math.min(entry.count, room);
+            if (amount <= 0) continue;
+            await Cancellation.race(window.deposit(mcData.itemsByName[entry.name].id, null, amount), cancelToken);
+            deposited[entry.name] = (deposited[entry.name] || 0) + amount;
+            entry.count -= amount;
           }
+          bot.closeWindow(window);
+          window = null;
+          pending = pending.filter(entry => entry.count > 0);
         }
       }
-    }
 
-    // Create corrected delta based on inShape
-    const correctedDelta = [];
-    for (const [itemId, count] of itemCounts) {
-      correctedDelta.push({
-        id: itemId,
-        count: -count // Negative because it's consumption
-      });
+      this.logger.log(`[倉庫] 預けました: ${Object.entries(deposited).map(([name, n]) => `${name}x${n}`).join(', ')}`);
+      return { success: true, deposited, base: center };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken, { deposited });
+      }
+      this.logger.error(`[倉庫] エラー: ${error.message}`);
+      return { success: false, error: `預けられませんでした: ${error.message}`, details: { deposited } };
+    } finally {
+      if (window && bot.currentWindow === window) bot.closeWindow(window);
     }
-
-    return correctedDelta;
   }
 
   /**
-   * Sanitize inShape array by replacing null / undefined cells with 0.
-   * Mineflayer 4.x では bot.craft 内部で inShape[row][col].id を参照するため
-   * null が残っていると「Cannot read properties of null (reading 'id')」が発生する。
-   * 0 は Air を意味し、mineflayer 側でスキップされる。
-   * @param {Array} inShape 3x3 shaped recipe grid
-   * @returns {Array} sanitized copy
+   * 分類のチェストで空きのあるもの → 新しく置いたチェスト → 他の分類のチェストで空きのあるもの、の順に選ぶ
    */
-  sanitizeInShape(inShape) {
-    if (!Array.isArray(inShape)) return inShape;
-    return inShape.map(row =>
-      Array.isArray(row)
-        ? row.map(cell => {
-          // Handle null, undefined, and empty slots
-          if (cell == null || cell === undefined) return -1;
+  async chestFor(bot, category, tried, signal) {
+    const usable = chest => chest.freeSlots > 0 && !tried.has(new Vec3(chest.position.x, chest.position.y,
+      chest.position.z).toString());
+    for (const chest of this.registry.chestsFor(category).filter(usable)) {
+      const block = this.chestBlock(bot, chest);
+      if (block) return { success: true, block };
+    }
 
-          // -1 is a valid empty slot indicator in mineflayer
-          if (cell === -1) return -1;
+    const placed = await this.placeChest(bot, category, signal);
+    if (placed.success) return placed;
 
-          // Handle objects that should be item IDs
-          if (typeof cell === 'object' && cell !== null) {
-          // If it's an object with an id property, use the id
-            if (cell.id !== undefined && typeof cell.id === 'number') {
-              return cell.id;
-            }
-            // Otherwise, this is invalid - return 0 (empty slot)
-            this.logger.log(`[sanitizeInShape] 無効なオブジェクトをスキップ: ${JSON.stringify(cell)}`);
-            return 0;
+    const others = Array.from(this.registry.chests.values())
+      .filter(chest => chest.category && usable(chest))
+      .sort((a, b) => b.freeSlots - a.freeSlots);
+    for (const chest of others) {
+      const block = this.chestBlock(bot, chest);
+      if (block) return { success: true, block };
+    }
+    return placed;
+  }
+}
+
+// 拠点のチェストから、タスクに必要なアイテムを取り出すスキル。どのチェストに何があるかは索引で調べる
+class WithdrawItemsSkill extends StorageSkill {
+  constructor(registry = null) {
+    super('withdraw_items', '拠点のチェストから必要なアイテムを取り出します', {
+      items: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        description: '取り出すアイテムと個数 {name, count} の配列',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', required: true },
+            count: { type: 'integer', default: 1, minimum: 1 }
           }
+        }
+      }
+    }, registry);
+  }
 
-          // Handle string item IDs - convert to number if possible
-          if (typeof cell === 'string') {
-            const numId = parseInt(cell, 10);
-            if (!isNaN(numId)) {
-              return numId;
-            }
-            // Invalid string - return 0
-            this.logger.log(`[sanitizeInShape] 無効な文字列ID: ${cell}`);
-            return 0;
+  async execute(bot, params) {
+    const { items, cancelToken } = params;
+    StorageManager.watch(bot, this.registry);
+    const withdrawn = {};
+    const missing = [];
+    let window = null;
+    try {
+      this.registry.load();
+      const mcData = require('minecraft-data')(bot.version);
+      for (const { name, count } of items) {
+        if (!mcData.itemsByName[name]) {
+          return { success: false, error: `不明なアイテムです: ${name}`, reason: 'INVALID_PARAMETER', details: { item: name } };
+        }
+        let remaining = this.reserve(bot, name, count);
+        for (const { chest } of this.registry.locate(name)) {
+          if (remaining <= 0) break;
+          const block = this.chestBlock(bot, chest);
+          if (!block) continue;
+          window = await this.openChest(bot, block, cancelToken);
+          if (!window) continue;
+          // 開いた時点の中身で数え直す（他のボットが取り出していることがある）
+          const stored = window.containerItems().filter(item => item.name === name)
+            .reduce((sum, item) => sum + item.count, 0);
+          const amount = Math.min(remaining, stored);
+          if (amount > 0) {
+            await Cancellation.race(window.withdraw(mcData.itemsByName[name].id, null, amount), cancelToken);
+            withdrawn[name] = (withdrawn[name] || 0) + amount;
+            remaining -= amount;
           }
+          bot.closeWindow(window);
+          window = null;
+        }
+        this.release(bot, name);
+        const short = count - (withdrawn[name] || 0);
+        if (short > 0) missing.push({ item: name, needed: short });
+      }
+    } catch (error) {
+      for (const { name } of items) this.release(bot, name);
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken, { withdrawn });
+      }
+      this.logger.error(`[倉庫] エラー: ${error.message}`);
+      return { success: false, error: `取り出せませんでした: ${error.message}`, details: { withdrawn } };
+    } finally {
+      if (window && bot.currentWindow === window) bot.closeWindow(window);
+    }
 
-          // Handle number item IDs
-          if (typeof cell === 'number') {
-            return cell;
-          }
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `倉庫に足りません: ${missing.map(entry => `${entry.item} あと${entry.needed}個`).join(', ')}`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing, withdrawn }
+      };
+    }
+    this.logger.log(`[倉庫] 取り出しました: ${Object.entries(withdrawn).map(([name, n]) => `${name}x${n}`).join(', ')}`);
+    return { success: true, withdrawn };
+  }
 
-          // Unknown type - return 0
-          this.logger.log(`[sanitizeInShape] 未知のタイプ: ${typeof cell}, 値: ${cell}`);
-          return 0;
-        })
-        : row
-    );
+  /**
+   * 取り出す数を取り置く。coordinator があれば、他のボットが取り置いた分は取り出さない
+   */
+  reserve(bot, name, count) {
+    if (!this.coordinator) return Math.min(count, this.registry.count(name));
+    return this.coordinator.reserveStockpile(bot.username, name, count);
   }
 
-  async getMissingMaterialsForActualRecipe(bot, recipe) {
+  release(bot, name) {
+    if (this.coordinator) this.coordinator.releaseStockpileReservation(bot.username, name);
+  }
+}
+
+// Crafting Skills
+class CraftToolsSkill extends Skill {
+  constructor() {
+    super('craft_tools', 'Crafts specified tools.', {
+      tools: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        aliases: ['toolName', 'tool', 'items'],
+        items: { type: 'string' },
+        description: '作成するツール名の一覧（例: wooden_pickaxe, stone_axe）'
+      }
+    }, {
+      contract: {
+        // 素材優先度で材質が変わる (wooden_pickaxe → stone_pickaxe) ため、材質を除いた種類ごとに頼まれた数だけ増えていればよい
+        // 実行前から持っていたツールは作らずに済ませるので、増加数には数えない
+        postconditions: ({ tools }, _bot, before) => {
+          const kinds = new Map();
+          for (const tool of tools) {
+            if (before && before.inventory[tool] > 0) continue;
+            const kind = tool.replace(/^(wooden|stone|iron|golden|diamond|netherite)_/, '_');
+            kinds.set(kind, (kinds.get(kind) || 0) + 1);
+          }
+          return Array.from(kinds, ([kind, min]) => (kind.startsWith('_')
+            ? { type: 'inventory_delta', match: kind, min }
+            : { type: 'inventory_delta', item: kind, min }));
+        }
+      }
+    });
+  }
+
+  async execute(bot, params) {
+    const { tools, cancelToken } = params;
     const mcData = require('minecraft-data')(bot.version);
-    const InventoryUtils = require('./InventoryUtils');
 
-    if (!recipe || !recipe.delta) {
-      return [{ item: 'unknown', needed: 1, reason: 'Invalid recipe' }];
+    this.logger.log(`[ツールスキル] ${tools.join(', ')}の作成を開始します...`);
+
+    // インベントリの事前チェック
+    const inventoryItems = InventoryUtils.getAllItems(bot);
+    this.logger.log(`[ツールスキル] インベントリアイテム数: ${inventoryItems.length}`);
+
+    if (inventoryItems.length === 0) {
+      this.logger.log('[ツールスキル] インベントリが空です。ツール作成を中止します。');
+      return { success: false, error: 'インベントリが空です。まず基本的な素材を集めてください。' };
     }
 
-    const missing = [];
+    // インベントリアイテムの詳細表示
+    const itemCounts = {};
+    inventoryItems.forEach(item => {
+      if (item && item.name) {
+        itemCounts[item.name] = (itemCounts[item.name] || 0) + item.count;
+      }
+    });
+    this.logger.log('[ツールスキル] インベントリ内容:', JSON.stringify(itemCounts, null, 2));
 
-    // Use the actual recipe delta for accurate material checking
-    for (const ingredient of recipe.delta) {
-      if (ingredient.count < 0) {
-        // Negative count means required material
-        const needed = Math.abs(ingredient.count);
-        const itemName = mcData.items[ingredient.id]?.name || mcData.blocks[ingredient.id]?.name || `item_${ingredient.id}`;
+    // Ensure we have a crafting table nearby or in inventory
+    const workbenchResult = await this.ensureWorkbench(bot);
 
-        // Check if we can substitute this material (especially for wood planks and sticks)
-        const substitutionInfo = InventoryUtils.canSubstituteMaterial(bot, itemName, needed);
+    if (!workbenchResult.success) {
+      this.logger.log(`[ツールスキル] 作業台の確保に失敗: ${workbenchResult.error}`);
 
-        if (!substitutionInfo.canSubstitute) {
-          missing.push({
-            item: itemName,
-            needed: needed - substitutionInfo.availableCount,
-            have: substitutionInfo.availableCount,
-            substitutionType: substitutionInfo.substitutionType,
-            possibleSubstitutes: substitutionInfo.substitutes
-          });
-        } else if (substitutionInfo.substitutionType === 'wood_plank') {
-          // Log successful wood plank substitution
-          this.logger.log(`[材料チェック] 木材代替可能: ${itemName} (必要:${needed}) -> 利用可能合計:${substitutionInfo.availableCount}`);
-          this.logger.log(`[材料チェック] 利用可能木材: ${JSON.stringify(substitutionInfo.substitutes)}`);
-        } else if (substitutionInfo.substitutionType === 'stick_from_planks') {
-          // Need to craft sticks from planks - add to missing for processing
-          const currentSticks = substitutionInfo.substitutes.stick || 0;
-          const sticksNeeded = needed - currentSticks;
-          if (sticksNeeded > 0) {
-            this.logger.log(`[材料チェック] スティック不足: ${itemName} (必要:${needed}, 現在:${currentSticks}) -> ${sticksNeeded}個を板材から作成が必要`);
-            missing.push({
-              item: itemName,
-              needed: sticksNeeded,
-              have: currentSticks,
-              substitutionType: substitutionInfo.substitutionType,
-              possibleSubstitutes: substitutionInfo.substitutes
-            });
+      // Try to gather materials automatically
+      if (workbenchResult.error.includes('材料不足')) {
+        this.logger.log('[ツールスキル] 材料不足のため自動収集を試みます...');
+        // Use a simple wood gathering approach
+        const gatherResult = await this.simpleWoodGathering(bot);
+
+        if (gatherResult.success) {
+          this.logger.log('[ツールスキル] 材料収集成功、作業台確保を再試行...');
+          const retryWorkbenchResult = await this.ensureWorkbench(bot);
+          if (retryWorkbenchResult.success) {
+            this.logger.log('[ツールスキル] 材料収集後の作業台確保成功');
           } else {
-            this.logger.log(`[材料チェック] スティック十分: ${itemName} (必要:${needed}) -> 利用可能:${currentSticks}`);
+            return { success: false, error: `材料収集後も作業台確保失敗: ${retryWorkbenchResult.error}` };
           }
-        } else if (substitutionInfo.substitutionType === 'exact_match') {
-          // Log successful exact match
-          this.logger.log(`[材料チェック] 材料十分: ${itemName} (必要:${needed}) -> 利用可能:${substitutionInfo.availableCount}`);
+        } else {
+          return { success: false, error: `材料収集失敗: ${gatherResult.error}` };
+        }
+      } else {
+        return { success: false, reason: 'CRAFTING_TABLE_MISSING', details: { error: workbenchResult.error } };
+      }
+    }
+
+    const craftingTable = workbenchResult.workbench;
+    // 距離チェック: 作業台に接近
+    const proximityCheck = await ensureProximity(bot, craftingTable, 3, { signal: cancelToken });
+    if (proximityCheck.reason === Cancellation.CANCELLED) {
+      return proximityCheck;
+    }
+    if (!proximityCheck.success) {
+      this.logger.log('[ツールスキル] 作業台まで接近できません');
+      return { success: false, reason: 'UNREACHABLE_WORKBENCH', error: '作業台に接近できません' };
+    }
+
+    const craftedTools = [];
+    for (const toolName of tools) {
+      if (Cancellation.isCancelled(cancelToken)) {
+        this.logger.log('[ツールスキル] キャンセルされました');
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken, { crafted: craftedTools });
+      }
+      this.logger.log(`[ツールスキル] ${toolName}の作成を試みます`);
+
+      // ダイヤモンドツールの除外チェック
+      const excludedMaterials = ['diamond', 'netherite'];
+      if (excludedMaterials.some(excluded => toolName.includes(excluded))) {
+        this.logger.log(`[ツールスキル] ${toolName} は除外対象です (ダイヤモンド/ネザライト)`);
+        bot.chat(`${toolName}は作成対象外です（ダイヤモンド/ネザライト除外）`);
+        continue;
+      }
+
+      const toolItem = mcData.itemsByName[toolName];
+      if (!toolItem) {
+        this.logger.log(`[ツールスキル] 不明なツール: ${toolName}`);
+        this.logger.log(`[ツールスキル] 利用可能なツールアイテム: ${Object.keys(mcData.itemsByName).filter(name => name.includes('pickaxe')).join(', ')}`);
+        continue;
+      }
+
+      // Check if tool already exists in inventory
+      if (InventoryUtils.hasItem(bot, toolName)) {
+        this.logger.log(`[ツールスキル] ${toolName}は既にインベントリにあります`);
+        craftedTools.push(toolName);
+        continue;
+      }
+
+      // ツール作成前のインベントリ状態再チェック
+      const currentItems = InventoryUtils.getAllItems(bot);
+      if (currentItems.length === 0) {
+        this.logger.log(`[ツールスキル] ${toolName}作成時にインベントリが空です`);
+        return { success: false, error: `${toolName}作成時にインベントリが空です` };
+      }
+
+      // 素材優先度システムを使用して最適化されたレシピを取得
+      let recipe = await SkillLibrary.getOptimizedToolRecipe(bot, toolName, 1, craftingTable);
+      let actualToolName = toolName;
+
+      if (recipe) {
+        // 最適化されたレシピから実際のツール名を取得
+        if (recipe.result && recipe.result.id) {
+          const optimizedToolItem = mcData.items[recipe.result.id];
+          if (optimizedToolItem) {
+            actualToolName = optimizedToolItem.name;
+            this.logger.log(`[ツールスキル] 素材優先度システムにより ${toolName} -> ${actualToolName} に最適化`);
+          }
+        } else {
+          this.logger.warn(`[ツールスキル] 最適化レシピの result.id が無効です: ${JSON.stringify(recipe.result)}`);
+        }
+      } else {
+        // フォールバック: 通常のレシピ取得
+        recipe = await SkillLibrary.getRecipeSafe(bot, toolName, 1, craftingTable);
+        if (!recipe) {
+          this.logger.log(`[ツールスキル] ${toolName}のレシピが見つかりません`);
+
+          // Try alternative recipes or wait for materials
+          const alternativeRecipe = await SkillLibrary.getRecipeSafe(bot, toolItem.id, 1, craftingTable);
+          if (!alternativeRecipe) {
+            this.logger.log(`[ツールスキル] ${toolName}の代替レシピも見つかりません`);
+            bot.chat(`${toolName}のレシピが見つかりません`);
+            return {
+              success: false,
+              reason: 'NO_RECIPE',
+              details: { tool: toolName, message: 'レシピが見つかりません' }
+            };
+          } else {
+            this.logger.log(`[ツールスキル] ${toolName}の代替レシピを使用します`);
+            recipe = alternativeRecipe;
+          }
+        }
+
+        if (toolName.includes('wooden_') && !recipe) {
+          this.logger.log(`[ツールスキル] 木材ツール用の最適化レシピを再取得: ${toolName}`);
+          recipe = await SkillLibrary.getOptimizedWoodenToolRecipe(bot, toolName, 1, craftingTable);
+          if (recipe) {
+            this.logger.log(`[ツールスキル] 木材最適化レシピを取得成功: ${toolName}`);
+          }
+        }
+      }
+
+      // Check for sufficient materials using the actual recipe we'll use
+      const missingMaterials = await this.getMissingMaterialsForActualRecipe(bot, recipe);
+      if (missingMaterials && missingMaterials.length > 0) {
+        this.logger.log(`[ツールスキル] ${actualToolName}の材料が不足しています。不足: ${missingMaterials.map(m => `${m.item} (${m.needed}個)`).join(', ')}`);
+
+        // Try to auto-convert materials if possible
+        // スティックも板材から作るため、板材の変換量にはスティック分を含める
+        const missingSticks = missingMaterials.find(m => m.item === 'stick');
+        const planksForSticks = missingSticks ? Math.ceil(missingSticks.needed / 4) * 2 : 0;
+        let materialConverted = false;
+        for (const missing of missingMaterials) {
+          // Check if this is a planks material and we have logs
+          if (missing.item.includes('_planks') || missing.item.includes('planks')) {
+            this.logger.log(`[ツールスキル] 板材不足検出: ${missing.item} ${missing.needed}個`);
+            const logs = InventoryUtils.getAllItems(bot).filter(item => item.name && InventoryUtils.isLog(item.name));
+            if (logs.length > 0) {
+              this.logger.log(`[ツールスキル] 木材が利用可能: ${logs.length}種類`);
+              const convertResult = await this.convertLogsToPlanksDynamic(bot, missing.needed + planksForSticks);
+              if (convertResult.success) {
+                this.logger.log(`[ツールスキル] 板材変換成功: ${convertResult.converted}個`);
+                materialConverted = true;
+              } else {
+                this.logger.log(`[ツールスキル] 板材変換失敗: ${convertResult.error}`);
+              }
+            }
+          } else if (missing.item === 'stick') {
+            // Check if this is a stick material and we have planks
+            this.logger.log(`[ツールスキル] スティック不足検出: ${missing.needed}個`);
+
+            // 不足分のスティックを作成
+            const sticksNeeded = missing.needed;
+
+            this.logger.log(`[ツールスキル] 追加で${sticksNeeded}個のスティックが必要。板材から作成します。`);
+            const stickResult = await this.createStickFromPlanks(bot, sticksNeeded);
+            if (stickResult.success) {
+              this.logger.log(`[ツールスキル] スティック作成成功: ${stickResult.created}個`);
+              materialConverted = true;
+            } else {
+              this.logger.log(`[ツールスキル] スティック作成失敗: ${stickResult.error}`);
+            }
+          }
+        }
+
+        if (!materialConverted) {
+          bot.chat(`${toolName}の材料が不足しています`);
+          return {
+            success: false,
+            reason: 'INSUFFICIENT_MATERIALS',
+            details: { missing: missingMaterials, tool: toolName }
+          };
+        }
+
+        // Re-check materials after conversion
+        const updatedMissingMaterials = await this.getMissingMaterialsForActualRecipe(bot, recipe);
+        if (updatedMissingMaterials && updatedMissingMaterials.length > 0) {
+          this.logger.log(`[ツールスキル] 材料変換後も不足: ${updatedMissingMaterials.map(m => `${m.item} (${m.needed}個)`).join(', ')}`);
+          bot.chat(`${actualToolName}の材料が不足しています`);
+          return {
+            success: false,
+            reason: 'INSUFFICIENT_MATERIALS',
+            details: { missing: updatedMissingMaterials, tool: actualToolName }
+          };
+        } else {
+          this.logger.log('[ツールスキル] 材料変換後、材料が十分になりました');
+        }
+      }
+
+      // Debug: Log recipe state before crafting
+      this.logger.log(`[ツールスキル] ${toolName}クラフト前のレシピ状態:`, {
+        hasRecipe: !!recipe,
+        recipeId: recipe?.id,
+        recipeResult: recipe?.result,
+        recipeDelta: recipe?.delta?.length || 0
+      });
+
+      try {
+        this.logger.log(`[ツールスキル] ${toolName}をクラフト中...`);
+
+        if (!recipe) {
+          this.logger.log(`[ツールスキル] ${toolName}のレシピがnullです - クラフトをスキップ`);
+          return { success: false, error: `Recipe is null for ${toolName}` };
+        }
+
+        if (!recipe.id && !recipe.result) {
+          this.logger.log(`[ツールスキル] ${toolName}のレシピが不正な形式です`);
+          this.logger.log('[ツールスキル] レシピ詳細:', JSON.stringify(recipe, null, 2));
+          return { success: false, error: `Invalid recipe format for ${toolName}` };
+        }
+
+        // 追加の安全性チェック
+        if (recipe.result && recipe.result.id === undefined) {
+          this.logger.log(`[ツールスキル] ${toolName}のレシピ結果IDが未定義です`);
+          this.logger.log('[ツールスキル] レシピ結果:', JSON.stringify(recipe.result, null, 2));
+          return { success: false, error: `Recipe result ID is undefined for ${toolName}` };
+        }
+
+        // Sanitize inShape so that bot.craft() never receives null cells
+        if (recipe.inShape) {
+          recipe.inShape = this.sanitizeInShape(recipe.inShape);
+          // inShapeの内容を検証
+          let hasInvalidItems = false;
+          for (const row of recipe.inShape) {
+            if (Array.isArray(row)) {
+              for (const item of row) {
+                if (item !== 0 && item !== null && item !== undefined) {
+                  // Handle object types that shouldn't be here
+                  if (typeof item === 'object') {
+                    this.logger.log(`[ツールスキル] 無効なアイテムID (オブジェクト): ${JSON.stringify(item)}`);
+                    hasInvalidItems = true;
+                    continue;
+                  }
+
+                  // Handle string types that shouldn't be here
+                  if (typeof item === 'string') {
+                    this.logger.log(`[ツールスキル] 無効なアイテムID (文字列): ${item}`);
+                    hasInvalidItems = true;
+                    continue;
+                  }
+
+                  // Handle number types - check if they exist in mcData
+                  if (typeof item === 'number') {
+                    // -1 is a valid ID in mineflayer representing empty slots
+                    if (item === -1) {
+                      // -1 is valid - represents empty slot in mineflayer
+                      continue;
+                    }
+
+                    const itemData = mcData.items[item];
+                    if (!itemData) {
+                      this.logger.log(`[ツールスキル] 無効なアイテムID (数値): ${item}`);
+                      hasInvalidItems = true;
+                    }
+                  } else {
+                    this.logger.log(`[ツールスキル] 無効なアイテムID (不明な型): ${typeof item}, 値: ${item}`);
+                    hasInvalidItems = true;
+                  }
+                }
+              }
+            }
+          }
+          if (hasInvalidItems) {
+            this.logger.log('[ツールスキル] inShapeに無効なアイテムIDが含まれています');
+            this.logger.log('[ツールスキル] 現在のinShape:', JSON.stringify(recipe.inShape, null, 2));
+            return { success: false, error: `Invalid item IDs in recipe for ${toolName}` };
+          }
+        }
+
+        // Fix missing ingredients field by generating from inShape
+        if (!recipe.ingredients && recipe.inShape) {
+          this.logger.log(`[ツールスキル] ${toolName}のingredientsがnullのため、inShapeから生成します`);
+          recipe.ingredients = this.generateIngredientsFromInShape(recipe.inShape);
+          this.logger.log('[ツールスキル] 生成されたingredients:', recipe.ingredients);
+        }
+
+        // Fix delta/inShape ID inconsistency that causes crafting errors
+        if (recipe.delta && recipe.inShape) {
+          // delta/inShape不整合を静かに修正
+          recipe.delta = this.fixDeltaFromInShape(recipe.delta, recipe.inShape);
+        }
+
+        // CRITICAL FIX: Ensure recipe.id is set for bot.craft() compatibility
+        if (!recipe.id && recipe.result && recipe.result.id) {
+          recipe.id = recipe.result.id;
+          this.logger.log(`[ツールスキル] recipe.id missing - setting to result.id: ${recipe.id}`);
+        }
+
+        // Use official bot.recipesFor() for reliable crafting
+        try {
+          const targetItemId = recipe.result.id;
+          const officialRecipes = bot.recipesFor(targetItemId, null, 1, craftingTable);
+
+          if (officialRecipes.length > 0) {
+            const officialRecipe = officialRecipes[0];
+            this.logger.log(`[ツールスキル] ${actualToolName}のクラフトを実行中...`);
+            const crafting = bot.craft(officialRecipe, 1, craftingTable);
+            await Cancellation.race(crafting, cancelToken, () => Cancellation.stopBot(bot));
+            this.logger.log(`[ツールスキル] ${actualToolName}をクラフトしました！`);
+            bot.chat(`${actualToolName}をクラフトしました！ 🔨`);
+            craftedTools.push(actualToolName);
+            continue;
+          }
+        } catch (officialRecipeError) {
+          if (Cancellation.isCancellationError(officialRecipeError)) throw officialRecipeError;
+          this.logger.log(`[ツールスキル] 公式レシピでのクラフトに失敗: ${officialRecipeError.message}`);
+          this.logger.log('[ツールスキル] 手動レシピでクラフトを続行...');
+        }
+
+        // Fallback to manual recipe crafting
+        this.logger.log(`[ツールスキル] ${toolName}の手動レシピでクラフトを試行中...`);
+
+        // より安全な bot.craft() 呼び出しを実装
+        try {
+          // 最終的なレシピ安全性チェック
+          if (!recipe || !recipe.result || !recipe.result.id) {
+            throw new Error('Recipe result is invalid');
+          }
+
+          if (!mcData || !mcData.items || !mcData.items[recipe.result.id]) {
+            throw new Error('Recipe result item not found in minecraft-data');
+          }
+
+          // 作業台の状態確認
+          if (craftingTable && !bot.blockAt(craftingTable.position)) {
+            throw new Error('Crafting table is no longer available');
+          }
+
+          // currentWindowがNULLの場合、まず作業台を開いてからwindowOpenイベントを待機
+          if (!bot.currentWindow) {
+            this.logger.log('[ツールスキル] currentWindowがNULL - 作業台を開いてwindowOpenイベントを待機中...');
+
+            try {
+              await bot.activateBlock(craftingTable);
+              this.logger.log('[ツールスキル] 作業台を開きました');
+            } catch (activateError) {
+              throw new Error(`作業台の開放に失敗: ${activateError.message}`);
+            }
+
+            const windowOpened = new Promise((resolve, reject) => {
+              const timeout = setTimeout(() => {
+                bot.removeListener('windowOpen', onWindowOpen);
+                reject(new Error('windowOpen event timeout after 10 seconds'));
+              }, 10000);
+
+              const onWindowOpen = (window) => {
+                if (window.type === 'minecraft:crafting' || window.type === 'generic_3x3') {
+                  clearTimeout(timeout);
+                  bot.removeListener('windowOpen', onWindowOpen);
+                  this.logger.log(`[ツールスキル] windowOpen確認: ${window.type}`);
+                  // 少し待ってからresolve to ensure window is fully initialized
+                  setTimeout(resolve, 100);
+                }
+              };
+
+              bot.on('windowOpen', onWindowOpen);
+            });
+            await Cancellation.race(windowOpened, cancelToken, () => Cancellation.stopBot(bot));
+          }
+
+          // currentWindowの最終確認と追加待機
+          let windowCheckAttempts = 0;
+          const maxWindowCheckAttempts = 10;
+
+          while (!bot.currentWindow && windowCheckAttempts < maxWindowCheckAttempts) {
+            this.logger.log(`[ツールスキル] currentWindow待機中... (${windowCheckAttempts + 1}/${maxWindowCheckAttempts})`);
+            await new Promise(resolve => setTimeout(resolve, 200));
+            windowCheckAttempts++;
+          }
+
+          if (!bot.currentWindow) {
+            throw new Error('currentWindow is still null after extended waiting');
+          }
+
+          this.logger.log(`[ツールスキル] currentWindow確認: ${bot.currentWindow.type}`);
+
+          // クラフト直前の最終材料確認
+          const finalMaterialCheck = await this.verifyMaterialsBeforeCraft(bot, recipe);
+          if (!finalMaterialCheck.success) {
+            throw new Error(`Final material check failed: ${finalMaterialCheck.error}`);
+          }
+
+          // bot.craft() 呼び出しをPromiseでラップして適切なエラー処理
+          const craftPromise = bot.craft(recipe, 1, craftingTable);
+          const result = await Cancellation.race(Promise.race([
+            craftPromise,
+            new Promise((_resolve, reject) =>
+              setTimeout(() => reject(new Error('Craft timeout after 15 seconds')), 15000)
+            )
+          ]), cancelToken, () => Cancellation.stopBot(bot));
+
+          this.logger.log(`[ツールスキル] ${toolName}のクラフト結果:`, result);
+        } catch (craftError) {
+          this.logger.log(`[ツールスキル] 手動レシピでのクラフトに失敗: ${craftError.message}`);
+          throw craftError;
+        }
+        this.logger.log(`[ツールスキル] ${actualToolName}をクラフトしました！`);
+        bot.chat(`${actualToolName}をクラフトしました！ 🔨`);
+        craftedTools.push(actualToolName);
+      } catch (error) {
+        if (Cancellation.isCancellationError(error)) {
+          this.logger.log(`[ツールスキル] ${actualToolName}のクラフト中にキャンセルされました`);
+          return Cancellation.cancelledResult(cancelToken, { crafted: craftedTools });
+        }
+        this.logger.log(`[ツールスキル] ${actualToolName}のクラフトに失敗: ${error.message}`);
+        this.logger.log('[ツールスキル] レシピ詳細:', recipe ? JSON.stringify(recipe, null, 2) : 'null');
+        return { success: false, error: `Failed to craft ${actualToolName}: ${error.message}` };
+      }
+    }
+
+    if (craftedTools.length === tools.length) {
+      this.logger.log('[ツールスキル] 全てのツールを正常にクラフトしました。');
+      return { success: true, crafted: craftedTools };
+    } else if (craftedTools.length > 0) {
+      this.logger.log('[ツールスキル] 一部のツールをクラフトしました。');
+      return { success: true, crafted: craftedTools, message: '一部のツールをクラフトしました' };
+    } else {
+      this.logger.log('[ツールスキル] ツールをクラフトできませんでした。');
+      return { success: false, error: 'ツールをクラフトできませんでした' };
+    }
+  }
+
+  /**
+   * Verify materials are available before crafting
+   * @param {Object} bot - Mineflayer bot instance
+   * @param {Object} recipe - Recipe object to verify
+   * @returns {Object} verification result
+   */
+  async verifyMaterialsBeforeCraft(bot, recipe) {
+    const mcData = require('minecraft-data')(bot.version);
+
+    if (!recipe || !recipe.delta) {
+      return { success: false, error: 'Recipe or delta is null' };
+    }
+
+    // Get current inventory
+    const inventory = bot.inventory.items();
+    const inventoryMap = new Map();
+
+    for (const item of inventory) {
+      if (item && item.type !== null && item.type !== undefined) {
+        inventoryMap.set(item.type, (inventoryMap.get(item.type) || 0) + item.count);
+      }
+    }
+
+
+    // Check each required material
+    const missing = [];
+    for (const ingredient of recipe.delta) {
+      if (ingredient.count < 0) {
+        const needed = Math.abs(ingredient.count);
+        const available = inventoryMap.get(ingredient.id) || 0;
+
+        const itemData = mcData.items[ingredient.id];
+        const itemName = itemData ? itemData.name : `ID:${ingredient.id}`;
+
+
+        if (available < needed) {
+          missing.push({
+            item: itemName,
+            needed,
+            available,
+            shortage: needed - available
+          });
+        }
+      }
+    }
+
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `Missing materials: ${missing.map(m => `${m.item} (need ${m.shortage} more)`).join(', ')}`,
+        missing
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Generate ingredients array from inShape for mineflayer compatibility
+   * @param {Array} inShape - 3x3 crafting grid shape
+   * @returns {Array} ingredients array for mineflayer bot.craft()
+   */
+  generateIngredientsFromInShape(inShape) {
+    if (!inShape || !Array.isArray(inShape)) {
+      return [];
+    }
+
+    const ingredients = [];
+    const uniqueItems = new Set();
+
+    // Flatten inShape and collect unique non-null items
+    for (const row of inShape) {
+      if (Array.isArray(row)) {
+        for (const item of row) {
+          if (item !== null && item !== undefined && typeof item === 'number' && item !== 0 && item !== -1) {
+            uniqueItems.add(item);
+          }
+        }
+      }
+    }
+
+    // Convert to ingredients format expected by mineflayer
+    for (const itemId of uniqueItems) {
+      ingredients.push({
+        id: itemId,
+        count: 1 // mineflayer will calculate actual count from inShape
+      });
+    }
+
+    return ingredients;
+  }
+
+  /**
+   * Fix delta field to match inShape for recipe consistency
+   * @param {Array} delta - Original delta array
+   * @param {Array} inShape - 3x3 crafting grid shape
+   * @returns {Array} corrected delta array
+   */
+  fixDeltaFromInShape(delta, inShape) {
+    if (!delta || !inShape || !Array.isArray(delta) || !Array.isArray(inShape)) {
+      return delta;
+    }
+
+    this.logger.log('[レシピ修正] 元のinShape:', JSON.stringify(inShape));
+
+    // Count items in inShape
+    const itemCounts = new Map();
+    for (const row of inShape) {
+      if (Array.isArray(row)) {
+        for (const item of row) {
+          // Exclude null, undefined, Air (ID: 0), and empty slots (ID: -1)
+          if (item !== null && item !== undefined && typeof item === 'number' && item !== 0 && item !== -1) {
+            itemCounts.set(item, (itemCounts.get(item) || 0) + 1);
+          }
+        }
+      }
+    }
+
+    // Create corrected delta based on inShape
+    const correctedDelta = [];
+    for (const [itemId, count] of itemCounts) {
+      correctedDelta.push({
+        id: itemId,
+        count: -count // Negative because it's consumption
+      });
+    }
+
+    return correctedDelta;
+  }
+
+  /**
+   * Sanitize inShape array by replacing null / undefined cells with 0.
+   * Mineflayer 4.x では bot.craft 内部で inShape[row][col].id を参照するため
+   * null が残っていると「Cannot read properties of null (reading 'id')」が発生する。
+   * 0 は Air を意味し、mineflayer 側でスキップされる。
+   * @param {Array} inShape 3x3 shaped recipe grid
+   * @returns {Array} sanitized copy
+   */
+  sanitizeInShape(inShape) {
+    if (!Array.isArray(inShape)) return inShape;
+    return inShape.map(row =>
+      Array.isArray(row)
+        ? row.map(cell => {
+          // Handle null, undefined, and empty slots
+          if (cell == null || cell === undefined) return -1;
+
+          // -1 is a valid empty slot indicator in mineflayer
+          if (cell === -1) return -1;
+
+          // Handle objects that should be item IDs
+          if (typeof cell === 'object' && cell !== null) {
+          // If it's an object with an id property, use the id
+            if (cell.id !== undefined && typeof cell.id === 'number') {
+              return cell.id;
+            }
+            // Otherwise, this is invalid - return 0 (empty slot)
+            this.logger.log(`[sanitizeInShape] 無効なオブジェクトをスキップ: ${JSON.stringify(cell)}`);
+            return 0;
+          }
+
+          // Handle string item IDs - convert to number if possible
+          if (typeof cell === 'string') {
+            const numId = parseInt(cell, 10);
+            if (!isNaN(numId)) {
+              return numId;
+            }
+            // Invalid string - return 0
+            this.logger.log(`[sanitizeInShape] 無効な文字列ID: ${cell}`);
+            return 0;
+          }
+
+          // Handle number item IDs
+          if (typeof cell === 'number') {
+            return cell;
+          }
+
+          // Unknown type - return 0
+          this.logger.log(`[sanitizeInShape] 未知のタイプ: ${typeof cell}, 値: ${cell}`);
+          return 0;
+        })
+        : row
+    );
+  }
+
+  async getMissingMaterialsForActualRecipe(bot, recipe) {
+    const mcData = require('minecraft-data')(bot.version);
+    const InventoryUtils = require('./InventoryUtils');
+
+    if (!recipe || !recipe.delta) {
+      return [{ item: 'unknown', needed: 1, reason: 'Invalid recipe' }];
+    }
+
+    const missing = [];
+
+    // Use the actual recipe delta for accurate material checking
+    for (const ingredient of recipe.delta) {
+      if (ingredient.count < 0) {
+        // Negative count means required material
+        const needed = Math.abs(ingredient.count);
+        const itemName = mcData.items[ingredient.id]?.name || mcData.blocks[ingredient.id]?.name || `item_${ingredient.id}`;
+
+        // Check if we can substitute this material (especially for wood planks and sticks)
+        const substitutionInfo = InventoryUtils.canSubstituteMaterial(bot, itemName, needed);
+
+        if (!substitutionInfo.canSubstitute) {
+          missing.push({
+            item: itemName,
+            needed: needed - substitutionInfo.availableCount,
+            have: substitutionInfo.availableCount,
+            substitutionType: substitutionInfo.substitutionType,
+            possibleSubstitutes: substitutionInfo.substitutes
+          });
+        } else if (substitutionInfo.substitutionType === 'wood_plank') {
+          // Log successful wood plank substitution
+          this.logger.log(`[材料チェック] 木材代替可能: ${itemName} (必要:${needed}) -> 利用可能合計:${substitutionInfo.availableCount}`);
+          this.logger.log(`[材料チェック] 利用可能木材: ${JSON.stringify(substitutionInfo.substitutes)}`);
+        } else if (substitutionInfo.substitutionType === 'stick_from_planks') {
+          // Need to craft sticks from planks - add to missing for processing
+          const currentSticks = substitutionInfo.substitutes.stick || 0;
+          const sticksNeeded = needed - currentSticks;
+          if (sticksNeeded > 0) {
+            this.logger.log(`[材料チェック] スティック不足: ${itemName} (必要:${needed}, 現在:${currentSticks}) -> ${sticksNeeded}個を板材から作成が必要`);
+            missing.push({
+              item: itemName,
+              needed: sticksNeeded,
+              have: currentSticks,
+              substitutionType: substitutionInfo.substitutionType,
+              possibleSubstitutes: substitutionInfo.substitutes
+            });
+          } else {
+            this.logger.log(`[材料チェック] スティック十分: ${itemName} (必要:${needed}) -> 利用可能:${currentSticks}`);
+          }
+        } else if (substitutionInfo.substitutionType === 'exact_match') {
+          // Log successful exact match
+          this.logger.log(`[材料チェック] 材料十分: ${itemName} (必要:${needed}) -> 利用可能:${substitutionInfo.availableCount}`);
+        }
+      }
+    }
+    return missing;
+  }
+
+  async getMissingMaterialsForRecipe(bot, itemId, craftingTable) {
+    const mcData = require('minecraft-data')(bot.version);
+    const InventoryUtils = require('./InventoryUtils');
+
+    const itemName = mcData.items[itemId]?.name || 'unknown';
+
+    // Special handling for wooden tools: use optimized recipe
+    let recipe = null;
+    if (itemName && itemName.includes('wooden_')) {
+      recipe = await SkillLibrary.getOptimizedWoodenToolRecipe(bot, itemName, 1, craftingTable);
+      if (recipe) {
+        this.logger.log(`[材料チェック] 木材最適化レシピを使用: ${itemName}`);
+      }
+    }
+
+    if (!recipe) {
+      try {
+        const recipes = bot.recipesFor(itemId, null, 1, craftingTable);
+        if (recipes.length > 0) {
+          recipe = recipes[0];
+        }
+      } catch (error) {
+        this.logger.log(`[材料チェック] bot.recipesFor failed: ${error.message}`);
+      }
+    }
+
+    // If bot.recipesFor failed, use minecraft-data direct search
+    if (!recipe) {
+      const directRecipes = mcData.recipes[itemId];
+      if (directRecipes && Array.isArray(directRecipes) && directRecipes.length > 0) {
+        const rawRecipe = directRecipes[0];
+        recipe = {
+          id: itemId,
+          result: rawRecipe.result || { id: itemId, count: 1 },
+          delta: [],
+          inShape: rawRecipe.inShape || null,
+          ingredients: rawRecipe.ingredients || null
+        };
+
+        // Convert materials to delta format with proper counting
+        if (rawRecipe.ingredients) {
+          const ingredientCounts = new Map();
+          rawRecipe.ingredients.forEach(ingredientId => {
+            ingredientCounts.set(ingredientId, (ingredientCounts.get(ingredientId) || 0) + 1);
+          });
+          recipe.delta = Array.from(ingredientCounts.entries()).map(([id, count]) => ({
+            id,
+            count: -count // Negative count means required material
+          }));
+        } else if (rawRecipe.inShape) {
+          const ingredientCounts = new Map();
+          rawRecipe.inShape.flat().forEach(id => {
+            if (id !== null && id !== undefined && id !== 0) {
+              ingredientCounts.set(id, (ingredientCounts.get(id) || 0) + 1);
+            }
+          });
+          recipe.delta = Array.from(ingredientCounts.entries()).map(([id, count]) => ({
+            id,
+            count: -count // Negative count means required material
+          }));
+        }
+      }
+    }
+
+    if (!recipe) {
+      return [{ item: 'unknown', needed: 1, reason: 'No recipe found' }];
+    }
+
+    const missing = [];
+
+    // Use recipe.delta instead of recipe.ingredients for better compatibility
+    const ingredients = recipe.delta || recipe.ingredients || [];
+    for (const ingredient of ingredients) {
+      if (ingredient.count < 0) {
+        // Negative count means required material
+        const needed = Math.abs(ingredient.count);
+        const itemName = mcData.items[ingredient.id]?.name || mcData.blocks[ingredient.id]?.name || `item_${ingredient.id}`;
+
+        // Check if we can substitute this material (especially for wood planks and sticks)
+        const substitutionInfo = InventoryUtils.canSubstituteMaterial(bot, itemName, needed);
+
+        if (!substitutionInfo.canSubstitute) {
+          missing.push({
+            item: itemName,
+            needed: needed - substitutionInfo.availableCount,
+            have: substitutionInfo.availableCount,
+            substitutionType: substitutionInfo.substitutionType,
+            possibleSubstitutes: substitutionInfo.substitutes
+          });
+        } else if (substitutionInfo.substitutionType === 'wood_plank') {
+          // Log successful wood plank substitution
+          this.logger.log(`[材料チェック] 木材代替可能: ${itemName} (必要:${needed}) -> 利用可能合計:${substitutionInfo.availableCount}`);
+          this.logger.log(`[材料チェック] 利用可能木材: ${JSON.stringify(substitutionInfo.substitutes)}`);
+        } else if (substitutionInfo.substitutionType === 'stick_from_planks') {
+          // Log successful stick substitution using planks
+          this.logger.log(`[材料チェック] スティック代替可能: ${itemName} (必要:${needed}) -> 現在のスティック:${substitutionInfo.substitutes.stick}, 板材から作成可能`);
+          this.logger.log(`[材料チェック] 板材利用可能: ${substitutionInfo.substitutes.planks_available}個, 必要: ${substitutionInfo.substitutes.planks_needed}個`);
+        } else if (substitutionInfo.substitutionType === 'exact_match') {
+          // Log successful exact match
+          this.logger.log(`[材料チェック] 材料十分: ${itemName} (必要:${needed}) -> 利用可能:${substitutionInfo.availableCount}`);
+        }
+      }
+    }
+    return missing;
+  }
+
+  async ensureWorkbench(bot) {
+    this.logger.log('[ツールスキル] 作業台の確保を開始...');
+
+    // Check if a workbench is already placed nearby
+    const workbench = bot.findBlock({
+      matching: (block) => block && block.name === 'crafting_table',
+      maxDistance: 8
+    });
+
+    if (workbench) {
+      this.logger.log(`[ツールスキル] 近くに作業台を発見: ${workbench.position}`);
+      return { success: true, workbench };
+    }
+
+    // Check if we have a crafting table in inventory
+    if (InventoryUtils.hasItem(bot, 'crafting_table', 1, true)) {
+      this.logger.log('[ツールスキル] インベントリに作業台があります。設置を試みます...');
+      const placeResult = await this.placeCraftingTable(bot);
+      if (placeResult.success) {
+        return { success: true, workbench: placeResult.workbench };
+      } else {
+        this.logger.log(`[ツールスキル] 作業台の設置に失敗: ${placeResult.error}`);
+        return { success: false, error: `作業台の設置に失敗: ${placeResult.error}` };
+      }
+    }
+
+    // If not, try to craft one
+    this.logger.log('[ツールスキル] 作業台がありません。作成を試みます...');
+    const craftWorkbenchSkill = new CraftWorkbenchSkill();
+    const craftResult = await craftWorkbenchSkill.execute(bot, {});
+
+    if (craftResult.success) {
+      this.logger.log('[ツールスキル] 作業台の作成に成功しました。設置を試みます...');
+      const placeResult = await this.placeCraftingTable(bot);
+      if (placeResult.success) {
+        return { success: true, workbench: placeResult.workbench };
+      } else {
+        this.logger.log(`[ツールスキル] 作成した作業台の設置に失敗: ${placeResult.error}`);
+        return { success: false, error: `作成した作業台の設置に失敗: ${placeResult.error}` };
+      }
+    } else {
+      this.logger.log(`[ツールスキル] 作業台の作成に失敗: ${craftResult.error}`);
+      return { success: false, error: `作業台の作成に失敗: ${craftResult.error}` };
+    }
+  }
+
+  async placeCraftingTable(bot) {
+    this.logger.log('[ツールスキル] 作業台の設置場所を探しています...');
+
+    // Blocks that should be avoided as reference blocks (jungle biome problematic blocks)
+    const avoidableBlocks = [
+      'vine', 'jungle_log', 'oak_log', 'spruce_log', 'birch_log', 'acacia_log', 'dark_oak_log',
+      'mangrove_log', 'cherry_log', 'jungle_leaves', 'oak_leaves', 'spruce_leaves', 'birch_leaves',
+      'acacia_leaves', 'dark_oak_leaves', 'mangrove_leaves', 'cherry_leaves', 'azalea_leaves',
+      'flowering_azalea_leaves', 'grass', 'tall_grass', 'fern', 'large_fern', 'dead_bush',
+      'seagrass', 'tall_seagrass', 'kelp', 'bamboo', 'sugar_cane', 'cactus', 'cocoa'
+    ];
+
+    // Generate more placement positions with extended search range
+    const placementPositions = [];
+
+    // Close positions (radius 1-2)
+    for (let x = -2; x <= 2; x++) {
+      for (let z = -2; z <= 2; z++) {
+        if (x === 0 && z === 0) continue; // Skip bot's position
+        placementPositions.push(new Vec3(x, -1, z)); // Below bot level
+        placementPositions.push(new Vec3(x, 0, z)); // Same level as bot
+      }
+    }
+
+    // Extended positions (radius 3-4) for difficult situations
+    for (let x = -4; x <= 4; x++) {
+      for (let z = -4; z <= 4; z++) {
+        if (Math.abs(x) < 3 && Math.abs(z) < 3) continue; // Skip already covered positions
+        placementPositions.push(new Vec3(x, -1, z)); // Below bot level
+        placementPositions.push(new Vec3(x, 0, z)); // Same level as bot
+      }
+    }
+
+    this.logger.log(`[ツールスキル] 設置候補位置を生成: ${placementPositions.length}個`);
+
+    // Try to find suitable placement location
+    for (const offset of placementPositions) {
+      const refBlock = bot.blockAt(bot.entity.position.offset(offset.x, offset.y, offset.z));
+
+      // Skip invalid reference blocks
+      if (!refBlock || refBlock.name === 'air' || refBlock.name === 'water' || refBlock.name === 'lava') {
+        continue;
+      }
+
+      // Skip problematic blocks (vine, logs, leaves, etc.)
+      if (avoidableBlocks.includes(refBlock.name)) {
+        continue;
+      }
+
+      // Check if reference block is solid and can support placement
+      if (!refBlock.boundingBox || refBlock.boundingBox === 'empty') {
+        continue;
+      }
+
+      // Check if target position is free and accessible
+      const targetPos = refBlock.position.offset(0, 1, 0);
+      const targetBlock = bot.blockAt(targetPos);
+      if (targetBlock && targetBlock.name !== 'air') {
+        continue;
+      }
+
+      // Additional check for space above (2 blocks high clearance)
+      const aboveTarget = bot.blockAt(targetPos.offset(0, 1, 0));
+      if (aboveTarget && aboveTarget.name !== 'air') {
+        continue;
+      }
+
+      // Check if bot can reach the placement position
+      const distanceToTarget = bot.entity.position.distanceTo(targetPos);
+      if (distanceToTarget > 6) {
+        continue;
+      }
+
+      this.logger.log(`[ツールスキル] 設置候補位置を検証: ${targetPos.toString()}, 距離: ${distanceToTarget.toFixed(2)}`);
+      this.logger.log(`[ツールスキル] 参照ブロック: ${refBlock.name} at ${refBlock.position.toString()}`);
+
+      try {
+        const craftingTableItem = bot.inventory.items().find(item => item && item.name === 'crafting_table');
+        if (!craftingTableItem) {
+          this.logger.log('[ツールスキル] インベントリに作業台がありません。');
+          return { success: false, error: 'インベントリに作業台がありません' };
+        }
+
+        await bot.equip(craftingTableItem, 'hand');
+
+        // Retry mechanism for blockUpdate timeout with proper event waiting
+        for (let attempt = 1; attempt <= 3; attempt++) {
+          try {
+            this.logger.log(`[ツールスキル] 作業台設置試行 ${attempt}/3 at ${targetPos}`);
+
+            // Create blockUpdate promise BEFORE placing block
+            let blockUpdateResolve, blockUpdateReject;
+            const blockUpdatePromise = new Promise((resolve, reject) => {
+              blockUpdateResolve = resolve;
+              blockUpdateReject = reject;
+            });
+
+            const timeout = setTimeout(() => {
+              bot.removeListener('blockUpdate', onBlockUpdate);
+              blockUpdateReject(new Error('blockUpdate timeout'));
+            }, 8000);
+
+            const onBlockUpdate = (_oldBlock, newBlock) => {
+              if (newBlock && newBlock.position.equals(targetPos) && newBlock.name === 'crafting_table') {
+                clearTimeout(timeout);
+                bot.removeListener('blockUpdate', onBlockUpdate);
+                blockUpdateResolve(newBlock);
+              }
+            };
+
+            // Set up listener BEFORE placing block
+            bot.on('blockUpdate', onBlockUpdate);
+
+            try {
+              // Place the block
+              await bot.placeBlock(refBlock, new Vec3(0, 1, 0));
+
+              // Wait for either blockUpdate event or timeout
+              const updatedBlock = await blockUpdatePromise;
+              this.logger.log('[ツールスキル] 作業台を正常に設置しました！');
+              return { success: true, workbench: updatedBlock };
+            } catch (eventError) {
+              // Clean up listener on error
+              clearTimeout(timeout);
+              bot.removeListener('blockUpdate', onBlockUpdate);
+
+              this.logger.log(`[ツールスキル] blockUpdate待機エラー: ${eventError.message}`);
+
+              // Fallback: Direct verification after short delay
+              await new Promise(resolve => setTimeout(resolve, 1000));
+              const placedBlock = bot.blockAt(targetPos);
+              if (placedBlock && placedBlock.name === 'crafting_table') {
+                this.logger.log('[ツールスキル] 作業台設置を直接確認で検証成功！');
+                return { success: true, workbench: placedBlock };
+              }
+            }
+          } catch (error) {
+            this.logger.log(`[ツールスキル] 設置試行 ${attempt} 失敗: ${error.message}`);
+
+            // Wait before retry
+            if (attempt < 3) {
+              await new Promise(resolve => setTimeout(resolve, 1500));
+            }
+          }
+        }
+
+        // If all retries failed, try next position
+        this.logger.log(`[ツールスキル] 位置 ${targetPos.toString()} での設置に失敗、次の位置を試行...`);
+      } catch (error) {
+        this.logger.log(`[ツールスキル] 設置準備エラー at ${targetPos ? targetPos.toString() : 'unknown'}: ${error.message}`);
+        this.logger.log(`[ツールスキル] エラースタック: ${error.stack}`);
+        continue;
+      }
+    }
+
+    // If standard placement failed, try terrain modification approach
+    this.logger.log('[ツールスキル] 通常の設置位置が見つかりませんでした。地形を整備して設置場所を作成します...');
+    const terrainResult = await this.createCraftingTableSpot(bot);
+    if (terrainResult.success) {
+      return terrainResult;
+    }
+
+    // Enhanced error reporting
+    const botPos = bot.entity.position;
+    const inventoryItems = bot.inventory.items().map(item => item.name).join(', ');
+
+    this.logger.log('[ツールスキル] 作業台設置失敗の詳細情報:');
+    this.logger.log(`[ツールスキル] - ボット位置: ${botPos.toString()}`);
+    this.logger.log(`[ツールスキル] - 試行した位置数: ${placementPositions.length}`);
+    this.logger.log('[ツールスキル] - インベントリ:', inventoryItems);
+    this.logger.log('[ツールスキル] - 周辺ブロック情報:');
+
+    // Show first 10 positions for debugging
+    for (let i = 0; i < Math.min(10, placementPositions.length); i++) {
+      const offset = placementPositions[i];
+      const refBlock = bot.blockAt(botPos.offset(offset.x, offset.y, offset.z));
+      const targetPos = refBlock ? refBlock.position.offset(0, 1, 0) : null;
+      const targetBlock = targetPos ? bot.blockAt(targetPos) : null;
+
+      const refName = refBlock ? refBlock.name : 'null';
+      const targetName = targetBlock ? targetBlock.name : 'null';
+      this.logger.log(`[ツールスキル]   位置${i + 1}: 参照=${refName}, ターゲット=${targetName}`);
+    }
+
+    return {
+      success: false,
+      error: '全ての設置位置で作業台の設置に失敗しました',
+      details: {
+        botPosition: botPos.toString(),
+        attemptedPositions: placementPositions.length,
+        inventoryItems
+      }
+    };
+  }
+
+  // New method to create a crafting table spot by modifying terrain
+  async createCraftingTableSpot(bot) {
+    this.logger.log('[ツールスキル] 地形を整備して作業台設置場所を作成します...');
+
+    const botPos = bot.entity.position;
+    // First try to find existing solid ground
+    const candidatePositions = [];
+
+    // Add positions in expanding circles
+    for (let radius = 1; radius <= 4; radius++) {
+      for (let x = -radius; x <= radius; x++) {
+        for (let z = -radius; z <= radius; z++) {
+          if (Math.abs(x) === radius || Math.abs(z) === radius) {
+            candidatePositions.push(new Vec3(x, 0, z));
+          }
+        }
+      }
+    }
+
+    // Sort by distance from bot
+    candidatePositions.sort((a, b) => {
+      const distA = Math.sqrt(a.x * a.x + a.z * a.z);
+      const distB = Math.sqrt(b.x * b.x + b.z * b.z);
+      return distA - distB;
+    });
+
+    for (const offset of candidatePositions) {
+      const targetPos = botPos.offset(offset.x, offset.y, offset.z);
+      const groundPos = targetPos.offset(0, -1, 0);
+
+      this.logger.log(`[ツールスキル] 地形整備候補位置: ${targetPos.toString()}`);
+
+      try {
+        // Check if position is reachable
+        const distance = botPos.distanceTo(targetPos);
+        if (distance > 6) {
+          continue;
+        }
+
+        // Check what's at the target position
+        const targetBlock = bot.blockAt(targetPos);
+        const groundBlock = bot.blockAt(groundPos);
+        const aboveBlock = bot.blockAt(targetPos.offset(0, 1, 0));
+
+        this.logger.log(`[ツールスキル] 地形状況: 地面=${groundBlock?.name || 'null'}, 設置位置=${targetBlock?.name || 'null'}, 上方=${aboveBlock?.name || 'null'}`);
+
+        // If ground block exists and is solid, try to place directly
+        if (groundBlock && groundBlock.name !== 'air' && groundBlock.name !== 'water') {
+          if (targetBlock && targetBlock.name === 'air') {
+            try {
+              const craftingTableItem = bot.inventory.items().find(item => item && item.name === 'crafting_table');
+              if (craftingTableItem) {
+                await bot.equip(craftingTableItem, 'hand');
+                await bot.placeBlock(groundBlock, new Vec3(0, 1, 0));
+
+                // Verify placement
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                const placedBlock = bot.blockAt(targetPos);
+                if (placedBlock && placedBlock.name === 'crafting_table') {
+                  this.logger.log('[ツールスキル] 作業台設置に成功しました！');
+                  return { success: true, workbench: placedBlock };
+                }
+              }
+            } catch (placeError) {
+              this.logger.log(`[ツールスキル] 直接設置失敗: ${placeError.message}`);
+            }
+          }
+        }
+
+        // If target position is blocked, try to clear it
+        if (targetBlock && targetBlock.name !== 'air') {
+          this.logger.log(`[ツールスキル] 設置位置をクリア: ${targetBlock.name}`);
+          try {
+            await bot.dig(targetBlock);
+            await new Promise(resolve => setTimeout(resolve, 500)); // Wait for dig to complete
+          } catch (digError) {
+            this.logger.log(`[ツールスキル] ブロック除去失敗: ${digError.message}`);
+            continue;
+          }
+        }
+
+        // If above position is blocked, try to clear it
+        if (aboveBlock && aboveBlock.name !== 'air') {
+          this.logger.log(`[ツールスキル] 上方スペースをクリア: ${aboveBlock.name}`);
+          try {
+            await bot.dig(aboveBlock);
+            await new Promise(resolve => setTimeout(resolve, 500)); // Wait for dig to complete
+          } catch (digError) {
+            this.logger.log(`[ツールスキル] 上方ブロック除去失敗: ${digError.message}`);
+            continue;
+          }
+        }
+
+        // If no ground block, try to create one with available blocks
+        if (!groundBlock || groundBlock.name === 'air') {
+          this.logger.log('[ツールスキル] 地面ブロックがありません。利用可能なブロックで地面を作成します...');
+
+          // Find any solid block we can use for ground
+          const availableBlocks = bot.inventory.items().filter(item =>
+            item && item.name && ['dirt', 'cobblestone', 'stone', 'oak_planks'].includes(item.name)
+          );
+
+          if (availableBlocks.length > 0) {
+            const blockToPlace = availableBlocks[0];
+            try {
+              await bot.equip(blockToPlace, 'hand');
+
+              // Find a solid reference block nearby to place against
+              const searchRadius = 3;
+              let refBlock = null;
+
+              for (let x = -searchRadius; x <= searchRadius; x++) {
+                for (let y = -searchRadius; y <= searchRadius; y++) {
+                  for (let z = -searchRadius; z <= searchRadius; z++) {
+                    const checkPos = groundPos.offset(x, y, z);
+                    const checkBlock = bot.blockAt(checkPos);
+                    if (checkBlock && checkBlock.name !== 'air' && checkBlock.name !== 'water') {
+                      refBlock = checkBlock;
+                      break;
+                    }
+                  }
+                  if (refBlock) break;
+                }
+                if (refBlock) break;
+              }
+
+              if (refBlock) {
+                // Calculate face vector from reference block to ground position
+                const faceVector = groundPos.minus(refBlock.position);
+                await bot.placeBlock(refBlock, faceVector);
+                this.logger.log(`[ツールスキル] ${blockToPlace.name}で地面を作成しました`);
+                await new Promise(resolve => setTimeout(resolve, 800));
+              } else {
+                this.logger.log('[ツールスキル] 地面作成用の参照ブロックが見つかりません');
+                continue;
+              }
+            } catch (placeError) {
+              this.logger.log(`[ツールスキル] 地面作成失敗: ${placeError.message}`);
+              continue;
+            }
+          } else {
+            this.logger.log('[ツールスキル] 地面作成用のブロックがありません');
+            continue;
+          }
+        }
+
+        // Now try to place the crafting table
+        const finalGroundBlock = bot.blockAt(groundPos);
+        if (finalGroundBlock && finalGroundBlock.name !== 'air') {
+          try {
+            const craftingTableItem = bot.inventory.items().find(item => item && item.name === 'crafting_table');
+            if (!craftingTableItem) {
+              return { success: false, error: 'インベントリに作業台がありません' };
+            }
+
+            await bot.equip(craftingTableItem, 'hand');
+            await bot.placeBlock(finalGroundBlock, new Vec3(0, 1, 0));
+
+            // Verify placement
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const placedBlock = bot.blockAt(targetPos);
+            if (placedBlock && placedBlock.name === 'crafting_table') {
+              this.logger.log('[ツールスキル] 地形整備後の作業台設置に成功しました！');
+              return { success: true, workbench: placedBlock };
+            }
+          } catch (placeError) {
+            this.logger.log(`[ツールスキル] 地形整備後の設置失敗: ${placeError.message}`);
+            continue;
+          }
+        }
+      } catch (error) {
+        this.logger.log(`[ツールスキル] 地形整備エラー: ${error.message}`);
+        continue;
+      }
+    }
+
+    return { success: false, error: '地形整備による設置場所作成に失敗しました' };
+  }
+
+  // Simple wood gathering method for CraftToolsSkill
+  async simpleWoodGathering(bot) {
+    this.logger.log('[材料収集] 木材の自動収集を開始...');
+
+    try {
+      // Find a nearby tree
+      const tree = bot.findBlock({
+        matching: (block) => block && block.name.includes('_log'),
+        maxDistance: 64
+      });
+
+      if (!tree) {
+        this.logger.log('[材料収集] 近くに木が見つかりません');
+        return { success: false, error: '木が見つかりません' };
+      }
+
+      this.logger.log(`[材料収集] 木材を発見: ${tree.position}`);
+
+      // Basic movement to the tree
+      try {
+        await bot.lookAt(tree.position);
+        const distance = bot.entity.position.distanceTo(tree.position);
+
+        if (distance > 4) {
+          bot.setControlState('forward', true);
+          await new Promise(resolve => setTimeout(resolve, Math.min(distance * 500, 3000)));
+          bot.setControlState('forward', false);
+        }
+
+        // Mine the tree
+        await bot.dig(tree);
+        this.logger.log(`[材料収集] ${tree.name}を収集しました`);
+
+        // Wait for inventory update to sync
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        // Verify collection with detailed logging
+        const postCollectionInventory = bot.inventory.items();
+        this.logger.log(`[材料収集] 収集後インベントリ検査: ${postCollectionInventory.length}個のアイテム`);
+        postCollectionInventory.forEach(item => {
+          this.logger.log(`[材料収集] - ${item.name}: ${item.count}個`);
+        });
+
+        return { success: true };
+      } catch (error) {
+        this.logger.log(`[材料収集] 木材収集に失敗: ${error.message}`);
+        return { success: false, error: `木材収集失敗: ${error.message}` };
+      }
+    } catch (error) {
+      this.logger.log(`[材料収集] 木材収集中にエラー: ${error.message}`);
+      return { success: false, error: `収集エラー: ${error.message}` };
+    }
+  }
+
+  // Improved inventory detection methods
+  countPlankItems(bot) {
+    // Use InventoryUtils for consistent detection
+    const totalPlanks = InventoryUtils.getPlanksCount(bot);
+    this.logger.log(`[インベントリ検出] 板材総数: ${totalPlanks}`);
+
+    // Debug: Show all plank items found
+    const plankItems = InventoryUtils.findItemsByPattern(bot, '_planks');
+    plankItems.forEach(item => {
+      this.logger.log(`[インベントリ検出] 発見した板材: ${item.name} x${item.count}`);
+    });
+
+    return totalPlanks;
+  }
+
+  countLogItems(bot) {
+    // Use InventoryUtils for consistent detection
+    const totalLogs = InventoryUtils.getWoodCount(bot);
+    this.logger.log(`[インベントリ検出] 原木総数: ${totalLogs}`);
+
+    // Debug: Show all log items found
+    const logItems = InventoryUtils.findItemsByPattern(bot, '_log');
+    logItems.forEach(item => {
+      this.logger.log(`[インベントリ検出] 発見した原木: ${item.name} x${item.count}`);
+    });
+
+    return totalLogs;
+  }
+
+  countItemsInInventoryByName(bot, itemName) {
+    // Use InventoryUtils for consistent detection
+    return InventoryUtils.getItemCount(bot, itemName);
+  }
+
+  // On-demand log to plank conversion
+  async convertLogsToPlanksDemand(bot, logsToCraft) {
+    this.logger.log(`[オンデマンド変換] ${logsToCraft}個の原木を板材に変換します`);
+
+    try {
+      const mcData = require('minecraft-data')(bot.version);
+
+      // Find the first log type in inventory
+      const logItem = bot.inventory.items().find(item =>
+        item && item.name && InventoryUtils.isLog(item.name)
+      );
+
+      if (!logItem) {
+        return { success: false, error: 'インベントリに原木がありません' };
+      }
+
+      // Get corresponding plank name
+      const plankName = InventoryUtils.plankNameFor(logItem.name);
+      const plankItem = mcData.itemsByName[plankName];
+
+      if (!plankItem) {
+        return { success: false, error: `対応する板材(${plankName})が見つかりません` };
+      }
+
+      // Get recipe for planks
+      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, plankItem.id, 1, null);
+      if (!plankRecipe) {
+        return { success: false, error: `${plankName}のレシピが見つかりません` };
+      }
+
+      // Convert logs to planks (one log = 4 planks)
+      const totalConversions = Math.min(logsToCraft, logItem.count);
+
+      for (let i = 0; i < totalConversions; i++) {
+        try {
+          await bot.craft(plankRecipe, 1, null);
+          this.logger.log(`[オンデマンド変換] ${logItem.name} → ${plankName} (${i + 1}/${totalConversions})`);
+        } catch (craftError) {
+          this.logger.log(`[オンデマンド変換] クラフトエラー: ${craftError.message}`);
+          if (i === 0) {
+            return { success: false, error: `クラフト失敗: ${craftError.message}` };
+          }
+          break;
+        }
+      }
+
+      const convertedPlanks = this.countPlankItems(bot);
+      this.logger.log(`[オンデマンド変換] 変換完了: ${convertedPlanks}個の板材を確保`);
+      return { success: true, planksConverted: convertedPlanks };
+    } catch (error) {
+      this.logger.log(`[オンデマンド変換] エラー: ${error.message}`);
+      return { success: false, error: `変換エラー: ${error.message}` };
+    }
+  }
+
+  async convertLogsToPlanksDynamic(bot, planksNeeded) {
+    this.logger.log(`[動的変換] ${planksNeeded}個の板材が必要、原木から変換します`);
+
+    try {
+      const mcData = require('minecraft-data')(bot.version);
+
+      // Find the first log type in inventory
+      const logItem = bot.inventory.items().find(item =>
+        item && item.name && InventoryUtils.isLog(item.name)
+      );
+
+      if (!logItem) {
+        return { success: false, error: 'インベントリに原木がありません' };
+      }
+
+      // Get corresponding plank name
+      const plankName = InventoryUtils.plankNameFor(logItem.name);
+      const plankItem = mcData.itemsByName[plankName];
+
+      if (!plankItem) {
+        return { success: false, error: `対応する板材(${plankName})が見つかりません` };
+      }
+
+      // Get recipe for planks
+      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, plankItem.id, 1, null);
+      if (!plankRecipe) {
+        return { success: false, error: `${plankName}のレシピが見つかりません` };
+      }
+
+      // Calculate how many logs we need (1 log = 4 planks)
+      const logsNeeded = Math.ceil(planksNeeded / 4);
+      const totalConversions = Math.min(logsNeeded, logItem.count);
+
+      let totalPlanksConverted = 0;
+      for (let i = 0; i < totalConversions; i++) {
+        try {
+          await bot.craft(plankRecipe, 1, null);
+          totalPlanksConverted += 4; // Each log produces 4 planks
+          this.logger.log(`[動的変換] ${logItem.name} → ${plankName} (${i + 1}/${totalConversions})`);
+
+          // Check if we have enough planks now
+          if (totalPlanksConverted >= planksNeeded) {
+            break;
+          }
+        } catch (craftError) {
+          this.logger.log(`[動的変換] クラフトエラー: ${craftError.message}`);
+          if (i === 0) {
+            return { success: false, error: `クラフト失敗: ${craftError.message}` };
+          }
+          break;
+        }
+      }
+
+      this.logger.log(`[動的変換] 変換完了: ${totalPlanksConverted}個の板材を作成`);
+      return { success: true, converted: totalPlanksConverted };
+    } catch (error) {
+      this.logger.log(`[動的変換] エラー: ${error.message}`);
+      return { success: false, error: `変換エラー: ${error.message}` };
+    }
+  }
+
+  async createStickFromPlanks(bot, sticksNeeded) {
+    this.logger.log(`[スティック作成] ${sticksNeeded}本のスティックが必要、板材から作成します`);
+
+    try {
+      const mcData = require('minecraft-data')(bot.version);
+
+      // Find planks in inventory
+      const plankItems = bot.inventory.items().filter(item =>
+        item && item.name && item.name.includes('_planks')
+      );
+
+      if (plankItems.length === 0) {
+        return { success: false, error: 'インベントリに板材がありません' };
+      }
+
+      const stickItem = mcData.itemsByName.stick;
+      if (!stickItem) {
+        return { success: false, error: 'スティックアイテムが見つかりません' };
+      }
+
+      const stickRecipe = await SkillLibrary.getRecipeSafe(bot, stickItem.id, 1, null);
+      if (!stickRecipe) {
+        return { success: false, error: 'スティックのレシピが見つかりません' };
+      }
+
+      // Calculate how many crafting operations we need (1 craft = 4 sticks, needs 2 planks)
+      const craftsNeeded = Math.ceil(sticksNeeded / 4);
+      const planksNeeded = craftsNeeded * 2;
+
+      // Check if we have enough planks
+      const totalPlanks = plankItems.reduce((sum, item) => sum + item.count, 0);
+      if (totalPlanks < planksNeeded) {
+        return { success: false, error: `板材不足: 必要${planksNeeded}個, 所持${totalPlanks}個` };
+      }
+
+      let totalSticksCreated = 0;
+      for (let i = 0; i < craftsNeeded; i++) {
+        try {
+          await bot.craft(stickRecipe, 1, null);
+          totalSticksCreated += 4; // Each craft produces 4 sticks
+          this.logger.log(`[スティック作成] 板材 → スティック (${i + 1}/${craftsNeeded})`);
+
+          // Check if we have enough sticks now
+          if (totalSticksCreated >= sticksNeeded) {
+            break;
+          }
+        } catch (craftError) {
+          this.logger.log(`[スティック作成] クラフトエラー: ${craftError.message}`);
+          if (i === 0) {
+            return { success: false, error: `クラフト失敗: ${craftError.message}` };
+          }
+          break;
+        }
+      }
+
+      this.logger.log(`[スティック作成] 作成完了: ${totalSticksCreated}本のスティックを作成`);
+      return { success: true, created: totalSticksCreated };
+    } catch (error) {
+      this.logger.log(`[スティック作成] エラー: ${error.message}`);
+      return { success: false, error: `作成エラー: ${error.message}` };
+    }
+  }
+}
+
+class CraftWorkbenchSkill extends Skill {
+  constructor() {
+    super('craft_workbench', 'Crafts a crafting table from planks, with automatic log-to-plank conversion', {
+      autoPlace: { type: 'boolean', default: true, description: '作成後に作業台を設置するか' }
+    }, {
+      contract: {
+        postconditions: [{
+          type: 'any',
+          conditions: [
+            { type: 'has_item', item: 'crafting_table' },
+            { type: 'block_nearby', block: 'crafting_table', maxDistance: 8 }
+          ]
+        }]
+      }
+    });
+  }
+
+  // Improved inventory detection methods for CraftWorkbenchSkill
+  countPlankItems(bot) {
+    // Use InventoryUtils for consistent detection
+    const totalPlanks = InventoryUtils.getPlanksCount(bot);
+    this.logger.log(`[インベントリ検出] 板材総数: ${totalPlanks}`);
+
+    // Debug: Show all plank items found
+    const plankItems = InventoryUtils.findItemsByPattern(bot, '_planks');
+    plankItems.forEach(item => {
+      this.logger.log(`[インベントリ検出] 発見した板材: ${item.name} x${item.count}`);
+    });
+
+    return totalPlanks;
+  }
+
+  countLogItems(bot) {
+    // Use InventoryUtils for consistent detection
+    const totalLogs = InventoryUtils.getWoodCount(bot);
+    this.logger.log(`[インベントリ検出] 原木総数: ${totalLogs}`);
+
+    // Debug: Show all log items found
+    const logItems = InventoryUtils.findItemsByPattern(bot, '_log');
+    logItems.forEach(item => {
+      this.logger.log(`[インベントリ検出] 発見した原木: ${item.name} x${item.count}`);
+    });
+
+    return totalLogs;
+  }
+
+  countItemsInInventoryByName(bot, itemName) {
+    // Use InventoryUtils for consistent detection
+    return InventoryUtils.getItemCount(bot, itemName);
+  }
+
+  // On-demand log to plank conversion for CraftWorkbenchSkill
+  async convertLogsToPlanksDemand(bot, logsToCraft) {
+    this.logger.log(`[オンデマンド変換] ${logsToCraft}個の原木を板材に変換します`);
+
+    try {
+      const mcData = require('minecraft-data')(bot.version);
+
+      // Find the first log type in inventory
+      const logItem = bot.inventory.items().find(item =>
+        item && item.name && InventoryUtils.isLog(item.name)
+      );
+
+      if (!logItem) {
+        return { success: false, error: 'インベントリに原木がありません' };
+      }
+
+      // Get corresponding plank name
+      const plankName = InventoryUtils.plankNameFor(logItem.name);
+      const plankItem = mcData.itemsByName[plankName];
+
+      if (!plankItem) {
+        return { success: false, error: `対応する板材(${plankName})が見つかりません` };
+      }
+
+      // Get recipe for planks
+      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, plankItem.id, 1, null);
+      if (!plankRecipe) {
+        return { success: false, error: `${plankName}のレシピが見つかりません` };
+      }
+
+      // Convert logs to planks (one log = 4 planks)
+      const totalConversions = Math.min(logsToCraft, logItem.count);
+
+      for (let i = 0; i < totalConversions; i++) {
+        try {
+          await bot.craft(plankRecipe, 1, null);
+          this.logger.log(`[オンデマンド変換] ${logItem.name} → ${plankName} (${i + 1}/${totalConversions})`);
+        } catch (craftError) {
+          this.logger.log(`[オンデマンド変換] クラフトエラー: ${craftError.message}`);
+          if (i === 0) {
+            return { success: false, error: `クラフト失敗: ${craftError.message}` };
+          }
+          break;
+        }
+      }
+
+      const convertedPlanks = this.countPlankItems(bot);
+      this.logger.log(`[オンデマンド変換] 変換完了: ${convertedPlanks}個の板材を確保`);
+      return { success: true, planksConverted: convertedPlanks };
+    } catch (error) {
+      this.logger.log(`[オンデマンド変換] エラー: ${error.message}`);
+      return { success: false, error: `変換エラー: ${error.message}` };
+    }
+  }
+
+  async execute(bot, _params) {
+    try {
+      this.logger.log('[作業台スキル] 作業台の作成を開始します...');
+
+      const mcData = require('minecraft-data')(bot.version);
+      const requiredPlanks = 4;
+
+      // Phase 1: Check if we already have a workbench
+      if (InventoryUtils.hasItem(bot, 'crafting_table', 1, true)) {
+        this.logger.log('[作業台スキル] インベントリに作業台が既にあります');
+        return { success: true, message: 'インベントリに作業台が既にあります' };
+      }
+
+      // Phase 2: Material assessment (improved inventory detection)
+      this.logger.log('[作業台スキル] 材料評価フェーズ...');
+      InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-Start');
+
+      const currentPlanks = this.countPlankItems(bot);
+      const currentLogs = this.countLogItems(bot);
+      const totalAvailablePlanks = currentPlanks + (currentLogs * 4);
+
+      this.logger.log(`[作業台スキル] 材料状況: 板材=${currentPlanks}, 原木=${currentLogs}, 総利用可能板材=${totalAvailablePlanks}`);
+
+      if (totalAvailablePlanks < requiredPlanks) {
+        const message = `材料不足: 必要な板材=${requiredPlanks}, 利用可能=${totalAvailablePlanks}`;
+        this.logger.log(`[作業台スキル] ${message}`);
+        return { success: false, reason: 'INSUFFICIENT_MATERIALS', error: message };
+      }
+
+      // Phase 3: On-demand plank conversion (only when needed)
+      if (currentPlanks < requiredPlanks) {
+        const planksNeeded = requiredPlanks - currentPlanks;
+        const logsToCraft = Math.ceil(planksNeeded / 4);
+
+        this.logger.log(`[作業台スキル] オンデマンド板材変換: ${planksNeeded}個の板材が必要、${logsToCraft}個の原木を変換します`);
+
+        const plankCraftResult = await this.convertLogsToPlanksDemand(bot, logsToCraft);
+        if (!plankCraftResult.success) {
+          return { success: false, error: `板材の作成に失敗: ${plankCraftResult.error}` };
+        }
+
+        // Verify we now have enough planks
+        const updatedPlanks = this.countPlankItems(bot);
+        this.logger.log(`[作業台スキル] オンデマンド変換完了: ${updatedPlanks}個の板材を確保`);
+
+        if (updatedPlanks < requiredPlanks) {
+          const message = `板材作成後も材料不足: 必要=${requiredPlanks}, 現在=${updatedPlanks}`;
+          this.logger.log(`[作業台スキル] ${message}`);
+          return { success: false, error: message };
+        }
+      }
+
+      // Phase 4: Workbench crafting
+      this.logger.log('[作業台スキル] 作業台作成フェーズ...');
+      const workbenchRecipe = await SkillLibrary.getRecipeSafe(bot, 'crafting_table', 1, null);
+      if (!workbenchRecipe) {
+        const message = '作業台のレシピが見つかりません';
+        this.logger.log(`[作業台スキル] ${message}`);
+        return { success: false, reason: 'NO_RECIPE', error: message };
+      }
+
+      this.logger.log('[作業台スキル] レシピ詳細:', {
+        id: workbenchRecipe.id,
+        deltaLength: workbenchRecipe.delta?.length,
+        delta: workbenchRecipe.delta
+      });
+
+      // Final material verification before crafting (only check negative counts = input materials)
+      for (const ingredient of workbenchRecipe.delta) {
+        if (ingredient.count < 0) { // Only check input materials (negative counts)
+          const requiredCount = Math.abs(ingredient.count);
+          const ingredientName = mcData.items[ingredient.id]?.name || `id_${ingredient.id}`;
+          const available = this.countItemsInInventoryByName(bot, ingredientName);
+          if (available < requiredCount) {
+            const message = `最終確認で材料不足: ${ingredientName} (必要=${requiredCount}, 所持=${available})`;
+            this.logger.log(`[作業台スキル] ${message}`);
+            InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-MaterialError');
+            return { success: false, error: message };
+          }
+          this.logger.log(`[作業台スキル] 材料確認OK: ${ingredientName} (必要=${requiredCount}, 所持=${available})`);
+        }
+      }
+
+      // Execute crafting
+      try {
+        await bot.craft(workbenchRecipe, 1, null);
+        this.logger.log('[作業台スキル] 作業台のクラフトに成功しました！');
+        bot.chat('作業台をクラフトしました！');
+        InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-Success');
+
+        // 自動設置を試行（オプション機能）
+        if (_params.autoPlace !== false) {
+          this.logger.log('[作業台スキル] 自動設置を試行します...');
+          const placeResult = await this.tryAutoPlace(bot);
+          if (placeResult.success) {
+            return {
+              success: true,
+              crafted: 'crafting_table',
+              placed: true,
+              workbenchPosition: placeResult.workbenchPosition,
+              message: '作業台のクラフトと設置に成功'
+            };
+          } else {
+            this.logger.log(`[作業台スキル] 自動設置失敗: ${placeResult.error}`);
+          }
+        }
+
+        return { success: true, crafted: 'crafting_table', message: '作業台のクラフトに成功' };
+      } catch (error) {
+        const message = `作業台クラフト実行エラー: ${error.message}`;
+        this.logger.log(`[作業台スキル] ${message}`);
+        InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-CraftError');
+        return { success: false, error: message };
+      }
+    } catch (error) {
+      const message = `予期せぬエラー: ${error.message}`;
+      this.logger.log(`[作業台スキル] ${message}`);
+      return { success: false, error: message };
+    }
+  }
+
+  // Helper method to craft planks from logs
+  async craftPlanksFromLogs(bot, logCount = 1) {
+    try {
+      this.logger.log(`[作業台スキル] 原木から板材への変換を開始: ${logCount}個の原木を使用`);
+
+      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, 'oak_planks', 1, null);
+      if (!plankRecipe) {
+        return { success: false, error: '板材のレシピが見つかりません' };
+      }
+
+      // Verify we have enough logs
+      const availableLogs = this.countItemsInInventory(bot, 'log');
+      if (availableLogs < logCount) {
+        return { success: false, error: `原木不足: 必要=${logCount}, 所持=${availableLogs}` };
+      }
+
+      await bot.craft(plankRecipe, logCount, null);
+      const planksCreated = logCount * 4;
+      this.logger.log(`[作業台スキル] 板材作成成功: ${planksCreated}個の板材を作成`);
+      return { success: true, planksCreated };
+    } catch (error) {
+      this.logger.log(`[作業台スキル] 板材作成エラー: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Count items in inventory with flexible name matching
+  countItemsInInventory(bot, itemType) {
+    let count = 0;
+    const items = bot.inventory.items();
+
+    for (const item of items) {
+      if (!item || !item.name) continue;
+
+      const itemName = item.name.toLowerCase();
+      const targetType = itemType.toLowerCase();
+
+      if (itemName === targetType) {
+        count += item.count;
+      } else if (targetType === 'planks' && itemName.includes('_planks')) {
+        count += item.count;
+      } else if (targetType === 'log' && itemName.includes('_log')) {
+        count += item.count;
+      } else if (targetType === 'oak_planks' && itemName === 'oak_planks') {
+        count += item.count;
+      }
+    }
+
+    return count;
+  }
+
+  // 自動設置を試行するヘルパーメソッド
+  async tryAutoPlace(bot) {
+    try {
+      // PlaceWorkbenchSkillの簡略版ロジック
+      const workbenchItem = bot.inventory.items().find(item =>
+        item && item.name === 'crafting_table'
+      );
+
+      if (!workbenchItem) {
+        return { success: false, error: 'インベントリに作業台がありません' };
+      }
+
+      // 近くに既に作業台があるかチェック
+      const existingWorkbench = bot.findBlock({
+        matching: (block) => block && block.name === 'crafting_table',
+        maxDistance: 8
+      });
+
+      if (existingWorkbench) {
+        return {
+          success: true,
+          message: '近くに既に作業台があります',
+          workbenchPosition: existingWorkbench.position
+        };
+      }
+
+      // 簡単な設置場所を探す（足元）
+      const botPos = bot.entity.position;
+      const groundBlock = bot.blockAt(botPos.floored().plus(new Vec3(0, -1, 0)));
+
+      if (groundBlock && groundBlock.name !== 'air') {
+        const aboveGround = botPos.floored();
+        const aboveGroundBlock = bot.blockAt(aboveGround);
+
+        if (aboveGroundBlock && aboveGroundBlock.name === 'air') {
+          await bot.equip(workbenchItem, 'hand');
+          await bot.placeBlock(groundBlock, new Vec3(0, 1, 0));
+          const placedPosition = groundBlock.position.plus(new Vec3(0, 1, 0));
+
+          this.logger.log(`[作業台スキル] 自動設置成功: ${placedPosition}`);
+          bot.chat('作業台を設置しました！');
+
+          return {
+            success: true,
+            workbenchPosition: placedPosition,
+            message: '作業台の自動設置に成功'
+          };
+        }
+      }
+
+      return { success: false, error: '適切な設置場所が見つかりません' };
+    } catch (error) {
+      return { success: false, error: `自動設置エラー: ${error.message}` };
+    }
+  }
+}
+
+class CraftFurnaceSkill extends Skill {
+  constructor() {
+    super('craft_furnace', 'Craft a furnace', {}, {
+      contract: {
+        preconditions: [
+          { type: 'has_item', item: 'cobblestone', count: 8 },
+          { type: 'block_nearby', block: 'crafting_table', maxDistance: 8 }
+        ],
+        postconditions: [{ type: 'inventory_delta', item: 'furnace', min: 1 }]
+      }
+    });
+  }
+
+  async execute(bot, _params) {
+    try {
+      // Check for cobblestone
+      const cobblestone = bot.inventory.items().find(item => item.name === 'cobblestone');
+      if (!cobblestone || cobblestone.count < 8) {
+        return { success: false, error: 'COBBLESTONE_MISSING' };
+      }
+
+      // Ensure we have a workbench
+      const workbench = bot.findBlock({
+        matching: (block) => block && block.name === 'crafting_table',
+        maxDistance: 8
+      });
+
+      if (!workbench) {
+        return { success: false, error: 'CRAFTING_TABLE_MISSING' };
+      }
+
+      // Get recipe
+      const mcData = require('minecraft-data')(bot.version);
+      const item = mcData.itemsByName.furnace;
+      const recipe = bot.recipesFor(item.id, null, 1, workbench)[0];
+      if (!recipe) {
+        this.logger.log('[かまどスキル] かまどのレシピが見つかりません');
+        bot.chat('かまどのレシピが見つかりません');
+        return {
+          success: false,
+          reason: 'NO_RECIPE',
+          details: { item: 'furnace', message: 'かまどのレシピが見つかりません' }
+        };
+      }
+
+      // Craft the furnace
+      if (workbench && !bot.currentWindow) {
+        await bot.activateBlock(workbench);
+      }
+      await bot.craft(recipe, 1, workbench);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// かまどで精錬するスキル
+class SmeltItemSkill extends Skill {
+  static SEARCH_RADIUS = 32;
+  static POLL_TICKS = 20; // かまどの状態を確認する間隔
+  static WAIT_MARGIN_TICKS = 400;
+
+  constructor() {
+    super('smelt_item', 'かまどでアイテムを精錬します（例: raw_iron → iron_ingot）', {
+      itemName: {
+        type: 'string',
+        required: true,
+        aliases: ['item', 'input', 'name'],
+        description: '精錬する素材、または欲しい精錬結果のアイテム名（例: raw_iron, iron_ingot）'
+      },
+      count: { type: 'integer', default: 1, minimum: 1, maximum: 64, aliases: ['amount'], description: '精錬する数量' }
+    }, {
+      contract: {
+        preconditions: (params, bot) => {
+          const recipe = SmeltItemSkill.resolveRecipe(bot, params.itemName);
+          return recipe ? [{ type: 'has_item', items: recipe.inputs, count: params.count }] : [];
+        },
+        postconditions: (params, bot) => {
+          const recipe = SmeltItemSkill.resolveRecipe(bot, params.itemName);
+          return recipe ? [{ type: 'inventory_delta', item: recipe.output, min: params.count }] : [];
         }
       }
-    }
-    return missing;
+    });
   }
 
-  async getMissingMaterialsForRecipe(bot, itemId, craftingTable) {
-    const mcData = require('minecraft-data')(bot.version);
-    const InventoryUtils = require('./InventoryUtils');
+  /**
+   * itemName を入力・出力のどちらで指定されても {inputs, output} に解決する
+   * @returns {{inputs: string[], output: string}|null}
+   */
+  static resolveRecipe(bot, itemName) {
+    const directOutput = SmeltingUtils.getOutput(itemName);
+    if (directOutput) return { inputs: [itemName], output: directOutput };
+
+    const inputs = itemName === 'charcoal'
+      ? Object.keys(SkillContract.inventoryCounts(bot)).filter(name => SmeltingUtils.getOutput(name) === 'charcoal')
+      : SmeltingUtils.getInputsFor(itemName);
+    return inputs.length > 0 ? { inputs, output: itemName } : null;
+  }
 
-    const itemName = mcData.items[itemId]?.name || 'unknown';
+  async execute(bot, params) {
+    const { itemName, count, cancelToken } = params;
+    const recipe = SmeltItemSkill.resolveRecipe(bot, itemName);
+    if (!recipe) {
+      return {
+        success: false,
+        error: `${itemName} は精錬できません`,
+        reason: 'NO_RECIPE',
+        details: { item: itemName }
+      };
+    }
 
-    // Special handling for wooden tools: use optimized recipe
-    let recipe = null;
-    if (itemName && itemName.includes('wooden_')) {
-      recipe = await SkillLibrary.getOptimizedWoodenToolRecipe(bot, itemName, 1, craftingTable);
-      if (recipe) {
-        this.logger.log(`[材料チェック] 木材最適化レシピを使用: ${itemName}`);
-      }
+    // 入力スロットには 1 種類しか入らないため、所持している入力を種類ごとに順に投入する
+    const inventory = SkillContract.inventoryCounts(bot);
+    const inputQueue = [];
+    let remaining = count;
+    for (const name of recipe.inputs) {
+      const amount = Math.min(remaining, inventory[name] || 0);
+      if (amount > 0) inputQueue.push({ name, count: amount });
+      remaining -= amount;
+    }
+    if (remaining > 0) {
+      return {
+        success: false,
+        error: `精錬する素材が不足しています: ${recipe.inputs.join('|')} あと${remaining}個`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: recipe.inputs[0], needed: remaining }] }
+      };
     }
 
-    if (!recipe) {
-      try {
-        const recipes = bot.recipesFor(itemId, null, 1, craftingTable);
-        if (recipes.length > 0) {
-          recipe = recipes[0];
-        }
-      } catch (error) {
-        this.logger.log(`[材料チェック] bot.recipesFor failed: ${error.message}`);
+    let furnace = null;
+    try {
+      const found = await this.findOrPlaceFurnace(bot, cancelToken);
+      if (!found.success) return found;
+
+      const approach = await ensureProximity(bot, found.furnace, 3, { signal: cancelToken });
+      if (!approach.success) return approach;
+
+      furnace = await Cancellation.race(bot.openFurnace(found.furnace), cancelToken);
+      this.logger.log(`[精錬] ${found.furnace.position} のかまどで ${recipe.inputs.join('|')} → ${recipe.output} x${count}`);
+
+      const result = await this.smelt(bot, furnace, recipe, inputQueue, count, cancelToken);
+      return { ...result, furnacePosition: found.furnace.position };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        // 焼き上がった分と未精錬の素材はかまどに残さず持ち帰る
+        if (furnace) await this.retrieveContents(furnace).catch(() => {});
+        return Cancellation.cancelledResult(cancelToken, { item: recipe.output });
       }
+      this.logger.error(`[精錬] エラー: ${error.message}`);
+      return { success: false, error: `精錬に失敗: ${error.message}` };
+    } finally {
+      if (furnace && bot.currentWindow === furnace) furnace.close();
     }
+  }
 
-    // If bot.recipesFor failed, use minecraft-data direct search
-    if (!recipe) {
-      const directRecipes = mcData.recipes[itemId];
-      if (directRecipes && Array.isArray(directRecipes) && directRecipes.length > 0) {
-        const rawRecipe = directRecipes[0];
-        recipe = {
-          id: itemId,
-          result: rawRecipe.result || { id: itemId, count: 1 },
-          delta: [],
-          inShape: rawRecipe.inShape || null,
-          ingredients: rawRecipe.ingredients || null
-        };
+  /**
+   * 入力と燃料を投入し、出力を回収しながら指定数が焼き上がるまで待つ
+   */
+  async smelt(bot, furnace, recipe, inputQueue, count, cancelToken) {
+    const mcData = require('minecraft-data')(bot.version);
+    const itemId = name => mcData.itemsByName[name].id;
+    let collected = 0;
 
-        // Convert materials to delta format with proper counting
-        if (rawRecipe.ingredients) {
-          const ingredientCounts = new Map();
-          rawRecipe.ingredients.forEach(ingredientId => {
-            ingredientCounts.set(ingredientId, (ingredientCounts.get(ingredientId) || 0) + 1);
-          });
-          recipe.delta = Array.from(ingredientCounts.entries()).map(([id, count]) => ({
-            id,
-            count: -count // Negative count means required material
-          }));
-        } else if (rawRecipe.inShape) {
-          const ingredientCounts = new Map();
-          rawRecipe.inShape.flat().forEach(id => {
-            if (id !== null && id !== undefined && id !== 0) {
-              ingredientCounts.set(id, (ingredientCounts.get(id) || 0) + 1);
-            }
-          });
-          recipe.delta = Array.from(ingredientCounts.entries()).map(([id, count]) => ({
-            id,
-            count: -count // Negative count means required material
-          }));
-        }
-      }
+    // 前回の出力を回収し、別の素材が入力スロットに残っていれば取り出す
+    const leftover = furnace.outputItem();
+    if (leftover) {
+      await furnace.takeOutput();
+      if (leftover.name === recipe.output) collected += leftover.count;
+    }
+    const previousInput = furnace.inputItem();
+    if (previousInput && !recipe.inputs.includes(previousInput.name)) {
+      await furnace.takeInput();
     }
 
-    if (!recipe) {
-      return [{ item: 'unknown', needed: 1, reason: 'No recipe found' }];
+    const existingFuel = furnace.fuelItem();
+    const fuel = SmeltingUtils.chooseFuel(bot, count - collected, {
+      exclude: recipe.inputs,
+      existingTicks: existingFuel ? SmeltingUtils.getBurnTicks(existingFuel.name) * existingFuel.count : 0
+    });
+    if (!fuel.sufficient) {
+      return {
+        success: false,
+        error: `燃料が不足しています (必要=${fuel.requiredTicks}tick, 所持=${fuel.totalTicks}tick)`,
+        reason: 'NO_FUEL',
+        details: { requiredTicks: fuel.requiredTicks, availableTicks: fuel.totalTicks }
+      };
     }
+    this.logger.log(`[精錬] 燃料: ${fuel.plan.map(entry => `${entry.name}x${entry.count}`).join(', ') || 'かまど内の燃料'}`);
 
-    const missing = [];
+    const fuelQueue = fuel.plan.map(entry => ({ ...entry }));
+    const maxWaitTicks = (count - collected) * SmeltingUtils.SMELT_TICKS_PER_ITEM + SmeltItemSkill.WAIT_MARGIN_TICKS;
+    let waited = 0;
 
-    // Use recipe.delta instead of recipe.ingredients for better compatibility
-    const ingredients = recipe.delta || recipe.ingredients || [];
-    for (const ingredient of ingredients) {
-      if (ingredient.count < 0) {
-        // Negative count means required material
-        const needed = Math.abs(ingredient.count);
-        const itemName = mcData.items[ingredient.id]?.name || mcData.blocks[ingredient.id]?.name || `item_${ingredient.id}`;
+    while (collected < count) {
+      Cancellation.throwIfCancelled(cancelToken);
 
-        // Check if we can substitute this material (especially for wood planks and sticks)
-        const substitutionInfo = InventoryUtils.canSubstituteMaterial(bot, itemName, needed);
+      const input = furnace.inputItem();
+      if (!input && inputQueue.length > 0) {
+        const next = inputQueue.shift();
+        await furnace.putInput(itemId(next.name), null, next.count);
+      }
+      // 燃え尽きた溶岩バケツの空のバケツを取り出す
+      const spent = furnace.fuelItem();
+      if (spent && SmeltingUtils.getBurnTicks(spent.name) === 0) await furnace.takeFuel();
+      if (!furnace.fuelItem() && fuelQueue.length > 0) {
+        const next = fuelQueue[0];
+        const stack = Math.min(next.count, mcData.itemsByName[next.name].stackSize);
+        await furnace.putFuel(itemId(next.name), null, stack);
+        next.count -= stack;
+        if (next.count <= 0) fuelQueue.shift();
+      }
 
-        if (!substitutionInfo.canSubstitute) {
-          missing.push({
-            item: itemName,
-            needed: needed - substitutionInfo.availableCount,
-            have: substitutionInfo.availableCount,
-            substitutionType: substitutionInfo.substitutionType,
-            possibleSubstitutes: substitutionInfo.substitutes
-          });
-        } else if (substitutionInfo.substitutionType === 'wood_plank') {
-          // Log successful wood plank substitution
-          this.logger.log(`[材料チェック] 木材代替可能: ${itemName} (必要:${needed}) -> 利用可能合計:${substitutionInfo.availableCount}`);
-          this.logger.log(`[材料チェック] 利用可能木材: ${JSON.stringify(substitutionInfo.substitutes)}`);
-        } else if (substitutionInfo.substitutionType === 'stick_from_planks') {
-          // Log successful stick substitution using planks
-          this.logger.log(`[材料チェック] スティック代替可能: ${itemName} (必要:${needed}) -> 現在のスティック:${substitutionInfo.substitutes.stick}, 板材から作成可能`);
-          this.logger.log(`[材料チェック] 板材利用可能: ${substitutionInfo.substitutes.planks_available}個, 必要: ${substitutionInfo.substitutes.planks_needed}個`);
-        } else if (substitutionInfo.substitutionType === 'exact_match') {
-          // Log successful exact match
-          this.logger.log(`[材料チェック] 材料十分: ${itemName} (必要:${needed}) -> 利用可能:${substitutionInfo.availableCount}`);
-        }
+      const output = furnace.outputItem();
+      if (output) {
+        await furnace.takeOutput();
+        if (output.name === recipe.output) collected += output.count;
+        continue;
+      }
+
+      if (!furnace.inputItem() && inputQueue.length === 0) break;
+      if (!furnace.fuelItem() && fuelQueue.length === 0 && furnace.fuel <= 0) {
+        return this.incompleteResult(recipe, count, collected, 'NO_FUEL', '燃料が尽きました', {
+          requiredTicks: (count - collected) * SmeltingUtils.SMELT_TICKS_PER_ITEM,
+          availableTicks: 0
+        });
       }
+      if (waited >= maxWaitTicks) {
+        return this.incompleteResult(recipe, count, collected, 'SMELT_TIMEOUT', '精錬が時間内に終わりませんでした');
+      }
+
+      await this.waitTicks(bot, SmeltItemSkill.POLL_TICKS, cancelToken);
+      waited += SmeltItemSkill.POLL_TICKS;
     }
-    return missing;
+
+    if (collected < count) {
+      return this.incompleteResult(recipe, count, collected, 'SMELT_INCOMPLETE', '精錬結果が不足しています');
+    }
+
+    this.logger.log(`[精錬] ${recipe.output} を${collected}個回収しました`);
+    return { success: true, item: recipe.output, count: collected };
   }
 
-  async ensureWorkbench(bot) {
-    this.logger.log('[ツールスキル] 作業台の確保を開始...');
+  async retrieveContents(furnace) {
+    if (furnace.outputItem()) await furnace.takeOutput();
+    if (furnace.inputItem()) await furnace.takeInput();
+  }
 
-    // Check if a workbench is already placed nearby
-    const workbench = bot.findBlock({
-      matching: (block) => block && block.name === 'crafting_table',
-      maxDistance: 8
+  incompleteResult(recipe, count, collected, reason, message, extra = {}) {
+    return {
+      success: false,
+      error: `${message} (${recipe.output} ${collected}/${count})`,
+      reason,
+      details: { item: recipe.output, requested: count, collected, ...extra }
+    };
+  }
+
+  waitTicks(bot, ticks, cancelToken) {
+    if (typeof bot.waitForTicks === 'function') {
+      return Cancellation.race(bot.waitForTicks(ticks), cancelToken);
+    }
+    return Cancellation.sleep(ticks * 50, cancelToken);
+  }
+
+  /**
+   * 近くのかまどを探し、無ければインベントリのかまどを隣に設置する
+   */
+  async findOrPlaceFurnace(bot, cancelToken) {
+    const existing = bot.findBlock({
+      matching: block => block && block.name === 'furnace',
+      maxDistance: SmeltItemSkill.SEARCH_RADIUS
     });
+    if (existing) return { success: true, furnace: existing };
 
-    if (workbench) {
-      this.logger.log(`[ツールスキル] 近くに作業台を発見: ${workbench.position}`);
-      return { success: true, workbench };
+    const furnaceItem = bot.inventory.items().find(item => item && item.name === 'furnace');
+    if (!furnaceItem) {
+      return {
+        success: false,
+        error: '近くにかまどが無く、インベントリにもありません',
+        reason: 'FURNACE_MISSING',
+        details: { searchRadius: SmeltItemSkill.SEARCH_RADIUS }
+      };
     }
 
-    // Check if we have a crafting table in inventory
-    if (InventoryUtils.hasItem(bot, 'crafting_table', 1, true)) {
-      this.logger.log('[ツールスキル] インベントリに作業台があります。設置を試みます...');
-      const placeResult = await this.placeCraftingTable(bot);
-      if (placeResult.success) {
-        return { success: true, workbench: placeResult.workbench };
-      } else {
-        this.logger.log(`[ツールスキル] 作業台の設置に失敗: ${placeResult.error}`);
-        return { success: false, error: `作業台の設置に失敗: ${placeResult.error}` };
+    const feet = bot.entity.position.floored();
+    const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+    for (const [dx, dz] of offsets) {
+      const target = feet.offset(dx, 0, dz);
+      const ground = bot.blockAt(target.offset(0, -1, 0));
+      const space = bot.blockAt(target);
+      if (!ground || ground.boundingBox !== 'block' || !space || space.name !== 'air') continue;
+
+      await Cancellation.race(bot.equip(furnaceItem, 'hand'), cancelToken);
+      await Cancellation.race(bot.placeBlock(ground, new Vec3(0, 1, 0)), cancelToken);
+      const placed = bot.blockAt(target);
+      if (placed && placed.name === 'furnace') {
+        this.logger.log(`[精錬] かまどを ${target} に設置しました`);
+        return { success: true, furnace: placed };
       }
     }
 
-    // If not, try to craft one
-    this.logger.log('[ツールスキル] 作業台がありません。作成を試みます...');
-    const craftWorkbenchSkill = new CraftWorkbenchSkill();
-    const craftResult = await craftWorkbenchSkill.execute(bot, {});
+    return {
+      success: false,
+      error: 'かまどを設置できる場所が見つかりません',
+      reason: 'FURNACE_MISSING',
+      details: { placement: 'no_space' }
+    };
+  }
+}
 
-    if (craftResult.success) {
-      this.logger.log('[ツールスキル] 作業台の作成に成功しました。設置を試みます...');
-      const placeResult = await this.placeCraftingTable(bot);
-      if (placeResult.success) {
-        return { success: true, workbench: placeResult.workbench };
-      } else {
-        this.logger.log(`[ツールスキル] 作成した作業台の設置に失敗: ${placeResult.error}`);
-        return { success: false, error: `作成した作業台の設置に失敗: ${placeResult.error}` };
+class PlaceBlocksSkill extends Skill {
+  constructor() {
+    super('place_blocks', 'Place multiple blocks in a pattern', {
+      pattern: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        description: '現在位置からの相対座標 {x, y, z} の配列',
+        items: {
+          type: 'object',
+          properties: {
+            x: { type: 'integer', required: true },
+            y: { type: 'integer', required: true },
+            z: { type: 'integer', required: true }
+          }
+        }
+      },
+      material: { type: 'string', required: true, aliases: ['blockType', 'block'], description: '設置するブロック名' }
+    }, { internal: true });
+  }
+
+  async execute(bot, params) {
+    const { pattern, material } = params; // pattern is an array of {x, y, z} offsets
+
+    try {
+      const startPos = bot.entity.position.floored();
+      const blockToPlace = bot.inventory.items().find(item => item.name === material);
+
+      if (!blockToPlace) {
+        return { success: false, error: `Material ${material} not found` };
       }
-    } else {
-      this.logger.log(`[ツールスキル] 作業台の作成に失敗: ${craftResult.error}`);
-      return { success: false, error: `作業台の作成に失敗: ${craftResult.error}` };
+
+      await bot.equip(blockToPlace, 'hand');
+
+      for (const offset of pattern) {
+        const pos = startPos.offset(offset.x, offset.y, offset.z);
+        const referenceBlock = bot.blockAt(pos.offset(0, -1, 0));
+        if (referenceBlock) {
+          await bot.placeBlock(referenceBlock, new Vec3(0, 1, 0));
+          await new Promise(resolve => setTimeout(resolve, 200)); // Wait between placements
+        }
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
     }
   }
+}
 
-  async placeCraftingTable(bot) {
-    this.logger.log('[ツールスキル] 作業台の設置場所を探しています...');
+// 建築スキル共通: 建材の選び方、支えになる隣接ブロックを探しての設置、採掘ツールの持ち替え
+class BuildingSkill extends Skill {
+  // 安価な順。ここにない建材はその後、板材は最後に使う
+  static CHEAP_BLOCKS = [
+    'dirt', 'cobblestone', 'cobbled_deepslate', 'netherrack', 'stone', 'andesite', 'diorite', 'granite'
+  ];
 
-    // Blocks that should be avoided as reference blocks (jungle biome problematic blocks)
-    const avoidableBlocks = [
-      'vine', 'jungle_log', 'oak_log', 'spruce_log', 'birch_log', 'acacia_log', 'dark_oak_log',
-      'mangrove_log', 'cherry_log', 'jungle_leaves', 'oak_leaves', 'spruce_leaves', 'birch_leaves',
-      'acacia_leaves', 'dark_oak_leaves', 'mangrove_leaves', 'cherry_leaves', 'azalea_leaves',
-      'flowering_azalea_leaves', 'grass', 'tall_grass', 'fern', 'large_fern', 'dead_bush',
-      'seagrass', 'tall_seagrass', 'kelp', 'bamboo', 'sugar_cane', 'cactus', 'cocoa'
-    ];
+  // 作業用・貴重なブロックは壁に使わない
+  static NON_BUILDING_BLOCK =
+    /(_ore|_log|_wood|_stem|_hyphae|leaves|crafting_table|furnace|chest|barrel|tnt|_bed|spawner|bedrock|obsidian)$/;
 
-    // Generate more placement positions with extended search range
-    const placementPositions = [];
+  static FALLING_BLOCK = /^(sand|red_sand|gravel|.*_concrete_powder)$/;
 
-    // Close positions (radius 1-2)
-    for (let x = -2; x <= 2; x++) {
-      for (let z = -2; z <= 2; z++) {
-        if (x === 0 && z === 0) continue; // Skip bot's position
-        placementPositions.push(new Vec3(x, -1, z)); // Below bot level
-        placementPositions.push(new Vec3(x, 0, z)); // Same level as bot
+  findReference(bot, position) {
+    const faces = [new Vec3(0, -1, 0), new Vec3(1, 0, 0), new Vec3(-1, 0, 0),
+      new Vec3(0, 0, 1), new Vec3(0, 0, -1), new Vec3(0, 1, 0)];
+    for (const offset of faces) {
+      const block = bot.blockAt(position.plus(offset));
+      if (this.isSolid(block)) return { block, face: offset.scaled(-1) };
+    }
+    return null;
+  }
+
+  async placeOn(bot, referenceBlock, face, itemName, signal) {
+    const item = bot.inventory.items().find(candidate => candidate && candidate.name === itemName);
+    if (!item || !referenceBlock) return false;
+    try {
+      await Cancellation.race(bot.equip(item, 'hand'), signal);
+      await Cancellation.race(bot.placeBlock(referenceBlock, face), signal);
+      return true;
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[建築] ${itemName} の設置に失敗: ${error.message}`);
+      return false;
+    }
+  }
+
+  async equipToolFor(bot, block, mcData) {
+    const def = block && mcData.blocksByName[block.name];
+    const toolType = def && def.material ? def.material.split('/')[1] : null;
+    if (!toolType) return;
+    const tools = bot.inventory.items().filter(item => item && item.name.endsWith(`_${toolType}`));
+    if (tools.length === 0) return;
+    const multiplier = item => InventoryUtils.getToolMaterialMultiplier(item.name);
+    tools.sort((a, b) => multiplier(b) - multiplier(a));
+    await bot.equip(tools[0], 'hand');
+  }
+
+  /**
+   * 支えになる隣接ブロックがある位置から順に設置し、置けなかった位置を返す
+   */
+  async placeAll(bot, positions, signal) {
+    let pending = positions.filter(position => !this.isSolid(bot.blockAt(position)));
+    let progress = true;
+    while (pending.length > 0 && progress) {
+      progress = false;
+      const next = [];
+      for (const position of pending) {
+        Cancellation.throwIfCancelled(signal);
+        const reference = this.findReference(bot, position);
+        const item = this.pickBuildingBlock(bot);
+        if (!reference || !item) {
+          next.push(position);
+          continue;
+        }
+        const placed = await this.placeOn(bot, reference.block, reference.face, item.name, signal);
+        if (placed && this.isSolid(bot.blockAt(position))) {
+          progress = true;
+        } else {
+          next.push(position);
+        }
       }
+      pending = next;
     }
+    return { remaining: pending };
+  }
 
-    // Extended positions (radius 3-4) for difficult situations
-    for (let x = -4; x <= 4; x++) {
-      for (let z = -4; z <= 4; z++) {
-        if (Math.abs(x) < 3 && Math.abs(z) < 3) continue; // Skip already covered positions
-        placementPositions.push(new Vec3(x, -1, z)); // Below bot level
-        placementPositions.push(new Vec3(x, 0, z)); // Same level as bot
-      }
-    }
+  countBuildingBlocks(bot) {
+    const mcData = require('minecraft-data')(bot.version);
+    return bot.inventory.items()
+      .filter(item => item && this.isBuildingBlock(item.name, mcData))
+      .reduce((total, item) => total + item.count, 0);
+  }
 
-    this.logger.log(`[ツールスキル] 設置候補位置を生成: ${placementPositions.length}個`);
+  pickBuildingBlock(bot) {
+    const mcData = require('minecraft-data')(bot.version);
+    const rank = name => {
+      const index = BuildingSkill.CHEAP_BLOCKS.indexOf(name);
+      if (index >= 0) return index;
+      return name.endsWith('_planks') ? 200 : 100;
+    };
+    return bot.inventory.items()
+      .filter(item => item && this.isBuildingBlock(item.name, mcData))
+      .sort((a, b) => rank(a.name) - rank(b.name))[0] || null;
+  }
 
-    // Try to find suitable placement location
-    for (const offset of placementPositions) {
-      const refBlock = bot.blockAt(bot.entity.position.offset(offset.x, offset.y, offset.z));
+  isBuildingBlock(name, mcData) {
+    const def = mcData.blocksByName[name];
+    return !!def && def.boundingBox === 'block' &&
+      !BuildingSkill.FALLING_BLOCK.test(name) && !BuildingSkill.NON_BUILDING_BLOCK.test(name);
+  }
 
-      // Skip invalid reference blocks
-      if (!refBlock || refBlock.name === 'air' || refBlock.name === 'water' || refBlock.name === 'lava') {
-        continue;
-      }
+  isSolid(block) {
+    return !!block && block.boundingBox === 'block' && !this.isLiquid(block);
+  }
 
-      // Skip problematic blocks (vine, logs, leaves, etc.)
-      if (avoidableBlocks.includes(refBlock.name)) {
-        continue;
-      }
+  isOpen(block) {
+    return !!block && (block.name === 'air' || block.boundingBox === 'empty') && !this.isLiquid(block);
+  }
 
-      // Check if reference block is solid and can support placement
-      if (!refBlock.boundingBox || refBlock.boundingBox === 'empty') {
-        continue;
-      }
+  isLiquid(block) {
+    return !!block && ['water', 'flowing_water', 'lava', 'flowing_lava', 'bubble_column'].includes(block.name);
+  }
+}
 
-      // Check if target position is free and accessible
-      const targetPos = refBlock.position.offset(0, 1, 0);
-      const targetBlock = bot.blockAt(targetPos);
-      if (targetBlock && targetBlock.name !== 'air') {
-        continue;
-      }
+// 夜間・低体力時に身を守る避難所を建てるスキル
+// 小屋: 3x3 の外周に高さ 2 の壁と屋根を置き、内側 1x1 に立つ。地下壕: 足元を 3 段掘り下げて頭上を塞ぐ
+class BuildShelterSkill extends BuildingSkill {
+  static LOW_HEALTH = 10;
+  static HOSTILE_RADIUS = 12;
+  static DUGOUT_DEPTH = 3;
+  static GATHERABLE_BLOCKS = ['dirt', 'grass_block', 'coarse_dirt', 'podzol', 'rooted_dirt', 'mycelium'];
+
+  static DIRECTIONS = {
+    north: { x: 0, z: -1 },
+    northeast: { x: 1, z: -1 },
+    east: { x: 1, z: 0 },
+    southeast: { x: 1, z: 1 },
+    south: { x: 0, z: 1 },
+    southwest: { x: -1, z: 1 },
+    west: { x: -1, z: 0 },
+    northwest: { x: -1, z: -1 }
+  };
 
-      // Additional check for space above (2 blocks high clearance)
-      const aboveTarget = bot.blockAt(targetPos.offset(0, 1, 0));
-      if (aboveTarget && aboveTarget.name !== 'air') {
-        continue;
+  constructor() {
+    super('build_shelter', '平らで乾いた場所に扉と松明付きの小屋を建てるか、地下壕を掘って身を守ります', {
+      mode: {
+        type: 'string',
+        enum: ['auto', 'hut', 'dugout'],
+        default: 'auto',
+        description: 'auto は低体力・敵の接近・夜間で素材が足りないときに地下壕を選ぶ'
+      },
+      searchRadius: {
+        type: 'integer',
+        default: 12,
+        minimum: 0,
+        maximum: 32,
+        aliases: ['radius'],
+        description: '小屋を建てる場所を探す範囲'
       }
+    });
+  }
 
-      // Check if bot can reach the placement position
-      const distanceToTarget = bot.entity.position.distanceTo(targetPos);
-      if (distanceToTarget > 6) {
-        continue;
+  async execute(bot, params) {
+    const { searchRadius, cancelToken } = params;
+    try {
+      const observer = new EnvironmentObserver(bot);
+      const terrain = observer.getTerrainAnalysis();
+      const urgent = this.isUrgent(bot, observer);
+      const night = !!bot.time && bot.time.isDay === false;
+      const materials = this.countBuildingBlocks(bot);
+
+      let mode = params.mode;
+      if (mode === 'auto') {
+        // 危険な状況や夜間に素材集めをするより、素早く潜る
+        mode = urgent || (night && materials < BuildShelterSkill.hutBlockCount()) ? 'dugout' : 'hut';
+      }
+      const label = mode === 'hut' ? '小屋' : '地下壕';
+      this.logger.log(`[避難所] ${label}を作ります (地形=${terrain.terrain}, 緊急=${urgent}, 夜=${night}, 素材=${materials})`);
+
+      if (mode === 'hut') {
+        const site = this.findHutSite(bot, terrain, searchRadius);
+        const result = site
+          ? await this.buildHut(bot, site, { gather: !night && !urgent, signal: cancelToken })
+          : {
+            success: false,
+            error: '小屋を建てられる平らで乾いた場所が見つかりません',
+            reason: 'TARGET_NOT_FOUND',
+            details: { type: 'shelter_site', searchRadius }
+          };
+        if (result.success || result.reason === Cancellation.CANCELLED || params.mode === 'hut') return result;
+        this.logger.warn(`[避難所] 小屋を建てられないため地下壕に切り替えます: ${result.error}`);
       }
 
-      this.logger.log(`[ツールスキル] 設置候補位置を検証: ${targetPos.toString()}, 距離: ${distanceToTarget.toFixed(2)}`);
-      this.logger.log(`[ツールスキル] 参照ブロック: ${refBlock.name} at ${refBlock.position.toString()}`);
-
-      try {
-        const craftingTableItem = bot.inventory.items().find(item => item && item.name === 'crafting_table');
-        if (!craftingTableItem) {
-          this.logger.log('[ツールスキル] インベントリに作業台がありません。');
-          return { success: false, error: 'インベントリに作業台がありません' };
-        }
-
-        await bot.equip(craftingTableItem, 'hand');
-
-        // Retry mechanism for blockUpdate timeout with proper event waiting
-        for (let attempt = 1; attempt <= 3; attempt++) {
-          try {
-            this.logger.log(`[ツールスキル] 作業台設置試行 ${attempt}/3 at ${targetPos}`);
-
-            // Create blockUpdate promise BEFORE placing block
-            let blockUpdateResolve, blockUpdateReject;
-            const blockUpdatePromise = new Promise((resolve, reject) => {
-              blockUpdateResolve = resolve;
-              blockUpdateReject = reject;
-            });
+      return await this.buildDugout(bot, cancelToken);
+    } catch (error) {
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        return Cancellation.cancelledResult(cancelToken);
+      }
+      this.logger.error(`[避難所] エラー: ${error.message}`);
+      return { success: false, error: `避難所の建設に失敗: ${error.message}` };
+    }
+  }
 
-            const timeout = setTimeout(() => {
-              bot.removeListener('blockUpdate', onBlockUpdate);
-              blockUpdateReject(new Error('blockUpdate timeout'));
-            }, 8000);
+  isUrgent(bot, observer) {
+    if (typeof bot.health === 'number' && bot.health < BuildShelterSkill.LOW_HEALTH) return true;
+    const hostile = bot.nearestEntity
+      ? bot.nearestEntity(entity => entity && entity.position && observer.isHostileEntity(entity.name))
+      : null;
+    return !!hostile && hostile.position.distanceTo(bot.entity.position) <= BuildShelterSkill.HOSTILE_RADIUS;
+  }
 
-            const onBlockUpdate = (_oldBlock, newBlock) => {
-              if (newBlock && newBlock.position.equals(targetPos) && newBlock.name === 'crafting_table') {
-                clearTimeout(timeout);
-                bot.removeListener('blockUpdate', onBlockUpdate);
-                blockUpdateResolve(newBlock);
-              }
-            };
+  // --- 小屋 -----------------------------------------------------------------
 
-            // Set up listener BEFORE placing block
-            bot.on('blockUpdate', onBlockUpdate);
+  static hutBlockCount() {
+    return 8 * 2 + 9; // 外周の壁 2 段 + 屋根（扉の分は扉を置けなければ塞ぐ）
+  }
 
-            try {
-              // Place the block
-              await bot.placeBlock(refBlock, new Vec3(0, 1, 0));
+  /**
+   * 現在地、次に地形解析で開けている方向、残りの方向の順に 3 ブロック刻みで候補を調べる
+   */
+  findHutSite(bot, terrain, searchRadius) {
+    const origin = bot.entity.position.floored();
+    const open = (terrain.clearPaths || []).map(path => path.direction);
+    const names = [...open, ...Object.keys(BuildShelterSkill.DIRECTIONS).filter(name => !open.includes(name))];
 
-              // Wait for either blockUpdate event or timeout
-              const updatedBlock = await blockUpdatePromise;
-              this.logger.log('[ツールスキル] 作業台を正常に設置しました！');
-              return { success: true, workbench: updatedBlock };
-            } catch (eventError) {
-              // Clean up listener on error
-              clearTimeout(timeout);
-              bot.removeListener('blockUpdate', onBlockUpdate);
+    const columns = terrain.terrain === 'complex' ? [] : [origin];
+    for (let distance = 3; distance <= searchRadius; distance += 3) {
+      for (const name of names) {
+        const direction = BuildShelterSkill.DIRECTIONS[name];
+        columns.push(origin.offset(direction.x * distance, 0, direction.z * distance));
+      }
+    }
 
-              this.logger.log(`[ツールスキル] blockUpdate待機エラー: ${eventError.message}`);
+    for (const column of columns) {
+      const cell = this.findStandingCell(bot, column);
+      if (cell && this.isHutSite(bot, cell)) return cell;
+    }
+    return null;
+  }
 
-              // Fallback: Direct verification after short delay
-              await new Promise(resolve => setTimeout(resolve, 1000));
-              const placedBlock = bot.blockAt(targetPos);
-              if (placedBlock && placedBlock.name === 'crafting_table') {
-                this.logger.log('[ツールスキル] 作業台設置を直接確認で検証成功！');
-                return { success: true, workbench: placedBlock };
-              }
-            }
-          } catch (error) {
-            this.logger.log(`[ツールスキル] 設置試行 ${attempt} 失敗: ${error.message}`);
+  // column の近くで、足元が固く頭上まで空いている高さを探す
+  findStandingCell(bot, column) {
+    for (let dy = 3; dy >= -4; dy--) {
+      const cell = column.offset(0, dy, 0);
+      if (this.isSolid(bot.blockAt(cell.offset(0, -1, 0))) &&
+          this.isOpen(bot.blockAt(cell)) && this.isOpen(bot.blockAt(cell.offset(0, 1, 0)))) {
+        return cell;
+      }
+    }
+    return null;
+  }
 
-            // Wait before retry
-            if (attempt < 3) {
-              await new Promise(resolve => setTimeout(resolve, 1500));
-            }
+  isHutSite(bot, center) {
+    for (let dx = -2; dx <= 2; dx++) {
+      for (let dz = -2; dz <= 2; dz++) {
+        for (let dy = -1; dy <= 2; dy++) {
+          const block = bot.blockAt(center.offset(dx, dy, dz));
+          if (!block || this.isLiquid(block)) return false; // 乾いた場所だけ
+          if (Math.abs(dx) > 1 || Math.abs(dz) > 1) continue;
+
+          if (dy === -1) {
+            if (!this.isSolid(block) || BuildShelterSkill.FALLING_BLOCK.test(block.name)) return false;
+          } else if (dx === 0 && dz === 0 && dy <= 1) {
+            if (!this.isOpen(block)) return false;
+          } else if (!this.isOpen(block) && !this.isSolid(block)) {
+            return false;
           }
         }
-
-        // If all retries failed, try next position
-        this.logger.log(`[ツールスキル] 位置 ${targetPos.toString()} での設置に失敗、次の位置を試行...`);
-      } catch (error) {
-        this.logger.log(`[ツールスキル] 設置準備エラー at ${targetPos ? targetPos.toString() : 'unknown'}: ${error.message}`);
-        this.logger.log(`[ツールスキル] エラースタック: ${error.stack}`);
-        continue;
       }
     }
+    return true;
+  }
 
-    // If standard placement failed, try terrain modification approach
-    this.logger.log('[ツールスキル] 通常の設置位置が見つかりませんでした。地形を整備して設置場所を作成します...');
-    const terrainResult = await this.createCraftingTableSpot(bot);
-    if (terrainResult.success) {
-      return terrainResult;
+  hutLayout(bot, center) {
+    const ring = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (dx !== 0 || dz !== 0) ring.push({ dx, dz });
+      }
     }
 
-    // Enhanced error reporting
-    const botPos = bot.entity.position;
-    const inventoryItems = bot.inventory.items().map(item => item.name).join(', ');
+    // 扉は外側が開けている辺に付ける
+    const sides = [{ dx: 0, dz: 1 }, { dx: 0, dz: -1 }, { dx: 1, dz: 0 }, { dx: -1, dz: 0 }];
+    const doorSide = sides.find(side => {
+      const outside = center.offset(side.dx * 2, 0, side.dz * 2);
+      return this.isOpen(bot.blockAt(outside)) && this.isOpen(bot.blockAt(outside.offset(0, 1, 0)));
+    }) || sides[0];
 
-    this.logger.log('[ツールスキル] 作業台設置失敗の詳細情報:');
-    this.logger.log(`[ツールスキル] - ボット位置: ${botPos.toString()}`);
-    this.logger.log(`[ツールスキル] - 試行した位置数: ${placementPositions.length}`);
-    this.logger.log('[ツールスキル] - インベントリ:', inventoryItems);
-    this.logger.log('[ツールスキル] - 周辺ブロック情報:');
+    const walls = [];
+    for (const { dx, dz } of ring) {
+      walls.push(center.offset(dx, 0, dz), center.offset(dx, 1, dz));
+    }
+    const roof = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) roof.push(center.offset(dx, 2, dz));
+    }
+    return { walls, roof, door: center.offset(doorSide.dx, 0, doorSide.dz) };
+  }
 
-    // Show first 10 positions for debugging
-    for (let i = 0; i < Math.min(10, placementPositions.length); i++) {
-      const offset = placementPositions[i];
-      const refBlock = bot.blockAt(botPos.offset(offset.x, offset.y, offset.z));
-      const targetPos = refBlock ? refBlock.position.offset(0, 1, 0) : null;
-      const targetBlock = targetPos ? bot.blockAt(targetPos) : null;
+  async buildHut(bot, center, { gather, signal }) {
+    const layout = this.hutLayout(bot, center);
+    const doorItem = bot.inventory.items().find(item =>
+      item && /_door$/.test(item.name) && item.name !== 'iron_door' && !item.name.includes('trapdoor'));
+    const doorCells = doorItem ? [layout.door, layout.door.offset(0, 1, 0)] : [];
 
-      const refName = refBlock ? refBlock.name : 'null';
-      const targetName = targetBlock ? targetBlock.name : 'null';
-      this.logger.log(`[ツールスキル]   位置${i + 1}: 参照=${refName}, ターゲット=${targetName}`);
-    }
+    const targets = [...layout.walls, ...layout.roof]
+      .filter(position => !doorCells.some(cell => cell.equals(position)))
+      .filter(position => !this.isSolid(bot.blockAt(position)));
 
-    return {
-      success: false,
-      error: '全ての設置位置で作業台の設置に失敗しました',
-      details: {
-        botPosition: botPos.toString(),
-        attemptedPositions: placementPositions.length,
-        inventoryItems
-      }
-    };
-  }
+    let available = this.countBuildingBlocks(bot);
+    if (available < targets.length && gather) {
+      await this.gatherBlocks(bot, center, targets.length - available, signal);
+      available = this.countBuildingBlocks(bot);
+    }
+    if (available < targets.length) {
+      return {
+        success: false,
+        error: `建材が不足しています (必要=${targets.length}, 所持=${available})`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: 'dirt', needed: targets.length - available }] }
+      };
+    }
 
-  // New method to create a crafting table spot by modifying terrain
-  async createCraftingTableSpot(bot) {
-    this.logger.log('[ツールスキル] 地形を整備して作業台設置場所を作成します...');
+    const moved = await this.moveIntoCell(bot, center, signal);
+    if (!moved.success) return moved;
 
-    const botPos = bot.entity.position;
-    // First try to find existing solid ground
-    const candidatePositions = [];
+    const { remaining } = await this.placeAll(bot, targets, signal);
 
-    // Add positions in expanding circles
-    for (let radius = 1; radius <= 4; radius++) {
-      for (let x = -radius; x <= radius; x++) {
-        for (let z = -radius; z <= radius; z++) {
-          if (Math.abs(x) === radius || Math.abs(z) === radius) {
-            candidatePositions.push(new Vec3(x, 0, z));
-          }
-        }
+    let door = false;
+    if (doorItem) {
+      const doorGround = bot.blockAt(layout.door.offset(0, -1, 0));
+      door = await this.placeOn(bot, doorGround, new Vec3(0, 1, 0), doorItem.name, signal);
+      if (!door) {
+        // 扉を置けなければ入口も塞ぐ
+        const sealed = await this.placeAll(bot, doorCells, signal);
+        remaining.push(...sealed.remaining);
       }
     }
 
-    // Sort by distance from bot
-    candidatePositions.sort((a, b) => {
-      const distA = Math.sqrt(a.x * a.x + a.z * a.z);
-      const distB = Math.sqrt(b.x * b.x + b.z * b.z);
-      return distA - distB;
+    const torch = await this.placeTorch(bot, center, signal);
+    if (remaining.length > 0) {
+      return {
+        success: false,
+        error: `小屋を囲いきれませんでした (未設置=${remaining.length})`,
+        reason: 'SHELTER_INCOMPLETE',
+        details: { type: 'hut', position: center, remaining: remaining.map(position => position.toString()) }
+      };
+    }
+
+    this.logger.log(`[避難所] ${center} に小屋を建てました (扉=${door}, 松明=${torch})`);
+    bot.chat('避難所を建てました');
+    return { success: true, shelter: { type: 'hut', position: center, door, torch }, blocksPlaced: targets.length };
+  }
+
+  /**
+   * 小屋の周りの地表から土を掘って建材を集める（小屋の足場は掘らない）
+   */
+  async gatherBlocks(bot, center, amount, signal) {
+    const mcData = require('minecraft-data')(bot.version);
+    const candidates = bot.findBlocks({
+      matching: block => block && BuildShelterSkill.GATHERABLE_BLOCKS.includes(block.name) &&
+        (Math.abs(block.position.x - center.x) > 2 || Math.abs(block.position.z - center.z) > 2) &&
+        this.isOpen(bot.blockAt(block.position.offset(0, 1, 0))),
+      useExtraInfo: true, // 位置で絞り込むため
+      maxDistance: 8,
+      count: amount * 2,
+      point: center
     });
 
-    for (const offset of candidatePositions) {
-      const targetPos = botPos.offset(offset.x, offset.y, offset.z);
-      const groundPos = targetPos.offset(0, -1, 0);
+    const before = this.countBuildingBlocks(bot);
+    for (const position of candidates) {
+      if (this.countBuildingBlocks(bot) - before >= amount) break;
+      Cancellation.throwIfCancelled(signal);
 
-      this.logger.log(`[ツールスキル] 地形整備候補位置: ${targetPos.toString()}`);
+      const block = bot.blockAt(position);
+      if (!block || !BuildShelterSkill.GATHERABLE_BLOCKS.includes(block.name)) continue;
+      const approach = await ensureProximity(bot, block, 4, { signal });
+      if (approach.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+      if (!approach.success) continue;
 
       try {
-        // Check if position is reachable
-        const distance = botPos.distanceTo(targetPos);
-        if (distance > 6) {
-          continue;
-        }
-
-        // Check what's at the target position
-        const targetBlock = bot.blockAt(targetPos);
-        const groundBlock = bot.blockAt(groundPos);
-        const aboveBlock = bot.blockAt(targetPos.offset(0, 1, 0));
+        await this.equipToolFor(bot, block, mcData);
+        await Cancellation.race(bot.dig(block), signal, () => bot.stopDigging());
+      } catch (error) {
+        if (Cancellation.isCancellationError(error)) throw error;
+        this.logger.warn(`[避難所] 建材の採取に失敗: ${error.message}`);
+      }
+    }
 
-        this.logger.log(`[ツールスキル] 地形状況: 地面=${groundBlock?.name || 'null'}, 設置位置=${targetBlock?.name || 'null'}, 上方=${aboveBlock?.name || 'null'}`);
+    const gathered = this.countBuildingBlocks(bot) - before;
+    this.logger.log(`[避難所] 建材を${gathered}個集めました`);
+    return gathered;
+  }
 
-        // If ground block exists and is solid, try to place directly
-        if (groundBlock && groundBlock.name !== 'air' && groundBlock.name !== 'water') {
-          if (targetBlock && targetBlock.name === 'air') {
-            try {
-              const craftingTableItem = bot.inventory.items().find(item => item && item.name === 'crafting_table');
-              if (craftingTableItem) {
-                await bot.equip(craftingTableItem, 'hand');
-                await bot.placeBlock(groundBlock, new Vec3(0, 1, 0));
+  // --- 地下壕 ---------------------------------------------------------------
 
-                // Verify placement
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                const placedBlock = bot.blockAt(targetPos);
-                if (placedBlock && placedBlock.name === 'crafting_table') {
-                  this.logger.log('[ツールスキル] 作業台設置に成功しました！');
-                  return { success: true, workbench: placedBlock };
-                }
-              }
-            } catch (placeError) {
-              this.logger.log(`[ツールスキル] 直接設置失敗: ${placeError.message}`);
-            }
-          }
-        }
+  /**
+   * 足元を掘り下げて頭上を塞ぐ。周囲に空洞や液体がある場所は避けて隣の列を試す
+   */
+  async buildDugout(bot, signal) {
+    const origin = bot.entity.position.floored();
+    const offsets = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1], [2, 0], [-2, 0], [0, 2], [0, -2]];
+    const column = offsets
+      .map(([dx, dz]) => this.findStandingCell(bot, origin.offset(dx, 0, dz)))
+      .find(cell => cell && this.isDugoutSite(bot, cell));
+
+    if (!column) {
+      return {
+        success: false,
+        error: '地下壕を掘れる地面が見つかりません',
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: 'shelter_site' }
+      };
+    }
 
-        // If target position is blocked, try to clear it
-        if (targetBlock && targetBlock.name !== 'air') {
-          this.logger.log(`[ツールスキル] 設置位置をクリア: ${targetBlock.name}`);
-          try {
-            await bot.dig(targetBlock);
-            await new Promise(resolve => setTimeout(resolve, 500)); // Wait for dig to complete
-          } catch (digError) {
-            this.logger.log(`[ツールスキル] ブロック除去失敗: ${digError.message}`);
-            continue;
-          }
-        }
+    const moved = await this.moveIntoCell(bot, column, signal);
+    if (!moved.success) return moved;
 
-        // If above position is blocked, try to clear it
-        if (aboveBlock && aboveBlock.name !== 'air') {
-          this.logger.log(`[ツールスキル] 上方スペースをクリア: ${aboveBlock.name}`);
-          try {
-            await bot.dig(aboveBlock);
-            await new Promise(resolve => setTimeout(resolve, 500)); // Wait for dig to complete
-          } catch (digError) {
-            this.logger.log(`[ツールスキル] 上方ブロック除去失敗: ${digError.message}`);
-            continue;
-          }
-        }
+    const mcData = require('minecraft-data')(bot.version);
+    for (let depth = 1; depth <= BuildShelterSkill.DUGOUT_DEPTH; depth++) {
+      Cancellation.throwIfCancelled(signal);
+      const block = bot.blockAt(column.offset(0, -depth, 0));
+      await this.equipToolFor(bot, block, mcData);
+      await Cancellation.race(bot.dig(block), signal, () => bot.stopDigging());
+      await this.waitForLanding(bot, column.y - depth, signal);
+    }
 
-        // If no ground block, try to create one with available blocks
-        if (!groundBlock || groundBlock.name === 'air') {
-          this.logger.log('[ツールスキル] 地面ブロックがありません。利用可能なブロックで地面を作成します...');
+    // 元の地表の高さ（頭上の 1 つ上）を横の地面を足場にして塞ぐ
+    const bottom = column.offset(0, -BuildShelterSkill.DUGOUT_DEPTH, 0);
+    const roof = column.offset(0, -1, 0);
+    const { remaining } = await this.placeAll(bot, [roof], signal);
+    const torch = await this.placeTorch(bot, bottom, signal);
 
-          // Find any solid block we can use for ground
-          const availableBlocks = bot.inventory.items().filter(item =>
-            item && item.name && ['dirt', 'cobblestone', 'stone', 'oak_planks'].includes(item.name)
-          );
+    if (remaining.length > 0) {
+      return {
+        success: false,
+        error: '地下壕の入口を塞げませんでした',
+        reason: 'SHELTER_INCOMPLETE',
+        details: { type: 'dugout', position: bottom, remaining: [roof.toString()] }
+      };
+    }
 
-          if (availableBlocks.length > 0) {
-            const blockToPlace = availableBlocks[0];
-            try {
-              await bot.equip(blockToPlace, 'hand');
+    this.logger.log(`[避難所] ${bottom} に地下壕を作りました (松明=${torch})`);
+    bot.chat('地下壕に避難しました');
+    return { success: true, shelter: { type: 'dugout', position: bottom, door: false, torch }, blocksPlaced: 1 };
+  }
 
-              // Find a solid reference block nearby to place against
-              const searchRadius = 3;
-              let refBlock = null;
+  isDugoutSite(bot, column) {
+    const depth = BuildShelterSkill.DUGOUT_DEPTH;
+    for (let d = 1; d <= depth; d++) {
+      const block = bot.blockAt(column.offset(0, -d, 0));
+      if (!this.isSolid(block) || !block.diggable || BuildShelterSkill.FALLING_BLOCK.test(block.name)) return false;
+    }
+    if (!this.isSolid(bot.blockAt(column.offset(0, -depth - 1, 0)))) return false;
 
-              for (let x = -searchRadius; x <= searchRadius; x++) {
-                for (let y = -searchRadius; y <= searchRadius; y++) {
-                  for (let z = -searchRadius; z <= searchRadius; z++) {
-                    const checkPos = groundPos.offset(x, y, z);
-                    const checkBlock = bot.blockAt(checkPos);
-                    if (checkBlock && checkBlock.name !== 'air' && checkBlock.name !== 'water') {
-                      refBlock = checkBlock;
-                      break;
-                    }
-                  }
-                  if (refBlock) break;
-                }
-                if (refBlock) break;
-              }
+    // 掘った空間（足と頭）の横は固いブロックで囲まれていること
+    for (let d = depth - 1; d <= depth; d++) {
+      for (const side of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        if (!this.isSolid(bot.blockAt(column.offset(side[0], -d, side[1])))) return false;
+      }
+    }
+    return true;
+  }
 
-              if (refBlock) {
-                // Calculate face vector from reference block to ground position
-                const faceVector = groundPos.minus(refBlock.position);
-                await bot.placeBlock(refBlock, faceVector);
-                this.logger.log(`[ツールスキル] ${blockToPlace.name}で地面を作成しました`);
-                await new Promise(resolve => setTimeout(resolve, 800));
-              } else {
-                this.logger.log('[ツールスキル] 地面作成用の参照ブロックが見つかりません');
-                continue;
-              }
-            } catch (placeError) {
-              this.logger.log(`[ツールスキル] 地面作成失敗: ${placeError.message}`);
-              continue;
-            }
-          } else {
-            this.logger.log('[ツールスキル] 地面作成用のブロックがありません');
-            continue;
-          }
-        }
+  async waitForLanding(bot, feetY, signal) {
+    for (let i = 0; i < 20 && bot.entity.position.y > feetY + 0.1; i++) {
+      if (typeof bot.waitForTicks === 'function') {
+        await Cancellation.race(bot.waitForTicks(1), signal);
+      } else {
+        await Cancellation.sleep(50, signal);
+      }
+    }
+  }
 
-        // Now try to place the crafting table
-        const finalGroundBlock = bot.blockAt(groundPos);
-        if (finalGroundBlock && finalGroundBlock.name !== 'air') {
-          try {
-            const craftingTableItem = bot.inventory.items().find(item => item && item.name === 'crafting_table');
-            if (!craftingTableItem) {
-              return { success: false, error: 'インベントリに作業台がありません' };
-            }
+  // --- 共通 -----------------------------------------------------------------
 
-            await bot.equip(craftingTableItem, 'hand');
-            await bot.placeBlock(finalGroundBlock, new Vec3(0, 1, 0));
+  async moveIntoCell(bot, cell, signal) {
+    if (bot.entity.position.floored().equals(cell)) return { success: true };
+    try {
+      await Cancellation.race(bot.pathfinder.goto(new goals.GoalBlock(cell.x, cell.y, cell.z)), signal,
+        () => bot.pathfinder.stop());
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[避難所] 建設位置への移動に失敗: ${error.message}`);
+    }
+    if (bot.entity.position.floored().equals(cell)) return { success: true };
+    return { success: false, error: `建設位置 ${cell} に移動できません`, reason: 'NO_PATH', details: { position: cell } };
+  }
 
-            // Verify placement
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            const placedBlock = bot.blockAt(targetPos);
-            if (placedBlock && placedBlock.name === 'crafting_table') {
-              this.logger.log('[ツールスキル] 地形整備後の作業台設置に成功しました！');
-              return { success: true, workbench: placedBlock };
-            }
-          } catch (placeError) {
-            this.logger.log(`[ツールスキル] 地形整備後の設置失敗: ${placeError.message}`);
-            continue;
-          }
+  /**
+   * 足元に松明を置く。持っていなければ石炭（木炭）と棒から作る
+   */
+  async placeTorch(bot, cell, signal) {
+    let torch = bot.inventory.items().find(item => item && item.name === 'torch');
+    if (!torch) {
+      try {
+        const mcData = require('minecraft-data')(bot.version);
+        const recipe = bot.recipesFor(mcData.itemsByName.torch.id, null, 1, null)[0];
+        if (recipe) {
+          await Cancellation.race(bot.craft(recipe, 1, null), signal);
+          torch = bot.inventory.items().find(item => item && item.name === 'torch');
         }
       } catch (error) {
-        this.logger.log(`[ツールスキル] 地形整備エラー: ${error.message}`);
-        continue;
+        if (Cancellation.isCancellationError(error)) throw error;
+        this.logger.warn(`[避難所] 松明のクラフトに失敗: ${error.message}`);
       }
     }
+    if (!torch) {
+      this.logger.log('[避難所] 松明がないため明かりなしで避難します');
+      return false;
+    }
+    return this.placeOn(bot, bot.blockAt(cell.offset(0, -1, 0)), new Vec3(0, 1, 0), 'torch', signal);
+  }
+}
 
-    return { success: false, error: '地形整備による設置場所作成に失敗しました' };
+// 設計図 (Blueprint) どおりに建てるスキル
+// 下の段から支えのある順に置き、支えのないブロックの下には一時的な足場を積んで構造が終わったら撤去する。
+// 既に正しく置かれたブロックは飛ばすので、中断後に同じ設計図で呼び直せば続きから建てられる
+class BuildBlueprintSkill extends BuildingSkill {
+  static REACH = 4;
+  static SCAFFOLD_MAX_DEPTH = 8;
+  static STAND_RADIUS = 3;
+
+  static HORIZONTAL_FACES = [new Vec3(1, 0, 0), new Vec3(-1, 0, 0), new Vec3(0, 0, 1), new Vec3(0, 0, -1)];
+
+  constructor() {
+    super('build_blueprint', '設計図 (JSON / .schem / .nbt) どおりに、素材を確かめてから下の段から順に建築します', {
+      blueprint: {
+        type: 'string',
+        required: true,
+        aliases: ['file', 'structure'],
+        description: '設計図の名前 (BLUEPRINT_DIR 内の <name>.json/.schem/.nbt) またはファイルパス'
+      },
+      origin: {
+        type: 'object',
+        nlu: false,
+        description: '設計図の (0, 0, 0) を置くワールド座標。省略時は前回の建築位置、なければ足元の隣',
+        properties: {
+          x: { type: 'number', required: true },
+          y: { type: 'number', required: true },
+          z: { type: 'number', required: true }
+        }
+      },
+      rotation: {
+        type: 'integer',
+        enum: [0, 90, 180, 270],
+        default: 0,
+        description: '上から見て時計回りの回転角'
+      }
+    });
+    this.dir = process.env.BLUEPRINT_DIR || require('path').join(process.cwd(), 'data', 'blueprints');
+    // 建築中の設計図 → { origin, scaffolds }。中断後の再開で建築位置と残った足場を引き継ぐ
+    this.progress = new Map();
   }
 
-  // Simple wood gathering method for CraftToolsSkill
-  async simpleWoodGathering(bot) {
-    this.logger.log('[材料収集] 木材の自動収集を開始...');
+  async execute(bot, params) {
+    const { rotation, cancelToken } = params;
+
+    const filePath = Blueprint.resolvePath(params.blueprint, this.dir);
+    if (!filePath) {
+      return {
+        success: false,
+        error: `設計図 ${params.blueprint} が見つかりません`,
+        reason: 'BLUEPRINT_NOT_FOUND',
+        details: { blueprint: params.blueprint, dir: this.dir }
+      };
+    }
 
+    let blueprint;
     try {
-      // Find a nearby tree
-      const tree = bot.findBlock({
-        matching: (block) => block && block.name.includes('_log'),
-        maxDistance: 64
-      });
+      blueprint = (await Blueprint.load(filePath)).rotate(rotation / 90);
+    } catch (error) {
+      return {
+        success: false,
+        error: `設計図を読み込めません: ${error.message}`,
+        reason: 'BLUEPRINT_INVALID',
+        details: { blueprint: filePath }
+      };
+    }
 
-      if (!tree) {
-        this.logger.log('[材料収集] 近くに木が見つかりません');
-        return { success: false, error: '木が見つかりません' };
+    return this.build(bot, blueprint, { key: `${filePath}@${rotation}`, origin: params.origin, signal: cancelToken });
+  }
+
+  /**
+   * 読み込んだ (回転済みの) 設計図を建てる。囲いなど、その場で組み立てた設計図を建てるスキルからも使う
+   * @param {Object} options
+   *        ├─ key     中断後の再開に使う進捗のキー
+   *        ├─ origin  設計図の (0, 0, 0) を置くワールド座標（省略時は前回の位置か足元の隣）
+   *        └─ signal  cancelToken
+   */
+  async build(bot, blueprint, options) {
+    const { key, signal: cancelToken } = options;
+    const mcData = require('minecraft-data')(bot.version);
+    const previous = this.progress.get(key);
+    const origin = options.origin
+      ? new Vec3(Math.floor(options.origin.x), Math.floor(options.origin.y), Math.floor(options.origin.z))
+      : previous ? previous.origin : bot.entity.position.floored().offset(1, 0, 1);
+    const record = previous && previous.origin.equals(origin) ? previous : { origin, scaffolds: new Map() };
+    this.progress.set(key, record);
+
+    const order = blueprint.placementOrder(mcData).map(block => ({ ...block, target: origin.plus(block.position) }));
+    const unobtainable = order.filter(block => !BlockStates.itemForBlock(block.name, mcData));
+    if (unobtainable.length > 0) {
+      const names = [...new Set(unobtainable.map(block => block.name))];
+      this.logger.warn(`[設計図] アイテムとして入手できないブロックは置きません: ${names.join(', ')}`);
+    }
+    const pending = order.filter(block => !unobtainable.includes(block) &&
+      !BlockStates.matches(bot.blockAt(block.target), block));
+    const skipped = order.length - unobtainable.length - pending.length;
+    if (skipped > 0 && pending.length > 0) {
+      this.logger.log(`[設計図] ${blueprint.name}: ${skipped}/${order.length} ブロックは設置済みのため続きから建てます`);
+    }
+
+    const { materials } = new Blueprint({
+      blocks: pending.map(block => ({ ...block.position, name: block.name, properties: block.properties }))
+    }).billOfMaterials(mcData);
+    const missing = Object.entries(materials)
+      .map(([item, needed]) => ({ item, needed: needed - InventoryUtils.getItemCount(bot, item) }))
+      .filter(entry => entry.needed > 0);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `素材が足りません: ${missing.map(entry => `${entry.item} x${entry.needed}`).join(', ')}`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing, blueprint: blueprint.name, materials }
+      };
+    }
+
+    const context = {
+      mcData,
+      record,
+      signal: cancelToken,
+      needs: new Map(Object.entries(materials)),
+      cells: new Set(order.map(block => block.target.toString())),
+      pending: new Set(pending.map(block => block.target.toString())),
+      placed: 0
+    };
+    const failed = [];
+    try {
+      // 扉・松明などは構造と足場の撤去が終わってから付ける
+      failed.push(...await this.placeInOrder(bot, pending.filter(block => !Blueprint.isAttachment(block, mcData)),
+        context));
+      await this.removeScaffolding(bot, context);
+      failed.push(...await this.placeInOrder(bot, pending.filter(block => Blueprint.isAttachment(block, mcData)),
+        context));
+    } catch (error) {
+      const { placed } = context;
+      if (Cancellation.isCancellationError(error)) {
+        this.logger.log(`[設計図] ${blueprint.name} の建築を中断しました (${placed} ブロック設置)。再実行で続きから建てます`);
+        return Cancellation.cancelledResult(cancelToken, {
+          blueprint: blueprint.name, origin, placed, remaining: context.pending.size
+        });
       }
+      return { success: false, error: error.message, details: { blueprint: blueprint.name, origin, placed } };
+    }
 
-      this.logger.log(`[材料収集] 木材を発見: ${tree.position}`);
+    const { placed } = context;
+    if (failed.length > 0) {
+      return {
+        success: false,
+        error: `${failed.length} ブロックを設置できませんでした`,
+        reason: 'BLUEPRINT_INCOMPLETE',
+        details: {
+          blueprint: blueprint.name,
+          origin,
+          placed,
+          failed: failed.map(block => ({ name: block.name, position: block.target }))
+        }
+      };
+    }
 
-      // Basic movement to the tree
-      try {
-        await bot.lookAt(tree.position);
-        const distance = bot.entity.position.distanceTo(tree.position);
+    this.progress.delete(key);
+    this.logger.log(`[設計図] ${blueprint.name} を ${origin} に建てました (設置 ${placed}, 既存 ${skipped})`);
+    return { success: true, blueprint: blueprint.name, origin, placed, skipped };
+  }
 
-        if (distance > 4) {
-          bot.setControlState('forward', true);
-          await new Promise(resolve => setTimeout(resolve, Math.min(distance * 500, 3000)));
-          bot.setControlState('forward', false);
+  /**
+   * 順に置き、支えがなくて置けなかったブロックは他のブロックが増えたあとでやり直す。最後まで置けなかったものを返す
+   */
+  async placeInOrder(bot, blocks, context) {
+    let queue = blocks;
+    let progress = true;
+    while (queue.length > 0 && progress) {
+      progress = false;
+      const retry = [];
+      for (const block of queue) {
+        Cancellation.throwIfCancelled(context.signal);
+        if (await this.placeBlueprintBlock(bot, block, context)) {
+          context.placed++;
+          context.pending.delete(block.target.toString());
+          progress = true;
+        } else {
+          retry.push(block);
         }
+      }
+      queue = retry;
+    }
+    return queue;
+  }
 
-        // Mine the tree
-        await bot.dig(tree);
-        this.logger.log(`[材料収集] ${tree.name}を収集しました`);
+  /**
+   * 1 ブロックを設計図どおりの状態で置く。邪魔なブロックは掘り、支えがなければ足場を積む
+   */
+  async placeBlueprintBlock(bot, block, context) {
+    const { mcData, signal } = context;
+    const existing = bot.blockAt(block.target);
+    if (BlockStates.matches(existing, block)) return true;
 
-        // Wait for inventory update to sync
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    const itemName = BlockStates.itemForBlock(block.name, mcData);
+    if (!itemName || !bot.inventory.items().some(item => item && item.name === itemName)) return false;
 
-        // Verify collection with detailed logging
-        const postCollectionInventory = bot.inventory.items();
-        this.logger.log(`[材料収集] 収集後インベントリ検査: ${postCollectionInventory.length}個のアイテム`);
-        postCollectionInventory.forEach(item => {
-          this.logger.log(`[材料収集] - ${item.name}: ${item.count}個`);
-        });
+    if (existing && !this.isOpen(existing) && !this.isLiquid(existing)) {
+      if (!await this.clearCell(bot, existing, context)) return false;
+    }
 
-        return { success: true };
-      } catch (error) {
-        this.logger.log(`[材料収集] 木材収集に失敗: ${error.message}`);
-        return { success: false, error: `木材収集失敗: ${error.message}` };
+    const placement = BlockStates.placementFor(block.name, block.properties, mcData.blocksByName[block.name]);
+    let reference = this.findBlueprintReference(bot, block, placement, mcData);
+    if (!reference && !Blueprint.isAttachment(block, mcData)) {
+      await this.buildScaffold(bot, block.target, context);
+      reference = this.findBlueprintReference(bot, block, placement, mcData);
+    }
+    if (!reference) {
+      this.logger.warn(`[設計図] ${block.name} を ${block.target} に置く支えがありません`);
+      return false;
+    }
+
+    // 二重のハーフブロックは下半分を置いてから、その上面にもう 1 枚重ねる
+    const steps = block.properties.type === 'double' ? 2 : 1;
+    for (let step = 0; step < steps; step++) {
+      const current = step === 0 ? reference : { block: bot.blockAt(block.target), face: new Vec3(0, 1, 0) };
+      if (!await this.approach(bot, block.target, context)) return false;
+      await this.placeOriented(bot, current, itemName, placement, signal);
+    }
+
+    if (!BlockStates.matches(bot.blockAt(block.target), block)) {
+      this.logger.warn(`[設計図] ${block.name} を ${block.target} に設計図どおり置けませんでした`);
+      return false;
+    }
+    context.needs.set(itemName, Math.max(0, (context.needs.get(itemName) || 0) - steps));
+    return true;
+  }
+
+  /**
+   * 状態を再現できる参照ブロックと面を探す。
+   * 向きがクリック面で決まるもの（壁の松明など）と軸を持つもの（原木）は面が限られ、
+   * 上付きの階段・ハーフブロックは上のブロックの下面か、横の面を half: 'top' でクリックする
+   */
+  findBlueprintReference(bot, block, placement, mcData) {
+    const candidates = [{ face: placement.face, half: placement.half }];
+    const def = mcData.blocksByName[block.name];
+    const stateNames = ((def && def.states) || []).map(state => state.name);
+
+    if (block.properties.axis) {
+      candidates.push({ face: placement.face.scaled(-1) });
+    } else if (!BlockStates.isWallAttached(block.name)) {
+      if (placement.half === 'top') {
+        candidates.push(...BuildBlueprintSkill.HORIZONTAL_FACES.map(face => ({ face, half: 'top' })));
+      } else {
+        candidates.push(...BuildBlueprintSkill.HORIZONTAL_FACES.map(face => ({ face, half: 'bottom' })));
+        if (!stateNames.includes('half') && !stateNames.includes('type')) {
+          candidates.push({ face: new Vec3(0, -1, 0) });
+        }
+      }
+    }
+
+    for (const candidate of candidates) {
+      const referenceBlock = bot.blockAt(block.target.minus(candidate.face));
+      if (this.isSolid(referenceBlock)) return { block: referenceBlock, face: candidate.face, half: candidate.half };
+    }
+    return null;
+  }
+
+  /**
+   * 向きを合わせてから置く。向きを指定するときは mineflayer が面を見直さないよう forceLook: 'ignore' で置く
+   */
+  async placeOriented(bot, reference, itemName, placement, signal) {
+    const item = bot.inventory.items().find(candidate => candidate && candidate.name === itemName);
+    if (!item) return false;
+    try {
+      await Cancellation.race(bot.equip(item, 'hand'), signal);
+      if (placement.facing) {
+        await Cancellation.race(bot.look(BlockStates.yawFor(placement.facing), 0, true), signal);
       }
+      if (typeof bot._placeBlockWithOptions === 'function') {
+        const options = { half: reference.half || 'bottom', forceLook: placement.facing ? 'ignore' : true };
+        await Cancellation.race(bot._placeBlockWithOptions(reference.block, reference.face, options), signal);
+      } else {
+        await Cancellation.race(bot.placeBlock(reference.block, reference.face), signal);
+      }
+      return true;
     } catch (error) {
-      this.logger.log(`[材料収集] 木材収集中にエラー: ${error.message}`);
-      return { success: false, error: `収集エラー: ${error.message}` };
+      if (Cancellation.isCancellationError(error)) throw error;
+      // 二重ハーフブロックなど、設置先の判定がずれて例外になっても置けていることがあるので結果は呼び出し側で確かめる
+      this.logger.warn(`[設計図] ${itemName} の設置で例外: ${error.message}`);
+      return false;
     }
   }
 
-  // Improved inventory detection methods
-  countPlankItems(bot) {
-    // Use InventoryUtils for consistent detection
-    const totalPlanks = InventoryUtils.getPlanksCount(bot);
-    this.logger.log(`[インベントリ検出] 板材総数: ${totalPlanks}`);
+  /**
+   * 真下の地面（または既存の構造）まで足場を積み、積んだ位置を記録する
+   */
+  async buildScaffold(bot, target, context) {
+    const column = [];
+    for (let depth = 1; depth <= BuildBlueprintSkill.SCAFFOLD_MAX_DEPTH; depth++) {
+      const position = target.offset(0, -depth, 0);
+      const block = bot.blockAt(position);
+      if (this.isSolid(block)) break;
+      if (!this.isOpen(block) || context.cells.has(position.toString())) return false;
+      column.unshift(position);
+      if (depth === BuildBlueprintSkill.SCAFFOLD_MAX_DEPTH) return false;
+    }
+    if (column.length === 0) return true;
+
+    for (const position of column) {
+      const item = this.pickScaffoldBlock(bot, context);
+      if (!item) {
+        this.logger.warn('[設計図] 足場に使える余りのブロックがありません');
+        return false;
+      }
+      if (!await this.approach(bot, position, context)) return false;
+      const placed = await this.placeOn(bot, bot.blockAt(position.offset(0, -1, 0)), new Vec3(0, 1, 0), item.name,
+        context.signal);
+      if (!placed || !this.isSolid(bot.blockAt(position))) return false;
+      context.record.scaffolds.set(position.toString(), position);
+    }
+    this.logger.log(`[設計図] ${target} の下に足場を ${column.length} 段積みました`);
+    return true;
+  }
 
-    // Debug: Show all plank items found
-    const plankItems = InventoryUtils.findItemsByPattern(bot, '_planks');
-    plankItems.forEach(item => {
-      this.logger.log(`[インベントリ検出] 発見した板材: ${item.name} x${item.count}`);
-    });
+  /**
+   * 設計図でまだ使う分を残して、余っている建材を足場に使う
+   */
+  pickScaffoldBlock(bot, context) {
+    const rank = name => {
+      const index = BuildingSkill.CHEAP_BLOCKS.indexOf(name);
+      if (index >= 0) return index;
+      return name.endsWith('_planks') ? 200 : 100;
+    };
+    return bot.inventory.items()
+      .filter(item => item && this.isBuildingBlock(item.name, context.mcData) &&
+        InventoryUtils.getItemCount(bot, item.name) > (context.needs.get(item.name) || 0))
+      .sort((a, b) => rank(a.name) - rank(b.name))[0] || null;
+  }
 
-    return totalPlanks;
+  async removeScaffolding(bot, context) {
+    const { record, signal } = context;
+    if (record.scaffolds.size === 0) return;
+    const positions = [...record.scaffolds.values()].sort((a, b) => b.y - a.y);
+    for (const position of positions) {
+      Cancellation.throwIfCancelled(signal);
+      const block = bot.blockAt(position);
+      if (block && !this.isOpen(block) && !this.isLiquid(block)) {
+        await this.clearCell(bot, block, context);
+      }
+      if (this.isOpen(bot.blockAt(position))) record.scaffolds.delete(position.toString());
+    }
+    this.logger.log(`[設計図] 足場を撤去しました (残り ${record.scaffolds.size})`);
   }
 
-  countLogItems(bot) {
-    // Use InventoryUtils for consistent detection
-    const totalLogs = InventoryUtils.getWoodCount(bot);
-    this.logger.log(`[インベントリ検出] 原木総数: ${totalLogs}`);
+  async clearCell(bot, block, context) {
+    if (!await this.approach(bot, block.position, context)) return false;
+    try {
+      await this.equipToolFor(bot, block, context.mcData);
+      await Cancellation.race(bot.dig(block), context.signal, () => bot.stopDigging());
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[設計図] ${block.name} (${block.position}) を掘れません: ${error.message}`);
+    }
+    return this.isOpen(bot.blockAt(block.position));
+  }
 
-    // Debug: Show all log items found
-    const logItems = InventoryUtils.findItemsByPattern(bot, '_log');
-    logItems.forEach(item => {
-      this.logger.log(`[インベントリ検出] 発見した原木: ${item.name} x${item.count}`);
-    });
+  /**
+   * target に手が届き、かつ target を塞がない位置へ移動する。まだ置いていない設計図のマスには立たない
+   */
+  async approach(bot, target, context) {
+    const center = target.offset(0.5, 0.5, 0.5);
+    const feet = bot.entity.position.floored();
+    const blocking = position => position.equals(target) || position.offset(0, 1, 0).equals(target);
+    const reachable = position => position.offset(0.5, 1.62, 0.5).distanceTo(center) <= BuildBlueprintSkill.REACH;
+    if (reachable(feet) && !blocking(feet)) return true;
+
+    const radius = BuildBlueprintSkill.STAND_RADIUS;
+    const spots = [];
+    for (let dy = -3; dy <= 1; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+          const spot = target.offset(dx, dy, dz);
+          if (blocking(spot) || !reachable(spot)) continue;
+          if (context.pending.has(spot.toString()) || context.pending.has(spot.offset(0, 1, 0).toString())) continue;
+          if (!this.isSolid(bot.blockAt(spot.offset(0, -1, 0)))) continue;
+          if (!this.isOpen(bot.blockAt(spot)) || !this.isOpen(bot.blockAt(spot.offset(0, 1, 0)))) continue;
+          spots.push(spot);
+        }
+      }
+    }
+    spots.sort((a, b) => a.distanceTo(feet) - b.distanceTo(feet));
 
-    return totalLogs;
+    for (const spot of spots.slice(0, 3)) {
+      const result = await moveToPosition(bot, spot, 0, { signal: context.signal, retries: 1 });
+      if (result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(context.signal);
+      const now = bot.entity.position.floored();
+      if (reachable(now) && !blocking(now)) return true;
+    }
+    this.logger.warn(`[設計図] ${target} に手が届く立ち位置がありません`);
+    return false;
   }
+}
 
-  countItemsInInventoryByName(bot, itemName) {
-    // Use InventoryUtils for consistent detection
-    return InventoryUtils.getItemCount(bot, itemName);
+// 家畜を囲う柵を建てるスキル。近くに自分の囲いがあれば、壊れた所だけ直して使い回す
+// 外周 size x size に柵を並べ、ボットに近い辺の中央を門にする。柵と門は手持ちの板材・原木から作る
+class BuildPenSkill extends BuildingSkill {
+  static PEN_RADIUS = 64; // これより遠い自分の囲いは使わず、近くに新しく建てる
+
+  constructor(registry = null) {
+    super('build_pen', '家畜を囲う門つきの柵を建てます。近くに自分の囲いがあれば壊れた所を直して使い回します', {
+      size: { type: 'integer', default: 6, minimum: 4, maximum: 12, description: '柵の外周の一辺（内側は size - 2 四方）' },
+      species: {
+        type: 'string',
+        enum: ['any', 'cow', 'sheep', 'pig', 'chicken'],
+        default: 'any',
+        aliases: ['animal'],
+        description: '囲う家畜'
+      },
+      searchRadius: { type: 'integer', default: 16, minimum: 4, maximum: 48, aliases: ['radius'] }
+    });
+    this.registry = registry || new FarmRegistry();
+    this.builder = new BuildBlueprintSkill();
   }
 
-  // On-demand log to plank conversion
-  async convertLogsToPlanksDemand(bot, logsToCraft) {
-    this.logger.log(`[オンデマンド変換] ${logsToCraft}個の原木を板材に変換します`);
+  async execute(bot, params) {
+    const { size, searchRadius, cancelToken } = params;
+    const species = params.species === 'any' ? null : params.species;
 
     try {
-      const mcData = require('minecraft-data')(bot.version);
-
-      // Find the first log type in inventory
-      const logItem = bot.inventory.items().find(item =>
-        item && item.name && item.name.includes('_log')
-      );
+      this.registry.load();
+      const existing = this.findOwnPen(bot, species);
+      const missingOf = bounds => BuildPenSkill.layout(bounds)
+        .filter(cell => !(cell.gate ? /_fence_gate$/ : /_fence$/).test(bot.blockAt(cell.position).name));
+      if (existing && missingOf(existing).length === 0) {
+        this.logger.log(`[畜産] 囲い ${existing.id} は壊れていません`);
+        return { success: true, pen: existing, placed: 0, reused: true };
+      }
+
+      // 作業台を置く場所で囲いの場所が塞がらないよう、新しく建てるときは柵を揃えてから場所を探す
+      const needed = existing ? missingOf(existing) : null;
+      const fencing = await this.ensureFencing(bot,
+        needed ? needed.filter(cell => !cell.gate).length : 4 * (size - 1) - 1,
+        needed ? needed.filter(cell => cell.gate).length : 1, cancelToken);
+      if (!fencing.success) return fencing;
+
+      let bounds = existing;
+      if (!bounds) {
+        const min = this.findPenSite(bot, size, searchRadius);
+        if (!min) {
+          return {
+            success: false,
+            error: '囲いを建てられる平らな場所が見つかりません',
+            reason: 'TARGET_NOT_FOUND',
+            details: { type: 'pen_site', size, searchRadius }
+          };
+        }
+        const max = min.offset(size - 1, 0, size - 1);
+        bounds = { min, max, gate: this.chooseGate(bot, min, max) };
+      }
+      const missing = missingOf(bounds);
+
+      const blueprint = new Blueprint({
+        name: 'pen',
+        blocks: missing.map(cell => ({
+          ...cell.position.minus(new Vec3(bounds.min.x, bounds.min.y, bounds.min.z)),
+          name: cell.gate ? fencing.gate : fencing.fences.shift(),
+          properties: cell.gate ? { facing: cell.facing } : {}
+        }))
+      });
+      const result = await this.builder.build(bot, blueprint, {
+        key: `pen@${bounds.min.x},${bounds.min.y},${bounds.min.z}`,
+        origin: bounds.min,
+        signal: cancelToken
+      });
+      if (!result.success) return result;
 
-      if (!logItem) {
-        return { success: false, error: 'インベントリに原木がありません' };
+      const pen = existing || this.registry.registerPen({ owner: bot.username, species, ...bounds });
+      this.logger.log(`[畜産] 囲い ${pen.id} を${existing ? '修理' : '建設'}しました (柵 ${result.placed} 個)`);
+      return { success: true, pen, placed: result.placed, reused: !!existing };
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken);
       }
+      this.logger.error(`[畜産] 囲いの建設に失敗: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
 
-      // Get corresponding plank name
-      const plankName = logItem.name.replace('_log', '_planks');
-      const plankItem = mcData.itemsByName[plankName];
+  /**
+   * 外周の各マスと、門のマスとその向き（囲いの内向き）
+   */
+  static layout(bounds) {
+    const { min, max, gate } = bounds;
+    const inward = BuildPenSkill.gateOutward(bounds).scaled(-1);
+    const cells = [];
+    for (let x = min.x; x <= max.x; x++) {
+      for (let z = min.z; z <= max.z; z++) {
+        if (x !== min.x && x !== max.x && z !== min.z && z !== max.z) continue;
+        const position = new Vec3(x, min.y, z);
+        const isGate = x === gate.x && z === gate.z;
+        cells.push({ position, gate: isGate, facing: isGate ? BlockStates.facingOf(inward) : null });
+      }
+    }
+    return cells;
+  }
 
-      if (!plankItem) {
-        return { success: false, error: `対応する板材(${plankName})が見つかりません` };
-      }
+  /**
+   * 門から囲いの外へ向かう単位ベクトル
+   */
+  static gateOutward(bounds) {
+    const { min, max, gate } = bounds;
+    if (gate.z === min.z) return new Vec3(0, 0, -1);
+    if (gate.z === max.z) return new Vec3(0, 0, 1);
+    if (gate.x === min.x) return new Vec3(-1, 0, 0);
+    return new Vec3(1, 0, 0);
+  }
 
-      // Get recipe for planks
-      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, plankItem.id, 1, null);
-      if (!plankRecipe) {
-        return { success: false, error: `${plankName}のレシピが見つかりません` };
-      }
+  findOwnPen(bot, species) {
+    const position = bot.entity.position;
+    return this.registry.pensOf(bot.username)
+      .filter(pen => !species || !pen.species || pen.species === species)
+      .filter(pen => position.distanceTo(new Vec3(pen.gate.x, pen.gate.y, pen.gate.z)) <= BuildPenSkill.PEN_RADIUS)
+      .sort((a, b) => (b.species === species) - (a.species === species))[0] || null;
+  }
 
-      // Convert logs to planks (one log = 4 planks)
-      const totalConversions = Math.min(logsToCraft, logItem.count);
+  /**
+   * ボットに近い辺の中央を門にする
+   */
+  chooseGate(bot, min, max) {
+    const center = new Vec3((min.x + max.x) / 2, min.y, (min.z + max.z) / 2);
+    const delta = bot.entity.position.minus(center);
+    const middleX = Math.floor((min.x + max.x) / 2);
+    const middleZ = Math.floor((min.z + max.z) / 2);
+    if (Math.abs(delta.x) > Math.abs(delta.z)) {
+      return new Vec3(delta.x > 0 ? max.x : min.x, min.y, middleZ);
+    }
+    return new Vec3(middleX, min.y, delta.z > 0 ? max.z : min.z);
+  }
 
-      for (let i = 0; i < totalConversions; i++) {
-        try {
-          await bot.craft(plankRecipe, 1, null);
-          this.logger.log(`[オンデマンド変換] ${logItem.name} → ${plankName} (${i + 1}/${totalConversions})`);
-        } catch (craftError) {
-          this.logger.log(`[オンデマンド変換] クラフトエラー: ${craftError.message}`);
-          if (i === 0) {
-            return { success: false, error: `クラフト失敗: ${craftError.message}` };
+  /**
+   * 足元の高さ（と ±1 段）で、size 四方がすべて平らに立てる場所を近い順に探す。畑と他の囲いには重ねない
+   */
+  findPenSite(bot, size, searchRadius) {
+    const feet = bot.entity.position.floored();
+    const half = Math.floor(size / 2);
+    for (let distance = 0; distance <= searchRadius; distance += 2) {
+      for (let dx = -distance; dx <= distance; dx += 2) {
+        for (let dz = -distance; dz <= distance; dz += 2) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== distance) continue;
+          for (const dy of [0, -1, 1]) {
+            const min = feet.offset(dx - half, dy, dz - half);
+            if (this.isPenSite(bot, min, size)) return min;
           }
-          break;
         }
       }
-
-      const convertedPlanks = this.countPlankItems(bot);
-      this.logger.log(`[オンデマンド変換] 変換完了: ${convertedPlanks}個の板材を確保`);
-      return { success: true, planksConverted: convertedPlanks };
-    } catch (error) {
-      this.logger.log(`[オンデマンド変換] エラー: ${error.message}`);
-      return { success: false, error: `変換エラー: ${error.message}` };
     }
+    return null;
   }
 
-  async convertLogsToPlanksDynamic(bot, planksNeeded) {
-    this.logger.log(`[動的変換] ${planksNeeded}個の板材が必要、原木から変換します`);
+  isPenSite(bot, min, size) {
+    const max = min.offset(size - 1, 0, size - 1);
+    const overlaps = Array.from(this.registry.pens.values()).some(pen =>
+      min.x <= pen.max.x && max.x >= pen.min.x && min.z <= pen.max.z && max.z >= pen.min.z &&
+      Math.abs(min.y - pen.min.y) <= 2);
+    if (overlaps) return false;
+    for (let x = min.x; x <= max.x; x++) {
+      for (let z = min.z; z <= max.z; z++) {
+        const cell = new Vec3(x, min.y, z);
+        const ground = bot.blockAt(cell.offset(0, -1, 0));
+        if (!this.isSolid(ground) || ground.name === 'farmland') return false;
+        if (this.registry.isClaimed(ground.position)) return false;
+        if (!this.isOpen(bot.blockAt(cell)) || !this.isOpen(bot.blockAt(cell.offset(0, 1, 0)))) return false;
+      }
+    }
+    return true;
+  }
 
-    try {
-      const mcData = require('minecraft-data')(bot.version);
+  /**
+   * 柵と門を揃える。足りなければ板材・原木から棒・柵・門を作る（柵は板材 4 + 棒 2 で 3 個、門は棒 4 + 板材 2）
+   * @returns {{success: boolean, fences: string[], gate: string}} fences は置く順の柵のアイテム名
+   */
+  async ensureFencing(bot, fenceCount, gateCount, signal) {
+    const countOf = pattern => InventoryUtils.getAllItems(bot)
+      .filter(item => pattern.test(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+    const fenceShort = Math.max(0, fenceCount - countOf(/_fence$/));
+    const gateShort = Math.max(0, gateCount - countOf(/_fence_gate$/));
 
-      // Find the first log type in inventory
-      const logItem = bot.inventory.items().find(item =>
-        item && item.name && item.name.includes('_log')
-      );
+    if (fenceShort > 0 || gateShort > 0) {
+      const crafted = await this.craftFencing(bot, fenceShort, gateShort, signal);
+      if (!crafted.success) return crafted;
+    }
 
-      if (!logItem) {
-        return { success: false, error: 'インベントリに原木がありません' };
-      }
+    const fences = [];
+    for (const item of InventoryUtils.getAllItems(bot).filter(candidate => /_fence$/.test(candidate.name))) {
+      for (let i = 0; i < item.count && fences.length < fenceCount; i++) fences.push(item.name);
+    }
+    const gate = InventoryUtils.getAllItems(bot).find(item => /_fence_gate$/.test(item.name));
+    return { success: true, fences, gate: gate ? gate.name : null };
+  }
 
-      // Get corresponding plank name
-      const plankName = logItem.name.replace('_log', '_planks');
-      const plankItem = mcData.itemsByName[plankName];
+  async craftFencing(bot, fences, gates, signal) {
+    const mcData = require('minecraft-data')(bot.version);
+    const woodItem = InventoryUtils.getAllItems(bot)
+      .find(item => /_planks$/.test(item.name) || (/_log$/.test(item.name) && !item.name.startsWith('stripped_')));
+    const wood = woodItem ? woodItem.name.replace(/_(planks|log)$/, '') : 'oak';
+    const planksName = `${wood}_planks`;
+
+    const fenceCrafts = Math.ceil(fences / 3);
+    const sticks = Math.max(0, fenceCrafts * 2 + gates * 4 - InventoryUtils.getItemCount(bot, 'stick'));
+    const stickCrafts = Math.ceil(sticks / 4);
+    const planks = fenceCrafts * 4 + gates * 2 + stickCrafts * 2;
+    // 原木から作る板材の回数（作業台を作るなら、その板材 4 枚も先に使われる）
+    const logCrafts = extra =>
+      Math.ceil(Math.max(0, planks + extra - InventoryUtils.getItemCount(bot, planksName)) / 4);
+
+    const hasTable = InventoryUtils.getItemCount(bot, 'crafting_table') > 0 ||
+      !!bot.findBlock({ matching: block => block && block.name === 'crafting_table', maxDistance: 8 });
+    const logsShort = logCrafts(hasTable ? 0 : 4) - InventoryUtils.getItemCount(bot, `${wood}_log`);
+    if (logsShort > 0) {
+      return {
+        success: false,
+        error: `柵 ${fences} 個と門 ${gates} 個を作る木材が足りません`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: `${wood}_log`, needed: logsShort }] }
+      };
+    }
 
-      if (!plankItem) {
-        return { success: false, error: `対応する板材(${plankName})が見つかりません` };
-      }
+    const workbench = await new CraftToolsSkill().ensureWorkbench(bot);
+    if (!workbench.success) {
+      return { success: false, error: workbench.error, reason: 'CRAFTING_TABLE_MISSING' };
+    }
+    const near = await ensureProximity(bot, workbench.workbench, 3, { signal });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
 
-      // Get recipe for planks
-      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, plankItem.id, 1, null);
-      if (!plankRecipe) {
-        return { success: false, error: `${plankName}のレシピが見つかりません` };
+    const steps = [
+      [planksName, logCrafts(0), null],
+      ['stick', stickCrafts, null],
+      [`${wood}_fence`, fenceCrafts, workbench.workbench],
+      [`${wood}_fence_gate`, gates, workbench.workbench]
+    ];
+    for (const [name, times, table] of steps) {
+      if (times <= 0) continue;
+      const item = mcData.itemsByName[name];
+      const recipe = item && bot.recipesFor(item.id, null, 1, table)[0];
+      if (!recipe) {
+        return { success: false, error: `${name} のレシピが使えません`, reason: 'NO_RECIPE', details: { item: name } };
       }
+      await Cancellation.race(bot.craft(recipe, times, table), signal);
+    }
+    this.logger.log(`[畜産] 柵 ${fenceCrafts * 3} 個と門 ${gates} 個を作りました`);
+    return { success: true };
+  }
+}
 
-      // Calculate how many logs we need (1 log = 4 planks)
-      const logsNeeded = Math.ceil(planksNeeded / 4);
-      const totalConversions = Math.min(logsNeeded, logItem.count);
+// 鉱石を探して地下を掘り進むスキル（ブランチマイニング）
+// 目標の高さまで 1 段ずつ階段を掘り下げ、幅 1・高さ 2 の本坑から branchSpacing ごとに左右へ支坑を掘る。
+// 掘る前に周囲の溶岩・水を確かめ (MiningSafety)、坑道の壁に見えた鉱石は鉱脈をたどって掘る。松明は一定間隔で床に置く。
+// インベントリが一杯になったら途中でも拠点（無ければ掘り始めた地上）へ戻る。戻り道は掘った階段を使う
+class BranchMineSkill extends BuildingSkill {
+  static MAX_VEIN = 32; // 1 つの鉱脈で掘る鉱石の上限
+  static VEIN_REACH = 6; // 坑道からこれより離れた鉱石は追わない
+  static FALLING_RETRIES = 8; // 砂利・砂が落ちてきたときに掘り直す回数
+  static RETURN_TIMEOUT_MS = 60_000;
+
+  constructor(registry = null) {
+    super('branch_mine', '目標の高さまで階段を掘り下げ、本坑と左右の支坑を掘って鉱石を集めます。松明を置き、溶岩・水は避けます', {
+      targetY: {
+        type: 'integer',
+        default: 11,
+        minimum: -58,
+        maximum: 100,
+        aliases: ['y', 'level'],
+        description: '本坑を掘る高さ（鉄は 16、ダイヤモンドは -58 付近が多い）'
+      },
+      tunnelLength: {
+        type: 'integer',
+        default: 32,
+        minimum: 1,
+        maximum: 128,
+        aliases: ['length'],
+        description: '本坑の長さ'
+      },
+      branchSpacing: { type: 'integer', default: 3, minimum: 2, maximum: 16, description: '支坑を掘る間隔（本坑のブロック数）' },
+      branchLength: { type: 'integer', default: 8, minimum: 0, maximum: 32, description: '支坑の長さ（0 なら支坑を掘らない）' },
+      torchSpacing: { type: 'integer', default: 8, minimum: 2, maximum: 12, description: '松明を置く間隔' },
+      direction: {
+        type: 'string',
+        enum: ['auto', 'north', 'south', 'east', 'west'],
+        default: 'auto',
+        description: '階段と本坑の方角（auto は今向いている方角）'
+      },
+      returnToSurface: { type: 'boolean', default: true, description: '掘り終えたら拠点か掘り始めた地上へ戻る' }
+    });
+    this.registry = registry || new StorageRegistry();
+  }
 
-      let totalPlanksConverted = 0;
-      for (let i = 0; i < totalConversions; i++) {
-        try {
-          await bot.craft(plankRecipe, 1, null);
-          totalPlanksConverted += 4; // Each log produces 4 planks
-          this.logger.log(`[動的変換] ${logItem.name} → ${plankName} (${i + 1}/${totalConversions})`);
+  /**
+   * 戻り先の拠点に共有の備蓄の台帳を使う
+   */
+  useStockpile(registry) {
+    this.registry = registry;
+  }
 
-          // Check if we have enough planks now
-          if (totalPlanksConverted >= planksNeeded) {
-            break;
-          }
-        } catch (craftError) {
-          this.logger.log(`[動的変換] クラフトエラー: ${craftError.message}`);
-          if (i === 0) {
-            return { success: false, error: `クラフト失敗: ${craftError.message}` };
-          }
-          break;
-        }
+  async execute(bot, params) {
+    const { targetY, tunnelLength, branchSpacing, branchLength, torchSpacing, returnToSurface, cancelToken } = params;
+    const start = bot.entity.position.floored();
+    const before = SkillContract.inventoryCounts(bot);
+    const state = { hazards: [], veins: 0, torches: 0, tunnel: 0, full: false, noTorch: false };
+    const summary = () => ({
+      mined: Object.fromEntries(Object.entries(SkillContract.diffInventory(before, SkillContract.inventoryCounts(bot)))
+        .filter(([, count]) => count > 0)),
+      tunnel: state.tunnel,
+      veins: state.veins,
+      torches: state.torches,
+      hazards: state.hazards
+    });
+
+    if (!bot.inventory.items().some(item => item && item.name.endsWith('_pickaxe'))) {
+      return {
+        success: false,
+        error: 'ツルハシを持っていません',
+        reason: 'NO_TOOL',
+        details: { required: 'wooden_pickaxe' }
+      };
+    }
+
+    let facing = params.direction === 'auto' ? BlockStates.facingForYaw(bot.entity.yaw) : params.direction;
+    this.logger.log(`[採掘] ${facing} へ y=${targetY} まで階段を掘り下げます`);
+    try {
+      const descent = await this.descend(bot, targetY, facing, torchSpacing, state, cancelToken);
+      facing = descent.facing;
+      if (!descent.success) {
+        const stuckY = bot.entity.position.floored().y;
+        const returned = await this.returnHome(bot, start, cancelToken);
+        return {
+          success: false,
+          error: `y=${stuckY} から下へ安全に掘り進められません`,
+          reason: 'STUCK',
+          details: { ...summary(), returned }
+        };
       }
 
-      this.logger.log(`[動的変換] 変換完了: ${totalPlanksConverted}個の板材を作成`);
-      return { success: true, converted: totalPlanksConverted };
+      if (!state.full) {
+        await this.mainTunnel(bot, facing, { tunnelLength, branchSpacing, branchLength, torchSpacing }, state,
+          cancelToken);
+      }
+
+      const returned = state.full || returnToSurface ? await this.returnHome(bot, start, cancelToken) : null;
+      const result = summary();
+      const found = Object.entries(result.mined).map(([name, count]) => `${name}x${count}`).join(', ') || 'なし';
+      this.logger.log(`[採掘] 完了: 坑道 ${state.tunnel} ブロック、鉱脈 ${state.veins} 個 (${found})`);
+      if (state.full) bot.chat('インベントリが一杯になったので戻りました ⛏️');
+      return { success: true, ...result, full: state.full, returned };
     } catch (error) {
-      this.logger.log(`[動的変換] エラー: ${error.message}`);
-      return { success: false, error: `変換エラー: ${error.message}` };
+      if (Cancellation.isCancellationError(error) || Cancellation.isCancelled(cancelToken)) {
+        Cancellation.stopBot(bot);
+        return Cancellation.cancelledResult(cancelToken, summary());
+      }
+      this.logger.error(`[採掘] エラー: ${error.message}`);
+      return { success: false, error: `採掘に失敗: ${error.message}`, details: summary() };
     }
   }
 
-  async createStickFromPlanks(bot, sticksNeeded) {
-    this.logger.log(`[スティック作成] ${sticksNeeded}本のスティックが必要、板材から作成します`);
+  /**
+   * 1 段ずつ階段を掘り下げる。前が危険なら左右に向きを変え、それも駄目なら諦める
+   * （来た方向へ戻ると掘った階段の段を崩して地上へ戻れなくなるので、逆向きは最初の 1 段でしか試さない）
+   */
+  async descend(bot, targetY, facing, torchSpacing, state, signal) {
+    let came = null;
+    let steps = 0;
+    while (bot.entity.position.floored().y > targetY) {
+      Cancellation.throwIfCancelled(signal);
+      if (this.inventoryFull(bot)) {
+        state.full = true;
+        break;
+      }
+      const candidates = [0, 1, -1, 2].map(turns => BlockStates.rotateFacing(facing, turns))
+        .filter(candidate => !came || candidate !== BlockStates.opposite(came));
+      const previous = bot.entity.position.floored();
+      let cells = null;
+      for (const candidate of candidates) {
+        cells = await this.stepDown(bot, candidate, state, signal);
+        if (cells) {
+          if (candidate !== facing) this.logger.log(`[採掘] 前方が危険なので ${candidate} へ向きを変えました`);
+          facing = candidate;
+          break;
+        }
+      }
+      if (!cells) return { success: false, facing };
+      came = facing;
+      if (++steps % torchSpacing === 0) await this.lightUp(bot, cells[2], state, signal);
+      await this.followVeins(bot, cells, previous, state, signal);
+    }
+    return { success: true, facing };
+  }
 
-    try {
-      const mcData = require('minecraft-data')(bot.version);
+  /**
+   * facing の方向へ 1 段下りる。頭をぶつけずに降りられるよう、前の 3 ブロック（頭の高さ・足の高さ・一段下）を掘る
+   * @returns {Promise<Array|null>} 掘ったマス。危険で下りられなければ null
+   */
+  async stepDown(bot, facing, state, signal) {
+    const ahead = bot.entity.position.floored().plus(BlockStates.facingVector(facing));
+    const next = ahead.offset(0, -1, 0);
+    const cells = [ahead.offset(0, 1, 0), ahead, next];
+    const stepped = await this.clearCells(bot, cells, state, signal) &&
+      await this.ensureFloor(bot, next, state, signal) &&
+      await this.stepInto(bot, next, signal);
+    return stepped ? cells : null;
+  }
 
-      // Find planks in inventory
-      const plankItems = bot.inventory.items().filter(item =>
-        item && item.name && item.name.includes('_planks')
-      );
+  /**
+   * 本坑を掘り、branchSpacing ごとに左右の支坑を掘る。本坑の前が危険ならそこで止める
+   */
+  async mainTunnel(bot, facing, options, state, signal) {
+    const forward = BlockStates.facingVector(facing);
+    const origin = bot.entity.position.floored();
+    for (let i = 1; i <= options.tunnelLength && !state.full; i++) {
+      const cell = origin.plus(forward.scaled(i));
+      if (!(await this.digForward(bot, cell, state, signal))) break;
+      if (i % options.torchSpacing === 0) await this.lightUp(bot, cell, state, signal);
+      if (options.branchLength === 0 || i % options.branchSpacing !== 0) continue;
 
-      if (plankItems.length === 0) {
-        return { success: false, error: 'インベントリに板材がありません' };
+      for (const turn of [-1, 1]) {
+        if (state.full) break;
+        await this.branch(bot, cell, BlockStates.rotateFacing(facing, turn), options, state, signal);
+        await this.stepInto(bot, cell, signal);
       }
+    }
+  }
 
-      const stickItem = mcData.itemsByName.stick;
-      if (!stickItem) {
-        return { success: false, error: 'スティックアイテムが見つかりません' };
-      }
+  async branch(bot, from, facing, options, state, signal) {
+    const forward = BlockStates.facingVector(facing);
+    for (let j = 1; j <= options.branchLength && !state.full; j++) {
+      const cell = from.plus(forward.scaled(j));
+      if (!(await this.digForward(bot, cell, state, signal))) break;
+      if (j % options.torchSpacing === 0) await this.lightUp(bot, cell, state, signal);
+    }
+  }
 
-      const stickRecipe = await SkillLibrary.getRecipeSafe(bot, stickItem.id, 1, null);
-      if (!stickRecipe) {
-        return { success: false, error: 'スティックのレシピが見つかりません' };
+  /**
+   * 隣の坑道のマス（足と頭の 2 ブロック）を掘って進み、壁に見えた鉱石を掘る
+   */
+  async digForward(bot, cell, state, signal) {
+    Cancellation.throwIfCancelled(signal);
+    if (this.inventoryFull(bot)) {
+      state.full = true;
+      return false;
+    }
+    const previous = bot.entity.position.floored();
+    const cells = [cell, cell.offset(0, 1, 0)];
+    const moved = await this.clearCells(bot, cells, state, signal) &&
+      await this.ensureFloor(bot, cell, state, signal) &&
+      await this.stepInto(bot, cell, signal);
+    if (!moved) return false;
+    state.tunnel++;
+    await this.followVeins(bot, cells, previous, state, signal);
+    return true;
+  }
+
+  /**
+   * cells を順に掘って通れるようにする。上から砂利・砂が落ちてきたら掘り直す
+   * @returns {Promise<boolean>} すべて通れるようになったか（危険があれば掘らずに false）
+   */
+  async clearCells(bot, cells, state, signal) {
+    const mcData = require('minecraft-data')(bot.version);
+    for (let attempt = 0; attempt <= BranchMineSkill.FALLING_RETRIES; attempt++) {
+      const blocked = cells.filter(cell => !this.isOpen(bot.blockAt(cell)));
+      if (blocked.length === 0) return true;
+      for (const cell of blocked) {
+        Cancellation.throwIfCancelled(signal);
+        const block = bot.blockAt(cell);
+        if (this.isOpen(block)) continue;
+        const check = MiningSafety.checkDig(bot, cell);
+        if (!check.safe) {
+          this.recordHazards(state, check.hazards);
+          return false;
+        }
+        await this.equipToolFor(bot, block, mcData);
+        await Cancellation.race(bot.dig(block), signal, () => bot.stopDigging());
       }
+    }
+    return cells.every(cell => this.isOpen(bot.blockAt(cell)));
+  }
 
-      // Calculate how many crafting operations we need (1 craft = 4 sticks, needs 2 planks)
-      const craftsNeeded = Math.ceil(sticksNeeded / 4);
-      const planksNeeded = craftsNeeded * 2;
+  /**
+   * 立つマスの下が空洞なら建材で床を張る（下が液体なら進まない）
+   */
+  async ensureFloor(bot, cell, state, signal) {
+    const below = cell.offset(0, -1, 0);
+    const floor = bot.blockAt(below);
+    if (this.isSolid(floor)) return true;
+    if (!floor || this.isLiquid(floor)) {
+      const hazard = floor ? MiningSafety.hazard(floor) : { type: 'unloaded', position: below, block: null };
+      this.recordHazards(state, [hazard]);
+      return false;
+    }
+    const reference = this.findReference(bot, below);
+    const item = this.pickBuildingBlock(bot);
+    if (!reference || !item) return false;
+    await this.placeOn(bot, reference.block, reference.face, item.name, signal);
+    return this.isSolid(bot.blockAt(below));
+  }
 
-      // Check if we have enough planks
-      const totalPlanks = plankItems.reduce((sum, item) => sum + item.count, 0);
-      if (totalPlanks < planksNeeded) {
-        return { success: false, error: `板材不足: 必要${planksNeeded}個, 所持${totalPlanks}個` };
-      }
+  async stepInto(bot, cell, signal) {
+    if (bot.entity.position.floored().equals(cell)) return true;
+    try {
+      await Cancellation.race(bot.pathfinder.goto(new goals.GoalBlock(cell.x, cell.y, cell.z)), signal,
+        () => bot.pathfinder.stop());
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[採掘] ${cell} へ移動できません: ${error.message}`);
+    }
+    return bot.entity.position.floored().equals(cell);
+  }
 
-      let totalSticksCreated = 0;
-      for (let i = 0; i < craftsNeeded; i++) {
-        try {
-          await bot.craft(stickRecipe, 1, null);
-          totalSticksCreated += 4; // Each craft produces 4 sticks
-          this.logger.log(`[スティック作成] 板材 → スティック (${i + 1}/${craftsNeeded})`);
+  /**
+   * 掘ったマスに接する鉱石から、つながった鉱石を幅優先でたどって掘る。掘り終えたら坑道に戻る
+   * 立っている床の鉱石は、来たマス (previous) へ下がってから掘り、掘った後の穴は建材で埋め戻す
+   */
+  async followVeins(bot, cells, previous, state, signal) {
+    const key = position => position.toString();
+    const queue = [];
+    const seen = new Set(cells.map(key));
+    const enqueue = position => {
+      if (seen.has(key(position))) return;
+      seen.add(key(position));
+      if (MiningSafety.isOre(bot.blockAt(position))) queue.push(position);
+    };
+    cells.forEach(cell => MiningSafety.FACES.forEach(face => enqueue(cell.plus(face))));
+    if (queue.length === 0) return;
 
-          // Check if we have enough sticks now
-          if (totalSticksCreated >= sticksNeeded) {
-            break;
-          }
-        } catch (craftError) {
-          this.logger.log(`[スティック作成] クラフトエラー: ${craftError.message}`);
-          if (i === 0) {
-            return { success: false, error: `クラフト失敗: ${craftError.message}` };
-          }
-          break;
-        }
+    const mcData = require('minecraft-data')(bot.version);
+    const home = bot.entity.position.floored();
+    const mined = [];
+    while (queue.length > 0 && mined.length < BranchMineSkill.MAX_VEIN && !this.inventoryFull(bot)) {
+      Cancellation.throwIfCancelled(signal);
+      const position = queue.shift();
+      const block = bot.blockAt(position);
+      if (!MiningSafety.isOre(block) || position.distanceTo(home) > BranchMineSkill.VEIN_REACH) continue;
+      const check = MiningSafety.checkDig(bot, position);
+      if (!check.safe) {
+        this.recordHazards(state, check.hazards);
+        continue;
       }
+      if (position.equals(home.offset(0, -1, 0)) && !(await this.stepInto(bot, previous, signal))) continue;
+      if (!bot.canDigBlock(block)) {
+        const near = await moveToBlock(bot, block, 2, { signal, retries: 1 });
+        if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+        if (!bot.canDigBlock(block)) continue;
+      }
+      await this.equipToolFor(bot, block, mcData);
+      // 今のツルハシでは何も落ちない鉱石（石のツルハシでダイヤモンドなど）は掘らずに残す
+      if (block.harvestTools && !(bot.heldItem && block.harvestTools[bot.heldItem.type])) continue;
+      await Cancellation.race(bot.dig(block), signal, () => bot.stopDigging());
+      mined.push(position);
+      MiningSafety.FACES.forEach(face => enqueue(position.plus(face)));
+    }
+    if (mined.length === 0) return;
+
+    state.veins++;
+    this.logger.log(`[採掘] 鉱脈の鉱石を ${mined.length} 個掘りました`);
+    await this.collectDrops(bot, mined, signal);
+    await this.ensureFloor(bot, home, state, signal);
+    await this.stepInto(bot, home, signal);
+  }
 
-      this.logger.log(`[スティック作成] 作成完了: ${totalSticksCreated}本のスティックを作成`);
-      return { success: true, created: totalSticksCreated };
-    } catch (error) {
-      this.logger.log(`[スティック作成] エラー: ${error.message}`);
-      return { success: false, error: `作成エラー: ${error.message}` };
+  async collectDrops(bot, positions, signal) {
+    const near = entity => entity.name === 'item' &&
+      positions.some(position => position.distanceTo(entity.position) <= 2);
+    for (const drop of Object.values(bot.entities || {}).filter(near).slice(0, 16)) {
+      Cancellation.throwIfCancelled(signal);
+      const result = await moveToEntity(bot, drop, 1, { signal, retries: 1 });
+      if (result.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
     }
   }
-}
 
-class CraftWorkbenchSkill extends Skill {
-  constructor() {
-    super('craft_workbench', 'Crafts a crafting table from planks, with automatic log-to-plank conversion');
+  /**
+   * 立っているマスの床に松明を置く。持っていなければ石炭（木炭）と棒から作る
+   */
+  async lightUp(bot, cell, state, signal) {
+    if (!(await this.ensureTorch(bot, signal))) {
+      if (!state.noTorch) this.logger.log('[採掘] 松明が作れないので、石炭が見つかるまで明かりなしで掘り進めます');
+      state.noTorch = true;
+      return;
+    }
+    if (await this.placeOn(bot, bot.blockAt(cell.offset(0, -1, 0)), new Vec3(0, 1, 0), 'torch', signal)) {
+      state.torches++;
+    }
   }
 
-  // Improved inventory detection methods for CraftWorkbenchSkill
-  countPlankItems(bot) {
-    // Use InventoryUtils for consistent detection
-    const totalPlanks = InventoryUtils.getPlanksCount(bot);
-    this.logger.log(`[インベントリ検出] 板材総数: ${totalPlanks}`);
-
-    // Debug: Show all plank items found
-    const plankItems = InventoryUtils.findItemsByPattern(bot, '_planks');
-    plankItems.forEach(item => {
-      this.logger.log(`[インベントリ検出] 発見した板材: ${item.name} x${item.count}`);
-    });
-
-    return totalPlanks;
+  async ensureTorch(bot, signal) {
+    const has = name => bot.inventory.items().some(item => item && item.name === name);
+    if (has('torch')) return true;
+    if (!has('coal') && !has('charcoal')) return false;
+    try {
+      if (!has('stick')) await this.craftOnce(bot, 'stick', signal);
+      await this.craftOnce(bot, 'torch', signal);
+    } catch (error) {
+      if (Cancellation.isCancellationError(error)) throw error;
+      this.logger.warn(`[採掘] 松明のクラフトに失敗: ${error.message}`);
+    }
+    return has('torch');
   }
 
-  countLogItems(bot) {
-    // Use InventoryUtils for consistent detection
-    const totalLogs = InventoryUtils.getWoodCount(bot);
-    this.logger.log(`[インベントリ検出] 原木総数: ${totalLogs}`);
-
-    // Debug: Show all log items found
-    const logItems = InventoryUtils.findItemsByPattern(bot, '_log');
-    logItems.forEach(item => {
-      this.logger.log(`[インベントリ検出] 発見した原木: ${item.name} x${item.count}`);
-    });
+  async craftOnce(bot, name, signal) {
+    const mcData = require('minecraft-data')(bot.version);
+    const recipe = bot.recipesFor(mcData.itemsByName[name].id, null, 1, null)[0];
+    if (recipe) await Cancellation.race(bot.craft(recipe, 1, null), signal);
+  }
 
-    return totalLogs;
+  /**
+   * 拠点（同じディメンションにあれば）か、掘り始めた地上へ戻る
+   * @returns {Promise<Object|null>} 戻った先の { type: 'base' | 'start', position }。戻れなければ null
+   */
+  async returnHome(bot, start, signal) {
+    this.registry.load();
+    const base = this.registry.base;
+    const target = base && base.dimension === SleepInBedSkill.dimensionOf(bot)
+      ? { type: 'base', position: base.position, range: StorageSkill.BASE_REACH }
+      : { type: 'start', position: start, range: 1 };
+    const { x, y, z } = target.position;
+    const moved = await moveToPosition(bot, new Vec3(x + 0.5, y, z + 0.5), target.range,
+      { signal, timeoutMs: BranchMineSkill.RETURN_TIMEOUT_MS });
+    if (moved.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(signal);
+    if (!moved.success) {
+      this.logger.warn(`[採掘] ${target.type === 'base' ? '拠点' : '地上'}へ戻れませんでした`);
+      return null;
+    }
+    return { type: target.type, position: { x, y, z } };
   }
 
-  countItemsInInventoryByName(bot, itemName) {
-    // Use InventoryUtils for consistent detection
-    return InventoryUtils.getItemCount(bot, itemName);
+  inventoryFull(bot) {
+    return bot.inventory.emptySlotCount() === 0 || StorageManager.needsDeposit(bot);
   }
 
-  // On-demand log to plank conversion for CraftWorkbenchSkill
-  async convertLogsToPlanksDemand(bot, logsToCraft) {
-    this.logger.log(`[オンデマンド変換] ${logsToCraft}個の原木を板材に変換します`);
+  recordHazards(state, hazards) {
+    for (const hazard of hazards) {
+      const position = hazard.position && { x: hazard.position.x, y: hazard.position.y, z: hazard.position.z };
+      if (state.hazards.some(known => JSON.stringify(known.position) === JSON.stringify(position))) continue;
+      this.logger.log(`[採掘] ${hazard.type} があるため掘りません (${hazard.position})`);
+      state.hazards.push({ type: hazard.type, block: hazard.block, position });
+    }
+  }
+}
 
-    try {
-      const mcData = require('minecraft-data')(bot.version);
+// 鉄インゴット 3 個からバケツを作るスキル（バケツのレシピは作業台を使う）
+class CraftBucketSkill extends Skill {
+  static IRON_PER_BUCKET = 3;
 
-      // Find the first log type in inventory
-      const logItem = bot.inventory.items().find(item =>
-        item && item.name && item.name.includes('_log')
-      );
+  constructor() {
+    super('craft_bucket', '鉄インゴット 3 個で空のバケツを作業台で作ります', {
+      count: { type: 'integer', default: 1, minimum: 1, maximum: 16, aliases: ['amount'], description: '作るバケツの数' }
+    });
+  }
 
-      if (!logItem) {
-        return { success: false, error: 'インベントリに原木がありません' };
-      }
+  async execute(bot, params) {
+    const { count, cancelToken } = params;
+    const counts = EquipmentManager.counts(bot);
+    const hasTable = counts.crafting_table > 0 ||
+      !!bot.findBlock({ matching: block => block && block.name === 'crafting_table', maxDistance: 8 });
+    const missing = [['iron_ingot', count * CraftBucketSkill.IRON_PER_BUCKET], ['oak_planks', hasTable ? 0 : 4]]
+      .map(([item, needed]) => ({ item, needed: needed - (item === 'oak_planks' ? counts.planks : counts[item] || 0) }))
+      .filter(material => material.needed > 0);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `バケツの材料が足りません (${missing.map(material => `${material.item} x${material.needed}`).join(', ')})`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing }
+      };
+    }
 
-      // Get corresponding plank name
-      const plankName = logItem.name.replace('_log', '_planks');
-      const plankItem = mcData.itemsByName[plankName];
+    const workbench = await new CraftToolsSkill().ensureWorkbench(bot);
+    if (!workbench.success) {
+      return { success: false, error: workbench.error, reason: 'CRAFTING_TABLE_MISSING' };
+    }
+    const near = await ensureProximity(bot, workbench.workbench, 3, { signal: cancelToken });
+    if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
 
-      if (!plankItem) {
-        return { success: false, error: `対応する板材(${plankName})が見つかりません` };
-      }
+    const mcData = require('minecraft-data')(bot.version);
+    const recipe = bot.recipesFor(mcData.itemsByName.bucket.id, null, 1, workbench.workbench)[0];
+    if (!recipe) {
+      return { success: false, error: 'bucket のレシピが使えません', reason: 'NO_RECIPE', details: { item: 'bucket' } };
+    }
+    const before = BucketUtils.count(bot, 'bucket');
+    await Cancellation.race(bot.craft(recipe, count, workbench.workbench), cancelToken);
+    const buckets = BucketUtils.count(bot, 'bucket');
+    this.logger.log(`[バケツ] ${buckets - before} 個作りました（手持ち ${buckets} 個）`);
+    return { success: true, crafted: buckets - before, buckets };
+  }
+}
 
-      // Get recipe for planks
-      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, plankItem.id, 1, null);
-      if (!plankRecipe) {
-        return { success: false, error: `${plankName}のレシピが見つかりません` };
-      }
+// 空のバケツで水・溶岩を汲むスキル。溶岩は燃料用で、溶岩に接するマスには立たずに汲む
+class CollectFluidSkill extends Skill {
+  constructor(fluid) {
+    const label = fluid === 'lava' ? '溶岩' : '水';
+    const purpose = fluid === 'lava' ? '（かまどの燃料になり、1 バケツで 100 個焼けます）' : '';
+    super(`collect_${fluid}`, `空のバケツで近くの${label}源を汲みます${purpose}`, {
+      count: { type: 'integer', default: 1, minimum: 1, maximum: 16, aliases: ['amount'], description: '汲むバケツの数' },
+      radius: { type: 'integer', default: 32, minimum: 4, maximum: 64, description: `${label}源を探す範囲` }
+    });
+    this.fluid = fluid;
+  }
 
-      // Convert logs to planks (one log = 4 planks)
-      const totalConversions = Math.min(logsToCraft, logItem.count);
+  async execute(bot, params) {
+    const { count, radius, cancelToken } = params;
+    const item = BucketUtils.BUCKETS[this.fluid];
+    let filled = 0;
+    let last = null;
+    while (filled < count) {
+      Cancellation.throwIfCancelled(cancelToken);
+      last = await BucketUtils.scoop(bot, this.fluid, { radius, signal: cancelToken });
+      if (!last.success) break;
+      filled++;
+    }
+    if (filled === 0) return last;
+    return { success: true, filled, item, total: BucketUtils.count(bot, item) };
+  }
+}
 
-      for (let i = 0; i < totalConversions; i++) {
-        try {
-          await bot.craft(plankRecipe, 1, null);
-          this.logger.log(`[オンデマンド変換] ${logItem.name} → ${plankName} (${i + 1}/${totalConversions})`);
-        } catch (craftError) {
-          this.logger.log(`[オンデマンド変換] クラフトエラー: ${craftError.message}`);
-          if (i === 0) {
-            return { success: false, error: `クラフト失敗: ${craftError.message}` };
-          }
-          break;
+// 水入りバケツで指定したマスに水を置くスキル。pickUp なら置いた水を汲み直してバケツを回収する
+class PlaceWaterSkill extends Skill {
+  constructor() {
+    super('place_water', '水入りバケツで指定したマスに水を置きます。水入りバケツがなければ先に近くの水を汲みます', {
+      position: {
+        type: 'object',
+        required: true,
+        description: '水を置くマスのワールド座標',
+        properties: {
+          x: { type: 'number', required: true },
+          y: { type: 'number', required: true },
+          z: { type: 'number', required: true }
         }
-      }
-
-      const convertedPlanks = this.countPlankItems(bot);
-      this.logger.log(`[オンデマンド変換] 変換完了: ${convertedPlanks}個の板材を確保`);
-      return { success: true, planksConverted: convertedPlanks };
-    } catch (error) {
-      this.logger.log(`[オンデマンド変換] エラー: ${error.message}`);
-      return { success: false, error: `変換エラー: ${error.message}` };
-    }
+      },
+      pickUp: { type: 'boolean', default: false, description: '置いた水をすぐに汲み直してバケツを回収するか' }
+    });
   }
 
-  async execute(bot, _params) {
-    try {
-      this.logger.log('[作業台スキル] 作業台の作成を開始します...');
+  async execute(bot, params) {
+    const { pickUp, cancelToken } = params;
+    const target = new Vec3(params.position.x, params.position.y, params.position.z).floored();
+    const ready = await BucketUtils.fillWater(bot, { signal: cancelToken, exclude: [target] });
+    if (!ready.success) return ready;
+
+    const placed = await BucketUtils.pour(bot, target, { signal: cancelToken });
+    if (!placed.success || !pickUp) return placed;
+    const recovered = await BucketUtils.scoop(bot, 'water', { position: target, signal: cancelToken });
+    return { ...placed, recovered: recovered.success };
+  }
+}
 
-      const mcData = require('minecraft-data')(bot.version);
-      const requiredPlanks = 4;
+// 水で火を消すスキル。自分が燃えていれば足元に、そうでなければ近くの火に水を置き、置いた水は汲み直す
+class ExtinguishFireSkill extends Skill {
+  constructor() {
+    super('extinguish_fire', '水入りバケツで自分の体や近くの火を消し、置いた水を汲み直します', {
+      radius: { type: 'integer', default: 8, minimum: 1, maximum: 16, description: '消す火を探す範囲' },
+      maxFires: { type: 'integer', default: 8, minimum: 1, maximum: 32, description: '消す火の数の上限' }
+    });
+  }
 
-      // Phase 1: Check if we already have a workbench
-      if (InventoryUtils.hasItem(bot, 'crafting_table', 1, true)) {
-        this.logger.log('[作業台スキル] インベントリに作業台が既にあります');
-        return { success: true, message: 'インベントリに作業台が既にあります' };
+  async execute(bot, params) {
+    const { radius, maxFires, cancelToken } = params;
+    const burning = BucketUtils.isBurning(bot);
+    const fires = BucketUtils.findFires(bot, radius, maxFires);
+    if (!burning && fires.length === 0) {
+      return { success: true, extinguished: 0, message: '火は見当たりません' };
+    }
+
+    const targets = burning ? [bot.entity.position.floored(), ...fires] : fires;
+    let extinguished = 0;
+    let failure = null;
+    for (const target of targets) {
+      Cancellation.throwIfCancelled(cancelToken);
+      const block = bot.blockAt(target);
+      // 先に置いた水で消えた火は飛ばす
+      if (!target.equals(targets[0]) && (!block || !['fire', 'soul_fire'].includes(block.name))) continue;
+
+      const ready = await BucketUtils.fillWater(bot, { signal: cancelToken, exclude: targets });
+      if (!ready.success) {
+        failure = ready;
+        break;
       }
-
-      // Phase 2: Material assessment (improved inventory detection)
-      this.logger.log('[作業台スキル] 材料評価フェーズ...');
-      InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-Start');
-
-      const currentPlanks = this.countPlankItems(bot);
-      const currentLogs = this.countLogItems(bot);
-      const totalAvailablePlanks = currentPlanks + (currentLogs * 4);
-
-      this.logger.log(`[作業台スキル] 材料状況: 板材=${currentPlanks}, 原木=${currentLogs}, 総利用可能板材=${totalAvailablePlanks}`);
-
-      if (totalAvailablePlanks < requiredPlanks) {
-        const message = `材料不足: 必要な板材=${requiredPlanks}, 利用可能=${totalAvailablePlanks}`;
-        this.logger.log(`[作業台スキル] ${message}`);
-        return { success: false, reason: 'INSUFFICIENT_MATERIALS', error: message };
+      const placed = await BucketUtils.pour(bot, target, { signal: cancelToken });
+      if (!placed.success) {
+        failure = placed;
+        continue;
       }
+      extinguished++;
+      await BucketUtils.scoop(bot, 'water', { position: target, signal: cancelToken });
+    }
 
-      // Phase 3: On-demand plank conversion (only when needed)
-      if (currentPlanks < requiredPlanks) {
-        const planksNeeded = requiredPlanks - currentPlanks;
-        const logsToCraft = Math.ceil(planksNeeded / 4);
+    if (extinguished === 0 && failure) return failure;
+    this.logger.log(`[バケツ] 火を ${extinguished} か所消しました`);
+    return { success: true, extinguished };
+  }
+}
 
-        this.logger.log(`[作業台スキル] オンデマンド板材変換: ${planksNeeded}個の板材が必要、${logsToCraft}個の原木を変換します`);
+// 2x2 の穴を掘り、対角の 2 マスに水を置いて無限水源を作るスキル（残りの 2 マスは両隣の水源から水源になる）
+class MakeWaterSourceSkill extends BuildingSkill {
+  static SEARCH_RADIUS = 4;
 
-        const plankCraftResult = await this.convertLogsToPlanksDemand(bot, logsToCraft);
-        if (!plankCraftResult.success) {
-          return { success: false, error: `板材の作成に失敗: ${plankCraftResult.error}` };
-        }
+  constructor() {
+    super('make_water_source', '地面に 2x2 の穴を掘り、対角に水を置いて汲んでも減らない無限水源を作ります', {});
+  }
 
-        // Verify we now have enough planks
-        const updatedPlanks = this.countPlankItems(bot);
-        this.logger.log(`[作業台スキル] オンデマンド変換完了: ${updatedPlanks}個の板材を確保`);
+  async execute(bot, params) {
+    const { cancelToken } = params;
+    if (BucketUtils.count(bot, 'water_bucket') + BucketUtils.count(bot, 'bucket') === 0) {
+      return { success: false, error: 'バケツがありません', reason: 'NO_TOOL', details: { required: 'bucket' } };
+    }
 
-        if (updatedPlanks < requiredPlanks) {
-          const message = `板材作成後も材料不足: 必要=${requiredPlanks}, 現在=${updatedPlanks}`;
-          this.logger.log(`[作業台スキル] ${message}`);
-          return { success: false, error: message };
-        }
-      }
+    const corner = this.findSite(bot);
+    if (!corner) {
+      return { success: false, error: '近くに 2x2 の水源を作れる平らな地面がありません', reason: 'TARGET_NOT_FOUND' };
+    }
+    const cells = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([dx, dz]) => corner.offset(dx, 0, dz));
 
-      // Phase 4: Workbench crafting
-      this.logger.log('[作業台スキル] 作業台作成フェーズ...');
-      const workbenchRecipe = await SkillLibrary.getRecipeSafe(bot, 'crafting_table', 1, null);
-      if (!workbenchRecipe) {
-        const message = '作業台のレシピが見つかりません';
-        this.logger.log(`[作業台スキル] ${message}`);
-        return { success: false, reason: 'NO_RECIPE', error: message };
+    const mcData = require('minecraft-data')(bot.version);
+    for (const cell of cells) {
+      Cancellation.throwIfCancelled(cancelToken);
+      const block = bot.blockAt(cell);
+      if (this.isOpen(block)) continue;
+      if (!bot.canDigBlock(block)) {
+        const near = await moveToBlock(bot, block, 2, { signal: cancelToken, retries: 1 });
+        if (near.reason === Cancellation.CANCELLED) Cancellation.throwIfCancelled(cancelToken);
       }
+      await this.equipToolFor(bot, block, mcData);
+      await Cancellation.race(bot.dig(block), cancelToken, () => bot.stopDigging());
+    }
+    if (!cells.every(cell => this.isOpen(bot.blockAt(cell)))) {
+      return { success: false, error: `${corner} に穴を掘れませんでした`, reason: 'ACTION_FAILED' };
+    }
 
-      this.logger.log('[作業台スキル] レシピ詳細:', {
-        id: workbenchRecipe.id,
-        deltaLength: workbenchRecipe.delta?.length,
-        delta: workbenchRecipe.delta
-      });
+    // 対角の 2 マスに置く。バケツが 1 つなら、穴の外の水源から汲み直して 2 つ目を置く
+    for (const cell of [cells[0], cells[3]]) {
+      const ready = await BucketUtils.fillWater(bot, { signal: cancelToken, exclude: cells });
+      if (!ready.success) return ready;
+      const placed = await BucketUtils.pour(bot, cell, { signal: cancelToken });
+      if (!placed.success) return placed;
+    }
 
-      // Final material verification before crafting (only check negative counts = input materials)
-      for (const ingredient of workbenchRecipe.delta) {
-        if (ingredient.count < 0) { // Only check input materials (negative counts)
-          const requiredCount = Math.abs(ingredient.count);
-          const ingredientName = mcData.items[ingredient.id]?.name || `id_${ingredient.id}`;
-          const available = this.countItemsInInventoryByName(bot, ingredientName);
-          if (available < requiredCount) {
-            const message = `最終確認で材料不足: ${ingredientName} (必要=${requiredCount}, 所持=${available})`;
-            this.logger.log(`[作業台スキル] ${message}`);
-            InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-MaterialError');
-            return { success: false, error: message };
+    await bot.waitForTicks(10);
+    const sources = cells.filter(cell => BucketUtils.isSource(bot.blockAt(cell), 'water')).length;
+    if (sources < 3) {
+      return { success: false, error: `水源になったのは ${sources} マスだけです`, reason: 'ACTION_FAILED' };
+    }
+    if (BucketUtils.count(bot, 'bucket') > 0) {
+      await BucketUtils.scoop(bot, 'water', { position: cells[1], signal: cancelToken });
+    }
+    this.logger.log(`[バケツ] ${corner} に無限水源を作りました`);
+    return { success: true, position: { x: corner.x, y: corner.y, z: corner.z }, sources };
+  }
+
+  /**
+   * 足元の高さの一段下に 2x2 の穴を掘れる場所（穴の底と周りが固いブロックで、上が開いている）
+   */
+  findSite(bot) {
+    const feet = bot.entity.position.floored();
+    const y = feet.y - 1;
+    const radius = MakeWaterSourceSkill.SEARCH_RADIUS;
+    const candidates = [];
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        const corner = new Vec3(feet.x + dx, y, feet.z + dz);
+        const cells = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([cx, cz]) => corner.offset(cx, 0, cz));
+        // 自分の足場は掘らない
+        if (cells.some(cell => cell.x === feet.x && cell.z === feet.z)) continue;
+        if (!cells.every(cell => this.isDiggableGround(bot, cell))) continue;
+        if (!cells.every(cell => this.isSolid(bot.blockAt(cell.offset(0, -1, 0))))) continue;
+        if (!cells.every(cell => this.isOpen(bot.blockAt(cell.offset(0, 1, 0))))) continue;
+        const rim = [];
+        for (let rx = -1; rx <= 2; rx++) {
+          for (let rz = -1; rz <= 2; rz++) {
+            if (rx >= 0 && rx <= 1 && rz >= 0 && rz <= 1) continue;
+            rim.push(corner.offset(rx, 0, rz));
           }
-          this.logger.log(`[作業台スキル] 材料確認OK: ${ingredientName} (必要=${requiredCount}, 所持=${available})`);
         }
+        if (!rim.every(cell => this.isSolid(bot.blockAt(cell)))) continue;
+        candidates.push(corner);
       }
+    }
+    const center = corner => corner.offset(1, 0, 1);
+    candidates.sort((a, b) => center(a).distanceTo(feet) - center(b).distanceTo(feet));
+    return candidates[0] || null;
+  }
 
-      // Execute crafting
-      try {
-        await bot.craft(workbenchRecipe, 1, null);
-        this.logger.log('[作業台スキル] 作業台のクラフトに成功しました！');
-        bot.chat('作業台をクラフトしました！');
-        InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-Success');
+  isDiggableGround(bot, cell) {
+    const block = bot.blockAt(cell);
+    return !!block && block.diggable && this.isSolid(block) &&
+      !BuildingSkill.NON_BUILDING_BLOCK.test(block.name) && MiningSafety.checkDig(bot, cell).safe;
+  }
+}
 
-        // 自動設置を試行（オプション機能）
-        if (_params.autoPlace !== false) {
-          this.logger.log('[作業台スキル] 自動設置を試行します...');
-          const placeResult = await this.tryAutoPlace(bot);
-          if (placeResult.success) {
-            return {
-              success: true,
-              crafted: 'crafting_table',
-              placed: true,
-              workbenchPosition: placeResult.workbenchPosition,
-              message: '作業台のクラフトと設置に成功'
-            };
-          } else {
-            this.logger.log(`[作業台スキル] 自動設置失敗: ${placeResult.error}`);
-          }
-        }
+// 黒曜石でネザーポータルの枠（幅 4・高さ 5 の角なし、黒曜石 10 個）を建て、火打石と打ち金で火を付けるスキル
+// 角には使い捨てのブロックを置いて、左右の柱と上の段の支えにする。
+// 黒曜石が足りなければバケツで鋳造する: 枠のマスに溶岩を置き、すぐ上に水を置くと溶岩源が黒曜石になる。
+// 上の段まで狙えるように、枠の裏に 4x6 の使い捨てブロックの壁を立ててから鋳造する。水が蒸発するネザーでは鋳造できない
+class BuildNetherPortalSkill extends BuildingSkill {
+  static OBSIDIAN = 10;
+  static LAVA_RADIUS = 32;
+  static DRAIN_TICKS = 40; // 水を汲み直してから、流れた水が引くまで待つ最大 tick
+  static LIGHT_TICKS = 4;
+  static STAND_DISTANCE = 2; // 枠の正面から何マス離れて作業するか
 
-        return { success: true, crafted: 'crafting_table', message: '作業台のクラフトに成功' };
-      } catch (error) {
-        const message = `作業台クラフト実行エラー: ${error.message}`;
-        this.logger.log(`[作業台スキル] ${message}`);
-        InventoryUtils.logInventoryDetails(bot, 'CraftWorkbench-CraftError');
-        return { success: false, error: message };
-      }
-    } catch (error) {
-      const message = `予期せぬエラー: ${error.message}`;
-      this.logger.log(`[作業台スキル] ${message}`);
-      return { success: false, error: message };
+  constructor() {
+    super('build_nether_portal',
+      '黒曜石でネザーポータルの枠を建てて火打石と打ち金で火を付けます。黒曜石が足りなければ溶岩と水のバケツで鋳造します', {
+        method: {
+          type: 'string',
+          default: 'auto',
+          enum: ['auto', 'obsidian', 'cast'],
+          description: '枠の作り方: auto（手持ちの黒曜石を使い、足りない分を鋳造）/ obsidian / cast'
+        },
+        light: { type: 'boolean', default: true, description: '建てた後に火を付けるか' },
+        radius: { type: 'integer', default: 8, minimum: 2, maximum: 16, description: '建てる場所を探す範囲' }
+      });
+  }
+
+  /**
+   * 枠のマス。origin は左下の角で、axis の向きに幅 4、上に高さ 5
+   * steps: 置く順（角は使い捨てブロック、それ以外は黒曜石）。下の段 → 左右の柱 → 上の角 → 上の段
+   */
+  static layout(origin, axis) {
+    const along = axis === 'x' ? new Vec3(1, 0, 0) : new Vec3(0, 0, 1);
+    const normal = axis === 'x' ? new Vec3(0, 0, 1) : new Vec3(1, 0, 0);
+    const cell = (i, j) => origin.plus(along.scaled(i)).offset(0, j, 0);
+    const corner = (i, j) => ({ position: cell(i, j), corner: true });
+    const frame = (i, j) => ({ position: cell(i, j), corner: false });
+    const steps = [
+      corner(0, 0), corner(3, 0), frame(1, 0), frame(2, 0),
+      frame(0, 1), frame(3, 1), frame(0, 2), frame(3, 2), frame(0, 3), frame(3, 3),
+      corner(0, 4), corner(3, 4), frame(1, 4), frame(2, 4)
+    ];
+    const backing = [];
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 6; j++) backing.push(cell(i, j).minus(normal));
     }
+    return {
+      origin,
+      axis,
+      cell,
+      steps,
+      frame: steps.filter(step => !step.corner).map(step => step.position),
+      interior: [[1, 1], [2, 1], [1, 2], [2, 2], [1, 3], [2, 3]].map(([i, j]) => cell(i, j)),
+      backing,
+      stand: cell(1, 0).plus(normal.scaled(BuildNetherPortalSkill.STAND_DISTANCE))
+    };
   }
 
-  // Helper method to craft planks from logs
-  async craftPlanksFromLogs(bot, logCount = 1) {
-    try {
-      this.logger.log(`[作業台スキル] 原木から板材への変換を開始: ${logCount}個の原木を使用`);
+  async execute(bot, params) {
+    const { method = 'auto', light = true, radius = 8, cancelToken } = params;
+    const dimension = Dimension.current(bot);
+    if (dimension === Dimension.END) {
+      return { success: false, error: 'エンドではネザーポータルは使えません', reason: 'WRONG_DIMENSION', details: { dimension } };
+    }
 
-      const plankRecipe = await SkillLibrary.getRecipeSafe(bot, 'oak_planks', 1, null);
-      if (!plankRecipe) {
-        return { success: false, error: '板材のレシピが見つかりません' };
-      }
+    const existing = bot.findBlock({
+      matching: block => block && block.name === 'nether_portal',
+      maxDistance: radius * 2
+    });
+    if (existing) {
+      this.logger.log(`[ネザーポータル] ${existing.position} に火の付いたポータルがあります`);
+      return { success: true, existing: true, position: BuildNetherPortalSkill.plain(existing.position), lit: true };
+    }
 
-      // Verify we have enough logs
-      const availableLogs = this.countItemsInInventory(bot, 'log');
-      if (availableLogs < logCount) {
-        return { success: false, error: `原木不足: 必要=${logCount}, 所持=${availableLogs}` };
+    if (light) {
+      const lighter = this.lighterShortage(bot);
+      if (lighter) return lighter;
+    }
+
+    const cast = method === 'cast' || (method === 'auto' && InventoryUtils.getItemCount(bot, 'obsidian') <
+      BuildNetherPortalSkill.OBSIDIAN);
+    const site = this.findSite(bot, radius, cast);
+    if (!site) {
+      return {
+        success: false,
+        error: `半径 ${radius} 以内にポータルを建てられる平らな場所がありません`,
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: 'portal_site' }
+      };
+    }
+
+    const missingFrame = site.frame.filter(position => !BuildNetherPortalSkill.isObsidian(bot.blockAt(position)));
+    const obsidian = method === 'cast' ? 0 : InventoryUtils.getItemCount(bot, 'obsidian');
+    const toCast = Math.max(0, missingFrame.length - obsidian);
+    if (toCast > 0) {
+      const blocked = method === 'obsidian' ? null : this.castShortage(bot);
+      // auto で鋳造もできなければ黒曜石の不足として返す（バケツが足りないだけならバケツを作らせる）
+      if (method === 'obsidian' || (method === 'auto' && blocked && blocked.reason !== 'NO_TOOL')) {
+        return {
+          success: false,
+          error: `黒曜石が足りません (必要=${missingFrame.length}, 所持=${obsidian})${blocked ? `。${blocked.error}` : ''}`,
+          reason: 'INSUFFICIENT_MATERIALS',
+          details: { missing: [{ item: 'obsidian', needed: toCast }] }
+        };
       }
+      if (blocked) return blocked;
+    }
 
-      await bot.craft(plankRecipe, logCount, null);
-      const planksCreated = logCount * 4;
-      this.logger.log(`[作業台スキル] 板材作成成功: ${planksCreated}個の板材を作成`);
-      return { success: true, planksCreated };
-    } catch (error) {
-      this.logger.log(`[作業台スキル] 板材作成エラー: ${error.message}`);
-      return { success: false, error: error.message };
+    const scaffold = [
+      ...site.steps.filter(step => step.corner).map(step => step.position),
+      ...(toCast > 0 ? site.backing : [])
+    ].filter(position => !this.isSolid(bot.blockAt(position)));
+    const available = this.countBuildingBlocks(bot);
+    if (available < scaffold.length) {
+      return {
+        success: false,
+        error: `足場のブロックが足りません (必要=${scaffold.length}, 所持=${available})`,
+        reason: 'INSUFFICIENT_MATERIALS',
+        details: { missing: [{ item: 'dirt', needed: scaffold.length - available }] }
+      };
     }
+
+    return this.withObsidianProtected(bot, () => this.construct(bot, site, { method, light, toCast, cancelToken }));
   }
 
-  // Count items in inventory with flexible name matching
-  countItemsInInventory(bot, itemType) {
-    let count = 0;
-    const items = bot.inventory.items();
+  /**
+   * 足場の角・裏の壁を置き、枠を黒曜石で埋めて火を付ける
+   */
+  async construct(bot, site, { method, light, toCast, cancelToken }) {
+    if (!await BucketUtils.stepTo(bot, site.stand, cancelToken)) {
+      return {
+        success: false,
+        error: `作業位置 ${site.stand} に移動できません`,
+        reason: 'NO_PATH',
+        details: { position: site.stand }
+      };
+    }
+    this.logger.log(`[ネザーポータル] ${site.origin} に ${site.axis} 向きの枠を建てます (鋳造 ${toCast} 個)`);
 
-    for (const item of items) {
-      if (!item || !item.name) continue;
+    if (toCast > 0) {
+      const { remaining } = await this.placeAll(bot, site.backing, cancelToken);
+      if (remaining.length > 0) {
+        return { success: false, error: `枠の裏の壁を立てられません (${remaining.length} マス)`, reason: 'ACTION_FAILED' };
+      }
+    }
 
-      const itemName = item.name.toLowerCase();
-      const targetType = itemType.toLowerCase();
+    let placed = 0;
+    let casted = 0;
+    for (const step of site.steps) {
+      Cancellation.throwIfCancelled(cancelToken);
+      const current = bot.blockAt(step.position);
+      if (step.corner ? this.isSolid(current) : BuildNetherPortalSkill.isObsidian(current)) continue;
 
-      if (itemName === targetType) {
-        count += item.count;
-      } else if (targetType === 'planks' && itemName.includes('_planks')) {
-        count += item.count;
-      } else if (targetType === 'log' && itemName.includes('_log')) {
-        count += item.count;
-      } else if (targetType === 'oak_planks' && itemName === 'oak_planks') {
-        count += item.count;
+      if (step.corner) {
+        const { remaining } = await this.placeAll(bot, [step.position], cancelToken);
+        if (remaining.length > 0) {
+          return { success: false, error: `${step.position} に角のブロックを置けません`, reason: 'ACTION_FAILED' };
+        }
+        continue;
       }
+
+      const useObsidian = method !== 'cast' && InventoryUtils.getItemCount(bot, 'obsidian') > 0;
+      const result = useObsidian
+        ? await this.placeObsidian(bot, step.position, cancelToken)
+        : await this.castObsidian(bot, step.position, cancelToken);
+      if (!result.success) return result;
+      if (useObsidian) placed++;
+      else casted++;
     }
 
-    return count;
+    const portal = {
+      success: true,
+      position: BuildNetherPortalSkill.plain(site.origin),
+      axis: site.axis,
+      placed,
+      cast: casted,
+      lit: false
+    };
+    if (!light) return portal;
+
+    await BucketUtils.stepTo(bot, site.stand, cancelToken);
+    const lit = await this.lightPortal(bot, site, cancelToken);
+    if (!lit.success) return lit;
+    this.logger.log(`[ネザーポータル] ${site.origin} のポータルに火を付けました`);
+    return { ...portal, lit: true };
   }
 
-  // 自動設置を試行するヘルパーメソッド
-  async tryAutoPlace(bot) {
+  /**
+   * 枠のまわりを行き来するとき、ダイヤのツルハシを持っていても pathfinder が枠の黒曜石を掘らないようにする
+   */
+  async withObsidianProtected(bot, action) {
+    const movements = bot.pathfinder && bot.pathfinder.movements;
+    if (!movements) return action();
+    const mcData = require('minecraft-data')(bot.version);
+    const previous = movements.blocksCantBreak;
+    movements.blocksCantBreak = new Set([...(previous || []), mcData.blocksByName.obsidian.id]);
     try {
-      // PlaceWorkbenchSkillの簡略版ロジック
-      const workbenchItem = bot.inventory.items().find(item =>
-        item && item.name === 'crafting_table'
-      );
+      return await action();
+    } finally {
+      movements.blocksCantBreak = previous;
+    }
+  }
 
-      if (!workbenchItem) {
-        return { success: false, error: 'インベントリに作業台がありません' };
-      }
+  static isObsidian(block) {
+    return !!block && block.name === 'obsidian';
+  }
 
-      // 近くに既に作業台があるかチェック
-      const existingWorkbench = bot.findBlock({
-        matching: (block) => block && block.name === 'crafting_table',
-        maxDistance: 8
-      });
+  static plain(position) {
+    return { x: position.x, y: position.y, z: position.z };
+  }
 
-      if (existingWorkbench) {
-        return {
-          success: true,
-          message: '近くに既に作業台があります',
-          workbenchPosition: existingWorkbench.position
-        };
+  /**
+   * 枠を建てられる場所（作業位置が近い順の先頭）
+   * 下の段の下が固く、枠の 4x5 が空いている（黒曜石は途中まで建てた枠として数える）。
+   * 正面の 2 段が空いていて、作業位置に立てること。鋳造するなら、裏の壁のマスに液体がなく、上の段の上も空いていること
+   */
+  findSite(bot, radius, cast) {
+    const feet = bot.entity.position.floored();
+    const candidates = [];
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        for (const axis of ['x', 'z']) {
+          const layout = BuildNetherPortalSkill.layout(feet.offset(dx, 0, dz), axis);
+          if (this.isSiteUsable(bot, layout, cast)) candidates.push(layout);
+        }
       }
+    }
+    candidates.sort((a, b) => a.stand.distanceTo(feet) - b.stand.distanceTo(feet));
+    return candidates[0] || null;
+  }
 
-      // 簡単な設置場所を探す（足元）
-      const botPos = bot.entity.position;
-      const groundBlock = bot.blockAt(botPos.floored().plus(new Vec3(0, -1, 0)));
+  isSiteUsable(bot, layout, cast) {
+    const { cell } = layout;
+    const front = layout.stand.minus(cell(1, 0)).scaled(1 / BuildNetherPortalSkill.STAND_DISTANCE);
+    for (let i = 0; i < 4; i++) {
+      if (!this.isSolid(bot.blockAt(cell(i, -1)))) return false;
+      for (let j = 0; j < 5; j++) {
+        const block = bot.blockAt(cell(i, j));
+        if (!this.isOpen(block) && !BuildNetherPortalSkill.isObsidian(block)) return false;
+      }
+      for (let j = 0; j < 2; j++) {
+        if (!this.isOpen(bot.blockAt(cell(i, j).plus(front)))) return false;
+      }
+    }
+    if (!this.isSolid(bot.blockAt(layout.stand.offset(0, -1, 0))) || !this.isOpen(bot.blockAt(layout.stand)) ||
+        !this.isOpen(bot.blockAt(layout.stand.offset(0, 1, 0)))) {
+      return false;
+    }
+    if (!cast) return true;
+    if (layout.backing.some(position => this.isLiquid(bot.blockAt(position)))) return false;
+    return [cell(1, 5), cell(2, 5)].every(position => this.isOpen(bot.blockAt(position)));
+  }
 
-      if (groundBlock && groundBlock.name !== 'air') {
-        const aboveGround = botPos.floored();
-        const aboveGroundBlock = bot.blockAt(aboveGround);
+  /**
+   * 鋳造できないときの失敗（できるなら null）。水入りバケツと、溶岩を汲む空のバケツ（計 2 つ以上）が要る
+   */
+  castShortage(bot) {
+    const dimension = Dimension.current(bot);
+    if (!Dimension.canPlaceWater(bot)) {
+      return { success: false, error: 'ネザーでは水が蒸発するので黒曜石を鋳造できません', reason: 'WRONG_DIMENSION', details: { dimension } };
+    }
+    const buckets = ['bucket', 'water_bucket', 'lava_bucket']
+      .reduce((sum, name) => sum + BucketUtils.count(bot, name), 0);
+    if (BucketUtils.count(bot, 'water_bucket') === 0 && BucketUtils.findSources(bot, 'water', 32, 1).length === 0) {
+      return { success: false, error: '鋳造に使う水が近くにありません', reason: 'INSUFFICIENT_MATERIALS' };
+    }
+    if (BucketUtils.count(bot, 'lava_bucket') === 0 &&
+        BucketUtils.findSources(bot, 'lava', BuildNetherPortalSkill.LAVA_RADIUS, 1).length === 0) {
+      return { success: false, error: '鋳造に使う溶岩が近くにありません', reason: 'INSUFFICIENT_MATERIALS' };
+    }
+    if (buckets < 2) {
+      return {
+        success: false,
+        error: '鋳造には水用と溶岩用のバケツが 2 つ要ります',
+        reason: 'NO_TOOL',
+        details: { required: 'bucket' }
+      };
+    }
+    return null;
+  }
 
-        if (aboveGroundBlock && aboveGroundBlock.name === 'air') {
-          await bot.equip(workbenchItem, 'hand');
-          await bot.placeBlock(groundBlock, new Vec3(0, 1, 0));
-          const placedPosition = groundBlock.position.plus(new Vec3(0, 1, 0));
+  async placeObsidian(bot, position, signal) {
+    const reference = this.findReference(bot, position);
+    const placed = reference && await this.placeOn(bot, reference.block, reference.face, 'obsidian', signal);
+    if (placed && BuildNetherPortalSkill.isObsidian(bot.blockAt(position))) return { success: true };
+    return { success: false, error: `${position} に黒曜石を置けません`, reason: 'ACTION_FAILED', details: { position } };
+  }
 
-          this.logger.log(`[作業台スキル] 自動設置成功: ${placedPosition}`);
-          bot.chat('作業台を設置しました！');
+  /**
+   * position に溶岩を置き、すぐ上に水を置いて黒曜石にする。水は汲み直し、流れた水が引くまで待つ
+   */
+  async castObsidian(bot, position, signal) {
+    const water = await BucketUtils.fillWater(bot, { signal });
+    if (!water.success) return water;
+    if (!BucketUtils.findItem(bot, 'lava_bucket')) {
+      const lava = await BucketUtils.scoop(bot, 'lava', { radius: BuildNetherPortalSkill.LAVA_RADIUS, signal });
+      if (!lava.success) return lava;
+    }
+
+    const poured = await BucketUtils.pour(bot, position, { fluid: 'lava', signal });
+    if (!poured.success) return poured;
+    const above = position.offset(0, 1, 0);
+    const cooled = await BucketUtils.pour(bot, above, { signal });
+    if (!cooled.success) {
+      this.logger.warn(`[ネザーポータル] ${position} の溶岩を冷やせません: ${cooled.error}`);
+      return cooled;
+    }
+    await BucketUtils.scoop(bot, 'water', { position: above, signal });
+    await this.waitForDrain(bot, position, signal);
+
+    const block = bot.blockAt(position);
+    if (!BuildNetherPortalSkill.isObsidian(block)) {
+      return {
+        success: false,
+        error: `${position} が黒曜石になりません (${block ? block.name : 'unknown'})`,
+        reason: 'ACTION_FAILED',
+        details: { position }
+      };
+    }
+    this.logger.log(`[ネザーポータル] ${position} に黒曜石を鋳造しました`);
+    return { success: true };
+  }
 
-          return {
-            success: true,
-            workbenchPosition: placedPosition,
-            message: '作業台の自動設置に成功'
-          };
+  /**
+   * 鋳造したマスの周りから流れた水が引くまで待つ
+   */
+  async waitForDrain(bot, position, signal) {
+    const around = [new Vec3(0, 1, 0), new Vec3(1, 0, 0), new Vec3(-1, 0, 0), new Vec3(0, 0, 1), new Vec3(0, 0, -1)];
+    for (let tick = 0; tick < BuildNetherPortalSkill.DRAIN_TICKS; tick += 5) {
+      Cancellation.throwIfCancelled(signal);
+      if (!around.some(offset => this.isLiquid(bot.blockAt(position.plus(offset))))) return;
+      await bot.waitForTicks(5);
+    }
+  }
+
+  /**
+   * 火を付けるのに足りない素材（火打石と打ち金か、鉄インゴットと火打石があれば null）
+   */
+  lighterShortage(bot) {
+    if (InventoryUtils.getItemCount(bot, 'flint_and_steel') > 0) return null;
+    const missing = ['flint', 'iron_ingot']
+      .filter(item => InventoryUtils.getItemCount(bot, item) === 0)
+      .map(item => ({ item, needed: 1 }));
+    if (missing.length === 0) return null;
+    return {
+      success: false,
+      error: `火打石と打ち金を作る素材が足りません: ${missing.map(entry => entry.item).join(', ')}`,
+      reason: 'INSUFFICIENT_MATERIALS',
+      details: { missing }
+    };
+  }
+
+  /**
+   * 下の段の黒曜石の上面を火打石と打ち金で叩いて、内側をポータルにする（無ければインベントリで作る）
+   */
+  async lightPortal(bot, site, signal) {
+    const base = bot.blockAt(site.cell(1, 0));
+    try {
+      if (InventoryUtils.getItemCount(bot, 'flint_and_steel') === 0) {
+        const mcData = require('minecraft-data')(bot.version);
+        const recipe = bot.recipesFor(mcData.itemsByName.flint_and_steel.id, null, 1, null)[0];
+        if (!recipe) {
+          return { success: false, error: '火打石と打ち金のレシピが見つかりません', reason: 'ACTION_FAILED' };
         }
+        await Cancellation.race(bot.craft(recipe, 1, null), signal);
       }
-
-      return { success: false, error: '適切な設置場所が見つかりません' };
+      const lighter = bot.inventory.items().find(item => item && item.name === 'flint_and_steel');
+      await Cancellation.race(bot.equip(lighter, 'hand'), signal);
+      await Cancellation.race(bot.activateBlock(base, new Vec3(0, 1, 0)), signal);
     } catch (error) {
-      return { success: false, error: `自動設置エラー: ${error.message}` };
+      if (Cancellation.isCancellationError(error)) throw error;
+      return { success: false, error: `火を付けられません: ${error.message}`, reason: 'ACTION_FAILED' };
+    }
+    await bot.waitForTicks(BuildNetherPortalSkill.LIGHT_TICKS);
+    if (site.interior.every(position => {
+      const block = bot.blockAt(position);
+      return block && block.name === 'nether_portal';
+    })) {
+      return { success: true };
     }
+    return { success: false, error: `${site.origin} の枠に火を付けてもポータルになりません`, reason: 'ACTION_FAILED' };
   }
 }
 
-class CraftFurnaceSkill extends Skill {
+// 近くのネザーポータルに入り、別のディメンションに着くまで待つスキル（オーバーワールド ⇄ ネザー）
+// 着いたらポータルの外に 1 歩出る（出ないと戻れない）。着いた位置は元のディメンションの座標の 1/8（8 倍）付近
+class UseNetherPortalSkill extends Skill {
+  static TRAVEL_TICKS = 200; // ポータルに立ってから移るまで（サバイバルでは 80 tick）待つ最大 tick
+
   constructor() {
-    super('craft_furnace', 'Craft a furnace');
+    super('use_nether_portal', '近くのネザーポータルに入ってネザー（ネザーからはオーバーワールド）へ移動します', {
+      radius: { type: 'integer', default: 16, minimum: 1, maximum: 64, description: 'ポータルを探す範囲' }
+    });
   }
 
-  async execute(bot, _params) {
-    try {
-      // Check for cobblestone
-      const cobblestone = bot.inventory.items().find(item => item.name === 'cobblestone');
-      if (!cobblestone || cobblestone.count < 8) {
-        return { success: false, error: 'COBBLESTONE_MISSING' };
-      }
+  async execute(bot, params) {
+    const { radius = 16, cancelToken } = params;
+    const from = Dimension.current(bot);
+    const portal = bot.findBlock({ matching: block => block && block.name === 'nether_portal', maxDistance: radius });
+    if (!portal) {
+      return {
+        success: false,
+        error: '近くにネザーポータルがありません',
+        reason: 'TARGET_NOT_FOUND',
+        details: { type: 'nether_portal' }
+      };
+    }
 
-      // Ensure we have a workbench
-      const workbench = bot.findBlock({
-        matching: (block) => block && block.name === 'crafting_table',
-        maxDistance: 8
-      });
+    const entry = bot.entity.position.floored();
+    if (!entry.equals(portal.position)) {
+      const moved = await moveToPosition(bot, portal.position.offset(0.5, 0, 0.5), 0,
+        { signal: cancelToken, retries: 1 });
+      if (moved.reason === Cancellation.CANCELLED) return moved;
+    }
+    this.logger.log(`[ポータル] ${portal.position} のポータルに入りました`);
 
-      if (!workbench) {
-        return { success: false, error: 'CRAFTING_TABLE_MISSING' };
-      }
+    for (let tick = 0; tick < UseNetherPortalSkill.TRAVEL_TICKS; tick += 10) {
+      Cancellation.throwIfCancelled(cancelToken);
+      if (Dimension.current(bot) !== from) break;
+      await bot.waitForTicks(10);
+    }
+    const to = Dimension.current(bot);
+    if (to === from) {
+      return { success: false, error: `${portal.position} のポータルで移動できませんでした`, reason: 'ACTION_FAILED' };
+    }
 
-      // Get recipe
-      const mcData = require('minecraft-data')(bot.version);
-      const item = mcData.itemsByName.furnace;
-      const recipe = bot.recipesFor(item.id, null, 1, workbench)[0];
-      if (!recipe) {
-        this.logger.log('[かまどスキル] かまどのレシピが見つかりません');
-        bot.chat('かまどのレシピが見つかりません');
-        return {
-          success: false,
-          reason: 'NO_RECIPE',
-          details: { item: 'furnace', message: 'かまどのレシピが見つかりません' }
-        };
-      }
+    const arrival = bot.entity.position.floored();
+    await this.stepOut(bot, cancelToken);
+    const expected = Dimension.convert(entry, from, to);
+    this.logger.log(`[ポータル] ${from} → ${to} に移動しました (到着 ${arrival}${expected ? `, 換算 ${expected}` : ''})`);
+    return {
+      success: true,
+      from,
+      to,
+      position: { x: arrival.x, y: arrival.y, z: arrival.z }
+    };
+  }
 
-      // Craft the furnace
-      if (workbench && !bot.currentWindow) {
-        await bot.activateBlock(workbench);
-      }
-      await bot.craft(recipe, 1, workbench);
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  /**
+   * ポータルの外の、足元が固く体の 2 マスが空いたマスに移る
+   */
+  async stepOut(bot, signal) {
+    const feet = bot.entity.position.floored();
+    const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [2, 0], [-2, 0], [0, 2], [0, -2]];
+    for (const [dx, dz] of offsets) {
+      const cell = feet.offset(dx, 0, dz);
+      const body = [bot.blockAt(cell), bot.blockAt(cell.offset(0, 1, 0))];
+      const floor = bot.blockAt(cell.offset(0, -1, 0));
+      if (!floor || floor.boundingBox !== 'block') continue;
+      const blocked = block => !block || block.boundingBox !== 'empty' ||
+        ['nether_portal', 'lava', 'water'].includes(block.name);
+      if (body.some(blocked)) continue;
+      if (await BucketUtils.stepTo(bot, cell, signal)) return true;
+    }
+    return false;
   }
 }
 
-class PlaceBlocksSkill extends Skill {
+// 空のバケツで牛（ムーシュルーム・ヤギ）からミルクを搾るスキル
+class MilkCowSkill extends Skill {
   constructor() {
-    super('place_blocks', 'Place multiple blocks in a pattern');
+    super('milk_cow', '空のバケツで近くの牛からミルクを搾ります（ミルクは毒・衰弱を消します）', {
+      radius: { type: 'integer', default: 32, minimum: 4, maximum: 64, description: '牛を探す範囲' }
+    });
   }
 
   async execute(bot, params) {
-    const { pattern, material } = params; // pattern is an array of {x, y, z} offsets
-
-    try {
-      const startPos = bot.entity.position.floored();
-      const blockToPlace = bot.inventory.items().find(item => item.name === material);
-
-      if (!blockToPlace) {
-        return { success: false, error: `Material ${material} not found` };
-      }
-
-      await bot.equip(blockToPlace, 'hand');
+    return BucketUtils.milk(bot, { radius: params.radius, signal: params.cancelToken });
+  }
+}
 
-      for (const offset of pattern) {
-        const pos = startPos.offset(offset.x, offset.y, offset.z);
-        const referenceBlock = bot.blockAt(pos.offset(0, -1, 0));
-        if (referenceBlock) {
-          await bot.placeBlock(referenceBlock, new Vec3(0, 1, 0));
-          await new Promise(resolve => setTimeout(resolve, 200)); // Wait between placements
-        }
-      }
+// ミルクを飲んで毒・衰弱を消すスキル。ミルクは良い効果も消すので、悪い効果がないときは飲まない
+class DrinkMilkSkill extends Skill {
+  constructor() {
+    super('drink_milk', 'ミルクを飲んで毒・衰弱などの効果を消します。悪い効果がかかっていなければ飲みません', {
+      force: { type: 'boolean', default: false, description: '悪い効果がなくても飲むか' }
+    });
+  }
 
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
+  async execute(bot, params) {
+    const { force, cancelToken } = params;
+    if (!force && BucketUtils.harmfulEffects(bot).length === 0) {
+      return { success: true, cured: [], message: '悪い効果はかかっていません' };
     }
+    return BucketUtils.drinkMilk(bot, { signal: cancelToken });
   }
 }
 
 // Explore skill with enhanced logic
 class ExploreSkill extends Skill {
   constructor() {
-    super('explore', 'Explore the area to find resources or points of interest');
+    super('explore', 'Explore the area to find resources or points of interest', {
+      objective: {
+        type: 'string',
+        default: 'general',
+        aliases: ['target'],
+        description: '探索の目的（general, cave, underground, surface, resources など）'
+      },
+      direction: { type: 'string', default: 'random', description: '探索方向（random, north など）' },
+      distance: { type: 'number', default: 32, minimum: 1, maximum: 256, description: '探索距離（ブロック数）' }
+    });
   }
 
   async execute(bot, params) {
-    const { objective = 'general', direction = 'random', distance = 32 } = params;
+    const { objective = 'general', direction = 'random', distance = 32, cancelToken } = params;
     this.logger.log(`[探索スキル] ${objective}目的で${direction}方向に${distance}ブロック探索開始`);
 
     try {
@@ -5110,7 +10016,11 @@ class ExploreSkill extends Skill {
       this.logger.log(`[探索スキル] (${targetPos.x.toFixed(1)}, ${targetPos.y.toFixed(1)}, ${targetPos.z.toFixed(1)})を探索中...`);
 
       // Move to target position using MovementUtils
-      const moveResult = await moveToPosition(bot, targetPos, 2);
+      const moveResult = await moveToPosition(bot, targetPos, 2, { signal: cancelToken });
+      if (moveResult.reason === Cancellation.CANCELLED) {
+        this.logger.log('[探索スキル] キャンセルされました');
+        return moveResult;
+      }
       if (!moveResult.success) {
         this.logger.log(`[探索スキル] 探索位置への移動に失敗: ${moveResult.error}`);
         return { success: false, error: moveResult.error };
@@ -5238,7 +10148,11 @@ class ExploreSkill extends Skill {
 // 作業台設置スキル
 class PlaceWorkbenchSkill extends Skill {
   constructor() {
-    super('place_workbench', '作業台を近くの適切な場所に設置します');
+    super('place_workbench', '作業台を近くの適切な場所に設置します', {}, {
+      contract: {
+        postconditions: [{ type: 'block_nearby', block: 'crafting_table', maxDistance: 8 }]
+      }
+    });
   }
 
   async execute(bot, _params) {
@@ -5372,7 +10286,15 @@ class PlaceWorkbenchSkill extends Skill {
 // 作業台を使ったクラフトスキル
 class CraftWithWorkbenchSkill extends Skill {
   constructor() {
-    super('craft_with_workbench', '作業台を使ってアイテムをクラフトします');
+    super('craft_with_workbench', '作業台を使ってアイテムをクラフトします', {
+      itemName: { type: 'string', required: true, aliases: ['item', 'name'], description: 'クラフトするアイテム名' },
+      count: { type: 'integer', default: 1, minimum: 1, maximum: 64, aliases: ['amount'], description: 'クラフトする数量' }
+    }, {
+      contract: {
+        preconditions: [{ type: 'block_nearby', block: 'crafting_table', maxDistance: 10 }],
+        postconditions: ({ itemName }) => [{ type: 'inventory_delta', item: itemName, min: 1 }]
+      }
+    });
   }
 
   async execute(bot, params) {
@@ -5498,15 +10420,43 @@ module.exports = {
   MineBlockSkill,
   PlaceBlockSkill,
   AttackEntitySkill,
+  DefendSkill,
+  CraftArrowsSkill,
+  CraftArmorSkill,
+  EquipArmorSkill,
   SmartJumpSkill,
   EscapeWaterSkill,
   NavigateTerrainSkill,
   SimpleGatherWoodSkill,
   SimpleFindFoodSkill,
+  EatFoodSkill,
+  CookFoodSkill,
+  SleepInBedSkill,
+  FarmCropsSkill,
+  BreedAnimalsSkill,
+  ShearSheepSkill,
+  CollectEggsSkill,
+  StorageSkill,
+  DepositItemsSkill,
+  WithdrawItemsSkill,
   CraftToolsSkill,
   CraftWorkbenchSkill,
   CraftFurnaceSkill,
+  SmeltItemSkill,
   PlaceBlocksSkill,
+  BuildShelterSkill,
+  BuildBlueprintSkill,
+  BuildPenSkill,
+  BranchMineSkill,
+  CraftBucketSkill,
+  CollectFluidSkill,
+  PlaceWaterSkill,
+  ExtinguishFireSkill,
+  MakeWaterSourceSkill,
+  MilkCowSkill,
+  DrinkMilkSkill,
+  BuildNetherPortalSkill,
+  UseNetherPortalSkill,
   ExploreSkill,
   PlaceWorkbenchSkill,
   CraftWithWorkbenchSkill
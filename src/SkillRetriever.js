@@ -0,0 +1,208 @@
+/**
+ * SkillRetriever - タスク記述に近いスキルを TF-IDF で検索する
+ * スキル名・説明（生成スキルは生成元タスクの説明も含む）を索引化し、
+ * タスクの type / description / params から上位 k 件の候補を返す。
+ * 外部APIを使わないためオフラインでも動作する。
+ */
+
+const { Logger } = require('./utils/Logger');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'for', 'from', 'and', 'or', 'in', 'on', 'at', 'with', 'by',
+  'is', 'it', 'be', 'as', 'this', 'that', 'some', 'specific', 'nearby', 'near'
+]);
+
+// 言い換えを同じ語に寄せる（簡易的な同義語正規化）
+const SYNONYMS = {
+  collect: 'gather',
+  harvest: 'gather',
+  get: 'gather',
+  obtain: 'gather',
+  log: 'wood',
+  timber: 'wood',
+  tree: 'wood',
+  make: 'craft',
+  create: 'craft',
+  dig: 'mine',
+  break: 'mine',
+  go: 'move',
+  walk: 'move',
+  goto: 'move',
+  travel: 'move',
+  navigate: 'move',
+  kill: 'attack',
+  fight: 'attack',
+  hunt: 'attack',
+  house: 'shelter',
+  hut: 'shelter',
+  workbench: 'crafting_table',
+  eat: 'food'
+};
+
+class SkillRetriever {
+  /**
+   * @param {SkillLibrary} skillLibrary - 索引対象のスキルライブラリ（revision の変化で再索引）
+   */
+  constructor(skillLibrary) {
+    this.skillLibrary = skillLibrary;
+    this.documents = [];
+    this.idf = new Map();
+    this.maxIdf = 1;
+    this.indexedRevision = null;
+    this.logger = Logger.createLogger('SkillRetriever');
+  }
+
+  /**
+   * 英数字は単語単位、日本語は文字 bigram に分割する
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const lower = String(text || '').toLowerCase().replace(/_/g, ' ');
+
+    for (const word of lower.match(/[a-z0-9]+/g) || []) {
+      if (word.length < 2 || STOP_WORDS.has(word)) continue;
+      const stemmed = SkillRetriever.stem(word);
+      tokens.push(SYNONYMS[stemmed] || stemmed);
+    }
+
+    for (const run of lower.match(/[\u3040-\u30ff\u3400-\u9fff]+/g) || []) {
+      if (run.length === 1) {
+        tokens.push(run);
+        continue;
+      }
+      for (let i = 0; i < run.length - 1; i++) {
+        tokens.push(run.slice(i, i + 2));
+      }
+    }
+
+    return tokens;
+  }
+
+  static stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('es') && /(sh|ch|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  }
+
+  /**
+   * 検索クエリとして使うタスクのテキスト
+   */
+  static describeTask(task) {
+    if (!task) return '';
+    if (typeof task === 'string') return task;
+
+    const parts = [task.type, task.description];
+    for (const value of Object.values(task.params || {})) {
+      if (typeof value === 'string' || typeof value === 'number') parts.push(String(value));
+    }
+    return parts.filter(Boolean).join(' ');
+  }
+
+  static describeSkill(name, skill) {
+    const parts = [name, skill && skill.description];
+    if (skill && skill.taskDescription) parts.push(skill.taskDescription);
+    return parts.filter(Boolean).join(' ');
+  }
+
+  /**
+   * スキルライブラリが変更されていれば索引を作り直す
+   */
+  ensureIndex() {
+    const revision = this.skillLibrary.revision;
+    if (this.indexedRevision === revision && this.documents.length > 0) return;
+
+    this.documents = [];
+    const documentFrequency = new Map();
+
+    for (const [name, skill] of this.skillLibrary.skills) {
+      const tokens = SkillRetriever.tokenize(SkillRetriever.describeSkill(name, skill));
+      // スキル名は説明より重く扱う
+      const nameTokens = SkillRetriever.tokenize(name);
+      const termCounts = this.countTerms([...tokens, ...nameTokens]);
+
+      this.documents.push({ name, skill, termCounts, vector: null });
+      for (const term of termCounts.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const total = this.documents.length;
+    this.idf = new Map();
+    for (const [term, df] of documentFrequency) {
+      this.idf.set(term, Math.log((total + 1) / (df + 1)) + 1);
+    }
+    this.maxIdf = Math.log(total + 1) + 1;
+    for (const document of this.documents) {
+      document.vector = this.vectorize(document.termCounts);
+    }
+
+    this.indexedRevision = revision;
+    this.logger.debug(`[スキル検索] ${total}個のスキルを索引化しました`);
+  }
+
+  /**
+   * タスクに近いスキルを類似度の高い順に返す
+   * @param {Object|string} task - { type, description, params } またはテキスト
+   * @param {Object} options - { k: 件数 (default 3), minScore: 下限 (default 0.05), exclude: 除外するスキル名 }
+   * @returns {Array<{name: string, skill: Object, score: number}>}
+   */
+  retrieve(task, options = {}) {
+    const { k = 3, minScore = 0.05, exclude = [] } = options;
+    this.ensureIndex();
+
+    const queryTokens = SkillRetriever.tokenize(SkillRetriever.describeTask(task));
+    if (queryTokens.length === 0 || this.documents.length === 0) return [];
+
+    const queryVector = this.vectorize(this.countTerms(queryTokens));
+    const excluded = new Set(exclude);
+
+    return this.documents
+      .filter(document => !excluded.has(document.name))
+      .map(document => ({
+        name: document.name,
+        skill: document.skill,
+        score: this.cosine(queryVector, document.vector)
+      }))
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  countTerms(tokens) {
+    const counts = new Map();
+    for (const token of tokens) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return counts;
+  }
+
+  vectorize(termCounts) {
+    const vector = new Map();
+    let total = 0;
+    for (const count of termCounts.values()) total += count;
+
+    let norm = 0;
+    for (const [term, count] of termCounts) {
+      // 索引にない語は最も珍しい語として扱い、クエリ側のノルムに含める
+      const weight = (count / total) * (this.idf.get(term) || this.maxIdf);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    vector.norm = Math.sqrt(norm);
+    return vector;
+  }
+
+  cosine(a, b) {
+    if (!a.norm || !b.norm) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let dot = 0;
+    for (const [term, weight] of small) {
+      const other = large.get(term);
+      if (other) dot += weight * other;
+    }
+    return dot / (a.norm * b.norm);
+  }
+}
+
+module.exports = { SkillRetriever };
@@ -0,0 +1,935 @@
+/**
+ * SkillSandbox - LLM生成スキルの制限付き実行環境
+ * 生成コードを vm コンテキスト内で実行し、require / process へのアクセスを遮断する。
+ * bot には必要なメソッドだけを公開したファサードを渡し、CPU時間・実行時間・非同期呼び出し回数に上限を設ける。
+ * 生成コードに渡す値はすべてコンテキスト側で作ったコピーと関数にし、ホストの Function へたどれないようにする。
+ * コンテキストに入る処理（開始・await の再開・コールバック）は1回ずつ vm の timeout 付きで実行する。
+ * 違反は例外ではなく { success: false, reason: 'SANDBOX_VIOLATION', details } として返す。
+ *
+ * 注意: vm はプロセス分離ではないため、静的検査と実行時ガードを組み合わせた多層防御として扱う。
+ */
+
+const fs = require('fs');
+const vm = require('vm');
+const acorn = require('acorn');
+const { Vec3 } = require('vec3');
+const { Logger } = require('./utils/Logger');
+const { Cancellation, CancelledError } = require('./utils/Cancellation');
+
+// 生成コードから参照できない識別子
+const FORBIDDEN_IDENTIFIERS = new Set([
+  'require', 'process', 'module', 'exports', 'global', 'globalThis',
+  'eval', 'Function', 'Reflect', 'Proxy', 'WebAssembly', 'Buffer',
+  '__dirname', '__filename'
+]);
+
+// ホスト側オブジェクトのプロトタイプ経由で外に出られるプロパティ名
+const FORBIDDEN_PROPERTIES = new Set([
+  'constructor', 'prototype', '__proto__', 'caller', 'callee',
+  'getPrototypeOf', 'setPrototypeOf', 'getOwnPropertyDescriptor', 'getOwnPropertyDescriptors',
+  'defineProperty', 'defineProperties',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+// 計算プロパティのキーを持つノード（読み出しの obj[k] と、分割代入・リテラル・クラスの [k]）
+const COMPUTED_KEY_TYPES = new Set(['MemberExpression', 'Property', 'MethodDefinition', 'PropertyDefinition']);
+
+// コンテキスト側の道具。ユーザーコードより先に実行し、書き換えられる前の組み込みを握っておく
+// host.slice は then のコールバックをマイクロタスクの中で直接動かさず、timeout 付きで呼ぶ
+// __guard / __check / __key はループのたびに呼ばれるので、普段はコンテキストの中だけで済ませる
+const REALM_SCRIPT = new vm.Script(`(host) => {
+  'use strict';
+  const { slice, guard: hostGuard, key: hostKey } = host;
+  const apply = Reflect.apply;
+  const has = Set.prototype.has;
+  const toString = String;
+  const forbidden = new Set(JSON.parse(host.forbidden));
+  const P = Promise;
+  const promiseResolve = P.resolve;
+  const originalThen = P.prototype.then;
+  let next = null;
+  let depth = 0;
+  let calls = 0;
+  let stopped = false;
+
+  const sliced = fn => (typeof fn === 'function' ? value => slice(fn, value) : fn);
+  const then = function then(onFulfilled, onRejected) {
+    return apply(originalThen, this, [sliced(onFulfilled), sliced(onRejected)]);
+  };
+  Object.defineProperty(P.prototype, 'then', { value: then, writable: false, configurable: false });
+  Object.defineProperty(globalThis, '__enter', {
+    value: () => {
+      const call = next;
+      next = null;
+      depth++;
+      try {
+        return call ? apply(call.fn, call.self, call.args) : undefined;
+      } finally {
+        depth--;
+      }
+    }
+  });
+
+  // 打ち切り後・時間枠の外・1024 回に1回だけホストで確かめる
+  const guard = () => {
+    if (stopped || depth === 0 || (++calls & 1023) === 0) hostGuard();
+  };
+  const check = () => {
+    if (stopped) hostGuard();
+  };
+  // 文字列にしてから調べて返す。toString が呼ぶたびに違う名前を返しても、調べた名前でしか読めない
+  const key = (value) => {
+    const property = typeof value === 'symbol' ? value : toString(value);
+    if (apply(has, forbidden, [property])) hostKey(property);
+    return property;
+  };
+
+  const defer = () => {
+    let resolve;
+    let reject;
+    const promise = new P((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+  };
+
+  // async 関数はジェネレーターに書き換えてあり、await (yield) の再開は then を通して timeout 付きで進む
+  const async = (generator, self, args) => {
+    const iterator = apply(generator, self, args || []);
+    const { promise, resolve, reject } = defer();
+    const step = (method, input) => {
+      let result;
+      try {
+        result = iterator[method](input);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (result.done) {
+        resolve(result.value);
+        return;
+      }
+      let settled = false;
+      const onValue = value => { if (!settled) { settled = true; step('next', value); } };
+      const onError = error => { if (!settled) { settled = true; step('throw', error); } };
+      const value = result.value;
+      const thenable = value !== null && (typeof value === 'object' || typeof value === 'function') &&
+        typeof value.then === 'function';
+      if (thenable && !(value instanceof P)) {
+        // 独自の thenable は今の時間枠の中で then を呼ぶ
+        try {
+          value.then(onValue, onError);
+        } catch (error) {
+          onError(error);
+        }
+      } else {
+        apply(then, apply(promiseResolve, P, [value]), [onValue, onError]);
+      }
+    };
+    step('next', undefined);
+    return promise;
+  };
+
+  return {
+    Object,
+    Array,
+    Error,
+    async,
+    defer,
+    guard,
+    check,
+    key,
+    stop: () => { stopped = true; },
+    hold: (delta) => { depth += delta; },
+    bridge: (call) => function (...args) { return call(this, args, new.target); },
+    start: (fn, bot, params, done, fail) => {
+      apply(then, new P(resolve => resolve(fn(bot, params))), [done, fail]);
+    },
+    prepare: (fn, self, args) => { next = { fn, self, args }; }
+  };
+}`, { filename: 'sandbox-realm.js' });
+
+const ENTER_SCRIPT = new vm.Script('__enter()', { filename: 'sandbox-enter.js' });
+
+// Vec3 はコンテキスト内で同じライブラリを評価して、メソッドごと生成コード側の値にする
+const VEC3_SCRIPT = new vm.Script(`(function (module) {
+${fs.readFileSync(require.resolve('vec3'), 'utf8')}
+return module.exports;
+})({ exports: {} })`, { filename: 'vec3.js' });
+
+class SandboxViolation extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'SandboxViolation';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+// --- 生成コードに渡す状態のコピー（書き換えてもホストの bot には届かない） ---
+
+function copyVec3(value) {
+  return value ? new Vec3(value.x, value.y, value.z) : null;
+}
+
+// プリミティブの値を持つプロパティだけを写す（bot.time / bot.game 用）
+function primitiveFields(source) {
+  if (!source) return null;
+  return Object.fromEntries(Object.entries(source).filter(([, value]) => value === null ||
+    ['string', 'number', 'boolean', 'undefined'].includes(typeof value)));
+}
+
+function entitySnapshot(entity) {
+  if (!entity) return null;
+  return {
+    id: entity.id,
+    type: entity.type,
+    name: entity.name,
+    username: entity.username,
+    mobType: entity.mobType,
+    kind: entity.kind,
+    position: copyVec3(entity.position),
+    velocity: copyVec3(entity.velocity),
+    yaw: entity.yaw,
+    pitch: entity.pitch,
+    height: entity.height,
+    width: entity.width,
+    onGround: entity.onGround,
+    health: entity.health,
+    isValid: entity.isValid
+  };
+}
+
+function itemSnapshot(item) {
+  if (!item) return null;
+  return {
+    type: item.type,
+    name: item.name,
+    displayName: item.displayName,
+    count: item.count,
+    metadata: item.metadata,
+    slot: item.slot,
+    stackSize: item.stackSize,
+    durabilityUsed: item.durabilityUsed,
+    maxDurability: item.maxDurability
+  };
+}
+
+class SkillSandbox {
+  /**
+   * @param {Object} options
+   *        ├─ timeoutMs           スキル全体の実行時間上限 (default 30000)
+   *        ├─ cpuBudgetMs         await を挟まずに連続実行できる時間 (default 500)
+   *        ├─ maxAsyncCalls       bot の非同期メソッド呼び出し回数の上限 (default 200)
+   *        ├─ maxConcurrentCalls  同時に待機できる非同期呼び出し数 (default 4)
+   *        ├─ maxChatMessages     chat の送信上限 (default 5)
+   *        └─ maxSleepMs          sleep / setTimeout 1回あたりの上限 (default 10000)
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.cpuBudgetMs = options.cpuBudgetMs || 500;
+    this.maxAsyncCalls = options.maxAsyncCalls || 200;
+    this.maxConcurrentCalls = options.maxConcurrentCalls || 4;
+    this.maxChatMessages = options.maxChatMessages || 5;
+    this.maxSleepMs = options.maxSleepMs || 10000;
+    this.logger = Logger.createLogger('SkillSandbox');
+  }
+
+  /**
+   * 生成コードを検査・変換してコンパイルする
+   * @returns {{success: true, script: vm.Script, code: string}|{success: false, error, reason, details}}
+   */
+  compile(code) {
+    let ast;
+    try {
+      ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: false });
+    } catch (error) {
+      return this.violationResult(new SandboxViolation('SYNTAX_ERROR', `構文エラー: ${error.message}`));
+    }
+
+    try {
+      this.inspect(ast);
+      const instrumented = this.instrument(code, ast);
+      const script = new vm.Script(`'use strict';\n${instrumented}\n;executeTask;`, {
+        filename: 'generated-skill.js'
+      });
+      return { success: true, script, code };
+    } catch (error) {
+      if (error instanceof SandboxViolation) {
+        return this.violationResult(error);
+      }
+      return this.violationResult(new SandboxViolation('SYNTAX_ERROR', `コンパイルに失敗しました: ${error.message}`));
+    }
+  }
+
+  /**
+   * コンパイル済みスキルを実行する。違反・例外・タイムアウトはすべて結果オブジェクトで返す
+   * params.cancelToken (AbortSignal) は生成コードに渡さず、中断時は次の await で打ち切って CANCELLED を返す
+   */
+  async execute(compiled, bot, params = {}) {
+    if (!compiled || !compiled.success) {
+      return compiled || this.violationResult(new SandboxViolation('NOT_COMPILED', 'スキルがコンパイルされていません'));
+    }
+
+    const { cancelToken, ...taskParams } = params || {};
+    if (Cancellation.isCancelled(cancelToken)) {
+      return Cancellation.cancelledResult(cancelToken);
+    }
+
+    const run = this.createRunState();
+    const context = this.createContext(bot, run);
+    let timeoutId = null;
+
+    try {
+      const executeTask = run.realm.runScript(compiled.script);
+      if (typeof executeTask !== 'function') {
+        throw new SandboxViolation('MISSING_ENTRY', 'executeTask 関数が定義されていません');
+      }
+
+      const sandboxParams = this.cloneIntoContext(run, taskParams);
+      run.resetSlice();
+      // 違反・中断・時間切れは run.fail() からこの Promise を reject する
+      const finished = new Promise((resolve, reject) => {
+        run.onFail = reject;
+        timeoutId = setTimeout(() => {
+          run.fail(new SandboxViolation('TIME_BUDGET', `実行時間の上限 (${this.timeoutMs}ms) を超えました`));
+        }, this.timeoutMs);
+        const { realm } = run;
+        realm.enter(realm.helpers.start, undefined, [
+          executeTask, context.bot, sandboxParams, realm.expose(resolve), realm.expose(reject)
+        ]);
+      });
+
+      const result = await Cancellation.race(finished, cancelToken,
+        () => run.fail(new CancelledError(Cancellation.describe(cancelToken))));
+
+      if (run.violation) throw run.violation;
+      return this.normalizeResult(result, run);
+    } catch (error) {
+      if (Cancellation.isCancellationError(run.violation || error)) {
+        Cancellation.stopBot(bot);
+        const stats = { asyncCalls: run.asyncCalls, durationMs: Date.now() - run.startedAt };
+        return Cancellation.cancelledResult(cancelToken, stats);
+      }
+      const violation = run.violation || (error instanceof SandboxViolation ? error : null);
+      if (violation) {
+        this.stopBot(bot);
+        return this.violationResult(violation, run);
+      }
+      if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return this.violationResult(new SandboxViolation('CPU_BUDGET', 'スクリプトの初期化が時間内に終わりませんでした'), run);
+      }
+      return { success: false, error: error && error.message ? error.message : String(error) };
+    } finally {
+      clearTimeout(timeoutId);
+      run.dispose();
+    }
+  }
+
+  // --- 静的検査と計装 -------------------------------------------------------
+
+  inspect(ast) {
+    let hasEntry = false;
+
+    this.walk(ast, (node, parent) => {
+      if (FUNCTION_TYPES.has(node.type) && node.async && node.generator) {
+        throw new SandboxViolation('FORBIDDEN_SYNTAX', 'async ジェネレーターは使用できません');
+      }
+
+      switch (node.type) {
+      case 'FunctionDeclaration':
+        if (node.id && node.id.name === 'executeTask' && parent && parent.type === 'Program') hasEntry = true;
+        break;
+      case 'Identifier':
+        if (FORBIDDEN_IDENTIFIERS.has(node.name) && !this.isPropertyKey(node, parent)) {
+          throw new SandboxViolation('FORBIDDEN_IDENTIFIER', `${node.name} は使用できません`, { identifier: node.name });
+        }
+        if (FORBIDDEN_PROPERTIES.has(node.name)) {
+          throw new SandboxViolation('FORBIDDEN_PROPERTY', `${node.name} にはアクセスできません`, { property: node.name });
+        }
+        break;
+      case 'Literal':
+        if (typeof node.value === 'string' && FORBIDDEN_PROPERTIES.has(node.value)) {
+          throw new SandboxViolation('FORBIDDEN_PROPERTY', `${node.value} にはアクセスできません`, { property: node.value });
+        }
+        break;
+      case 'ImportExpression':
+        throw new SandboxViolation('FORBIDDEN_IDENTIFIER', 'import は使用できません');
+      case 'MetaProperty':
+        if (node.meta.name === 'import') {
+          throw new SandboxViolation('FORBIDDEN_IDENTIFIER', 'import.meta は使用できません');
+        }
+        break;
+      case 'WithStatement':
+        throw new SandboxViolation('FORBIDDEN_SYNTAX', 'with 文は使用できません');
+      case 'ForOfStatement':
+        if (node.await) throw new SandboxViolation('FORBIDDEN_SYNTAX', 'for await は使用できません');
+        break;
+      default:
+        break;
+      }
+    });
+
+    if (!hasEntry) {
+      throw new SandboxViolation('MISSING_ENTRY', 'executeTask 関数が定義されていません');
+    }
+  }
+
+  isPropertyKey(node, parent) {
+    if (!parent) return false;
+    if (parent.type === 'MemberExpression') return parent.property === node && !parent.computed;
+    if (parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') {
+      return parent.key === node && !parent.computed && !parent.shorthand;
+    }
+    return false;
+  }
+
+  /**
+   * ループ本体と関数本体に __guard()、catch/finally の先頭に __check()、計算プロパティのキーに __key() を挿入する
+   * __key() は分割代入 ({ [k]: v } = obj) のキーにも入れる。読み出しはメンバー式だけではないため
+   * async 関数は本体をジェネレーターに、await を yield に書き換え、再開をマイクロタスクではなく __async に任せる
+   * 式を返すアロー関数 (x => x + 1) は { __guard(); return x + 1; } に書き換える（map などのコールバックも数える）
+   */
+  instrument(code, ast) {
+    const edits = [];
+    const open = (at, text, remove = 0) => edits.push({ at, text, remove, close: false });
+    const close = (at, text) => edits.push({ at, text, close: true });
+
+    this.walk(ast, (node) => {
+      if (LOOP_TYPES.has(node.type)) {
+        const body = node.body;
+        if (body.type === 'BlockStatement') {
+          open(body.start + 1, '__guard();');
+        } else {
+          open(body.start, '{__guard();');
+          close(body.end, '}');
+        }
+      } else if (node.type === 'CatchClause') {
+        open(node.body.start + 1, '__check();');
+      } else if (node.type === 'TryStatement' && node.finalizer) {
+        open(node.finalizer.start + 1, '__check();');
+      } else if (COMPUTED_KEY_TYPES.has(node.type) && node.computed) {
+        const key = node.type === 'MemberExpression' ? node.property : node.key;
+        open(key.start, '__key(');
+        close(key.end, ')');
+      } else if (FUNCTION_TYPES.has(node.type)) {
+        // 再帰呼び出しによるCPU占有も検出する。async 関数の本体はジェネレーターにして __async で進める
+        const arrow = node.type === 'ArrowFunctionExpression';
+        const prefix = node.async ? 'return __async(function* () {' : '';
+        const suffix = node.async ? `}, this${arrow ? '' : ', arguments'});` : '';
+        if (node.body.type === 'BlockStatement') {
+          open(node.body.start + 1, `${prefix}__guard();`);
+          if (node.async) close(node.body.end - 1, suffix);
+        } else {
+          // 本体を括弧ごと包むため、=> の直後から関数の終わりまでを書き換える
+          open(code.lastIndexOf('=>', node.body.start) + 2, `{${prefix}__guard();return `);
+          close(node.end, `;${suffix}}`);
+        }
+      } else if (node.type === 'AwaitExpression') {
+        open(node.start, '(');
+        open(node.start, 'yield', 'await'.length);
+        close(node.end, ')');
+      }
+    });
+
+    // 後ろから適用して位置がずれないようにする。同じ位置では閉じる側（内側のノードから）、
+    // 開く側（外側のノードから）、await の置き換えの順に並べる
+    const rank = edit => (edit.remove ? 2 : edit.close ? 0 : 1);
+    edits.forEach((edit, index) => { edit.order = edit.close ? -index : index; });
+    edits.sort((a, b) => b.at - a.at || rank(b) - rank(a) || b.order - a.order);
+
+    let output = code;
+    for (const edit of edits) {
+      output = output.slice(0, edit.at) + edit.text + output.slice(edit.at + (edit.remove || 0));
+    }
+    return output;
+  }
+
+  walk(node, visit, parent = null) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node, parent);
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => this.walk(child, visit, node));
+      } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+        this.walk(value, visit, node);
+      }
+    }
+  }
+
+  // --- 実行時の状態 ---------------------------------------------------------
+
+  createRunState() {
+    const sandbox = this;
+    const run = {
+      startedAt: Date.now(),
+      sliceStart: Date.now(),
+      asyncCalls: 0,
+      pending: 0,
+      chatMessages: 0,
+      violation: null,
+      onFail: null,
+      closed: false,
+      depth: 0, // vm の timeout 付きで実行中のコンテキスト呼び出しの深さ
+      realm: null,
+      timers: new Set(),
+      views: new WeakMap(), // readOnlyView の表示（同じオブジェクトには同じ表示を返す）
+
+      fail(violation) {
+        if (!run.violation) {
+          run.violation = violation;
+          if (run.realm) run.realm.helpers.stop();
+          if (run.onFail) run.onFail(violation);
+        }
+        return run.violation;
+      },
+      check() {
+        if (run.violation) throw run.violation;
+      },
+      resetSlice() {
+        run.sliceStart = Date.now();
+      },
+      guard() {
+        run.check();
+        if (run.depth === 0) {
+          throw run.fail(new SandboxViolation('UNTIMED_CALL', '時間制限の外で生成コードが呼ばれました'));
+        }
+        if (Date.now() - run.sliceStart > sandbox.cpuBudgetMs) {
+          throw run.fail(new SandboxViolation('CPU_BUDGET', `await なしで ${sandbox.cpuBudgetMs}ms 以上実行されました`));
+        }
+      },
+      dispose() {
+        run.closed = true;
+        for (const id of run.timers) clearTimeout(id);
+        run.timers.clear();
+      }
+    };
+    return run;
+  }
+
+  createContext(bot, run) {
+    const logger = this.logger;
+    const sandboxConsole = {
+      log: (...args) => logger.log('[生成スキル]', ...args),
+      warn: (...args) => logger.warn('[生成スキル]', ...args),
+      error: (...args) => logger.error('[生成スキル]', ...args)
+    };
+
+    const sleep = (ms) => this.trackAsync(run, 'sleep', () => new Promise(resolve => {
+      const id = setTimeout(() => {
+        run.timers.delete(id);
+        resolve();
+      }, Math.max(0, Math.min(Number(ms) || 0, this.maxSleepMs)));
+      run.timers.add(id);
+    }));
+
+    const context = vm.createContext({}, {
+      name: 'generated-skill',
+      codeGeneration: { strings: false, wasm: false }
+    });
+    const realm = this.createRealm(context, run);
+    run.realm = realm;
+
+    const globals = {
+      bot: realm.toContext(this.createBotFacade(bot, run)),
+      console: realm.toContext(sandboxConsole),
+      // new Vec3(x, y, z) と Vec3(x, y, z) のどちらでも使える
+      Vec3: realm.Vec3,
+      goals: realm.toContext(this.loadGoals()),
+      sleep: realm.expose(sleep),
+      __async: realm.helpers.async,
+      setTimeout: realm.expose((callback, ms) => {
+        sleep(ms).then(() => {
+          if (!run.violation) callback();
+        }, () => {});
+      }),
+      __guard: realm.helpers.guard,
+      __check: realm.helpers.check,
+      __key: realm.helpers.key
+    };
+    Object.assign(context, globals);
+
+    return context;
+  }
+
+  /**
+   * ホストとコンテキストの境界を作る。ホストの関数やオブジェクトを渡すと constructor からホストの Function に
+   * たどり着けるので、値はコンテキスト側のコピー、関数はコンテキスト側の関数で包んでから渡す
+   */
+  createRealm(context, run) {
+    const sandbox = this;
+    const contextVec3 = VEC3_SCRIPT.runInContext(context);
+    const vec3Prototype = contextVec3.Vec3.prototype;
+    const exposed = new WeakMap(); // ホストの関数 → 包んだ関数
+    const handles = new WeakMap(); // コピー → ホストの元の値（dig(block) などで元の値に戻す）
+    const originals = new WeakMap(); // ホストに渡したコピー → コンテキストの元の値
+    const viewTargets = new WeakMap(); // readOnlyView の表示 → ホストの値
+
+    const define = (target, key, value) => Object.defineProperty(target, key, {
+      value, writable: true, enumerable: true, configurable: true
+    });
+
+    const cpuBudgetViolation = () => new SandboxViolation('CPU_BUDGET', `await なしで ${sandbox.cpuBudgetMs}ms 以上実行されました`);
+
+    // 生成コードは必ずこの中で動かす。外側から入るときは vm の timeout を掛け、実行中の呼び出しの中からなら
+    // そのまま呼ぶ（外側の timeout が効いている）。timeout は bot の非同期呼び出しが終わってからの残り時間にし、
+    // await null を繰り返すだけのマイクロタスクの連鎖でもイベントループを止め続けられないようにする
+    const enter = (fn, self, args) => {
+      if (run.depth > 0) return Reflect.apply(fn, self, args);
+      if (run.violation) throw run.violation;
+      if (run.closed) throw new SandboxViolation('CLOSED', 'スキルの実行は終了しています');
+      const remaining = sandbox.cpuBudgetMs - (Date.now() - run.sliceStart);
+      if (remaining <= 0) throw run.fail(cpuBudgetViolation());
+      helpers.prepare(fn, self, args);
+      run.depth++;
+      try {
+        return ENTER_SCRIPT.runInContext(context, { timeout: remaining });
+      } catch (error) {
+        if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw run.fail(cpuBudgetViolation());
+        throw error;
+      } finally {
+        run.depth--;
+      }
+    };
+
+    // 生成コードの最上位（関数定義など）を実行する。timeout の扱いは呼び出し側に任せる
+    const runScript = (script) => {
+      run.depth++;
+      helpers.hold(1);
+      try {
+        return script.runInContext(context, { timeout: sandbox.cpuBudgetMs });
+      } finally {
+        helpers.hold(-1);
+        run.depth--;
+      }
+    };
+
+    const helpers = REALM_SCRIPT.runInContext(context)({
+      forbidden: JSON.stringify([...FORBIDDEN_PROPERTIES]),
+      // 打ち切ったあとの続きは動かさない（結果は run.fail で決まっている）。生成コードが投げた値はそのまま返す
+      slice: (fn, value) => {
+        if (run.violation || run.closed) return undefined;
+        try {
+          return enter(fn, undefined, [value]);
+        } catch (error) {
+          if (run.violation || run.closed) return undefined;
+          throw error;
+        }
+      },
+      guard: () => {
+        try {
+          run.guard();
+        } catch (error) {
+          throw toContextError(error);
+        }
+      },
+      key: (property) => {
+        const violation = new SandboxViolation('FORBIDDEN_PROPERTY', `${property} にはアクセスできません`, { property });
+        throw toContextError(run.fail(violation));
+      }
+    });
+
+    const toContextError = (error) => new helpers.Error(error && error.message ? String(error.message) : String(error));
+
+    const expose = (fn) => {
+      if (exposed.has(fn)) return exposed.get(fn);
+      const wrapper = helpers.bridge((self, args, newTarget) => {
+        try {
+          const hostArgs = [];
+          for (let i = 0; i < args.length; i++) hostArgs.push(toHost(args[i]));
+          const result = newTarget ? Reflect.construct(fn, hostArgs) : Reflect.apply(fn, toHost(self), hostArgs);
+          return toContext(result);
+        } catch (error) {
+          throw toContextError(run.violation || error);
+        }
+      });
+      exposed.set(fn, wrapper);
+      return wrapper;
+    };
+
+    const toContext = (value, seen = new Map()) => {
+      if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+      if (viewTargets.has(value)) return value;
+      if (originals.has(value)) return originals.get(value);
+      if (typeof value === 'function') return expose(value);
+      if (seen.has(value)) return seen.get(value);
+      if (value instanceof Error) return toContextError(value);
+      if (value instanceof Vec3) return new contextVec3.Vec3(value.x, value.y, value.z);
+      if (value instanceof Promise) {
+        const deferred = helpers.defer();
+        value.then((result) => {
+          if (!run.violation && !run.closed) deferred.resolve(toContext(result));
+        }, (error) => {
+          if (!run.violation && !run.closed) deferred.reject(toContextError(error));
+        });
+        return deferred.promise;
+      }
+
+      const copy = Array.isArray(value) ? new helpers.Array() : new helpers.Object();
+      seen.set(value, copy);
+      handles.set(copy, value);
+      for (const key of Object.keys(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        if (descriptor.get) {
+          // getter は読むたびに最新の値をコピーする（bot.entity など）
+          Object.defineProperty(copy, key, {
+            get: expose(() => descriptor.get.call(value)), enumerable: true, configurable: true
+          });
+        } else {
+          define(copy, key, toContext(descriptor.value, seen));
+        }
+      }
+      if (Object.isFrozen(value)) Object.freeze(copy);
+      return copy;
+    };
+
+    const toHost = (value, seen = new Map()) => {
+      if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+      if (handles.has(value)) return handles.get(value);
+      if (viewTargets.has(value)) return viewTargets.get(value);
+      if (seen.has(value)) return seen.get(value);
+      if (typeof value === 'function') {
+        const fn = function (...args) {
+          return toHost(enter(value, toContext(this), args.map(arg => toContext(arg))));
+        };
+        originals.set(fn, value);
+        return fn;
+      }
+      if (Object.getPrototypeOf(value) === vec3Prototype) {
+        return new Vec3(Number(value.x), Number(value.y), Number(value.z));
+      }
+      if (Object.prototype.toString.call(value) === '[object Error]') return new Error(String(value.message));
+
+      const copy = Array.isArray(value) ? [] : {};
+      seen.set(value, copy);
+      originals.set(copy, value);
+      for (const key of Object.keys(value)) {
+        define(copy, key, toHost(value[key], seen));
+      }
+      return copy;
+    };
+
+    return {
+      helpers,
+      Vec3: contextVec3,
+      enter,
+      expose,
+      runScript,
+      toContext,
+      toHost,
+      viewTargets
+    };
+  }
+
+  /**
+   * 生成コードに公開する bot のメソッド。ここにないものは使えない
+   */
+  createBotFacade(bot, run) {
+    const async = (name, fn) => (...args) => this.trackAsync(run, name, () => fn(...args));
+    const sync = (fn) => (...args) => {
+      run.guard();
+      return fn(...args);
+    };
+
+    const facade = {
+      dig: async('dig', (block, forceLook) => bot.dig(block, forceLook)),
+      placeBlock: async('placeBlock', (referenceBlock, faceVector) => bot.placeBlock(referenceBlock, faceVector)),
+      equip: async('equip', (item, destination) => bot.equip(item, destination)),
+      unequip: async('unequip', (destination) => bot.unequip(destination)),
+      craft: async('craft', (recipe, count, craftingTable) => bot.craft(recipe, count, craftingTable)),
+      lookAt: async('lookAt', (point, force) => bot.lookAt(point, force)),
+      consume: async('consume', () => bot.consume()),
+      toss: async('toss', (itemType, metadata, count) => bot.toss(itemType, metadata, count)),
+
+      blockAt: sync((point) => bot.blockAt(point)),
+      findBlock: sync((options) => bot.findBlock(options)),
+      findBlocks: sync((options) => bot.findBlocks(options)),
+      recipesFor: sync((itemType, metadata, minResultCount, craftingTable) =>
+        bot.recipesFor(itemType, metadata, minResultCount, craftingTable)),
+      // フィルタにも戻り値にもエンティティのコピーを渡し、攻撃は id で本物のエンティティを引き直す
+      nearestEntity: sync((filter) => entitySnapshot(bot.nearestEntity(typeof filter === 'function'
+        ? entity => filter(entitySnapshot(entity))
+        : undefined))),
+      attack: sync((entity) => {
+        const target = entity && bot.entities[entity.id];
+        if (!target) throw new Error('攻撃するエンティティが見つかりません');
+        return bot.attack(target);
+      }),
+      setControlState: sync((control, state) => bot.setControlState(control, state)),
+      clearControlStates: sync(() => bot.clearControlStates()),
+      chat: sync((message) => {
+        if (run.chatMessages >= this.maxChatMessages) {
+          throw run.fail(new SandboxViolation('CHAT_LIMIT', `chat は ${this.maxChatMessages} 回までです`));
+        }
+        run.chatMessages++;
+        return bot.chat(String(message).slice(0, 256));
+      }),
+
+      inventory: {
+        items: sync(() => bot.inventory.items()),
+        count: sync((itemType, metadata) => bot.inventory.count(itemType, metadata)),
+        findInventoryItem: sync((itemType, metadata, notFull) =>
+          bot.inventory.findInventoryItem(itemType, metadata, notFull)),
+        emptySlotCount: sync(() => bot.inventory.emptySlotCount())
+      },
+
+      pathfinder: {
+        goto: async('pathfinder.goto', (goal) => bot.pathfinder.goto(goal)),
+        setGoal: sync((goal, dynamic) => bot.pathfinder.setGoal(goal, dynamic)),
+        stop: sync(() => bot.pathfinder.stop()),
+        isMoving: sync(() => bot.pathfinder.isMoving())
+      }
+    };
+
+    // 状態は読むたびに作るコピーで公開する。registry は大きすぎてコピーできないので書き込めない表示にする
+    const readOnly = {
+      username: () => bot.username,
+      entity: () => entitySnapshot(bot.entity),
+      entities: () => Object.fromEntries(Object.entries(bot.entities || {})
+        .map(([id, entity]) => [id, entitySnapshot(entity)])),
+      players: () => Object.fromEntries(Object.entries(bot.players || {}).map(([name, player]) => [name, {
+        username: player.username,
+        uuid: player.uuid,
+        ping: player.ping,
+        gamemode: player.gamemode,
+        entity: entitySnapshot(player.entity)
+      }])),
+      health: () => bot.health,
+      food: () => bot.food,
+      time: () => primitiveFields(bot.time),
+      isRaining: () => bot.isRaining,
+      heldItem: () => itemSnapshot(bot.heldItem),
+      registry: () => this.readOnlyView(bot.registry, run),
+      game: () => primitiveFields(bot.game)
+    };
+    for (const [name, getter] of Object.entries(readOnly)) {
+      Object.defineProperty(facade, name, { get: getter, enumerable: true });
+    }
+
+    return Object.freeze(facade);
+  }
+
+  /**
+   * 書き込みを SandboxViolation にする表示（Proxy）。たどった先のオブジェクトも同じ表示で返す
+   * Proxy の対象はコンテキスト側の空のオブジェクトにして、ホストの値は trap の中からだけ読む
+   */
+  readOnlyView(value, run) {
+    if (!value || (typeof value !== 'object' && typeof value !== 'function')) return value;
+    if (typeof value === 'function') return run.realm.expose(value);
+    if (run.views.has(value)) return run.views.get(value);
+
+    const { helpers, viewTargets } = run.realm;
+    const deny = (key) => {
+      const property = String(key);
+      throw run.fail(new SandboxViolation('READ_ONLY', `${property} は書き換えられません`, { property }));
+    };
+    const isArray = Array.isArray(value);
+    const shadow = isArray ? new helpers.Array() : new helpers.Object();
+    const view = new Proxy(shadow, {
+      get: (_shadow, key) => {
+        if (typeof key === 'string' && FORBIDDEN_PROPERTIES.has(key)) {
+          throw run.fail(new SandboxViolation('FORBIDDEN_PROPERTY', `${key} にはアクセスできません`, { property: key }));
+        }
+        return this.readOnlyView(Reflect.get(value, key), run);
+      },
+      has: (_shadow, key) => Reflect.has(value, key),
+      ownKeys: () => Reflect.ownKeys(value),
+      getOwnPropertyDescriptor: (_shadow, key) => {
+        const descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+        if (!descriptor) return undefined;
+        // 配列の length は対象の配列にもある再定義できないプロパティなので、同じ形で返す
+        if (isArray && key === 'length') {
+          return { value: value.length, writable: true, enumerable: false, configurable: false };
+        }
+        return {
+          value: this.readOnlyView(Reflect.get(value, key), run),
+          writable: false,
+          enumerable: descriptor.enumerable,
+          configurable: true
+        };
+      },
+      getPrototypeOf: () => Reflect.getPrototypeOf(shadow),
+      set: (_shadow, key) => deny(key),
+      defineProperty: (_shadow, key) => deny(key),
+      deleteProperty: (_shadow, key) => deny(key),
+      setPrototypeOf: () => deny('prototype'),
+      preventExtensions: () => deny('extensible')
+    });
+    run.views.set(value, view);
+    viewTargets.set(view, value);
+    return view;
+  }
+
+  async trackAsync(run, name, fn) {
+    run.guard();
+    if (run.asyncCalls >= this.maxAsyncCalls) {
+      const message = `非同期呼び出しが上限 (${this.maxAsyncCalls}) を超えました`;
+      throw run.fail(new SandboxViolation('ASYNC_CALL_LIMIT', message, { call: name }));
+    }
+    if (run.pending >= this.maxConcurrentCalls) {
+      const message = `同時に実行できる非同期呼び出しは ${this.maxConcurrentCalls} 件までです`;
+      throw run.fail(new SandboxViolation('CONCURRENCY_LIMIT', message, { call: name }));
+    }
+
+    run.asyncCalls++;
+    run.pending++;
+    try {
+      return await fn();
+    } finally {
+      run.pending--;
+      run.resetSlice();
+      // 打ち切り後に完了した呼び出しの結果は生成コードに返さない
+      run.check();
+    }
+  }
+
+  loadGoals() {
+    try {
+      const { goals } = require('mineflayer-pathfinder');
+      return goals;
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // JSON で表せる値だけを写す。コンテキストの JSON は生成コードが書き換えられるので、ホスト側で解析してから渡す
+  cloneIntoContext(run, value) {
+    return run.realm.toContext(JSON.parse(JSON.stringify(value === undefined ? {} : value)));
+  }
+
+  stopBot(bot) {
+    try {
+      if (bot.pathfinder && typeof bot.pathfinder.stop === 'function') bot.pathfinder.stop();
+      if (typeof bot.clearControlStates === 'function') bot.clearControlStates();
+    } catch (error) {
+      this.logger.warn(`打ち切り後のボット停止に失敗: ${error.message}`);
+    }
+  }
+
+  normalizeResult(result, run) {
+    const stats = { asyncCalls: run.asyncCalls, durationMs: Date.now() - run.startedAt };
+    if (result && typeof result === 'object' && typeof result.success === 'boolean') {
+      return { ...result, sandbox: stats };
+    }
+    return { success: true, result, sandbox: stats };
+  }
+
+  violationResult(violation, run = null) {
+    this.logger.warn(`[サンドボックス] ${violation.type}: ${violation.message}`);
+    return {
+      success: false,
+      error: violation.message,
+      reason: 'SANDBOX_VIOLATION',
+      details: {
+        violation: violation.type,
+        ...violation.details,
+        ...(run ? { asyncCalls: run.asyncCalls, durationMs: Date.now() - run.startedAt } : {})
+      }
+    };
+  }
+}
+
+module.exports = { SkillSandbox, SandboxViolation };
@@ -0,0 +1,296 @@
+/**
+ * SkillStore - 生成・学習したスキルのディスク永続化
+ * 1スキル = 1 JSON ファイル (data/skills/<name>.json) として、ソースコード・生成時のタスクと
+ * プロンプトコンテキスト・成功/失敗回数・バージョンを保存する。
+ * 起動時に SkillLibrary へ読み戻し、成績の悪いスキルや長期間使われていないスキルは引退させる。
+ *
+ * ファイル形式:
+ * {
+ *   "name": "build_house", "version": 2, "code": "async function executeTask(bot, params) {...}",
+ *   "task": { "type": "build_house", "params": {} }, "context": { "position": {...}, ... },
+ *   "stats": { "uses": 4, "successes": 3, "failures": 1, "averageTime": 5200, "lastUsed": 1720000000000 },
+ *   "createdAt": 1720000000000, "updatedAt": 1720000000000, "retired": false, "retiredAt": null
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/Logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SkillStore {
+  /**
+   * @param {Object} options
+   *        ├─ dir               保存先ディレクトリ (default SKILL_STORE_DIR または data/skills)
+   *        ├─ minUses           引退判定を行う最小使用回数 (default 5)
+   *        ├─ minSuccessRate    これを下回ると引退 (default 0.2)
+   *        ├─ maxIdleDays       この日数使われなければ引退 (default 30)
+   *        └─ retentionDays     引退後に削除するまでの日数 (default 7)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.SKILL_STORE_DIR || path.join(process.cwd(), 'data', 'skills');
+    this.minUses = options.minUses ?? 5;
+    this.minSuccessRate = options.minSuccessRate ?? 0.2;
+    this.maxIdleDays = options.maxIdleDays ?? 30;
+    this.retentionDays = options.retentionDays ?? 7;
+    this.entries = new Map();
+    this.seenUses = new Map(); // このセッションで反映済みの StateManager の使用回数
+    this.skillLibrary = null;
+    this.logger = Logger.createLogger('SkillStore');
+  }
+
+  /**
+   * ディレクトリ内のスキルを読み込み、引退判定と削除を行う
+   * @returns {Map<string, Object>} 有効なスキルのエントリ
+   */
+  load() {
+    this.entries.clear();
+    if (!fs.existsSync(this.dir)) {
+      return this.entries;
+    }
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const entry = this.readFile(path.join(this.dir, file));
+      if (entry) {
+        this.entries.set(entry.name, entry);
+      }
+    }
+
+    const { retired, deleted } = this.prune();
+    this.logger.log(`[スキルストア] ${this.entries.size}個のスキルを読み込みました (引退: ${retired}, 削除: ${deleted})`);
+    return this.entries;
+  }
+
+  /**
+   * 有効なスキルを SkillLibrary に登録する。同名の組み込みスキルは上書きしない
+   * @param {SkillLibrary} skillLibrary
+   * @param {Function} createSkill - (code) => { execute, ... } サンドボックス化したスキルを作る関数
+   * @returns {number} 登録したスキル数
+   */
+  loadInto(skillLibrary, createSkill) {
+    this.skillLibrary = skillLibrary;
+    this.load();
+
+    let registered = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.retired) continue;
+      if (skillLibrary.getSkill(entry.name)) {
+        this.logger.debug(`[スキルストア] 組み込みスキルと同名のためスキップ: ${entry.name}`);
+        continue;
+      }
+
+      const skill = createSkill(entry.code);
+      if (!skill) continue;
+      if (skill.rejected) {
+        this.logger.warn(`[スキルストア] サンドボックスの検査を通らないためスキップ: ${entry.name}`);
+        continue;
+      }
+
+      skillLibrary.registerSkill(entry.name, {
+        ...skill,
+        name: entry.name,
+        description: entry.description || `Generated skill for ${entry.name}`,
+        taskDescription: SkillStore.describeTask(entry.task),
+        version: entry.version,
+        stored: true
+      });
+      registered++;
+    }
+
+    return registered;
+  }
+
+  /**
+   * 生成直後のスキルを保存する。同名のスキルがあれば新しいバージョンとして置き換える
+   */
+  saveGenerated(task, context, skill) {
+    const name = task.type;
+    const existing = this.readFile(this.filePath(name));
+    const now = Date.now();
+
+    const entry = {
+      name,
+      description: task.description || null,
+      version: existing ? existing.version + 1 : 1,
+      code: skill.code,
+      task: { type: task.type, params: task.params || {} },
+      context: this.toPlain(context),
+      stats: { uses: 0, successes: 0, failures: 0, averageTime: 0, lastUsed: null },
+      createdAt: now,
+      updatedAt: now,
+      retired: false,
+      retiredAt: null
+    };
+
+    this.write(entry);
+    this.entries.set(name, entry);
+    this.seenUses.delete(name);
+    this.logger.log(`[スキルストア] ${name} v${entry.version} を保存しました`);
+    return entry;
+  }
+
+  /**
+   * StateManager の skillPerformance 更新を購読し、保存済みスキルの成績に反映する
+   */
+  attach(stateManager) {
+    stateManager.subscribe('SkillStore', (updates) => {
+      const performance = updates.skillPerformance;
+      if (!performance) return;
+
+      for (const [name, current] of performance) {
+        if (this.entries.has(name)) {
+          this.recordPerformance(name, current);
+        }
+      }
+    }, ['skillPerformance']);
+  }
+
+  /**
+   * StateManager の累計値との差分をファイルの成績に加算する
+   * 同じディレクトリを複数のボットが共有するため、毎回ファイルを読み直してから書き込む
+   */
+  recordPerformance(name, current) {
+    const seen = this.seenUses.get(name) || { uses: 0, successes: 0, failures: 0 };
+    const delta = {
+      uses: current.uses - seen.uses,
+      successes: current.successes - seen.successes,
+      failures: current.failures - seen.failures
+    };
+    if (delta.uses <= 0) return;
+    this.seenUses.set(name, { uses: current.uses, successes: current.successes, failures: current.failures });
+
+    const entry = this.readFile(this.filePath(name)) || this.entries.get(name);
+    if (!entry) return;
+
+    const stats = entry.stats;
+    const previousUses = stats.uses;
+    stats.uses += delta.uses;
+    stats.successes += delta.successes;
+    stats.failures += delta.failures;
+    if (current.averageTime > 0) {
+      stats.averageTime = ((stats.averageTime * previousUses) + (current.averageTime * delta.uses)) / stats.uses;
+    }
+    stats.lastUsed = current.lastUsed || Date.now();
+    entry.updatedAt = Date.now();
+
+    const retireReason = entry.retired ? null : this.shouldRetire(entry);
+    if (retireReason) {
+      this.retire(entry, retireReason);
+    }
+
+    this.write(entry);
+    this.entries.set(name, entry);
+  }
+
+  shouldRetire(entry, now = Date.now()) {
+    const { uses, successes, lastUsed } = entry.stats;
+    if (uses >= this.minUses && successes / uses < this.minSuccessRate) {
+      return 'low_success_rate';
+    }
+    const lastActive = lastUsed || entry.createdAt;
+    if (lastActive && now - lastActive > this.maxIdleDays * DAY_MS) {
+      return 'idle';
+    }
+    return null;
+  }
+
+  retire(entry, reason) {
+    entry.retired = true;
+    entry.retiredAt = Date.now();
+    entry.retiredReason = reason;
+
+    // セッション中に引退した場合は次のタスクから再生成させる
+    const registered = this.skillLibrary && this.skillLibrary.getSkill(entry.name);
+    if (registered && registered.stored) {
+      this.skillLibrary.unregisterSkill(entry.name);
+    }
+    this.logger.log(`[スキルストア] ${entry.name} v${entry.version} を引退させました (${reason})`);
+  }
+
+  /**
+   * 引退条件を満たすスキルを引退させ、保持期間を過ぎた引退スキルを削除する
+   */
+  prune(now = Date.now()) {
+    let retired = 0;
+    let deleted = 0;
+
+    for (const entry of Array.from(this.entries.values())) {
+      if (!entry.retired) {
+        const reason = this.shouldRetire(entry, now);
+        if (reason) {
+          this.retire(entry, reason);
+          this.write(entry);
+          retired++;
+        }
+        continue;
+      }
+
+      if (entry.retiredAt && now - entry.retiredAt > this.retentionDays * DAY_MS) {
+        try {
+          fs.unlinkSync(this.filePath(entry.name));
+        } catch (error) {
+          this.logger.warn(`[スキルストア] ${entry.name} の削除に失敗: ${error.message}`);
+        }
+        this.entries.delete(entry.name);
+        deleted++;
+      }
+    }
+
+    return { retired, deleted };
+  }
+
+  static describeTask(task) {
+    if (!task) return '';
+    const params = Object.entries(task.params || {})
+      .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+      .map(([key, value]) => `${key} ${value}`);
+    return [task.type, ...params].join(' ');
+  }
+
+  filePath(name) {
+    // タスク名はLLM由来のため、ファイル名として安全な文字だけを残す
+    const safeName = String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.dir, `${safeName}.json`);
+  }
+
+  readFile(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return null;
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!entry.name || typeof entry.code !== 'string') {
+        this.logger.warn(`[スキルストア] 不正なスキルファイルを無視します: ${filePath}`);
+        return null;
+      }
+      entry.stats = { uses: 0, successes: 0, failures: 0, averageTime: 0, lastUsed: null, ...entry.stats };
+      return entry;
+    } catch (error) {
+      this.logger.warn(`[スキルストア] ${filePath} の読み込みに失敗: ${error.message}`);
+      return null;
+    }
+  }
+
+  write(entry) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const filePath = this.filePath(entry.name);
+      // 書き込み途中のファイルを読まないよう、一時ファイル経由で置き換える
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      this.logger.error(`[スキルストア] ${entry.name} の保存に失敗: ${error.message}`);
+    }
+  }
+
+  toPlain(value) {
+    try {
+      return JSON.parse(JSON.stringify(value ?? null));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { SkillStore };
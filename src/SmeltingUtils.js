@@ -0,0 +1,153 @@
+/**
+ * SmeltingUtils - かまどの精錬レシピと燃料
+ * minecraft-data は精錬レシピと燃焼時間を持たないため、バニラ (1.20) の値をここで保持する。
+ * 精錬は 1 個あたり 200 tick、燃料の燃焼時間も tick 単位。
+ */
+
+const InventoryUtils = require('./InventoryUtils');
+
+const SMELT_TICKS_PER_ITEM = 200;
+
+// 入力 → 出力
+const SMELTING_RECIPES = {
+  raw_iron: 'iron_ingot',
+  iron_ore: 'iron_ingot',
+  deepslate_iron_ore: 'iron_ingot',
+  raw_gold: 'gold_ingot',
+  gold_ore: 'gold_ingot',
+  deepslate_gold_ore: 'gold_ingot',
+  nether_gold_ore: 'gold_ingot',
+  raw_copper: 'copper_ingot',
+  copper_ore: 'copper_ingot',
+  deepslate_copper_ore: 'copper_ingot',
+  cobblestone: 'stone',
+  stone: 'smooth_stone',
+  cobbled_deepslate: 'deepslate',
+  sand: 'glass',
+  red_sand: 'glass',
+  clay_ball: 'brick',
+  netherrack: 'nether_brick',
+  cactus: 'green_dye',
+  wet_sponge: 'sponge',
+  beef: 'cooked_beef',
+  porkchop: 'cooked_porkchop',
+  chicken: 'cooked_chicken',
+  mutton: 'cooked_mutton',
+  rabbit: 'cooked_rabbit',
+  cod: 'cooked_cod',
+  salmon: 'cooked_salmon',
+  potato: 'baked_potato',
+  kelp: 'dried_kelp'
+};
+
+// 燃料 → 燃焼時間 (tick)
+// 棒やブレイズロッドも燃えるが、クラフト素材として残したいので燃料には数えない
+// 溶岩バケツは燃え尽きると空のバケツが燃料スロットに残る
+const FUEL_BURN_TICKS = {
+  lava_bucket: 20000,
+  coal_block: 16000,
+  coal: 1600,
+  charcoal: 1600
+};
+
+// 原木・板材は種類が多いため名前で判定する（ネザーの木材は燃えない）
+const WOOD_PATTERN = /_(log|wood|planks)$/;
+const NETHER_WOOD_PATTERN = /^(stripped_)?(crimson|warped)_/;
+const WOOD_BURN_TICKS = 300;
+
+class SmeltingUtils {
+  static SMELT_TICKS_PER_ITEM = SMELT_TICKS_PER_ITEM;
+  static SMELTING_RECIPES = SMELTING_RECIPES;
+  static FUEL_BURN_TICKS = FUEL_BURN_TICKS;
+
+  static getOutput(inputName) {
+    if (SMELTING_RECIPES[inputName]) return SMELTING_RECIPES[inputName];
+    if (/_(log|wood)$/.test(inputName) && !NETHER_WOOD_PATTERN.test(inputName)) return 'charcoal';
+    return null;
+  }
+
+  static isSmeltable(inputName) {
+    return SmeltingUtils.getOutput(inputName) !== null;
+  }
+
+  /**
+   * 指定した出力を得られる入力アイテム名（固定レシピのみ。木炭は原木全般なので isSmeltable で判定する）
+   */
+  static getInputsFor(outputName) {
+    return Object.keys(SMELTING_RECIPES).filter(input => SMELTING_RECIPES[input] === outputName);
+  }
+
+  /**
+   * 燃料 1 個の燃焼時間 (tick)。燃料にならなければ 0
+   */
+  static getBurnTicks(itemName) {
+    if (!itemName) return 0;
+    if (FUEL_BURN_TICKS[itemName]) return FUEL_BURN_TICKS[itemName];
+    if (WOOD_PATTERN.test(itemName) && !NETHER_WOOD_PATTERN.test(itemName)) return WOOD_BURN_TICKS;
+    return 0;
+  }
+
+  /**
+   * 精錬したい数から必要な燃焼時間を満たす燃料の組み合わせを選ぶ。
+   * 1 種類で足りるならその中で余りの最も少ないものを、足りなければ燃焼時間の長い燃料から順に使う。
+   * 入力アイテム自体は燃料に回さない。
+   * @param {Bot} bot
+   * @param {number} itemsToSmelt
+   * @param {Object} options
+   *        ├─ exclude       燃料にしないアイテム名の配列（入力アイテムなど）
+   *        └─ existingTicks かまどに既に入っている燃料の燃焼時間
+   * @returns {{plan: Array<{name: string, count: number, ticks: number}>, totalTicks: number,
+   *            requiredTicks: number, sufficient: boolean}}
+   */
+  static chooseFuel(bot, itemsToSmelt, options = {}) {
+    const exclude = options.exclude || [];
+    const requiredTicks = itemsToSmelt * SMELT_TICKS_PER_ITEM;
+    let remainingTicks = Math.max(0, requiredTicks - (options.existingTicks || 0));
+
+    const available = new Map();
+    for (const item of InventoryUtils.getAllItems(bot)) {
+      if (exclude.includes(item.name)) continue;
+      const ticks = SmeltingUtils.getBurnTicks(item.name);
+      if (ticks <= 0) continue;
+      const entry = available.get(item.name) || { name: item.name, count: 0, ticks };
+      entry.count += item.count;
+      available.set(item.name, entry);
+    }
+
+    const candidates = Array.from(available.values()).sort((a, b) => b.ticks - a.ticks);
+    const plan = [];
+    let totalTicks = 0;
+    if (remainingTicks === 0) {
+      return { plan, totalTicks, requiredTicks, sufficient: true };
+    }
+
+    // 1 種類で足りるなら、その中で余りの最も少ない燃料を選ぶ（石炭ブロック 1 個で鉄 1 個を焼かない）
+    const waste = candidate => candidate.use * candidate.ticks - remainingTicks;
+    const single = candidates
+      .filter(candidate => candidate.count * candidate.ticks >= remainingTicks)
+      .map(candidate => ({ ...candidate, use: Math.ceil(remainingTicks / candidate.ticks) }))
+      .sort((a, b) => waste(a) - waste(b) || b.ticks - a.ticks)[0];
+
+    if (single) {
+      plan.push({ name: single.name, count: single.use, ticks: single.ticks });
+      totalTicks = single.use * single.ticks;
+    } else {
+      for (const candidate of candidates) {
+        if (remainingTicks <= 0) break;
+        const use = Math.min(candidate.count, Math.ceil(remainingTicks / candidate.ticks));
+        plan.push({ name: candidate.name, count: use, ticks: candidate.ticks });
+        totalTicks += use * candidate.ticks;
+        remainingTicks -= use * candidate.ticks;
+      }
+    }
+
+    return {
+      plan,
+      totalTicks,
+      requiredTicks,
+      sufficient: totalTicks + (options.existingTicks || 0) >= requiredTicks
+    };
+  }
+}
+
+module.exports = { SmeltingUtils };
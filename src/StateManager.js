@@ -1,4 +1,5 @@
 const { Logger } = require('./utils/Logger');
+const { Dimension } = require('./Dimension');
 
 class StateManager {
   constructor(bot) {
@@ -26,6 +27,7 @@ class StateManager {
       timeOfDay: 'unknown',
       weather: 'clear',
       dimension: 'overworld',
+      dimensionPositions: {}, // ディメンションごとの、最後に離れたときの位置
       nearbyEntities: new Map(),
       nearbyBlocks: new Map(),
 
@@ -60,6 +62,7 @@ class StateManager {
 
     // Setup real-time inventory updates for immediate cache invalidation
     this.setupInventoryEventListeners();
+    this.setupDimensionListener();
   }
 
   // Setup inventory event listeners for real-time cache invalidation
@@ -114,6 +117,52 @@ class StateManager {
     this.logger.log('リアルタイムインベントリ監視を開始しました');
   }
 
+  // ポータルでディメンションを移ると mineflayer は respawn を出すので、同期の間隔を待たずに反映する
+  setupDimensionListener() {
+    if (!this.bot) return;
+
+    this.bot.on('respawn', () => {
+      try {
+        this.syncDimension('dimension-event');
+      } catch (error) {
+        this.logger.error(`respawn event error: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * bot のディメンションが変わっていれば dimension を更新する。
+   * ポータルで移ったとき (respawn) は、離れるディメンションでの最後の位置も覚える
+   */
+  syncDimension(source = 'bot_sync') {
+    const dimension = Dimension.current(this.bot);
+    if (dimension === this.state.dimension) return;
+
+    this.logger.log(`ディメンション変更: ${this.state.dimension} → ${dimension}`);
+    const updates = { dimension };
+    if (source === 'dimension-event') {
+      updates.dimensionPositions = {
+        ...this.state.dimensionPositions,
+        [this.state.dimension]: { ...this.state.position }
+      };
+    }
+    this.updateState(updates, source);
+  }
+
+  /**
+   * いまの位置を dimension の座標に換算する（オーバーワールド ⇄ ネザー。エンドとの間は null）
+   */
+  positionIn(dimension) {
+    return Dimension.convert(this.state.position, this.state.dimension, dimension);
+  }
+
+  /**
+   * dimension を最後に離れたときの位置（行ったことがなければ null）
+   */
+  lastPositionIn(dimension) {
+    return this.state.dimensionPositions[Dimension.normalize(dimension)] || null;
+  }
+
   // Subscribe to state changes
   subscribe(componentName, callback, stateKeys = []) {
     if (!this.subscribers.has(componentName)) {
@@ -227,6 +276,9 @@ class StateManager {
       botUpdates.weather = weather;
     }
 
+    // respawn を取りこぼしたとき（ログイン直後にネザーにいるなど）のための同期
+    this.syncDimension();
+
     // Sync inventory
     const inventoryUpdates = this.syncInventory();
     if (Object.keys(inventoryUpdates).length > 0) {
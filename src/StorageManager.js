@@ -0,0 +1,172 @@
+/**
+ * StorageManager - チェストへ預けるアイテムの分類と、手元に残すアイテムの方針、チェストの中身の索引付け
+ * 拠点のチェストは分類ごとに分ける（鉱石・木材・石材・食料など）。道具・防具・松明と少しの食料は預けずに持ち歩く。
+ *
+ * 索引: watch() で bot の windowOpen / windowClose を監視し、チェストを開いた時と閉じた時に中身を StorageRegistry に記録する。
+ * mineflayer のウィンドウはブロックの座標を持たないため、openChest() で開いた座標か、視線の先のチェストの座標を使う。
+ */
+
+const { Logger } = require('./utils/Logger');
+const { Cancellation } = require('./utils/Cancellation');
+const { NutritionManager } = require('./NutritionManager');
+
+// 分類は上から順に判定する（腐った肉・クモの目は食料ではなく mob のドロップ品として預ける）
+const CATEGORIES = [
+  ['tools', /_(pickaxe|axe|shovel|hoe|sword)$|^(shears|bow|crossbow|shield|fishing_rod|flint_and_steel|bucket)$/],
+  ['armor', /_(helmet|chestplate|leggings|boots)$/],
+  ['mob_drops', /^(bone|string|gunpowder|spider_eye|rotten_flesh|arrow|slime_ball|ender_pearl|leather|feather)$/],
+  ['ores', /^raw_|_ore$|_ingot$|_nugget$|^(coal|charcoal|diamond|emerald|lapis_lazuli|redstone|quartz|flint)$/],
+  ['wood', /_log$|_wood$|_planks$|_sapling$|^stick$/],
+  ['stone', /^(cobblestone|stone|cobbled_deepslate|deepslate|granite|diorite|andesite|tuff|calcite|netherrack)$/],
+  ['stone', /^(dirt|gravel|sand|red_sand|sandstone|clay_ball|glass)$|bricks?$/],
+  ['farming', /_seeds$|_wool$|^(wheat|bone_meal|egg|sugar_cane|bamboo|cactus)$/]
+];
+
+// 預けずに手元に残す数
+const KEEP_COUNTS = {
+  torch: 64,
+  crafting_table: 1
+};
+const KEEP_FOOD = 16;
+const KEEP_PATTERN =
+  /_(pickaxe|axe|shovel|hoe|sword|helmet|chestplate|leggings|boots|bed)$|^(shears|shield|bow|crossbow)$|arrow$|bucket$/;
+
+// 空きスロットがこれ以下になったら預けに行く
+const FULL_FREE_SLOTS = 3;
+const CHEST_PLANKS = 8;
+const CONTAINER_PATTERN = /^(chest|trapped_chest|barrel)$/;
+const CONTAINER_REACH = 6;
+
+class StorageManager {
+  static CATEGORIES = CATEGORIES;
+  static KEEP_FOOD = KEEP_FOOD;
+  static FULL_FREE_SLOTS = FULL_FREE_SLOTS;
+  static CHEST_PLANKS = CHEST_PLANKS;
+
+  static logger = Logger.createLogger('StorageManager');
+
+  // 索引付けを設定済みの bot
+  static watched = new WeakSet();
+  // bot → openChest() で開こうとしているチェストの座標
+  static opening = new WeakMap();
+
+  static isContainer(block) {
+    return !!block && CONTAINER_PATTERN.test(block.name);
+  }
+
+  /**
+   * アイテムの分類。どれにも当てはまらなければ食べ物は food、それ以外は misc
+   */
+  static categoryOf(bot, name) {
+    const rule = CATEGORIES.find(([, pattern]) => pattern.test(name));
+    if (rule) return rule[0];
+    return NutritionManager.isFood(bot, name) ? 'food' : 'misc';
+  }
+
+  /**
+   * 預けずに手元に残す数
+   */
+  static keepCount(bot, name) {
+    if (KEEP_PATTERN.test(name)) return Infinity;
+    if (KEEP_COUNTS[name] !== undefined) return KEEP_COUNTS[name];
+    if (NutritionManager.isFood(bot, name) && !NutritionManager.isHarmful(name)) return KEEP_FOOD;
+    return 0;
+  }
+
+  /**
+   * 預けるアイテム [{name, count, category}]
+   * @param {Object} options
+   *        ├─ items       預けるアイテム名（指定時はこれだけ。手元に残す分の判定もしない）
+   *        └─ categories  預ける分類（指定時はこれだけ）
+   */
+  static depositPlan(bot, options = {}) {
+    const totals = new Map();
+    for (const item of bot.inventory.items()) {
+      if (item) totals.set(item.name, (totals.get(item.name) || 0) + item.count);
+    }
+    const plan = [];
+    for (const [name, total] of totals) {
+      const category = StorageManager.categoryOf(bot, name);
+      if (options.items && options.items.length > 0) {
+        if (options.items.includes(name)) plan.push({ name, count: total, category });
+        continue;
+      }
+      if (options.categories && options.categories.length > 0 && !options.categories.includes(category)) continue;
+      const count = total - Math.min(total, StorageManager.keepCount(bot, name));
+      if (count > 0) plan.push({ name, count, category });
+    }
+    return plan.sort((a, b) => a.category.localeCompare(b.category) || b.count - a.count);
+  }
+
+  static needsDeposit(bot) {
+    return bot.inventory.emptySlotCount() <= FULL_FREE_SLOTS && StorageManager.depositPlan(bot).length > 0;
+  }
+
+  /**
+   * 預け先があるか、チェストを作って置けるか
+   */
+  static canStore(bot, registry) {
+    if (registry.base && Array.from(registry.chests.values()).some(chest => chest.category && chest.freeSlots > 0)) {
+      return true;
+    }
+    const count = pattern => bot.inventory.items()
+      .filter(item => item && pattern.test(item.name))
+      .reduce((sum, item) => sum + item.count, 0);
+    return count(/^chest$/) > 0 || count(/_planks$/) >= CHEST_PLANKS || count(/_log$/) >= CHEST_PLANKS / 4;
+  }
+
+  /**
+   * チェストを開いた時と閉じた時に、中身を registry に記録するようにする
+   */
+  static watch(bot, registry) {
+    if (StorageManager.watched.has(bot)) return;
+    StorageManager.watched.add(bot);
+    const record = window => {
+      const position = StorageManager.containerPosition(bot, window);
+      if (!position) return;
+      try {
+        registry.load();
+        registry.recordContents(position, window.containerItems(), {
+          slots: window.inventoryStart,
+          updatedBy: bot.username
+        });
+      } catch (error) {
+        StorageManager.logger.warn(`[倉庫] チェストの中身を記録できません: ${error.message}`);
+      }
+    };
+    bot.on('windowOpen', window => {
+      if (StorageManager.isChestWindow(window)) window.storagePosition = StorageManager.containerPosition(bot, window);
+      record(window);
+    });
+    bot.on('windowClose', record);
+  }
+
+  static isChestWindow(window) {
+    return !!window && typeof window.containerItems === 'function' &&
+      /chest|generic_9x|barrel/.test(String(window.type));
+  }
+
+  static containerPosition(bot, window) {
+    if (!StorageManager.isChestWindow(window)) return null;
+    if (window.storagePosition) return window.storagePosition;
+    const pending = StorageManager.opening.get(bot);
+    if (pending) return pending;
+    if (window.block && StorageManager.isContainer(window.block)) return window.block.position;
+    const target = typeof bot.blockAtCursor === 'function' ? bot.blockAtCursor(CONTAINER_REACH) : null;
+    return StorageManager.isContainer(target) ? target.position : null;
+  }
+
+  /**
+   * 座標を覚えたうえでチェストを開く（開いた時点で索引が更新される）
+   */
+  static async openChest(bot, block, signal) {
+    StorageManager.opening.set(bot, block.position);
+    try {
+      return await Cancellation.race(bot.openContainer(block), signal);
+    } finally {
+      StorageManager.opening.delete(bot);
+    }
+  }
+}
+
+module.exports = { StorageManager };
@@ -0,0 +1,184 @@
+/**
+ * StorageRegistry - 拠点（共有の備蓄場所）のチェストと、チェストごとの中身の索引
+ * チェストを開くたびに中身を記録するので、ボットはチェストを開け直さなくてもどのアイテムがどこにあるか分かる。
+ * 1 つの JSON ファイル (data/storage.json) を複数のボットで共有する。拠点のチェストには入れるアイテムの分類が付く。
+ *
+ * ファイル形式:
+ * {
+ *   "base": { "position": { "x": 10, "y": 64, "z": -4 }, "dimension": "overworld", "createdBy": "FarmerAI",
+ *             "createdAt": 1720000000000 },
+ *   "chests": [{
+ *     "position": { "x": 12, "y": 64, "z": -2 }, "category": "ores", "slots": 27, "freeSlots": 25,
+ *     "contents": { "iron_ingot": 12, "coal": 40 }, "updatedAt": 1720000000000, "updatedBy": "MinerAI"
+ *   }]
+ * }
+ * category が null のチェストは拠点の外で開いたチェスト（索引には載せるが、預け入れには使わない）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./utils/Logger');
+
+class StorageRegistry {
+  /**
+   * @param {Object} options
+   *        └─ filePath  保存先 (default STORAGE_REGISTRY_PATH または data/storage.json)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.STORAGE_REGISTRY_PATH ||
+      path.join(process.cwd(), 'data', 'storage.json');
+    this.base = null;
+    this.chests = new Map();
+    this.logger = Logger.createLogger('StorageRegistry');
+  }
+
+  /**
+   * ファイルから読み直す（他のボットの更新を取り込むため、使う前に毎回呼ぶ）
+   */
+  load() {
+    this.base = null;
+    this.chests.clear();
+    try {
+      if (!fs.existsSync(this.filePath)) return this.chests;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.base && data.base.position) this.base = data.base;
+      for (const chest of data.chests || []) {
+        if (!chest.position) continue;
+        chest.contents = chest.contents || {};
+        this.chests.set(StorageRegistry.key(chest.position), chest);
+      }
+    } catch (error) {
+      this.logger.warn(`[倉庫台帳] ${this.filePath} の読み込みに失敗: ${error.message}`);
+    }
+    return this.chests;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // 書き込み途中のファイルを読まないよう、一時ファイル経由で置き換える
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      const data = { base: this.base, chests: Array.from(this.chests.values()) };
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      this.logger.error(`[倉庫台帳] 保存に失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 拠点の位置を決める（すでに決まっていれば変えない）
+   */
+  setBase(position, dimension = 'overworld', createdBy = null) {
+    if (this.base) return this.base;
+    this.base = { position: StorageRegistry.toPlain(position), dimension, createdBy, createdAt: Date.now() };
+    this.save();
+    this.logger.log(`[倉庫台帳] 拠点を ${StorageRegistry.key(this.base.position)} に決めました`);
+    return this.base;
+  }
+
+  chestAt(position) {
+    return this.chests.get(StorageRegistry.key(position)) || null;
+  }
+
+  /**
+   * 拠点のチェストとして登録する
+   * @param {Object} position
+   * @param {string} category - 入れるアイテムの分類 (StorageManager.categoryOf)
+   * @param {number} slots
+   */
+  registerChest(position, category, slots = 27) {
+    const existing = this.chestAt(position);
+    const chest = existing || {
+      position: StorageRegistry.toPlain(position),
+      category,
+      slots,
+      freeSlots: slots,
+      contents: {},
+      updatedAt: Date.now(),
+      updatedBy: null
+    };
+    chest.category = category;
+    this.chests.set(StorageRegistry.key(chest.position), chest);
+    this.save();
+    this.logger.log(`[倉庫台帳] ${StorageRegistry.key(chest.position)} を ${category} 用のチェストにしました`);
+    return chest;
+  }
+
+  /**
+   * 開いたチェストの中身を記録する
+   * @param {Object} position
+   * @param {Array} items - window.containerItems() の結果
+   * @param {Object} options
+   *        ├─ slots      チェストのスロット数 (default 27)
+   *        └─ updatedBy  記録したボット名
+   */
+  recordContents(position, items, options = {}) {
+    const key = StorageRegistry.key(position);
+    const chest = this.chests.get(key) || { position: StorageRegistry.toPlain(position), category: null };
+    const contents = {};
+    for (const item of items) {
+      if (item && item.name) contents[item.name] = (contents[item.name] || 0) + item.count;
+    }
+    chest.slots = options.slots || chest.slots || 27;
+    chest.freeSlots = Math.max(0, chest.slots - items.filter(Boolean).length);
+    chest.contents = contents;
+    chest.updatedAt = Date.now();
+    chest.updatedBy = options.updatedBy || null;
+    this.chests.set(key, chest);
+    this.save();
+    return chest;
+  }
+
+  /**
+   * アイテムが入っているチェスト [{chest, count}]（多い順）
+   */
+  locate(itemName) {
+    return Array.from(this.chests.values())
+      .filter(chest => (chest.contents[itemName] || 0) > 0)
+      .map(chest => ({ chest, count: chest.contents[itemName] }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * 全チェストの合計 { アイテム名: 個数 }
+   */
+  totals() {
+    const totals = {};
+    for (const chest of this.chests.values()) {
+      for (const [name, count] of Object.entries(chest.contents)) {
+        totals[name] = (totals[name] || 0) + count;
+      }
+    }
+    return totals;
+  }
+
+  count(itemName) {
+    return this.totals()[itemName] || 0;
+  }
+
+  /**
+   * 拠点のチェストのうち、その分類のもの（空きの多い順）
+   */
+  chestsFor(category) {
+    return Array.from(this.chests.values())
+      .filter(chest => chest.category === category)
+      .sort((a, b) => b.freeSlots - a.freeSlots);
+  }
+
+  remove(position) {
+    const removed = this.chests.delete(StorageRegistry.key(position));
+    if (removed) this.save();
+    return removed;
+  }
+
+  static key(position) {
+    return `${position.x},${position.y},${position.z}`;
+  }
+
+  static toPlain(position) {
+    return { x: position.x, y: position.y, z: position.z };
+  }
+}
+
+module.exports = { StorageRegistry };
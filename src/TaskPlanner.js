@@ -2,11 +2,20 @@ const InventoryUtils = require('./InventoryUtils');
 const { PathfindingCache } = require('./PathfindingCache');
 const { ValidationUtils } = require('./utils/ValidationUtils');
 const { Logger } = require('./utils/Logger');
+const { SmeltingUtils } = require('./SmeltingUtils');
+
+// 鉄のツール・防具 1 つに必要な鉄インゴット
+const IRON_INGOTS_PER_ITEM = {
+  pickaxe: 3, axe: 3, sword: 2, hoe: 2, shovel: 1, helmet: 5, chestplate: 8, leggings: 7, boots: 4
+};
+// 名前に iron_ が付かない鉄の道具
+const IRON_ONLY_ITEMS = { bucket: 3 };
 
 class TaskPlanner {
-  constructor(bot, pathfindingCache = null) {
+  constructor(bot, pathfindingCache = null, skillLibrary = null) {
     this.bot = bot;
     this.pathfindingCache = pathfindingCache || new PathfindingCache();
+    this.skillLibrary = skillLibrary; // スキル契約による完了判定に使う
     this.activeTasks = new Map();
     this.taskHistory = [];
     this.logger = Logger.createLogger('TaskPlanner');
@@ -24,6 +33,11 @@ class TaskPlanner {
       return null;
     }
 
+    // スキルを直接指定した目標（NLU経由など）は引数をそのまま渡す
+    if (goal.skill) {
+      return this.planSkillTask(goal);
+    }
+
     switch (goal.type) {
     case 'explore':
       return this.planExploration(goal);
@@ -47,6 +61,12 @@ class TaskPlanner {
     case 'craft_stone_tools':
       return this.planStoneToolCrafting(goal);
 
+    case 'craft_furnace':
+      return this.planFurnaceCrafting(goal);
+
+    case 'smelt_item':
+      return this.planSmelting(goal);
+
     case 'move_to':
       return this.planMovement(goal);
 
@@ -56,15 +76,45 @@ class TaskPlanner {
     case 'find_food':
       return this.planFoodGathering(goal);
 
+    case 'eat_food':
+    case 'cook_food':
+      return this.planMeal(goal);
+
+    case 'sleep_in_bed':
+      return this.planSleeping(goal);
+
+    case 'deposit_items':
+    case 'withdraw_items':
+      return this.planStorage(goal);
+
     case 'find_stone':
       return this.planStoneGathering(goal);
 
+    case 'farm_crops':
+      return this.planFarming(goal);
+
+    case 'breed_animals':
+      return this.planBreeding(goal);
+
     case 'build_shelter':
       return this.planShelterBuilding(goal);
 
+    case 'build_blueprint':
+      return this.planBlueprintBuilding(goal);
+
     case 'mine_safely':
+    case 'branch_mine':
       return this.planSafeMining(goal);
 
+    case 'defend':
+      return this.planDefense(goal);
+
+    case 'craft_armor':
+      return this.planArmorCrafting(goal);
+
+    case 'craft_bucket':
+      return this.planBucketCrafting(goal);
+
       // Handle AI-generated goal types
     case 'task':
     case 'skill_improvement':
@@ -85,6 +135,16 @@ class TaskPlanner {
     }
   }
 
+  planSkillTask(goal) {
+    return {
+      type: goal.skill,
+      params: { ...(goal.params || {}) },
+      priority: goal.priority ?? 1,
+      timeout: Date.now() + (goal.timeout || 300000), // 5 minutes
+      prerequisites: []
+    };
+  }
+
   planExploration(goal) {
     const { radius = 100, duration = 60000 } = goal;
 
@@ -149,6 +209,8 @@ class TaskPlanner {
       });
     }
 
+    task.prerequisites.push(...this.planIronIngotPrerequisites(tools));
+
     return task;
   }
 
@@ -177,6 +239,43 @@ class TaskPlanner {
     };
   }
 
+  /**
+   * 食事・調理のタスク。調理は焼き上がりを待つため長めに見積もる
+   */
+  planMeal(goal) {
+    return {
+      type: goal.type,
+      params: { ...(goal.params || {}) },
+      priority: goal.priority ?? 1,
+      timeout: Date.now() + (goal.type === 'cook_food' ? 600000 : 60000), // 10 minutes / 1 minute
+      prerequisites: []
+    };
+  }
+
+  planSleeping(goal) {
+    // ベッドの確保と夕方の待ち時間はスキルが扱う。朝まで寝ることもあるので長めに見積もる
+    return {
+      type: 'sleep_in_bed',
+      params: { searchRadius: goal.searchRadius || 32 },
+      priority: goal.priority ?? 1,
+      timeout: Date.now() + 900000, // 15 minutes
+      prerequisites: []
+    };
+  }
+
+  /**
+   * 拠点のチェストへの預け入れ・取り出し。拠点までの移動とチェスト作りがあるので長めに見積もる
+   */
+  planStorage(goal) {
+    return {
+      type: goal.type,
+      params: { ...(goal.params || {}) },
+      priority: goal.priority ?? 1,
+      timeout: Date.now() + 300000, // 5 minutes
+      prerequisites: []
+    };
+  }
+
   planFoodGathering(goal) {
     const { minHunger = 15 } = goal;
 
@@ -219,26 +318,102 @@ class TaskPlanner {
   }
 
 
+  planFarming(goal) {
+    // 鍬と種の不足はスキル自身が補い（鍬は作り、小麦の種は草から集める）、区画は FarmRegistry で引き継ぐ
+    return {
+      type: 'farm_crops',
+      params: { crop: goal.crop || 'auto', plotSize: goal.plotSize || 9 },
+      priority: goal.priority || 3,
+      timeout: Date.now() + 300000,
+      prerequisites: []
+    };
+  }
+
+  planBreeding(goal) {
+    // 囲いは build_pen が近くの自分の囲いを使い回すので、毎回前提にしても建て直しにはならない
+    const animal = goal.animal || 'auto';
+    const prerequisites = [];
+    if (goal.pen !== false) {
+      prerequisites.push({ type: 'build_pen', params: { species: animal === 'auto' ? 'any' : animal } });
+    }
+    return {
+      type: 'breed_animals',
+      params: { animal, pairs: goal.pairs || 1 },
+      priority: goal.priority || 3,
+      timeout: Date.now() + 300000,
+      prerequisites
+    };
+  }
+
   planShelterBuilding(goal) {
+    // 小屋か地下壕かは build_shelter スキルが体力・時間帯・素材から決める。建材も自分で集める
     return {
-      type: 'explore', // Fallback to exploration
-      params: { radius: 50 },
+      type: 'build_shelter',
+      params: { mode: goal.mode || 'auto', searchRadius: goal.searchRadius || 12 },
       priority: goal.priority || 3,
       timeout: Date.now() + 300000,
       prerequisites: []
     };
   }
 
+  planBlueprintBuilding(goal) {
+    // 素材は設計図を読むまで分からないため、不足はスキルの INSUFFICIENT_MATERIALS から回復タスクで補う
+    return {
+      type: 'build_blueprint',
+      params: { blueprint: goal.blueprint, origin: goal.origin, rotation: goal.rotation || 0 },
+      priority: goal.priority || 3,
+      timeout: Date.now() + 600000,
+      prerequisites: []
+    };
+  }
+
   planSafeMining(goal) {
+    // 階段で掘り下げて坑道を掘る。溶岩・水の確認と松明・帰り道は branch_mine が受け持つ
     return {
-      type: 'mine_block',
-      params: { blockType: 'coal_ore', amount: 5 },
+      type: 'branch_mine',
+      params: { ...(goal.params || {}) },
       priority: goal.priority || 3,
       timeout: Date.now() + 600000,
       prerequisites: []
     };
   }
 
+  planDefense(goal) {
+    // 標的の選択と、戦うか退くかの判断は defend スキル (CombatSystem) が受け持つ
+    return {
+      type: 'defend',
+      params: { ...(goal.params || {}) },
+      priority: goal.priority ?? 0,
+      timeout: Date.now() + 120000, // 2 minutes
+      prerequisites: []
+    };
+  }
+
+  planArmorCrafting(goal) {
+    // 省略時に作る防具は、実行時の手持ちの素材から craft_armor が選ぶ
+    const pieces = (goal.params && goal.params.pieces) || [];
+    const task = {
+      type: 'craft_armor',
+      params: { ...(goal.params || {}) },
+      priority: goal.priority || 3,
+      timeout: Date.now() + 300000, // 5 minutes
+      prerequisites: []
+    };
+    task.prerequisites.push(...this.planIronIngotPrerequisites(pieces));
+    return task;
+  }
+
+  planBucketCrafting(goal) {
+    const count = (goal.params && goal.params.count) || 1;
+    return {
+      type: 'craft_bucket',
+      params: { ...(goal.params || {}) },
+      priority: goal.priority ?? 1,
+      timeout: Date.now() + 120000, // 2 minutes
+      prerequisites: this.planIronIngotPrerequisites(Array(count).fill('bucket'))
+    };
+  }
+
   planGenericTask(goal) {
     // Enhanced generic task planning based on goal type and context
     const taskType = goal.type;
@@ -521,7 +696,19 @@ class TaskPlanner {
       return this.checkMovementComplete(task);
 
     default:
-      // For other tasks, assume they manage their own completion
+      // 他のタスクはスキルが宣言した事後条件で判定し、宣言がなければスキル側に任せる
+      return this.checkContractComplete(task);
+    }
+  }
+
+  checkContractComplete(task) {
+    const skill = this.skillLibrary && this.skillLibrary.getSkill(task.type);
+    if (!skill || !skill.contract) return false;
+
+    try {
+      return skill.contract.isSatisfied(this.bot, task.params || {});
+    } catch (error) {
+      this.logger.warn(`[タスクプランナー] ${task.type}の事後条件の判定に失敗: ${error.message}`);
       return false;
     }
   }
@@ -712,6 +899,10 @@ class TaskPlanner {
       }
     }
 
+    if (itemName && itemName.startsWith('iron_')) {
+      task.prerequisites.push(...this.planIronIngotPrerequisites(Array(count).fill(itemName)));
+    }
+
     return task;
   }
 
@@ -767,6 +958,113 @@ class TaskPlanner {
     return task;
   }
 
+  planFurnaceCrafting(goal) {
+    this.logger.log('[タスクプランナー] かまどクラフトタスクを計画中...');
+
+    const task = {
+      type: 'craft_furnace',
+      params: {},
+      priority: goal.priority || 4,
+      timeout: Date.now() + 300000, // 5 minutes
+      prerequisites: []
+    };
+
+    if (!this.hasNearbyWorkbench()) {
+      task.prerequisites.push(InventoryUtils.hasItem(this.bot, 'crafting_table')
+        ? { type: 'place_workbench', params: {} }
+        : { type: 'craft_workbench', params: { autoPlace: true } });
+    }
+
+    const cobblestone = InventoryUtils._safeCount(this.bot, item => item.name === 'cobblestone');
+    if (cobblestone < 8) {
+      task.prerequisites.push({
+        type: 'mine_block',
+        params: { blockType: 'stone', amount: 8 - cobblestone }
+      });
+    }
+
+    return task;
+  }
+
+  planSmelting(goal) {
+    const { itemName = 'iron_ingot', count = 1 } = goal;
+    this.logger.log(`[タスクプランナー] 精錬タスクを計画中: ${itemName} x${count}`);
+
+    return {
+      type: 'smelt_item',
+      params: { itemName, count },
+      priority: goal.priority || 4,
+      timeout: Date.now() + 600000, // 10 minutes
+      prerequisites: this.getSmeltingPrerequisites(itemName, count)
+    };
+  }
+
+  /**
+   * 精錬に必要な素材・かまど・燃料を前提条件として並べる
+   * @param {string} itemName - 精錬する素材、または精錬結果のアイテム名
+   * @param {number} count
+   */
+  getSmeltingPrerequisites(itemName, count) {
+    const prerequisites = [];
+    if (!this.bot || !this.bot.inventory) return prerequisites;
+
+    const inputs = SmeltingUtils.getOutput(itemName) ? [itemName] : SmeltingUtils.getInputsFor(itemName);
+    const available = InventoryUtils._safeCount(this.bot, item => inputs.includes(item.name));
+    if (available < count) {
+      // raw_iron などは対応する鉱石を掘って手に入れる
+      const ore = inputs
+        .map(name => name.replace(/^raw_(\w+)$/, '$1_ore'))
+        .find(name => name.endsWith('_ore'));
+      if (ore) {
+        prerequisites.push({
+          type: 'mine_block',
+          params: { blockType: ore, amount: count - available }
+        });
+      }
+    }
+
+    const furnaceNearby = !!this.bot.findBlock({
+      matching: (block) => block && block.name === 'furnace',
+      maxDistance: 32
+    });
+    if (!furnaceNearby && !InventoryUtils.hasItem(this.bot, 'furnace')) {
+      prerequisites.push({ type: 'craft_furnace', params: {} });
+    }
+
+    const fuel = SmeltingUtils.chooseFuel(this.bot, count, { exclude: inputs });
+    if (!fuel.sufficient) {
+      prerequisites.push({
+        type: 'gather_wood',
+        params: { amount: Math.ceil((fuel.requiredTicks - fuel.totalTicks) / SmeltingUtils.getBurnTicks('oak_log')) }
+      });
+    }
+
+    return prerequisites;
+  }
+
+  /**
+   * 鉄のツール・防具・バケツに必要な鉄インゴットが足りなければ、精錬（とその前提条件）を返す
+   */
+  planIronIngotPrerequisites(items) {
+    const ingotsFor = item => (item.startsWith('iron_')
+      ? IRON_INGOTS_PER_ITEM[item.slice('iron_'.length)]
+      : IRON_ONLY_ITEMS[item]) || 0;
+    const needed = items
+      .filter(item => typeof item === 'string')
+      .reduce((total, item) => total + ingotsFor(item), 0);
+    if (needed === 0 || !this.bot || !this.bot.inventory) return [];
+
+    const ingots = InventoryUtils._safeCount(this.bot, item => item.name === 'iron_ingot');
+    if (ingots >= needed) return [];
+
+    const missing = needed - ingots;
+    this.logger.log(`[タスクプランナー] 鉄インゴットが${missing}個不足しているため精錬を計画します`);
+    return [
+      ...this.getSmeltingPrerequisites('iron_ingot', missing),
+      { type: 'smelt_item', params: { itemName: 'iron_ingot', count: missing } }
+    ];
+  }
+
   hasNearbyWorkbench() {
     if (!this.bot) return false;
     try {
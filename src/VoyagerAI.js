@@ -1,32 +1,36 @@
-const OpenAI = require('openai');
 const { Vec3 } = require('vec3');
 const { Logger } = require('./utils/Logger');
+const { OpenAIClientFactory } = require('./utils/OpenAIClientFactory');
+const { SkillSandbox } = require('./SkillSandbox');
 
 class VoyagerAI {
-  constructor(bot) {
+  constructor(bot, options = {}) {
     this.bot = bot;
     this.openai = null;
+    // 生成スキルは SkillSandbox 内でのみ実行する
+    this.sandbox = options.sandbox || new SkillSandbox(options.sandboxOptions);
     this.skillCache = new Map();
     this.learningHistory = [];
     this.maxHistorySize = 100;
     this.logger = Logger.createLogger('VoyagerAI');
 
-    // Initialize OpenAI if API key is provided
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    }
+    // Initialize OpenAI if API key is provided (or the stub when MOCK_OPENAI=true)
+    this.openai = OpenAIClientFactory.create();
   }
 
-  async generateSkill(task, context) {
+  /**
+   * @param {Object} task
+   * @param {Object} context - EnvironmentObserver の観測サマリ
+   * @param {Array<{name, skill, score}>} examples - SkillRetriever が返した類似スキル（プロンプトの参考例）
+   */
+  async generateSkill(task, context, examples = []) {
     if (!this.openai) {
       this.logger.log('OpenAI not configured, using basic skill generation');
       return this.generateBasicSkill(task, context);
     }
 
     try {
-      const prompt = this.buildSkillPrompt(task, context);
+      const prompt = this.buildSkillPrompt(task, context, examples);
 
       const response = await this.openai.chat.completions.create({
         model: process.env.OPENAI_SKILL_MODEL || 'gpt-4o',
@@ -52,9 +56,9 @@ class VoyagerAI {
     }
   }
 
-  buildSkillPrompt(task, context) {
+  buildSkillPrompt(task, context, examples = []) {
     return `
-Task: ${task.type}
+Task: ${task.type}${task.description ? `\nDescription: ${task.description}` : ''}
 Parameters: ${JSON.stringify(task.params, null, 2)}
 
 Current Context:
@@ -70,7 +74,7 @@ Generate a JavaScript function that accomplishes this task using the mineflayer
 The function should be async and take (bot, params) as parameters.
 Include error handling and return meaningful results.
 
-Example structure:
+${this.formatSkillExamples(examples)}Example structure:
 \`\`\`javascript
 async function executeTask(bot, params) {
   // Implementation here
@@ -85,6 +89,22 @@ async function executeTask(bot, params) {
 `;
   }
 
+  /**
+   * 類似スキルをプロンプト用に整形する（生成スキルはコードも含める）
+   */
+  formatSkillExamples(examples) {
+    if (!Array.isArray(examples) || examples.length === 0) return '';
+
+    const sections = examples.map(({ name, skill, score }) => {
+      const header = `- ${name} (similarity ${score.toFixed(2)}): ${skill.description || ''}`.trimEnd();
+      if (typeof skill.code !== 'string') return header;
+      const code = skill.code.length > 1500 ? `${skill.code.slice(0, 1500)}\n// ...` : skill.code;
+      return `${header}\n\`\`\`javascript\n${code}\n\`\`\``;
+    });
+
+    return `Related existing skills (reuse their approach where it fits):\n${sections.join('\n')}\n\n`;
+  }
+
   getSystemPrompt() {
     return `You are an AI assistant that generates Minecraft bot skills using the mineflayer library.
 
@@ -104,6 +124,12 @@ Available bot methods include:
 - bot.pathfinder.setGoal(goal) - set movement goal
 - bot.inventory.findInventoryItem(itemId) - find items in inventory
 
+The code runs in a sandbox:
+- require, process and dynamic import are not available
+- Use the provided globals: goals (mineflayer-pathfinder goals), Vec3, sleep(ms)
+- Only the bot methods listed above (plus pathfinder.goto, equip, lookAt, blockAt, findBlocks) exist
+- Long synchronous loops are aborted; await bot actions inside loops
+
 Always prioritize safety and efficiency in your implementations.`;
   }
 
@@ -113,24 +139,33 @@ Always prioritize safety and efficiency in your implementations.`;
       const codeMatch = skillCode.match(/```javascript\n([\s\S]*?)\n```/);
       const code = codeMatch ? codeMatch[1] : skillCode;
 
-      // Create and return the skill function
-      // eslint-disable-next-line no-new-func
-      const skillFunction = new Function('bot', 'params', `
-        ${code}
-        return executeTask(bot, params);
-      `);
-
-      return {
-        execute: skillFunction,
-        code,
-        generated: true
-      };
+      return this.createSandboxedSkill(code);
     } catch (error) {
       this.logger.log(`Error parsing generated skill: ${error.message}`);
       return null;
     }
   }
 
+  /**
+   * 生成コードからサンドボックス内で実行されるスキルを作る（SkillStore からの復元にも使う）
+   */
+  createSandboxedSkill(code) {
+    // 生成コードは検査・計装したうえでサンドボックス内で実行する
+    const compiled = this.sandbox.compile(code);
+    if (!compiled.success) {
+      this.logger.log(`Generated skill rejected by sandbox: ${compiled.error}`);
+    }
+
+    return {
+      // 違反はスキルの失敗結果として返り、learnFromExperience に記録される
+      execute: (bot, params) => this.sandbox.execute(compiled, bot, params),
+      code,
+      generated: true,
+      sandboxed: true,
+      rejected: !compiled.success // 検査を通らなかったコード。実行しても違反の結果を返すだけなので保存しない
+    };
+  }
+
   generateBasicSkill(task, _context) {
     // Fallback skill generation without AI
     switch (task.type) {
@@ -270,7 +305,10 @@ Always prioritize safety and efficiency in your implementations.`;
       result: {
         success: result.success,
         error: result.error || null,
-        message: result.message || null
+        message: result.message || null,
+        // 事前・事後条件の検査結果（スキルの自己申告ではなく実際の差分）
+        reason: result.reason || null,
+        verification: result.verification || null
       },
       context: context || {},
       success: result.success
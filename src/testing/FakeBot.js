@@ -0,0 +1,2174 @@
+/**
+ * FakeBot - Minecraftサーバー無しでスキルを検証するためのインメモリ bot
+ * mineflayer の Bot API のうち、本リポジトリのスキル・プランナーが使う部分だけを再現する。
+ * ワールド (FakeWorld)、インベントリ、エンティティ、簡易 pathfinder、minecraft-data に基づくクラフト、かまどの精錬を持つ。
+ * 作物の成長、家畜の繁殖・誘導・毛刈り・産卵も簡易に再現する（家畜は自分では歩き回らない）。
+ * 食事は minecraft-data の回復量どおりに満腹度を増やし、焚き火は載せた食材を焼いて足元に落とす。
+ * ベッドで寝ると、少し後に夜が明けて目が覚める（nightSkip: false なら朝まで寝たまま）。
+ * 弓・クロスボウの矢は放った瞬間にバニラと同じ重力・空気抵抗で軌道を計算し、最初に当たったエンティティにダメージを与える。
+ * バケツは視線の先の水源・溶岩源を汲み、水を置く（火は消える。水源 2 つに挟まれた空きは水源になる）。牛からはミルクを搾れる。
+ * 水が溶岩に触れると、溶岩源は黒曜石、流れている溶岩は丸石になる。ネザーでは置いた水が蒸発する。
+ * 火打石と打ち金で黒曜石の枠に火を付けるとポータルになり、80 tick 立っているとネザー ⇄ オーバーワールドへ移る
+ * （ディメンションごとに別の FakeWorld。行き先に近くのポータルが無ければ、1/8・8 倍の座標に出口を作る）。
+ * drop() で空中に置くと tick ごとに落下し、水以外に着地すると落下ダメージを受ける。
+ *
+ * 時間はすべて仮想tick (bot.time.age) で進む。採掘・移動・待機は実時間を消費せず tick を加算する。
+ */
+
+const EventEmitter = require('events');
+const { Vec3 } = require('vec3');
+const { FakeWorld } = require('./FakeWorld');
+const { SmeltingUtils } = require('../SmeltingUtils');
+const { BlockStates } = require('../BlockStates');
+const { Husbandry } = require('../Husbandry');
+const { EnvironmentObserver } = require('../EnvironmentObserver');
+
+const INVENTORY_START = 9;
+const INVENTORY_END = 45; // exclusive
+const HOTBAR_START = 36;
+const OFF_HAND_SLOT = 45;
+const ARMOR_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8 };
+
+const WALK_TICKS_PER_BLOCK = 5;
+const REACH = 5.1;
+
+const TOOL_SPEED = {
+  wooden: 2,
+  stone: 4,
+  iron: 6,
+  diamond: 8,
+  netherite: 9,
+  golden: 12
+};
+
+const WEAPON_DAMAGE = {
+  wooden_sword: 4,
+  stone_sword: 5,
+  iron_sword: 6,
+  golden_sword: 4,
+  diamond_sword: 7,
+  netherite_sword: 8,
+  wooden_axe: 7,
+  stone_axe: 9,
+  iron_axe: 9,
+  golden_axe: 7,
+  diamond_axe: 9,
+  netherite_axe: 10
+};
+
+// 矢の物理（バニラ: 1 tick ごとに位置 += 速度、速度 *= 0.99、速度.y -= 0.05）
+const ARROW_GRAVITY = 0.05;
+const ARROW_DRAG = 0.99;
+const ARROW_LAUNCH_HEIGHT = 1.52; // 目の高さ - 0.1
+const ARROW_FLIGHT_TICKS = 100;
+const BOW_SPEED = 3;
+const BOW_CHARGE_TICKS = 20;
+const CROSSBOW_SPEED = 3.15;
+const CROSSBOW_CHARGE_TICKS = 25;
+const CROSSBOW_DAMAGE = 9;
+
+// 落下（バニラ: 1 tick ごとに 速度.y だけ動いてから 速度.y = (速度.y - 0.08) * 0.98）とバケツ
+const FALL_GRAVITY = 0.08;
+const FALL_DRAG = 0.98;
+const JUMP_VELOCITY = 0.42; // 頂点は約 1.25 ブロック上。3 tick で 1 ブロックを越える
+const PLAYER_HEIGHT = 1.8;
+const SAFE_FALL_DISTANCE = 3;
+const BUCKET_REACH = 5;
+const BUCKET_FLUIDS = { water: 'water_bucket', lava: 'lava_bucket' };
+const PORTAL_TICKS = 80;
+const PORTAL_SEARCH_RADIUS = 16;
+const PORTAL_MAX_SIZE = 21;
+const NETHER_SCALE = 8;
+const MILKABLE = new Set(['cow', 'mooshroom', 'goat']);
+// mineflayer の face 番号 (0:-y 1:+y 2:-z 3:+z 4:-x 5:+x) の向き
+const FACE_OFFSETS = [
+  new Vec3(0, -1, 0), new Vec3(0, 1, 0), new Vec3(0, 0, -1), new Vec3(0, 0, 1), new Vec3(-1, 0, 0), new Vec3(1, 0, 0)
+];
+const HORIZONTAL_OFFSETS = FACE_OFFSETS.slice(2);
+const DRINK_TICKS = 32;
+
+const DEFAULT_ENTITY_DROPS = {
+  cow: [{ name: 'beef', count: 2 }, { name: 'leather', count: 1 }],
+  pig: [{ name: 'porkchop', count: 2 }],
+  sheep: [{ name: 'mutton', count: 1 }, { name: 'white_wool', count: 1 }],
+  chicken: [{ name: 'chicken', count: 1 }, { name: 'feather', count: 1 }],
+  rabbit: [{ name: 'rabbit', count: 1 }],
+  zombie: [{ name: 'rotten_flesh', count: 1 }],
+  skeleton: [{ name: 'bone', count: 1 }, { name: 'arrow', count: 1 }],
+  spider: [{ name: 'string', count: 1 }],
+  creeper: [{ name: 'gunpowder', count: 1 }]
+};
+
+const FALLING_BLOCKS = new Set(['sand', 'red_sand', 'gravel']);
+
+// 作物: 最大 age と、収穫時のドロップ（成熟時 / 未成熟時）。バニラの乱数は期待値程度に固定する
+const CROPS = {
+  wheat: { maxAge: 7, mature: { wheat: 1, wheat_seeds: 2 }, immature: { wheat_seeds: 1 } },
+  carrots: { maxAge: 7, mature: { carrot: 3 }, immature: { carrot: 1 } },
+  potatoes: { maxAge: 7, mature: { potato: 3 }, immature: { potato: 1 } },
+  beetroots: { maxAge: 3, mature: { beetroot: 1, beetroot_seeds: 2 }, immature: { beetroot_seeds: 1 } }
+};
+const CROP_STAGE_TICKS = 1200; // 1 段階育つまでの tick（バニラはランダムティック）
+const TILLABLE_BLOCKS = new Set(['dirt', 'grass_block', 'dirt_path']);
+const FARMLAND_WATER_RANGE = 4;
+
+// 家畜: 好物を与えてから相手を待つ時間、子供が育つまで、鶏が卵を産む間隔 (tick)
+const LOVE_TICKS = 600;
+const BREED_PARTNER_RANGE = 8;
+const BABY_GROWTH_TICKS = 24000;
+const EGG_LAY_TICKS = 6000;
+const SHEARED_WOOL = 2;
+
+// 焚き火: 同時に焼ける数と、1 個が焼けるまでの tick
+const CAMPFIRE_SLOTS = 4;
+const CAMPFIRE_COOK_TICKS = 600;
+
+// ベッド: 使える距離、敵がいると寝られない範囲 (水平 / 上下)、全員が寝てから朝になるまでの tick
+const BED_REACH = 3;
+const BED_MONSTER_RANGE = 8;
+const BED_MONSTER_HEIGHT = 5;
+const NIGHT_SKIP_TICKS = 100;
+
+// チェスト: スロット数（ラージチェストは扱わない）と、開けるブロック
+const CHEST_SLOTS = 27;
+const CONTAINER_BLOCKS = new Set(['chest', 'trapped_chest', 'barrel']);
+
+class FakeInventory extends EventEmitter {
+  constructor(mcData) {
+    super();
+    this.mcData = mcData;
+    this.slots = new Array(46).fill(null);
+    this.inventoryStart = INVENTORY_START;
+    this.inventoryEnd = INVENTORY_END;
+    this.hotbarStart = HOTBAR_START;
+    this.selectedItem = null;
+  }
+
+  createItem(name, count = 1, slot = null) {
+    const def = this.mcData.itemsByName[name];
+    if (!def) throw new Error(`Unknown item: ${name}`);
+    return {
+      type: def.id,
+      name: def.name,
+      displayName: def.displayName,
+      count,
+      metadata: 0,
+      nbt: null,
+      stackSize: def.stackSize,
+      maxDurability: def.maxDurability,
+      durabilityUsed: 0,
+      slot
+    };
+  }
+
+  items() {
+    return this.slots.slice(INVENTORY_START, INVENTORY_END).filter(Boolean);
+  }
+
+  resolveName(itemType) {
+    if (typeof itemType === 'string') return itemType;
+    const def = this.mcData.items[itemType];
+    return def ? def.name : null;
+  }
+
+  count(itemType, _metadata = null) {
+    const name = this.resolveName(itemType);
+    return this.items()
+      .filter(item => item.name === name)
+      .reduce((total, item) => total + item.count, 0);
+  }
+
+  findInventoryItem(itemType, _metadata = null, notFull = false) {
+    const name = this.resolveName(itemType);
+    return this.items().find(item =>
+      item.name === name && (!notFull || item.count < item.stackSize)) || null;
+  }
+
+  emptySlotCount() {
+    let empty = 0;
+    for (let i = INVENTORY_START; i < INVENTORY_END; i++) {
+      if (!this.slots[i]) empty++;
+    }
+    return empty;
+  }
+
+  // mineflayer と同様にホットバーから優先して空きスロットを探す
+  firstEmptyInventorySlot() {
+    for (let i = HOTBAR_START; i < INVENTORY_END; i++) {
+      if (!this.slots[i]) return i;
+    }
+    for (let i = INVENTORY_START; i < HOTBAR_START; i++) {
+      if (!this.slots[i]) return i;
+    }
+    return null;
+  }
+
+  updateSlot(slot, newItem) {
+    const oldItem = this.slots[slot];
+    if (newItem) newItem.slot = slot;
+    this.slots[slot] = newItem;
+    this.emit('updateSlot', slot, oldItem, newItem);
+    return oldItem;
+  }
+
+  /**
+   * アイテムを追加し、入りきらなかった数を返す
+   */
+  addItem(name, count = 1) {
+    let remaining = count;
+    const def = this.mcData.itemsByName[name];
+    if (!def) throw new Error(`Unknown item: ${name}`);
+
+    for (let i = INVENTORY_START; i < INVENTORY_END && remaining > 0; i++) {
+      const item = this.slots[i];
+      if (item && item.name === name && item.count < item.stackSize) {
+        const added = Math.min(remaining, item.stackSize - item.count);
+        const updated = { ...item, count: item.count + added };
+        this.updateSlot(i, updated);
+        remaining -= added;
+      }
+    }
+
+    while (remaining > 0) {
+      const slot = this.firstEmptyInventorySlot();
+      if (slot === null) break;
+      const added = Math.min(remaining, def.stackSize);
+      this.updateSlot(slot, this.createItem(name, added, slot));
+      remaining -= added;
+    }
+
+    return remaining;
+  }
+
+  /**
+   * アイテムを削除し、削除できた数を返す
+   */
+  removeItem(name, count = 1) {
+    let remaining = count;
+    for (let i = INVENTORY_START; i < INVENTORY_END && remaining > 0; i++) {
+      const item = this.slots[i];
+      if (!item || item.name !== name) continue;
+      const removed = Math.min(remaining, item.count);
+      const left = item.count - removed;
+      this.updateSlot(i, left > 0 ? { ...item, count: left } : null);
+      remaining -= removed;
+    }
+    return count - remaining;
+  }
+}
+
+class FakePathfinder extends EventEmitter {
+  constructor(bot) {
+    super();
+    this.bot = bot;
+    this.goal = null;
+    this.moving = false;
+    this.maxNodes = 20000;
+    this.thinkTimeout = 5000;
+    this.tickTimeout = 40;
+    this.movements = {
+      canDig: true,
+      allow1by1towers: true,
+      allowParkour: true,
+      allowSprinting: true,
+      maxDropDown: 3
+    };
+  }
+
+  setMovements(movements) {
+    this.movements = movements;
+  }
+
+  isMoving() {
+    return this.moving;
+  }
+
+  isMining() {
+    return false;
+  }
+
+  isBuilding() {
+    return false;
+  }
+
+  stop() {
+    this.goal = null;
+    this.moving = false;
+  }
+
+  setGoal(goal) {
+    this.goal = goal;
+    if (!goal) return;
+
+    setImmediate(() => {
+      if (this.goal !== goal) return;
+      const result = this.computePath(goal);
+      if (result.status === 'success') {
+        this.followPath(result.path);
+        this.goal = null;
+        this.emitBoth('goal_reached', goal);
+      } else {
+        this.emitBoth('path_update', { status: 'noPath', path: [] });
+      }
+    });
+  }
+
+  async goto(goal) {
+    this.goal = goal;
+    this.moving = true;
+    await new Promise(resolve => setImmediate(resolve));
+
+    const result = this.computePath(goal);
+    this.moving = false;
+    if (this.goal !== goal) {
+      const error = new Error('The goal was changed before it could be completed!');
+      error.name = 'GoalChanged';
+      throw error;
+    }
+    this.goal = null;
+
+    if (result.status !== 'success') {
+      this.emitBoth('path_update', { status: 'noPath', path: [] });
+      const error = new Error('No path to the goal!');
+      error.name = 'NoPath';
+      throw error;
+    }
+
+    this.followPath(result.path);
+    this.emitBoth('path_update', { status: 'success', path: result.path.map(step => step.pos) });
+    this.emitBoth('goal_reached', goal);
+  }
+
+  getPathTo(_movements, goal) {
+    return this.computePath(goal);
+  }
+
+  emitBoth(event, payload) {
+    this.emit(event, payload);
+    this.bot.emit(event, payload);
+  }
+
+  followPath(path) {
+    if (path.length === 0) return;
+    let ticks = 0;
+    for (const step of path) {
+      for (const pos of step.dig || []) {
+        ticks += this.bot.breakBlockForPath(pos);
+      }
+    }
+    const end = path[path.length - 1].pos;
+    this.bot.advanceTicks(ticks + (path.length - 1) * WALK_TICKS_PER_BLOCK);
+    this.bot.teleport(end.offset(0.5, 0, 0.5));
+  }
+
+  /**
+   * 一様コスト探索。歩行は1段上り・3段下りまで、movements.canDig が有効なら
+   * 足元・頭の高さのブロックを掘って進む経路も考慮する
+   */
+  computePath(goal) {
+    const start = this.bot.entity.position.floored();
+    const key = (p) => FakeWorld.key(p.x, p.y, p.z);
+
+    if (goal.isEnd(start)) {
+      return { status: 'success', path: [{ pos: start, dig: [] }] };
+    }
+
+    const parents = new Map([[key(start), null]]);
+    const costs = new Map([[key(start), 0]]);
+    const open = new MinHeap();
+    open.push(0, { pos: start, dig: [] });
+    let visited = 0;
+
+    while (open.size() > 0 && visited < this.maxNodes) {
+      const { priority, value: step } = open.pop();
+      const nodeKey = key(step.pos);
+      if (priority > costs.get(nodeKey)) continue;
+      visited++;
+
+      if (goal.isEnd(step.pos)) {
+        const path = [];
+        let current = step;
+        while (current) {
+          path.unshift(current);
+          current = parents.get(key(current.pos));
+        }
+        return { status: 'success', path };
+      }
+
+      for (const next of this.neighbors(step.pos)) {
+        const k = key(next.pos);
+        const cost = priority + next.cost;
+        if (costs.has(k) && costs.get(k) <= cost) continue;
+        costs.set(k, cost);
+        parents.set(k, step);
+        open.push(cost, next);
+      }
+    }
+
+    return { status: 'noPath', path: [] };
+  }
+
+  canBreak(pos) {
+    if (!this.movements || !this.movements.canDig) return false;
+    const block = this.bot.blockAt(pos);
+    if (!block.diggable || block.hardness === null || block.hardness < 0) return false;
+    if (this.movements.blocksCantBreak && this.movements.blocksCantBreak.has &&
+        this.movements.blocksCantBreak.has(block.type)) {
+      return false;
+    }
+    return true;
+  }
+
+  // 通過可能ならそのまま、掘れるなら掘削対象として返す。どちらでもなければ null
+  clearance(positions) {
+    const world = this.bot.world;
+    const dig = [];
+    for (const pos of positions) {
+      if (world.isPassable(pos)) continue;
+      if (!this.canBreak(pos)) return null;
+      dig.push(pos);
+    }
+    return dig;
+  }
+
+  neighbors(node) {
+    const world = this.bot.world;
+    const result = [];
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+    const push = (pos, dig, baseCost) => result.push({ pos, dig, cost: baseCost + dig.length * 4 });
+
+    for (const [dx, dz] of directions) {
+      const diagonal = dx !== 0 && dz !== 0;
+      if (diagonal) {
+        // 角抜け禁止（斜め移動では掘削しない）
+        const sideA = node.offset(dx, 0, 0);
+        const sideB = node.offset(0, 0, dz);
+        if (!world.isPassable(sideA) || !world.isPassable(sideA.offset(0, 1, 0)) ||
+            !world.isPassable(sideB) || !world.isPassable(sideB.offset(0, 1, 0))) {
+          continue;
+        }
+      }
+      const baseCost = diagonal ? 1.4 : 1;
+
+      // 同じ高さ
+      const flat = node.offset(dx, 0, dz);
+      if (world.isSolid(flat.offset(0, -1, 0))) {
+        const dig = diagonal
+          ? (world.isPassable(flat) && world.isPassable(flat.offset(0, 1, 0)) ? [] : null)
+          : this.clearance([flat, flat.offset(0, 1, 0)]);
+        if (dig) {
+          push(flat, dig, baseCost);
+          // 掘らずに進めるなら上り下りは考えない（掘って進む場合は 1 段上る経路も候補にする）
+          if (dig.length === 0) continue;
+        }
+      }
+
+      // 1段上り
+      const up = node.offset(dx, 1, dz);
+      if (!diagonal && world.isSolid(flat)) {
+        const dig = this.clearance([node.offset(0, 2, 0), up, up.offset(0, 1, 0)]);
+        if (dig) {
+          push(up, dig, baseCost + 0.5);
+          continue;
+        }
+      }
+
+      // 下り（最大3段、掘削なし）
+      for (let dy = -1; dy >= -3; dy--) {
+        const target = node.offset(dx, dy, dz);
+        if (!world.isPassable(target.offset(0, 1, 0)) || !world.isPassable(target)) break;
+        if (world.isStandable(target)) {
+          push(target, [], baseCost + 0.5);
+          break;
+        }
+      }
+    }
+
+    // 真下を掘って降りる
+    const below = node.offset(0, -1, 0);
+    if (world.isSolid(below.offset(0, -1, 0)) && this.canBreak(below)) {
+      push(below, [below], 1);
+    }
+
+    return result;
+  }
+}
+
+// computePath 用の最小二分ヒープ
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push({ priority, value });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// かまど 1 基分の状態。ウィンドウを閉じても精錬は tick ごとに進む
+class FakeFurnaceState {
+  constructor() {
+    this.input = null; // { name, count }
+    this.fuel = null;
+    this.output = null;
+    this.burnTicks = 0;
+    this.burnTotal = 0;
+    this.cookTicks = 0;
+  }
+
+  canSmelt() {
+    const output = this.input && SmeltingUtils.getOutput(this.input.name);
+    return !!output && (!this.output || (this.output.name === output && this.output.count < 64));
+  }
+
+  tick(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      const canSmelt = this.canSmelt();
+      const fuelTicks = this.fuel ? SmeltingUtils.getBurnTicks(this.fuel.name) : 0;
+      if (this.burnTicks === 0 && (!canSmelt || fuelTicks === 0)) {
+        this.cookTicks = 0;
+        return; // 燃料切れ・材料切れの間は状態が変わらない
+      }
+
+      if (this.burnTicks > 0) this.burnTicks--;
+      if (this.burnTicks === 0 && canSmelt && fuelTicks > 0) {
+        this.burnTotal = fuelTicks;
+        this.burnTicks = this.burnTotal;
+        // 溶岩バケツは燃えると空のバケツが燃料スロットに残る
+        this.fuel = this.fuel.name === 'lava_bucket'
+          ? { name: 'bucket', count: 1 }
+          : FakeFurnaceState.take(this.fuel, 1);
+      }
+
+      if (this.burnTicks > 0 && canSmelt) {
+        this.cookTicks++;
+        if (this.cookTicks >= SmeltingUtils.SMELT_TICKS_PER_ITEM) {
+          this.cookTicks = 0;
+          const name = SmeltingUtils.getOutput(this.input.name);
+          this.input = FakeFurnaceState.take(this.input, 1);
+          this.output = { name, count: (this.output ? this.output.count : 0) + 1 };
+        }
+      } else {
+        this.cookTicks = 0;
+      }
+    }
+  }
+
+  static take(stack, count) {
+    return stack.count > count ? { name: stack.name, count: stack.count - count } : null;
+  }
+}
+
+class FakeBot extends EventEmitter {
+  /**
+   * @param {Object} options
+   *        ├─ version     Minecraftバージョン (default '1.20.1')
+   *        ├─ username    ボット名
+   *        ├─ world       既存の FakeWorld (省略時は空のワールド)
+   *        ├─ position    スポーン座標 [x, y, z] または {x, y, z}
+   *        ├─ inventory   [{ name, count }]
+   *        ├─ health / food / timeOfDay
+   *        ├─ cropGrowthTicks  作物が 1 段階育つまでの tick (default 1200)
+   *        └─ nightSkip        寝ると夜を飛ばす（他のプレイヤーも全員寝ている扱い）(default true)
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(100);
+
+    this.version = options.version || '1.20.1';
+    this.registry = require('minecraft-data')(this.version);
+    this.username = options.username || 'FakeBot';
+    this.world = options.world || new FakeWorld(this.registry);
+    this.worlds = { ...(options.worlds || {}) }; // いまいないディメンションのワールド
+    this.portalTicks = 0;
+    this.portalCooldown = false; // ポータルで着いた後、一度出るまでは移らない
+
+    const spawn = FakeWorld.toVec3(options.position || [0.5, 64, 0.5]);
+    this.entity = {
+      id: 0,
+      type: 'player',
+      name: 'player',
+      username: this.username,
+      position: spawn,
+      velocity: new Vec3(0, 0, 0),
+      yaw: 0,
+      pitch: 0,
+      height: 1.62,
+      width: 0.6,
+      onGround: true,
+      isInWater: false,
+      metadata: [0], // 0 番はエンティティフラグ（0x01 が燃えている）
+      effects: {}
+    };
+
+    this.health = options.health ?? 20;
+    this.fallDistance = 0;
+    this.food = options.food ?? 20;
+    this.foodSaturation = options.foodSaturation ?? 5;
+    this.oxygenLevel = 20;
+    this.experience = { level: 0, points: 0, progress: 0 };
+    this.time = {
+      timeOfDay: options.timeOfDay ?? 1000,
+      day: 0,
+      age: 0,
+      isDay: true
+    };
+    this.isRaining = false;
+    this.thunderState = 0;
+    this.game = { dimension: options.dimension || 'overworld', gameMode: 'survival', difficulty: 'normal' };
+    this.isSleeping = false;
+    this.sleepTicks = 0;
+    this.nightSkip = options.nightSkip ?? true;
+    this.spawnPoint = null;
+
+    this.entities = { [this.entity.id]: this.entity };
+    this.players = { [this.username]: { username: this.username, entity: this.entity, ping: 0 } };
+    this.nextEntityId = 1;
+
+    this.inventory = new FakeInventory(this.registry);
+    this.inventory.on('updateSlot', (slot, oldItem, newItem) => {
+      this.emit('inventoryUpdate', slot, oldItem, newItem);
+    });
+    this.quickBarSlot = 0;
+    this.currentWindow = null;
+    this.targetDigBlock = null;
+    this.furnaces = new Map();
+    this.campfires = new Map(); // 座標キー → [{ name, ticks }]
+    this.chests = new Map(); // 座標キー → 27 スロットの配列
+    this.cropGrowthTicks = options.cropGrowthTicks ?? CROP_STAGE_TICKS;
+    this.cropTicks = 0;
+
+    this.controlState = {};
+    this.chatLog = [];
+    this.plugins = [];
+
+    this.pathfinder = new FakePathfinder(this);
+    this._client = {
+      socket: {
+        writable: true,
+        destroyed: false,
+        readyState: 'open',
+        on() {},
+        destroy() {
+          this.destroyed = true;
+          this.writable = false;
+          this.readyState = 'closed';
+        }
+      },
+      on() {},
+      end() {}
+    };
+
+    for (const { name, count } of options.inventory || []) {
+      this.inventory.addItem(name, count);
+    }
+  }
+
+  get heldItem() {
+    return this.inventory.slots[HOTBAR_START + this.quickBarSlot];
+  }
+
+  // --- 時間 ---------------------------------------------------------------
+
+  advanceTicks(ticks) {
+    const n = Math.max(0, Math.floor(ticks));
+    if (n === 0) return;
+
+    const physics = this.listenerCount('physicsTick') > 0;
+    for (let i = 0; i < n; i++) {
+      if (!physics && this.entity.onGround) break;
+      if (physics) this.emit('physicsTick');
+      if (!this.entity.onGround) this.tickFall();
+    }
+
+    this.tickPortal(n);
+    for (const furnace of this.furnaces.values()) furnace.tick(n);
+    this.tickCampfires(n);
+    this.growCrops(n);
+    this.tickAnimals(n);
+
+    this.time.age += n;
+    const total = this.time.timeOfDay + n;
+    this.time.day += Math.floor(total / 24000);
+    this.time.timeOfDay = total % 24000;
+    this.time.isDay = this.time.timeOfDay < 13000;
+    if (this.isSleeping) this.tickSleep(n);
+    this.emit('time');
+  }
+
+  /**
+   * ポータルの中に PORTAL_TICKS 立っていると、もう一方のディメンションへ移る
+   */
+  tickPortal(ticks) {
+    if (this.world.getBlockName(this.entity.position.floored()) !== 'nether_portal') {
+      this.portalTicks = 0;
+      this.portalCooldown = false;
+      return;
+    }
+    if (this.portalCooldown) return;
+    this.portalTicks += ticks;
+    if (this.portalTicks >= PORTAL_TICKS) this.travelThroughPortal();
+  }
+
+  /**
+   * ワールドを入れ替え、行き先の近くのポータル（無ければ作った出口）の中に立つ。mineflayer と同じく respawn を出す
+   */
+  travelThroughPortal() {
+    const from = this.game.dimension;
+    const to = from === 'the_nether' ? 'overworld' : 'the_nether';
+    const feet = this.entity.position.floored();
+    const scaled = to === 'the_nether'
+      ? new Vec3(Math.floor(feet.x / NETHER_SCALE), feet.y, Math.floor(feet.z / NETHER_SCALE))
+      : new Vec3(feet.x * NETHER_SCALE, feet.y, feet.z * NETHER_SCALE);
+
+    this.worlds[from] = this.world;
+    this.world = this.worlds[to] || new FakeWorld(this.registry);
+    delete this.worlds[to];
+    const exit = this.findPortalNear(scaled) || this.buildExitPortal(scaled);
+
+    this.game.dimension = to;
+    this.portalTicks = 0;
+    this.portalCooldown = true;
+    this.entity.onGround = true;
+    this.entity.velocity = new Vec3(0, 0, 0);
+    this.teleport(exit.offset(0.5, 0, 0.5));
+    this.emit('respawn');
+  }
+
+  findPortalNear(center) {
+    let best = null;
+    for (let dx = -PORTAL_SEARCH_RADIUS; dx <= PORTAL_SEARCH_RADIUS; dx++) {
+      for (let dz = -PORTAL_SEARCH_RADIUS; dz <= PORTAL_SEARCH_RADIUS; dz++) {
+        for (let dy = -PORTAL_SEARCH_RADIUS; dy <= PORTAL_SEARCH_RADIUS; dy++) {
+          const position = center.offset(dx, dy, dz);
+          if (this.world.getBlockName(position) !== 'nether_portal') continue;
+          // 一番下のマスに立つ
+          if (this.world.getBlockName(position.offset(0, -1, 0)) === 'nether_portal') continue;
+          if (!best || position.distanceTo(center) < best.distanceTo(center)) best = position;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * position を左下にした 2x3 のポータルを x 向きに作り、前後に黒曜石の足場を敷く
+   */
+  buildExitPortal(position) {
+    for (let dx = -1; dx <= 2; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        this.world.setBlock(position.offset(dx, -1, dz), 'obsidian');
+        for (let dy = 0; dy <= 3; dy++) this.world.removeBlock(position.offset(dx, dy, dz));
+      }
+      this.world.setBlock(position.offset(dx, 3, 0), 'obsidian');
+    }
+    for (let dy = 0; dy <= 2; dy++) {
+      this.world.setBlock(position.offset(-1, dy, 0), 'obsidian');
+      this.world.setBlock(position.offset(2, dy, 0), 'obsidian');
+      for (let dx = 0; dx <= 1; dx++) this.world.setBlock(position.offset(dx, dy, 0), 'nether_portal', { axis: 'x' });
+    }
+    return position;
+  }
+
+  /**
+   * 寝ている間に夜を飛ばす。飛ばさない場合も、寝られる時間が終われば目が覚める
+   */
+  tickSleep(ticks) {
+    this.sleepTicks += ticks;
+    if (this.nightSkip && this.sleepTicks >= NIGHT_SKIP_TICKS) {
+      this.time.day += 1;
+      this.time.timeOfDay = 0;
+      this.time.isDay = true;
+      this.isRaining = false;
+      this.thunderState = 0;
+    }
+    if (!EnvironmentObserver.canSleep(this)) this.wakeUp();
+  }
+
+  /**
+   * 耕地の上の作物を cropGrowthTicks ごとに 1 段階育てる
+   */
+  growCrops(ticks) {
+    this.cropTicks += ticks;
+    const stages = Math.floor(this.cropTicks / this.cropGrowthTicks);
+    if (stages === 0) return;
+    this.cropTicks -= stages * this.cropGrowthTicks;
+
+    for (const [key, entry] of this.world.blocks) {
+      const crop = CROPS[entry.name];
+      if (!crop) continue;
+      const position = FakeWorld.toVec3(key.split(',').map(Number));
+      if (this.world.getBlockName(position.offset(0, -1, 0)) !== 'farmland') continue;
+      const age = Math.min(crop.maxAge, (entry.properties.age || 0) + stages);
+      if (age !== entry.properties.age) this.world.setBlockProperties(position, { age });
+    }
+  }
+
+  /**
+   * 子供の成長と鶏の産卵
+   */
+  tickAnimals(ticks) {
+    const now = this.time.age + ticks;
+    for (const entity of Object.values(this.entities)) {
+      if (!Husbandry.isLivestock(entity)) continue;
+      if (Husbandry.isBaby(entity)) {
+        if (entity.bornAt !== undefined && now - entity.bornAt >= BABY_GROWTH_TICKS) {
+          entity.metadata[Husbandry.BABY_METADATA] = false;
+        }
+        continue;
+      }
+      if (entity.name !== 'chicken') continue;
+      if (entity.nextEggAt === undefined) entity.nextEggAt = this.time.age + EGG_LAY_TICKS;
+      while (entity.nextEggAt <= now) {
+        this.addEntity('item', entity.position.clone(), { item: { name: 'egg', count: 1 } });
+        entity.nextEggAt += EGG_LAY_TICKS;
+      }
+    }
+  }
+
+  /**
+   * 焚き火の上の食材を焼き、焼けたものをアイテムとして落とす
+   */
+  tickCampfires(ticks) {
+    for (const [key, slots] of this.campfires) {
+      const position = FakeWorld.toVec3(key.split(',').map(Number));
+      if (!/campfire$/.test(this.world.getBlockName(position))) {
+        this.campfires.delete(key);
+        continue;
+      }
+      for (const slot of slots) slot.ticks += ticks;
+      for (const slot of slots.filter(entry => entry.ticks >= CAMPFIRE_COOK_TICKS)) {
+        const name = SmeltingUtils.getOutput(slot.name);
+        this.addEntity('item', position.offset(0.5, 0.5, 0.5), { item: { name, count: 1 } });
+      }
+      this.campfires.set(key, slots.filter(entry => entry.ticks < CAMPFIRE_COOK_TICKS));
+    }
+  }
+
+  async waitForTicks(ticks) {
+    this.advanceTicks(ticks);
+    this.collectNearbyItems(); // 立ち止まっていても足元に落ちたアイテムは拾う
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  // --- ブロック ------------------------------------------------------------
+
+  blockAt(point) {
+    if (!point) return null;
+    return this.world.getBlock(point);
+  }
+
+  blockAtCursor(maxDistance = 256) {
+    const eye = this.entity.position.offset(0, this.entity.height, 0);
+    return this.world.raycast(eye, this.viewDirection(), maxDistance);
+  }
+
+  findBlock(options) {
+    const [position] = this.findBlocks({ ...options, count: 1 });
+    return position ? this.blockAt(position) : null;
+  }
+
+  findBlocks(options = {}) {
+    const { matching, maxDistance = 16, count = 1 } = options;
+    const point = options.point ? FakeWorld.toVec3(options.point) : this.entity.position;
+    const matcher = this.createBlockMatcher(matching);
+    const found = [];
+
+    for (const { position } of this.world.positions()) {
+      const distance = position.distanceTo(point);
+      if (distance > maxDistance) continue;
+      const block = this.world.getBlock(position);
+      if (matcher(block)) found.push({ position, distance });
+    }
+
+    found.sort((a, b) => a.distance - b.distance);
+    return found.slice(0, count).map(entry => entry.position);
+  }
+
+  createBlockMatcher(matching) {
+    if (typeof matching === 'function') return (block) => matching(block);
+    if (Array.isArray(matching)) return (block) => matching.includes(block.type);
+    return (block) => block.type === matching;
+  }
+
+  canDigBlock(block) {
+    if (!block || !block.diggable) return false;
+    const eye = this.entity.position.offset(0, this.entity.height, 0);
+    return block.position.offset(0.5, 0.5, 0.5).distanceTo(eye) <= REACH;
+  }
+
+  canSeeBlock(block) {
+    const eye = this.entity.position.offset(0, this.entity.height, 0);
+    const target = block.position.offset(0.5, 0.5, 0.5);
+    const hit = this.world.raycast(eye, target.minus(eye), eye.distanceTo(target) + 1);
+    return !!hit && hit.position.equals(block.position);
+  }
+
+  canHarvest(block, heldItem = this.heldItem) {
+    if (!block.harvestTools) return true;
+    return !!heldItem && !!block.harvestTools[heldItem.type];
+  }
+
+  digTime(block) {
+    if (block.hardness === null || block.hardness < 0) return Infinity;
+    const held = this.heldItem;
+    let speed = 1;
+    if (held) {
+      const [tier, tool] = held.name.split('_');
+      if (TOOL_SPEED[tier] && block.material && block.material.includes(`mineable/${tool}`)) {
+        speed = TOOL_SPEED[tier];
+      }
+    }
+    const seconds = block.hardness * (this.canHarvest(block) ? 1.5 : 5) / speed;
+    return Math.max(1, Math.ceil(seconds * 20));
+  }
+
+  async dig(block, _forceLook = true, _digFace = null) {
+    const current = block && this.blockAt(block.position);
+    if (!current || current.name === 'air') {
+      throw new Error('dig: block is air');
+    }
+    if (!current.diggable) {
+      throw new Error(`dig: ${current.name} is not diggable`);
+    }
+    if (!this.canDigBlock(current)) {
+      throw new Error('dig: block not in reach');
+    }
+
+    this.targetDigBlock = current;
+    this.advanceTicks(this.digTime(current));
+    await new Promise(resolve => setImmediate(resolve));
+    this.targetDigBlock = null;
+
+    const harvested = this.canHarvest(current);
+    this.world.removeBlock(current.position);
+    this.damageHeldTool();
+    this.emit('blockUpdate', current, this.blockAt(current.position));
+    this.emit('diggingCompleted', current);
+
+    if (harvested) {
+      for (const dropId of this.resolveDrops(current)) {
+        const item = this.registry.items[dropId];
+        if (item) this.giveOrDrop(item.name, 1, current.position);
+      }
+    }
+
+    this.settleFallingBlocks(current.position.offset(0, 1, 0));
+    this.applyGravity();
+  }
+
+  stopDigging() {
+    this.targetDigBlock = null;
+  }
+
+  // pathfinder が経路上のブロックを掘る。消費tickを返す
+  breakBlockForPath(position) {
+    const block = this.blockAt(position);
+    if (block.name === 'air') return 0;
+    const ticks = this.digTime(block);
+    this.world.removeBlock(position);
+    this.emit('blockUpdate', block, this.blockAt(position));
+    if (this.canHarvest(block)) {
+      for (const dropId of this.resolveDrops(block)) {
+        const item = this.registry.items[dropId];
+        if (item) this.giveOrDrop(item.name, 1, position);
+      }
+    }
+    return ticks;
+  }
+
+  // 葉はドロップ無し、その他は minecraft-data の先頭ドロップを決定的に返す
+  resolveDrops(block) {
+    if (block.name.includes('leaves')) return [];
+    const crop = CROPS[block.name];
+    if (crop) {
+      const drops = block.getProperties().age >= crop.maxAge ? crop.mature : crop.immature;
+      return Object.entries(drops).flatMap(([name, count]) => Array(count).fill(this.registry.itemsByName[name].id));
+    }
+    // 草は種を落とす（バニラでは 1/8 の確率）
+    if (block.name === 'grass' || block.name === 'tall_grass') return [this.registry.itemsByName.wheat_seeds.id];
+    return block.drops.slice(0, 1).map(drop => (typeof drop === 'object' ? drop.drop : drop));
+  }
+
+  damageHeldTool() {
+    const held = this.heldItem;
+    if (!held || !held.maxDurability) return;
+    const slot = HOTBAR_START + this.quickBarSlot;
+    const durabilityUsed = (held.durabilityUsed || 0) + 1;
+    if (durabilityUsed >= held.maxDurability) {
+      this.inventory.updateSlot(slot, null);
+      this.emit('heldItemChanged', null);
+    } else {
+      this.inventory.updateSlot(slot, { ...held, durabilityUsed });
+    }
+  }
+
+  settleFallingBlocks(position) {
+    let pos = position;
+    while (FALLING_BLOCKS.has(this.world.getBlockName(pos))) {
+      const name = this.world.getBlockName(pos);
+      let landing = pos;
+      while (this.world.isPassable(landing.offset(0, -1, 0)) && landing.y > this.world.minY) {
+        landing = landing.offset(0, -1, 0);
+      }
+      if (landing.equals(pos)) break;
+      this.world.removeBlock(pos);
+      this.world.setBlock(landing, name);
+      this.emit('blockUpdate', this.blockAt(pos), this.blockAt(landing));
+      pos = pos.offset(0, 1, 0);
+    }
+  }
+
+  async placeBlock(referenceBlock, faceVector) {
+    return this._placeBlockWithOptions(referenceBlock, faceVector, {});
+  }
+
+  /**
+   * mineflayer と同じく、forceLook が 'ignore' でなければクリックする面を見てから置く。
+   * options.half ('top' | 'bottom') は横の面をクリックしたときの上下（階段・ハーフブロック）を決める
+   */
+  async _placeBlockWithOptions(referenceBlock, faceVector, options = {}) {
+    const held = this.heldItem;
+    if (!held) throw new Error('must be holding an item to place a block');
+
+    const blockName = BlockStates.blockForItem(held.name, faceVector, this.registry);
+    if (!this.registry.blocksByName[blockName]) {
+      throw new Error(`${held.name} is not placeable`);
+    }
+
+    const target = referenceBlock.position.plus(faceVector);
+    const eye = this.entity.position.offset(0, this.entity.height, 0);
+    if (target.offset(0.5, 0.5, 0.5).distanceTo(eye) > REACH + 1) {
+      throw new Error('placeBlock: target out of reach');
+    }
+    const reference = this.blockAt(referenceBlock.position);
+    if (reference.name === 'air') {
+      throw new Error('placeBlock: reference block is air');
+    }
+    if (options.forceLook !== 'ignore') {
+      await this.lookAt(referenceBlock.position.offset(0.5, 0.5, 0.5).plus(faceVector.scaled(0.5)));
+    }
+
+    // 下半分のハーフブロックの上面に同じハーフブロックを置くと二重になる
+    if (reference.name === blockName && /_slab$/.test(blockName) && faceVector.y === 1 &&
+        reference.getProperties().type === 'bottom') {
+      this.world.setBlockProperties(reference.position, { type: 'double' });
+      return this.finishPlacement(reference, reference.position);
+    }
+
+    const existing = this.blockAt(target);
+    if (existing.name !== 'air' && existing.boundingBox !== 'empty' && existing.name !== 'water') {
+      throw new Error(`placeBlock: ${existing.name} already at ${target}`);
+    }
+    if (CROPS[blockName] && this.world.getBlockName(target.offset(0, -1, 0)) !== 'farmland') {
+      throw new Error(`placeBlock: ${blockName} needs farmland`);
+    }
+    const feet = this.entity.position.floored();
+    const placedDef = this.registry.blocksByName[blockName];
+    if (placedDef.boundingBox === 'block' && (target.equals(feet) || target.equals(feet.offset(0, 1, 0)))) {
+      throw new Error('placeBlock: bot is in the way');
+    }
+
+    const properties = this.placementProperties(blockName, faceVector, options);
+    this.world.setBlock(target, blockName, properties);
+    // 扉の上半分・ベッドの頭側も同時にできる
+    if (properties.half === 'lower') {
+      this.world.setBlock(target.offset(0, 1, 0), blockName, { ...properties, half: 'upper' });
+    } else if (properties.part === 'foot') {
+      const head = target.plus(BlockStates.facingVector(properties.facing));
+      this.world.setBlock(head, blockName, { ...properties, part: 'head' });
+    }
+    return this.finishPlacement(existing, target);
+  }
+
+  async finishPlacement(previous, target) {
+    this.consumeHeldItem();
+    this.advanceTicks(1);
+    await new Promise(resolve => setImmediate(resolve));
+    this.emit('blockUpdate', previous, this.blockAt(target));
+  }
+
+  // バニラの設置規則の簡易版（BlockStates の冒頭コメントを参照）
+  placementProperties(blockName, faceVector, options = {}) {
+    const def = this.registry.blocksByName[blockName];
+    const stateNames = (def.states || []).map(s => s.name);
+    const properties = {};
+    const upperHalf = faceVector.y === -1 || (faceVector.y === 0 && options.half === 'top');
+    if (stateNames.includes('axis')) {
+      properties.axis = faceVector.x !== 0 ? 'x' : faceVector.z !== 0 ? 'z' : 'y';
+    }
+    if (stateNames.includes('facing')) {
+      const rule = BlockStates.facingRule(blockName, def);
+      const clicked = BlockStates.facingOf(faceVector);
+      if (rule === 'face' && faceVector.y === 0) {
+        properties.facing = clicked;
+      } else if (rule === 'player') {
+        properties.facing = this.horizontalFacing();
+      } else {
+        properties.facing = BlockStates.opposite(this.horizontalFacing());
+      }
+    }
+    if (stateNames.includes('half')) {
+      const values = def.states.find(s => s.name === 'half').values || [];
+      if (values.includes('lower')) {
+        properties.half = 'lower';
+      } else {
+        properties.half = upperHalf ? 'top' : 'bottom';
+      }
+    }
+    if (stateNames.includes('type') && /_slab$/.test(blockName)) {
+      properties.type = upperHalf ? 'top' : 'bottom';
+    }
+    if (stateNames.includes('part')) {
+      properties.part = 'foot';
+    }
+    if (stateNames.includes('persistent')) {
+      properties.persistent = true;
+    }
+    return properties;
+  }
+
+  horizontalFacing() {
+    const yaw = ((this.entity.yaw % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    const index = Math.round(yaw / (Math.PI / 2)) % 4;
+    return ['north', 'west', 'south', 'east'][index];
+  }
+
+  consumeHeldItem(amount = 1) {
+    const held = this.heldItem;
+    if (!held) return;
+    const slot = HOTBAR_START + this.quickBarSlot;
+    const left = held.count - amount;
+    this.inventory.updateSlot(slot, left > 0 ? { ...held, count: left } : null);
+    if (left <= 0) this.emit('heldItemChanged', null);
+  }
+
+  async activateBlock(block, direction = null) {
+    const current = this.blockAt(block.position);
+    this.advanceTicks(1);
+
+    if (current.name === 'crafting_table') {
+      this.serverResponse(() => this.openWindow('minecraft:crafting', current));
+    } else if (/_door$|_trapdoor$|_fence_gate$/.test(current.name)) {
+      const properties = current.getProperties();
+      this.world.setBlockProperties(current.position, { open: !properties.open });
+      this.emit('blockUpdate', current, this.blockAt(current.position));
+    } else if (/campfire$/.test(current.name) && current.getProperties().lit !== false && this.heldItem) {
+      // 焚き火で焼けるのは食べ物になる食材だけ。空きが無ければ何も起きない
+      const key = FakeWorld.key(current.position.x, current.position.y, current.position.z);
+      const slots = this.campfires.get(key) || [];
+      const output = SmeltingUtils.getOutput(this.heldItem.name);
+      if (output && this.registry.foodsByName[output] && slots.length < CAMPFIRE_SLOTS) {
+        slots.push({ name: this.heldItem.name, ticks: 0 });
+        this.campfires.set(key, slots);
+        this.consumeHeldItem();
+      }
+    } else if (this.heldItem && /_hoe$/.test(this.heldItem.name) && TILLABLE_BLOCKS.has(current.name) &&
+        this.world.getBlockName(current.position.offset(0, 1, 0)) === 'air') {
+      // 鍬で耕す。水から水平 4 マス以内（同じ高さか 1 段上）なら湿った耕地になる
+      const moisture = this.isNearWater(current.position) ? 7 : 0;
+      this.world.setBlock(current.position, 'farmland', { moisture });
+      this.damageHeldTool();
+      this.emit('blockUpdate', current, this.blockAt(current.position));
+    } else if (this.heldItem && this.heldItem.name === 'flint_and_steel') {
+      // 叩いた面の先に火を付ける。黒曜石の枠の中ならポータルになる（mineflayer と同じく既定は上面）
+      const target = current.position.plus(direction || new Vec3(0, 1, 0));
+      if (this.world.getBlockName(target) === 'air') {
+        const portal = this.findPortalInterior(target);
+        if (portal) {
+          for (const cell of portal.cells) this.world.setBlock(cell, 'nether_portal', { axis: portal.axis });
+        } else {
+          this.world.setBlock(target, 'fire');
+        }
+        this.damageHeldTool();
+      }
+    }
+
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  /**
+   * start を含む空気の長方形が、黒曜石で囲まれたポータルの内側（幅 2〜21・高さ 3〜21）になっていれば { axis, cells }
+   */
+  findPortalInterior(start) {
+    const isAir = position => this.world.getBlockName(position) === 'air';
+    const isFrame = position => this.world.getBlockName(position) === 'obsidian';
+    for (const axis of ['x', 'z']) {
+      const along = axis === 'x' ? new Vec3(1, 0, 0) : new Vec3(0, 0, 1);
+      let corner = start;
+      while (isAir(corner.offset(0, -1, 0)) && start.y - corner.y < PORTAL_MAX_SIZE) corner = corner.offset(0, -1, 0);
+      while (isAir(corner.minus(along)) && start.minus(corner).norm() < PORTAL_MAX_SIZE) corner = corner.minus(along);
+      let width = 0;
+      while (width <= PORTAL_MAX_SIZE && isAir(corner.plus(along.scaled(width)))) width++;
+      let height = 0;
+      while (height <= PORTAL_MAX_SIZE && isAir(corner.offset(0, height, 0))) height++;
+      if (width < 2 || height < 3 || width > PORTAL_MAX_SIZE || height > PORTAL_MAX_SIZE) continue;
+
+      const cells = [];
+      for (let i = 0; i < width; i++) {
+        for (let j = 0; j < height; j++) cells.push(corner.plus(along.scaled(i)).offset(0, j, 0));
+      }
+      const framed = cells.every(isAir) &&
+        Array.from({ length: width }, (_, i) => corner.plus(along.scaled(i)))
+          .every(bottom => isFrame(bottom.offset(0, -1, 0)) && isFrame(bottom.offset(0, height, 0))) &&
+        Array.from({ length: height }, (_, j) => corner.offset(0, j, 0))
+          .every(left => isFrame(left.minus(along)) && isFrame(left.plus(along.scaled(width))));
+      if (framed) return { axis, cells };
+    }
+    return null;
+  }
+
+  isNearWater(position) {
+    for (let dx = -FARMLAND_WATER_RANGE; dx <= FARMLAND_WATER_RANGE; dx++) {
+      for (let dz = -FARMLAND_WATER_RANGE; dz <= FARMLAND_WATER_RANGE; dz++) {
+        for (let dy = 0; dy <= 1; dy++) {
+          if (this.world.getBlockName(position.offset(dx, dy, dz)) === 'water') return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  async openBlock(block) {
+    const opened = new Promise(resolve => this.once('windowOpen', resolve));
+    await this.activateBlock(block);
+    return opened;
+  }
+
+  // 実サーバー同様、ウィンドウ等の応答は activateBlock の解決後に届く
+  serverResponse(callback) {
+    setTimeout(callback, 1);
+  }
+
+  openWindow(type, block, extra = {}) {
+    const window = {
+      id: 1,
+      type,
+      title: block ? block.name : type,
+      slots: [],
+      block,
+      containerItems: () => [],
+      close: () => this.closeWindow(window),
+      ...extra
+    };
+    this.currentWindow = window;
+    this.emit('windowOpen', window);
+    return window;
+  }
+
+  /**
+   * mineflayer の bot.openFurnace 相当。入力・燃料・出力の 3 スロットを操作するウィンドウを返す
+   */
+  async openFurnace(block) {
+    const current = this.blockAt(block.position);
+    if (!['furnace', 'blast_furnace', 'smoker'].includes(current.name)) {
+      throw new Error(`openFurnace: ${current.name} is not a furnace`);
+    }
+    if (this.entity.position.distanceTo(current.position) > REACH + 1) {
+      throw new Error('openFurnace: furnace is too far away');
+    }
+
+    const key = current.position.toString();
+    if (!this.furnaces.has(key)) this.furnaces.set(key, new FakeFurnaceState());
+    const state = this.furnaces.get(key);
+
+    this.advanceTicks(1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const inventory = this.inventory;
+    const toItem = stack => (stack ? inventory.createItem(stack.name, stack.count) : null);
+    const put = (slot, itemType, count) => {
+      const name = inventory.resolveName(itemType);
+      const existing = state[slot];
+      if (existing && existing.name !== name) {
+        throw new Error(`furnace ${slot} slot already holds ${existing.name}`);
+      }
+      if (inventory.count(name) < count) throw new Error(`missing ${name} x${count}`);
+      if ((existing ? existing.count : 0) + count > this.registry.itemsByName[name].stackSize) {
+        throw new Error(`furnace ${slot} slot is full`);
+      }
+      inventory.removeItem(name, count);
+      state[slot] = { name, count: (existing ? existing.count : 0) + count };
+    };
+    const take = slot => {
+      const stack = state[slot];
+      if (!stack) return null;
+      state[slot] = null;
+      this.giveOrDrop(stack.name, stack.count, this.entity.position);
+      return inventory.createItem(stack.name, stack.count);
+    };
+
+    const window = this.openWindow('minecraft:furnace', current);
+    Object.assign(window, {
+      inputItem: () => toItem(state.input),
+      fuelItem: () => toItem(state.fuel),
+      outputItem: () => toItem(state.output),
+      putInput: async (itemType, _metadata, count) => put('input', itemType, count),
+      putFuel: async (itemType, _metadata, count) => put('fuel', itemType, count),
+      takeInput: async () => take('input'),
+      takeFuel: async () => take('fuel'),
+      takeOutput: async () => take('output')
+    });
+    Object.defineProperties(window, {
+      fuel: { get: () => (state.burnTotal > 0 ? state.burnTicks / state.burnTotal : 0) },
+      progress: { get: () => state.cookTicks / SmeltingUtils.SMELT_TICKS_PER_ITEM }
+    });
+    return window;
+  }
+
+  /**
+   * mineflayer の bot.openContainer / bot.openChest 相当。deposit / withdraw でインベントリとチェストの間を移す
+   * 入りきらない分は移さずに 'destination full' を投げる（mineflayer は途中まで移してから投げる）
+   */
+  async openContainer(block) {
+    const current = this.blockAt(block.position);
+    if (!CONTAINER_BLOCKS.has(current.name)) {
+      throw new Error(`openContainer: ${current.name} is not a container`);
+    }
+    if (this.entity.position.distanceTo(current.position) > REACH + 1) {
+      throw new Error('openContainer: container is too far away');
+    }
+
+    const key = current.position.toString();
+    if (!this.chests.has(key)) this.chests.set(key, new Array(CHEST_SLOTS).fill(null));
+    const slots = this.chests.get(key);
+
+    this.advanceTicks(1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const inventory = this.inventory;
+    const stackSize = name => this.registry.itemsByName[name].stackSize;
+    const room = name => slots.reduce((sum, stack) => sum +
+      (!stack ? stackSize(name) : stack.name === name ? stackSize(name) - stack.count : 0), 0);
+    const deposit = async (itemType, _metadata, count) => {
+      const name = inventory.resolveName(itemType);
+      const amount = count ?? inventory.count(name);
+      if (inventory.count(name) < amount) {
+        throw new Error(`Can't find ${name} in slots [${INVENTORY_START} - ${INVENTORY_END}]`);
+      }
+      if (room(name) < amount) throw new Error('destination full');
+      inventory.removeItem(name, amount);
+      let remaining = amount;
+      for (let i = 0; i < slots.length && remaining > 0; i++) {
+        const stack = slots[i];
+        if (stack && stack.name !== name) continue;
+        const added = Math.min(remaining, stackSize(name) - (stack ? stack.count : 0));
+        if (added <= 0) continue;
+        slots[i] = { name, count: (stack ? stack.count : 0) + added };
+        remaining -= added;
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    };
+    const withdraw = async (itemType, _metadata, count) => {
+      const name = inventory.resolveName(itemType);
+      const stored = slots.reduce((sum, stack) => sum + (stack && stack.name === name ? stack.count : 0), 0);
+      const amount = count ?? stored;
+      if (stored < amount) throw new Error(`Can't find ${name} in slots [0 - ${CHEST_SLOTS}]`);
+      const free = inventory.emptySlotCount() * stackSize(name) + inventory.items()
+        .filter(item => item.name === name).reduce((sum, item) => sum + item.stackSize - item.count, 0);
+      if (free < amount) throw new Error('destination full');
+      let remaining = amount;
+      for (let i = slots.length - 1; i >= 0 && remaining > 0; i--) {
+        const stack = slots[i];
+        if (!stack || stack.name !== name) continue;
+        const taken = Math.min(remaining, stack.count);
+        slots[i] = stack.count > taken ? { name, count: stack.count - taken } : null;
+        remaining -= taken;
+      }
+      inventory.addItem(name, amount);
+      await new Promise(resolve => setImmediate(resolve));
+    };
+
+    return this.openWindow('minecraft:generic_9x3', current, {
+      inventoryStart: CHEST_SLOTS,
+      containerItems: () => slots
+        .map((stack, slot) => (stack ? inventory.createItem(stack.name, stack.count, slot) : null))
+        .filter(Boolean),
+      deposit,
+      withdraw
+    });
+  }
+
+  async openChest(block) {
+    return this.openContainer(block);
+  }
+
+  closeWindow(window) {
+    if (this.currentWindow && (!window || this.currentWindow === window)) {
+      const closed = this.currentWindow;
+      this.currentWindow = null;
+      this.emit('windowClose', closed);
+    }
+  }
+
+  // --- クラフト ------------------------------------------------------------
+
+  recipesAll(itemType, _metadata = null, craftingTable = null) {
+    const raw = this.registry.recipes[itemType] || [];
+    return raw
+      .map(recipe => this.buildRecipe(recipe))
+      .filter(recipe => craftingTable || !recipe.requiresTable);
+  }
+
+  recipesFor(itemType, metadata = null, minResultCount = null, craftingTable = null) {
+    const wanted = minResultCount || 1;
+    return this.recipesAll(itemType, metadata, craftingTable).filter(recipe => {
+      const times = Math.ceil(wanted / recipe.result.count);
+      return this.hasIngredients(recipe, times);
+    });
+  }
+
+  // prismarine-recipe 互換の形に整形する
+  buildRecipe(raw) {
+    const toItem = (id, count = 1) => ({ id: id === null || id === undefined ? -1 : id, metadata: null, count });
+    const inShape = raw.inShape ? raw.inShape.map(row => row.map(id => toItem(id))) : null;
+    const ingredients = raw.ingredients ? raw.ingredients.map(id => toItem(id)) : null;
+
+    const consumed = new Map();
+    const cells = inShape ? inShape.flat() : ingredients;
+    for (const cell of cells) {
+      if (cell.id === -1) continue;
+      consumed.set(cell.id, (consumed.get(cell.id) || 0) + 1);
+    }
+
+    const delta = Array.from(consumed, ([id, count]) => toItem(id, -count));
+    delta.push(toItem(raw.result.id, raw.result.count));
+
+    const width = inShape ? Math.max(...inShape.map(row => row.length)) : 0;
+    const height = inShape ? inShape.length : 0;
+    const requiresTable = inShape
+      ? (width > 2 || height > 2)
+      : ingredients.length > 4;
+
+    return {
+      result: toItem(raw.result.id, raw.result.count),
+      inShape,
+      outShape: null,
+      ingredients,
+      delta,
+      requiresTable
+    };
+  }
+
+  hasIngredients(recipe, times = 1) {
+    return recipe.delta
+      .filter(entry => entry.count < 0)
+      .every(entry => this.inventory.count(entry.id) >= -entry.count * times);
+  }
+
+  async craft(recipe, count = 1, craftingTable = null) {
+    const times = count || 1;
+    if (recipe.requiresTable && !craftingTable) {
+      throw new Error('Recipe requires craftingTable, but one was not supplied');
+    }
+    if (craftingTable && this.entity.position.distanceTo(craftingTable.position) > REACH + 1) {
+      throw new Error('craftingTable is too far away');
+    }
+    if (!this.hasIngredients(recipe, times)) {
+      throw new Error('missing ingredient');
+    }
+
+    for (let i = 0; i < times; i++) {
+      for (const entry of recipe.delta) {
+        const name = this.registry.items[entry.id].name;
+        if (entry.count < 0) {
+          this.inventory.removeItem(name, -entry.count);
+        } else {
+          this.giveOrDrop(name, entry.count, this.entity.position);
+        }
+      }
+    }
+    this.advanceTicks(times);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  // --- 装備・インベントリ操作 ----------------------------------------------
+
+  async equip(item, destination = 'hand') {
+    const name = typeof item === 'number' ? this.registry.items[item].name : item.name;
+    const sourceSlot = typeof item === 'object' && item.slot != null && this.inventory.slots[item.slot]?.name === name
+      ? item.slot
+      : this.inventory.items().find(i => i.name === name)?.slot;
+
+    if (sourceSlot === undefined || sourceSlot === null) {
+      throw new Error(`Invalid item object in equip (item is null or not in inventory: ${name})`);
+    }
+
+    let targetSlot;
+    if (destination === 'hand') {
+      if (sourceSlot >= HOTBAR_START && sourceSlot < INVENTORY_END) {
+        this.setQuickBarSlot(sourceSlot - HOTBAR_START);
+        return;
+      }
+      targetSlot = HOTBAR_START + this.quickBarSlot;
+    } else if (destination === 'off-hand') {
+      targetSlot = OFF_HAND_SLOT;
+    } else if (ARMOR_SLOTS[destination]) {
+      targetSlot = ARMOR_SLOTS[destination];
+    } else {
+      throw new Error(`Invalid destination: ${destination}`);
+    }
+
+    const moving = this.inventory.slots[sourceSlot];
+    const displaced = this.inventory.slots[targetSlot];
+    this.inventory.updateSlot(targetSlot, { ...moving });
+    this.inventory.updateSlot(sourceSlot, displaced ? { ...displaced } : null);
+    if (destination === 'hand') this.emit('heldItemChanged', this.heldItem);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  async unequip(destination = 'hand') {
+    const slot = destination === 'hand'
+      ? HOTBAR_START + this.quickBarSlot
+      : destination === 'off-hand' ? OFF_HAND_SLOT : ARMOR_SLOTS[destination];
+    const item = this.inventory.slots[slot];
+    if (!item) return;
+
+    const emptySlot = this.findEmptyStorageSlot(slot);
+    if (emptySlot === null) throw new Error('No empty slot to unequip into');
+    this.inventory.updateSlot(emptySlot, { ...item });
+    this.inventory.updateSlot(slot, null);
+    if (destination === 'hand') this.emit('heldItemChanged', null);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  findEmptyStorageSlot(excludeSlot) {
+    for (let i = INVENTORY_START; i < INVENTORY_END; i++) {
+      if (i !== excludeSlot && !this.inventory.slots[i]) return i;
+    }
+    return null;
+  }
+
+  getEquipmentDestSlot(destination) {
+    if (destination === 'hand') return HOTBAR_START + this.quickBarSlot;
+    if (destination === 'off-hand') return OFF_HAND_SLOT;
+    return ARMOR_SLOTS[destination];
+  }
+
+  setQuickBarSlot(slot) {
+    this.quickBarSlot = slot;
+    this.emit('heldItemChanged', this.heldItem);
+  }
+
+  async toss(itemType, _metadata = null, count = null) {
+    const name = this.inventory.resolveName(itemType);
+    const amount = count ?? this.inventory.count(name);
+    this.inventory.removeItem(name, amount);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  async tossStack(item) {
+    if (!item || this.inventory.slots[item.slot]?.name !== item.name) {
+      throw new Error('tossStack: item not in inventory');
+    }
+    this.inventory.updateSlot(item.slot, null);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  /**
+   * インベントリに入れる。満杯なら足元にアイテムエンティティとして落とす
+   */
+  giveOrDrop(name, count, position) {
+    const overflow = this.inventory.addItem(name, count);
+    if (overflow > 0) {
+      this.addEntity('item', position.offset(0.5, 0, 0.5), { item: { name, count: overflow } });
+    }
+  }
+
+  async consume() {
+    const held = this.heldItem;
+    if (held && held.name === 'milk_bucket') {
+      // ミルクはすべての効果を消す
+      this.advanceTicks(DRINK_TICKS);
+      this.entity.effects = {};
+      this.replaceHeldItem('bucket');
+      await new Promise(resolve => setImmediate(resolve));
+      return;
+    }
+    const food = held && this.registry.foodsByName[held.name];
+    if (!food) throw new Error('Consuming cancelled: not holding food');
+    if (this.food >= 20 && this.game.gameMode !== 'creative') {
+      throw new Error('Consuming cancelled: not hungry');
+    }
+
+    this.advanceTicks(32);
+    this.food = Math.min(20, this.food + food.foodPoints);
+    this.foodSaturation = Math.min(this.food, this.foodSaturation + food.saturation);
+    this.consumeHeldItem();
+    this.emit('health');
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  activateItem(offHand = false) {
+    const held = this.heldItem;
+    if (!offHand && held && (held.name === 'bucket' || held.name === 'water_bucket' || held.name === 'lava_bucket')) {
+      this.useBucket(held);
+      return;
+    }
+    // 装填済みのクロスボウは使った瞬間に撃つ
+    if (!offHand && held && held.name === 'crossbow' && FakeBot.isCrossbowCharged(held)) {
+      this.setCrossbowCharged(false);
+      this.shootArrow(CROSSBOW_SPEED, CROSSBOW_DAMAGE);
+      return;
+    }
+    this.usingHeldItem = offHand ? 'off-hand' : 'hand';
+    this.usingSince = this.time.age;
+  }
+
+  /**
+   * バケツを使う。空なら視線の先の水源・溶岩源を汲み、中身があれば視線の先のブロックの面に置く
+   */
+  useBucket(held) {
+    const eye = this.entity.position.offset(0, this.entity.height, 0);
+    const direction = this.viewDirection();
+    const isSource = block => !!BUCKET_FLUIDS[block.name] && (block.getProperties().level || 0) === 0;
+
+    if (held.name === 'bucket') {
+      const hit = this.world.raycast(eye, direction, BUCKET_REACH, block =>
+        isSource(block) || this.world.isSolid(block.position));
+      if (!hit || !isSource(hit)) return;
+      // 水源 2 つ以上に挟まれた水源は汲んでもすぐ元に戻る（無限水源）
+      if (hit.name !== 'water' || !this.isRenewableWater(hit.position)) {
+        this.world.removeBlock(hit.position);
+      }
+      this.fillHeldBucket(BUCKET_FLUIDS[hit.name]);
+      return;
+    }
+
+    const hit = this.world.raycast(eye, direction, BUCKET_REACH, block => this.world.isSolid(block.position));
+    if (!hit) return;
+    const target = hit.position.plus(FACE_OFFSETS[hit.face]);
+    if (!this.world.isPassable(target)) return;
+    const fluid = held.name === 'water_bucket' ? 'water' : 'lava';
+    if (fluid === 'water' && this.game.dimension === 'the_nether') {
+      this.replaceHeldItem('bucket'); // 蒸発する
+      return;
+    }
+    this.world.setBlock(target, fluid, { level: 0 }); // 火や草は流されて消える
+    if (fluid === 'water') this.formWaterSources(target);
+    this.mixFluids(target);
+    // 水に入ると火が消える
+    if (fluid === 'water' && target.equals(this.entity.position.floored())) {
+      this.entity.metadata[0] &= ~0x01;
+    }
+    this.replaceHeldItem('bucket');
+  }
+
+  /**
+   * position とその隣の溶岩のうち、水に触れているもの（真下の水は除く）を固める。溶岩源は黒曜石、流れている溶岩は丸石
+   */
+  mixFluids(position) {
+    for (const cell of [position, ...FACE_OFFSETS.map(offset => position.plus(offset))]) {
+      const block = this.world.getBlock(cell);
+      if (block.name !== 'lava') continue;
+      const touchesWater = FACE_OFFSETS.some((offset, face) =>
+        face !== 0 && this.world.getBlockName(cell.plus(offset)) === 'water');
+      if (!touchesWater) continue;
+      this.world.setBlock(cell, (block.getProperties().level || 0) === 0 ? 'obsidian' : 'cobblestone');
+    }
+  }
+
+  isWaterSource(position) {
+    const block = this.world.getBlock(position);
+    return block.name === 'water' && (block.getProperties().level || 0) === 0;
+  }
+
+  isRenewableWater(position) {
+    const neighbours = HORIZONTAL_OFFSETS.filter(offset => this.isWaterSource(position.plus(offset))).length;
+    const below = position.offset(0, -1, 0);
+    return neighbours >= 2 && (this.world.isSolid(below) || this.isWaterSource(below));
+  }
+
+  // 置いた水源の隣で、水源 2 つに挟まれた空きマスは水源になる
+  formWaterSources(position) {
+    for (const offset of HORIZONTAL_OFFSETS) {
+      const cell = position.plus(offset);
+      if (this.world.getBlockName(cell) === 'air' && this.isRenewableWater(cell)) {
+        this.world.setBlock(cell, 'water', { level: 0 });
+      }
+    }
+  }
+
+  fillHeldBucket(filled) {
+    const held = this.heldItem;
+    if (held.count > 1) {
+      this.consumeHeldItem(1);
+      this.giveOrDrop(filled, 1, this.entity.position);
+    } else {
+      this.replaceHeldItem(filled);
+    }
+  }
+
+  replaceHeldItem(name) {
+    const slot = HOTBAR_START + this.quickBarSlot;
+    this.inventory.updateSlot(slot, this.inventory.createItem(name, 1, slot));
+    this.emit('heldItemChanged', this.heldItem);
+  }
+
+  /**
+   * 使うのをやめる。引き絞った弓は矢を放ち、引き切ったクロスボウは矢を装填する
+   */
+  deactivateItem() {
+    const using = this.usingHeldItem;
+    const held = this.heldItem;
+    const charged = this.time.age - this.usingSince;
+    this.usingHeldItem = null;
+    if (using !== 'hand' || !held || this.inventory.count('arrow') === 0) return;
+
+    if (held.name === 'bow') {
+      const ratio = charged / BOW_CHARGE_TICKS;
+      const power = Math.min(1, (ratio * ratio + ratio * 2) / 3);
+      if (power < 0.1) return;
+      this.inventory.removeItem('arrow', 1);
+      this.shootArrow(power * BOW_SPEED, Math.ceil(power * BOW_SPEED * 2));
+    } else if (held.name === 'crossbow' && charged >= CROSSBOW_CHARGE_TICKS) {
+      this.inventory.removeItem('arrow', 1);
+      this.setCrossbowCharged(true);
+    }
+  }
+
+  static isCrossbowCharged(item) {
+    const value = item && item.nbt && item.nbt.value;
+    return !!value && !!value.Charged && value.Charged.value === 1;
+  }
+
+  setCrossbowCharged(charged) {
+    const slot = HOTBAR_START + this.quickBarSlot;
+    const nbt = { type: 'compound', name: '', value: { Charged: { type: 'byte', value: charged ? 1 : 0 } } };
+    this.inventory.updateSlot(slot, { ...this.heldItem, nbt });
+  }
+
+  /**
+   * 向いている方向へ矢を放つ。ブロックに当たるか、エンティティに当たるまで軌道を進める
+   * @returns {Object|null} 当たったエンティティ
+   */
+  shootArrow(speed, damage) {
+    let position = this.entity.position.offset(0, ARROW_LAUNCH_HEIGHT, 0);
+    const velocity = this.viewDirection().scaled(speed);
+    for (let tick = 0; tick < ARROW_FLIGHT_TICKS; tick++) {
+      const next = position.plus(velocity);
+      if (this.world.raycast(position, velocity, velocity.norm())) return null;
+      const hit = Object.values(this.entities).find(entity => entity !== this.entity && entity.type !== 'projectile' &&
+        entity.name !== 'item' && FakeBot.segmentHits(position, next, entity));
+      if (hit) {
+        this.hurtEntity(hit, damage);
+        return hit;
+      }
+      position = next;
+      velocity.x *= ARROW_DRAG;
+      velocity.y = velocity.y * ARROW_DRAG - ARROW_GRAVITY;
+      velocity.z *= ARROW_DRAG;
+    }
+    return null;
+  }
+
+  static segmentHits(from, to, entity) {
+    const half = (entity.width || 0.6) / 2 + 0.15;
+    for (let i = 0; i <= 10; i++) {
+      const point = from.plus(to.minus(from).scaled(i / 10));
+      if (Math.abs(point.x - entity.position.x) <= half && Math.abs(point.z - entity.position.z) <= half &&
+          point.y >= entity.position.y && point.y <= entity.position.y + (entity.height || 1.8) + 0.15) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // --- ベッド --------------------------------------------------------------
+
+  isABed(block) {
+    return !!block && /_bed$/.test(block.name);
+  }
+
+  /**
+   * mineflayer の bot.sleep 相当。失敗の例外メッセージも mineflayer に合わせる
+   */
+  async sleep(bedBlock) {
+    const bed = this.blockAt(bedBlock.position);
+    if (!EnvironmentObserver.canSleep(this)) throw new Error('it\'s not night and it\'s not a thunderstorm');
+    if (this.isSleeping) throw new Error('already sleeping');
+    if (!this.isABed(bed)) throw new Error('wrong block : not a bed block');
+    if (bed.getProperties().occupied) throw new Error('the bed is occupied');
+    if (this.entity.position.distanceTo(bed.position.offset(0.5, 0, 0.5)) > BED_REACH + 1) {
+      throw new Error('the bed is too far');
+    }
+    const monsters = Object.values(this.entities).filter(entity => entity.kind === 'Hostile mobs' &&
+      Math.abs(entity.position.x - bed.position.x) <= BED_MONSTER_RANGE &&
+      Math.abs(entity.position.z - bed.position.z) <= BED_MONSTER_RANGE &&
+      Math.abs(entity.position.y - bed.position.y) <= BED_MONSTER_HEIGHT);
+    if (monsters.length > 0) throw new Error('there are monsters nearby');
+
+    this.advanceTicks(1);
+    this.isSleeping = true;
+    this.sleepTicks = 0;
+    this.spawnPoint = bed.position.clone();
+    this.emit('sleep');
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  async wake() {
+    if (!this.isSleeping) throw new Error('already awake');
+    this.wakeUp();
+  }
+
+  wakeUp() {
+    if (!this.isSleeping) return;
+    this.isSleeping = false;
+    this.sleepTicks = 0;
+    this.emit('wake');
+  }
+
+  // --- 移動・視点 ----------------------------------------------------------
+
+  teleport(position) {
+    const previous = this.entity.position.clone();
+    this.entity.position = FakeWorld.toVec3(position);
+    this.entity.isInWater = this.world.getBlockName(this.entity.position.floored()) === 'water';
+    this.emit('move', previous);
+    this.temptAnimals(previous);
+    this.collectNearbyItems();
+  }
+
+  /**
+   * 好物を持って移動すると、元の位置から 10 ブロック以内の家畜が後ろについてくる
+   */
+  temptAnimals(previous) {
+    const held = this.heldItem;
+    if (!held) return;
+    const followers = Object.values(this.entities).filter(entity =>
+      Husbandry.foodFor(entity.name).includes(held.name) &&
+      entity.position.distanceTo(previous) <= Husbandry.TEMPT_RANGE);
+    followers.forEach((entity, index) => {
+      entity.position = this.entity.position.offset(((index % 3) - 1) * 0.8, 0, (Math.floor(index / 3) % 3 - 1) * 0.8);
+      this.emit('entityMoved', entity);
+    });
+  }
+
+  /**
+   * 空中に置いて落下させる。以降 tick ごとに落ち、落下距離はここから数える
+   */
+  drop(position) {
+    this.teleport(position);
+    this.entity.onGround = false;
+    this.entity.velocity = new Vec3(0, 0, 0);
+    this.fallDistance = 0;
+  }
+
+  // 1 tick 分の落下（跳んだ直後は上昇）。液体に入るか地面に着くと止まり、地面なら落下距離 - 3 のダメージを受ける
+  tickFall() {
+    const start = this.entity.position;
+    const velocity = this.entity.velocity;
+    const next = start.y + velocity.y;
+    velocity.y = (velocity.y - FALL_GRAVITY) * FALL_DRAG;
+
+    if (next > start.y) {
+      // 上昇中に天井へ頭が当たったら、そこで上昇をやめる
+      const head = new Vec3(Math.floor(start.x), Math.floor(next + PLAYER_HEIGHT), Math.floor(start.z));
+      const top = this.world.isSolid(head) ? head.y - PLAYER_HEIGHT : next;
+      if (top < next) velocity.y = 0;
+      this.teleport(new Vec3(start.x, Math.max(start.y, top), start.z));
+      return;
+    }
+
+    let landed = null;
+    for (let y = Math.floor(start.y); y >= Math.floor(next) && next < start.y && !landed; y--) {
+      const cell = new Vec3(Math.floor(start.x), y, Math.floor(start.z));
+      if (this.world.isLiquid(cell)) {
+        landed = { y: Math.max(next, y), liquid: true };
+      } else if (y + 1 <= start.y && this.world.isSolid(cell)) {
+        landed = { y: y + 1, liquid: false };
+      }
+    }
+
+    const y = landed ? landed.y : next;
+    this.fallDistance += start.y - y;
+    this.teleport(new Vec3(start.x, y, start.z));
+    if (!landed) return;
+
+    this.entity.onGround = true;
+    this.entity.velocity = new Vec3(0, 0, 0);
+    const damage = landed.liquid ? 0 : Math.ceil(this.fallDistance - SAFE_FALL_DISTANCE);
+    this.fallDistance = 0;
+    if (damage > 0) this.setHealth(this.health - damage);
+  }
+
+  // 足場が無くなった場合の落下と落下ダメージ
+  applyGravity() {
+    const start = this.entity.position;
+    let feet = start.floored();
+    while (feet.y > this.world.minY &&
+           !this.world.isSolid(feet.offset(0, -1, 0)) &&
+           !this.world.isLiquid(feet)) {
+      feet = feet.offset(0, -1, 0);
+    }
+    const distance = start.y - feet.y;
+    if (distance <= 0) return;
+
+    this.teleport(new Vec3(start.x, feet.y, start.z));
+    if (distance > 3 && !this.world.isLiquid(feet)) {
+      this.setHealth(this.health - (Math.floor(distance) - 3));
+    }
+  }
+
+  setHealth(value) {
+    this.health = Math.max(0, Math.min(20, value));
+    this.emit('health');
+    if (this.health <= 0) {
+      this.emit('death');
+    }
+  }
+
+  collectNearbyItems() {
+    for (const entity of Object.values(this.entities)) {
+      if (entity.name !== 'item' || !entity.item) continue;
+      if (entity.position.distanceTo(this.entity.position) > 1.5) continue;
+      const overflow = this.inventory.addItem(entity.item.name, entity.item.count);
+      if (overflow === 0) {
+        this.removeEntity(entity.id);
+        this.emit('playerCollect', this.entity, entity);
+      } else {
+        entity.item.count = overflow;
+      }
+    }
+  }
+
+  viewDirection() {
+    const { yaw, pitch } = this.entity;
+    return new Vec3(-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+  }
+
+  async lookAt(point, _force = false) {
+    const eye = this.entity.position.offset(0, this.entity.height, 0);
+    const delta = FakeWorld.toVec3(point).minus(eye);
+    const groundDistance = Math.sqrt(delta.x * delta.x + delta.z * delta.z);
+    this.entity.yaw = Math.atan2(-delta.x, -delta.z);
+    this.entity.pitch = Math.atan2(delta.y, groundDistance);
+  }
+
+  async look(yaw, pitch, _force = false) {
+    this.entity.yaw = yaw;
+    this.entity.pitch = pitch;
+  }
+
+  setControlState(control, state) {
+    this.controlState[control] = state;
+    // 地面で跳ぶと上向きの速度が付き、以降は tickFall が上げ下げする
+    if (control === 'jump' && state && this.entity.onGround) {
+      this.entity.onGround = false;
+      this.entity.velocity = new Vec3(0, JUMP_VELOCITY, 0);
+      this.fallDistance = 0;
+    }
+  }
+
+  getControlState(control) {
+    return !!this.controlState[control];
+  }
+
+  clearControlStates() {
+    this.controlState = {};
+  }
+
+  // --- エンティティ --------------------------------------------------------
+
+  /**
+   * エンティティを追加する
+   * @param {string} name - minecraft-data のエンティティ名 ('cow', 'zombie', 'item' など)
+   * @param {Object} extra - health, drops, item などの上書き
+   */
+  addEntity(name, position, extra = {}) {
+    const def = this.registry.entitiesByName[name];
+    if (!def) throw new Error(`Unknown entity: ${name}`);
+
+    const id = this.nextEntityId++;
+    const entity = {
+      id,
+      name: def.name,
+      displayName: def.displayName,
+      type: def.type,
+      kind: def.category,
+      position: FakeWorld.toVec3(position),
+      velocity: new Vec3(0, 0, 0),
+      yaw: 0,
+      pitch: 0,
+      height: def.height,
+      width: def.width,
+      health: def.type === 'hostile' ? 20 : 10,
+      metadata: [],
+      onGround: true,
+      isValid: true,
+      ...extra
+    };
+    if (name === 'item') {
+      entity.getDroppedItem = () => entity.item;
+    }
+
+    this.entities[id] = entity;
+    this.emit('entitySpawn', entity);
+    return entity;
+  }
+
+  addPlayer(username, position) {
+    const entity = this.addEntity('player', position, { username, type: 'player' });
+    this.players[username] = { username, entity, ping: 0 };
+    this.emit('playerJoined', this.players[username]);
+    return entity;
+  }
+
+  removeEntity(id) {
+    const entity = this.entities[id];
+    if (!entity) return;
+    entity.isValid = false;
+    delete this.entities[id];
+    if (entity.username) delete this.players[entity.username];
+    this.emit('entityGone', entity);
+  }
+
+  nearestEntity(match = () => true) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const entity of Object.values(this.entities)) {
+      if (entity === this.entity || !match(entity)) continue;
+      const distance = entity.position.distanceTo(this.entity.position);
+      if (distance < bestDistance) {
+        best = entity;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * エンティティを右クリックする。好物なら繁殖（両親が近くで発情すると子供が生まれる）、
+   * 鋏なら羊の毛刈り
+   */
+  async activateEntity(entity) {
+    const target = entity && this.entities[entity.id];
+    this.advanceTicks(1);
+    const held = this.heldItem;
+    if (target && held && target.position.distanceTo(this.entity.position) <= REACH) {
+      if (held.name === 'shears' && target.name === 'sheep') {
+        this.shearSheep(target);
+      } else if (held.name === 'bucket' && MILKABLE.has(target.name) && !Husbandry.isBaby(target)) {
+        this.fillHeldBucket('milk_bucket');
+      } else if (Husbandry.foodFor(target.name).includes(held.name)) {
+        this.feedAnimal(target);
+      }
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  feedAnimal(animal) {
+    const now = this.time.age;
+    if (Husbandry.isBaby(animal) || now < (animal.breedReadyAt || 0) || now < (animal.inLoveUntil || 0)) return;
+    this.consumeHeldItem();
+    animal.inLoveUntil = now + LOVE_TICKS;
+
+    const partner = Object.values(this.entities).find(other => other !== animal && other.name === animal.name &&
+      now < (other.inLoveUntil || 0) && other.position.distanceTo(animal.position) <= BREED_PARTNER_RANGE);
+    if (!partner) return;
+    for (const parent of [animal, partner]) {
+      parent.inLoveUntil = 0;
+      parent.breedReadyAt = now + Husbandry.BREED_COOLDOWN_TICKS;
+    }
+    const baby = this.addEntity(animal.name, animal.position.plus(partner.position).scaled(0.5), { bornAt: now });
+    baby.metadata[Husbandry.BABY_METADATA] = true;
+  }
+
+  shearSheep(sheep) {
+    if (Husbandry.isBaby(sheep) || Husbandry.isSheared(sheep)) return;
+    sheep.metadata[Husbandry.WOOL_METADATA] = (sheep.metadata[Husbandry.WOOL_METADATA] || 0) | Husbandry.SHEARED_FLAG;
+    this.addEntity('item', sheep.position.clone(), { item: { name: 'white_wool', count: SHEARED_WOOL } });
+    this.damageHeldTool();
+  }
+
+  attack(entity) {
+    if (!entity || !this.entities[entity.id]) return;
+    if (entity.position.distanceTo(this.entity.position) > 4) return;
+
+    const held = this.heldItem;
+    this.hurtEntity(entity, (held && WEAPON_DAMAGE[held.name]) || 1);
+  }
+
+  hurtEntity(entity, damage) {
+    entity.health -= damage;
+    this.emit('entityHurt', entity);
+
+    if (entity.health <= 0) {
+      this.emit('entityDead', entity);
+      const drops = entity.drops || DEFAULT_ENTITY_DROPS[entity.name] || [];
+      for (const drop of drops) {
+        this.giveOrDrop(drop.name, drop.count, entity.position.floored());
+      }
+      this.removeEntity(entity.id);
+    }
+  }
+
+  // --- チャット・接続 ------------------------------------------------------
+
+  chat(message) {
+    this.chatLog.push({ tick: this.time.age, message });
+  }
+
+  whisper(username, message) {
+    this.chatLog.push({ tick: this.time.age, message, to: username });
+  }
+
+  /**
+   * 他プレイヤーからのチャット受信をシミュレートする
+   */
+  receiveChat(username, message) {
+    this.emit('chat', username, message);
+  }
+
+  loadPlugin(plugin) {
+    this.plugins.push(plugin);
+  }
+
+  hasPlugin(plugin) {
+    return this.plugins.includes(plugin);
+  }
+
+  quit(reason = 'disconnect.quitting') {
+    this._client.socket.destroy();
+    this.emit('end', reason);
+  }
+
+  end(reason) {
+    this.quit(reason);
+  }
+}
+
+module.exports = { FakeBot, FakeInventory, FakePathfinder };
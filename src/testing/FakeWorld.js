@@ -0,0 +1,281 @@
+/**
+ * FakeWorld - テスト用インメモリ・ボクセルワールド
+ * mineflayer の bot.world / bot.blockAt 相当の最小実装。
+ * 未設定の座標はすべて air として扱い、ブロックは minecraft-data の定義から生成する。
+ */
+
+const { Vec3 } = require('vec3');
+
+const LIQUIDS = new Set(['water', 'lava']);
+
+class FakeWorld {
+  /**
+   * @param {string|Object} version - Minecraftバージョン文字列、または minecraft-data インスタンス
+   */
+  constructor(version = '1.20.1') {
+    this.mcData = typeof version === 'string' ? require('minecraft-data')(version) : version;
+    this.blocks = new Map(); // "x,y,z" -> { name, properties }
+    this.minY = -64;
+    this.maxY = 319;
+  }
+
+  static key(x, y, z) {
+    return `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
+  }
+
+  static toVec3(pos) {
+    if (Array.isArray(pos)) return new Vec3(pos[0], pos[1], pos[2]);
+    return new Vec3(pos.x, pos.y, pos.z);
+  }
+
+  setBlock(pos, name, properties = {}) {
+    const p = FakeWorld.toVec3(pos).floored();
+    if (!name || name === 'air') {
+      this.blocks.delete(FakeWorld.key(p.x, p.y, p.z));
+      return;
+    }
+    if (!this.mcData.blocksByName[name]) {
+      throw new Error(`Unknown block: ${name}`);
+    }
+    this.blocks.set(FakeWorld.key(p.x, p.y, p.z), { name, properties: { ...properties } });
+  }
+
+  removeBlock(pos) {
+    this.setBlock(pos, 'air');
+  }
+
+  getBlockName(pos) {
+    const entry = this.blocks.get(FakeWorld.key(pos.x, pos.y, pos.z));
+    return entry ? entry.name : 'air';
+  }
+
+  setBlockProperties(pos, properties) {
+    const entry = this.blocks.get(FakeWorld.key(pos.x, pos.y, pos.z));
+    if (entry) {
+      entry.properties = { ...entry.properties, ...properties };
+    }
+  }
+
+  getBlock(pos) {
+    const p = FakeWorld.toVec3(pos).floored();
+    const entry = this.blocks.get(FakeWorld.key(p.x, p.y, p.z)) || { name: 'air', properties: {} };
+    return this.createBlock(p, entry);
+  }
+
+  // prismarine-block 互換の最小ブロックオブジェクトを生成
+  createBlock(position, entry) {
+    const def = this.mcData.blocksByName[entry.name];
+    const properties = this.resolveProperties(def, entry.properties);
+    const metadata = this.stateIndex(def, properties);
+
+    return {
+      type: def.id,
+      name: def.name,
+      displayName: def.displayName,
+      position,
+      metadata,
+      stateId: def.minStateId + metadata,
+      hardness: def.hardness,
+      diggable: def.diggable,
+      material: def.material,
+      harvestTools: def.harvestTools,
+      drops: def.drops || [],
+      boundingBox: def.boundingBox,
+      transparent: def.transparent,
+      getProperties: () => ({ ...properties })
+    };
+  }
+
+  // 未指定のプロパティは defaultState から補完する
+  resolveProperties(def, overrides = {}) {
+    const states = def.states || [];
+    if (states.length === 0) return {};
+
+    const defaults = this.decodeStateIndex(def, def.defaultState - def.minStateId);
+    return { ...defaults, ...overrides };
+  }
+
+  decodeStateIndex(def, index) {
+    const states = def.states || [];
+    const result = {};
+    let remaining = index;
+    for (let i = states.length - 1; i >= 0; i--) {
+      const state = states[i];
+      const valueIndex = remaining % state.num_values;
+      remaining = Math.floor(remaining / state.num_values);
+      result[state.name] = this.stateValue(state, valueIndex);
+    }
+    return result;
+  }
+
+  stateIndex(def, properties) {
+    const states = def.states || [];
+    let index = 0;
+    for (const state of states) {
+      index = index * state.num_values + this.stateValueIndex(state, properties[state.name]);
+    }
+    return index;
+  }
+
+  stateValue(state, valueIndex) {
+    if (state.type === 'bool') return valueIndex === 0;
+    const raw = state.values ? state.values[valueIndex] : valueIndex;
+    return state.type === 'int' ? parseInt(raw, 10) : raw;
+  }
+
+  stateValueIndex(state, value) {
+    if (value === undefined) return 0;
+    if (state.type === 'bool') return value ? 0 : 1;
+    if (!state.values) return Number(value) || 0;
+    const idx = state.values.indexOf(String(value));
+    return idx === -1 ? 0 : idx;
+  }
+
+  isSolid(pos) {
+    const name = this.getBlockName(pos);
+    if (name === 'air' || this.isOpenGate(pos)) return false;
+    return this.mcData.blocksByName[name].boundingBox === 'block';
+  }
+
+  // 開いたフェンスゲートは当たり判定がない
+  isOpenGate(pos) {
+    const entry = this.blocks.get(FakeWorld.key(pos.x, pos.y, pos.z));
+    return !!entry && /_fence_gate$/.test(entry.name) && entry.properties.open === true;
+  }
+
+  isLiquid(pos) {
+    return LIQUIDS.has(this.getBlockName(pos));
+  }
+
+  // 体が通り抜けられるか（液体は通過可能として扱う）
+  isPassable(pos) {
+    const name = this.getBlockName(pos);
+    if (name === 'air') return true;
+    if (LIQUIDS.has(name) || this.isOpenGate(pos)) return true;
+    return this.mcData.blocksByName[name].boundingBox === 'empty';
+  }
+
+  // 足元が立てる位置か
+  isStandable(pos) {
+    const below = pos.offset(0, -1, 0);
+    return this.isPassable(pos) &&
+      this.isPassable(pos.offset(0, 1, 0)) &&
+      (this.isSolid(below) || this.getBlockName(pos) === 'water');
+  }
+
+  * positions() {
+    for (const [key, entry] of this.blocks) {
+      const [x, y, z] = key.split(',').map(Number);
+      yield { position: new Vec3(x, y, z), entry };
+    }
+  }
+
+  fill(from, to, name, properties = {}) {
+    const a = FakeWorld.toVec3(from);
+    const b = FakeWorld.toVec3(to);
+    for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) {
+      for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) {
+        for (let z = Math.min(a.z, b.z); z <= Math.max(a.z, b.z); z++) {
+          this.setBlock(new Vec3(x, y, z), name, properties);
+        }
+      }
+    }
+  }
+
+  /**
+   * 平坦な地面を生成する
+   * @param {Object} options - { y, radius, center, top, filler, fillerDepth, base, baseDepth }
+   *        y は地表ブロックの高さ。ボットは y + 1 に立つ
+   */
+  createFlatGround(options = {}) {
+    const {
+      y = 63,
+      radius = 16,
+      center = { x: 0, z: 0 },
+      top = 'grass_block',
+      filler = 'dirt',
+      fillerDepth = 3,
+      base = 'stone',
+      baseDepth = 4
+    } = options;
+
+    for (let x = center.x - radius; x <= center.x + radius; x++) {
+      for (let z = center.z - radius; z <= center.z + radius; z++) {
+        this.setBlock(new Vec3(x, y, z), top);
+        for (let d = 1; d <= fillerDepth; d++) {
+          this.setBlock(new Vec3(x, y - d, z), filler);
+        }
+        for (let d = 1; d <= baseDepth; d++) {
+          this.setBlock(new Vec3(x, y - fillerDepth - d, z), base);
+        }
+      }
+    }
+  }
+
+  /**
+   * 木を1本生成する。base は幹の最下段の座標
+   */
+  addTree(base, options = {}) {
+    const { log = 'oak_log', leaves = 'oak_leaves', height = 4 } = options;
+    const origin = FakeWorld.toVec3(base).floored();
+
+    for (let dy = 0; dy < height; dy++) {
+      this.setBlock(origin.offset(0, dy, 0), log);
+    }
+
+    if (!leaves) return;
+    const top = origin.offset(0, height - 1, 0);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dy = 0; dy <= 1; dy++) {
+          const pos = top.offset(dx, dy, dz);
+          if (this.getBlockName(pos) === 'air') {
+            this.setBlock(pos, leaves, { persistent: true });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * 単純なレイキャスト。最初に当たった非通過ブロックと面を返す
+   */
+  raycast(from, direction, range, matcher = null) {
+    const step = 0.05;
+    const dir = direction.clone().normalize();
+    let previous = from.floored();
+
+    for (let t = 0; t <= range; t += step) {
+      const point = from.plus(dir.scaled(t));
+      const cell = point.floored();
+      if (cell.equals(previous) && t > 0) continue;
+
+      const name = this.getBlockName(cell);
+      const hit = matcher
+        ? matcher(this.getBlock(cell))
+        : (name !== 'air' && !LIQUIDS.has(name));
+
+      if (hit) {
+        const block = this.getBlock(cell);
+        block.face = this.faceBetween(previous, cell);
+        block.intersect = point;
+        return block;
+      }
+      previous = cell;
+    }
+    return null;
+  }
+
+  // mineflayer の face 番号 (0:-y 1:+y 2:-z 3:+z 4:-x 5:+x)
+  faceBetween(from, to) {
+    const d = from.minus(to);
+    if (d.y < 0) return 0;
+    if (d.y > 0) return 1;
+    if (d.z < 0) return 2;
+    if (d.z > 0) return 3;
+    if (d.x < 0) return 4;
+    return 5;
+  }
+}
+
+module.exports = { FakeWorld };
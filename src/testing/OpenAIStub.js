@@ -0,0 +1,313 @@
+/**
+ * OpenAIStub - OpenAI SDK 互換のインプロセス・スタブ
+ * client.chat.completions.create() と同じ形のレスポンス (content / tool_calls) を返す。
+ * 応答はプロンプトにマッチしたフィクスチャ、なければルールベースで生成するため、
+ * NLU・スキル生成・カリキュラム生成・分析の経路を決定的にテストできる。
+ *
+ * フィクスチャ形式 (JSON ファイルまたは addFixture):
+ * {
+ *   "match": "洞窟",                 // 正規表現文字列 / RegExp / (params) => boolean
+ *   "role": "user",                  // マッチ対象のメッセージ (user | system | any, default user)
+ *   "tool_call": { "name": "explore", "arguments": { "target": "cave" } }
+ *   // または "content": "..."
+ * }
+ */
+
+const fs = require('fs');
+
+// ルールベースNLUで使うブロック名の対応表（日本語 → ブロックID）
+const BLOCK_WORDS = [
+  [/ダイヤ|diamond/i, 'diamond_ore'],
+  [/鉄|iron/i, 'iron_ore'],
+  [/石炭|coal/i, 'coal_ore'],
+  [/銅|copper/i, 'copper_ore'],
+  [/丸石|cobble/i, 'cobblestone'],
+  [/石|stone/i, 'stone'],
+  [/砂利|gravel/i, 'gravel'],
+  [/砂|sand/i, 'sand'],
+  [/土|dirt/i, 'dirt']
+];
+
+class OpenAIStub {
+  /**
+   * @param {Object} options
+   *        ├─ fixtures      フィクスチャの配列
+   *        ├─ fixturesPath  フィクスチャJSONファイルのパス
+   *        └─ latencyMs     応答までの遅延 (default 0)
+   */
+  constructor(options = {}) {
+    this.fixtures = [];
+    this.calls = [];
+    this.latencyMs = options.latencyMs || 0;
+    this.responseCounter = 0;
+
+    if (options.fixturesPath) {
+      this.loadFixtures(options.fixturesPath);
+    }
+    for (const fixture of options.fixtures || []) {
+      this.addFixture(fixture);
+    }
+
+    // OpenAI SDK と同じ呼び出し形: client.chat.completions.create(params)
+    this.chat = {
+      completions: {
+        create: (params) => this.createChatCompletion(params)
+      }
+    };
+  }
+
+  addFixture(fixture) {
+    const match = typeof fixture.match === 'string' ? new RegExp(fixture.match, 'i') : fixture.match;
+    this.fixtures.push({ role: 'user', ...fixture, match });
+    return this;
+  }
+
+  loadFixtures(filePath) {
+    const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const fixture of fixtures) {
+      this.addFixture(fixture);
+    }
+    return this;
+  }
+
+  reset() {
+    this.fixtures = [];
+    this.calls = [];
+    this.responseCounter = 0;
+  }
+
+  async createChatCompletion(params = {}) {
+    if (!Array.isArray(params.messages) || params.messages.length === 0) {
+      const error = new Error('messages is required');
+      error.status = 400;
+      throw error;
+    }
+
+    this.calls.push(params);
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    const fixture = this.fixtures.find(f => this.matches(f, params));
+    const reply = fixture ? this.fromFixture(fixture, params) : this.generate(params);
+    return this.buildResponse(params, reply);
+  }
+
+  matches(fixture, params) {
+    if (typeof fixture.match === 'function') {
+      return fixture.match(params);
+    }
+    const text = this.messageText(params, fixture.role);
+    return fixture.match.test(text);
+  }
+
+  fromFixture(fixture, params) {
+    if (typeof fixture.respond === 'function') {
+      return fixture.respond(params);
+    }
+    if (fixture.tool_call) {
+      return { toolCalls: [fixture.tool_call] };
+    }
+    if (fixture.tool_calls) {
+      return { toolCalls: fixture.tool_calls };
+    }
+    return { content: fixture.content ?? '' };
+  }
+
+  messageText(params, role = 'user') {
+    const messages = role === 'any'
+      ? params.messages
+      : params.messages.filter(m => m.role === role);
+    return messages.map(m => (typeof m.content === 'string' ? m.content : '')).join('\n');
+  }
+
+  buildResponse(params, reply) {
+    const id = `chatcmpl-stub-${++this.responseCounter}`;
+    const message = { role: 'assistant', content: reply.content ?? null };
+    let finishReason = 'stop';
+
+    if (reply.toolCalls && reply.toolCalls.length > 0) {
+      message.tool_calls = reply.toolCalls.map((call, index) => ({
+        id: `call_stub_${this.responseCounter}_${index}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string'
+            ? call.arguments
+            : JSON.stringify(call.arguments || {})
+        }
+      }));
+      finishReason = 'tool_calls';
+    }
+
+    const promptText = this.messageText(params, 'any');
+    const completionText = message.content || JSON.stringify(message.tool_calls || []);
+    const promptTokens = Math.ceil(promptText.length / 4);
+    const completionTokens = Math.ceil(completionText.length / 4);
+
+    return {
+      id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: params.model || 'stub',
+      choices: [{ index: 0, message, finish_reason: finishReason, logprobs: null }],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  // --- ルールベース応答 -----------------------------------------------------
+
+  generate(params) {
+    const system = this.messageText(params, 'system');
+    const user = this.messageText(params, 'user');
+
+    if (Array.isArray(params.tools) && params.tools.length > 0) {
+      return this.generateToolCall(user, params.tools);
+    }
+    if (/curriculum/i.test(system) || /curriculum/i.test(user)) {
+      return { content: this.generateCurriculum(user) };
+    }
+    if (/skill/i.test(system) || /executeTask|JavaScript function/i.test(user)) {
+      return { content: this.generateSkillCode(user) };
+    }
+    if (/failure|analy/i.test(system)) {
+      return { content: 'Check required materials and tools before starting, and retry movement with a closer goal.' };
+    }
+    return { content: 'OK' };
+  }
+
+  /**
+   * 日本語/英語の指示からツール呼び出しを推定する。該当なしなら通常メッセージを返す
+   */
+  generateToolCall(text, tools) {
+    const available = new Set(tools.map(t => t.function && t.function.name));
+    const numbers = (text.match(/-?\d+/g) || []).map(Number);
+    const countMatch = text.match(/(\d+)\s*(個|本|つ|x|blocks?)/i);
+    const count = countMatch ? Number(countMatch[1]) : undefined;
+
+    // ツール名・引数は SkillLibrary の paramSchema から生成された定義に合わせる
+    const candidates = [
+      {
+        name: 'stop_task',
+        test: /止ま|止め|やめ|ストップ|\bstop\b/i,
+        args: () => ({})
+      },
+      {
+        name: 'move_to',
+        test: () => numbers.length >= 3 && /行|移動|向か|go\s*to|move/i.test(text),
+        args: () => ({ x: numbers[0], y: numbers[1], z: numbers[2] })
+      },
+      {
+        name: 'follow',
+        test: /ついて|追いかけ|追跡|follow/i,
+        args: () => {
+          const player = text.match(/([A-Za-z0-9_]{3,16})\s*(さん|に|を)?/);
+          return { target: player ? player[1] : 'player' };
+        }
+      },
+      {
+        name: 'craft_tools',
+        test: () => /作って|作る|クラフト|craft|make/i.test(text) &&
+          /pickaxe|axe|sword|shovel|hoe|ツルハシ|つるはし|斧|剣/i.test(text),
+        args: () => {
+          const tool = text.match(/\b([a-z]+_(?:pickaxe|axe|sword|shovel|hoe))\b/);
+          return { tools: [tool ? tool[1] : 'wooden_pickaxe'] };
+        }
+      },
+      {
+        name: 'craft_with_workbench',
+        test: /作って|作る|クラフト|craft|make/i,
+        args: () => {
+          const words = (text.match(/[a-z_]+/g) || []).filter(w => !/^(craft|make|a|an|the|please)$/.test(w));
+          return { itemName: words.length > 0 ? words.pop() : 'crafting_table', ...(count ? { count } : {}) };
+        }
+      },
+      {
+        name: 'gather_wood',
+        test: /木|原木|wood|log/i,
+        args: () => (count ? { amount: count } : {})
+      },
+      {
+        name: 'mine_block',
+        test: /掘|採掘|mine|dig/i,
+        args: () => {
+          const block = BLOCK_WORDS.find(([pattern]) => pattern.test(text));
+          return { blockType: block ? block[1] : 'stone', ...(count ? { amount: count } : {}) };
+        }
+      },
+      {
+        name: 'explore',
+        test: /探検|探索|探し|explore/i,
+        args: () => {
+          let objective = 'general';
+          if (/洞窟|cave/i.test(text)) objective = 'cave';
+          else if (/地下|underground/i.test(text)) objective = 'underground';
+          else if (/地上|surface/i.test(text)) objective = 'surface';
+          return { objective };
+        }
+      },
+      {
+        name: 'check_inventory',
+        test: /インベントリ|持ち物|inventory/i,
+        args: () => ({})
+      },
+      {
+        name: 'get_status',
+        test: /状態|ステータス|体力|status|health/i,
+        args: () => ({})
+      }
+    ];
+
+    for (const candidate of candidates) {
+      if (!available.has(candidate.name)) continue;
+      const hit = typeof candidate.test === 'function' ? candidate.test() : candidate.test.test(text);
+      if (hit) {
+        return { toolCalls: [{ name: candidate.name, arguments: candidate.args() }] };
+      }
+    }
+
+    return { content: 'すみません、指示を理解できませんでした。' };
+  }
+
+  generateSkillCode(prompt) {
+    const taskMatch = prompt.match(/Task:\s*([\w-]+)/);
+    const taskType = taskMatch ? taskMatch[1] : 'unknown';
+
+    return [
+      '```javascript',
+      'async function executeTask(bot, params) {',
+      '  try {',
+      `    return { success: true, result: 'stub skill for ${taskType}', params };`,
+      '  } catch (error) {',
+      '    return { success: false, error: error.message };',
+      '  }',
+      '}',
+      '```'
+    ].join('\n');
+  }
+
+  generateCurriculum(prompt) {
+    const skillsMatch = prompt.match(/Current bot skills:\s*(.*)/);
+    const known = new Set(skillsMatch ? skillsMatch[1].split(',').map(s => s.trim()) : []);
+    const progression = [
+      { type: 'gather_wood', description: 'Collect wood resources', difficulty: 2 },
+      { type: 'craft_tools', description: 'Craft basic tools', difficulty: 3 },
+      { type: 'mine_block', description: 'Mine stone for better tools', difficulty: 4 },
+      { type: 'find_food', description: 'Secure a food source', difficulty: 5 },
+      { type: 'explore', description: 'Explore the surrounding area', difficulty: 6 },
+      { type: 'build_shelter', description: 'Build a simple shelter', difficulty: 7 }
+    ];
+    // 未習得のスキルを優先して5件返す
+    const ordered = [
+      ...progression.filter(task => !known.has(task.type)),
+      ...progression.filter(task => known.has(task.type))
+    ];
+    return JSON.stringify(ordered.slice(0, 5), null, 2);
+  }
+}
+
+module.exports = { OpenAIStub };
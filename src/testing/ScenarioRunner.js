@@ -0,0 +1,321 @@
+/**
+ * ScenarioRunner - スクリプト化したワールドで MinecraftAI をエンドツーエンドに実行する
+ * FakeBot 上に MinecraftAI を構築し、mainLoopIteration() を仮想クロック (bot の tick) で駆動して
+ * 期待条件の達成可否とタスクのタイムラインを報告する。
+ * 期待条件は tick ごとに評価し、初めて満たした tick を達成時刻にする。スキルが例外を投げたシナリオは失敗にする。
+ *
+ * シナリオ形式 (JSON / YAML):
+ * {
+ *   "name": "forest_wooden_pickaxe",
+ *   "world": {
+ *     "version": "1.20.1",
+ *     "ground": { "y": 63, "radius": 20 },
+ *     "trees": [{ "at": [4, 64, 2], "log": "oak_log", "height": 4 }],
+ *     "blocks": [{ "at": [0, 62, 5], "name": "stone" }],
+ *     "fill": [{ "from": [..], "to": [..], "name": "stone" }],
+ *     "entities": [{ "name": "cow", "at": [6, 64, 6] }]
+ *   },
+ *   "bot": { "position": [0.5, 64, 0.5], "inventory": [{ "name": "stick", "count": 2 }], "food": 20 },
+ *   "goals": [{ "type": "gather_wood", "priority": 1 }],   // 省略時は MinecraftAI の初期ゴール
+ *   "expect": { "inventory": { "wooden_pickaxe": 1 }, "withinTicks": 200 }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FakeBot } = require('./FakeBot');
+const { FakeWorld } = require('./FakeWorld');
+const { PathfindingCache } = require('../PathfindingCache');
+const { Logger } = require('../utils/Logger');
+
+const MS_PER_TICK = 50;
+
+class ScenarioRunner {
+  /**
+   * @param {Object} options
+   *        ├─ maxIterations  ループ回数の上限 (default 500)
+   *        └─ verbose        true の場合 AI のログを抑制しない
+   */
+  constructor(options = {}) {
+    this.maxIterations = options.maxIterations || 500;
+    this.verbose = options.verbose === true;
+    this.logger = Logger.createLogger('ScenarioRunner');
+  }
+
+  static loadScenario(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    let scenario;
+    if (ext === '.yaml' || ext === '.yml') {
+      scenario = require('js-yaml').load(text);
+    } else {
+      scenario = JSON.parse(text);
+    }
+
+    if (!scenario.name) {
+      scenario.name = path.basename(filePath, ext);
+    }
+    return scenario;
+  }
+
+  static listScenarioFiles(target) {
+    const stat = fs.statSync(target);
+    if (!stat.isDirectory()) return [target];
+
+    return fs.readdirSync(target)
+      .filter(file => /\.(json|ya?ml)$/i.test(file))
+      .sort()
+      .map(file => path.join(target, file));
+  }
+
+  buildWorld(spec = {}) {
+    const world = new FakeWorld(spec.version || '1.20.1');
+
+    if (spec.ground) {
+      world.createFlatGround(spec.ground);
+    }
+    for (const fill of spec.fill || []) {
+      world.fill(fill.from, fill.to, fill.name, fill.properties);
+    }
+    for (const tree of spec.trees || []) {
+      world.addTree(tree.at, tree);
+    }
+    for (const block of spec.blocks || []) {
+      world.setBlock(block.at, block.name, block.properties);
+    }
+
+    return world;
+  }
+
+  buildBot(scenario) {
+    const world = this.buildWorld(scenario.world);
+    const bot = new FakeBot({
+      version: world.mcData.version.minecraftVersion,
+      username: 'ScenarioBot',
+      world,
+      ...scenario.bot
+    });
+
+    for (const entity of (scenario.world && scenario.world.entities) || []) {
+      const { name, at, ...extra } = entity;
+      bot.addEntity(name, at, extra);
+    }
+
+    return bot;
+  }
+
+  /**
+   * 期待条件を評価する。未達成の条件を配列で返す
+   */
+  evaluate(bot, expect, timeline) {
+    const unmet = [];
+
+    for (const entry of timeline) {
+      if (entry.event === 'task_end' && entry.exception) unmet.push(`task ${entry.task} threw: ${entry.reason}`);
+    }
+
+    for (const [item, count] of Object.entries(expect.inventory || {})) {
+      const have = bot.inventory.count(item);
+      if (have < count) unmet.push(`inventory ${item}: ${have}/${count}`);
+    }
+
+    for (const taskType of expect.tasksCompleted || []) {
+      const done = timeline.some(e => e.event === 'task_end' && e.task === taskType && e.success);
+      if (!done) unmet.push(`task ${taskType} not completed`);
+    }
+
+    if (expect.position) {
+      const target = FakeWorld.toVec3(expect.position.at);
+      const distance = bot.entity.position.distanceTo(target);
+      if (distance > (expect.position.within || 2)) {
+        unmet.push(`position: ${distance.toFixed(1)} blocks from ${target}`);
+      }
+    }
+
+    return unmet;
+  }
+
+  /**
+   * シナリオを1件実行する
+   * @returns {Promise<Object>} { name, passed, ticks, iterations, unmet, timeline, inventory }
+   */
+  async run(scenario) {
+    // 遅延読み込み: MinecraftAI は多数のモジュールを読み込むため
+    const { MinecraftAI } = require('../MinecraftAI');
+
+    const expect = scenario.expect || {};
+    const withinTicks = expect.withinTicks || Infinity;
+    const maxIterations = scenario.maxIterations || this.maxIterations;
+    const bot = this.buildBot(scenario);
+    const startTick = bot.time.age;
+    const elapsed = () => bot.time.age - startTick;
+    const timeline = [];
+
+    const restore = this.isolateRun(scenario.seed ?? 1);
+    const pathfindingCache = new PathfindingCache();
+    const ai = new MinecraftAI(bot, null, null, pathfindingCache);
+    // シナリオの結果が保存済みスキルに左右されないようにする
+    ai.skillStore = null;
+
+    // 仮想クロック: AIの待機は実時間ではなく tick を進める
+    ai.sleep = async (ms) => {
+      bot.advanceTicks(Math.ceil(ms / MS_PER_TICK));
+    };
+
+    this.recordTimeline(ai, timeline, elapsed);
+
+    let iterations = 0;
+    let unmet = [];
+    let passed = false;
+    // スキルの途中で条件を満たしたら、その tick を記録して実行中のタスクを止める
+    let metAt = null;
+    const onTick = () => {
+      if (metAt !== null || this.evaluate(bot, expect, timeline).length > 0) return;
+      metAt = elapsed();
+      ai.cancelCurrentTask('scenario_end');
+    };
+    bot.on('physicsTick', onTick);
+
+    try {
+      await ai.initialize({ startLoop: false });
+      if (Array.isArray(scenario.goals)) {
+        ai.goals = scenario.goals.map(goal => ({ ...goal }));
+      }
+
+      while (iterations < maxIterations && elapsed() <= withinTicks) {
+        await ai.mainLoopIteration();
+        await ai.sleep(ai.calculateAdaptiveSleep());
+        iterations++;
+
+        unmet = this.evaluate(bot, expect, timeline);
+        if (unmet.some(reason => reason.includes(' threw: '))) break;
+        if (unmet.length === 0 || metAt !== null) {
+          unmet = [];
+          passed = (metAt ?? elapsed()) <= withinTicks;
+          break;
+        }
+      }
+    } catch (error) {
+      unmet = [`runner error: ${error.message}`];
+    } finally {
+      bot.removeListener('physicsTick', onTick);
+      ai.shutdown('scenario_end');
+      pathfindingCache.shutdown();
+      restore();
+    }
+
+    if (!passed && unmet.length === 0) {
+      unmet = [`exceeded ${withinTicks} ticks`];
+    } else if (!passed && elapsed() > withinTicks) {
+      unmet.push(`exceeded ${withinTicks} ticks`);
+    }
+
+    const ticks = passed && metAt !== null ? metAt : elapsed();
+    timeline.push({ tick: ticks, event: passed ? 'passed' : 'failed' });
+
+    return {
+      name: scenario.name,
+      passed,
+      ticks,
+      iterations,
+      unmet,
+      timeline,
+      inventory: bot.inventory.items().map(item => ({ name: item.name, count: item.count }))
+    };
+  }
+
+  recordTimeline(ai, timeline, elapsed) {
+    let openTask = null;
+
+    ai.stateManager.subscribe('ScenarioRunner', (updates, changedKeys) => {
+      if (changedKeys.has('completedTasks') && openTask) {
+        const completed = updates.completedTasks[updates.completedTasks.length - 1];
+        const result = completed ? completed.result || {} : {};
+        timeline.push({
+          tick: elapsed(),
+          event: 'task_end',
+          task: openTask,
+          success: result.success === true,
+          reason: result.success ? undefined : (result.reason || result.error),
+          exception: result.exception === true || undefined
+        });
+        openTask = null;
+      }
+
+      if (changedKeys.has('currentTask')) {
+        const task = updates.currentTask;
+        if (task && task.type !== openTask) {
+          openTask = task.type;
+          timeline.push({ tick: elapsed(), event: 'task_start', task: task.type, params: task.params });
+        } else if (!task && openTask) {
+          timeline.push({ tick: elapsed(), event: 'task_end', task: openTask, success: false, reason: 'aborted' });
+          openTask = null;
+        }
+      }
+    }, ['currentTask', 'completedTasks']);
+  }
+
+  /**
+   * 実行中のみ Math.random をシード付きにし、verbose でなければログ出力を抑制する。
+   * 元に戻す関数を返す
+   */
+  isolateRun(seed) {
+    const originalRandom = Math.random;
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+
+    let state = seed >>> 0 || 1;
+    Math.random = () => {
+      // mulberry32
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    if (!this.verbose) {
+      console.log = () => {};
+      console.warn = () => {};
+    }
+
+    return () => {
+      Math.random = originalRandom;
+      console.log = originalLog;
+      console.warn = originalWarn;
+    };
+  }
+
+  async runFiles(target) {
+    const reports = [];
+    for (const file of ScenarioRunner.listScenarioFiles(target)) {
+      const scenario = ScenarioRunner.loadScenario(file);
+      this.logger.log(`シナリオ実行: ${scenario.name}`);
+      const report = await this.run(scenario);
+      reports.push(report);
+      this.logger.log(this.formatReport(report));
+    }
+    return reports;
+  }
+
+  formatReport(report) {
+    const lines = [
+      `${report.passed ? 'PASS' : 'FAIL'} ${report.name} (${report.ticks} ticks, ${report.iterations} iterations)`
+    ];
+    for (const entry of report.timeline) {
+      if (entry.event === 'task_start') {
+        lines.push(`  [${entry.tick}] start ${entry.task}`);
+      } else if (entry.event === 'task_end') {
+        const outcome = entry.success ? 'ok' : `${entry.exception ? 'threw' : 'failed'} (${entry.reason || 'unknown'})`;
+        lines.push(`  [${entry.tick}] end   ${entry.task} ${outcome}`);
+      }
+    }
+    for (const reason of report.unmet) {
+      lines.push(`  unmet: ${reason}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = { ScenarioRunner };
@@ -0,0 +1,125 @@
+/**
+ * Cancellation - 実行中スキルの協調的キャンセル
+ * MinecraftAI がタスクごとに AbortController を作り、その signal を params.cancelToken としてスキルへ渡す。
+ * スキルはループの区切りで isCancelled / throwIfCancelled を確認し、pathfinder.goto・dig・craft などの
+ * 長い待ちは race で signal と競合させ、中断時は stopBot でボットの動作を止める。
+ */
+
+const CANCELLED = 'CANCELLED';
+
+class CancelledError extends Error {
+  constructor(message = 'タスクがキャンセルされました') {
+    super(message);
+    this.name = 'CancelledError';
+    this.code = CANCELLED;
+  }
+}
+
+class Cancellation {
+  static isCancelled(signal) {
+    return !!(signal && signal.aborted);
+  }
+
+  static throwIfCancelled(signal) {
+    if (Cancellation.isCancelled(signal)) {
+      throw new CancelledError(Cancellation.describe(signal));
+    }
+  }
+
+  static isCancellationError(error) {
+    return !!error && (error.code === CANCELLED || error.name === 'CancelledError');
+  }
+
+  static describe(signal) {
+    const reason = signal && signal.reason;
+    if (typeof reason === 'string' && reason) return `タスクがキャンセルされました (${reason})`;
+    return 'タスクがキャンセルされました';
+  }
+
+  /**
+   * キャンセルされた実行の結果オブジェクト
+   */
+  static cancelledResult(signal, details = {}) {
+    return {
+      success: false,
+      error: Cancellation.describe(signal),
+      reason: CANCELLED,
+      details
+    };
+  }
+
+  /**
+   * promise と signal を競合させる。先に中断された場合は onCancel を呼んで CancelledError で reject する
+   * @param {Promise} promise - pathfinder.goto や bot.dig などの待ち
+   * @param {AbortSignal} signal - params.cancelToken（未指定なら promise をそのまま返す）
+   * @param {Function} [onCancel] - 中断時の後始末（pathfinder の停止など）
+   */
+  static race(promise, signal, onCancel) {
+    if (!signal) return promise;
+    if (signal.aborted) {
+      Promise.resolve(promise).catch(() => {});
+      if (onCancel) onCancel();
+      return Promise.reject(new CancelledError(Cancellation.describe(signal)));
+    }
+
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        if (onCancel) {
+          try {
+            onCancel();
+          } catch (error) {
+            // 後始末の失敗はキャンセル結果に影響させない
+          }
+        }
+        reject(new CancelledError(Cancellation.describe(signal)));
+      };
+      signal.addEventListener('abort', abort, { once: true });
+
+      Promise.resolve(promise).then(
+        value => {
+          signal.removeEventListener('abort', abort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', abort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * 中断可能な待機
+   */
+  static sleep(ms, signal) {
+    let timer = null;
+    const wait = new Promise(resolve => {
+      timer = setTimeout(resolve, ms);
+    });
+    return Cancellation.race(wait, signal, () => clearTimeout(timer));
+  }
+
+  /**
+   * 経路探索・採掘・移動入力・開いているウィンドウをすべて止める
+   */
+  static stopBot(bot) {
+    if (!bot) return;
+    const steps = [
+      () => bot.pathfinder && typeof bot.pathfinder.stop === 'function' && bot.pathfinder.stop(),
+      () => typeof bot.stopDigging === 'function' && bot.targetDigBlock && bot.stopDigging(),
+      () => typeof bot.clearControlStates === 'function' && bot.clearControlStates(),
+      () => bot.currentWindow && typeof bot.closeWindow === 'function' && bot.closeWindow(bot.currentWindow)
+    ];
+    for (const step of steps) {
+      try {
+        step();
+      } catch (error) {
+        // 停止処理は最善努力で行う
+      }
+    }
+  }
+}
+
+Cancellation.CANCELLED = CANCELLED;
+
+module.exports = { Cancellation, CancelledError };
@@ -1,9 +1,19 @@
 const { goals } = require('mineflayer-pathfinder');
 // const { Vec3 } = require('vec3'); // Unused import
 const { Logger } = require('./Logger');
+const { Cancellation } = require('./Cancellation');
 
 const logger = Logger.createLogger('MovementUtils');
 
+// 時間制限付きの pathfinder.goto。移動が先に終わったらタイマーを止める（残すとプロセスが終了できない）
+function gotoWithTimeout(bot, goal, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('movement timeout')), timeoutMs);
+  });
+  return Promise.race([bot.pathfinder.goto(goal), timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Ensure the bot is within maxDist blocks of the given reference block.
  * If it is already close enough this resolves immediately.
@@ -14,7 +24,8 @@ const logger = Logger.createLogger('MovementUtils');
  * @param {number} maxDist acceptable distance (default 3)
  * @param {object} opts
  *        ├─ timeoutMs   total time allowed for one movement attempt (default 10 000)
- *        └─ retries     number of retries (default 2)
+ *        ├─ retries     number of retries (default 2)
+ *        └─ signal      AbortSignal; stops the pathfinder and resolves with reason CANCELLED
  * @returns {Promise<{success:boolean, error?:string}>}
  */
 async function ensureProximity(bot, block, maxDist = 3, opts = {}) {
@@ -29,21 +40,18 @@ async function ensureProximity(bot, block, maxDist = 3, opts = {}) {
   logger.log(`approaching block ${block.name} (dist=${distance.toFixed(1)})`);
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (Cancellation.isCancelled(opts.signal)) return Cancellation.cancelledResult(opts.signal);
     try {
       // Prefer pathfinder if available
       if (bot.pathfinder && typeof bot.pathfinder.goto === 'function') {
+        // GoalNear はブロック単位(足元の整数座標)で判定するため、実座標との差(最大約0.7)を見込んで1つ狭める
         const goal = new goals.GoalNear(
           block.position.x,
           block.position.y,
           block.position.z,
-          maxDist
+          Math.max(1, maxDist - 1)
         );
-        await Promise.race([
-          bot.pathfinder.goto(goal),
-          new Promise((_resolve, reject) =>
-            setTimeout(() => reject(new Error('movement timeout')), timeoutMs)
-          )
-        ]);
+        await Cancellation.race(gotoWithTimeout(bot, goal, timeoutMs), opts.signal, () => bot.pathfinder.stop());
       } else {
         // Fallback basic forward walking
         await bot.lookAt(block.position);
@@ -60,6 +68,7 @@ async function ensureProximity(bot, block, maxDist = 3, opts = {}) {
 
       logger.warn(`attempt ${attempt} did not reach proximity (dist=${newDist.toFixed(1)})`);
     } catch (err) {
+      if (Cancellation.isCancellationError(err)) return Cancellation.cancelledResult(opts.signal);
       logger.warn(`movement attempt ${attempt} failed: ${err.message}`);
     }
 
@@ -68,18 +77,23 @@ async function ensureProximity(bot, block, maxDist = 3, opts = {}) {
     if (bot.pathfinder && typeof bot.pathfinder.stop === 'function') {
       bot.pathfinder.stop();
     }
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 待機時間を2秒に延長
+    await Cancellation.sleep(2000, opts.signal).catch(() => {}); // 待機時間を2秒に延長
   }
 
   return { success: false, error: 'UNREACHABLE' };
 }
 
+// GoalNear と同じく足元の整数座標で距離を測る（実座標だと到達済みでも最大約0.9ずれる）
+function footDistance(bot, position) {
+  return bot.entity.position.floored().distanceTo(position);
+}
+
 /**
  * 指定されたブロックオブジェクトの近くへ移動します。
  * @param {import('mineflayer').Bot} bot - botインスタンス
  * @param {import('prismarine-block').Block} block - 移動先のブロックオブジェクト
  * @param {number} [range=1] - ブロックからの目標距離
- * @param {object} opts - オプション
+ * @param {object} opts - オプション（signal: 中断用の AbortSignal）
  * @returns {Promise<{success:boolean, error?:string}>}
  */
 async function moveToBlock(bot, block, range = 1, opts = {}) {
@@ -89,11 +103,12 @@ async function moveToBlock(bot, block, range = 1, opts = {}) {
   const retries = opts.retries ?? 3; // リトライ回数を3回に増加
 
   const distance = bot.entity.position.distanceTo(block.position);
-  if (distance <= range) return { success: true };
+  if (footDistance(bot, block.position) <= range) return { success: true };
 
   logger.log(`moving to block ${block.name} at ${block.position} (dist=${distance.toFixed(1)})`);
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (Cancellation.isCancelled(opts.signal)) return Cancellation.cancelledResult(opts.signal);
     try {
       if (bot.pathfinder && typeof bot.pathfinder.goto === 'function') {
         const goal = new goals.GoalNear(
@@ -102,12 +117,7 @@ async function moveToBlock(bot, block, range = 1, opts = {}) {
           block.position.z,
           range
         );
-        await Promise.race([
-          bot.pathfinder.goto(goal),
-          new Promise((_resolve, reject) =>
-            setTimeout(() => reject(new Error('movement timeout')), timeoutMs)
-          )
-        ]);
+        await Cancellation.race(gotoWithTimeout(bot, goal, timeoutMs), opts.signal, () => bot.pathfinder.stop());
       } else {
         await bot.lookAt(block.position);
         bot.setControlState('forward', true);
@@ -116,13 +126,14 @@ async function moveToBlock(bot, block, range = 1, opts = {}) {
       }
 
       const newDist = bot.entity.position.distanceTo(block.position);
-      if (newDist <= range) {
+      if (footDistance(bot, block.position) <= range) {
         logger.log(`reached block (dist=${newDist.toFixed(1)})`);
         return { success: true };
       }
 
       logger.warn(`attempt ${attempt} did not reach block (dist=${newDist.toFixed(1)})`);
     } catch (err) {
+      if (Cancellation.isCancellationError(err)) return Cancellation.cancelledResult(opts.signal);
       logger.warn(`movement attempt ${attempt} failed: ${err.message}`);
     }
 
@@ -130,19 +141,27 @@ async function moveToBlock(bot, block, range = 1, opts = {}) {
     if (bot.pathfinder && typeof bot.pathfinder.stop === 'function') {
       bot.pathfinder.stop();
     }
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 待機時間を2秒に延長
+    await Cancellation.sleep(2000, opts.signal).catch(() => {}); // 待機時間を2秒に延長
   }
 
   return { success: false, error: 'UNREACHABLE' };
 }
 
+// range 0 は GoalBlock と同じく足元のマスで判定する（マスの中心に立つので実座標だと最大約0.7ずれる）
+function reachedPosition(bot, position, range) {
+  if (range > 0) return bot.entity.position.distanceTo(position) <= range;
+  const feet = bot.entity.position.floored();
+  return feet.x === Math.floor(position.x) && feet.y === Math.floor(position.y) && feet.z === Math.floor(position.z);
+}
+
 /**
  * 指定された座標へ移動します。
  * @param {import('mineflayer').Bot} bot - botインスタンス
  * @param {import('vec3').Vec3} position - 移動先の座標
  * @param {number} [range=0] - 座標からの目標距離
- * @param {object} opts - オプション
- * @returns {Promise<{success:boolean, error?:string}>}
+ * @param {object} opts - オプション（signal: 中断用の AbortSignal）
+ * @returns {Promise<{success:boolean, error?:string, reason?:string}>}
+ *          経路探索が道なし (noPath) と答えたときは、やり直しても同じなので reason 'NO_PATH' ですぐ返す
  */
 async function moveToPosition(bot, position, range = 0, opts = {}) {
   if (!position) return { success: false, error: 'Position is null' };
@@ -151,23 +170,29 @@ async function moveToPosition(bot, position, range = 0, opts = {}) {
   const retries = opts.retries ?? 3; // リトライ回数を3回に増加
 
   const distance = bot.entity.position.distanceTo(position);
-  if (distance <= range) return { success: true };
+  if (reachedPosition(bot, position, range)) return { success: true };
 
   logger.log(`moving to position ${position} (dist=${distance.toFixed(1)})`);
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (Cancellation.isCancelled(opts.signal)) return Cancellation.cancelledResult(opts.signal);
+    let noPath = false;
+    // 経路が空のときの noPath は goto が何も言わずに終わるので、path_update で見分ける
+    const onPathUpdate = (update) => {
+      if (update && update.status === 'noPath') noPath = true;
+    };
     try {
       if (bot.pathfinder && typeof bot.pathfinder.goto === 'function') {
         const goal = range > 0
           ? new goals.GoalNear(position.x, position.y, position.z, range)
           : new goals.GoalBlock(position.x, position.y, position.z);
 
-        await Promise.race([
-          bot.pathfinder.goto(goal),
-          new Promise((_resolve, reject) =>
-            setTimeout(() => reject(new Error('movement timeout')), timeoutMs)
-          )
-        ]);
+        bot.on('path_update', onPathUpdate);
+        try {
+          await Cancellation.race(gotoWithTimeout(bot, goal, timeoutMs), opts.signal, () => bot.pathfinder.stop());
+        } finally {
+          bot.removeListener('path_update', onPathUpdate);
+        }
       } else {
         await bot.lookAt(position);
         bot.setControlState('forward', true);
@@ -176,21 +201,28 @@ async function moveToPosition(bot, position, range = 0, opts = {}) {
       }
 
       const newDist = bot.entity.position.distanceTo(position);
-      if (newDist <= range) {
+      if (reachedPosition(bot, position, range)) {
         logger.log(`reached position (dist=${newDist.toFixed(1)})`);
         return { success: true };
       }
 
       logger.warn(`attempt ${attempt} did not reach position (dist=${newDist.toFixed(1)})`);
     } catch (err) {
+      if (Cancellation.isCancellationError(err)) return Cancellation.cancelledResult(opts.signal);
+      if (err.name === 'NoPath') noPath = true;
       logger.warn(`movement attempt ${attempt} failed: ${err.message}`);
     }
 
+    if (noPath) {
+      logger.warn(`no path to position ${position}`);
+      return { success: false, error: 'NO_PATH', reason: 'NO_PATH' };
+    }
+
     // pathfinder がスタックしている場合はリセット
     if (bot.pathfinder && typeof bot.pathfinder.stop === 'function') {
       bot.pathfinder.stop();
     }
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 待機時間を2秒に延長
+    await Cancellation.sleep(2000, opts.signal).catch(() => {}); // 待機時間を2秒に延長
   }
 
   return { success: false, error: 'UNREACHABLE' };
@@ -201,7 +233,7 @@ async function moveToPosition(bot, position, range = 0, opts = {}) {
  * @param {import('mineflayer').Bot} bot - botインスタンス
  * @param {import('prismarine-entity').Entity} entity - 移動先のエンティティ
  * @param {number} [range=1] - エンティティからの目標距離
- * @param {object} opts - オプション
+ * @param {object} opts - オプション（signal: 中断用の AbortSignal）
  * @returns {Promise<{success:boolean, error?:string}>}
  */
 async function moveToEntity(bot, entity, range = 1, opts = {}) {
@@ -216,21 +248,18 @@ async function moveToEntity(bot, entity, range = 1, opts = {}) {
   logger.log(`moving to entity ${entity.name || entity.type} (dist=${distance.toFixed(1)})`);
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (Cancellation.isCancelled(opts.signal)) return Cancellation.cancelledResult(opts.signal);
     try {
       if (bot.pathfinder && typeof bot.pathfinder.goto === 'function') {
+        // GoalNear はマスどうしで到着を判定し、実座標はマスの中心から最大約0.7ずれるので1マス手前を狙う
         const goal = new goals.GoalNear(
           entity.position.x,
           entity.position.y,
           entity.position.z,
-          range
+          Math.max(0, range - 1)
         );
 
-        await Promise.race([
-          bot.pathfinder.goto(goal),
-          new Promise((_resolve, reject) =>
-            setTimeout(() => reject(new Error('movement timeout')), timeoutMs)
-          )
-        ]);
+        await Cancellation.race(gotoWithTimeout(bot, goal, timeoutMs), opts.signal, () => bot.pathfinder.stop());
       } else {
         await bot.lookAt(entity.position);
         bot.setControlState('forward', true);
@@ -246,6 +275,7 @@ async function moveToEntity(bot, entity, range = 1, opts = {}) {
 
       logger.warn(`attempt ${attempt} did not reach entity (dist=${newDist.toFixed(1)})`);
     } catch (err) {
+      if (Cancellation.isCancellationError(err)) return Cancellation.cancelledResult(opts.signal);
       logger.warn(`movement attempt ${attempt} failed: ${err.message}`);
     }
 
@@ -253,7 +283,7 @@ async function moveToEntity(bot, entity, range = 1, opts = {}) {
     if (bot.pathfinder && typeof bot.pathfinder.stop === 'function') {
       bot.pathfinder.stop();
     }
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 待機時間を2秒に延長
+    await Cancellation.sleep(2000, opts.signal).catch(() => {}); // 待機時間を2秒に延長
   }
 
   return { success: false, error: 'UNREACHABLE' };
@@ -0,0 +1,59 @@
+/**
+ * OpenAIClientFactory - OpenAI クライアントの生成を一元化する
+ * MOCK_OPENAI=true の場合や setOverride() でクライアントが差し替えられている場合は
+ * ネットワークに接続しないスタブを返し、NLU・スキル生成・カリキュラム生成をオフラインで実行できるようにする。
+ * OpenAI 互換のローカルサーバーを使う場合は OPENAI_BASE_URL を設定する。
+ */
+class OpenAIClientFactory {
+  /**
+   * @returns {Object|null} chat.completions.create を持つクライアント。未設定なら null
+   */
+  static create() {
+    if (OpenAIClientFactory.override) {
+      return OpenAIClientFactory.override;
+    }
+
+    if (process.env.MOCK_OPENAI === 'true') {
+      const { OpenAIStub } = require('../testing/OpenAIStub');
+      if (!OpenAIClientFactory.sharedStub) {
+        OpenAIClientFactory.sharedStub = new OpenAIStub({
+          fixturesPath: process.env.MOCK_OPENAI_FIXTURES || null
+        });
+      }
+      return OpenAIClientFactory.sharedStub;
+    }
+
+    if (!process.env.OPENAI_API_KEY) {
+      return null;
+    }
+
+    const OpenAI = require('openai');
+    return new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      ...(process.env.OPENAI_BASE_URL ? { baseURL: process.env.OPENAI_BASE_URL } : {})
+    });
+  }
+
+  static isConfigured() {
+    return !!OpenAIClientFactory.override ||
+      process.env.MOCK_OPENAI === 'true' ||
+      !!process.env.OPENAI_API_KEY;
+  }
+
+  /**
+   * 以降に生成されるクライアントを差し替える（テスト・シナリオ用）
+   */
+  static setOverride(client) {
+    OpenAIClientFactory.override = client;
+  }
+
+  static clearOverride() {
+    OpenAIClientFactory.override = null;
+    OpenAIClientFactory.sharedStub = null;
+  }
+}
+
+OpenAIClientFactory.override = null;
+OpenAIClientFactory.sharedStub = null;
+
+module.exports = { OpenAIClientFactory };
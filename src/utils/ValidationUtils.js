@@ -38,6 +38,112 @@ class ValidationUtils {
     return true;
   }
 
+  /**
+   * スキルのパラメータスキーマに従って params を検証・正規化する
+   * スキーマ: { name: { type, description, default, aliases, required, enum, minimum, maximum, items, properties } }
+   * - aliases の値は正式名に移し、未指定なら default を適用する
+   * - 数値文字列・'true'/'false'・単一値→配列 などの素直な変換は行う
+   * - スキーマにないキーはそのまま通す
+   * @returns {{valid: boolean, params: Object, errors: string[]}}
+   */
+  static validateParams(schema, params, context = '') {
+    const input = params && typeof params === 'object' ? { ...params } : {};
+    const errors = [];
+    const output = this.normalizeObject(schema || {}, input, '', errors);
+
+    if (errors.length > 0 && context) {
+      console.warn(`[${context}] Invalid params: ${errors.join('; ')}`);
+    }
+    return { valid: errors.length === 0, params: output, errors };
+  }
+
+  static normalizeObject(schema, input, path, errors) {
+    const output = { ...input };
+
+    for (const [name, spec] of Object.entries(schema)) {
+      let value = output[name];
+      for (const alias of spec.aliases || []) {
+        if ((value === undefined || value === null) && output[alias] !== undefined && output[alias] !== null) {
+          value = output[alias];
+        }
+        delete output[alias];
+      }
+
+      if (value === undefined || value === null) {
+        if (spec.default !== undefined) {
+          output[name] = typeof spec.default === 'object' ? JSON.parse(JSON.stringify(spec.default)) : spec.default;
+        } else {
+          delete output[name];
+          if (spec.required) errors.push(`${path}${name} is required`);
+        }
+        continue;
+      }
+
+      output[name] = this.normalizeValue(spec, value, `${path}${name}`, errors);
+    }
+
+    return output;
+  }
+
+  static normalizeValue(spec, value, path, errors) {
+    let result = value;
+
+    switch (spec.type) {
+    case 'number':
+    case 'integer':
+      if (typeof result === 'string' && result.trim() !== '' && !isNaN(Number(result))) {
+        result = Number(result);
+      }
+      if (typeof result !== 'number' || !Number.isFinite(result)) {
+        errors.push(`${path} must be a ${spec.type}`);
+        return value;
+      }
+      if (spec.type === 'integer') result = Math.round(result);
+      if (spec.minimum !== undefined && result < spec.minimum) errors.push(`${path} must be >= ${spec.minimum}`);
+      if (spec.maximum !== undefined && result > spec.maximum) errors.push(`${path} must be <= ${spec.maximum}`);
+      break;
+    case 'string':
+      if (typeof result === 'number') result = String(result);
+      if (typeof result !== 'string' || result.length === 0) {
+        errors.push(`${path} must be a non-empty string`);
+        return value;
+      }
+      break;
+    case 'boolean':
+      if (result === 'true' || result === 'false') result = result === 'true';
+      if (typeof result !== 'boolean') {
+        errors.push(`${path} must be a boolean`);
+        return value;
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(result)) result = [result];
+      if (spec.items) {
+        result = result.map((item, index) => this.normalizeValue(spec.items, item, `${path}[${index}]`, errors));
+      }
+      if (spec.minItems !== undefined && result.length < spec.minItems) {
+        errors.push(`${path} must have at least ${spec.minItems} item(s)`);
+      }
+      break;
+    case 'object':
+      if (typeof result !== 'object' || Array.isArray(result)) {
+        errors.push(`${path} must be an object`);
+        return value;
+      }
+      if (spec.properties) {
+        result = this.normalizeObject(spec.properties, result, `${path}.`, errors);
+      }
+      break;
+    default:
+      break;
+    }
+
+    if (spec.enum && !spec.enum.includes(result)) {
+      errors.push(`${path} must be one of: ${spec.enum.join(', ')}`);
+    }
+    return result;
+  }
+
   static safeGetProperty(obj, property, defaultValue = null, context = '') {
     try {
       if (!obj || typeof obj !== 'object') {
@@ -0,0 +1,42 @@
+const mcData = require('minecraft-data')('1.20.1');
+const { Blueprint } = require('../src/Blueprint');
+
+describe('Blueprint', () => {
+  const hut = Blueprint.fromJSON({
+    name: 'hut',
+    palette: { C: 'cobblestone', D: 'oak_door[facing=south,half=lower]', U: 'oak_door[facing=south,half=upper]' },
+    layers: [['CCC', 'C.C', 'CDC'], ['CCC', 'C.C', 'CUC']],
+    blocks: [{ x: 1, y: 2, z: 1, block: 'torch' }]
+  });
+
+  test('reads layers and extra blocks into relative positions', () => {
+    expect(hut.size).toEqual({ x: 3, y: 3, z: 3 });
+    expect(hut.blocks.find(block => block.name === 'torch').position).toEqual({ x: 1, y: 2, z: 1 });
+  });
+
+  test('counts materials once per door', () => {
+    expect(hut.billOfMaterials(mcData)).toEqual({
+      materials: { cobblestone: 14, oak_door: 1, torch: 1 },
+      unobtainable: {}
+    });
+  });
+
+  test('places supported blocks first and attachments last', () => {
+    const order = hut.placementOrder(mcData).map(block => block.name);
+
+    expect(order.slice(0, 14).every(name => name === 'cobblestone')).toBe(true);
+    expect(order.slice(14)).toEqual(['oak_door', 'torch']);
+  });
+
+  test('rotates positions and facings clockwise', () => {
+    const rotated = hut.rotate(1);
+    const door = rotated.blocks.find(block => block.name === 'oak_door' && block.properties.half === 'lower');
+
+    expect(door.position).toEqual({ x: 0, y: 0, z: 1 });
+    expect(door.properties.facing).toBe('west');
+  });
+
+  test('rejects symbols missing from the palette', () => {
+    expect(() => Blueprint.fromJSON({ layers: [['CX']], palette: { C: 'stone' } })).toThrow('パレットにない記号です');
+  });
+});
@@ -0,0 +1,57 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { CombatSystem } = require('../src/CombatSystem');
+
+describe('CombatSystem', () => {
+  let bot;
+
+  const setup = (options = {}) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], ...options });
+    bot.world.createFlatGround({ y: 63, radius: 16 });
+  };
+
+  test('targets a nearby creeper before a closer zombie', () => {
+    setup({ inventory: [{ name: 'iron_sword', count: 1 }] });
+    bot.addEntity('zombie', new Vec3(2.5, 64, 0.5));
+    const creeper = bot.addEntity('creeper', new Vec3(4.5, 64, 0.5));
+
+    expect(CombatSystem.assess(bot)).toMatchObject({ action: 'fight', target: creeper });
+  });
+
+  test('prefers a skeleton in the open over one behind cover', () => {
+    setup();
+    bot.world.fill(new Vec3(-4, 64, 4), new Vec3(-4, 66, 6), 'stone');
+    const covered = bot.addEntity('skeleton', new Vec3(-6.5, 64, 5.5));
+    const exposed = bot.addEntity('skeleton', new Vec3(8.5, 64, 0.5));
+
+    expect(CombatSystem.threatScore(bot, covered)).toBeLessThan(CombatSystem.threatScore(bot, exposed));
+    expect(CombatSystem.chooseTarget(bot, [covered, exposed])).toBe(exposed);
+  });
+
+  test('flees when hurt, outnumbered or facing a creeper bare-handed', () => {
+    setup({ health: 6, inventory: [{ name: 'iron_sword', count: 1 }] });
+    bot.addEntity('zombie', new Vec3(3.5, 64, 0.5));
+    expect(CombatSystem.assess(bot)).toMatchObject({ action: 'flee', reason: 'LOW_HEALTH' });
+
+    bot.health = 20;
+    for (let i = 0; i < 3; i++) bot.addEntity('zombie', new Vec3(-3.5, 64, i - 1.5));
+    expect(CombatSystem.assess(bot)).toMatchObject({ action: 'flee', reason: 'OUTNUMBERED' });
+
+    setup();
+    bot.addEntity('creeper', new Vec3(4.5, 64, 0.5));
+    expect(CombatSystem.assess(bot)).toMatchObject({ action: 'flee', reason: 'CREEPER_UNARMED' });
+  });
+
+  test('equips the strongest weapon and a shield in the off hand', async () => {
+    setup({
+      inventory: [{ name: 'stone_sword', count: 1 }, { name: 'iron_axe', count: 1 }, { name: 'shield', count: 1 }]
+    });
+
+    const stats = await CombatSystem.equipWeapon(bot);
+
+    expect(bot.heldItem.name).toBe('iron_axe');
+    expect(stats.damage).toBeGreaterThan(5);
+    expect(await CombatSystem.equipShield(bot)).toBe(true);
+    expect(bot.inventory.slots[45].name).toBe('shield');
+  });
+});
@@ -0,0 +1,66 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { ControlPrimitives } = require('../src/ControlPrimitives');
+
+describe('ControlPrimitives terrain moves', () => {
+  let bot;
+
+  const setup = inventory => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 10 });
+  };
+
+  // x = 3..5 の切れ目を z 方向いっぱいに掘る
+  const digRavine = () => bot.world.fill(new Vec3(3, 50, -10), new Vec3(5, 63, 10), 'air');
+
+  test('sneak-bridges across a gap with the cheapest throwaway block', async () => {
+    setup([{ name: 'cobblestone', count: 8 }, { name: 'dirt', count: 5 }]);
+    digRavine();
+
+    const result = await new ControlPrimitives(bot).bridgeTo(new Vec3(8, 64, 0));
+
+    expect(result).toMatchObject({ success: true, placed: 3 });
+    expect(result.position).toEqual(new Vec3(5, 64, 0));
+    for (let x = 3; x <= 5; x++) expect(bot.world.getBlockName(new Vec3(x, 63, 0))).toBe('dirt');
+    expect(bot.getControlState('sneak')).toBe(false);
+  });
+
+  test('keeps the reserve instead of starting a bridge it cannot finish', async () => {
+    setup([{ name: 'dirt', count: 6 }]);
+    digRavine();
+
+    const result = await new ControlPrimitives(bot).bridgeTo(new Vec3(8, 64, 0));
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_MATERIALS',
+      placed: 0,
+      details: { missing: [{ item: 'cobblestone', needed: 1 }] }
+    });
+    expect(bot.inventory.count('dirt')).toBe(6);
+  });
+
+  test('pillars up by jump-placing under its feet', async () => {
+    setup([{ name: 'netherrack', count: 8 }]);
+
+    const result = await new ControlPrimitives(bot).pillarUp(3);
+
+    expect(result).toMatchObject({ success: true, placed: 3 });
+    expect(bot.entity.position.floored()).toEqual(new Vec3(0, 67, 0));
+    expect(bot.inventory.count('netherrack')).toBe(5);
+  });
+
+  test('tunnels through a hill and stops short of lava', async () => {
+    setup([{ name: 'stone_pickaxe', count: 1 }, { name: 'cobblestone', count: 4 }]);
+    bot.world.fill(new Vec3(2, 64, -3), new Vec3(8, 67, 3), 'stone');
+
+    const through = await new ControlPrimitives(bot).tunnelTo(new Vec3(5, 64, 0));
+    expect(through).toMatchObject({ success: true, dug: 8 });
+    expect(through.position).toEqual(new Vec3(5, 64, 0));
+
+    bot.world.setBlock(new Vec3(7, 65, 1), 'lava');
+    const blocked = await new ControlPrimitives(bot).tunnelTo(new Vec3(9, 64, 0));
+    expect(blocked).toMatchObject({ success: false, reason: 'HAZARD' });
+    expect(bot.world.getBlockName(new Vec3(7, 65, 0))).toBe('stone');
+  });
+});
@@ -0,0 +1,51 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { Dimension } = require('../src/Dimension');
+const { CombatSystem } = require('../src/CombatSystem');
+
+describe('Dimension', () => {
+  const createBot = (options = {}) => {
+    const bot = new FakeBot({ position: [0.5, 64, 0.5], ...options });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    return bot;
+  };
+
+  test('converts coordinates between the overworld and the nether', () => {
+    const nether = Dimension.convert(new Vec3(-20, 70, 17.5), 'minecraft:overworld', 'the_nether');
+    expect(nether).toEqual(new Vec3(-3, 70, 2));
+    expect(Dimension.convert(new Vec3(-3, 70, 2), 'the_nether', 'overworld')).toEqual(new Vec3(-24, 70, 16));
+    expect(Dimension.convert(new Vec3(1.5, 64, 2.5), 'overworld', 'overworld')).toEqual(new Vec3(1, 64, 2));
+    expect(Dimension.convert(new Vec3(0, 64, 0), 'the_end', 'overworld')).toBeNull();
+  });
+
+  test('knows water boils away in the nether', () => {
+    expect(Dimension.canPlaceWater(createBot())).toBe(true);
+
+    const bot = createBot({ dimension: 'minecraft:the_nether' });
+    expect(Dimension.isNether(bot)).toBe(true);
+    expect(Dimension.canPlaceWater(bot)).toBe(false);
+  });
+
+  test('counts a lava sea below the feet', () => {
+    const bot = createBot();
+    expect(Dimension.lavaAround(bot)).toMatchObject({ count: 0, nearest: null, sea: false });
+
+    bot.world.fill(new Vec3(2, 63, -1), new Vec3(5, 63, 1), 'lava');
+    const lava = Dimension.lavaAround(bot);
+
+    expect(lava).toMatchObject({ count: 12, sea: true });
+    expect(lava.nearest.x).toBe(2);
+  });
+
+  test('piglins leave a bot wearing gold alone', async () => {
+    const bot = createBot({ inventory: [{ name: 'golden_helmet', count: 1 }] });
+    const piglin = bot.addEntity('piglin', new Vec3(4.5, 64, 0.5));
+    expect(CombatSystem.isHostile(piglin, bot)).toBe(true);
+
+    await bot.equip(bot.inventory.items()[0], 'head');
+
+    expect(Dimension.wearsGold(bot)).toBe(true);
+    expect(CombatSystem.isHostile(piglin, bot)).toBe(false);
+    expect(CombatSystem.isHostile(bot.addEntity('piglin_brute', new Vec3(-4.5, 64, 0.5)), bot)).toBe(true);
+  });
+});
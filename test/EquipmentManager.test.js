@@ -0,0 +1,58 @@
+const { FakeBot } = require('../src/testing/FakeBot');
+const { EquipmentManager } = require('../src/EquipmentManager');
+
+describe('EquipmentManager', () => {
+  const createBot = inventory => new FakeBot({ position: [0.5, 64, 0.5], inventory });
+
+  const wear = async (bot, name, slot, durabilityUsed = 0) => {
+    bot.inventory.addItem(name, 1);
+    const item = bot.inventory.items().find(entry => entry.name === name);
+    item.durabilityUsed = durabilityUsed;
+    await bot.equip(item, slot);
+  };
+
+  test('plans the best upgrades the materials allow, chest first', () => {
+    const bot = createBot([{ name: 'iron_ingot', count: 16 }, { name: 'leather', count: 5 }]);
+    expect(EquipmentManager.craftPlan(bot)).toEqual(['iron_chestplate', 'iron_leggings', 'leather_helmet']);
+
+    bot.inventory.addItem('oak_planks', 6);
+    expect(EquipmentManager.craftPlan(bot)).toContain('shield');
+  });
+
+  test('asks for enough iron for the cheapest piece it can still improve', async () => {
+    const bot = createBot([{ name: 'iron_ingot', count: 3 }]);
+    expect(EquipmentManager.upgradeNeeds(bot)).toEqual({ material: 'iron', item: 'iron_ingot', needed: 1 });
+
+    for (const [name, slot] of [['iron_boots', 'feet'], ['iron_leggings', 'legs'], ['iron_chestplate', 'torso']]) {
+      await wear(bot, name, slot);
+    }
+    expect(EquipmentManager.upgradeNeeds(bot)).toEqual({ material: 'iron', item: 'iron_ingot', needed: 2 });
+  });
+
+  test('swaps a piece about to break for a spare', async () => {
+    const bot = createBot([{ name: 'leather_helmet', count: 1 }]);
+    await wear(bot, 'iron_helmet', 'head', 160);
+
+    const [change, ...rest] = EquipmentManager.pendingChanges(bot);
+    expect(change).toMatchObject({ destination: 'head', replacing: 'iron_helmet', item: { name: 'leather_helmet' } });
+    expect(rest).toEqual([]);
+    await EquipmentManager.equipBest(bot);
+    expect(EquipmentManager.equipped(bot).head.name).toBe('leather_helmet');
+  });
+
+  test('wears the best set and carries a shield in the off hand', async () => {
+    const bot = createBot([
+      { name: 'leather_chestplate', count: 1 },
+      { name: 'iron_chestplate', count: 1 },
+      { name: 'iron_boots', count: 1 },
+      { name: 'shield', count: 1 }
+    ]);
+
+    const result = await EquipmentManager.equipBest(bot);
+
+    expect(result).toMatchObject({ success: true, armor: 8 });
+    expect(result.equipped.sort()).toEqual(['iron_boots', 'iron_chestplate', 'shield']);
+    expect(bot.inventory.slots[45].name).toBe('shield');
+    expect(EquipmentManager.pendingChanges(bot)).toEqual([]);
+  });
+});
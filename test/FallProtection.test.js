@@ -0,0 +1,51 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { FallProtection } = require('../src/FallProtection');
+
+describe('FallProtection', () => {
+  let bot;
+
+  const setup = inventory => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 4 });
+  };
+
+  afterEach(() => {
+    FallProtection.detach(bot);
+  });
+
+  test('pours water under a long drop and scoops it back after landing', () => {
+    setup([{ name: 'water_bucket', count: 1 }]);
+    FallProtection.attach(bot);
+
+    bot.drop(new Vec3(0.5, 84, 0.5));
+    bot.advanceTicks(80);
+
+    expect(bot.entity.onGround).toBe(true);
+    expect(bot.health).toBe(20);
+    expect(bot.inventory.count('water_bucket')).toBe(1);
+    expect(bot.world.getBlockName(new Vec3(0, 64, 0))).toBe('air');
+  });
+
+  test('cannot help without a water bucket in the hotbar', () => {
+    setup([]);
+    FallProtection.attach(bot);
+
+    bot.drop(new Vec3(0.5, 84, 0.5));
+    bot.advanceTicks(80);
+
+    expect(bot.health).toBeLessThan(20);
+  });
+
+  test('does nothing for a short hop', () => {
+    setup([{ name: 'water_bucket', count: 1 }]);
+    FallProtection.attach(bot);
+    const activate = jest.spyOn(bot, 'activateItem');
+
+    bot.drop(new Vec3(0.5, 66, 0.5));
+    bot.advanceTicks(20);
+
+    expect(bot.health).toBe(20);
+    expect(activate).not.toHaveBeenCalled();
+  });
+});
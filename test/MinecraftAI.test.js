@@ -0,0 +1,124 @@
+const { MinecraftAI } = require('../src/MinecraftAI');
+const { VoyagerAI } = require('../src/VoyagerAI');
+
+// getOrGenerateSkill だけを動かすため、使う協調オブジェクトだけを持つ MinecraftAI を作る
+function createAI(generatedCode) {
+  const voyager = new VoyagerAI(null);
+  const registered = new Map();
+  const saved = [];
+  const ai = Object.create(MinecraftAI.prototype);
+  Object.assign(ai, {
+    logger: { log: () => {}, warn: () => {} },
+    currentTask: { type: 'dig_moat', params: {} },
+    skillReuseThreshold: 0.6,
+    skillLibrary: {
+      getSkill: name => registered.get(name) || null,
+      registerSkill: (name, skill) => registered.set(name, skill)
+    },
+    skillRetriever: { retrieve: () => [] },
+    observer: { getObservationSummary: () => ({}) },
+    voyagerAI: { generateSkill: async () => voyager.createSandboxedSkill(generatedCode) },
+    skillStore: { saveGenerated: (task, context, skill) => saved.push({ task, skill }) }
+  });
+  return { ai, registered, saved };
+}
+
+describe('MinecraftAI.getOrGenerateSkill', () => {
+  test('saves and registers a generated skill that compiles', async () => {
+    const { ai, registered, saved } = createAI('async function executeTask(bot) { return { success: true }; }');
+
+    const skill = await ai.getOrGenerateSkill('dig_moat');
+
+    expect(skill.generated).toBe(true);
+    expect(saved).toHaveLength(1);
+    expect(registered.get('dig_moat')).toMatchObject({ name: 'dig_moat', stored: true });
+  });
+
+  test('neither saves nor registers code the sandbox rejected', async () => {
+    const { ai, registered, saved } = createAI('async function executeTask(bot) { return process.exit(1); }');
+
+    const skill = await ai.getOrGenerateSkill('dig_moat');
+
+    expect(skill.rejected).toBe(true);
+    expect(saved).toHaveLength(0);
+    expect(registered.size).toBe(0);
+    await expect(skill.execute({}, {})).resolves.toMatchObject({ success: false, reason: 'SANDBOX_VIOLATION' });
+  });
+});
+
+describe('MinecraftAI.generateRecoveryTask', () => {
+  const { Vec3 } = require('vec3');
+  const { FakeBot } = require('../src/testing/FakeBot');
+  const { AttackEntitySkill } = require('../src/SkillLibrary');
+
+  const createRecoveryAI = (bot) => {
+    const ai = Object.create(MinecraftAI.prototype);
+    Object.assign(ai, {
+      bot,
+      logger: { log: () => {}, warn: () => {} },
+      stockpileAvailable: () => 0
+    });
+    return ai;
+  };
+
+  test('hunts chickens for missing feathers and breeds them when only a pair is left', async () => {
+    const bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    bot.addEntity('chicken', new Vec3(3, 64, 0.5));
+    bot.addEntity('chicken', new Vec3(4, 64, 0.5));
+    const ai = createRecoveryAI(bot);
+
+    const hunt = ai.generateRecoveryTask('INSUFFICIENT_MATERIALS', { missing: [{ item: 'feather', needed: 1 }] });
+    expect(hunt).toMatchObject({ type: 'attack_entity', params: { target: 'chicken' } });
+
+    const result = await new AttackEntitySkill().execute(bot, hunt.params);
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND' });
+    const recovery = ai.generateRecoveryTask(result.reason, result.details);
+    expect(recovery).toMatchObject({ type: 'breed_animals', animal: 'chicken' });
+  });
+
+  test('hunts a cow for missing leather but spares the last pair', async () => {
+    const bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'stone_sword', count: 1 }] });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    bot.addEntity('cow', new Vec3(3, 64, 0.5));
+    bot.addEntity('cow', new Vec3(4, 64, 0.5));
+    bot.addEntity('cow', new Vec3(5, 64, 0.5));
+    const ai = createRecoveryAI(bot);
+    const hunt = ai.generateRecoveryTask('INSUFFICIENT_MATERIALS', { missing: [{ item: 'leather', needed: 4 }] });
+    expect(hunt).toMatchObject({ type: 'attack_entity', params: { target: 'cow' } });
+
+    await expect(new AttackEntitySkill().execute(bot, hunt.params)).resolves.toMatchObject({ success: true });
+    const result = await new AttackEntitySkill().execute(bot, hunt.params);
+
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND' });
+    expect(Object.values(bot.entities).filter(entity => entity.name === 'cow')).toHaveLength(2);
+    const recovery = ai.generateRecoveryTask(result.reason, result.details);
+    expect(recovery).toMatchObject({ type: 'breed_animals', animal: 'cow' });
+  });
+});
+
+describe('MinecraftAI.handleImmediateThreats', () => {
+  const { Vec3 } = require('vec3');
+  const { FakeBot } = require('../src/testing/FakeBot');
+
+  test('dodges an incoming arrow before eating or changing equipment', async () => {
+    const bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'bread', count: 4 }] });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    bot.food = 4;
+    bot.addEntity('arrow', new Vec3(8.5, 65, 0.5), { velocity: new Vec3(-1.5, 0, 0) });
+    const managed = [];
+    const ai = Object.create(MinecraftAI.prototype);
+    Object.assign(ai, {
+      bot,
+      logger: { log: () => {}, warn: () => {} },
+      manageNutrition: async () => managed.push('nutrition'),
+      manageEquipment: async () => managed.push('equipment'),
+      manageEffects: async () => managed.push('effects')
+    });
+
+    const result = await ai.handleImmediateThreats();
+
+    expect(result).toEqual({ shouldContinue: false });
+    expect(managed).toEqual([]);
+  });
+});
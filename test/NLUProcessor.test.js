@@ -0,0 +1,159 @@
+const { NLUProcessor } = require('../src/NLUProcessor');
+const { OpenAIRequestQueue } = require('../src/OpenAIRequestQueue');
+const { SkillLibrary } = require('../src/SkillLibrary');
+const { VoyagerAI } = require('../src/VoyagerAI');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { OpenAIStub } = require('../src/testing/OpenAIStub');
+const { OpenAIClientFactory } = require('../src/utils/OpenAIClientFactory');
+
+describe('NLUProcessor with the OpenAI stub', () => {
+  let stub;
+  let nlu;
+
+  beforeEach(() => {
+    stub = new OpenAIStub();
+    OpenAIClientFactory.setOverride(stub);
+    const skillLibrary = new SkillLibrary();
+    skillLibrary.loadBasicSkills();
+    nlu = new NLUProcessor({ skillLibrary });
+  });
+
+  afterEach(() => {
+    OpenAIClientFactory.clearOverride();
+  });
+
+  test('turns a Japanese command into a skill call with its arguments', async () => {
+    await expect(nlu.parse('10個の石を掘って')).resolves.toEqual({
+      intent: 'mine_block',
+      entities: { blockType: 'stone', amount: 10 }
+    });
+    expect(stub.calls[0].tools.map(tool => tool.function.name)).toContain('mine_block');
+  });
+
+  test('answers from a fixture before the built-in rules', async () => {
+    stub.addFixture({ match: '洞窟', tool_call: { name: 'explore', arguments: { objective: 'underground' } } });
+
+    await expect(nlu.parse('近くの洞窟を探検して')).resolves.toEqual({
+      intent: 'explore',
+      entities: { objective: 'underground' }
+    });
+  });
+
+  test('returns null when the reply calls no tool', async () => {
+    await expect(nlu.parse('こんにちは')).resolves.toBeNull();
+  });
+});
+
+describe('OpenAIClientFactory', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+    OpenAIClientFactory.clearOverride();
+  });
+
+  test('shares one stub while MOCK_OPENAI is set', () => {
+    process.env.MOCK_OPENAI = 'true';
+
+    const client = OpenAIClientFactory.create();
+
+    expect(client).toBeInstanceOf(OpenAIStub);
+    expect(OpenAIClientFactory.create()).toBe(client);
+  });
+
+  test('is not configured without a key, a stub or an override', () => {
+    delete process.env.MOCK_OPENAI;
+    delete process.env.OPENAI_API_KEY;
+
+    expect(OpenAIClientFactory.isConfigured()).toBe(false);
+    expect(OpenAIClientFactory.create()).toBeNull();
+  });
+});
+
+describe('VoyagerAI with the OpenAI stub', () => {
+  let stub;
+  let voyager;
+
+  beforeEach(() => {
+    stub = new OpenAIStub();
+    OpenAIClientFactory.setOverride(stub);
+    voyager = new VoyagerAI(new FakeBot());
+  });
+
+  afterEach(() => {
+    OpenAIClientFactory.clearOverride();
+  });
+
+  test('generates a sandboxed skill from the stub reply', async () => {
+    const bot = new FakeBot();
+    const task = { type: 'gather_wood', params: { amount: 3 } };
+
+    const skill = await voyager.generateSkill(task, { position: bot.entity.position });
+
+    expect(stub.calls).toHaveLength(1);
+    expect(skill).toMatchObject({ generated: true, sandboxed: true, rejected: false });
+    expect(skill.code).toContain('stub skill for gather_wood');
+    await expect(skill.execute(bot, { amount: 3 })).resolves.toMatchObject({
+      success: true,
+      result: 'stub skill for gather_wood'
+    });
+  });
+
+  test('orders the curriculum so unknown skills come first', async () => {
+    const known = new Map([['gather_wood', {}], ['craft_tools', {}]]);
+
+    const curriculum = await voyager.generateCurriculum(known, [{ type: 'mine_block' }]);
+
+    expect(stub.calls).toHaveLength(1);
+    expect(curriculum.map(task => task.type)).toEqual([
+      'mine_block', 'find_food', 'explore', 'build_shelter', 'gather_wood'
+    ]);
+  });
+});
+
+describe('OpenAIRequestQueue with the OpenAI stub', () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    queue = new OpenAIRequestQueue();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    OpenAIClientFactory.clearOverride();
+  });
+
+  const run = async (type, data) => {
+    const pending = queue.enqueueRequest(type, data, 'bot-1');
+    await jest.advanceTimersByTimeAsync(1000);
+    return pending;
+  };
+
+  test('answers queued skill and curriculum requests from the stub', async () => {
+    const stub = new OpenAIStub();
+    OpenAIClientFactory.setOverride(stub);
+
+    const skill = await run('skill_generation', { prompt: 'Task: mine_block\nGenerate a JavaScript function' });
+    const curriculum = await run('curriculum_generation', { prompt: 'Current bot skills: gather_wood' });
+
+    expect(skill).toMatchObject({ success: true, fromQueue: true });
+    expect(skill.skill).toContain('stub skill for mine_block');
+    expect(curriculum.curriculum[0].type).toBe('craft_tools');
+    expect(queue.getStats()).toMatchObject({ completedRequests: 2, failedRequests: 0 });
+  });
+
+  test('picks up an override set after the first request', async () => {
+    const first = new OpenAIStub();
+    const second = new OpenAIStub();
+    OpenAIClientFactory.setOverride(first);
+    await run('chat_completion', { messages: [{ role: 'user', content: 'hello' }] });
+
+    OpenAIClientFactory.setOverride(second);
+    await run('chat_completion', { messages: [{ role: 'user', content: 'hello again' }] });
+
+    expect(first.calls).toHaveLength(1);
+    expect(second.calls).toHaveLength(1);
+  });
+});
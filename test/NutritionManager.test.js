@@ -0,0 +1,48 @@
+const { FakeBot } = require('../src/testing/FakeBot');
+const { NutritionManager } = require('../src/NutritionManager');
+
+describe('NutritionManager', () => {
+  const createBot = (food, inventory) => new FakeBot({ position: [0.5, 64, 0.5], food, inventory });
+
+  test('prefers cooked food over raw and rotten flesh', () => {
+    const bot = createBot(10, [
+      { name: 'rotten_flesh', count: 5 },
+      { name: 'beef', count: 3 },
+      { name: 'cooked_beef', count: 1 }
+    ]);
+
+    expect(NutritionManager.chooseFood(bot).name).toBe('cooked_beef');
+  });
+
+  test('only eats rotten flesh when starving', () => {
+    expect(NutritionManager.chooseFood(createBot(10, [{ name: 'rotten_flesh', count: 5 }]))).toBeNull();
+    expect(NutritionManager.chooseFood(createBot(4, [{ name: 'rotten_flesh', count: 5 }])).name).toBe('rotten_flesh');
+  });
+
+  test('knows which raw foods are worth cooking', () => {
+    const bot = createBot(20, [{ name: 'beef', count: 2 }, { name: 'apple', count: 4 }]);
+
+    expect(NutritionManager.cookedFormOf(bot, 'beef')).toBe('cooked_beef');
+    expect(NutritionManager.cookedFormOf(bot, 'apple')).toBeNull();
+    expect(NutritionManager.cookableItems(bot)).toEqual([{ name: 'beef', count: 2, cooked: 'cooked_beef' }]);
+  });
+
+  test('eats until another bite would be wasted', async () => {
+    const bot = createBot(10, [{ name: 'cooked_beef', count: 5 }]);
+
+    const result = await NutritionManager.eat(bot);
+
+    expect(result).toMatchObject({ success: true, eaten: ['cooked_beef'], food: 18 });
+    expect(bot.inventory.count('cooked_beef')).toBe(4);
+  });
+
+  test('tops up before long tasks only', async () => {
+    const bot = createBot(15, [{ name: 'bread', count: 2 }]);
+
+    expect(await NutritionManager.prepareForTask(bot, { type: 'move_to' })).toBeNull();
+    const result = await NutritionManager.prepareForTask(bot, { type: 'mine_block' });
+
+    expect(result).toMatchObject({ success: true, eaten: ['bread'] });
+    expect(bot.food).toBe(20);
+  });
+});
@@ -0,0 +1,85 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { RangedCombat } = require('../src/RangedCombat');
+
+describe('RangedCombat', () => {
+  let bot;
+
+  const setup = inventory => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 24 });
+  };
+
+  test('solves an arc that drops onto the target height', () => {
+    const from = new Vec3(0, 65.5, 0);
+    const to = new Vec3(0, 64.9, -30);
+
+    const aim = RangedCombat.solveAim(from, to, 3);
+
+    expect(aim.yaw).toBeCloseTo(0);
+    expect(aim.pitch).toBeGreaterThan(0);
+    expect(RangedCombat.heightAt(aim.pitch, 3, 30).height).toBeCloseTo(to.y - from.y, 2);
+    expect(RangedCombat.solveAim(from, new Vec3(0, 64, -300), 3)).toBeNull();
+  });
+
+  test('leads a target that is moving sideways', () => {
+    setup([]);
+    const still = bot.addEntity('zombie', new Vec3(0.5, 64, -19.5));
+    const moving = bot.addEntity('zombie', new Vec3(0.5, 64, -19.5), { velocity: new Vec3(0.2, 0, 0) });
+
+    expect(RangedCombat.aimAt(bot, moving, 3).yaw).toBeLessThan(RangedCombat.aimAt(bot, still, 3).yaw);
+  });
+
+  test('draws the bow fully and hits a skeleton at range', async () => {
+    setup([{ name: 'bow', count: 1 }, { name: 'arrow', count: 5 }]);
+    const skeleton = bot.addEntity('skeleton', new Vec3(0.5, 64, -19.5));
+
+    const result = await RangedCombat.shoot(bot, skeleton);
+
+    expect(result).toMatchObject({ success: true, weapon: 'bow' });
+    expect(result.ticks).toBeGreaterThanOrEqual(20);
+    expect(bot.inventory.count('arrow')).toBe(4);
+    expect(skeleton.health).toBeLessThan(20);
+  });
+
+  test('loads the crossbow before firing it', async () => {
+    setup([{ name: 'crossbow', count: 1 }, { name: 'arrow', count: 2 }]);
+    const pillager = bot.addEntity('pillager', new Vec3(12.5, 64, 0.5));
+
+    const result = await RangedCombat.shoot(bot, pillager);
+
+    expect(result).toMatchObject({ success: true, weapon: 'crossbow' });
+    expect(RangedCombat.isCrossbowLoaded(bot.heldItem)).toBe(false);
+    expect(bot.inventory.count('arrow')).toBe(1);
+    expect(pillager.health).toBeLessThan(20);
+  });
+
+  test('only warns about arrows that are on course to hit', () => {
+    setup([]);
+    const incoming = bot.addEntity('arrow', new Vec3(10.5, 65, 0.5), { velocity: new Vec3(-1.5, 0, 0) });
+    bot.addEntity('arrow', new Vec3(10.5, 65, 0.5), { velocity: new Vec3(1.5, 0, 0) });
+    bot.addEntity('arrow', new Vec3(3.5, 64, 0.5), { velocity: new Vec3(0, 0, 0) });
+
+    const threats = RangedCombat.incomingProjectiles(bot);
+
+    expect(threats).toHaveLength(1);
+    expect(threats[0]).toMatchObject({ entity: incoming });
+  });
+
+  test('blocks with a wall when there is time and side-steps when there are no blocks', async () => {
+    setup([{ name: 'cobblestone', count: 4 }]);
+    bot.addEntity('arrow', new Vec3(8.5, 65, 0.5), { velocity: new Vec3(-1.5, 0, 0) });
+
+    expect(await RangedCombat.evade(bot, RangedCombat.incomingProjectiles(bot))).toMatchObject({ action: 'cover' });
+    expect(bot.world.getBlockName(new Vec3(1, 64, 0))).toBe('cobblestone');
+    expect(bot.world.getBlockName(new Vec3(1, 65, 0))).toBe('cobblestone');
+
+    setup([]);
+    bot.addEntity('arrow', new Vec3(8.5, 65, 0.5), { velocity: new Vec3(-1.5, 0, 0) });
+
+    const dodged = await RangedCombat.evade(bot, RangedCombat.incomingProjectiles(bot));
+
+    expect(dodged).toMatchObject({ success: true, action: 'dodge', side: expect.stringMatching(/^(left|right)$/) });
+    expect(bot.getControlState(dodged.side)).toBe(false);
+  });
+});
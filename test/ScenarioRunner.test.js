@@ -0,0 +1,37 @@
+const path = require('path');
+const { ScenarioRunner } = require('../src/testing/ScenarioRunner');
+const { SimpleGatherWoodSkill } = require('../src/SkillLibrary');
+
+const SCENARIOS = path.join(__dirname, '..', 'scenarios');
+
+describe('ScenarioRunner', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(ScenarioRunner.listScenarioFiles(SCENARIOS).map(file => [path.basename(file), file]))(
+    'passes the bundled scenario %s',
+    async (_name, file) => {
+      const runner = new ScenarioRunner();
+      const report = await runner.run(ScenarioRunner.loadScenario(file));
+
+      expect(report.unmet).toEqual([]);
+      expect(report.passed).toBe(true);
+      expect(report.timeline.filter(entry => entry.exception)).toEqual([]);
+    },
+    30000
+  );
+
+  test('fails a scenario when a skill throws', async () => {
+    jest.spyOn(SimpleGatherWoodSkill.prototype, 'execute').mockImplementation(() => {
+      throw new Error('boom');
+    });
+    const runner = new ScenarioRunner();
+
+    const report = await runner.run(ScenarioRunner.loadScenario(path.join(SCENARIOS, 'forest-wooden-pickaxe.json')));
+
+    expect(report.passed).toBe(false);
+    expect(report.unmet).toContain('task gather_wood threw: boom');
+    expect(runner.formatReport(report)).toMatch(/end {3}gather_wood threw \(boom\)/);
+  }, 30000);
+});
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { StateManager } = require('../src/StateManager');
+const { SessionRecorder } = require('../src/SessionRecorder');
+const { SessionReplayer } = require('../src/SessionReplayer');
+
+describe('SessionRecorder and SessionReplayer', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const finish = recorder => new Promise(resolve => {
+    recorder.stream.on('finish', resolve);
+    recorder.stop();
+  });
+
+  test('replays the world and the task the bot was working on', async () => {
+    const bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'wooden_pickaxe', count: 1 }] });
+    bot.world.createFlatGround({ y: 63, radius: 4 });
+    bot.world.setBlock(new Vec3(1, 64, 0), 'stone');
+    const stateManager = new StateManager(bot);
+    const recorder = new SessionRecorder(bot, { ai: { stateManager }, filePath: path.join(dir, 'run.jsonl') });
+
+    recorder.start();
+    stateManager.setCurrentTask({ type: 'mine_block', params: { blockType: 'stone' } });
+    await bot.dig(bot.blockAt(new Vec3(1, 64, 0)));
+    bot.emit('chat', 'Steve', 'nice');
+    stateManager.completeCurrentTask({ success: true });
+    await finish(recorder);
+
+    const replayer = SessionReplayer.load(recorder.filePath);
+    const decision = replayer.nextDecision();
+    expect(decision.state.currentTask).toMatchObject({ type: 'mine_block' });
+    expect(replayer.bot.blockAt(new Vec3(1, 64, 0)).name).toBe('stone');
+
+    replayer.seek(Infinity);
+    expect(replayer.done).toBe(true);
+    expect(replayer.bot.blockAt(new Vec3(1, 64, 0)).name).toBe('air');
+    expect(replayer.bot.inventory.count('cobblestone')).toBe(1);
+    const types = replayer.events.map(event => event.type);
+    expect(types).toEqual(expect.arrayContaining(['chat', 'task_end', 'session_end']));
+  });
+
+  test('skips a line cut off when the process was killed', () => {
+    const text = '{"t":0,"type":"session_start","version":"1.20.1"}\n{"t":5,"type":"ch';
+
+    expect(SessionReplayer.parse(text)).toEqual([{ t: 0, type: 'session_start', version: '1.20.1' }]);
+  });
+});
@@ -0,0 +1,92 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../src/testing/FakeBot');
+const { SkillContract } = require('../src/SkillContract');
+const { Skill } = require('../src/SkillLibrary');
+
+// 報告だけ成功し、何も持ち帰らないスキル
+class ClaimsLogsSkill extends Skill {
+  constructor(gives) {
+    super('claims_logs', 'test', {}, {
+      contract: {
+        preconditions: [{ type: 'has_item', match: '_axe' }],
+        postconditions: [{ type: 'inventory_delta', match: '_log', min: 2 }]
+      }
+    });
+    this.gives = gives;
+  }
+
+  async execute(bot) {
+    if (this.gives) bot.inventory.addItem('oak_log', this.gives);
+    return { success: true };
+  }
+}
+
+describe('SkillContract', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'stone_axe', count: 1 }] });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+  });
+
+  test('checks items and blocks before running', () => {
+    bot.world.setBlock(new Vec3(3, 64, 0), 'crafting_table');
+    const contract = new SkillContract({
+      preconditions: ({ tool }) => [
+        { type: 'has_item', item: tool },
+        { type: 'block_nearby', block: 'crafting_table', maxDistance: 4 },
+        { type: 'block_nearby', block: 'furnace' }
+      ]
+    });
+
+    const result = contract.checkPreconditions(bot, { tool: 'stone_axe' });
+
+    expect(result.satisfied).toBe(false);
+    expect(result.unmet.map(unmet => unmet.condition.block)).toEqual(['furnace']);
+  });
+
+  test('measures deltas against the snapshot taken before', () => {
+    const contract = new SkillContract({
+      postconditions: [{ type: 'any', conditions: [{ type: 'inventory_delta', item: 'oak_log', min: 3 }] }]
+    });
+    const before = contract.snapshot(bot);
+    bot.inventory.addItem('oak_log', 3);
+
+    expect(contract.verify(bot, {}, before)).toEqual({ verified: true, unmet: [], inventoryDiff: { oak_log: 3 } });
+  });
+
+  test('hands the snapshot to postconditions given as a function', () => {
+    const postconditions = jest.fn(() => [{ type: 'inventory_delta', item: 'oak_log', min: 1 }]);
+    const contract = new SkillContract({ postconditions });
+    const before = contract.snapshot(bot);
+
+    expect(contract.verify(bot, { item: 'oak_log' }, before).verified).toBe(false);
+    expect(postconditions).toHaveBeenCalledWith({ item: 'oak_log' }, bot, before);
+  });
+
+  test('turns a success that did not happen into POSTCONDITION_FAILED', async () => {
+    const result = await new ClaimsLogsSkill(1).execute(bot, {});
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'POSTCONDITION_FAILED',
+      details: { inventoryDiff: { oak_log: 1 }, reported: { success: true } }
+    });
+  });
+
+  test('keeps a verified success and attaches the inventory diff', async () => {
+    const result = await new ClaimsLogsSkill(2).execute(bot, {});
+
+    expect(result).toEqual({ success: true, verification: { verified: true, inventoryDiff: { oak_log: 2 } } });
+  });
+
+  test('does not run the skill when a precondition fails', async () => {
+    bot.inventory.removeItem('stone_axe', 1);
+    const skill = new ClaimsLogsSkill(2);
+
+    const result = await skill.execute(bot, {});
+
+    expect(result).toMatchObject({ success: false, reason: 'PRECONDITION_FAILED' });
+    expect(bot.inventory.count('oak_log')).toBe(0);
+  });
+});
@@ -0,0 +1,38 @@
+const { SkillLibrary } = require('../src/SkillLibrary');
+const { SkillRetriever } = require('../src/SkillRetriever');
+
+describe('SkillRetriever', () => {
+  let skillLibrary;
+  let retriever;
+
+  beforeEach(() => {
+    skillLibrary = new SkillLibrary();
+    skillLibrary.loadBasicSkills();
+    retriever = new SkillRetriever(skillLibrary);
+  });
+
+  const names = (task, options) => retriever.retrieve(task, options).map(candidate => candidate.name);
+
+  test('finds a skill from a paraphrased task', () => {
+    expect(names({ type: 'chop_trees', description: 'collect oak logs' })[0]).toBe('gather_wood');
+    expect(names({ type: 'build_furnace', description: 'make a furnace from cobblestone' })[0]).toBe('craft_furnace');
+    expect(names({ type: 'get_iron', description: 'smelt raw iron in a furnace' })[0]).toBe('smelt_item');
+  });
+
+  test('matches Japanese descriptions by character bigrams', () => {
+    expect(names('作業台を設置する')[0]).toBe('place_workbench');
+    expect(names('羊の毛を刈る')).toEqual(['shear_sheep']);
+  });
+
+  test('leaves out excluded skills', () => {
+    expect(names({ type: 'chop_trees', description: 'collect oak logs' }, { exclude: ['gather_wood'] }))
+      .not.toContain('gather_wood');
+  });
+
+  test('indexes skills registered after the first search', () => {
+    retriever.retrieve('dig a moat');
+    skillLibrary.registerSkill('dig_moat', { description: 'Dig a water moat around the base' });
+
+    expect(names('dig a moat around the base')[0]).toBe('dig_moat');
+  });
+});
@@ -0,0 +1,168 @@
+const { SkillSandbox } = require('../src/SkillSandbox');
+const { FakeBot } = require('../src/testing/FakeBot');
+
+const run = async (sandbox, code, bot = {}) => sandbox.execute(sandbox.compile(code), bot, {});
+
+describe('SkillSandbox CPU budget', () => {
+  const sandbox = new SkillSandbox({ cpuBudgetMs: 50 });
+
+  test('stops a busy loop', async () => {
+    const result = await run(sandbox, 'async function executeTask(bot) { while (true) {} }');
+
+    expect(result).toMatchObject({ success: false, reason: 'SANDBOX_VIOLATION', details: { violation: 'CPU_BUDGET' } });
+  });
+
+  test('counts arrow callbacks that return an expression', async () => {
+    const code = `async function executeTask(bot) {
+      return Array.from({ length: 3e7 }, () => 0).map(x => x + 1).length;
+    }`;
+
+    const result = await run(sandbox, code);
+
+    expect(result).toMatchObject({ success: false, reason: 'SANDBOX_VIOLATION', details: { violation: 'CPU_BUDGET' } });
+  });
+
+  test('stops a catastrophic regex after an await', async () => {
+    const code = `async function executeTask(bot) {
+      await sleep(1);
+      return /(a+)+$/.test('a'.repeat(32) + 'b');
+    }`;
+    const startedAt = Date.now();
+
+    const result = await run(sandbox, code);
+
+    expect(result).toMatchObject({ success: false, reason: 'SANDBOX_VIOLATION', details: { violation: 'CPU_BUDGET' } });
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  test('keeps the value of rewritten arrow functions', async () => {
+    const code = `async function executeTask(bot) {
+      const add = x => y => x + y;
+      const wrap = v => ({ v });
+      const last = (a, b) => (a, b);
+      return { success: true, values: [1, 2].map(x => x * 2), sum: add(1)(2), wrapped: wrap(3), last: last(4, 5) };
+    }`;
+
+    const result = await run(sandbox, code);
+
+    expect(result).toMatchObject({ success: true, values: [2, 4], sum: 3, wrapped: { v: 3 }, last: 5 });
+  });
+});
+
+describe('SkillSandbox bot state', () => {
+  const sandbox = new SkillSandbox();
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 4 });
+  });
+
+  test('writes to the entity copy do not reach the bot', async () => {
+    const code = `async function executeTask(bot) {
+      bot.entity.position.x = 999;
+      bot.entities[0].position.y = -1;
+      return { success: true, x: bot.entity.position.x };
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result).toMatchObject({ success: true, x: 0.5 });
+    expect(bot.entity.position.x).toBe(0.5);
+    expect(bot.entities[0].position.y).toBe(64);
+  });
+
+  test('the registry cannot be changed', async () => {
+    const hardness = bot.registry.blocksByName.stone.hardness;
+    const code = `async function executeTask(bot) {
+      bot.registry.blocksByName.stone.hardness = 0;
+      return { success: true };
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result).toMatchObject({ success: false, reason: 'SANDBOX_VIOLATION', details: { violation: 'READ_ONLY' } });
+    expect(bot.registry.blocksByName.stone.hardness).toBe(hardness);
+  });
+
+  test('attacks the real entity behind a nearestEntity copy', async () => {
+    const cow = bot.addEntity('cow', [2.5, 64, 0.5]);
+    const health = cow.health;
+    const code = `async function executeTask(bot) {
+      const target = bot.nearestEntity(entity => entity.name === 'cow');
+      target.position.x = 100;
+      bot.attack(target);
+      return { success: true, name: target.name };
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result).toMatchObject({ success: true, name: 'cow' });
+    expect(cow.health).toBeLessThan(health);
+    expect(cow.position.x).toBe(2.5);
+  });
+});
+
+describe('SkillSandbox realm boundary', () => {
+  const sandbox = new SkillSandbox();
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 4 });
+  });
+
+  test('rejects a computed constructor key in a destructuring pattern', async () => {
+    const code = `async function executeTask(bot) {
+      const { ['constr' + 'uctor']: F } = bot.findBlock;
+      return F('return pro' + 'cess')();
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'SANDBOX_VIOLATION',
+      details: { violation: 'FORBIDDEN_PROPERTY', property: 'constructor' }
+    });
+  });
+
+  test('reads a computed key by the name it checked', async () => {
+    const code = `async function executeTask(bot) {
+      let calls = 0;
+      const key = { toString: () => (calls++ === 0 ? 'name' : 'constr' + 'uctor') };
+      return { success: true, name: typeof bot.findBlock[key] };
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result).toMatchObject({ success: true, name: 'string' });
+  });
+
+  test('hands out functions and objects from the skill realm', async () => {
+    const code = `async function executeTask(bot) {
+      const block = bot.blockAt(new Vec3(0, 63, 0));
+      const values = [bot.findBlock, bot.inventory.items, goals.GoalBlock, sleep, block, block.position, bot.registry];
+      return { success: true, local: values.every(value => value instanceof Object) };
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result).toMatchObject({ success: true, local: true });
+  });
+
+  test('passes the real block behind a copy back to the bot', async () => {
+    const code = `async function executeTask(bot) {
+      const block = bot.findBlock({ matching: b => b.name === 'grass_block', maxDistance: 4 });
+      block.name = 'bedrock';
+      await bot.dig(block);
+      return { success: true, position: block.position.toString() };
+    }`;
+
+    const result = await run(sandbox, code, bot);
+
+    expect(result.success).toBe(true);
+    const [x, y, z] = result.position.match(/-?\d+/g).map(Number);
+    expect(bot.world.getBlockName(x, y, z)).toBe('air');
+  });
+});
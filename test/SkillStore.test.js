@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SkillStore } = require('../src/SkillStore');
+const { VoyagerAI } = require('../src/VoyagerAI');
+
+const SAFE_CODE = 'async function executeTask(bot, params) { return { success: true }; }';
+const REJECTED_CODE = 'async function executeTask(bot, params) { return require("fs"); }';
+
+describe('SkillStore', () => {
+  let dir;
+  let store;
+  let library;
+  const voyager = new VoyagerAI(null);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-store-'));
+    store = new SkillStore({ dir });
+    const registered = new Map();
+    library = {
+      registered,
+      getSkill: name => registered.get(name) || null,
+      registerSkill: (name, skill) => registered.set(name, skill)
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const save = (type, code) => store.saveGenerated({ type, params: {} }, {}, { code });
+
+  test('restores saved skills into the library', () => {
+    save('dig_moat', SAFE_CODE);
+
+    const restored = new SkillStore({ dir }).loadInto(library, code => voyager.createSandboxedSkill(code));
+
+    expect(restored).toBe(1);
+    expect(library.getSkill('dig_moat')).toMatchObject({ name: 'dig_moat', stored: true, version: 1 });
+  });
+
+  test('skips stored code that the sandbox rejects', () => {
+    save('dig_moat', SAFE_CODE);
+    save('read_files', REJECTED_CODE);
+
+    const restored = new SkillStore({ dir }).loadInto(library, code => voyager.createSandboxedSkill(code));
+
+    expect(restored).toBe(1);
+    expect(library.getSkill('read_files')).toBeNull();
+  });
+});
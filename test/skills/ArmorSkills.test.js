@@ -0,0 +1,55 @@
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { EquipmentManager } = require('../../src/EquipmentManager');
+const { CraftArmorSkill, EquipArmorSkill } = require('../../src/SkillLibrary');
+
+describe('armor skills', () => {
+  let bot;
+
+  const setup = inventory => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+  };
+
+  test('craft_armor makes the planned pieces and puts them on', async () => {
+    setup([{ name: 'iron_ingot', count: 12 }, { name: 'oak_planks', count: 4 }]);
+
+    const result = await new CraftArmorSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, crafted: ['iron_chestplate', 'iron_boots'], armor: 8 });
+    expect(EquipmentManager.equipped(bot)).toMatchObject({
+      torso: expect.objectContaining({ name: 'iron_chestplate' }),
+      feet: expect.objectContaining({ name: 'iron_boots' })
+    });
+    expect(bot.inventory.count('iron_ingot')).toBe(0);
+  });
+
+  test('craft_armor reports what a requested piece still needs', async () => {
+    setup([{ name: 'diamond', count: 3 }, { name: 'crafting_table', count: 1 }]);
+
+    const result = await new CraftArmorSkill().execute(bot, { pieces: ['diamond_helmet', 'shield'] });
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_MATERIALS',
+      details: {
+        missing: [{ item: 'diamond', needed: 2 }, { item: 'iron_ingot', needed: 1 }, { item: 'oak_planks', needed: 6 }]
+      }
+    });
+  });
+
+  test('craft_armor refuses armor that cannot be crafted', async () => {
+    setup([]);
+
+    const result = await new CraftArmorSkill().execute(bot, { pieces: ['chainmail_chestplate'] });
+
+    expect(result).toMatchObject({ success: false, reason: 'INVALID_PARAMS' });
+  });
+
+  test('equip_armor lists the slots it could not fill', async () => {
+    setup([{ name: 'leather_helmet', count: 1 }, { name: 'leather_boots', count: 1 }]);
+
+    const result = await new EquipArmorSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, armor: 2, missing: ['torso', 'legs'] });
+  });
+});
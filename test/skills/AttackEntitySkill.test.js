@@ -0,0 +1,41 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { AttackEntitySkill } = require('../../src/SkillLibrary');
+
+describe('attack_entity', () => {
+  let bot;
+
+  const setup = (cows) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'stone_sword', count: 1 }] });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+    for (let i = 0; i < cows; i++) bot.addEntity('cow', new Vec3(3 + i, 64, 0.5));
+  };
+  const cows = () => Object.values(bot.entities).filter(entity => entity.name === 'cow');
+
+  test('leaves the last breeding pair alone', async () => {
+    setup(2);
+
+    const result = await new AttackEntitySkill().execute(bot, { target: 'cow' });
+
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND', details: { spared: true } });
+    expect(cows()).toHaveLength(2);
+  });
+
+  test('kills one cow when more than a pair is around', async () => {
+    setup(3);
+
+    const result = await new AttackEntitySkill().execute(bot, { target: 'cow' });
+
+    expect(result).toMatchObject({ success: true, target: 'cow' });
+    expect(cows()).toHaveLength(2);
+  });
+
+  test('does not spare hostile mobs', async () => {
+    setup(0);
+    bot.addEntity('zombie', new Vec3(3, 64, 0.5));
+
+    const result = await new AttackEntitySkill().execute(bot, { target: 'zombie' });
+
+    expect(result).toMatchObject({ success: true, target: 'zombie' });
+  });
+});
@@ -0,0 +1,71 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { MiningSafety } = require('../../src/MiningSafety');
+const { BranchMineSkill } = require('../../src/SkillLibrary');
+
+describe('branch_mine', () => {
+  let bot;
+
+  const setup = (inventory = [{ name: 'stone_pickaxe', count: 1 }, { name: 'torch', count: 4 }]) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 16 });
+    bot.world.fill(new Vec3(-16, 50, -16), new Vec3(16, 55, 16), 'stone');
+  };
+
+  const mine = params => new BranchMineSkill().execute(bot, {
+    targetY: 58,
+    tunnelLength: 6,
+    branchSpacing: 3,
+    branchLength: 2,
+    torchSpacing: 4,
+    direction: 'east',
+    ...params
+  });
+
+  test('stairs down, digs the tunnel and branches, follows a vein and climbs back out', async () => {
+    setup();
+    bot.world.setBlock(new Vec3(7, 59, 1), 'iron_ore');
+    bot.world.setBlock(new Vec3(7, 60, 1), 'iron_ore');
+
+    const result = await mine({});
+
+    expect(result).toMatchObject({ success: true, tunnel: 14, veins: 1, full: false });
+    expect(result.mined.raw_iron).toBe(2);
+    expect(result.torches).toBeGreaterThan(0);
+    expect(bot.world.getBlockName(new Vec3(12, 58, 0))).toBe('air');
+    expect(bot.world.getBlockName(new Vec3(9, 58, 2))).toBe('air');
+    expect(bot.entity.position.y).toBeGreaterThanOrEqual(64);
+  });
+
+  test('stops the tunnel before digging next to lava', async () => {
+    setup();
+    bot.world.setBlock(new Vec3(11, 58, 1), 'lava');
+
+    const result = await mine({ returnToSurface: false, branchLength: 0 });
+
+    expect(result).toMatchObject({ success: true, tunnel: 4 });
+    expect(result.hazards).toEqual([expect.objectContaining({ type: 'lava', block: 'lava' })]);
+    expect(bot.world.getBlockName(new Vec3(11, 58, 0))).toBe('stone');
+  });
+
+  test('needs a pickaxe', async () => {
+    setup([{ name: 'torch', count: 4 }]);
+
+    const result = await mine({});
+
+    expect(result).toMatchObject({ success: false, reason: 'NO_TOOL' });
+  });
+
+  test('checkDig flags liquids and falling blocks around a cell', () => {
+    setup();
+    bot.world.setBlock(new Vec3(3, 60, 0), 'water');
+    bot.world.setBlock(new Vec3(2, 61, 0), 'gravel');
+
+    expect(MiningSafety.checkDig(bot, new Vec3(2, 60, 0))).toMatchObject({
+      safe: false,
+      hazards: [{ type: 'water', block: 'water' }],
+      falling: true
+    });
+    expect(MiningSafety.checkDig(bot, new Vec3(-2, 58, -2))).toMatchObject({ safe: true, falling: false });
+  });
+});
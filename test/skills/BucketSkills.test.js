@@ -0,0 +1,83 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const {
+  CollectFluidSkill,
+  DrinkMilkSkill,
+  ExtinguishFireSkill,
+  MakeWaterSourceSkill,
+  MilkCowSkill,
+  PlaceWaterSkill
+} = require('../../src/SkillLibrary');
+
+describe('bucket skills', () => {
+  let bot;
+
+  const setup = inventory => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 10 });
+  };
+
+  test('collect_lava scoops a lava source for fuel', async () => {
+    setup([{ name: 'bucket', count: 1 }]);
+    bot.world.setBlock(new Vec3(5, 63, 0), 'lava', { level: 0 });
+
+    const result = await new CollectFluidSkill('lava').execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, filled: 1, item: 'lava_bucket' });
+    expect(bot.world.getBlockName(new Vec3(5, 63, 0))).toBe('air');
+    expect(bot.entity.position.floored().equals(new Vec3(5, 64, 0))).toBe(false);
+  });
+
+  test('place_water pours a bucket and can take it back', async () => {
+    setup([{ name: 'water_bucket', count: 1 }]);
+
+    const placed = await new PlaceWaterSkill().execute(bot, { position: { x: 3, y: 64, z: 2 } });
+    expect(placed).toMatchObject({ success: true });
+    expect(bot.world.getBlockName(new Vec3(3, 64, 2))).toBe('water');
+
+    const recovered = await new PlaceWaterSkill().execute(bot, { position: { x: -3, y: 64, z: 2 }, pickUp: true });
+    expect(recovered).toMatchObject({ success: true, recovered: true });
+    expect(bot.world.getBlockName(new Vec3(-3, 64, 2))).toBe('air');
+    expect(bot.inventory.count('water_bucket')).toBe(1);
+  });
+
+  test('extinguish_fire puts out nearby fire and keeps the water', async () => {
+    setup([{ name: 'water_bucket', count: 1 }]);
+    bot.world.setBlock(new Vec3(4, 64, 0), 'fire');
+
+    const result = await new ExtinguishFireSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, extinguished: 1 });
+    expect(bot.world.getBlockName(new Vec3(4, 64, 0))).toBe('air');
+    expect(bot.inventory.count('water_bucket')).toBe(1);
+  });
+
+  test('make_water_source digs a 2x2 pool that refills itself', async () => {
+    setup([{ name: 'water_bucket', count: 2 }, { name: 'wooden_shovel', count: 1 }]);
+
+    const result = await new MakeWaterSourceSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, sources: 4 });
+    expect(bot.inventory.count('water_bucket')).toBe(1);
+    const { x, y, z } = result.position;
+    expect(bot.world.getBlockName(new Vec3(x + 1, y, z))).toBe('water');
+  });
+
+  test('milk_cow fills a bucket and drink_milk cures poison', async () => {
+    setup([{ name: 'bucket', count: 1 }]);
+    bot.addEntity('cow', new Vec3(6.5, 64, 3.5));
+
+    expect(await new MilkCowSkill().execute(bot, {})).toMatchObject({ success: true, item: 'milk_bucket' });
+
+    const poison = bot.registry.effectsByName.Poison.id;
+    expect(await new DrinkMilkSkill().execute(bot, {})).toMatchObject({ success: true, cured: [] });
+    expect(bot.inventory.count('milk_bucket')).toBe(1);
+
+    bot.entity.effects = { [poison]: { id: poison, amplifier: 0, duration: 200 } };
+    const result = await new DrinkMilkSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, cured: ['Poison'] });
+    expect(bot.entity.effects).toEqual({});
+    expect(bot.inventory.count('bucket')).toBe(1);
+  });
+});
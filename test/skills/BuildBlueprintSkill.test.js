@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { BuildBlueprintSkill } = require('../../src/SkillLibrary');
+
+describe('build_blueprint', () => {
+  let dir;
+  let bot;
+  let skill;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprints-'));
+    fs.writeFileSync(path.join(dir, 'pillar.json'), JSON.stringify({
+      palette: { P: 'oak_planks', T: 'torch' },
+      layers: [['PP'], ['PP'], ['T.']]
+    }));
+    const inventory = [{ name: 'oak_planks', count: 4 }, { name: 'torch', count: 1 }];
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    skill = new BuildBlueprintSkill();
+    skill.dir = dir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('builds the blueprint at the given origin', async () => {
+    const result = await skill.execute(bot, { blueprint: 'pillar', origin: { x: 3, y: 64, z: 0 } });
+
+    expect(result).toMatchObject({ success: true });
+    expect(bot.blockAt(new Vec3(3, 65, 0)).name).toBe('oak_planks');
+    expect(bot.blockAt(new Vec3(4, 64, 0)).name).toBe('oak_planks');
+    expect(bot.blockAt(new Vec3(3, 66, 0)).name).toBe('torch');
+  });
+
+  test('lists missing materials before placing anything', async () => {
+    bot.inventory.removeItem('oak_planks', 2);
+
+    const result = await skill.execute(bot, { blueprint: 'pillar', origin: { x: 3, y: 64, z: 0 } });
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_MATERIALS',
+      details: { missing: [{ item: 'oak_planks', needed: 2 }] }
+    });
+    expect(bot.blockAt(new Vec3(3, 64, 0)).name).toBe('air');
+  });
+
+  test('reports an unknown blueprint', async () => {
+    const result = await skill.execute(bot, { blueprint: 'castle' });
+
+    expect(result).toMatchObject({ success: false, reason: 'BLUEPRINT_NOT_FOUND' });
+  });
+});
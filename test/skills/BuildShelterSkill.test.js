@@ -0,0 +1,44 @@
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { BuildShelterSkill } = require('../../src/SkillLibrary');
+
+describe('build_shelter', () => {
+  let bot;
+
+  const setup = (inventory, options = {}) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory, ...options });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+  };
+  const solid = position => bot.blockAt(position).boundingBox === 'block';
+
+  test('builds a walled, roofed hut with a door and a torch', async () => {
+    setup([{ name: 'cobblestone', count: 32 }, { name: 'oak_door', count: 1 }, { name: 'torch', count: 1 }]);
+
+    const result = await new BuildShelterSkill().execute(bot, { mode: 'hut' });
+
+    expect(result).toMatchObject({ success: true, shelter: { type: 'hut' } });
+    const center = result.shelter.position;
+    expect(solid(center.offset(0, 2, 0))).toBe(true);
+    const sides = [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dx, dz]) => bot.blockAt(center.offset(dx, 0, dz)).name);
+    expect(sides.filter(name => name === 'oak_door')).toHaveLength(1);
+    expect(bot.inventory.count('torch')).toBe(0);
+  });
+
+  test('digs in when hurt instead of building', async () => {
+    setup([{ name: 'torch', count: 1 }], { health: 6 });
+
+    const result = await new BuildShelterSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, shelter: { type: 'dugout' } });
+    expect(bot.entity.position.y).toBeLessThan(63);
+    expect(solid(bot.entity.position.floored().offset(0, 2, 0))).toBe(true);
+  });
+
+  test('does not fall back to a dugout when a hut was asked for', async () => {
+    setup([]);
+    bot.world.fill([-12, 64, -12], [12, 64, 12], 'water');
+
+    const result = await new BuildShelterSkill().execute(bot, { mode: 'hut' });
+
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND' });
+  });
+});
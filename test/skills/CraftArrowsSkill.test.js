@@ -0,0 +1,33 @@
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { CraftArrowsSkill } = require('../../src/SkillLibrary');
+
+describe('craft_arrows', () => {
+  let bot;
+
+  const setup = inventory => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+  };
+
+  test('makes sticks and a crafting table from planks, then arrows', async () => {
+    setup([{ name: 'flint', count: 2 }, { name: 'feather', count: 2 }, { name: 'oak_planks', count: 6 }]);
+
+    const result = await new CraftArrowsSkill().execute(bot, { count: 8 });
+
+    expect(result).toMatchObject({ success: true, crafted: 8, arrows: 8 });
+    expect(bot.inventory.count('flint')).toBe(0);
+    expect(bot.inventory.count('stick')).toBe(2);
+  });
+
+  test('lists every missing material', async () => {
+    setup([{ name: 'flint', count: 1 }, { name: 'stick', count: 4 }, { name: 'crafting_table', count: 1 }]);
+
+    const result = await new CraftArrowsSkill().execute(bot, { count: 8 });
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_MATERIALS',
+      details: { missing: [{ item: 'flint', needed: 1 }, { item: 'feather', needed: 2 }] }
+    });
+  });
+});
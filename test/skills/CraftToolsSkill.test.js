@@ -0,0 +1,70 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { CraftToolsSkill } = require('../../src/SkillLibrary');
+
+describe('craft_tools', () => {
+  let bot;
+
+  const setup = (inventory) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    bot.world.setBlock(new Vec3(2, 64, 0), 'crafting_table');
+  };
+
+  test('crafts a wooden pickaxe from planks and sticks', async () => {
+    setup([{ name: 'oak_planks', count: 3 }, { name: 'stick', count: 2 }]);
+
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_pickaxe'] });
+
+    expect(result).toMatchObject({ success: true, verification: { verified: true } });
+    expect(bot.inventory.count('wooden_pickaxe')).toBe(1);
+  });
+
+  test('turns logs into the planks and sticks it is missing', async () => {
+    setup([{ name: 'oak_log', count: 2 }]);
+
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_pickaxe'] });
+
+    expect(result).toMatchObject({ success: true, verification: { verified: true } });
+    expect(bot.inventory.count('wooden_pickaxe')).toBe(1);
+    expect(bot.inventory.count('oak_log')).toBe(0);
+  });
+
+  test('reports the missing materials when there is nothing to convert', async () => {
+    setup([{ name: 'oak_planks', count: 1 }]);
+
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_pickaxe'] });
+
+    expect(result).toMatchObject({ success: false, reason: 'INSUFFICIENT_MATERIALS' });
+    expect(bot.inventory.count('wooden_pickaxe')).toBe(0);
+  });
+
+  test('succeeds without crafting when the requested tool was already there', async () => {
+    setup([{ name: 'wooden_pickaxe', count: 1 }, { name: 'oak_planks', count: 3 }]);
+
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_pickaxe'] });
+
+    expect(result).toMatchObject({ success: true, verification: { verified: true } });
+    expect(bot.inventory.count('wooden_pickaxe')).toBe(1);
+    expect(bot.inventory.count('oak_planks')).toBe(3);
+  });
+
+  test('still crafts and verifies the tools that were not there yet', async () => {
+    setup([{ name: 'wooden_pickaxe', count: 1 }, { name: 'oak_planks', count: 2 }, { name: 'stick', count: 1 }]);
+
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_pickaxe', 'wooden_sword'] });
+
+    expect(result).toMatchObject({ success: true, verification: { verified: true } });
+    expect(bot.inventory.count('wooden_pickaxe')).toBe(1);
+    expect(bot.inventory.count('wooden_sword')).toBe(1);
+  });
+
+  test('checks diamond tools too', async () => {
+    setup([{ name: 'oak_planks', count: 3 }, { name: 'stick', count: 2 }, { name: 'diamond', count: 3 }]);
+
+    const result = await new CraftToolsSkill().execute(bot, { tools: ['wooden_sword', 'diamond_pickaxe'] });
+
+    expect(result).toMatchObject({ success: false, reason: 'POSTCONDITION_FAILED' });
+    expect(result.details.unmet.map(unmet => unmet.condition.match)).toEqual(['_pickaxe']);
+  });
+});
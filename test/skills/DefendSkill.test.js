@@ -0,0 +1,46 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { DefendSkill } = require('../../src/SkillLibrary');
+
+describe('defend', () => {
+  let bot;
+
+  const setup = (options = {}) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'iron_sword', count: 1 }], ...options });
+    bot.world.createFlatGround({ y: 63, radius: 24 });
+  };
+
+  test('clears the hostiles around itself and leaves animals alone', async () => {
+    setup();
+    bot.addEntity('zombie', new Vec3(5.5, 64, 0.5));
+    bot.addEntity('spider', new Vec3(-4.5, 64, 3.5));
+    bot.addEntity('cow', new Vec3(2.5, 64, -3.5));
+
+    const result = await new DefendSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, killed: 2, remaining: 0 });
+    expect(result.targets.sort()).toEqual(['spider', 'zombie']);
+    expect(Object.values(bot.entities).some(entity => entity.name === 'cow')).toBe(true);
+    expect(bot.heldItem.name).toBe('iron_sword');
+  });
+
+  test('guards another player instead of its own spot', async () => {
+    setup();
+    bot.addPlayer('Farmer', new Vec3(20.5, 64, 0.5));
+    bot.addEntity('zombie', new Vec3(22.5, 64, 0.5));
+
+    const result = await new DefendSkill().execute(bot, { protect: 'Farmer', radius: 6 });
+
+    expect(result).toMatchObject({ success: true, killed: 1, targets: ['zombie'] });
+  });
+
+  test('retreats instead of fighting on low health', async () => {
+    setup({ health: 5 });
+    bot.addEntity('zombie', new Vec3(3.5, 64, 0.5));
+
+    const result = await new DefendSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: false, reason: 'OUTMATCHED', details: { cause: 'LOW_HEALTH' } });
+    expect(bot.entity.position.x).toBeLessThan(-5);
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { FarmRegistry } = require('../../src/FarmRegistry');
+const { FarmCropsSkill } = require('../../src/SkillLibrary');
+
+describe('farm_crops', () => {
+  let dir;
+  let bot;
+  let skill;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'farms-'));
+    bot = new FakeBot({
+      position: [0.5, 64, 0.5],
+      inventory: [{ name: 'wooden_hoe', count: 1 }, { name: 'wheat_seeds', count: 9 }]
+    });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+    bot.world.setBlock(new Vec3(4, 63, 0), 'water');
+    skill = new FarmCropsSkill(new FarmRegistry({ filePath: path.join(dir, 'farms.json') }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const farmland = plot => plot.cells
+    .filter(cell => bot.world.getBlockName(new Vec3(cell.x, cell.y, cell.z)) === 'farmland');
+
+  test('tills a plot next to water and plants it', async () => {
+    const result = await skill.execute(bot, { crop: 'wheat', plotSize: 4 });
+
+    expect(result).toMatchObject({ success: true, crop: 'wheat', tilled: 4, planted: 4, growing: 4 });
+    const plot = skill.registry.plots.get(result.plot);
+    expect(farmland(plot)).toHaveLength(4);
+    expect(plot.water).toEqual({ x: 4, y: 63, z: 0 });
+    expect(bot.inventory.count('wheat_seeds')).toBe(5);
+  });
+
+  test('harvests ripe wheat and replants the same plot', async () => {
+    const first = await skill.execute(bot, { crop: 'wheat', plotSize: 4 });
+    await bot.waitForTicks(7 * 1200);
+
+    const second = await skill.execute(bot, { crop: 'auto' });
+
+    expect(second).toMatchObject({ success: true, plot: first.plot, tilled: 0, planted: 4, harvested: { wheat: 4 } });
+    expect(skill.registry.plots.get(first.plot).stats.harvests).toBe(1);
+  });
+
+  test('needs water nearby', async () => {
+    bot.world.setBlock(new Vec3(4, 63, 0), 'dirt');
+
+    const result = await skill.execute(bot, { crop: 'wheat' });
+
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND', details: { target: 'water' } });
+  });
+});
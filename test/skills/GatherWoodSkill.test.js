@@ -0,0 +1,46 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { SimpleGatherWoodSkill } = require('../../src/SkillLibrary');
+
+describe('gather_wood', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+  });
+
+  test('collects the requested number of logs', async () => {
+    bot.world.addTree([4, 64, 0], { height: 4 });
+
+    const result = await new SimpleGatherWoodSkill().execute(bot, { amount: 3 });
+
+    expect(result.success).toBe(true);
+    expect(result.collected).toBeGreaterThanOrEqual(3);
+    expect(bot.inventory.count('oak_log')).toBe(result.collected);
+  });
+
+  test('does not count a log that someone else removed on the way', async () => {
+    bot.world.addTree([6, 64, 0], { height: 1, leaves: null });
+    bot.world.addTree([-8, 64, 0], { height: 1, leaves: null });
+    const goto = bot.pathfinder.goto.bind(bot.pathfinder);
+    bot.pathfinder.goto = async goal => {
+      bot.world.removeBlock(new Vec3(6, 64, 0));
+      return goto(goal);
+    };
+
+    const result = await new SimpleGatherWoodSkill().execute(bot, { amount: 2 });
+
+    expect(result).toMatchObject({ success: true, collected: 1, partial: true });
+    expect(bot.inventory.count('oak_log')).toBe(1);
+  });
+
+  test('works with nether stems', async () => {
+    bot.world.addTree([4, 64, 0], { log: 'crimson_stem', leaves: null, height: 2 });
+
+    const result = await new SimpleGatherWoodSkill().execute(bot, { amount: 2 });
+
+    expect(result).toMatchObject({ success: true, collected: 2 });
+    expect(bot.inventory.count('crimson_stem')).toBe(2);
+  });
+});
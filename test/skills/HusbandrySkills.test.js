@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { FarmRegistry } = require('../../src/FarmRegistry');
+const { Husbandry } = require('../../src/Husbandry');
+const {
+  BreedAnimalsSkill,
+  ShearSheepSkill,
+  CollectEggsSkill,
+  BuildPenSkill
+} = require('../../src/SkillLibrary');
+
+describe('husbandry skills', () => {
+  let dir;
+  let registry;
+  let bot;
+
+  const setup = (inventory) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+  };
+  const herd = species => Object.values(bot.entities).filter(entity => entity.name === species);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'farms-'));
+    registry = new FarmRegistry({ filePath: path.join(dir, 'farms.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('breed_animals feeds a pair of cows and a calf is born', async () => {
+    setup([{ name: 'wheat', count: 2 }]);
+    bot.addEntity('cow', new Vec3(3, 64, 0));
+    bot.addEntity('cow', new Vec3(4, 64, 1));
+
+    const result = await new BreedAnimalsSkill(registry).execute(bot, { animal: 'cow', lure: false });
+
+    expect(result).toMatchObject({ success: true, species: 'cow', bred: 1, babies: 1 });
+    expect(herd('cow').filter(cow => Husbandry.isBaby(cow))).toHaveLength(1);
+    expect(bot.inventory.count('wheat')).toBe(0);
+  });
+
+  test('breed_animals asks for the food it is missing', async () => {
+    setup([]);
+    bot.addEntity('pig', new Vec3(3, 64, 0));
+    bot.addEntity('pig', new Vec3(4, 64, 1));
+
+    const result = await new BreedAnimalsSkill(registry).execute(bot, { animal: 'pig' });
+
+    expect(result).toMatchObject({ success: false, reason: 'INSUFFICIENT_MATERIALS' });
+    expect(result.details.missing[0]).toEqual({ item: 'carrot', needed: 2 });
+  });
+
+  test('shear_sheep takes the wool and leaves the sheep alive', async () => {
+    setup([{ name: 'shears', count: 1 }]);
+    bot.addEntity('sheep', new Vec3(3, 64, 0));
+    bot.addEntity('sheep', new Vec3(5, 64, 2));
+
+    const result = await new ShearSheepSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true });
+    expect(herd('sheep')).toHaveLength(2);
+    expect(herd('sheep').every(sheep => Husbandry.isSheared(sheep))).toBe(true);
+    expect(bot.inventory.count('white_wool')).toBeGreaterThan(0);
+  });
+
+  test('collect_eggs picks up eggs lying around', async () => {
+    setup([]);
+    bot.addEntity('item', new Vec3(4.5, 64, 0.5), { item: { name: 'egg', count: 1 } });
+    bot.addEntity('item', new Vec3(-3.5, 64, 2.5), { item: { name: 'egg', count: 1 } });
+
+    const result = await new CollectEggsSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, collected: 2 });
+    expect(bot.inventory.count('egg')).toBe(2);
+  });
+
+  test('build_pen fences a pen with a gate and reuses it next time', async () => {
+    setup([{ name: 'oak_fence', count: 16 }, { name: 'oak_fence_gate', count: 1 }]);
+    const skill = new BuildPenSkill(registry);
+
+    const built = await skill.execute(bot, { size: 5 });
+    const again = await skill.execute(bot, { size: 5 });
+
+    expect(built).toMatchObject({ success: true, reused: false });
+    const { gate } = built.pen;
+    expect(bot.world.getBlockName(new Vec3(gate.x, gate.y, gate.z))).toBe('oak_fence_gate');
+    expect(again).toMatchObject({ success: true, reused: true, pen: { id: built.pen.id } });
+  });
+});
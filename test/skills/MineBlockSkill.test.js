@@ -0,0 +1,48 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { MineBlockSkill } = require('../../src/SkillLibrary');
+
+describe('mine_block', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory: [{ name: 'wooden_pickaxe', count: 1 }] });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+  });
+
+  test('mines stone next to the bot and keeps the cobblestone', async () => {
+    bot.world.setBlock(new Vec3(2, 64, 0), 'stone');
+
+    const result = await new MineBlockSkill().execute(bot, { blockType: 'stone' });
+
+    expect(result).toMatchObject({ success: true, verification: { verified: true } });
+    expect(bot.inventory.count('cobblestone')).toBe(1);
+    expect(bot.blockAt(new Vec3(2, 64, 0)).name).toBe('air');
+  });
+
+  test('walks over to an ore out of reach and counts what it drops', async () => {
+    bot.world.setBlock(new Vec3(8, 64, 0), 'coal_ore');
+
+    const result = await new MineBlockSkill().execute(bot, { blockType: 'coal_ore' });
+
+    expect(result).toMatchObject({ success: true, itemsCollected: 1, verification: { verified: true } });
+    expect(bot.inventory.count('coal')).toBe(1);
+  }, 10000);
+
+  test('digs through a block hiding the ore before mining it', async () => {
+    bot.world.setBlock(new Vec3(2, 64, 0), 'coal_ore');
+    bot.world.setBlock(new Vec3(1, 64, 0), 'stone');
+
+    const result = await new MineBlockSkill().execute(bot, { blockType: 'coal_ore' });
+
+    expect(result).toMatchObject({ success: true, itemsCollected: 1 });
+    expect(bot.blockAt(new Vec3(1, 64, 0)).name).toBe('air');
+    expect(bot.inventory.count('coal')).toBe(1);
+  }, 10000);
+
+  test('reports the block missing at the given position', async () => {
+    const result = await new MineBlockSkill().execute(bot, { blockType: 'iron_ore', position: new Vec3(2, 64, 0) });
+
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND', details: { type: 'iron_ore' } });
+  });
+});
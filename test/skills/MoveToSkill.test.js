@@ -0,0 +1,66 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { MoveToSkill } = require('../../src/SkillLibrary');
+
+describe('move_to', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 16 });
+  });
+
+  test('walks to the given coordinates', async () => {
+    const result = await new MoveToSkill().execute(bot, { x: 10, y: 64, z: -6 });
+
+    expect(result).toMatchObject({ success: true, verification: { verified: true } });
+    expect(bot.entity.position.distanceTo(new Vec3(10, 64, -6))).toBeLessThanOrEqual(4);
+  });
+
+  test('accepts a target object and walks back past the origin', async () => {
+    const result = await new MoveToSkill().execute(bot, { target: { x: -8, y: 64, z: 5 } });
+
+    expect(result).toMatchObject({ success: true });
+    expect(bot.entity.position.distanceTo(new Vec3(-8, 64, 5))).toBeLessThanOrEqual(4);
+  });
+
+  test('converts nether coordinates to the overworld', async () => {
+    const result = await new MoveToSkill().execute(bot, { x: 1, y: 64, z: 1, dimension: 'the_nether' });
+
+    expect(result).toMatchObject({ success: true });
+    expect(bot.entity.position.distanceTo(new Vec3(8, 64, 8))).toBeLessThanOrEqual(4);
+  });
+
+  test('walks around a wall in the way', async () => {
+    for (let z = -4; z <= 4; z++) {
+      bot.world.setBlock(new Vec3(4, 64, z), 'stone');
+      bot.world.setBlock(new Vec3(4, 65, z), 'stone');
+    }
+
+    const result = await new MoveToSkill().execute(bot, { x: 8, y: 64, z: 0 });
+
+    expect(result).toMatchObject({ success: true });
+    expect(bot.entity.position.distanceTo(new Vec3(8, 64, 0))).toBeLessThanOrEqual(4);
+  });
+
+  test('bridges a ravine when there is no path across', async () => {
+    bot.world.fill(new Vec3(4, 50, -16), new Vec3(6, 63, 16), 'air');
+    bot.inventory.addItem('dirt', 8);
+
+    const result = await new MoveToSkill().execute(bot, { x: 10, y: 64, z: 0 });
+
+    expect(result).toMatchObject({ success: true });
+    expect(bot.entity.position.floored().x).toBeGreaterThanOrEqual(9);
+    expect(bot.inventory.count('dirt')).toBe(5);
+  });
+
+  test('asks for blocks when it cannot bridge and keep its reserve', async () => {
+    bot.world.fill(new Vec3(4, 50, -16), new Vec3(6, 63, 16), 'air');
+    bot.inventory.addItem('dirt', 2);
+
+    const result = await new MoveToSkill().execute(bot, { x: 10, y: 64, z: 0 });
+
+    expect(result).toMatchObject({ success: false, reason: 'INSUFFICIENT_MATERIALS' });
+    expect(bot.inventory.count('dirt')).toBe(2);
+  });
+});
@@ -0,0 +1,97 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { StateManager } = require('../../src/StateManager');
+const { BuildNetherPortalSkill, UseNetherPortalSkill } = require('../../src/SkillLibrary');
+
+describe('nether portal skills', () => {
+  let bot;
+
+  const setup = (inventory, options = {}) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory, ...options });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+  };
+
+  const portalCells = () => {
+    const cells = [];
+    for (let x = -12; x <= 12; x++) {
+      for (let z = -12; z <= 12; z++) {
+        for (let y = 64; y <= 70; y++) {
+          if (bot.world.getBlockName(new Vec3(x, y, z)) === 'nether_portal') cells.push(new Vec3(x, y, z));
+        }
+      }
+    }
+    return cells;
+  };
+
+  test('build_nether_portal frames the portal with obsidian and lights it', async () => {
+    setup([{ name: 'obsidian', count: 10 }, { name: 'dirt', count: 8 }, { name: 'flint_and_steel', count: 1 }]);
+
+    const result = await new BuildNetherPortalSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, placed: 10, cast: 0, lit: true });
+    expect(portalCells()).toHaveLength(6);
+    expect(bot.inventory.count('obsidian')).toBe(0);
+
+    const again = await new BuildNetherPortalSkill().execute(bot, {});
+    expect(again).toMatchObject({ success: true, existing: true });
+  });
+
+  test('build_nether_portal crafts the lighter from flint and iron', async () => {
+    setup([{ name: 'obsidian', count: 10 }, { name: 'dirt', count: 4 }, { name: 'flint', count: 1 },
+      { name: 'iron_ingot', count: 1 }]);
+
+    const result = await new BuildNetherPortalSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, lit: true });
+    expect(bot.inventory.count('flint')).toBe(0);
+  });
+
+  test('build_nether_portal reports missing obsidian when it cannot cast', async () => {
+    setup([{ name: 'obsidian', count: 6 }, { name: 'dirt', count: 4 }, { name: 'flint_and_steel', count: 1 }]);
+
+    const result = await new BuildNetherPortalSkill().execute(bot, {});
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_MATERIALS',
+      details: { missing: [{ item: 'obsidian', needed: 4 }] }
+    });
+    expect(bot.inventory.count('obsidian')).toBe(6);
+  });
+
+  test('build_nether_portal will not cast obsidian in the nether', async () => {
+    setup([{ name: 'water_bucket', count: 1 }, { name: 'lava_bucket', count: 1 }, { name: 'dirt', count: 32 },
+      { name: 'flint_and_steel', count: 1 }], { dimension: 'the_nether' });
+
+    const result = await new BuildNetherPortalSkill().execute(bot, { method: 'cast' });
+
+    expect(result).toMatchObject({ success: false, reason: 'WRONG_DIMENSION' });
+  });
+
+  test('use_nether_portal travels to the nether and back, and the state follows', async () => {
+    setup([{ name: 'obsidian', count: 10 }, { name: 'dirt', count: 8 }, { name: 'flint_and_steel', count: 1 }]);
+    const stateManager = new StateManager(bot);
+    expect(await new BuildNetherPortalSkill().execute(bot, {})).toMatchObject({ success: true });
+    stateManager.updateState({ position: { x: 16, y: 64, z: -8 } });
+
+    const there = await new UseNetherPortalSkill().execute(bot, {});
+
+    expect(there).toMatchObject({ success: true, from: 'overworld', to: 'the_nether' });
+    expect(bot.world.getBlockName(bot.entity.position.floored())).not.toBe('nether_portal');
+    expect(stateManager.state.dimension).toBe('the_nether');
+    expect(stateManager.lastPositionIn('overworld')).toEqual({ x: 16, y: 64, z: -8 });
+
+    const back = await new UseNetherPortalSkill().execute(bot, {});
+
+    expect(back).toMatchObject({ success: true, from: 'the_nether', to: 'overworld' });
+    expect(stateManager.state.dimension).toBe('overworld');
+  });
+
+  test('use_nether_portal needs a portal nearby', async () => {
+    setup([]);
+
+    const result = await new UseNetherPortalSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: false, reason: 'TARGET_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,51 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { CookFoodSkill, EatFoodSkill } = require('../../src/SkillLibrary');
+
+describe('nutrition skills', () => {
+  let bot;
+
+  const setup = (food, inventory) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], food, inventory });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+  };
+
+  test('cook_food grills raw meat on a lit campfire without fuel', async () => {
+    setup(20, [{ name: 'beef', count: 2 }, { name: 'porkchop', count: 1 }]);
+    bot.world.setBlock(new Vec3(3, 64, 0), 'campfire', { lit: true });
+
+    const result = await new CookFoodSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, method: 'campfire', cooked: { cooked_beef: 2, cooked_porkchop: 1 } });
+    expect(bot.inventory.count('beef')).toBe(0);
+    expect(bot.inventory.count('cooked_beef')).toBe(2);
+  });
+
+  test('cook_food asks for raw food it does not have', async () => {
+    setup(20, [{ name: 'bread', count: 2 }]);
+
+    const result = await new CookFoodSkill().execute(bot, { itemName: 'cooked_chicken', count: 2 });
+
+    expect(result).toMatchObject({ success: false, reason: 'INSUFFICIENT_MATERIALS' });
+  });
+
+  test('eat_food cooks raw meat first when a campfire is near', async () => {
+    setup(12, [{ name: 'chicken', count: 1 }]);
+    bot.world.setBlock(new Vec3(3, 64, 0), 'campfire', { lit: true });
+
+    const result = await new EatFoodSkill().execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, eaten: ['cooked_chicken'] });
+    expect(bot.food).toBe(18);
+  });
+
+  test('eat_food leaves rotten flesh alone unless told otherwise', async () => {
+    setup(12, [{ name: 'rotten_flesh', count: 2 }]);
+
+    const refused = await new EatFoodSkill().execute(bot, {});
+    expect(refused).toMatchObject({ success: false, reason: 'NO_FOOD' });
+
+    const eaten = await new EatFoodSkill().execute(bot, { allowHarmful: true });
+    expect(eaten).toMatchObject({ success: true, eaten: ['rotten_flesh', 'rotten_flesh'] });
+  });
+});
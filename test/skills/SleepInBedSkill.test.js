@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { HomeRegistry } = require('../../src/HomeRegistry');
+const { SleepInBedSkill } = require('../../src/SkillLibrary');
+
+describe('sleep_in_bed', () => {
+  let dir;
+  let registry;
+  let bot;
+
+  const setup = (timeOfDay, inventory = []) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], timeOfDay, inventory });
+    bot.world.createFlatGround({ y: 63, radius: 10 });
+  };
+
+  const placeBed = (foot, head) => {
+    bot.world.setBlock(foot, 'red_bed', { facing: 'east', part: 'foot' });
+    bot.world.setBlock(head, 'red_bed', { facing: 'east', part: 'head' });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'homes-'));
+    registry = new HomeRegistry({ filePath: path.join(dir, 'homes.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('crafts a bed from wool and logs, sleeps and remembers it as home', async () => {
+    setup(13000, [{ name: 'white_wool', count: 3 }, { name: 'oak_log', count: 2 }]);
+
+    const result = await new SleepInBedSkill(registry).execute(bot, {});
+
+    expect(result).toMatchObject({ success: true, slept: true, placed: true, morning: true });
+    expect(bot.isSleeping).toBe(false);
+    expect(bot.time.timeOfDay).toBeLessThan(13000);
+    expect(bot.inventory.count('white_wool')).toBe(0);
+
+    const home = new HomeRegistry({ filePath: registry.filePath }).load().get('FakeBot');
+    expect(home.bed).toEqual({ x: result.bed.x, y: result.bed.y, z: result.bed.z });
+    expect(home.lastSlept).not.toBeNull();
+  });
+
+  test('leaves a bed claimed by another bot alone', async () => {
+    setup(13000, []);
+    placeBed(new Vec3(3, 64, 0), new Vec3(4, 64, 0));
+    registry.setBed('OtherBot', new Vec3(4, 64, 0));
+
+    const result = await new SleepInBedSkill(registry).execute(bot, {});
+
+    expect(result).toMatchObject({ success: false, reason: 'INSUFFICIENT_MATERIALS' });
+  });
+
+  test('waits out monsters and then reports them', async () => {
+    setup(13000, []);
+    placeBed(new Vec3(3, 64, 0), new Vec3(4, 64, 0));
+    bot.addEntity('zombie', new Vec3(6.5, 64, 2.5));
+
+    const result = await new SleepInBedSkill(registry).execute(bot, {});
+
+    expect(result).toMatchObject({ success: false, reason: 'MONSTERS_NEARBY', details: { monsters: ['zombie'] } });
+  });
+
+  test('does not try to sleep during the day', async () => {
+    setup(6000, [{ name: 'red_bed', count: 1 }]);
+
+    const result = await new SleepInBedSkill(registry).execute(bot, {});
+
+    expect(result).toMatchObject({ success: false, reason: 'NOT_NIGHT' });
+    expect(bot.inventory.count('red_bed')).toBe(1);
+  });
+});
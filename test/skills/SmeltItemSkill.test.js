@@ -0,0 +1,48 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { SmeltItemSkill } = require('../../src/SkillLibrary');
+
+describe('smelt_item', () => {
+  let bot;
+
+  const setup = (inventory) => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5], inventory });
+    bot.world.createFlatGround({ y: 63, radius: 8 });
+    bot.world.setBlock(new Vec3(2, 64, 0), 'furnace');
+  };
+
+  test('smelts raw iron into ingots with coal', async () => {
+    setup([{ name: 'raw_iron', count: 3 }, { name: 'coal', count: 1 }]);
+
+    const result = await new SmeltItemSkill().execute(bot, { itemName: 'iron_ingot', count: 3 });
+
+    expect(result).toMatchObject({ success: true, item: 'iron_ingot', count: 3, verification: { verified: true } });
+    expect(bot.inventory.count('iron_ingot')).toBe(3);
+    expect(bot.inventory.count('raw_iron')).toBe(0);
+  });
+
+  test('asks for materials it does not have', async () => {
+    setup([{ name: 'raw_iron', count: 1 }, { name: 'coal', count: 1 }]);
+
+    const result = await new SmeltItemSkill().execute(bot, { itemName: 'raw_iron', count: 2 });
+
+    expect(result).toMatchObject({ success: false, reason: 'PRECONDITION_FAILED' });
+  });
+
+  test('reports missing fuel before loading the furnace', async () => {
+    setup([{ name: 'raw_iron', count: 2 }]);
+
+    const result = await new SmeltItemSkill().execute(bot, { itemName: 'raw_iron', count: 2 });
+
+    expect(result).toMatchObject({ success: false, reason: 'NO_FUEL' });
+    expect(bot.inventory.count('raw_iron')).toBe(2);
+  });
+
+  test('refuses items that cannot be smelted', async () => {
+    setup([{ name: 'dirt', count: 1 }]);
+
+    const result = await new SmeltItemSkill().execute(bot, { itemName: 'dirt' });
+
+    expect(result).toMatchObject({ success: false, reason: 'NO_RECIPE' });
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { StorageRegistry } = require('../../src/StorageRegistry');
+const { MultiPlayerCoordinator } = require('../../src/MultiPlayerCoordinator');
+const { DepositItemsSkill, WithdrawItemsSkill } = require('../../src/SkillLibrary');
+
+describe('storage skills', () => {
+  let dir;
+  let registry;
+  let bot;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    registry = new StorageRegistry({ filePath: path.join(dir, 'storage.json') });
+    bot = new FakeBot({
+      position: [0.5, 64, 0.5],
+      inventory: [
+        { name: 'chest', count: 2 },
+        { name: 'cobblestone', count: 20 },
+        { name: 'iron_ingot', count: 5 },
+        { name: 'stone_pickaxe', count: 1 }
+      ]
+    });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('deposits items into a chest per category and keeps the tools', async () => {
+    const result = await new DepositItemsSkill(registry).execute(bot, { categories: ['ores', 'stone'] });
+
+    expect(result).toMatchObject({ success: true, deposited: { cobblestone: 20, iron_ingot: 5 } });
+    expect(bot.inventory.count('stone_pickaxe')).toBe(1);
+    expect(bot.inventory.count('cobblestone')).toBe(0);
+
+    const index = new StorageRegistry({ filePath: registry.filePath });
+    index.load();
+    expect(index.count('cobblestone')).toBe(20);
+    expect(index.locate('iron_ingot').map(({ chest }) => chest.category)).toEqual(['ores']);
+    expect(index.chestsFor('stone')).toHaveLength(1);
+  });
+
+  test('withdraws what the index says is stored and reports the shortfall', async () => {
+    await new DepositItemsSkill(registry).execute(bot, { categories: ['ores', 'stone'] });
+
+    const result = await new WithdrawItemsSkill(registry).execute(bot, {
+      items: [{ name: 'iron_ingot', count: 3 }, { name: 'diamond', count: 1 }]
+    });
+
+    expect(result).toMatchObject({
+      success: false,
+      reason: 'INSUFFICIENT_MATERIALS',
+      details: { missing: [{ item: 'diamond', needed: 1 }], withdrawn: { iron_ingot: 3 } }
+    });
+    expect(bot.inventory.count('iron_ingot')).toBe(3);
+    expect(registry.count('iron_ingot')).toBe(2);
+  });
+
+  test('does not withdraw what another bot has reserved from the shared stockpile', async () => {
+    await new DepositItemsSkill(registry).execute(bot, { categories: ['ores', 'stone'] });
+    const coordinator = new MultiPlayerCoordinator();
+    coordinator.stockpile = registry;
+    coordinator.reserveStockpile('OtherBot', 'iron_ingot', 4);
+
+    const skill = new WithdrawItemsSkill();
+    skill.useStockpile(registry, coordinator);
+    const result = await skill.execute(bot, { items: [{ name: 'iron_ingot', count: 3 }] });
+
+    expect(result).toMatchObject({ success: false, details: { withdrawn: { iron_ingot: 1 } } });
+    expect(coordinator.stockpileAvailable('iron_ingot')).toBe(0);
+  });
+});
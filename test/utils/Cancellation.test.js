@@ -0,0 +1,47 @@
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { Cancellation, CancelledError } = require('../../src/utils/Cancellation');
+const { MoveToSkill } = require('../../src/SkillLibrary');
+
+describe('Cancellation', () => {
+  test('race rejects once the signal aborts and runs the clean-up', async () => {
+    const controller = new AbortController();
+    const onCancel = jest.fn();
+    const never = new Promise(() => {});
+
+    const raced = Cancellation.race(never, controller.signal, onCancel);
+    controller.abort('停止コマンド');
+
+    await expect(raced).rejects.toBeInstanceOf(CancelledError);
+    await expect(raced).rejects.toThrow('タスクがキャンセルされました (停止コマンド)');
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+
+  test('race passes the promise through without a signal', async () => {
+    await expect(Cancellation.race(Promise.resolve(7))).resolves.toBe(7);
+  });
+
+  test('sleep stops waiting when cancelled', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+
+    const sleeping = Cancellation.sleep(10000, controller.signal);
+    controller.abort();
+
+    await expect(sleeping).rejects.toMatchObject({ code: Cancellation.CANCELLED });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('a running skill returns a CANCELLED result and leaves the bot standing', async () => {
+    const bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 16 });
+    const controller = new AbortController();
+
+    const running = new MoveToSkill().execute(bot, { x: 14, y: 64, z: 0, cancelToken: controller.signal });
+    controller.abort('停止コマンド');
+    const result = await running;
+
+    expect(result).toMatchObject({ success: false, reason: 'CANCELLED' });
+    expect(bot.entity.position.x).toBeLessThan(10);
+    expect(bot.pathfinder.isMoving()).toBe(false);
+  });
+});
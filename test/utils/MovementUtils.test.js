@@ -0,0 +1,34 @@
+const { Vec3 } = require('vec3');
+const { FakeBot } = require('../../src/testing/FakeBot');
+const { ensureProximity } = require('../../src/utils/MovementUtils');
+
+describe('ensureProximity', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = new FakeBot({ position: [0.5, 64, 0.5] });
+    bot.world.createFlatGround({ y: 63, radius: 12 });
+    bot.world.setBlock(new Vec3(-6, 64, 0), 'stone');
+  });
+
+  // GoalNear は足元のブロック座標で到着を判定する。半径そのままだと (-3, 64, 0) で止まり、
+  // 実座標 (-2.5, 64, 0.5) からは 3.5 ブロック離れたままになる
+  test('ends within maxDist of the block measured from the real position', async () => {
+    const block = bot.blockAt(new Vec3(-6, 64, 0));
+
+    const result = await ensureProximity(bot, block, 3, { retries: 1, timeoutMs: 2000 });
+
+    expect(result).toEqual({ success: true });
+    expect(bot.entity.position.distanceTo(block.position)).toBeLessThanOrEqual(3);
+  });
+
+  test('does not move when already close enough', async () => {
+    const block = bot.blockAt(new Vec3(-6, 64, 0));
+    bot.teleport(new Vec3(-3.5, 64, 0.5));
+
+    const result = await ensureProximity(bot, block, 3, { retries: 1, timeoutMs: 2000 });
+
+    expect(result).toEqual({ success: true });
+    expect(bot.entity.position).toEqual(new Vec3(-3.5, 64, 0.5));
+  });
+});
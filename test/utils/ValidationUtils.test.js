@@ -0,0 +1,64 @@
+const { ValidationUtils } = require('../../src/utils/ValidationUtils');
+const { MineBlockSkill, CraftToolsSkill, SkillLibrary } = require('../../src/SkillLibrary');
+
+describe('ValidationUtils.validateParams', () => {
+  const schema = {
+    blockType: { type: 'string', required: true, aliases: ['name'] },
+    amount: { type: 'integer', default: 1, minimum: 1, maximum: 64 },
+    tools: { type: 'array', items: { type: 'string' } },
+    careful: { type: 'boolean', default: false },
+    mode: { type: 'string', enum: ['fast', 'safe'] }
+  };
+
+  test('moves aliases to their name, applies defaults and coerces simple values', () => {
+    const params = { name: 'stone', amount: '3', tools: 'wooden_pickaxe', extra: 1 };
+
+    const result = ValidationUtils.validateParams(schema, params);
+
+    expect(result).toEqual({
+      valid: true,
+      errors: [],
+      params: { blockType: 'stone', amount: 3, tools: ['wooden_pickaxe'], careful: false, extra: 1 }
+    });
+  });
+
+  test('collects every problem', () => {
+    const result = ValidationUtils.validateParams(schema, { amount: 100, careful: 'yes', mode: 'slow' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'blockType is required',
+      'amount must be <= 64',
+      'careful must be a boolean',
+      'mode must be one of: fast, safe'
+    ]);
+  });
+});
+
+describe('Skill parameter schemas', () => {
+  test('reject invalid params before the skill runs', async () => {
+    const skill = new MineBlockSkill();
+    const bot = { inventory: { items: () => [] } };
+
+    const result = await skill.execute(bot, { amount: 0 });
+
+    expect(result).toMatchObject({ success: false, reason: 'INVALID_PARAMS' });
+    expect(result.details.errors).toEqual(['blockType is required', 'amount must be >= 1']);
+  });
+
+  test('become the NLU tool definitions', () => {
+    const definition = new CraftToolsSkill().toToolDefinition();
+
+    expect(definition.function.name).toBe('craft_tools');
+    expect(definition.function.parameters.properties.tools).toMatchObject({ type: 'array', items: { type: 'string' } });
+  });
+
+  test('hide internal skills from the NLU', () => {
+    const skillLibrary = new SkillLibrary();
+    skillLibrary.loadBasicSkills();
+    const names = skillLibrary.getToolDefinitions().map(tool => tool.function.name);
+
+    expect(names).toContain('mine_block');
+    expect(names).not.toContain('place_block');
+  });
+});